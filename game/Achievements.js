@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Achievements
+ * Declarative registry of achievements: each one lists conditions over
+ * tracked lifetime stats, best weapon levels, unlocked characters and save
+ * flags, and a reward (a playable character or a title to wear). Character
+ * unlocks are all achievements; nothing else in the game unlocks characters.
+ *
+ * Stats are counted from game bus events through STAT_SOURCES. A run feeds
+ * its AchievementTracker from Game.emitEvent; earned achievements are saved
+ * the moment they complete and the run's counters are written at the end of
+ * the run. Replays, headless simulations and the Pantheon sandbox never
+ * track anything.
+ *
+ * @module game/Achievements
+ */
+
+import { GameEvents } from './EventEmitter.js';
+import { AURA_WEAPONS } from './config.js';
+import {
+    getUnlocks, unlockCharacter, getFlag, FLAGS, getWeaponLevelRecords,
+    getAchievementStats, recordAchievementProgress, getEarnedAchievements, markAchievementEarned
+} from './StateManager.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * One requirement. Exactly one of `stat`, `weapon`, `character` or `flag`
+ * is set.
+ * @typedef {Object} AchievementCondition
+ * @property {string} label - Checklist text
+ * @property {string} [stat] - Tracked stat that must reach `atLeast`
+ * @property {number} [atLeast]
+ * @property {string|string[]} [weapon] - Weapon key(s); any of them must reach `level`
+ * @property {number} [level]
+ * @property {string} [character] - Character that must be unlocked
+ * @property {string} [flag] - FLAGS value that must be set
+ */
+
+/**
+ * @typedef {Object} AchievementDef
+ * @property {string} name
+ * @property {string} desc
+ * @property {AchievementCondition[]} conditions - All must hold
+ * @property {{character?: string, title?: string}} reward
+ */
+
+/**
+ * Where a condition stands
+ * @typedef {Object} ConditionProgress
+ * @property {string} label
+ * @property {number} current - Clamped to `target`
+ * @property {number} target
+ * @property {boolean} done
+ */
+
+/**
+ * What conditions are checked against
+ * @typedef {Object} AchievementContext
+ * @property {Object<string, number>} stats - Lifetime stats
+ * @property {Object<string, number>} weaponLevels - Best level per weapon
+ * @property {Object<string, boolean>} unlocks - Character unlocks
+ */
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** @type {Object<string, AchievementDef>} */
+export const ACHIEVEMENTS = Object.freeze({
+    // Characters
+    STORM_CHASER: Object.freeze({
+        name: 'Storm Chaser', desc: 'Take down a boss.',
+        conditions: Object.freeze([
+            { stat: 'bossKills', atLeast: 1, label: 'Defeat a boss' }
+        ]),
+        reward: Object.freeze({ character: 'BLITZ' })
+    }),
+    BONE_COLLECTOR: Object.freeze({
+        name: 'Bone Collector', desc: 'Rattle enough skeletons and a knight gets noticed.',
+        conditions: Object.freeze([
+            { stat: 'skeletonKills', atLeast: 200, label: 'Kill 200 skeletons' },
+            { stat: 'minibossKillsAsMMOOVT', atLeast: 1, label: 'Get a miniboss kill as Mr. Mc. Oofy Otterson Vangough III' }
+        ]),
+        reward: Object.freeze({ character: 'CALCIUM' })
+    }),
+    RETURN_TO_MONKE: Object.freeze({
+        name: 'Return to Monke', desc: 'Something is waiting in a crate out there.',
+        conditions: Object.freeze([
+            { weapon: 'BANANERANG', level: 3, label: 'Upgrade Bananerang to Lv.3' },
+            { stat: 'monkeCratesOpened', atLeast: 1, label: 'Find the hidden crate in the world' }
+        ]),
+        reward: Object.freeze({ character: 'MONKE' })
+    }),
+    FLEX_ZONE: Object.freeze({
+        name: 'Flex Zone', desc: 'Stand in the middle of it and let it burn.',
+        conditions: Object.freeze([
+            { weapon: AURA_WEAPONS, level: 3, label: 'Upgrade any Aura weapon to Lv.3' },
+            { character: 'MONKE', label: 'Unlock Monke' }
+        ]),
+        reward: Object.freeze({ character: 'GIGACHAD' })
+    }),
+    KNIGHTED: Object.freeze({
+        name: 'Knighted', desc: 'A blade worthy of a Chad.',
+        conditions: Object.freeze([
+            { character: 'GIGACHAD', label: 'Unlock GigaChad' },
+            { weapon: 'SWORD', level: 5, label: 'Upgrade Spinning Blade to Lv.5' }
+        ]),
+        reward: Object.freeze({ character: 'SIR_CHAD' })
+    }),
+    FAMILY_REUNION: Object.freeze({
+        name: 'Family Reunion', desc: "Bob's son only shows up once everyone else has.",
+        conditions: Object.freeze([
+            { flag: FLAGS.SECRET_NOTE_FOUND, label: 'Find the Secret Note' },
+            { character: 'CALCIUM', label: 'Unlock Calcium' },
+            { character: 'GIGACHAD', label: 'Unlock GigaChad' },
+            { character: 'BLITZ', label: 'Unlock Blitz' },
+            { character: 'MONKE', label: 'Unlock Monke' },
+            { character: 'SIR_CHAD', label: 'Unlock Sir Chad' }
+        ]),
+        reward: Object.freeze({ character: 'BOBERTO' })
+    }),
+
+    // Titles
+    EXTERMINATOR: Object.freeze({
+        name: 'Exterminator', desc: 'Defeat 1,000 enemies across all runs.',
+        conditions: Object.freeze([
+            { stat: 'totalKills', atLeast: 1000, label: 'Defeat 1,000 enemies' }
+        ]),
+        reward: Object.freeze({ title: 'Exterminator' })
+    }),
+    BOSS_HUNTER: Object.freeze({
+        name: 'Boss Hunter', desc: 'Defeat 10 bosses across all runs.',
+        conditions: Object.freeze([
+            { stat: 'bossKills', atLeast: 10, label: 'Defeat 10 bosses' }
+        ]),
+        reward: Object.freeze({ title: 'Boss Hunter' })
+    }),
+    MAD_SCIENTIST: Object.freeze({
+        name: 'Mad Scientist', desc: 'Evolve a weapon.',
+        conditions: Object.freeze([
+            { stat: 'weaponsEvolved', atLeast: 1, label: 'Evolve a weapon' }
+        ]),
+        reward: Object.freeze({ title: 'Mad Scientist' })
+    }),
+    VETERAN: Object.freeze({
+        name: 'Veteran', desc: 'Finish 25 runs.',
+        conditions: Object.freeze([
+            { stat: 'runsPlayed', atLeast: 25, label: 'Finish 25 runs' }
+        ]),
+        reward: Object.freeze({ title: 'Veteran' })
+    }),
+    LORE_KEEPER: Object.freeze({
+        name: 'Lore Keeper', desc: 'Find every piece of lore hidden in the world.',
+        conditions: Object.freeze([
+            { flag: FLAGS.SECRET_NOTE_FOUND, label: 'Find the Secret Note' },
+            { flag: FLAGS.DIARY_FOUND, label: 'Find the Weathered Diary' }
+        ]),
+        reward: Object.freeze({ title: 'Lore Keeper' })
+    }),
+    CYCLE_BREAKER: Object.freeze({
+        name: 'Cycle Breaker', desc: 'Beat Tier 4 of Story Mode.',
+        conditions: Object.freeze([
+            { stat: 'storyCompleted', atLeast: 1, label: 'Complete Story Mode' }
+        ]),
+        reward: Object.freeze({ title: 'Cycle Breaker' })
+    })
+});
+
+/**
+ * Stats counted from bus events. Each source adds 1 to `stat` when its
+ * `when(payload, run)` test passes (or always, without one); `run` holds the
+ * tracked run's character.
+ * @type {Object<string, Array<{stat: string, when?: function(Object, {character: string}): boolean}>>}
+ */
+export const STAT_SOURCES = Object.freeze({
+    [GameEvents.ENEMY_KILLED]: [
+        { stat: 'totalKills' },
+        { stat: 'skeletonKills', when: (p) => p.type === 'skeleton' }
+    ],
+    [GameEvents.BOSS_KILLED]: [
+        { stat: 'bossKills' },
+        { stat: 'mainBossKills', when: (p) => p.isMainBoss },
+        { stat: 'minibossKillsAsMMOOVT', when: (p, run) => !p.isMainBoss && run.character === 'MMOOVT' }
+    ],
+    [GameEvents.SECRET_FOUND]: [
+        { stat: 'secretsFound' },
+        { stat: 'monkeCratesOpened', when: (p) => p.secret === 'monkeCrate' }
+    ],
+    [GameEvents.WEAPON_EVOLVED]: [
+        { stat: 'weaponsEvolved' }
+    ],
+    [GameEvents.TIER_COMPLETE]: [
+        { stat: 'storyCompleted', when: (p) => p.mode === 'TNS' && p.tier >= 4 }
+    ],
+    [GameEvents.GAME_OVER]: [
+        { stat: 'runsPlayed' }
+    ]
+});
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * @param {AchievementCondition} condition
+ * @param {AchievementContext} ctx
+ * @returns {ConditionProgress}
+ */
+function conditionProgress(condition, ctx) {
+    let current = 0;
+    let target = 1;
+    if (condition.stat) {
+        current = ctx.stats[condition.stat] || 0;
+        target = condition.atLeast;
+    } else if (condition.weapon) {
+        const keys = Array.isArray(condition.weapon) ? condition.weapon : [condition.weapon];
+        current = Math.max(0, ...keys.map(k => ctx.weaponLevels[k] || 0));
+        target = condition.level;
+    } else if (condition.character) {
+        current = ctx.unlocks[condition.character] ? 1 : 0;
+    } else if (condition.flag) {
+        current = getFlag(condition.flag) ? 1 : 0;
+    }
+    return { label: condition.label, current: Math.min(current, target), target, done: current >= target };
+}
+
+/**
+ * Checklist for one achievement
+ * @param {string} id - Achievement id
+ * @param {AchievementContext} ctx
+ * @returns {{conditions: ConditionProgress[], fraction: number, complete: boolean}}
+ */
+export function achievementProgress(id, ctx) {
+    const conditions = ACHIEVEMENTS[id].conditions.map(c => conditionProgress(c, ctx));
+    const fraction = conditions.reduce((sum, c) => sum + c.current / c.target, 0) / conditions.length;
+    return { conditions, fraction, complete: conditions.every(c => c.done) };
+}
+
+/**
+ * Context from the save alone (menu screens)
+ * @returns {AchievementContext}
+ */
+export function getSavedAchievementContext() {
+    return { stats: getAchievementStats(), weaponLevels: getWeaponLevelRecords(), unlocks: getUnlocks() };
+}
+
+/**
+ * Grant an achievement's reward and save it as earned
+ * @param {string} id
+ * @returns {boolean} True if newly earned
+ */
+function earn(id) {
+    if (!markAchievementEarned(id)) return false;
+    const { character } = ACHIEVEMENTS[id].reward;
+    if (character) unlockCharacter(character);
+    return true;
+}
+
+/**
+ * Earn whatever the saved progress already completes. Achievements whose
+ * character was unlocked before achievements existed count as earned.
+ * @returns {string[]} Newly earned ids
+ */
+export function syncAchievements() {
+    const newlyEarned = [];
+    let changed = true;
+    // Character rewards can complete other achievements, so repeat until settled
+    while (changed) {
+        changed = false;
+        const earned = getEarnedAchievements();
+        const ctx = getSavedAchievementContext();
+        for (const [id, def] of Object.entries(ACHIEVEMENTS)) {
+            if (earned[id] !== undefined) continue;
+            const owned = def.reward.character && ctx.unlocks[def.reward.character];
+            if ((owned || achievementProgress(id, ctx).complete) && earn(id)) {
+                newlyEarned.push(id);
+                changed = true;
+            }
+        }
+    }
+    return newlyEarned;
+}
+
+/**
+ * Achievement that unlocks a character
+ * @param {string} characterKey
+ * @returns {string|null} Achievement id
+ */
+export function getCharacterAchievement(characterKey) {
+    const entry = Object.entries(ACHIEVEMENTS).find(([, def]) => def.reward.character === characterKey);
+    return entry ? entry[0] : null;
+}
+
+// ============================================================================
+// RUN TRACKER
+// ============================================================================
+
+/**
+ * Counts one run's stats and earns achievements as they complete
+ * @class
+ * @example
+ * const tracker = new AchievementTracker('FOX', (id, def) => showToast(def.name));
+ * tracker.handle(GameEvents.ENEMY_KILLED, payload);
+ * tracker.flush(); // end of run
+ */
+export class AchievementTracker {
+    /**
+     * @param {string} character - Character key of the run
+     * @param {function(string, AchievementDef): void} onEarned - Called per achievement earned
+     */
+    constructor(character, onEarned) {
+        /** @type {{character: string}} */
+        this.run = { character };
+
+        /** @type {function(string, AchievementDef): void} */
+        this.onEarned = onEarned;
+
+        /** @type {string[]} Achievement ids earned during this run, in order */
+        this.earnedThisRun = [];
+
+        /** @private Stats and best weapon levels not yet saved */
+        this._pendingStats = {};
+        this._pendingLevels = {};
+
+        /** @private Saved progress plus this run's */
+        this._ctx = getSavedAchievementContext();
+        this._earned = getEarnedAchievements();
+    }
+
+    /**
+     * Count a bus event
+     * @param {string} type - GameEvents value
+     * @param {Object} payload
+     */
+    handle(type, payload) {
+        let changed = false;
+        if (type === GameEvents.WEAPON_LEVELED) {
+            if ((this._ctx.weaponLevels[payload.key] || 0) < payload.level) {
+                this._ctx.weaponLevels[payload.key] = payload.level;
+                this._pendingLevels[payload.key] = payload.level;
+                changed = true;
+            }
+        }
+        for (const source of STAT_SOURCES[type] || []) {
+            if (source.when && !source.when(payload, this.run)) continue;
+            this._ctx.stats[source.stat] = (this._ctx.stats[source.stat] || 0) + 1;
+            this._pendingStats[source.stat] = (this._pendingStats[source.stat] || 0) + 1;
+            changed = true;
+        }
+        if (changed) this.evaluate();
+    }
+
+    /**
+     * Earn every achievement the current progress completes
+     */
+    evaluate() {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const [id, def] of Object.entries(ACHIEVEMENTS)) {
+                if (this._earned[id] !== undefined || !achievementProgress(id, this._ctx).complete) continue;
+                // Save the progress that earned it along with it
+                this.flush();
+                this._earned[id] = Date.now();
+                if (!earn(id)) continue;
+                if (def.reward.character) this._ctx.unlocks[def.reward.character] = true;
+                this.earnedThisRun.push(id);
+                this.onEarned(id, def);
+                changed = true;
+            }
+        }
+    }
+
+    /**
+     * Save the run's counters and weapon records
+     */
+    flush() {
+        if (Object.keys(this._pendingStats).length === 0 && Object.keys(this._pendingLevels).length === 0) return;
+        recordAchievementProgress(this._pendingStats, this._pendingLevels);
+        this._pendingStats = {};
+        this._pendingLevels = {};
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Achievements screen
+ * Menu overlay (#achievements-panel) listing every achievement, character
+ * unlocks first, as earned or locked with a progress bar per condition.
+ * Earned titles can be equipped here; the equipped one shows on the
+ * game-over screen.
+ *
+ * @module game/AchievementsPanel
+ */
+
+import { ACHIEVEMENTS, achievementProgress, getSavedAchievementContext, syncAchievements } from './Achievements.js';
+import { getEarnedAchievements, getEquippedTitle, setEquippedTitle } from './StateManager.js';
+
+/** Reward kinds, in display order */
+const CATEGORY_LABELS = Object.freeze({
+    character: 'Characters',
+    title: 'Titles'
+});
+
+/**
+ * Create an element with optional text
+ * @param {string} tag
+ * @param {string} [text]
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Earned and locked achievements with progress
+ * @class
+ * @example
+ * const panel = new AchievementsPanel(CHARACTER_NAMES);
+ * panel.open();
+ */
+export class AchievementsPanel {
+    /**
+     * @param {Object<string, string>} [characterNames] - Character key -> display name
+     */
+    constructor(characterNames = {}) {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('achievements-panel');
+        this.list = document.getElementById('achievements-list');
+        this.summary = document.getElementById('achievements-summary');
+        this.titleLabel = document.getElementById('achievements-title');
+
+        /** @type {Object<string, string>} */
+        this.characterNames = characterNames;
+
+        if (!this.root) return;
+        const closeBtn = document.getElementById('achievements-close');
+        if (closeBtn) closeBtn.onclick = () => this.close();
+    }
+
+    /**
+     * Show the panel (earning anything the save already completes)
+     */
+    open() {
+        if (!this.root) return;
+        syncAchievements();
+        this.root.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Redraw the summary and achievement rows
+     */
+    render() {
+        const earned = getEarnedAchievements();
+        const ctx = getSavedAchievementContext();
+        const equipped = getEquippedTitle();
+        const ids = Object.keys(ACHIEVEMENTS);
+
+        this.summary.textContent = `Earned: ${ids.filter(id => earned[id] !== undefined).length} / ${ids.length}`;
+        this.titleLabel.textContent = `Title: ${equipped && ACHIEVEMENTS[equipped] ? ACHIEVEMENTS[equipped].reward.title : 'none'}`;
+
+        this.list.innerHTML = '';
+        for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+            this.list.appendChild(el('div', label, 'achievement-category'));
+            for (const id of ids) {
+                const def = ACHIEVEMENTS[id];
+                if (!def.reward[category]) continue;
+                const isEarned = earned[id] !== undefined;
+
+                const row = el('div', undefined, isEarned ? 'achievement-row' : 'achievement-row locked');
+                const info = el('div', undefined, 'achievement-info');
+                info.appendChild(el('strong', `${isEarned ? '★' : '☆'} ${def.name}`));
+                info.appendChild(el('div', def.desc));
+                const reward = category === 'character'
+                    ? `Unlocks ${this.characterNames[def.reward.character] || def.reward.character}`
+                    : `Title: ${def.reward.title}`;
+                info.appendChild(el('div', reward, 'achievement-reward'));
+
+                if (isEarned) {
+                    info.appendChild(el('div', `Earned ${new Date(earned[id]).toLocaleDateString()}`));
+                } else {
+                    for (const c of achievementProgress(id, ctx).conditions) {
+                        const check = el('div', undefined, c.done ? 'achievement-check done' : 'achievement-check');
+                        const bar = el('div', undefined, 'achievement-bar');
+                        const fill = el('div');
+                        fill.style.width = `${Math.round((c.current / c.target) * 100)}%`;
+                        bar.appendChild(fill);
+                        check.appendChild(bar);
+                        check.appendChild(el('span', c.target > 1 ? `${c.label} (${c.current}/${c.target})` : c.label));
+                        info.appendChild(check);
+                    }
+                }
+                row.appendChild(info);
+
+                if (category === 'title' && isEarned) {
+                    const wearing = equipped === id;
+                    const btn = el('button', wearing ? 'UNEQUIP' : 'EQUIP', 'replay-btn');
+                    btn.onclick = (e) => {
+                        e.stopPropagation();
+                        setEquippedTitle(wearing ? null : id);
+                        this.render();
+                    };
+                    row.appendChild(btn);
+                }
+                this.list.appendChild(row);
+            }
+        }
+    }
+}
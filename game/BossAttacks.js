@@ -0,0 +1,617 @@
+/**
+ * @fileoverview Boss fights
+ * Runs the phases and attacks of the BOSSES config table. Every boss and
+ * miniboss carries a `bossKey` into that table; each tick updateBoss moves
+ * it to the next phase once its health drops far enough, picks an attack
+ * that is off cooldown and hands it to the attack pattern it names. Patterns
+ * telegraph their area (see Telegraphs.js), keep the boss still while the
+ * telegraph fills, and land the hit on a sim timer so replays match.
+ *
+ * A new boss is a config entry; a new kind of attack is a pattern here.
+ *
+ * @module game/BossAttacks
+ */
+
+import * as THREE from 'three';
+import { BOSSES } from './config.js';
+import { TELEGRAPH_SHAPES, telegraphContains } from './Telegraphs.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Attack entry in a boss phase. Besides these, each pattern reads its own fields.
+ * @typedef {Object} BossAttackDef
+ * @property {string} pattern - Registered pattern id
+ * @property {number} cooldown - Seconds before it can be used again (in 'cycle' order: since the previous attack)
+ * @property {number} [weight=1] - Pick weight among ready attacks
+ * @property {{duration: number, length?: number, radius?: number, color?: number}} [telegraph] - Wind-up shown on the ground
+ * @property {Array} [sound] - playSound arguments when it lands
+ * @property {Array} [synth] - playSynth arguments for every shot
+ * @property {number} [shake] - Screen shake when it lands
+ * @property {string} [announce] - Toast when it starts
+ * @property {number} [teleportCooldown] - Holds off the boss's catch-up teleport after the attack
+ */
+
+/**
+ * Shield phase: the boss rises out of reach and takes no damage until the minion spawned to guard it dies
+ * @typedef {Object} BossShieldDef
+ * @property {string} minion - Miniboss type spawned as the guard
+ * @property {string} [name] - Guard's display name
+ * @property {number} hp - Guard's health
+ * @property {number} [rise=0] - How far the boss lifts while shielded
+ * @property {number} [spawnRate] - spawnRateMultiplier while the shield is up
+ * @property {number} [breakSpawnRate] - spawnRateMultiplier once it breaks (regular enemies are cleared too)
+ * @property {string} [announce] - Toast when the shield goes up
+ */
+
+/**
+ * @typedef {Object} BossPhaseDef
+ * @property {number} hpBelow - Health ratio (0-1) at which the phase starts; the first phase uses 1
+ * @property {BossAttackDef[]} [attacks] - Defaults to the previous phase's
+ * @property {string} [order='weighted'] - 'weighted' or 'cycle'
+ * @property {BossShieldDef} [shield]
+ * @property {string} [announce] - Toast when the phase starts
+ */
+
+/**
+ * @typedef {Object} BossDef
+ * @property {string} name - Display name
+ * @property {BossPhaseDef[]} phases
+ */
+
+/**
+ * @typedef {Object} BossAttackPattern
+ * @property {function(Game, Object, BossAttackDef): boolean} [ready] - Extra condition before it can start
+ * @property {function(Game, Object, BossAttackDef): number} perform - Start the attack; returns how long the boss is busy
+ */
+
+// ============================================================================
+// PROJECTILES
+// ============================================================================
+
+/**
+ * Mesh builders for boss projectiles, by the `projectile` field of an attack
+ * @type {Object<string, function(): THREE.Object3D>}
+ */
+const PROJECTILE_MODELS = {
+    acorn: () => new THREE.Mesh(new THREE.SphereGeometry(0.4), new THREE.MeshStandardMaterial({ color: 0x8D6E63 })),
+    leaf: () => new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.6), new THREE.MeshStandardMaterial({ color: 0x33691E })),
+    log: () => {
+        const log = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 2.0), new THREE.MeshStandardMaterial({ color: 0x3E2723 }));
+        log.rotation.x = Math.PI / 2;
+        log.rotation.z = Math.PI / 2;
+        return log;
+    },
+    saber: () => {
+        const saber = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 3.0), new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+        saber.rotation.x = Math.PI / 2;
+        return saber;
+    },
+    bolt: () => new THREE.Mesh(new THREE.SphereGeometry(0.3), new THREE.MeshBasicMaterial({ color: 0xff0000 })),
+    orb: () => new THREE.Mesh(new THREE.SphereGeometry(0.5), new THREE.MeshBasicMaterial({ color: 0x330000 })),
+    trident: () => {
+        const group = new THREE.Group();
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 2.5), new THREE.MeshStandardMaterial({ color: 0x888888 }));
+        shaft.rotation.x = Math.PI / 2;
+        group.add(shaft);
+        const tip = new THREE.Mesh(new THREE.ConeGeometry(0.3, 1.0), new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+        tip.rotation.x = Math.PI / 2;
+        tip.position.z = 1.2;
+        group.add(tip);
+        return group;
+    },
+    dart: () => new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.5, 6), new THREE.MeshStandardMaterial({ color: 0xffcc66 })),
+    pitchfork: () => new THREE.Mesh(
+        new THREE.ConeGeometry(0.1, 0.6, 6),
+        new THREE.MeshStandardMaterial({ color: 0xcccccc, emissive: 0x888888 })
+    )
+};
+
+/** Models whose local +Z should face their flight direction */
+const ALIGNED_PROJECTILES = new Set(['leaf', 'trident', 'dart', 'pitchfork']);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Whether the boss is still in the fight (attacks landing later check this)
+ * @param {Game} game
+ * @param {Object} enemy
+ * @returns {boolean}
+ */
+function isAlive(game, enemy) {
+    return game.isPlaying && enemy.hp > 0 && game.enemies.includes(enemy);
+}
+
+/**
+ * Run `land` once the telegraph is full (right away without one); skipped if the boss is gone by then
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {number} delay
+ * @param {function(): void} land
+ */
+function afterWindUp(game, enemy, delay, land) {
+    if (delay <= 0) {
+        land();
+        return;
+    }
+    game.scheduleSim(delay, () => {
+        if (isAlive(game, enemy)) land();
+    });
+}
+
+/**
+ * @param {BossAttackDef} attack
+ * @returns {number}
+ */
+function windUp(attack) {
+    return attack.telegraph ? attack.telegraph.duration : 0;
+}
+
+/**
+ * Sound, shake and particles when an attack lands
+ * @param {Game} game
+ * @param {BossAttackDef} attack
+ * @param {THREE.Vector3} [at] - Where the particles go
+ */
+function landEffects(game, attack, at) {
+    if (attack.sound && game.playSound) game.playSound(...attack.sound);
+    if (attack.shake) game.screenShake = attack.shake;
+    if (attack.particles && at) game.particleSystem.emit(at.clone(), attack.particles[0], attack.particles[1]);
+}
+
+/**
+ * Unit direction from the boss to the player (with height), and its yaw
+ * @param {Object} enemy
+ * @param {THREE.Vector3} playerPos
+ * @returns {{dir: THREE.Vector3, yaw: number}}
+ */
+function aimAt(enemy, playerPos) {
+    const dir = new THREE.Vector3().subVectors(playerPos, enemy.mesh.position).normalize();
+    return { dir, yaw: Math.atan2(dir.x, dir.z) };
+}
+
+/**
+ * Launch one enemy projectile
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {BossAttackDef} attack
+ * @param {THREE.Vector3} dir - Unit direction
+ */
+function fireProjectile(game, enemy, attack, dir) {
+    const origin = enemy.mesh.position;
+    const mesh = PROJECTILE_MODELS[attack.projectile]();
+    mesh.position.copy(origin);
+    if (attack.aimHeight) {
+        mesh.position.y = game.playerBody.position.y + 0.5; // Fly at player height so it connects
+    } else {
+        mesh.position.y += attack.height || 0;
+    }
+    if (ALIGNED_PROJECTILES.has(attack.projectile)) mesh.lookAt(mesh.position.clone().add(dir));
+    game.scene.add(mesh);
+
+    const proj = {
+        mesh,
+        velocity: dir.clone().multiplyScalar(attack.speed),
+        damage: attack.damage,
+        life: attack.life,
+        sourceName: game.damageSourceName(enemy),
+        isEnemyProjectile: true
+    };
+    if (attack.boomerang) Object.assign(proj, { isBoomerang: true, returnState: 0, owner: enemy.mesh, hitIds: [] });
+    game.projectiles.push(proj);
+}
+
+/**
+ * Directions of a fan of `count` projectiles `spread` radians apart, centred on the player
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {BossAttackDef} attack
+ * @returns {THREE.Vector3[]}
+ */
+function fanDirections(game, enemy, attack) {
+    const { dir } = aimAt(enemy, game.playerBody.position);
+    const count = attack.count || 1;
+    const dirs = [];
+    for (let i = 0; i < count; i++) {
+        dirs.push(dir.clone().applyAxisAngle(UP, (i - (count - 1) / 2) * (attack.spread || 0)));
+    }
+    return dirs;
+}
+
+/**
+ * Ground height under a point
+ * @param {Game} game
+ * @param {THREE.Vector3} pos
+ * @returns {number}
+ */
+function groundY(game, pos) {
+    return game.getTerrainHeight(pos.x, pos.z);
+}
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+/**
+ * Fan of `count` projectiles `spread` radians apart, aimed at the player when the telegraph starts
+ * @type {BossAttackPattern}
+ */
+const volley = {
+    perform(game, enemy, attack) {
+        const dirs = fanDirections(game, enemy, attack);
+        if (attack.telegraph) {
+            for (const d of dirs) {
+                game.telegraphs.add({
+                    shape: TELEGRAPH_SHAPES.LINE, x: enemy.mesh.position.x, z: enemy.mesh.position.z, y: groundY(game, enemy.mesh.position),
+                    direction: Math.atan2(d.x, d.z), length: attack.telegraph.length, width: 1.2,
+                    duration: attack.telegraph.duration, color: attack.telegraph.color
+                });
+            }
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            dirs.forEach(d => fireProjectile(game, enemy, attack, d));
+            landEffects(game, attack);
+        });
+        return windUp(attack);
+    }
+};
+
+/**
+ * `shots` projectiles `interval` seconds apart, each jittered inside a cone aimed when the telegraph starts
+ * @type {BossAttackPattern}
+ */
+const barrage = {
+    perform(game, enemy, attack) {
+        const { dir, yaw } = aimAt(enemy, game.playerBody.position);
+        if (attack.telegraph) {
+            game.telegraphs.add({
+                shape: TELEGRAPH_SHAPES.CONE, x: enemy.mesh.position.x, z: enemy.mesh.position.z, y: groundY(game, enemy.mesh.position),
+                direction: yaw, angle: attack.jitter / 2, radius: attack.telegraph.length,
+                duration: attack.telegraph.duration, color: attack.telegraph.color
+            });
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            for (let k = 0; k < attack.shots; k++) {
+                const shoot = () => {
+                    const d = dir.clone().applyAxisAngle(UP, (game.roll('combat') - 0.5) * attack.jitter);
+                    fireProjectile(game, enemy, attack, d);
+                    if (attack.synth) game.playSynth(...attack.synth);
+                };
+                if (k === 0) shoot();
+                else afterWindUp(game, enemy, k * attack.interval, shoot);
+            }
+            landEffects(game, attack);
+        });
+        return windUp(attack) + attack.shots * attack.interval;
+    }
+};
+
+/**
+ * `count` projectiles evenly around the boss
+ * @type {BossAttackPattern}
+ */
+const radial = {
+    perform(game, enemy, attack) {
+        if (attack.telegraph) {
+            game.telegraphs.add({
+                shape: TELEGRAPH_SHAPES.CIRCLE, x: enemy.mesh.position.x, z: enemy.mesh.position.z, y: groundY(game, enemy.mesh.position),
+                radius: attack.telegraph.radius, duration: attack.telegraph.duration, color: attack.telegraph.color
+            });
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            for (let k = 0; k < attack.count; k++) {
+                const angle = (k / attack.count) * Math.PI * 2;
+                fireProjectile(game, enemy, attack, new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)));
+            }
+            landEffects(game, attack);
+        });
+        return windUp(attack);
+    }
+};
+
+/**
+ * Ground eruption of `radius` under the player's position when the telegraph starts
+ * @type {BossAttackPattern}
+ */
+const slam = {
+    perform(game, enemy, attack) {
+        const target = game.playerBody.position.clone();
+        const area = game.telegraphs.add({
+            shape: TELEGRAPH_SHAPES.CIRCLE, x: target.x, z: target.z, y: groundY(game, target),
+            radius: attack.radius, duration: windUp(attack), color: attack.telegraph && attack.telegraph.color
+        });
+        afterWindUp(game, enemy, windUp(attack), () => {
+            landEffects(game, attack, target);
+            const p = game.playerBody.position;
+            if (telegraphContains(area, p.x, p.z)) {
+                game.takeDamage(attack.damage, game.damageSourceName(enemy));
+                if (attack.knockUp) game.playerBody.velocity.y = attack.knockUp;
+            }
+        });
+        return windUp(attack);
+    }
+};
+
+/**
+ * Lunge `distance` along the line to the player; with `slamRadius`, hits around the landing spot for `damage`
+ * @type {BossAttackPattern}
+ */
+const charge = {
+    perform(game, enemy, attack) {
+        const start = enemy.mesh.position.clone();
+        const { yaw } = aimAt(enemy, game.playerBody.position);
+        const dx = Math.sin(yaw), dz = Math.cos(yaw);
+        const y = groundY(game, start);
+        game.telegraphs.add({
+            shape: TELEGRAPH_SHAPES.LINE, x: start.x, z: start.z, y, direction: yaw,
+            length: attack.distance, width: (enemy.size || 1.5) * 2,
+            duration: windUp(attack), color: attack.telegraph && attack.telegraph.color
+        });
+        let area = null;
+        if (attack.slamRadius) {
+            area = game.telegraphs.add({
+                shape: TELEGRAPH_SHAPES.CIRCLE, x: start.x + dx * attack.distance, z: start.z + dz * attack.distance, y,
+                radius: attack.slamRadius, duration: windUp(attack), color: attack.telegraph && attack.telegraph.color
+            });
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            enemy.body.position.x += dx * attack.distance;
+            enemy.body.position.z += dz * attack.distance;
+            enemy.mesh.position.copy(enemy.body.position);
+            landEffects(game, attack, enemy.mesh.position);
+            const p = game.playerBody.position;
+            if (area && attack.damage && telegraphContains(area, p.x, p.z)) {
+                game.takeDamage(attack.damage, game.damageSourceName(enemy));
+            }
+            if (attack.teleportCooldown) enemy.teleportCooldown = attack.teleportCooldown;
+        });
+        return windUp(attack);
+    }
+};
+
+/**
+ * Call `count` weak `minion`s around the boss, each marked where it will appear
+ * @type {BossAttackPattern}
+ */
+const summon = {
+    perform(game, enemy, attack) {
+        const spots = [];
+        for (let i = 0; i < attack.count; i++) {
+            const angle = game.roll('spawns') * Math.PI * 2;
+            const dist = attack.minDistance + game.roll('spawns') * (attack.maxDistance - attack.minDistance);
+            const x = enemy.mesh.position.x + Math.cos(angle) * dist;
+            const z = enemy.mesh.position.z + Math.sin(angle) * dist;
+            spots.push({ x, z });
+            if (attack.telegraph) {
+                game.telegraphs.add({
+                    shape: TELEGRAPH_SHAPES.CIRCLE, x, z, y: game.getTerrainHeight(x, z), radius: attack.minion.size * 1.5,
+                    duration: attack.telegraph.duration, color: attack.telegraph.color !== undefined ? attack.telegraph.color : attack.minion.color
+                });
+            }
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            spots.forEach(({ x, z }) => game.spawnBossMinion(x, z, attack.minion));
+            landEffects(game, attack, enemy.mesh.position);
+        });
+        return windUp(attack);
+    }
+};
+
+/**
+ * Teleport near the player, then fire a volley inside a telegraphed cone
+ * @type {BossAttackPattern}
+ */
+const blink = {
+    ready(game, enemy) {
+        return enemy.teleportCooldown === undefined || enemy.teleportCooldown <= 0;
+    },
+    perform(game, enemy, attack) {
+        game.teleportEnemyNearPlayer(enemy);
+        enemy.teleportCooldown = attack.teleportCooldown || 0;
+        const dirs = fanDirections(game, enemy, attack);
+        if (attack.telegraph) {
+            const { yaw } = aimAt(enemy, game.playerBody.position);
+            game.telegraphs.add({
+                shape: TELEGRAPH_SHAPES.CONE, x: enemy.mesh.position.x, z: enemy.mesh.position.z, y: groundY(game, enemy.mesh.position),
+                direction: yaw, angle: ((attack.count || 1) - 1) / 2 * (attack.spread || 0) + 0.1, radius: attack.telegraph.length,
+                duration: attack.telegraph.duration, color: attack.telegraph.color
+            });
+        }
+        afterWindUp(game, enemy, windUp(attack), () => {
+            dirs.forEach(d => fireProjectile(game, enemy, attack, d));
+            landEffects(game, attack);
+        });
+        return windUp(attack);
+    }
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** @type {Map<string, BossAttackPattern>} */
+const patterns = new Map(Object.entries({ volley, barrage, radial, slam, charge, summon, blink }));
+
+/**
+ * Register (or replace) a pattern so boss definitions can name it
+ * @param {string} id - Value used in an attack's `pattern`
+ * @param {BossAttackPattern} pattern
+ */
+export function registerBossAttack(id, pattern) {
+    if (!pattern || typeof pattern.perform !== 'function') {
+        throw new Error(`Boss attack "${id}" needs a perform function`);
+    }
+    patterns.set(id, pattern);
+}
+
+/**
+ * Look up a pattern by id
+ * @param {string} id
+ * @returns {BossAttackPattern}
+ * @throws {Error} If nothing is registered under the id
+ */
+export function getBossAttack(id) {
+    const pattern = patterns.get(id);
+    if (!pattern) {
+        throw new Error(`Unknown boss attack: ${id}`);
+    }
+    return pattern;
+}
+
+/**
+ * @returns {string[]} Registered pattern ids
+ */
+export function getBossAttackIds() {
+    return [...patterns.keys()];
+}
+
+// ============================================================================
+// FIGHT
+// ============================================================================
+
+/**
+ * Definition for a boss key (Bob's for unknown keys)
+ * @param {string} key
+ * @returns {BossDef}
+ */
+export function getBossDef(key) {
+    return BOSSES[key] || BOSSES.BOB;
+}
+
+/**
+ * BOSSES key for a display name, e.g. the TNS main boss of a tier
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function bossKeyForName(name) {
+    return Object.keys(BOSSES).find(key => BOSSES[key].name === name) || null;
+}
+
+/**
+ * Attacks of a phase, inherited from earlier phases when it has none
+ * @param {BossDef} def
+ * @param {number} index
+ * @returns {BossAttackDef[]}
+ */
+export function phaseAttacks(def, index) {
+    for (let i = index; i >= 0; i--) {
+        if (def.phases[i].attacks) return def.phases[i].attacks;
+    }
+    return [];
+}
+
+/**
+ * Fresh attack timers for a phase
+ * @param {BossDef} def
+ * @param {number} phase
+ * @returns {{phase: number, timer: number, busy: number, next: number, cooldowns: number[]}}
+ */
+function phaseState(def, phase) {
+    return { phase, timer: 0, busy: 0, next: 0, cooldowns: phaseAttacks(def, phase).map(a => a.cooldown) };
+}
+
+/**
+ * Enter the next phase: announce it and raise its shield
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {BossDef} def
+ */
+function advancePhase(game, enemy, def) {
+    enemy.bossState = phaseState(def, enemy.bossState.phase + 1);
+    const phase = def.phases[enemy.bossState.phase];
+    if (phase.announce) game.showToast(phase.announce);
+    if (phase.shield) game.raiseBossShield(enemy, phase.shield);
+}
+
+/**
+ * Choose the attack to start now
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {BossPhaseDef} phase
+ * @param {BossAttackDef[]} attacks
+ * @returns {number} Index into attacks, or -1
+ */
+function pickAttack(game, enemy, phase, attacks) {
+    const state = enemy.bossState;
+    const isReady = (attack) => {
+        const pattern = getBossAttack(attack.pattern);
+        return !pattern.ready || pattern.ready(game, enemy, attack);
+    };
+
+    if (phase.order === 'cycle') {
+        const attack = attacks[state.next];
+        return state.timer >= attack.cooldown && isReady(attack) ? state.next : -1;
+    }
+
+    const ready = [];
+    attacks.forEach((attack, i) => {
+        if (state.cooldowns[i] <= 0 && isReady(attack)) ready.push(i);
+    });
+    if (ready.length <= 1) return ready.length ? ready[0] : -1;
+    const total = ready.reduce((sum, i) => sum + (attacks[i].weight || 1), 0);
+    let roll = game.roll('combat') * total;
+    for (const i of ready) {
+        roll -= attacks[i].weight || 1;
+        if (roll < 0) return i;
+    }
+    return ready[ready.length - 1];
+}
+
+/**
+ * Advance a boss's fight by one tick: phase changes, shields, attack timers and attacks
+ * @param {Game} game
+ * @param {Object} enemy - Boss or miniboss with a `bossKey`
+ * @param {number} dt
+ */
+export function updateBoss(game, enemy, dt) {
+    const def = getBossDef(enemy.bossKey);
+    if (!enemy.bossState) enemy.bossState = phaseState(def, 0);
+    const state = enemy.bossState;
+    const phase = def.phases[state.phase];
+
+    // One phase step per tick, none while a shield is up
+    if (enemy.isShielded) {
+        if (!game.enemies.some(e => e.shieldFor === enemy.id)) game.breakBossShield(enemy, phase.shield);
+    } else {
+        const next = def.phases[state.phase + 1];
+        if (next && enemy.hp / enemy.maxHp <= next.hpBelow) {
+            advancePhase(game, enemy, def);
+            return;
+        }
+    }
+
+    // Standing still while a telegraph fills
+    if (state.busy > 0) {
+        state.busy -= dt;
+        return;
+    }
+
+    const attacks = phaseAttacks(def, state.phase);
+    if (attacks.length === 0) return;
+    state.timer += dt;
+    for (let i = 0; i < state.cooldowns.length; i++) state.cooldowns[i] -= dt;
+
+    const index = pickAttack(game, enemy, phase, attacks);
+    if (index < 0) return;
+    const attack = attacks[index];
+    if (attack.announce) game.showToast(attack.announce);
+    state.busy = getBossAttack(attack.pattern).perform(game, enemy, attack) || 0;
+    state.cooldowns[index] = attack.cooldown;
+    state.timer = 0;
+    if (phase.order === 'cycle') state.next = (state.next + 1) % attacks.length;
+}
+
+/**
+ * Whether a boss is standing still for a telegraph
+ * @param {Object} enemy
+ * @returns {boolean}
+ */
+export function isBossWindingUp(enemy) {
+    return !!enemy.bossState && enemy.bossState.busy > 0;
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Challenge briefing
+ * Start-screen block (#challenge-panel) shown when the Daily or Weekly
+ * Challenge mode is selected: today's modifiers, whether the scored attempt
+ * is still available, the streak and the most recent results.
+ *
+ * @module game/ChallengePanel
+ */
+
+import { CHARACTERS, WEAPONS, RUNES } from './config.js';
+import { CHALLENGE_PERIODS, createChallenge, getChallengeAttempt, getChallengeStreak } from './Challenges.js';
+import { getChallengeHistory } from './StateManager.js';
+
+/** Past results listed under the briefing */
+const RECENT_RESULTS = 5;
+
+/**
+ * Create an element with optional text
+ * @param {string} tag
+ * @param {string} [text]
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Daily/weekly challenge briefing on the start screen
+ * @class
+ * @example
+ * const panel = new ChallengePanel();
+ * panel.show('DAILY');
+ */
+export class ChallengePanel {
+    constructor() {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('challenge-panel');
+    }
+
+    /**
+     * Show the briefing for a period
+     * @param {string} period - CHALLENGE_PERIODS key
+     * @returns {import('./Challenges.js').Challenge} The challenge shown
+     */
+    show(period) {
+        const challenge = createChallenge(period);
+        if (this.root) {
+            this.root.style.display = 'block';
+            this.render(challenge);
+        }
+        return challenge;
+    }
+
+    /**
+     * Hide the briefing
+     */
+    hide() {
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Redraw the briefing
+     * @param {import('./Challenges.js').Challenge} challenge
+     */
+    render(challenge) {
+        const def = CHALLENGE_PERIODS[challenge.period];
+        const attempt = getChallengeAttempt(challenge.id);
+        const streak = getChallengeStreak(challenge.period);
+
+        this.root.innerHTML = '';
+        this.root.appendChild(el('strong', `${def.name.toUpperCase()} ${challenge.key}`));
+        const mods = el('ul', undefined, 'challenge-mods');
+        mods.appendChild(el('li', `Hero: ${CHARACTERS[challenge.character].name}`));
+        mods.appendChild(el('li', `Bonus weapon: ${WEAPONS[challenge.startingWeapon].name}`));
+        mods.appendChild(el('li', `Spawn rate: x${challenge.spawnMult}`));
+        mods.appendChild(el('li', `Banned runes: ${challenge.bannedRunes.map(k => RUNES[k].name).join(', ')}`));
+        this.root.appendChild(mods);
+
+        let status = 'One scored attempt available.';
+        if (attempt) {
+            status = attempt.finished
+                ? `Scored: ${attempt.score.toLocaleString()}. Replays are practice.`
+                : 'Attempt used (run not finished). Replays are practice.';
+        }
+        this.root.appendChild(el('div', status, attempt ? 'challenge-status used' : 'challenge-status'));
+        this.root.appendChild(el('div', `Streak: ${streak.current} (best ${streak.best})`));
+
+        const recent = getChallengeHistory().filter(e => e.period === challenge.period && e.id !== challenge.id).slice(0, RECENT_RESULTS);
+        if (recent.length > 0) {
+            const list = el('ul', undefined, 'challenge-history');
+            for (const e of recent) {
+                list.appendChild(el('li', `${e.key}: ${e.finished ? e.score.toLocaleString() : 'unfinished'}`));
+            }
+            this.root.appendChild(list);
+        }
+    }
+}
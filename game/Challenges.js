@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Daily and weekly challenges
+ * A challenge is a Classic run whose seed and modifiers (character,
+ * extra starting weapon, spawn rate, banned runes) are derived from the
+ * local date, so everyone playing on the same day or week gets the same
+ * run without any server. Each challenge has one scored attempt, saved the
+ * moment it starts; playing it again is unscored practice. Results go into
+ * the challenge history, which streaks are counted from.
+ *
+ * The challenge travels to Game as `lobbySettings.challenge`, so replays
+ * carry it in their header settings. Challenge runs don't use the meta shop.
+ *
+ * @module game/Challenges
+ */
+
+import { hashSeed } from './RunRandom.js';
+import { SeededRandom } from './utils.js';
+import { CHARACTERS, WEAPONS, RUNES, isEvolvedWeapon } from './config.js';
+import { getChallengeHistory, startChallengeAttempt } from './StateManager.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * @typedef {Object} ChallengePeriodDef
+ * @property {string} name - Display name
+ * @property {number[]} spawnMults - Spawn rate multipliers to pick from
+ * @property {number} bannedRunes - Runes taken out of the loot pool
+ */
+
+/**
+ * A generated challenge (plain data, safe to store in replay headers)
+ * @typedef {Object} Challenge
+ * @property {string} id - `${period}:${key}`
+ * @property {string} period - CHALLENGE_PERIODS key
+ * @property {string} key - Date key ('2026-10-19' or '2026-W43')
+ * @property {number} index - Day or week number since the epoch
+ * @property {number} seed - Run seed
+ * @property {string} character - Character played (locked ones are lent for the run)
+ * @property {string} startingWeapon - Weapon added to the character's own
+ * @property {number} spawnMult - Enemy spawn rate multiplier
+ * @property {string[]} bannedRunes - Runes that never drop
+ * @property {boolean} practice - Unscored replay of an attempted challenge
+ */
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/** @type {Object<string, ChallengePeriodDef>} */
+export const CHALLENGE_PERIODS = Object.freeze({
+    DAILY: Object.freeze({ name: 'Daily Challenge', spawnMults: Object.freeze([1.25, 1.5, 1.75]), bannedRunes: 2 }),
+    WEEKLY: Object.freeze({ name: 'Weekly Challenge', spawnMults: Object.freeze([1.75, 2, 2.5]), bannedRunes: 3 })
+});
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+/**
+ * Days since the epoch for a local calendar date
+ * @param {Date} date
+ * @returns {number}
+ */
+function localDayIndex(date) {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
+
+/**
+ * Day or week number of a date in a period (weeks start on Monday)
+ * @param {string} period - CHALLENGE_PERIODS key
+ * @param {Date} [date=new Date()]
+ * @returns {number}
+ */
+export function challengePeriodIndex(period, date = new Date()) {
+    const day = localDayIndex(date);
+    // 1970-01-01 was a Thursday: shifting by 3 puts Mondays on multiples of 7
+    return period === 'WEEKLY' ? Math.floor((day + 3) / 7) : day;
+}
+
+/**
+ * Date key shown to players and stored with results
+ * @param {string} period - CHALLENGE_PERIODS key
+ * @param {number} index - From challengePeriodIndex
+ * @returns {string} '2026-10-19' daily, ISO week '2026-W43' weekly
+ */
+export function challengeKey(period, index) {
+    if (period === 'WEEKLY') {
+        // ISO weeks belong to the year their Thursday falls in (day 7 * index, see challengePeriodIndex)
+        const thursday = new Date(index * 7 * MS_PER_DAY);
+        const year = thursday.getUTCFullYear();
+        const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * MS_PER_DAY)) + 1;
+        return `${year}-W${String(week).padStart(2, '0')}`;
+    }
+    return new Date(index * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Build the challenge for a period on a date
+ * @param {string} period - CHALLENGE_PERIODS key
+ * @param {Date} [date=new Date()] - Local clock
+ * @returns {Challenge}
+ */
+export function createChallenge(period, date = new Date()) {
+    const def = CHALLENGE_PERIODS[period];
+    const index = challengePeriodIndex(period, date);
+    const key = challengeKey(period, index);
+    const id = `${period}:${key}`;
+    const rng = new SeededRandom(hashSeed(`${id}:modifiers`));
+
+    const character = rng.pick(Object.keys(CHARACTERS));
+    const own = CHARACTERS[character].startingWeapons || [];
+    // Behaviour weapons are the ones offered on level-up; character weapons need their owner
+    const weapons = Object.keys(WEAPONS).filter(k => WEAPONS[k].behavior && !isEvolvedWeapon(k) && !own.includes(k));
+    const runes = Object.keys(RUNES).filter(k => !RUNES[k].metaUnlock);
+
+    return {
+        id,
+        period,
+        key,
+        index,
+        seed: hashSeed(id),
+        character,
+        startingWeapon: rng.pick(weapons),
+        spawnMult: rng.pick(def.spawnMults),
+        bannedRunes: rng.shuffle(runes).slice(0, def.bannedRunes).sort(),
+        practice: false
+    };
+}
+
+// ============================================================================
+// ATTEMPTS AND STREAKS
+// ============================================================================
+
+/**
+ * Saved attempt at a challenge
+ * @param {string} id - Challenge id
+ * @returns {import('./StateManager.js').ChallengeEntry|null}
+ */
+export function getChallengeAttempt(id) {
+    return getChallengeHistory().find(e => e.id === id) || null;
+}
+
+/**
+ * Use up the scored attempt, or mark the challenge as practice if it is gone
+ * @param {Challenge} challenge
+ * @returns {Challenge} The challenge to play
+ */
+export function beginChallenge(challenge) {
+    const started = startChallengeAttempt({
+        id: challenge.id,
+        period: challenge.period,
+        key: challenge.key,
+        index: challenge.index,
+        character: challenge.character,
+        score: 0,
+        kills: 0,
+        time: 0,
+        level: 1,
+        finished: false,
+        timestamp: Date.now()
+    });
+    return { ...challenge, practice: !started };
+}
+
+/**
+ * Consecutive days or weeks with an attempt
+ * @param {string} period - CHALLENGE_PERIODS key
+ * @param {Date} [date=new Date()] - Local clock
+ * @returns {{current: number, best: number}} `current` still counts if only today's is missing
+ */
+export function getChallengeStreak(period, date = new Date()) {
+    const played = new Set(getChallengeHistory().filter(e => e.period === period).map(e => e.index));
+    const sorted = [...played].sort((a, b) => a - b);
+
+    let best = 0;
+    let run = 0;
+    sorted.forEach((index, i) => {
+        run = i > 0 && sorted[i - 1] === index - 1 ? run + 1 : 1;
+        best = Math.max(best, run);
+    });
+
+    const today = challengePeriodIndex(period, date);
+    let current = 0;
+    for (let index = played.has(today) ? today : today - 1; played.has(index); index--) current++;
+    return { current, best };
+}
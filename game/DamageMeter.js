@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Per-source damage meter
+ * Tallies every hit the player's side lands on enemies by the weapon, aura,
+ * summon or passive that dealt it: damage that landed, overkill (damage past
+ * 0 HP), hits, crits and kills. Shown in the pause overlay and on the game
+ * over screen, and used by the balance simulation for per-weapon DPS.
+ *
+ * @module game/DamageMeter
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Running totals for one damage source
+ * @typedef {Object} DamageSourceStats
+ * @property {number} damage - Damage that landed (capped at the target's remaining HP)
+ * @property {number} overkill - Damage past 0 HP on killing blows
+ * @property {number} hits
+ * @property {number} crits
+ * @property {number} kills
+ */
+
+/**
+ * One line of the meter
+ * @typedef {Object} DamageMeterRow
+ * @property {string} source - Weapon/passive key
+ * @property {number} damage
+ * @property {number} dps - Damage per second over the given time
+ * @property {number} share - Fraction of all damage (0-1)
+ * @property {number} hits
+ * @property {number} critRate - Crits per hit (0-1)
+ * @property {number} kills
+ * @property {number} overkill
+ */
+
+// ============================================================================
+// DAMAGE METER
+// ============================================================================
+
+/**
+ * Damage tally per source
+ * @class
+ * @example
+ * const meter = new DamageMeter();
+ * meter.recordHit('FIREBALL', 12, 12, false);
+ * meter.recordKill('FIREBALL', 3);
+ * meter.rows(60); // [{ source: 'FIREBALL', damage: 12, dps: 0.2, ... }]
+ */
+export class DamageMeter {
+    constructor() {
+        /** @type {Object<string, DamageSourceStats>} */
+        this.sources = {};
+    }
+
+    /**
+     * @private
+     * @param {string} source
+     * @returns {DamageSourceStats}
+     */
+    _entry(source) {
+        if (!this.sources[source]) {
+            this.sources[source] = { damage: 0, overkill: 0, hits: 0, crits: 0, kills: 0 };
+        }
+        return this.sources[source];
+    }
+
+    /**
+     * Record one hit
+     * @param {string} source - Weapon/passive key
+     * @param {number} dealt - Damage that landed
+     * @param {boolean} isCrit
+     */
+    recordHit(source, dealt, isCrit) {
+        const entry = this._entry(source);
+        entry.damage += dealt;
+        entry.hits++;
+        if (isCrit) entry.crits++;
+    }
+
+    /**
+     * Record a killing blow
+     * @param {string} source - Weapon/passive key
+     * @param {number} overkill - Damage past 0 HP
+     */
+    recordKill(source, overkill) {
+        const entry = this._entry(source);
+        entry.kills++;
+        entry.overkill += overkill;
+    }
+
+    /** @returns {number} Damage landed by every source */
+    get totalDamage() {
+        return Object.values(this.sources).reduce((sum, s) => sum + s.damage, 0);
+    }
+
+    /**
+     * Damage landed per source
+     * @returns {Object<string, number>}
+     */
+    damageBySource() {
+        const result = {};
+        for (const [source, stats] of Object.entries(this.sources)) result[source] = stats.damage;
+        return result;
+    }
+
+    /**
+     * Meter lines, most damage first
+     * @param {number} time - Seconds the damage was dealt over (for DPS)
+     * @returns {DamageMeterRow[]}
+     */
+    rows(time) {
+        const total = this.totalDamage || 1;
+        return Object.entries(this.sources)
+            .map(([source, s]) => ({
+                source,
+                damage: s.damage,
+                dps: time > 0 ? s.damage / time : 0,
+                share: s.damage / total,
+                hits: s.hits,
+                critRate: s.hits > 0 ? s.crits / s.hits : 0,
+                kills: s.kills,
+                overkill: s.overkill
+            }))
+            .sort((a, b) => b.damage - a.damage);
+    }
+
+    /**
+     * Forget all totals (new run)
+     */
+    reset() {
+        this.sources = {};
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the meter as an HTML table (pause overlay, game over screen)
+ * @param {DamageMeterRow[]} rows
+ * @param {function(string): string} labelFor - Display name for a source key
+ * @returns {string} HTML
+ */
+export function renderDamageMeter(rows, labelFor) {
+    if (rows.length === 0) {
+        return '<div style="color:#888">No damage dealt yet.</div>';
+    }
+    const cell = 'padding:1px 4px; text-align:right;';
+    let html = '<table style="width:100%; border-collapse:collapse; font-size:0.6rem;">';
+    html += `<tr style="color:#888"><td></td><td style="${cell}">DMG</td><td style="${cell}">DPS</td>` +
+        `<td style="${cell}">KILLS</td><td style="${cell}">CRIT</td><td style="${cell}">OVERKILL</td></tr>`;
+    for (const r of rows) {
+        const pct = Math.round(r.share * 100);
+        html += `<tr>
+            <td style="padding:1px 4px; color:#eee; background:linear-gradient(90deg, rgba(255,215,0,0.25) ${pct}%, transparent ${pct}%);">${labelFor(r.source)}</td>
+            <td style="${cell}">${Math.round(r.damage).toLocaleString()} <span style="color:#888">${pct}%</span></td>
+            <td style="${cell}">${r.dps.toFixed(1)}</td>
+            <td style="${cell}">${r.kills}</td>
+            <td style="${cell}">${Math.round(r.critRate * 100)}%</td>
+            <td style="${cell}">${Math.round(r.overkill).toLocaleString()}</td>
+        </tr>`;
+    }
+    return html + '</table>';
+}
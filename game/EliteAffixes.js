@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Elite affixes
+ * Behaviour and markers for the ELITE_AFFIXES config table. An elite carries
+ * `affixes` (ids into that table); each affix can hook into the enemy's
+ * spawn, every tick it is alive, damage it takes, melee hits it lands and
+ * its death. Numbers live in config; the hooks here read them.
+ *
+ * Elites are marked by an aura ring per affix under their feet, a glow in
+ * the first affix's colour and a name plate with the affix prefixes and
+ * their health (and shield). Ground hazards some affixes leave behind are
+ * tracked here too.
+ *
+ * A new affix is a config entry plus, if it does more than change speedMult
+ * or attackRateMult, hooks registered here.
+ *
+ * @module game/EliteAffixes
+ */
+
+import * as THREE from 'three';
+import { ELITE, ELITE_AFFIXES, weaponStatAt } from './config.js';
+import { TELEGRAPH_SHAPES, telegraphContains } from './Telegraphs.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * What an affix does. Every hook is optional and gets the affix's config entry last.
+ * @typedef {Object} EliteAffixHooks
+ * @property {function(Game, Object, EliteAffixDef): void} [spawn] - Once the enemy exists
+ * @property {function(Game, Object, number, EliteAffixDef): void} [update] - Every tick while alive (dt)
+ * @property {function(Game, Object, number, EliteAffixDef): number} [absorb] - Damage about to be taken; returns what reaches health
+ * @property {function(Game, Object, number, EliteAffixDef): void} [hitPlayer] - After one of its melee hits (damage dealt)
+ * @property {function(Game, Object, EliteAffixDef): void} [death] - When killed (not when despawned)
+ */
+
+/**
+ * Patch of ground that puts a status on the player while they stand in it
+ * @typedef {Object} GroundHazardSpec
+ * @property {number} x
+ * @property {number} z
+ * @property {number} [y=0] - Ground height
+ * @property {number} radius
+ * @property {number} lifetime - Seconds
+ * @property {number} color
+ * @property {{id: string, duration: number, potency?: number}} status - Applied via Game.applyStatus
+ * @property {string} source - Damage source name (who left it)
+ */
+
+// ============================================================================
+// BUILT-IN AFFIXES
+// ============================================================================
+
+/**
+ * Shield of `shield` x max HP soaks damage first and recharges after `regenDelay` quiet seconds
+ * @type {EliteAffixHooks}
+ */
+const shielded = {
+    spawn(game, enemy, def) {
+        enemy.affixShieldMax = enemy.maxHp * def.shield;
+        enemy.affixShield = enemy.affixShieldMax;
+        enemy.affixShieldHitAt = -Infinity;
+    },
+    update(game, enemy, dt, def) {
+        if (enemy.affixShield >= enemy.affixShieldMax) return;
+        if (game.gameTime - enemy.affixShieldHitAt < def.regenDelay) return;
+        enemy.affixShield = Math.min(enemy.affixShieldMax, enemy.affixShield + enemy.affixShieldMax * def.regenRate * dt);
+    },
+    absorb(game, enemy, amount, def) {
+        enemy.affixShieldHitAt = game.gameTime;
+        if (enemy.affixShield <= 0) return amount;
+        const soaked = Math.min(enemy.affixShield, amount);
+        enemy.affixShield -= soaked;
+        if (enemy.affixShield <= 0) {
+            game.particleSystem.emit(enemy.mesh.position.clone(), def.color, 20); // Shield breaks
+        }
+        return amount - soaked;
+    }
+};
+
+/**
+ * Telegraphed blast of `radius` where it died, landing after `fuse`
+ * @type {EliteAffixHooks}
+ */
+const explosive = {
+    death(game, enemy, def) {
+        const at = enemy.mesh.position.clone();
+        const source = game.damageSourceName(enemy);
+        const area = game.telegraphs.add({
+            shape: TELEGRAPH_SHAPES.CIRCLE, x: at.x, z: at.z, y: game.getTerrainHeight(at.x, at.z),
+            radius: def.radius, duration: def.fuse, color: def.color
+        });
+        game.scheduleSim(def.fuse, () => {
+            if (!game.isPlaying) return;
+            game.particleSystem.emit(at, def.color, 60);
+            game.playSound('boom', 0.7, 0.8);
+            game.screenShake = Math.max(game.screenShake || 0, 0.4);
+            const p = game.playerBody.position;
+            if (telegraphContains(area, p.x, p.z)) {
+                game.takeDamage(weaponStatAt(def.damage, game.level), source);
+            }
+        });
+    }
+};
+
+/**
+ * Heals `lifesteal` x the damage of each melee hit
+ * @type {EliteAffixHooks}
+ */
+const vampiric = {
+    hitPlayer(game, enemy, damage, def) {
+        const heal = Math.min(enemy.maxHp - enemy.hp, damage * def.lifesteal);
+        if (heal <= 0) return;
+        enemy.hp += heal;
+        game.particleSystem.emit(enemy.mesh.position.clone(), def.color, 10);
+        game.spawnDamageNumber(enemy.mesh.position.clone().add(new THREE.Vector3(0, enemy.size + 1, 0)), `+${Math.round(heal)}`, false, true);
+    }
+};
+
+/**
+ * Splits into `count` regular copies of its type with `hpFraction` of its max HP
+ * @type {EliteAffixHooks}
+ */
+const splitting = {
+    death(game, enemy, def) {
+        const { x, z } = enemy.body.position;
+        for (let i = 0; i < def.count; i++) {
+            const angle = (i / def.count) * Math.PI * 2;
+            let sx = x + Math.sin(angle) * enemy.size * 1.5;
+            let sz = z + Math.cos(angle) * enemy.size * 1.5;
+            if (game.isLava(sx, sz)) {
+                sx = x;
+                sz = z;
+            }
+            game.createEnemy({
+                overrideType: enemy.type, overrideX: sx, overrideZ: sz,
+                overrideHp: enemy.maxHp * def.hpFraction, plain: true
+            });
+        }
+    }
+};
+
+/**
+ * Leaves a patch every `interval` seconds that chills the player
+ * @type {EliteAffixHooks}
+ */
+const frostTrail = {
+    update(game, enemy, dt, def) {
+        enemy.affixTrailTimer = (enemy.affixTrailTimer || 0) - dt;
+        if (enemy.affixTrailTimer > 0) return;
+        enemy.affixTrailTimer = def.interval;
+        const { x, z } = enemy.body.position;
+        game.groundHazards.add({
+            x, z, y: game.getTerrainHeight(x, z),
+            radius: def.radius, lifetime: def.lifetime, color: def.color,
+            status: def.status, source: game.damageSourceName(enemy)
+        });
+    }
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** @type {Map<string, EliteAffixHooks>} Hasted only changes multipliers */
+const affixHooks = new Map(Object.entries({
+    SHIELDED: shielded,
+    EXPLOSIVE: explosive,
+    VAMPIRIC: vampiric,
+    HASTED: {},
+    SPLITTING: splitting,
+    FROST_TRAIL: frostTrail
+}));
+
+/**
+ * Register (or replace) the hooks for an ELITE_AFFIXES id
+ * @param {string} id
+ * @param {EliteAffixHooks} hooks
+ */
+export function registerEliteAffix(id, hooks) {
+    if (!hooks || typeof hooks !== 'object') {
+        throw new Error(`Elite affix "${id}" needs a hooks object`);
+    }
+    affixHooks.set(id, hooks);
+}
+
+/**
+ * Hooks for an affix id
+ * @param {string} id
+ * @returns {EliteAffixHooks}
+ * @throws {Error} If nothing is registered under the id
+ */
+export function getEliteAffix(id) {
+    const hooks = affixHooks.get(id);
+    if (!hooks) {
+        throw new Error(`Unknown elite affix: ${id}`);
+    }
+    return hooks;
+}
+
+/**
+ * @returns {string[]} Registered affix ids
+ */
+export function getEliteAffixIds() {
+    return [...affixHooks.keys()];
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+/**
+ * Call one hook of every affix an enemy has
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {string} hook - 'spawn', 'update', 'hitPlayer' or 'death'
+ * @param {...*} args - Passed between the enemy and the affix definition
+ */
+export function runAffixHook(game, enemy, hook, ...args) {
+    if (!enemy.affixes) return;
+    for (const id of enemy.affixes) {
+        const fn = getEliteAffix(id)[hook];
+        if (fn) fn(game, enemy, ...args, ELITE_AFFIXES[id]);
+    }
+}
+
+/**
+ * Pass incoming damage through every affix's `absorb`
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {number} amount
+ * @returns {number} Damage that reaches health
+ */
+export function absorbAffixDamage(game, enemy, amount) {
+    if (!enemy.affixes) return amount;
+    for (const id of enemy.affixes) {
+        const absorb = getEliteAffix(id).absorb;
+        if (absorb) amount = absorb(game, enemy, amount, ELITE_AFFIXES[id]);
+    }
+    return amount;
+}
+
+/**
+ * Product of one multiplier field over an enemy's affixes
+ * @param {Object} enemy
+ * @param {string} key - e.g. 'speedMult', 'attackRateMult'
+ * @returns {number}
+ */
+export function affixMultiplier(enemy, key) {
+    if (!enemy.affixes) return 1;
+    return enemy.affixes.reduce((mult, id) => mult * (ELITE_AFFIXES[id][key] || 1), 1);
+}
+
+/**
+ * Display name with affix prefixes, e.g. "Shielded Vampiric Skeleton"
+ * @param {string} baseName
+ * @param {string[]} affixes
+ * @returns {string}
+ */
+export function eliteName(baseName, affixes) {
+    return [...affixes.map(id => ELITE_AFFIXES[id].prefix), baseName].join(' ');
+}
+
+/**
+ * Glow colour of an elite: its first affix's, or the plain elite gold
+ * @param {Object} enemy
+ * @returns {number}
+ */
+export function eliteTint(enemy) {
+    return enemy.affixes && enemy.affixes.length > 0 ? ELITE_AFFIXES[enemy.affixes[0]].color : ELITE.TINT;
+}
+
+// ============================================================================
+// MARKERS
+// ============================================================================
+
+/** Name plate canvas size and world scale */
+const PLATE = Object.freeze({ WIDTH: 256, HEIGHT: 64, SCALE_X: 3.2, SCALE_Y: 0.8, LIFT: 1.4 });
+
+/**
+ * Aura rings and name plate that follow an elite
+ * @class
+ * @example
+ * enemy.eliteMarker = new EliteMarker(scene, enemy);
+ * enemy.eliteMarker.update(enemy, dt); // every tick
+ * enemy.eliteMarker.dispose();         // when it leaves play
+ */
+export class EliteMarker {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} enemy - Needs name, size, affixes
+     */
+    constructor(scene, enemy) {
+        this.scene = scene;
+        const affixes = enemy.affixes || [];
+
+        /** One ring per affix, nested outwards */
+        this.aura = new THREE.Group();
+        affixes.forEach((id, i) => {
+            const inner = enemy.size * (1.1 + i * 0.35);
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(inner, inner + 0.18, 40),
+                new THREE.MeshBasicMaterial({
+                    color: ELITE_AFFIXES[id].color, transparent: true, opacity: 0.75,
+                    side: THREE.DoubleSide, depthWrite: false
+                })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            this.aura.add(ring);
+        });
+        scene.add(this.aura);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = PLATE.WIDTH;
+        this.canvas.height = PLATE.HEIGHT;
+        this.ctx = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.plate = new THREE.Sprite(new THREE.SpriteMaterial({ map: this.texture, transparent: true, depthWrite: false }));
+        this.plate.scale.set(PLATE.SCALE_X, PLATE.SCALE_Y, 1);
+        scene.add(this.plate);
+
+        /** @private Last drawn health/shield, to redraw only on change */
+        this._drawn = null;
+        /** @private */
+        this._color = '#' + new THREE.Color(eliteTint(enemy)).getHexString();
+    }
+
+    /**
+     * Follow the enemy and refresh the plate if its health or shield changed
+     * @param {Object} enemy
+     * @param {number} dt
+     */
+    update(enemy, dt) {
+        const pos = enemy.mesh.position;
+        this.aura.position.set(pos.x, pos.y - enemy.size + 0.06, pos.z);
+        this.aura.children.forEach((ring, i) => { ring.rotation.z += dt * (i % 2 === 0 ? 1 : -1); });
+        this.plate.position.set(pos.x, pos.y + enemy.size + PLATE.LIFT, pos.z);
+
+        const hp = Math.max(0, Math.round((enemy.hp / enemy.maxHp) * 100));
+        const shield = enemy.affixShieldMax ? Math.round((enemy.affixShield / enemy.affixShieldMax) * 100) : 0;
+        const key = hp * 1000 + shield;
+        if (key !== this._drawn) {
+            this._drawn = key;
+            this.draw(enemy.name, hp / 100, shield / 100);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} hp - 0-1
+     * @param {number} shield - 0-1
+     */
+    draw(name, hp, shield) {
+        const { ctx } = this;
+        const w = PLATE.WIDTH, h = PLATE.HEIGHT;
+        ctx.clearRect(0, 0, w, h);
+        ctx.font = 'bold 22px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = 'rgba(0,0,0,0.8)';
+        ctx.fillText(name, w / 2 + 2, 20);
+        ctx.fillStyle = this._color;
+        ctx.fillText(name, w / 2, 18);
+
+        const barX = 16, barY = 40, barW = w - 32, barH = 12;
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fillRect(barX - 2, barY - 2, barW + 4, barH + 4);
+        ctx.fillStyle = '#ff3030';
+        ctx.fillRect(barX, barY, barW * hp, barH);
+        if (shield > 0) {
+            ctx.fillStyle = 'rgba(80,170,255,0.85)';
+            ctx.fillRect(barX, barY, barW * shield, barH / 2);
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.aura);
+        this.aura.children.forEach(ring => {
+            ring.geometry.dispose();
+            ring.material.dispose();
+        });
+        this.scene.remove(this.plate);
+        this.plate.material.dispose();
+        this.texture.dispose();
+    }
+}
+
+// ============================================================================
+// GROUND HAZARDS
+// ============================================================================
+
+/**
+ * Patches left on the ground by affixes (e.g. frost trails). They fade out
+ * over their lifetime; the game asks which one the player stands in.
+ * @class
+ */
+export class GroundHazards {
+    /**
+     * @param {THREE.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        /** @type {{spec: GroundHazardSpec, age: number, mesh: THREE.Mesh}[]} */
+        this.active = [];
+    }
+
+    /**
+     * @param {GroundHazardSpec} spec
+     */
+    add(spec) {
+        const mesh = new THREE.Mesh(
+            new THREE.CircleGeometry(spec.radius, 24),
+            new THREE.MeshBasicMaterial({ color: spec.color, transparent: true, opacity: 0.5, depthWrite: false })
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(spec.x, (spec.y || 0) + 0.05, spec.z);
+        this.scene.add(mesh);
+        this.active.push({ spec, age: 0, mesh });
+    }
+
+    /**
+     * Age and fade patches, removing expired ones
+     * @param {number} dt
+     */
+    update(dt) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const h = this.active[i];
+            h.age += dt;
+            if (h.age >= h.spec.lifetime) {
+                this.dispose(h);
+                this.active.splice(i, 1);
+                continue;
+            }
+            h.mesh.material.opacity = 0.5 * (1 - h.age / h.spec.lifetime);
+        }
+    }
+
+    /**
+     * The newest patch covering a point, if any
+     * @param {number} x
+     * @param {number} z
+     * @returns {GroundHazardSpec|null}
+     */
+    at(x, z) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const { spec } = this.active[i];
+            const dx = x - spec.x, dz = z - spec.z;
+            if (dx * dx + dz * dz <= spec.radius * spec.radius) return spec;
+        }
+        return null;
+    }
+
+    /**
+     * Remove every patch (world rebuilds)
+     */
+    clear() {
+        this.active.forEach(h => this.dispose(h));
+        this.active = [];
+    }
+
+    /**
+     * @param {{mesh: THREE.Mesh}} h
+     */
+    dispose(h) {
+        this.scene.remove(h.mesh);
+        h.mesh.geometry.dispose();
+        h.mesh.material.dispose();
+    }
+}
@@ -0,0 +1,575 @@
+/**
+ * @fileoverview Enemy AI
+ * A small state machine per regular enemy. Every enemy is always in one of
+ * five states (idle, approach, attack, flee, recover); its ENEMY_BEHAVIORS
+ * entry in the ENEMIES table picks the behaviour here that moves it between
+ * them and tells Game.updateEnemies how to move this tick.
+ *
+ * Walking (flow field, wander, crowd separation, walls), contact hits and
+ * the kamikaze blast stay in Game.updateEnemies; what a behaviour does on
+ * its own (arrows, heal pulses, burrowing, charges) happens here through the
+ * game API, as boss attacks do in BossAttacks.js. Stunned enemies drop to
+ * idle unless they are committed to their attack.
+ *
+ * Decisions are deterministic (only dust and flashes roll, on the 'fx'
+ * stream), so seeded runs and replays play out the same.
+ *
+ * @module game/EnemyAI
+ */
+
+import * as THREE from 'three';
+import { ENEMY_BEHAVIORS, ELITE } from './config.js';
+import { TELEGRAPH_SHAPES, telegraphContains } from './Telegraphs.js';
+import { affixMultiplier } from './EliteAffixes.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Per-enemy AI record (`enemy.ai`). Behaviours keep their own scratch
+ * fields on it too.
+ * @typedef {Object} EnemyAIState
+ * @property {string} state - AI_STATES value
+ * @property {number} time - Seconds in the current state
+ * @property {number} cooldown - Seconds until the behaviour's attack is ready (ticks faster with attack rate)
+ */
+
+/**
+ * What the enemy sees this tick
+ * @typedef {Object} EnemySense
+ * @property {number} dist - Distance to the player
+ * @property {number} dx - Horizontal unit direction to the player
+ * @property {number} dz
+ */
+
+/**
+ * How Game.updateEnemies moves the enemy this tick
+ * @typedef {Object} EnemyIntent
+ * @property {string} move - MOVES value
+ * @property {number} speedMult - Multiplies the enemy's walking speed
+ * @property {boolean} melee - Whether contact hits can land
+ * @property {number} [dirX] - Direction for MOVES.DASH
+ * @property {number} [dirZ]
+ */
+
+/**
+ * @typedef {Object} EnemyBehavior
+ * @property {function(Game, Object, EnemyAIState, EnemySense, number): EnemyIntent} update - Advance the state machine (dt last)
+ * @property {function(EnemyAIState): boolean} [committed] - True while a stun must not interrupt it
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const AI_STATES = Object.freeze({
+    IDLE: 'idle',         // Not doing anything (just spawned, stunned)
+    APPROACH: 'approach', // Closing in on the player
+    ATTACK: 'attack',     // Winding up, shooting, casting, tunnelling, charging or in melee reach
+    FLEE: 'flee',         // Backing off
+    RECOVER: 'recover'    // Standing after an attack
+});
+
+export const MOVES = Object.freeze({
+    TOWARD: 'toward', // Follow the flow field to the player
+    AWAY: 'away',     // Straight away from the player
+    HOLD: 'hold',     // Stand still facing the player
+    DASH: 'dash'      // Fixed direction (dirX, dirZ)
+});
+
+/** Regular enemies move by position; physics pushes from overlaps are capped to this (units/second) */
+export const MAX_ENEMY_PUSH_SPEED = 4;
+
+/** Melee reach used to tell approach from attack for contact fighters */
+const MELEE_REACH = 1.8;
+
+const INTENTS = Object.freeze({
+    CHASE: Object.freeze({ move: MOVES.TOWARD, speedMult: 1, melee: true }),
+    WALK: Object.freeze({ move: MOVES.TOWARD, speedMult: 1, melee: false }),
+    HOLD: Object.freeze({ move: MOVES.HOLD, speedMult: 0, melee: false }),
+    FLEE: Object.freeze({ move: MOVES.AWAY, speedMult: 1.1, melee: false })
+});
+
+/** Bosses attack through BossAttacks.js; the enemy loop only walks them in and lets them hit on contact */
+export const BOSS_INTENT = INTENTS.CHASE;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Switch state, restarting the state timer
+ * @param {EnemyAIState} ai
+ * @param {string} state
+ */
+function setState(ai, state) {
+    if (ai.state === state) return;
+    ai.state = state;
+    ai.time = 0;
+}
+
+/**
+ * Damage of an enemy's own attack (elites hit harder)
+ * @param {Game} game
+ * @param {Object} enemy
+ * @returns {number}
+ */
+function attackDamage(game, enemy) {
+    const base = enemy.def.damage + game.level * enemy.def.damagePerLevel;
+    return enemy.isElite ? base * ELITE.DAMAGE_MULT : base;
+}
+
+/**
+ * Shared ranged-unit movement: back off inside `fleeRange` until `keepAway`, walk in beyond `range`
+ * @param {EnemyAIState} ai
+ * @param {EnemySense} sense
+ * @param {{range: number, keepAway: number, fleeRange: number}} def
+ * @returns {EnemyIntent|null} Movement when not standing to attack
+ */
+function keepDistance(ai, sense, def) {
+    if (ai.state === AI_STATES.FLEE) {
+        // Cornered for a while: stand and fight
+        if (sense.dist >= def.keepAway || ai.time > 3) setState(ai, AI_STATES.ATTACK);
+        else return INTENTS.FLEE;
+    }
+    if (sense.dist < def.fleeRange) {
+        setState(ai, AI_STATES.FLEE);
+        return INTENTS.FLEE;
+    }
+    if (sense.dist > def.range) {
+        setState(ai, AI_STATES.APPROACH);
+        return INTENTS.WALK;
+    }
+    if (ai.state === AI_STATES.APPROACH || ai.state === AI_STATES.IDLE) setState(ai, AI_STATES.ATTACK);
+    return null;
+}
+
+// ============================================================================
+// PROJECTILES
+// ============================================================================
+
+/**
+ * Arrow mesh pointing along +Z
+ * @returns {THREE.Object3D}
+ */
+function buildArrow() {
+    const group = new THREE.Group();
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1.0, 5), new THREE.MeshStandardMaterial({ color: 0x8b5a2b }));
+    shaft.rotation.x = Math.PI / 2;
+    group.add(shaft);
+    const tip = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.25, 5), new THREE.MeshBasicMaterial({ color: 0xdddddd }));
+    tip.rotation.x = Math.PI / 2;
+    tip.position.z = 0.6;
+    group.add(tip);
+    return group;
+}
+
+/**
+ * Shoot an arrow from the enemy at the player (an enemy bullet)
+ * @param {Game} game
+ * @param {Object} enemy
+ */
+function shootArrow(game, enemy) {
+    const ranged = enemy.def.ranged;
+    const from = enemy.mesh.position.clone();
+    from.y += enemy.size * 0.5;
+    const to = new THREE.Vector3().copy(game.playerBody.position);
+    const dir = to.sub(from).normalize();
+
+    const mesh = buildArrow();
+    mesh.position.copy(from);
+    mesh.lookAt(from.clone().add(dir));
+    game.scene.add(mesh);
+    game.enemyBullets.push({
+        mesh,
+        velocity: dir.multiplyScalar(ranged.speed),
+        life: ranged.life,
+        damage: attackDamage(game, enemy),
+        source: game.damageSourceName(enemy),
+        trail: 0xccbb99
+    });
+    game.playSound('bonk', 2.2, 0.2);
+}
+
+// ============================================================================
+// BEHAVIOURS
+// ============================================================================
+
+/**
+ * Chasers: walk in, hit on contact
+ * @type {EnemyBehavior}
+ */
+const chase = {
+    update(game, enemy, ai, sense) {
+        setState(ai, sense.dist < MELEE_REACH ? AI_STATES.ATTACK : AI_STATES.APPROACH);
+        return INTENTS.CHASE;
+    }
+};
+
+/**
+ * Kamikaze: walk in; within trigger range it commits to the blast (Game.updateEnemies runs the fuse)
+ * @type {EnemyBehavior}
+ */
+const kamikaze = {
+    update(game, enemy, ai, sense) {
+        if (ai.state !== AI_STATES.ATTACK) {
+            setState(ai, sense.dist < enemy.def.explosion.triggerRange ? AI_STATES.ATTACK : AI_STATES.APPROACH);
+        }
+        return INTENTS.WALK;
+    },
+    committed: (ai) => ai.state === AI_STATES.ATTACK
+};
+
+/**
+ * Archers: hold between keepAway and range, draw and shoot; back off when rushed
+ * @type {EnemyBehavior}
+ */
+const kite = {
+    update(game, enemy, ai, sense, dt) {
+        const ranged = enemy.def.ranged;
+        if (ai.state === AI_STATES.RECOVER) {
+            if (ai.time < ranged.recover) return INTENTS.HOLD;
+            setState(ai, AI_STATES.ATTACK);
+        }
+        const move = keepDistance(ai, sense, ranged);
+        if (move) {
+            ai.draw = 0;
+            return move;
+        }
+
+        if (ai.cooldown <= 0) {
+            ai.draw = (ai.draw || 0) + dt;
+            if (ai.draw >= ranged.windup) {
+                shootArrow(game, enemy);
+                ai.draw = 0;
+                ai.cooldown = ranged.cooldown;
+                setState(ai, AI_STATES.RECOVER);
+            }
+        }
+        return INTENTS.HOLD;
+    }
+};
+
+/**
+ * Shamans: hang back and pulse heals and the empower buff over nearby enemies
+ * @type {EnemyBehavior}
+ */
+const support = {
+    update(game, enemy, ai, sense, dt) {
+        const def = enemy.def.support;
+        if (ai.state === AI_STATES.RECOVER) {
+            if (ai.time < def.recover) return INTENTS.HOLD;
+            setState(ai, AI_STATES.ATTACK);
+        }
+        const move = keepDistance(ai, sense, { range: def.keepAway * 1.3, keepAway: def.keepAway, fleeRange: def.fleeRange });
+        if (move) {
+            ai.cast = 0;
+            return move;
+        }
+
+        if (ai.cooldown <= 0) {
+            ai.cast = (ai.cast || 0) + dt;
+            if (ai.cast >= def.cast) {
+                supportPulse(game, enemy, def);
+                ai.cast = 0;
+                ai.cooldown = def.cooldown;
+                setState(ai, AI_STATES.RECOVER);
+            }
+        }
+        return INTENTS.HOLD;
+    }
+};
+
+/**
+ * Heal and buff every non-boss enemy around the caster
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {EnemySupportDef} def
+ */
+function supportPulse(game, enemy, def) {
+    const at = enemy.mesh.position;
+    for (const ally of game.enemiesNear(at, def.radius)) {
+        if (ally.isBoss || ally.hp <= 0) continue;
+        if (ally.mesh.position.distanceTo(at) > def.radius) continue;
+        ally.hp = Math.min(ally.maxHp, ally.hp + ally.maxHp * def.heal);
+        const { id, duration } = def.status;
+        game.applyStatus(ally, id, { duration, source: game.damageSourceName(enemy) });
+        game.particleSystem.emit(ally.mesh.position.clone(), 0x33ff77, 6);
+    }
+    game.particleSystem.emit(at.clone(), 0x66ff99, 30);
+    game.playSound('bonk', 0.6, 0.3);
+}
+
+/**
+ * Burrowers: walk in, dig under and tunnel to the player, erupt after a ground warning, then sit dazed
+ * @type {EnemyBehavior}
+ */
+const burrow = {
+    update(game, enemy, ai, sense, dt) {
+        const def = enemy.def.burrow;
+        switch (ai.state) {
+            case AI_STATES.ATTACK:
+                return tunnel(game, enemy, ai, sense, def, dt);
+            case AI_STATES.RECOVER:
+                if (ai.time >= def.recover) setState(ai, AI_STATES.APPROACH);
+                return INTENTS.HOLD;
+            default:
+                setState(ai, AI_STATES.APPROACH);
+                if (sense.dist <= def.range && ai.cooldown <= 0) {
+                    setState(ai, AI_STATES.ATTACK);
+                    setBurrowed(game, enemy, ai, true);
+                    return INTENTS.WALK;
+                }
+                return INTENTS.CHASE;
+        }
+    },
+    committed: (ai) => !!ai.burrowed
+};
+
+/**
+ * Underground part of a burrower's attack
+ * @returns {EnemyIntent}
+ */
+function tunnel(game, enemy, ai, sense, def, dt) {
+    const pos = enemy.body.position;
+    if (!ai.eruption) {
+        const horiz = Math.hypot(game.playerBody.position.x - pos.x, game.playerBody.position.z - pos.z);
+        if (horiz > 1.2 && ai.time < def.maxTime) {
+            if (game.roll('fx') < 0.5) {
+                game.particleSystem.emit(new THREE.Vector3(pos.x, game.getTerrainHeight(pos.x, pos.z) + 0.1, pos.z), 0x7c5a3a, 2);
+            }
+            return { move: MOVES.TOWARD, speedMult: def.speedMult, melee: false };
+        }
+        // Under the player (or out of breath): mark the ground and hold
+        ai.eruption = game.telegraphs.add({
+            shape: TELEGRAPH_SHAPES.CIRCLE, x: pos.x, z: pos.z, y: game.getTerrainHeight(pos.x, pos.z),
+            radius: def.radius, duration: def.warn, color: 0x8b5a2b
+        });
+        ai.eruptAt = ai.time + def.warn;
+        return INTENTS.HOLD;
+    }
+    if (ai.time < ai.eruptAt) return INTENTS.HOLD;
+
+    // Erupt
+    const area = ai.eruption;
+    ai.eruption = null;
+    setBurrowed(game, enemy, ai, false);
+    game.particleSystem.emit(enemy.mesh.position.clone(), 0x7c5a3a, 40);
+    game.playSound('boom', 1.4, 0.4);
+    const p = game.playerBody.position;
+    if (telegraphContains(area, p.x, p.z)) {
+        game.takeDamage(attackDamage(game, enemy), game.damageSourceName(enemy));
+        game.playerBody.velocity.y += def.knockup;
+    }
+    ai.cooldown = def.cooldown;
+    setState(ai, AI_STATES.RECOVER);
+    return INTENTS.HOLD;
+}
+
+/**
+ * Hide / show a burrower. Underground it is invisible, untouchable and passes through the player.
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {EnemyAIState} ai
+ * @param {boolean} burrowed
+ */
+function setBurrowed(game, enemy, ai, burrowed) {
+    ai.burrowed = burrowed;
+    enemy.mesh.visible = !burrowed;
+    enemy.body.collisionResponse = !burrowed;
+    if (enemy.eliteMarker) {
+        enemy.eliteMarker.aura.visible = !burrowed;
+        enemy.eliteMarker.plate.visible = !burrowed;
+    }
+    game.particleSystem.emit(enemy.mesh.position.clone(), 0x7c5a3a, 20);
+}
+
+/**
+ * Chargers: walk in, telegraph a lane, dash down it, then sit dazed
+ * @type {EnemyBehavior}
+ */
+const charge = {
+    update(game, enemy, ai, sense, dt) {
+        const def = enemy.def.charge;
+        switch (ai.state) {
+            case AI_STATES.ATTACK:
+                return chargeAttack(game, enemy, ai, def);
+            case AI_STATES.RECOVER:
+                if (ai.time >= def.recover) setState(ai, AI_STATES.APPROACH);
+                return INTENTS.HOLD;
+            default:
+                setState(ai, AI_STATES.APPROACH);
+                if (sense.dist <= def.range && ai.cooldown <= 0) {
+                    // Lock the lane towards where the player is now
+                    const pos = enemy.body.position;
+                    ai.dirX = sense.dx;
+                    ai.dirZ = sense.dz;
+                    ai.hit = false;
+                    game.telegraphs.add({
+                        shape: TELEGRAPH_SHAPES.LINE, x: pos.x, z: pos.z, y: game.getTerrainHeight(pos.x, pos.z),
+                        direction: Math.atan2(sense.dx, sense.dz), length: def.distance, width: def.width,
+                        duration: def.windup, color: 0xff6622
+                    });
+                    setState(ai, AI_STATES.ATTACK);
+                    return { move: MOVES.HOLD, speedMult: 0, melee: false, dirX: ai.dirX, dirZ: ai.dirZ };
+                }
+                return INTENTS.CHASE;
+        }
+    }
+};
+
+/**
+ * Wind-up and dash of a charger
+ * @returns {EnemyIntent}
+ */
+function chargeAttack(game, enemy, ai, def) {
+    if (ai.time < def.windup) {
+        const t = Math.sin(ai.time * 30) * 0.5 + 0.5;
+        game.setEnemyEmissive(enemy, new THREE.Color(0.6 + 0.4 * t, 0.25 * t, 0)); // Snorting, flashing red
+        return { move: MOVES.HOLD, speedMult: 0, melee: false, dirX: ai.dirX, dirZ: ai.dirZ };
+    }
+    if (ai.hit || ai.time >= def.windup + def.distance / def.speed) {
+        game.refreshStatusTint(enemy);
+        ai.cooldown = def.cooldown;
+        setState(ai, AI_STATES.RECOVER);
+        return INTENTS.HOLD;
+    }
+
+    // Dashing: slamming into the player hits, throws them aside and ends the dash
+    const pos = enemy.body.position;
+    const p = game.playerBody.position;
+    if (!ai.hit && Math.hypot(p.x - pos.x, p.z - pos.z) < enemy.size + 1.0 && Math.abs(p.y - pos.y) < 3) {
+        ai.hit = true;
+        game.takeDamage(attackDamage(game, enemy), game.damageSourceName(enemy));
+        game.playerBody.velocity.x += ai.dirX * def.knockback;
+        game.playerBody.velocity.z += ai.dirZ * def.knockback;
+        game.playerBody.velocity.y += 8;
+        game.screenShake = Math.max(game.screenShake || 0, 0.5);
+    }
+    if (game.roll('fx') < 0.5) game.particleSystem.emit(enemy.mesh.position.clone(), 0x8b5a2b, 2);
+    return { move: MOVES.DASH, speedMult: def.speed / enemy.def.speed, melee: false, dirX: ai.dirX, dirZ: ai.dirZ };
+}
+
+/**
+ * Shieldbearers chase like chasers; the shield is checked in blocksProjectile
+ * @type {EnemyBehavior}
+ */
+const guard = {
+    update(game, enemy, ai, sense) {
+        return chase.update(game, enemy, ai, sense);
+    }
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** @type {Map<string, EnemyBehavior>} */
+const behaviors = new Map([
+    [ENEMY_BEHAVIORS.CHASE, chase],
+    [ENEMY_BEHAVIORS.KAMIKAZE, kamikaze],
+    [ENEMY_BEHAVIORS.KITE, kite],
+    [ENEMY_BEHAVIORS.SUPPORT, support],
+    [ENEMY_BEHAVIORS.BURROW, burrow],
+    [ENEMY_BEHAVIORS.CHARGE, charge],
+    [ENEMY_BEHAVIORS.GUARD, guard]
+]);
+
+/**
+ * Register (or replace) the behaviour for an ENEMY_BEHAVIORS value
+ * @param {string} id
+ * @param {EnemyBehavior} behavior
+ */
+export function registerEnemyBehavior(id, behavior) {
+    if (!behavior || typeof behavior.update !== 'function') {
+        throw new Error(`Enemy behaviour "${id}" needs an update function`);
+    }
+    behaviors.set(id, behavior);
+}
+
+/**
+ * @param {string} id
+ * @returns {EnemyBehavior}
+ * @throws {Error} If nothing is registered under the id
+ */
+export function getEnemyBehavior(id) {
+    const behavior = behaviors.get(id);
+    if (!behavior) {
+        throw new Error(`Unknown enemy behaviour: ${id}`);
+    }
+    return behavior;
+}
+
+/**
+ * @returns {string[]} Registered behaviour ids
+ */
+export function getEnemyBehaviorIds() {
+    return [...behaviors.keys()];
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+/**
+ * Fresh AI record (new spawns start idle)
+ * @returns {EnemyAIState}
+ */
+export function createEnemyAI() {
+    return { state: AI_STATES.IDLE, time: 0, cooldown: 0 };
+}
+
+/**
+ * Advance an enemy's state machine one tick. Enemies without a table entry
+ * (ghosts) chase.
+ * @param {Game} game
+ * @param {Object} enemy
+ * @param {EnemySense} sense
+ * @param {number} dt
+ * @returns {EnemyIntent}
+ */
+export function updateEnemyAI(game, enemy, sense, dt) {
+    if (!enemy.ai) enemy.ai = createEnemyAI();
+    const ai = enemy.ai;
+    const behavior = getEnemyBehavior(enemy.def ? enemy.def.behavior : ENEMY_BEHAVIORS.CHASE);
+
+    ai.time += dt;
+    const attackRate = (enemy.statusEffects ? enemy.statusEffects.multiplier('attackMult') : 1) * affixMultiplier(enemy, 'attackRateMult');
+    ai.cooldown = Math.max(0, ai.cooldown - dt * attackRate);
+
+    // Stunned: stand idle (dropping any wind-up) unless committed
+    if (attackRate === 0 && !(behavior.committed && behavior.committed(ai))) {
+        if (ai.state === AI_STATES.ATTACK) game.refreshStatusTint(enemy);
+        setState(ai, AI_STATES.IDLE);
+        return INTENTS.HOLD;
+    }
+    return behavior.update(game, enemy, ai, sense, dt);
+}
+
+/**
+ * Whether an enemy's shield stops a projectile flying with this velocity
+ * (guard enemies, from the front, while not stunned or dazed)
+ * @param {Object} enemy
+ * @param {THREE.Vector3} velocity
+ * @returns {boolean}
+ */
+export function blocksProjectile(enemy, velocity) {
+    const guard = enemy.def && enemy.def.guard;
+    if (!guard || !enemy.ai || enemy.ai.state === AI_STATES.IDLE || enemy.ai.state === AI_STATES.RECOVER) return false;
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed === 0) return false;
+    const yaw = enemy.mesh.rotation.y; // Models face +Z
+    // The projectile comes at the front when it flies against the facing
+    const facing = -(Math.sin(yaw) * velocity.x + Math.cos(yaw) * velocity.z) / speed;
+    return facing >= Math.cos(guard.arc);
+}
+
+/**
+ * Whether an enemy is underground (cannot be hit)
+ * @param {Object} enemy
+ * @returns {boolean}
+ */
+export function isBurrowed(enemy) {
+    return !!(enemy.ai && enemy.ai.burrowed);
+}
@@ -0,0 +1,702 @@
+/**
+ * @fileoverview Enemy model builders
+ * Builds the blocky THREE meshes for regular enemies. Each enemy in the
+ * ENEMIES config table names one of these builders by its `model` id, so a
+ * new enemy only needs a config entry and a builder here. In game each
+ * builder runs once, as the template for an InstancedRenderer batch.
+ *
+ * @module game/EnemyModels
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Limbs swung by the walk animation
+ * @typedef {Object} EnemyAnimParts
+ * @property {THREE.Object3D[]} arms
+ * @property {THREE.Object3D[]} legs
+ */
+
+/**
+ * Builds an enemy's meshes into a group
+ * @callback EnemyModelBuilder
+ * @param {THREE.Group} group - Root group to add meshes to (origin at the feet)
+ * @param {EnemyAnimParts} animParts - Limb lists to fill for the walk animation
+ * @param {function(number, number=): THREE.Color} varyColor - Slight per-spawn shade variation
+ */
+
+// ============================================================================
+// BUILDERS
+// ============================================================================
+
+/**
+ * Ogre: green brute with belt, brow plate and shoulder pads
+ * @type {EnemyModelBuilder}
+ */
+function buildOgre(group, animParts, varyColor) {
+    const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0x4a7c59), flatShading: true });
+    const armorMat = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.3, roughness: 0.6, flatShading: true });
+
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(1.3, 1.6, 0.9),
+        skinMat
+    );
+    body.position.y = 0.8;
+    group.add(body);
+
+    const belt = new THREE.Mesh(
+        new THREE.BoxGeometry(1.35, 0.25, 0.95),
+        armorMat
+    );
+    belt.position.y = 0.25;
+    group.add(belt);
+    
+    const head = new THREE.Mesh(
+        new THREE.BoxGeometry(1.0, 1.0, 1.0),
+        skinMat
+    );
+    head.position.y = 1.9;
+    group.add(head);
+
+    const brow = new THREE.Mesh(
+        new THREE.BoxGeometry(1.0, 0.2, 0.4),
+        armorMat
+    );
+    brow.position.set(0, 2.15, 0.45);
+    group.add(brow);
+    
+    const armL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.45, 1.2, 0.45),
+        skinMat
+    );
+    armL.position.set(-0.9, 0.9, 0);
+    group.add(armL);
+    
+    const armR = armL.clone();
+    armR.position.x = 0.9;
+    group.add(armR);
+
+    const padL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.7, 0.3, 0.7),
+        armorMat
+    );
+    padL.position.set(-0.9, 1.4, 0);
+    group.add(padL);
+    const padR = padL.clone();
+    padR.position.x = 0.9;
+    group.add(padR);
+
+    animParts.arms.push(armL, armR);
+}
+
+/**
+ * Skeleton: ribcage, skull and thin limbs
+ * @type {EnemyModelBuilder}
+ */
+function buildSkeleton(group, animParts, varyColor) {
+    // Pixelly skeleton with ribs and spine
+    const boneMat = new THREE.MeshStandardMaterial({ color: varyColor(0xdddddd, 0.05), flatShading: true });
+
+    const spine = new THREE.Mesh(
+        new THREE.BoxGeometry(0.25, 1.3, 0.25),
+        boneMat
+    );
+    spine.position.y = 0.75;
+    group.add(spine);
+
+    for (let i = 0; i < 3; i++) {
+        const rib = new THREE.Mesh(
+            new THREE.BoxGeometry(0.9, 0.15, 0.25),
+            boneMat
+        );
+        rib.position.y = 0.4 + i * 0.3;
+        group.add(rib);
+    }
+    
+    const head = new THREE.Mesh(
+        new THREE.BoxGeometry(0.8, 0.8, 0.8),
+        new THREE.MeshStandardMaterial({ color: 0xf5f5f5, flatShading: true })
+    );
+    head.position.y = 1.6;
+    group.add(head);
+    
+    const eye1 = new THREE.Mesh(
+        new THREE.BoxGeometry(0.16, 0.16, 0.16),
+        new THREE.MeshStandardMaterial({ color: 0x000000 })
+    );
+    eye1.position.set(-0.18, 1.7, 0.38);
+    group.add(eye1);
+    
+    const eye2 = eye1.clone();
+    eye2.position.x = 0.18;
+    group.add(eye2);
+
+    const jaw = new THREE.Mesh(
+        new THREE.BoxGeometry(0.7, 0.25, 0.7),
+        boneMat
+    );
+    jaw.position.y = 1.3;
+    group.add(jaw);
+
+    const armL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.2, 1.0, 0.2),
+        boneMat
+    );
+    armL.position.set(-0.6, 0.9, 0);
+    group.add(armL);
+    const armR = armL.clone();
+    armR.position.x = 0.6;
+    group.add(armR);
+    animParts.arms.push(armL, armR);
+
+    const legL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.22, 1.0, 0.22),
+        boneMat
+    );
+    legL.position.set(-0.25, 0.1, 0);
+    group.add(legL);
+    const legR = legL.clone();
+    legR.position.x = 0.25;
+    group.add(legR);
+    animParts.legs.push(legL, legR);
+}
+
+/**
+ * Piglin: cloth body, snout, gold tusks and belt
+ * @type {EnemyModelBuilder}
+ */
+function buildPiglin(group, animParts, varyColor) {
+    // Piglin with gold belt and tusks
+    const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0xf4b894), flatShading: true });
+    const clothMat = new THREE.MeshStandardMaterial({ color: varyColor(0x8b4513), flatShading: true });
+    const goldMat = new THREE.MeshStandardMaterial({ color: 0xffd700, metalness: 0.7, roughness: 0.3, flatShading: true });
+
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(0.95, 1.3, 0.65),
+        clothMat
+    );
+    body.position.y = 0.7;
+    group.add(body);
+    
+    const head = new THREE.Mesh(
+        new THREE.BoxGeometry(0.9, 0.9, 0.9),
+        skinMat
+    );
+    head.position.y = 1.6;
+    group.add(head);
+    
+    const snout = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.35, 0.4),
+        skinMat
+    );
+    snout.position.set(0, 1.5, 0.6);
+    group.add(snout);
+    
+    const tuskL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.12, 0.25, 0.12),
+        goldMat
+    );
+    tuskL.position.set(-0.18, 1.4, 0.8);
+    group.add(tuskL);
+    const tuskR = tuskL.clone();
+    tuskR.position.x = 0.18;
+    group.add(tuskR);
+    
+    const ear1 = new THREE.Mesh(
+        new THREE.BoxGeometry(0.35, 0.55, 0.1),
+        skinMat
+    );
+    ear1.position.set(-0.55, 1.9, 0);
+    group.add(ear1);
+    
+    const ear2 = ear1.clone();
+    ear2.position.x = 0.55;
+    group.add(ear2);
+
+    const belt = new THREE.Mesh(
+        new THREE.BoxGeometry(1.0, 0.2, 0.7),
+        goldMat
+    );
+    belt.position.y = 0.35;
+    group.add(belt);
+
+    const armL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.35, 1.0, 0.35),
+        skinMat
+    );
+    armL.position.set(-0.8, 0.9, 0);
+    group.add(armL);
+    const armR = armL.clone();
+    armR.position.x = 0.8;
+    group.add(armR);
+    animParts.arms.push(armL, armR);
+}
+
+/**
+ * Spider Spatter: round body, glowing egg sac and eight jointed legs
+ * @type {EnemyModelBuilder}
+ */
+function buildSpider(group, animParts, varyColor) {
+    // Fixed Spider Spatter
+    const bodyMat = new THREE.MeshStandardMaterial({ color: varyColor(0x222222), flatShading: true });
+    const sacMat = new THREE.MeshStandardMaterial({ color: 0x5522aa, emissive: 0x8811ff, emissiveIntensity: 1.2, flatShading: true });
+
+    const body = new THREE.Mesh(new THREE.SphereGeometry(0.5, 8, 8), bodyMat);
+    body.position.y = 0.5;
+    group.add(body);
+
+    const sac = new THREE.Mesh(new THREE.SphereGeometry(0.6, 8, 8), sacMat);
+    sac.position.set(0, 0.6, -0.7);
+    group.add(sac);
+    
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.3, 0.4), bodyMat);
+    head.position.set(0, 0.5, 0.4);
+    group.add(head);
+    
+    const eyeGeo = new THREE.BoxGeometry(0.08, 0.08, 0.08);
+    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+    const eyeL = new THREE.Mesh(eyeGeo, eyeMat);
+    eyeL.position.set(-0.1, 0.55, 0.6);
+    group.add(eyeL);
+    const eyeR = eyeL.clone();
+    eyeR.position.x = 0.1;
+    group.add(eyeR);
+
+    const legMat = new THREE.MeshStandardMaterial({ color: 0x111111, flatShading: true });
+    const legParts = [];
+
+    // 8 Legs
+    for (let i = 0; i < 8; i++) {
+        const legGroup = new THREE.Group();
+        // Flip leg structure so it points down correctly
+        const upperLeg = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.6, 0.1), legMat);
+        upperLeg.position.set(0, 0.3, 0); 
+        legGroup.add(upperLeg);
+        
+        const lowerLeg = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.7, 0.1), legMat);
+        lowerLeg.position.set(0.1, -0.2, 0); // extend out and down
+        lowerLeg.rotation.z = -0.5;
+        upperLeg.add(lowerLeg);
+
+        // Side determination
+        const isRight = i % 2 === 0;
+        const side = isRight ? 1 : -1;
+        const index = Math.floor(i/2);
+        
+        legGroup.position.set(side * 0.3, 0.4, 0.5 - index * 0.35);
+        
+        // Fix spider legs being upside down/weird
+        // Adjust base rotations to point DOWN (geometry is +Y up)
+        legGroup.rotation.z = side * (-2.5); 
+        legGroup.rotation.y = side * 0.4;
+        // Adjust attachment height
+        legGroup.position.y = 0.4;
+
+        group.add(legGroup);
+        legParts.push(legGroup);
+    }
+
+    // Fix spider body rotation so it's not upside down
+    // Sphere is symmetric, but head placement matters.
+    // Currently head is at +Y=0.5. Looks ok.
+    // Maybe user saw legs pointing up. The Z rotation above should fix it.
+
+    animParts.legs = legParts; // Animate these
+}
+
+/**
+ * Zombie: shirt, pants and glowing eye strip
+ * @type {EnemyModelBuilder}
+ */
+function buildZombie(group, animParts, varyColor) {
+    // Zombie with shirt + pants, more segmented
+    const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0x5a8c5a), flatShading: true });
+    const shirtMat = new THREE.MeshStandardMaterial({ color: varyColor(0x2f6f9a), flatShading: true });
+    const pantsMat = new THREE.MeshStandardMaterial({ color: varyColor(0x1f2933), flatShading: true });
+
+    const torso = new THREE.Mesh(
+        new THREE.BoxGeometry(0.95, 1.2, 0.55),
+        shirtMat
+    );
+    torso.position.y = 0.9;
+    group.add(torso);
+    
+    const head = new THREE.Mesh(
+        new THREE.BoxGeometry(0.8, 0.8, 0.8),
+        skinMat
+    );
+    head.position.y = 1.7;
+    group.add(head);
+    
+    const eyeStrip = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.18, 0.1),
+        new THREE.MeshBasicMaterial({ color: 0x99ff99 })
+    );
+    eyeStrip.position.set(0, 1.7, 0.45);
+    group.add(eyeStrip);
+    
+    const armL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.35, 1.0, 0.35),
+        skinMat
+    );
+    armL.position.set(-0.75, 0.9, 0);
+    group.add(armL);
+    
+    const armR = armL.clone();
+    armR.position.x = 0.75;
+    group.add(armR);
+
+    animParts.arms.push(armL, armR);
+
+    const legL = new THREE.Mesh(
+        new THREE.BoxGeometry(0.35, 1.0, 0.35),
+        pantsMat
+    );
+    legL.position.set(-0.3, 0.1, 0);
+    group.add(legL);
+    const legR = legL.clone();
+    legR.position.x = 0.3;
+    group.add(legR);
+    animParts.legs.push(legL, legR);
+}
+
+/**
+ * Archer: hooded ranger with a bow and a quiver on its back
+ * @type {EnemyModelBuilder}
+ */
+function buildArcher(group, animParts, varyColor) {
+    const cloakMat = new THREE.MeshStandardMaterial({ color: varyColor(0x3f5a2a), flatShading: true });
+    const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0xc9a27a, 0.08), flatShading: true });
+    const woodMat = new THREE.MeshStandardMaterial({ color: 0x6b4423, flatShading: true });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.8, 1.1, 0.5), cloakMat);
+    body.position.y = 0.85;
+    group.add(body);
+
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.6, 0.6), skinMat);
+    head.position.y = 1.7;
+    group.add(head);
+
+    const hood = new THREE.Mesh(new THREE.BoxGeometry(0.72, 0.5, 0.72), cloakMat);
+    hood.position.set(0, 1.9, -0.06);
+    group.add(hood);
+
+    const quiver = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.8, 0.25), woodMat);
+    quiver.position.set(0.2, 1.1, -0.4);
+    quiver.rotation.z = -0.3;
+    group.add(quiver);
+
+    const armL = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.9, 0.22), cloakMat);
+    armL.position.set(-0.52, 0.95, 0);
+    group.add(armL);
+    const armR = armL.clone();
+    armR.position.x = 0.52;
+    group.add(armR);
+    animParts.arms.push(armL, armR);
+
+    // Bow held out in front: a stave bent back at both ends
+    const stave = new THREE.Mesh(new THREE.BoxGeometry(0.08, 1.2, 0.08), woodMat);
+    stave.position.set(-0.55, 1.0, 0.45);
+    group.add(stave);
+    for (const end of [1, -1]) {
+        const tip = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.4, 0.08), woodMat);
+        tip.position.set(-0.55, 1.0 + end * 0.72, 0.34);
+        tip.rotation.x = end * 0.6;
+        group.add(tip);
+    }
+
+    const legL = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.9, 0.28), woodMat);
+    legL.position.set(-0.2, 0.1, 0);
+    group.add(legL);
+    const legR = legL.clone();
+    legR.position.x = 0.2;
+    group.add(legR);
+    animParts.legs.push(legL, legR);
+}
+
+/**
+ * Shaman: robed caster with a bone mask and a staff topped by a glowing orb
+ * @type {EnemyModelBuilder}
+ */
+function buildShaman(group, animParts, varyColor) {
+    const robeMat = new THREE.MeshStandardMaterial({ color: varyColor(0x5b2a6e), flatShading: true });
+    const maskMat = new THREE.MeshStandardMaterial({ color: 0xe8e0c8, flatShading: true });
+    const woodMat = new THREE.MeshStandardMaterial({ color: 0x4a3320, flatShading: true });
+    const orbMat = new THREE.MeshStandardMaterial({ color: 0x66ff99, emissive: 0x33ff77, emissiveIntensity: 1.4, flatShading: true });
+
+    const robe = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.65, 1.5, 6), robeMat);
+    robe.position.y = 0.75;
+    group.add(robe);
+
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.6, 0.6), robeMat);
+    head.position.y = 1.75;
+    group.add(head);
+
+    const mask = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.55, 0.12), maskMat);
+    mask.position.set(0, 1.75, 0.33);
+    group.add(mask);
+
+    const armL = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.9, 0.22), robeMat);
+    armL.position.set(-0.5, 1.0, 0);
+    group.add(armL);
+    const armR = armL.clone();
+    armR.position.x = 0.5;
+    group.add(armR);
+    animParts.arms.push(armL, armR);
+
+    const staff = new THREE.Mesh(new THREE.BoxGeometry(0.1, 2.2, 0.1), woodMat);
+    staff.position.set(0.75, 1.1, 0.2);
+    group.add(staff);
+
+    const orb = new THREE.Mesh(new THREE.SphereGeometry(0.22, 8, 8), orbMat);
+    orb.position.set(0.75, 2.3, 0.2);
+    group.add(orb);
+}
+
+/**
+ * Mole: low digger with a pink snout and big front claws
+ * @type {EnemyModelBuilder}
+ */
+function buildMole(group, animParts, varyColor) {
+    const furMat = new THREE.MeshStandardMaterial({ color: varyColor(0x3b2f2a), flatShading: true });
+    const snoutMat = new THREE.MeshStandardMaterial({ color: 0xe89aa8, flatShading: true });
+    const clawMat = new THREE.MeshStandardMaterial({ color: 0xd8d0b8, flatShading: true });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(1.1, 0.8, 1.4), furMat);
+    body.position.y = 0.4;
+    group.add(body);
+
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.55, 0.5), furMat);
+    head.position.set(0, 0.5, 0.85);
+    group.add(head);
+
+    const snout = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.25, 0.3), snoutMat);
+    snout.position.set(0, 0.45, 1.2);
+    group.add(snout);
+
+    const clawL = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.2, 0.55), clawMat);
+    clawL.position.set(-0.6, 0.15, 0.75);
+    group.add(clawL);
+    const clawR = clawL.clone();
+    clawR.position.x = 0.6;
+    group.add(clawR);
+    animParts.arms.push(clawL, clawR);
+}
+
+/**
+ * Boar: heavy four-legged charger with tusks and a bristled back
+ * @type {EnemyModelBuilder}
+ */
+function buildBoar(group, animParts, varyColor) {
+    const hideMat = new THREE.MeshStandardMaterial({ color: varyColor(0x6e4a32), flatShading: true });
+    const bristleMat = new THREE.MeshStandardMaterial({ color: 0x2a1c12, flatShading: true });
+    const tuskMat = new THREE.MeshStandardMaterial({ color: 0xf2ead6, flatShading: true });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(1.1, 1.0, 1.8), hideMat);
+    body.position.y = 0.85;
+    group.add(body);
+
+    const bristles = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.25, 1.5), bristleMat);
+    bristles.position.set(0, 1.45, -0.05);
+    group.add(bristles);
+
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.75, 0.7), hideMat);
+    head.position.set(0, 0.85, 1.15);
+    group.add(head);
+
+    for (const side of [-1, 1]) {
+        const tusk = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.35, 0.1), tuskMat);
+        tusk.position.set(side * 0.3, 0.75, 1.55);
+        tusk.rotation.x = -0.5;
+        group.add(tusk);
+    }
+
+    // Front legs swing as arms, back legs as legs, so they alternate
+    const legGeo = new THREE.BoxGeometry(0.28, 0.7, 0.28);
+    for (const [z, list] of [[0.6, animParts.arms], [-0.6, animParts.legs]]) {
+        for (const side of [-1, 1]) {
+            const leg = new THREE.Mesh(legGeo, bristleMat);
+            leg.position.set(side * 0.35, 0.1, z);
+            group.add(leg);
+            list.push(leg);
+        }
+    }
+}
+
+/**
+ * Shieldbearer: armoured soldier behind a tower shield
+ * @type {EnemyModelBuilder}
+ */
+function buildShieldbearer(group, animParts, varyColor) {
+    const armorMat = new THREE.MeshStandardMaterial({ color: varyColor(0x6b7078, 0.08), metalness: 0.4, roughness: 0.5, flatShading: true });
+    const shieldMat = new THREE.MeshStandardMaterial({ color: varyColor(0x7a2222, 0.1), flatShading: true });
+    const rimMat = new THREE.MeshStandardMaterial({ color: 0xc9a642, metalness: 0.6, roughness: 0.4, flatShading: true });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(1.0, 1.2, 0.7), armorMat);
+    body.position.y = 0.9;
+    group.add(body);
+
+    const helmet = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.7, 0.7), armorMat);
+    helmet.position.y = 1.85;
+    group.add(helmet);
+
+    const visor = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.1, 0.1), rimMat);
+    visor.position.set(0, 1.85, 0.36);
+    group.add(visor);
+
+    const armL = new THREE.Mesh(new THREE.BoxGeometry(0.3, 1.0, 0.3), armorMat);
+    armL.position.set(-0.65, 1.0, 0);
+    group.add(armL);
+    const armR = armL.clone();
+    armR.position.x = 0.65;
+    group.add(armR);
+    animParts.arms.push(armL, armR);
+
+    // Tower shield covering the front (+Z): what blocks projectiles
+    const shield = new THREE.Mesh(new THREE.BoxGeometry(1.4, 1.9, 0.15), shieldMat);
+    shield.position.set(0, 1.1, 0.7);
+    group.add(shield);
+    const rim = new THREE.Mesh(new THREE.BoxGeometry(1.5, 0.15, 0.2), rimMat);
+    rim.position.set(0, 2.05, 0.7);
+    group.add(rim);
+    const boss = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.35, 0.12), rimMat);
+    boss.position.set(0, 1.15, 0.82);
+    group.add(boss);
+
+    const legL = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.9, 0.35), armorMat);
+    legL.position.set(-0.27, 0.1, 0);
+    group.add(legL);
+    const legR = legL.clone();
+    legR.position.x = 0.27;
+    group.add(legR);
+    animParts.legs.push(legL, legR);
+}
+
+/**
+ * Overtime ghost: hooded spectral robe with glowing eyes (same look as Boberto's ghosts)
+ * @param {boolean} deadly - Bigger red variant
+ * @returns {EnemyModelBuilder}
+ */
+function ghostBuilder(deadly) {
+    return (group) => {
+        const scale = deadly ? 1.3 : 1.0;
+        const baseColor = deadly ? 0x660000 : 0x226644;
+        const glowColor = deadly ? 0xff0000 : 0x00ff88;
+
+        const ghostMat = new THREE.MeshStandardMaterial({
+            color: baseColor,
+            transparent: true,
+            opacity: 0.75,
+            emissive: baseColor,
+            emissiveIntensity: 0.4
+        });
+
+        // Hood/head - rounded top with pointed bottom
+        const hood = new THREE.Mesh(new THREE.ConeGeometry(0.5 * scale, 0.8 * scale, 8), ghostMat);
+        hood.position.y = 0.8 * scale;
+        hood.rotation.x = Math.PI; // Flip cone for hood shape
+        group.add(hood);
+
+        // Face area - slightly inset dark void
+        const faceMat = new THREE.MeshStandardMaterial({ color: 0x000000, transparent: true, opacity: 0.9 });
+        const face = new THREE.Mesh(new THREE.PlaneGeometry(0.4 * scale, 0.35 * scale), faceMat);
+        face.position.set(0, 0.65 * scale, 0.25 * scale);
+        group.add(face);
+
+        // Glowing eyes
+        const eyeMat = new THREE.MeshBasicMaterial({ color: glowColor });
+        const eye1 = new THREE.Mesh(new THREE.SphereGeometry(0.08 * scale), eyeMat);
+        eye1.position.set(-0.12 * scale, 0.68 * scale, 0.3 * scale);
+        group.add(eye1);
+        const eye2 = eye1.clone();
+        eye2.position.x = 0.12 * scale;
+        group.add(eye2);
+
+        // Main body - flowing robe shape
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: baseColor,
+            transparent: true,
+            opacity: 0.65,
+            emissive: baseColor,
+            emissiveIntensity: 0.2
+        });
+        const bodyMesh = new THREE.Mesh(new THREE.CylinderGeometry(0.35 * scale, 0.5 * scale, 0.8 * scale, 8), bodyMat);
+        bodyMesh.position.y = 0.1 * scale;
+        group.add(bodyMesh);
+
+        // Wispy trailing segments - creates flowing bottom effect
+        for (let i = 0; i < 5; i++) {
+            const wispWidth = (0.5 - i * 0.08) * scale;
+            const wispMat = new THREE.MeshStandardMaterial({
+                color: baseColor,
+                transparent: true,
+                opacity: 0.5 - i * 0.08,
+                emissive: baseColor,
+                emissiveIntensity: 0.1
+            });
+            const wisp = new THREE.Mesh(new THREE.CylinderGeometry(wispWidth, wispWidth * 0.7, 0.25 * scale, 6), wispMat);
+            wisp.position.y = -0.35 * scale - i * 0.22 * scale;
+            // Slight offset for organic look
+            wisp.position.x = (i % 2 === 0 ? 1 : -1) * 0.02 * scale;
+            wisp.position.z = ((i % 3) - 1) * 0.02 * scale;
+            group.add(wisp);
+        }
+
+        // Ghostly arms/sleeves
+        const armMat = new THREE.MeshStandardMaterial({ color: baseColor, transparent: true, opacity: 0.6 });
+        const arm1 = new THREE.Mesh(new THREE.CapsuleGeometry(0.1 * scale, 0.4 * scale, 4, 6), armMat);
+        arm1.position.set(-0.45 * scale, 0.2 * scale, 0.1 * scale);
+        arm1.rotation.z = 0.5;
+        group.add(arm1);
+        const arm2 = arm1.clone();
+        arm2.position.x = 0.45 * scale;
+        arm2.rotation.z = -0.5;
+        group.add(arm2);
+    };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Model builders by id (referenced from ENEMIES[type].model; `ghost` and
+ * `ghost_deadly` are the overtime ghosts)
+ * @type {Object<string, EnemyModelBuilder>}
+ */
+export const ENEMY_MODELS = Object.freeze({
+    ogre: buildOgre,
+    skeleton: buildSkeleton,
+    piglin: buildPiglin,
+    spider: buildSpider,
+    zombie: buildZombie,
+    archer: buildArcher,
+    shaman: buildShaman,
+    mole: buildMole,
+    boar: buildBoar,
+    shieldbearer: buildShieldbearer,
+    ghost: ghostBuilder(false),
+    ghost_deadly: ghostBuilder(true)
+});
+
+/**
+ * Build an enemy model by id
+ * @param {string} modelId - Key of ENEMY_MODELS
+ * @param {function(number, number=): THREE.Color} varyColor - Shade variation helper
+ * @returns {{group: THREE.Group, animParts: EnemyAnimParts}}
+ * @throws {Error} If no builder is registered for the id
+ */
+export function buildEnemyModel(modelId, varyColor) {
+    const builder = ENEMY_MODELS[modelId];
+    if (!builder) {
+        throw new Error(`Unknown enemy model: ${modelId}`);
+    }
+    const group = new THREE.Group();
+    const animParts = { arms: [], legs: [] };
+    builder(group, animParts, varyColor);
+    return { group, animParts };
+}
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Pools for short-lived entities
+ * Enemies (instanced mesh proxy + physics body), player projectile meshes,
+ * slash rings and damage number elements are acquired from named ObjectPools
+ * and handed back when they leave the world, instead of being built and
+ * thrown away every spawn. Long runs (overtime especially) then reuse the
+ * same few hundred objects rather than feeding the garbage collector.
+ *
+ * Pools are pre-warmed at run start from POOL_PREWARM, sized per game mode.
+ * Pool names are `family` or `family:variant` (one pool per enemy type:
+ * `enemy:zombie`, `enemy:ghost`...); prewarm counts are per family.
+ *
+ * @module game/EntityPools
+ */
+
+import { ObjectPool } from './utils.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Objects pre-built per pool at run start, by pool family
+ * @typedef {Object} PoolPrewarm
+ * @property {number} enemy - Per enemy type
+ * @property {number} fireball
+ * @property {number} missile
+ * @property {number} bananerang
+ * @property {number} bone
+ * @property {number} slash
+ * @property {number} damageNumber
+ */
+
+/**
+ * Counters for one pool
+ * @typedef {Object} PoolStats
+ * @property {string} name
+ * @property {number} active - Currently handed out
+ * @property {number} available - Waiting in the pool
+ * @property {number} created - Built by the factory (prewarm included)
+ * @property {number} reused - Acquires served without building
+ * @property {number} peak - Most active at once
+ */
+
+// ============================================================================
+// PREWARM SIZES
+// ============================================================================
+
+/**
+ * Prewarm sizes by game mode; modes not listed use DEFAULT
+ * @type {Object<string, PoolPrewarm>}
+ */
+export const POOL_PREWARM = Object.freeze({
+    DEFAULT: Object.freeze({ enemy: 16, fireball: 12, missile: 12, bananerang: 12, bone: 6, slash: 4, damageNumber: 48 }),
+    // Endless runs reach overtime ghost swarms
+    SURVIVAL: Object.freeze({ enemy: 32, fireball: 16, missile: 16, bananerang: 16, bone: 8, slash: 4, damageNumber: 96 }),
+    TNS: Object.freeze({ enemy: 32, fireball: 16, missile: 16, bananerang: 16, bone: 8, slash: 4, damageNumber: 96 }),
+    MULTI: Object.freeze({ enemy: 24, fireball: 16, missile: 16, bananerang: 16, bone: 8, slash: 4, damageNumber: 64 }),
+    // Mostly scripted fights and sandbox
+    AWAKENING: Object.freeze({ enemy: 8, fireball: 8, missile: 8, bananerang: 8, bone: 4, slash: 4, damageNumber: 32 }),
+    PANTHEON: Object.freeze({ enemy: 8, fireball: 8, missile: 8, bananerang: 8, bone: 4, slash: 4, damageNumber: 32 })
+});
+
+/**
+ * @param {string} mode - Game mode
+ * @returns {PoolPrewarm}
+ */
+export function getPoolPrewarm(mode) {
+    return POOL_PREWARM[mode] || POOL_PREWARM.DEFAULT;
+}
+
+// ============================================================================
+// PHYSICS BODY RESET
+// ============================================================================
+
+/**
+ * Put a recycled cannon-es body back in the state a new one starts in, at a
+ * position. The body must be out of the world; add it again afterwards.
+ * @param {import('cannon-es').Body} body
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ */
+export function resetBody(body, x, y, z) {
+    for (const v of [body.position, body.previousPosition, body.interpolatedPosition, body.initPosition]) {
+        v.set(x, y, z);
+    }
+    for (const v of [body.velocity, body.initVelocity, body.angularVelocity, body.initAngularVelocity, body.force, body.torque, body.vlambda, body.wlambda]) {
+        v.set(0, 0, 0);
+    }
+    for (const q of [body.quaternion, body.previousQuaternion, body.interpolatedQuaternion, body.initQuaternion]) {
+        q.set(0, 0, 0, 1);
+    }
+    body.sleepState = 0; // Body.AWAKE
+    body.timeLastSleepy = 0;
+    body.wakeUpAfterNarrowphase = false;
+    body.aabbNeedsUpdate = true;
+}
+
+// ============================================================================
+// POOL REGISTRY
+// ============================================================================
+
+/**
+ * Named ObjectPools
+ * @class
+ * @example
+ * const pools = new EntityPools();
+ * pools.define('bone', () => makeBoneMesh(), (mesh) => scene.remove(mesh));
+ * pools.prewarm(getPoolPrewarm('ARCADE'));
+ * const mesh = pools.acquire('bone');
+ * pools.release('bone', mesh); // reset runs here
+ */
+export class EntityPools {
+    constructor() {
+        /** @private @type {Map<string, ObjectPool>} */
+        this._pools = new Map();
+    }
+
+    /**
+     * Register a pool (empty until prewarmed or acquired from)
+     * @template T
+     * @param {string} name - `family` or `family:variant`
+     * @param {function(): T} factory - Builds a new object
+     * @param {function(T): void} reset - Takes a released object out of play
+     * @returns {ObjectPool<T>}
+     */
+    define(name, factory, reset) {
+        const pool = new ObjectPool(factory, reset, 0);
+        this._pools.set(name, pool);
+        return pool;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._pools.has(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {*} Object from the pool, or a new one
+     * @throws {Error} If no pool has the name
+     */
+    acquire(name) {
+        const pool = this._pools.get(name);
+        if (!pool) throw new Error(`Unknown pool: ${name}`);
+        return pool.acquire();
+    }
+
+    /**
+     * Hand an object back; ignored if it is not currently acquired from this pool
+     * @param {string} name
+     * @param {*} obj
+     */
+    release(name, obj) {
+        const pool = this._pools.get(name);
+        if (pool) pool.release(obj);
+    }
+
+    /**
+     * Build objects up front, per pool family
+     * @param {Partial<PoolPrewarm>} counts
+     */
+    prewarm(counts) {
+        for (const [name, pool] of this._pools) {
+            const size = counts[name.split(':')[0]];
+            if (size) pool.prewarm(size);
+        }
+    }
+
+    /**
+     * @returns {PoolStats[]} In definition order
+     */
+    stats() {
+        const rows = [];
+        for (const [name, pool] of this._pools) {
+            rows.push({
+                name,
+                active: pool.activeCount,
+                available: pool.availableCount,
+                created: pool.created,
+                reused: pool.reused,
+                peak: pool.peakActive
+            });
+        }
+        return rows;
+    }
+}
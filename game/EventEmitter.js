@@ -1,17 +1,23 @@
 /**
  * @fileoverview Simple event emitter for decoupled game systems
  * Provides pub/sub functionality for game events like damage, kills, pickups, etc.
+ * Event names are namespaced (`enemy:killed`), so listeners can subscribe to a
+ * whole namespace (`enemy:*`) or to everything (`*`).
  *
  * @module game/EventEmitter
  */
 
+/** Subscribe to every event */
+export const WILDCARD = '*';
+
 /**
  * Lightweight event emitter for game systems
  * @class
  * @example
  * const events = new GameEventEmitter();
- * events.on('enemyKilled', (data) => console.log('Kill!', data));
- * events.emit('enemyKilled', { enemy: 'skeleton', xp: 10 });
+ * events.on('enemy:killed', (data) => console.log('Kill!', data));
+ * events.on('enemy:*', (data, event) => console.log(event, data));
+ * events.emit('enemy:killed', { type: 'skeleton', xp: 10 });
  */
 export class GameEventEmitter {
     constructor() {
@@ -24,8 +30,8 @@ export class GameEventEmitter {
 
     /**
      * Subscribe to an event
-     * @param {string} event - Event name
-     * @param {Function} callback - Handler function
+     * @param {string} event - Event name, `namespace:*` or `*`
+     * @param {Function} callback - Handler function, called with (data, eventName)
      * @returns {Function} Unsubscribe function
      */
     on(event, callback) {
@@ -40,8 +46,8 @@ export class GameEventEmitter {
 
     /**
      * Subscribe to an event once (auto-removes after first call)
-     * @param {string} event - Event name
-     * @param {Function} callback - Handler function
+     * @param {string} event - Event name, `namespace:*` or `*`
+     * @param {Function} callback - Handler function, called with (data, eventName)
      */
     once(event, callback) {
         if (!this._onceListeners.has(event)) {
@@ -65,31 +71,63 @@ export class GameEventEmitter {
     }
 
     /**
-     * Emit an event with data
+     * Emit an event with data.
+     * Exact listeners run first, then `namespace:*` listeners, then `*` listeners.
      * @param {string} event - Event name
      * @param {*} data - Event data
      */
     emit(event, data) {
+        this._dispatch(event, event, data);
+
+        const sep = event.indexOf(':');
+        if (sep > 0) {
+            this._dispatch(event.slice(0, sep) + ':' + WILDCARD, event, data);
+        }
+        if (event !== WILDCARD) {
+            this._dispatch(WILDCARD, event, data);
+        }
+    }
+
+    /**
+     * Check whether anything would receive an event (including wildcard listeners)
+     * @param {string} event - Event name
+     * @returns {boolean}
+     */
+    hasListeners(event) {
+        const sep = event.indexOf(':');
+        return this.listenerCount(event) > 0 ||
+            (sep > 0 && this.listenerCount(event.slice(0, sep) + ':' + WILDCARD) > 0) ||
+            this.listenerCount(WILDCARD) > 0;
+    }
+
+    /**
+     * Call the listeners registered under one key
+     * @private
+     * @param {string} key - Registered name (exact, namespace wildcard or `*`)
+     * @param {string} event - Emitted event name
+     * @param {*} data - Event data
+     */
+    _dispatch(key, event, data) {
         // Regular listeners
-        if (this._listeners.has(event)) {
-            for (const callback of this._listeners.get(event)) {
+        if (this._listeners.has(key)) {
+            for (const callback of this._listeners.get(key)) {
                 try {
-                    callback(data);
+                    callback(data, event);
                 } catch (err) {
-                    console.error(`Error in event listener for "${event}":`, err);
+                    console.error(`Error in event listener for "${key}":`, err);
                 }
             }
         }
 
         // Once listeners (remove after calling)
-        if (this._onceListeners.has(event)) {
-            const onceCallbacks = this._onceListeners.get(event);
-            this._onceListeners.delete(event);
+        if (this._onceListeners.has(key)) {
+            const onceCallbacks = this._onceListeners.get(key);
+            this._onceListeners.delete(key);
             for (const callback of onceCallbacks) {
                 try {
-                    callback(data);
+                    callback(data, event);
                 } catch (err) {
-                    console.error(`Error in once listener for "${event}":`, err);
+                    console.error(`Error in once listener for "${key}":`, err);
                 }
             }
         }
@@ -147,6 +185,7 @@ export const GameEvents = Object.freeze({
     ENEMY_SPAWNED: 'enemy:spawned',
     ENEMY_DAMAGED: 'enemy:damaged',
     ENEMY_KILLED: 'enemy:killed',
+    STATUS_APPLIED: 'combat:statusApplied',
     BOSS_SPAWNED: 'boss:spawned',
     BOSS_KILLED: 'boss:killed',
 
@@ -155,8 +194,17 @@ export const GameEvents = Object.freeze({
     XP_COLLECTED: 'pickup:xp',
     CHEST_OPENED: 'pickup:chest',
     WEAPON_ACQUIRED: 'pickup:weapon',
+    WEAPON_EVOLVED: 'pickup:weaponEvolved',
+    WEAPON_LEVELED: 'pickup:weaponLeveled',
     RUNE_ACQUIRED: 'pickup:rune',
 
+    // World events
+    CHEST_SPAWNED: 'world:chestSpawned',
+    SECRET_FOUND: 'world:secretFound',
+
+    // Progress events
+    ACHIEVEMENT_EARNED: 'progress:achievementEarned',
+
     // Game state events
     GAME_STARTED: 'game:started',
     GAME_PAUSED: 'game:paused',
@@ -175,6 +223,116 @@ export const GameEvents = Object.freeze({
     SCREEN_SHAKE: 'ui:screenShake'
 });
 
+// ============================================================================
+// EVENT PAYLOADS
+// ============================================================================
+// Every payload emitted by Game also carries { tick, gameTime, replay }.
+
+/**
+ * @typedef {Object} PlayerDamagedPayload - GameEvents.PLAYER_DAMAGED
+ * @property {number} amount - Damage taken after mitigation
+ * @property {string} source - What dealt it (enemy name, 'Lava', ...)
+ * @property {number} health - Health remaining
+ * @property {number} maxHealth
+ */
+
+/**
+ * @typedef {Object} EnemyKilledPayload - GameEvents.ENEMY_KILLED / BOSS_KILLED
+ * @property {string} id
+ * @property {string} type - Enemy type key
+ * @property {string} [name]
+ * @property {boolean} isBoss
+ * @property {boolean} isMainBoss
+ * @property {{x: number, z: number}} position
+ * @property {number} kills - Run kill count after this kill
+ */
+
+/**
+ * @typedef {Object} BossSpawnedPayload - GameEvents.BOSS_SPAWNED
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} isMainBoss
+ * @property {number} hp
+ * @property {number} tier
+ */
+
+/**
+ * @typedef {Object} ChestPayload - GameEvents.CHEST_SPAWNED / CHEST_OPENED
+ * @property {{x: number, z: number}} position
+ * @property {number} cost - Base cost (spawn) or price paid (open)
+ * @property {string} upgrade - Weapon/rune key in the chest
+ * @property {boolean} [fallback] - Opened chest paid out HP + coins instead
+ */
+
+/**
+ * @typedef {Object} LevelUpPayload - GameEvents.PLAYER_LEVEL_UP
+ * @property {number} level
+ * @property {number} xpToLevel
+ */
+
+/**
+ * @typedef {Object} UpgradeSelectedPayload - GameEvents.UPGRADE_SELECTED
+ * @property {string} key - Weapon/rune/upgrade key
+ * @property {string} [type] - Level-up option type (weapon_upgrade, rune_upgrade, evolution, weapon_evolution)
+ * @property {string} [rarity] - Shrine upgrade rarity
+ * @property {'levelup'|'shrine'} source
+ */
+
+/**
+ * @typedef {Object} WeaponEvolvedPayload - GameEvents.WEAPON_EVOLVED
+ * @property {string} key - Evolved weapon key
+ * @property {string} from - Weapon it replaced
+ * @property {string} rune - Rune the recipe needed
+ * @property {number} level - Level carried over
+ */
+
+/**
+ * @typedef {Object} WeaponLeveledPayload - GameEvents.WEAPON_LEVELED
+ * @property {string} key - Weapon key
+ * @property {number} level - Level after the upgrade
+ * @property {'levelup'|'chest'} source
+ */
+
+/**
+ * @typedef {Object} SecretFoundPayload - GameEvents.SECRET_FOUND
+ * @property {'monkeCrate'|'secretNote'|'diary'} secret
+ */
+
+/**
+ * @typedef {Object} AchievementEarnedPayload - GameEvents.ACHIEVEMENT_EARNED
+ * @property {string} id - Achievement id
+ * @property {string} name
+ * @property {{character?: string, title?: string}} reward
+ */
+
+/**
+ * @typedef {Object} StatusAppliedPayload - GameEvents.STATUS_APPLIED
+ * @property {string} status - Status id (BURN, CHILL, POISON, STUN, BLEED)
+ * @property {'player'|'enemy'} target
+ * @property {string|null} enemyId - Set when target is 'enemy'
+ * @property {string|null} source - Weapon/passive key, or enemy name for effects on the player
+ */
+
+/**
+ * @typedef {Object} GameOverPayload - GameEvents.GAME_OVER
+ * @property {boolean} victory
+ * @property {number} score
+ * @property {number} kills
+ * @property {number} level
+ * @property {number} tier
+ * @property {number} time - Seconds survived this tier
+ * @property {string} mode
+ * @property {string} character
+ * @property {number} seed
+ */
+
+/**
+ * @typedef {Object} TierCompletePayload - GameEvents.TIER_COMPLETE
+ * @property {number} tier - Tier that was just beaten
+ * @property {string} mode
+ * @property {number} kills
+ */
+
 // ============================================================================
 // GLOBAL GAME EVENT BUS (Singleton)
 // ============================================================================
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Debug event log overlay
+ * Subscribes to every event on the game bus and lists the most recent ones
+ * in the #event-log-panel overlay. Shown while the "Verbose Entity Logs"
+ * dev setting is enabled.
+ *
+ * @module game/EventLogPanel
+ */
+
+import { WILDCARD } from './EventEmitter.js';
+
+/** Keys attached to every Game payload; hidden from the log line */
+const COMMON_KEYS = new Set(['tick', 'gameTime', 'replay']);
+
+/**
+ * Namespace colors for log lines
+ * @type {Object<string, string>}
+ */
+const NAMESPACE_COLORS = {
+    player: '#00ff88',
+    enemy: '#ff6666',
+    boss: '#ff00ff',
+    pickup: '#ffd700',
+    world: '#88ccff',
+    game: '#00ffff',
+    progress: '#c58cff',
+    ui: '#aaaaaa',
+    mp: '#ffaa44'
+};
+
+/**
+ * Format a payload as a compact one-line summary
+ * @param {*} data - Event payload
+ * @returns {string}
+ */
+function formatPayload(data) {
+    if (data === undefined || data === null) return '';
+    if (typeof data !== 'object') return String(data);
+
+    const parts = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (COMMON_KEYS.has(key) || value === undefined) continue;
+        let text;
+        if (typeof value === 'number') {
+            text = Number.isInteger(value) ? String(value) : value.toFixed(1);
+        } else if (value && typeof value === 'object') {
+            text = ('x' in value && 'z' in value)
+                ? `(${Math.round(value.x)}, ${Math.round(value.z)})`
+                : '{…}';
+        } else {
+            text = String(value);
+        }
+        parts.push(`${key}=${text}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Live list of recent bus events
+ * @class
+ * @example
+ * const log = new EventLogPanel(gameEvents);
+ * log.show();
+ */
+export class EventLogPanel {
+    /**
+     * @param {import('./EventEmitter.js').GameEventEmitter} bus - Event bus to watch
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=80] - Lines kept in the panel
+     */
+    constructor(bus, { maxEntries = 80 } = {}) {
+        /** @type {import('./EventEmitter.js').GameEventEmitter} */
+        this.bus = bus;
+
+        /** @type {number} */
+        this.maxEntries = maxEntries;
+
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('event-log-panel');
+
+        /** @type {HTMLElement|null} */
+        this.list = document.getElementById('event-log-list');
+
+        /** @type {Function|null} */
+        this._unsubscribe = null;
+
+        // Entries are buffered and flushed once per frame so event bursts stay cheap
+        /** @type {Array<{event: string, data: *}>} */
+        this._pending = [];
+        this._flushScheduled = false;
+
+        const clearBtn = document.getElementById('event-log-clear');
+        if (clearBtn) clearBtn.onclick = () => this.clear();
+    }
+
+    /** @returns {boolean} */
+    get visible() {
+        return !!this._unsubscribe;
+    }
+
+    /**
+     * Start listening and show the panel
+     */
+    show() {
+        if (!this.root || this._unsubscribe) return;
+        this.root.style.display = 'flex';
+        this._unsubscribe = this.bus.on(WILDCARD, (data, event) => this._push(event, data));
+    }
+
+    /**
+     * Stop listening and hide the panel
+     */
+    hide() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        this._pending = [];
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled) this.show();
+        else this.hide();
+    }
+
+    /**
+     * Remove all logged lines
+     */
+    clear() {
+        this._pending = [];
+        if (this.list) this.list.innerHTML = '';
+    }
+
+    /**
+     * Queue an event for the next flush
+     * @private
+     * @param {string} event
+     * @param {*} data
+     */
+    _push(event, data) {
+        this._pending.push({ event, data });
+        if (this._pending.length > this.maxEntries) {
+            this._pending.splice(0, this._pending.length - this.maxEntries);
+        }
+        if (!this._flushScheduled) {
+            this._flushScheduled = true;
+            requestAnimationFrame(() => this._flush());
+        }
+    }
+
+    /**
+     * Render queued events
+     * @private
+     */
+    _flush() {
+        this._flushScheduled = false;
+        if (!this.list || this._pending.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        for (const { event, data } of this._pending) {
+            const ns = event.split(':')[0];
+            const row = document.createElement('div');
+            row.className = 'event-log-row';
+
+            const time = document.createElement('span');
+            time.className = 'event-log-time';
+            time.textContent = data && typeof data.gameTime === 'number' ? data.gameTime.toFixed(1) : '-';
+
+            const name = document.createElement('span');
+            name.style.color = NAMESPACE_COLORS[ns] || '#ffffff';
+            name.textContent = event;
+
+            const body = document.createElement('span');
+            body.className = 'event-log-data';
+            body.textContent = formatPayload(data);
+
+            row.append(time, name, body);
+            fragment.appendChild(row);
+        }
+        this._pending = [];
+
+        this.list.appendChild(fragment);
+        while (this.list.childElementCount > this.maxEntries) {
+            this.list.removeChild(this.list.firstElementChild);
+        }
+        this.list.scrollTop = this.list.scrollHeight;
+    }
+}
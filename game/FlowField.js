@@ -0,0 +1,560 @@
+/**
+ * @fileoverview Enemy flow field
+ * A grid centred on the player where every cell points at the next cell on
+ * the cheapest way to the player, so ground enemies walk around maze walls,
+ * Pantheon blocks and props instead of into them, take ramps up to
+ * platforms and keep off lava unless there is no other way. Hovering ghosts
+ * get a second route that ignores lava and heights.
+ *
+ * Cells are rasterised from terrain pieces and ramps the way getTerrainHeight
+ * reads them, with lava where isLava would report it; `isWall` pieces and
+ * obstacles are solid. The field is
+ * rebuilt when the player changes cell and on a timer (rising lava, Pantheon
+ * edits). Everything is derived from simulation state, so replays and
+ * headless runs stay deterministic.
+ *
+ * @module game/FlowField
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const FLOW_FIELD = Object.freeze({
+    CELL_SIZE: 2.5,
+    HALF_CELLS: 32,        // Cells each side of the player's cell (65x65 grid, ~160 units across)
+    REFRESH_SECONDS: 1.0,  // Rebuild at least this often even if the player stands still
+    CLEARANCE: 0.6,        // Walls and obstacles are grown by this so bodies don't clip corners
+    STEP_HEIGHT: 2.5,      // Rises above this are climbed, not walked (same as getTerrainHeight's snap)
+    LAVA_COST: 6,          // Multiplier for walking through lava
+    CLIMB_COST: 10,        // Added for climbing a rise
+    SOLID_COST: 20         // Per cell for digging out of a wall (enemies spawned inside one)
+});
+
+/** Cell flags */
+const SOLID = 1;
+const LAVA = 2;
+const ROUTED = 4; // Reaches the player without crossing solid cells
+
+/** getTerrainHeight's extra reach around ramp edges */
+const RAMP_MARGIN = 0.6;
+
+/** A point no world covers, to ask whether uncovered ground is lava */
+const LAVA_PROBE = 1e6;
+
+/** Neighbour offsets: orthogonal first, then diagonal */
+const NEIGHBOURS = Object.freeze([
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+]);
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Binary min-heap of cell indices keyed by path cost. A cell can be queued
+ * more than once; later pops relax from its (already final) cost again,
+ * which is redundant but harmless.
+ * @private
+ */
+class CellQueue {
+    constructor() {
+        this.cells = [];
+        this.keys = [];
+    }
+
+    get size() {
+        return this.cells.length;
+    }
+
+    /**
+     * @param {number} cell
+     * @param {number} key
+     */
+    push(cell, key) {
+        const cells = this.cells, keys = this.keys;
+        let i = cells.length;
+        cells.push(cell);
+        keys.push(key);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (keys[parent] <= key) break;
+            cells[i] = cells[parent];
+            keys[i] = keys[parent];
+            i = parent;
+        }
+        cells[i] = cell;
+        keys[i] = key;
+    }
+
+    /**
+     * @returns {number} Cell with the smallest key
+     */
+    pop() {
+        const cells = this.cells, keys = this.keys;
+        const top = cells[0];
+        const lastCell = cells.pop();
+        const lastKey = keys.pop();
+        const n = cells.length;
+        if (n > 0) {
+            let i = 0;
+            while (true) {
+                let child = 2 * i + 1;
+                if (child >= n) break;
+                if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+                if (keys[child] >= lastKey) break;
+                cells[i] = cells[child];
+                keys[i] = keys[child];
+                i = child;
+            }
+            cells[i] = lastCell;
+            keys[i] = lastKey;
+        }
+        return top;
+    }
+
+    clear() {
+        this.cells.length = 0;
+        this.keys.length = 0;
+    }
+}
+
+// ============================================================================
+// FLOW FIELD
+// ============================================================================
+
+/**
+ * Player-centred navigation grid for ground enemies
+ * @class
+ * @example
+ * const field = new FlowField();
+ * field.update(game, dt);                  // every tick, before enemies move
+ * const dir = field.directionAt(x, z);     // {x, z} unit vector, or null to go straight
+ * if (field.blocks(x, z, nextX, nextZ)) { ... } // don't step into walls
+ */
+export class FlowField {
+    constructor() {
+        const side = FLOW_FIELD.HALF_CELLS * 2 + 1;
+        /** Cells per side */
+        this.side = side;
+        /** Grid cell of the player (world cell coordinates) the field was built around */
+        this.centerX = 0;
+        this.centerZ = 0;
+        /** @type {Uint8Array} SOLID / LAVA flags */
+        this.flags = new Uint8Array(side * side);
+        /** @type {Float32Array} Ground height at each cell centre */
+        this.heights = new Float32Array(side * side);
+        /** @type {Float32Array} Path cost to the player (scratch while solving) */
+        this.cost = new Float32Array(side * side);
+        /** @type {Int32Array} Next cell towards the player for walkers (-1 at the player's cell) */
+        this.next = new Int32Array(side * side);
+        /** @type {Int32Array} Same for hovering enemies, which ignore lava and heights */
+        this.flyNext = new Int32Array(side * side);
+        /** Whether a field has been built since the last invalidate() */
+        this.ready = false;
+
+        /** @private */
+        this._timer = 0;
+        /** @private */
+        this._queue = new CellQueue();
+    }
+
+    /**
+     * Force a rebuild on the next update (world created or cleared)
+     */
+    invalidate() {
+        this.ready = false;
+    }
+
+    /**
+     * Rebuild when the player has changed cell or the refresh timer ran out
+     * @param {Object} game - Needs playerBody, terrainPieces, ramps, obstacles, isLava and the overtime lava state
+     * @param {number} dt
+     */
+    update(game, dt) {
+        this._timer -= dt;
+        const pos = game.playerBody.position;
+        const cx = Math.round(pos.x / FLOW_FIELD.CELL_SIZE);
+        const cz = Math.round(pos.z / FLOW_FIELD.CELL_SIZE);
+        if (this.ready && this._timer > 0 && cx === this.centerX && cz === this.centerZ) return;
+        this.build(game, cx, cz);
+    }
+
+    /**
+     * Sample the world around a cell and compute paths to it
+     * @param {Object} game
+     * @param {number} cx - Player cell x
+     * @param {number} cz - Player cell z
+     */
+    build(game, cx, cz) {
+        this.centerX = cx;
+        this.centerZ = cz;
+        this._timer = FLOW_FIELD.REFRESH_SECONDS;
+        this.ready = true;
+        this.sample(game);
+        this.solve(this.next, false);
+        this.solve(this.flyNext, true);
+    }
+
+    /**
+     * Fill heights and flags from terrain pieces, ramps, walls and obstacles
+     * @param {Object} game
+     */
+    sample(game) {
+        const { side, flags, heights } = this;
+        flags.fill(0);
+        heights.fill(-Infinity);
+
+        // Platforms and ramps, rasterised the way getTerrainHeight reads them (highest surface wins)
+        for (const p of game.terrainPieces || []) {
+            const w = p.width || p.size || 0;
+            const d = p.depth || p.size || 0;
+            this.forCellsIn(p.x, p.z, w / 2, d / 2, false, (i) => {
+                if (p.height > heights[i]) heights[i] = p.height;
+            });
+        }
+        for (const r of game.ramps || []) {
+            const halfW = r.width / 2 + RAMP_MARGIN;
+            const halfL = r.length / 2 + RAMP_MARGIN;
+            const cos = Math.cos(-r.yaw);
+            const sin = Math.sin(-r.yaw);
+            const reach = Math.hypot(halfW, halfL);
+            this.forCellsIn(r.x, r.z, reach, reach, false, (i, x, z) => {
+                const dx = x - r.x;
+                const dz = z - r.z;
+                const localX = dx * cos + dz * sin;
+                const localZ = -dx * sin + dz * cos;
+                if (Math.abs(localX) > halfW || Math.abs(localZ) > halfL) return;
+                const h = r.fromHeight + ((localZ + r.length / 2) / r.length) * (r.toHeight - r.fromHeight);
+                if (h > heights[i]) heights[i] = h;
+            });
+        }
+
+        // Worlds with a lava sea report lava away from every platform; flat worlds never do
+        const lavaSea = game.isLava(LAVA_PROBE, LAVA_PROBE);
+        const lavaTop = game.overtimeActive ? game.lavaHeight - 0.05 : -Infinity;
+        for (let i = 0; i < side * side; i++) {
+            if (heights[i] === -Infinity) {
+                heights[i] = 0;
+                if (lavaSea) flags[i] = LAVA;
+            } else if (lavaSea && heights[i] < lavaTop) {
+                flags[i] = LAVA; // Rising overtime lava
+            }
+        }
+
+        // Maze and Pantheon walls, and props
+        const clear = FLOW_FIELD.CLEARANCE;
+        const markSolid = (i) => { flags[i] |= SOLID; };
+        for (const p of game.terrainPieces || []) {
+            if (!p.isWall) continue;
+            this.forCellsIn(p.x, p.z, p.width / 2 + clear, p.depth / 2 + clear, false, markSolid);
+        }
+        for (const o of game.obstacles || []) {
+            if (o.type === 'box') {
+                this.forCellsIn(o.x, o.z, o.halfExtents.x + clear, o.halfExtents.z + clear, false, markSolid);
+            } else if (o.radius) {
+                this.forCellsIn(o.x, o.z, o.radius + clear, o.radius + clear, true, markSolid);
+            }
+        }
+    }
+
+    /**
+     * Visit the cells whose centres fall inside a box or circle
+     * @param {number} x - Centre
+     * @param {number} z
+     * @param {number} halfX - Half extent (or radius)
+     * @param {number} halfZ
+     * @param {boolean} round - Circle of radius halfX instead of a box
+     * @param {function(number, number, number): void} fn - Called with (cell, centreX, centreZ)
+     */
+    forCellsIn(x, z, halfX, halfZ, round, fn) {
+        const size = FLOW_FIELD.CELL_SIZE;
+        const half = FLOW_FIELD.HALF_CELLS;
+        const minX = Math.max(0, Math.ceil((x - halfX) / size) - this.centerX + half);
+        const maxX = Math.min(this.side - 1, Math.floor((x + halfX) / size) - this.centerX + half);
+        const minZ = Math.max(0, Math.ceil((z - halfZ) / size) - this.centerZ + half);
+        const maxZ = Math.min(this.side - 1, Math.floor((z + halfZ) / size) - this.centerZ + half);
+        for (let gz = minZ; gz <= maxZ; gz++) {
+            const cz = (gz - half + this.centerZ) * size;
+            for (let gx = minX; gx <= maxX; gx++) {
+                const cx = (gx - half + this.centerX) * size;
+                if (round && (cx - x) * (cx - x) + (cz - z) * (cz - z) > halfX * halfX) continue;
+                fn(gz * this.side + gx, cx, cz);
+            }
+        }
+    }
+
+    /**
+     * Dijkstra outwards from the player's cell. Costs are for walking towards
+     * the player, so a cell's cost includes climbing into the cell after it.
+     * Cells that can't get there without crossing walls (spawned inside one,
+     * or shut off by them) are then routed through the walls the shortest way,
+     * which is how every enemy moved before there was a field.
+     * @param {Int32Array} next - Output, next cell per cell
+     * @param {boolean} flying - Ignore lava and climbs
+     */
+    solve(next, flying) {
+        const { side, flags, heights, cost } = this;
+        const queue = this._queue;
+        cost.fill(Infinity);
+        next.fill(-1);
+        queue.clear();
+
+        const goal = FLOW_FIELD.HALF_CELLS * side + FLOW_FIELD.HALF_CELLS;
+        flags[goal] &= ~SOLID; // The player is standing there, whatever the clearance says
+        cost[goal] = 0;
+        queue.push(goal, 0);
+
+        while (queue.size > 0) {
+            const b = queue.pop();
+            const bx = b % side;
+            const bz = (b - bx) / side;
+            const base = cost[b];
+            for (let n = 0; n < NEIGHBOURS.length; n++) {
+                const ax = bx + NEIGHBOURS[n][0];
+                const az = bz + NEIGHBOURS[n][1];
+                if (ax < 0 || az < 0 || ax >= side || az >= side) continue;
+                const a = az * side + ax;
+                if (flags[a] & SOLID) continue;
+                const diagonal = n >= 4;
+                // No cutting corners past solid cells
+                if (diagonal && ((flags[bz * side + ax] & SOLID) || (flags[az * side + bx] & SOLID))) continue;
+
+                let step = diagonal ? Math.SQRT2 : 1;
+                if (!flying) {
+                    if (flags[b] & LAVA) step *= FLOW_FIELD.LAVA_COST;
+                    if (heights[b] - heights[a] > FLOW_FIELD.STEP_HEIGHT) step += FLOW_FIELD.CLIMB_COST;
+                }
+
+                const total = base + step;
+                if (total < cost[a]) {
+                    cost[a] = total;
+                    next[a] = b;
+                    queue.push(a, total);
+                }
+            }
+        }
+
+        // Everything reached so far is walkable; spread from it into the rest
+        for (let i = 0; i < side * side; i++) {
+            if (cost[i] === Infinity) continue;
+            flags[i] |= ROUTED;
+            queue.push(i, cost[i]);
+        }
+        while (queue.size > 0) {
+            const b = queue.pop();
+            const bx = b % side;
+            const bz = (b - bx) / side;
+            const base = cost[b];
+            for (let n = 0; n < NEIGHBOURS.length; n++) {
+                const ax = bx + NEIGHBOURS[n][0];
+                const az = bz + NEIGHBOURS[n][1];
+                if (ax < 0 || az < 0 || ax >= side || az >= side) continue;
+                const a = az * side + ax;
+                if (flags[a] & ROUTED) continue;
+                let step = n >= 4 ? Math.SQRT2 : 1;
+                if (flags[a] & SOLID) step *= FLOW_FIELD.SOLID_COST;
+                const total = base + step;
+                if (total < cost[a]) {
+                    cost[a] = total;
+                    next[a] = b;
+                    queue.push(a, total);
+                }
+            }
+        }
+    }
+
+    /**
+     * Grid index of a world position
+     * @param {number} x
+     * @param {number} z
+     * @returns {number} -1 outside the grid
+     */
+    cellAt(x, z) {
+        const half = FLOW_FIELD.HALF_CELLS;
+        const gx = Math.round(x / FLOW_FIELD.CELL_SIZE) - this.centerX + half;
+        const gz = Math.round(z / FLOW_FIELD.CELL_SIZE) - this.centerZ + half;
+        if (gx < 0 || gz < 0 || gx >= this.side || gz >= this.side) return -1;
+        return gz * this.side + gx;
+    }
+
+    /**
+     * World position of a cell centre
+     * @param {number} cell
+     * @returns {{x: number, z: number}}
+     */
+    cellCenter(cell) {
+        const half = FLOW_FIELD.HALF_CELLS;
+        const gx = cell % this.side;
+        const gz = (cell - gx) / this.side;
+        return {
+            x: (gx - half + this.centerX) * FLOW_FIELD.CELL_SIZE,
+            z: (gz - half + this.centerZ) * FLOW_FIELD.CELL_SIZE
+        };
+    }
+
+    /**
+     * Heading from a position towards the next cell on its path
+     * @param {number} x
+     * @param {number} z
+     * @param {boolean} [flying=false] - Hovering enemies' route (ignores lava and heights)
+     * @returns {{x: number, z: number}|null} Unit vector, or null (outside the
+     *   grid or in the player's cell) to head straight for the player
+     */
+    directionAt(x, z, flying = false) {
+        if (!this.ready) return null;
+        const next = flying ? this.flyNext : this.next;
+        const cell = this.cellAt(x, z);
+        if (cell < 0 || next[cell] < 0) return null;
+        const target = this.cellCenter(next[cell]);
+        const dx = target.x - x;
+        const dz = target.z - z;
+        const len = Math.hypot(dx, dz);
+        if (len < 1e-6) return null;
+        return { x: dx / len, z: dz / len };
+    }
+
+    /**
+     * First cell on the walking route from the player to a position: the path
+     * an enemy standing there would take, read backwards. Lets the simulation
+     * bots walk around walls and props to loot.
+     * @param {number} x
+     * @param {number} z
+     * @returns {{x: number, z: number}|null} Cell centre, or null when the position
+     *   is outside the grid, walled off, in the player's cell, or only reached by
+     *   dropping off a ledge (which can't be walked back up)
+     */
+    firstStepTo(x, z) {
+        if (!this.ready) return null;
+        const { next, heights } = this;
+        let cell = this.cellAt(x, z);
+        if (cell < 0 || (this.flags[cell] & ROUTED) === 0) return null;
+        let previous = -1;
+        for (let guard = this.side * this.side; next[cell] >= 0 && guard > 0; guard--) {
+            if (heights[cell] - heights[next[cell]] > FLOW_FIELD.STEP_HEIGHT) return null;
+            previous = cell;
+            cell = next[cell];
+        }
+        return previous >= 0 ? this.cellCenter(previous) : null;
+    }
+
+    /**
+     * Whether a position can walk to the player without crossing walls, for
+     * picking spawn and teleport spots. True outside the grid and before the
+     * first build, where nothing is known.
+     * @param {number} x
+     * @param {number} z
+     * @returns {boolean}
+     */
+    reachable(x, z) {
+        if (!this.ready) return true;
+        const cell = this.cellAt(x, z);
+        return cell < 0 || (this.flags[cell] & ROUTED) !== 0;
+    }
+
+    /**
+     * Whether a step would take an enemy that has a clear path into a wall
+     * or obstacle. Enemies without one (inside a wall, or walled off) may
+     * pass so they can follow their route out.
+     * @param {number} fromX
+     * @param {number} fromZ
+     * @param {number} toX
+     * @param {number} toZ
+     * @returns {boolean}
+     */
+    blocks(fromX, fromZ, toX, toZ) {
+        if (!this.ready) return false;
+        const from = this.cellAt(fromX, fromZ);
+        const to = this.cellAt(toX, toZ);
+        if (from < 0 || to < 0) return false;
+        return (this.flags[from] & ROUTED) !== 0 && (this.flags[to] & SOLID) !== 0;
+    }
+
+    /**
+     * Draw the field onto a 2D map: solid cells red, lava orange, walled-off
+     * cells grey and arrows along the paths
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {function(number, number): {x: number, y: number}} map - World x/z to canvas pixels
+     * @param {number} pixelsPerUnit
+     */
+    drawDebug(ctx, map, pixelsPerUnit) {
+        if (!this.ready) return;
+        const { side, flags, next } = this;
+        const cellPx = Math.max(1, FLOW_FIELD.CELL_SIZE * pixelsPerUnit);
+
+        ctx.save();
+        for (let i = 0; i < side * side; i++) {
+            let color = null;
+            if (flags[i] & SOLID) color = 'rgba(255,60,60,0.55)';
+            else if (!(flags[i] & ROUTED)) color = 'rgba(140,140,140,0.35)';
+            else if (flags[i] & LAVA) color = 'rgba(255,140,0,0.35)';
+            if (!color) continue;
+            const c = this.cellCenter(i);
+            const m = map(c.x, c.z);
+            ctx.fillStyle = color;
+            ctx.fillRect(m.x - cellPx / 2, m.y - cellPx / 2, cellPx, cellPx);
+        }
+
+        // Arrows are sparse and longer than a cell so they read at map scale
+        const stride = 3;
+        const arrowPx = stride * cellPx * 0.7;
+        ctx.strokeStyle = 'rgba(120,220,255,0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let gz = 0; gz < side; gz += stride) {
+            for (let gx = 0; gx < side; gx += stride) {
+                const i = gz * side + gx;
+                if (next[i] < 0 || (flags[i] & SOLID)) continue;
+                const c = this.cellCenter(i);
+                const to = this.cellCenter(next[i]);
+                const len = Math.hypot(to.x - c.x, to.z - c.z);
+                const from = map(c.x, c.z);
+                const tipX = from.x + ((to.x - c.x) / len) * arrowPx;
+                const tipY = from.y + ((to.z - c.z) / len) * arrowPx;
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(tipX, tipY);
+                ctx.rect(tipX - 1, tipY - 1, 2, 2);
+            }
+        }
+        ctx.stroke();
+
+        // Outline of the area the field covers
+        const corner = map(
+            (this.centerX - FLOW_FIELD.HALF_CELLS - 0.5) * FLOW_FIELD.CELL_SIZE,
+            (this.centerZ - FLOW_FIELD.HALF_CELLS - 0.5) * FLOW_FIELD.CELL_SIZE
+        );
+        ctx.strokeStyle = 'rgba(120,220,255,0.5)';
+        ctx.strokeRect(corner.x, corner.y, side * cellPx, side * cellPx);
+        ctx.restore();
+    }
+}
+
+// ============================================================================
+// STEERING
+// ============================================================================
+
+/**
+ * Push away from overlapping neighbours so crowds spread along a path
+ * instead of stacking on one line
+ * @param {Object} enemy - Enemy record (body.position, size)
+ * @param {Object[]} neighbours - Nearby enemy records (may include `enemy`)
+ * @returns {{x: number, z: number}} Sum of push directions, weighted by overlap
+ */
+export function separationSteer(enemy, neighbours) {
+    const pos = enemy.body.position;
+    let x = 0, z = 0;
+    for (const other of neighbours) {
+        if (other === enemy) continue;
+        const dx = pos.x - other.body.position.x;
+        const dz = pos.z - other.body.position.z;
+        const reach = (enemy.size || 1) + (other.size || 1);
+        const distSq = dx * dx + dz * dz;
+        if (distSq >= reach * reach || distSq < 1e-8) continue;
+        const dist = Math.sqrt(distSq);
+        const overlap = 1 - dist / reach;
+        x += (dx / dist) * overlap;
+        z += (dz / dist) * overlap;
+    }
+    return { x, z };
+}
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Minimal browser globals for running the simulation in Node
+ * The Game class still touches the DOM for HUD updates (health bar, toasts,
+ * upgrade cards) from inside gameplay code. In headless mode those elements
+ * are inert stand-ins that accept any property or method call, so the
+ * simulation runs unchanged without a document, GPU or audio device.
+ *
+ * @module game/HeadlessEnvironment
+ */
+
+// ============================================================================
+// STUB ELEMENTS
+// ============================================================================
+
+/** No-op that returns a fresh stub, so chained DOM calls keep working */
+function stubMethod() {
+    return createStubElement('div');
+}
+
+/**
+ * Fake 2D canvas context (minimap, fog of war, generated textures)
+ * @returns {Object}
+ */
+function createStubContext() {
+    const ctx = {
+        canvas: null,
+        measureText: (text) => ({ width: String(text).length * 8 }),
+        getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        createLinearGradient: () => ({ addColorStop() {} }),
+        createRadialGradient: () => ({ addColorStop() {} }),
+        createPattern: () => null
+    };
+    return new Proxy(ctx, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (typeof key === 'symbol') return undefined;
+            return () => {};
+        }
+    });
+}
+
+/**
+ * Create an inert element. Known DOM members behave plausibly; any other
+ * property read returns a no-op method.
+ * @param {string} tagName
+ * @returns {Object}
+ */
+function createStubElement(tagName) {
+    const children = [];
+    const classes = new Set();
+    const queried = new Map();
+    const el = {
+        tagName: String(tagName).toUpperCase(),
+        style: {},
+        dataset: {},
+        children,
+        childNodes: children,
+        innerHTML: '',
+        innerText: '',
+        textContent: '',
+        value: '',
+        width: 0,
+        height: 0,
+        classList: {
+            add: (...names) => names.forEach(n => classes.add(n)),
+            remove: (...names) => names.forEach(n => classes.delete(n)),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : !!force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            },
+            contains: (name) => classes.has(name)
+        },
+        get childElementCount() { return children.length; },
+        get firstElementChild() { return children[0] || null; },
+        appendChild(child) { children.push(child); return child; },
+        append(...nodes) { children.push(...nodes); },
+        removeChild(child) {
+            const i = children.indexOf(child);
+            if (i >= 0) children.splice(i, 1);
+            return child;
+        },
+        remove() {},
+        getContext: () => createStubContext(),
+        getBoundingClientRect: () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 }),
+        // Markup assigned through innerHTML is never parsed, so a query answers with a stub
+        // (the same one per selector) rather than null, which callers read without checking
+        querySelector: (selector) => {
+            if (!queried.has(selector)) queried.set(selector, createStubElement('div'));
+            return queried.get(selector);
+        },
+        querySelectorAll: () => [],
+        closest: () => null
+    };
+    return new Proxy(el, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (typeof key === 'symbol') return undefined;
+            return stubMethod;
+        }
+    });
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * In-memory Web Storage (nothing a simulated run writes is kept)
+ * @returns {Storage}
+ */
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        get length() { return data.size; },
+        key: (i) => Array.from(data.keys())[i] ?? null,
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); },
+        clear: () => data.clear()
+    };
+}
+
+// ============================================================================
+// INSTALL
+// ============================================================================
+
+/**
+ * Define the browser globals the Game module needs, if they are missing.
+ * Must run before game.js is imported (it writes to window at load time).
+ * Safe to call more than once; does nothing in a real browser.
+ */
+export function installHeadlessEnvironment() {
+    const g = globalThis;
+    if (typeof g.document !== 'undefined') return;
+
+    const elements = new Map();
+    const body = createStubElement('body');
+
+    g.document = {
+        body,
+        documentElement: body,
+        pointerLockElement: null,
+        createElement: (tag) => createStubElement(tag),
+        createElementNS: (ns, tag) => createStubElement(tag),
+        createDocumentFragment: () => createStubElement('fragment'),
+        getElementById: (id) => {
+            // Same id returns the same element so HUD state written by one call is read by the next
+            if (!elements.has(id)) elements.set(id, createStubElement('div'));
+            return elements.get(id);
+        },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+        exitPointerLock() {}
+    };
+
+    g.window = g;
+    g.innerWidth = 1280;
+    g.innerHeight = 720;
+    g.devicePixelRatio = 1;
+    g.addEventListener = () => {};
+    g.removeEventListener = () => {};
+    if (typeof g.localStorage === 'undefined') g.localStorage = createMemoryStorage();
+    if (typeof g.navigator === 'undefined') g.navigator = { userAgent: 'node' };
+    if (typeof g.requestAnimationFrame === 'undefined') {
+        g.requestAnimationFrame = (cb) => setTimeout(() => cb(performance.now()), 16);
+        g.cancelAnimationFrame = (id) => clearTimeout(id);
+    }
+}
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Batched rendering for regular enemies and pickups
+ * Draws every copy of a model (an enemy archetype, the overtime ghosts, XP
+ * orbs) through one THREE.InstancedMesh per material, instead of a group of
+ * meshes with fresh materials per copy. Draw calls stay constant however
+ * many enemies are alive.
+ *
+ * Gameplay code keeps working with an ordinary Object3D: `acquire` returns
+ * an empty THREE.Group (the proxy) that is positioned, rotated, scaled and
+ * added to / removed from the scene like the old model group. A proxy holds
+ * an instance while it has a parent, so removing it frees the instance and
+ * nothing needs releasing by hand. Once a frame, `update` copies each
+ * proxy's transform into the instances. Per copy the batch also carries:
+ *
+ * - colour: the model's colours with the per-spawn shade variation its
+ *   builder asked for (the old `varyColor`), picked once at `acquire`
+ * - emissive: hit flash and status tint (`setEmissive`)
+ * - walk phase: `proxy.userData.walkPhase`; arms and legs swing in the
+ *   vertex shader around their shoulder / hip
+ *
+ * Models come from the same builders as before (EnemyModelBuilder): a
+ * builder runs once per model to make the template, whose meshes are baked
+ * into one geometry per material. Bosses and minibosses have one-off models
+ * and keep their own meshes.
+ *
+ * @module game/InstancedRenderer
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Instances allocated per batch before it first grows (doubles when full) */
+const INITIAL_CAPACITY = 32;
+
+/**
+ * Walk swing in radians at full stride. Even-indexed arms and odd-indexed
+ * legs swing forward together, the others opposite.
+ */
+const ARM_SWING = 0.5;
+const LEG_SWING = 0.7;
+
+// ============================================================================
+// SHADER PATCH
+// ============================================================================
+
+/**
+ * Add limb swing (vertex) and per-instance emissive (fragment) to a built-in material
+ * @param {THREE.Material} material
+ */
+function patchMaterial(material) {
+    const hasEmissive = !!material.emissive;
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+attribute float limbSwing;
+attribute vec3 limbPivot;
+attribute float instanceWalk;
+${hasEmissive ? 'attribute vec3 instanceEmissive;\nvarying vec3 vInstanceEmissive;' : ''}
+vec3 limbRotate(vec3 v, float a) {
+    float c = cos(a);
+    float s = sin(a);
+    return vec3(v.x, v.y * c - v.z * s, v.y * s + v.z * c);
+}`)
+            .replace('#include <beginnormal_vertex>', `#include <beginnormal_vertex>
+objectNormal = limbRotate(objectNormal, sin(instanceWalk) * limbSwing);`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+transformed = limbPivot + limbRotate(transformed - limbPivot, sin(instanceWalk) * limbSwing);
+${hasEmissive ? 'vInstanceEmissive = instanceEmissive;' : ''}`);
+        if (hasEmissive) {
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+varying vec3 vInstanceEmissive;`)
+                .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+totalEmissiveRadiance += vInstanceEmissive;`);
+        }
+    };
+}
+
+// ============================================================================
+// BATCH
+// ============================================================================
+
+/**
+ * One model (all copies of it): one InstancedMesh per material
+ * @class
+ * @private
+ */
+class InstancedBatch {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {import('./EnemyModels.js').EnemyModelBuilder} builder
+     */
+    constructor(scene, builder) {
+        /** @type {THREE.Scene} */
+        this.scene = scene;
+
+        /** @type {Set<THREE.Group>} Proxies that currently have a parent */
+        this.proxies = new Set();
+
+        /** @type {number} */
+        this.capacity = 0;
+
+        /**
+         * @type {Array<{geometry: THREE.BufferGeometry, material: THREE.Material, baseColor: THREE.Color, variance: number, mesh: THREE.InstancedMesh|null}>}
+         */
+        this.slots = this._bakeTemplate(builder);
+
+        this._allocate(INITIAL_CAPACITY);
+    }
+
+    /**
+     * Run the builder once and merge its meshes into one geometry per material
+     * @private
+     */
+    _bakeTemplate(builder) {
+        const group = new THREE.Group();
+        const animParts = { arms: [], legs: [] };
+        const varied = [];
+        builder(group, animParts, (hex, variance = 0.15) => {
+            const color = new THREE.Color(hex);
+            varied.push({ color, variance });
+            return color;
+        });
+        group.updateMatrixWorld(true);
+
+        const byMaterial = new Map();
+        group.traverse((child) => {
+            if (!child.isMesh) return;
+            const { swing, pivot } = limbOf(child, group, animParts);
+
+            const source = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', source.getAttribute('position'));
+            geometry.setAttribute('normal', source.getAttribute('normal'));
+            geometry.applyMatrix4(child.matrixWorld);
+
+            const count = geometry.getAttribute('position').count;
+            geometry.setAttribute('limbSwing', new THREE.BufferAttribute(new Float32Array(count).fill(swing), 1));
+            const pivots = new Float32Array(count * 3);
+            for (let i = 0; i < count; i++) pivots.set([pivot.x, pivot.y, pivot.z], i * 3);
+            geometry.setAttribute('limbPivot', new THREE.BufferAttribute(pivots, 3));
+
+            if (!byMaterial.has(child.material)) byMaterial.set(child.material, []);
+            byMaterial.get(child.material).push(geometry);
+            if (source !== child.geometry) source.dispose();
+            child.geometry.dispose();
+        });
+
+        const slots = [];
+        for (const [templateMaterial, geometries] of byMaterial) {
+            const material = templateMaterial.clone();
+            const shade = varied.find(v => v.color.equals(templateMaterial.color));
+            const baseColor = material.color.clone();
+            // The per-instance colour carries the whole colour
+            material.color.set(0xffffff);
+            patchMaterial(material);
+            slots.push({
+                geometry: mergeGeometries(geometries),
+                material,
+                baseColor,
+                variance: shade ? shade.variance : 0,
+                mesh: null
+            });
+            geometries.forEach(g => g.dispose());
+            templateMaterial.dispose();
+        }
+        return slots;
+    }
+
+    /**
+     * (Re)create the instanced meshes with room for `capacity` copies
+     * @private
+     */
+    _allocate(capacity) {
+        this.capacity = capacity;
+        for (const slot of this.slots) {
+            if (slot.mesh) {
+                this.scene.remove(slot.mesh);
+                slot.mesh.dispose();
+            }
+            slot.geometry.setAttribute('instanceWalk', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+            slot.geometry.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3));
+
+            const mesh = new THREE.InstancedMesh(slot.geometry, slot.material, capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.setColorAt(0, slot.baseColor); // allocates instanceColor before the first compile
+            mesh.count = 0;
+            // Instances are spread over the whole map; per-copy culling is not worth it
+            mesh.frustumCulled = false;
+            slot.mesh = mesh;
+            this.scene.add(mesh);
+        }
+    }
+
+    /**
+     * New copy
+     * @param {function(): number} roll - Random [0, 1) for the shade variation
+     * @returns {THREE.Group} Proxy
+     */
+    acquire(roll) {
+        const proxy = new THREE.Group();
+        proxy.userData.instance = {
+            batch: this,
+            colors: this.slots.map(slot => slot.baseColor.clone()),
+            emissive: new THREE.Color(0x000000)
+        };
+        proxy.addEventListener('added', () => this.proxies.add(proxy));
+        proxy.addEventListener('removed', () => this.proxies.delete(proxy));
+        this.respawn(proxy, roll);
+        return proxy;
+    }
+
+    /**
+     * Fresh look for a copy: new shade variation, no emissive, walk phase 0
+     * @param {THREE.Group} proxy
+     * @param {function(): number} roll
+     */
+    respawn(proxy, roll) {
+        const { colors, emissive } = proxy.userData.instance;
+        this.slots.forEach((slot, s) => {
+            colors[s].copy(slot.baseColor);
+            if (slot.variance) colors[s].offsetHSL(0, 0, (roll() - 0.5) * slot.variance);
+        });
+        emissive.setRGB(0, 0, 0);
+        proxy.userData.walkPhase = 0;
+    }
+
+    /**
+     * Write every placed proxy into the instances
+     */
+    update() {
+        if (this.proxies.size > this.capacity) {
+            let capacity = this.capacity;
+            while (capacity < this.proxies.size) capacity *= 2;
+            this._allocate(capacity);
+        }
+
+        let count = 0;
+        for (const proxy of this.proxies) {
+            if (!proxy.visible) continue;
+            proxy.updateWorldMatrix(true, false);
+            const { colors, emissive } = proxy.userData.instance;
+            for (let s = 0; s < this.slots.length; s++) {
+                const mesh = this.slots[s].mesh;
+                mesh.setMatrixAt(count, proxy.matrixWorld);
+                mesh.setColorAt(count, colors[s]);
+                mesh.geometry.getAttribute('instanceWalk').setX(count, proxy.userData.walkPhase || 0);
+                mesh.geometry.getAttribute('instanceEmissive').setXYZ(count, emissive.r, emissive.g, emissive.b);
+            }
+            count++;
+        }
+
+        for (const slot of this.slots) {
+            const mesh = slot.mesh;
+            // Something (e.g. a world clear) may have taken the mesh out of the scene
+            if (mesh.parent !== this.scene) this.scene.add(mesh);
+            mesh.count = count;
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+            mesh.geometry.getAttribute('instanceWalk').needsUpdate = true;
+            mesh.geometry.getAttribute('instanceEmissive').needsUpdate = true;
+        }
+    }
+
+    /** @returns {number} Draw calls this batch makes */
+    get drawCalls() {
+        return this.proxies.size > 0 ? this.slots.length : 0;
+    }
+
+    /**
+     * Remove the meshes and free GPU resources
+     */
+    dispose() {
+        for (const slot of this.slots) {
+            if (slot.mesh) {
+                this.scene.remove(slot.mesh);
+                slot.mesh.dispose();
+            }
+            slot.geometry.dispose();
+            slot.material.dispose();
+        }
+        this.proxies.clear();
+    }
+}
+
+/**
+ * Limb a template mesh belongs to: its swing (0 for the body) and the point it swings around
+ * @param {THREE.Object3D} mesh
+ * @param {THREE.Group} root
+ * @param {import('./EnemyModels.js').EnemyAnimParts} animParts
+ * @returns {{swing: number, pivot: THREE.Vector3}}
+ */
+function limbOf(mesh, root, animParts) {
+    for (let node = mesh; node && node !== root; node = node.parent) {
+        const arm = animParts.arms.indexOf(node);
+        if (arm !== -1) return { swing: arm % 2 === 0 ? ARM_SWING : -ARM_SWING, pivot: node.position.clone() };
+        const leg = animParts.legs.indexOf(node);
+        if (leg !== -1) return { swing: leg % 2 === 0 ? -LEG_SWING : LEG_SWING, pivot: node.position.clone() };
+    }
+    return { swing: 0, pivot: new THREE.Vector3() };
+}
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+/**
+ * Instanced batches by model id, created on first use
+ * @class
+ * @example
+ * const batches = new InstancedRenderer(scene, ENEMY_MODELS);
+ * const mesh = batches.acquire('zombie', () => rng.next('fx'));
+ * scene.add(mesh);                       // takes an instance, drawn from the next update()
+ * mesh.userData.walkPhase = walkTime * 4;
+ * batches.setEmissive(mesh, 0xffffff);   // hit flash
+ * batches.update();                      // once a frame, before rendering
+ * scene.remove(mesh);                    // frees the instance
+ */
+export class InstancedRenderer {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object<string, import('./EnemyModels.js').EnemyModelBuilder>} models - Builders by model id
+     */
+    constructor(scene, models) {
+        /** @type {THREE.Scene} */
+        this.scene = scene;
+
+        /** @type {Object<string, import('./EnemyModels.js').EnemyModelBuilder>} */
+        this.models = models;
+
+        /** @private @type {Map<string, InstancedBatch>} */
+        this._batches = new Map();
+    }
+
+    /**
+     * @param {string} modelId
+     * @returns {boolean} Whether the model can be drawn instanced
+     */
+    has(modelId) {
+        return !!this.models[modelId];
+    }
+
+    /**
+     * New copy of a model
+     * @param {string} modelId
+     * @param {function(): number} roll - Random [0, 1) for the shade variation (the run's
+     *   fx stream, so replays and seeded runs look the same)
+     * @returns {THREE.Group} Proxy to position and add to the scene
+     * @throws {Error} If no builder is registered for the id or no roll is given
+     */
+    acquire(modelId, roll) {
+        if (typeof roll !== 'function') throw new Error(`No roll given for instanced model: ${modelId}`);
+        let batch = this._batches.get(modelId);
+        if (!batch) {
+            const builder = this.models[modelId];
+            if (!builder) throw new Error(`Unknown instanced model: ${modelId}`);
+            batch = new InstancedBatch(this.scene, builder);
+            this._batches.set(modelId, batch);
+        }
+        return batch.acquire(roll);
+    }
+
+    /**
+     * @param {THREE.Object3D} object
+     * @returns {boolean} Whether the object is a proxy from acquire()
+     */
+    isInstanced(object) {
+        return !!(object && object.userData && object.userData.instance);
+    }
+
+    /**
+     * Reuse a copy (e.g. from an ObjectPool) as if newly acquired: re-roll its
+     * shade variation and clear emissive and walk phase
+     * @param {THREE.Object3D} proxy
+     * @param {function(): number} roll - See acquire()
+     * @throws {Error} If no roll is given
+     */
+    respawn(proxy, roll) {
+        if (typeof roll !== 'function') throw new Error('No roll given to respawn an instanced model');
+        if (!this.isInstanced(proxy)) return;
+        proxy.userData.instance.batch.respawn(proxy, roll);
+    }
+
+    /**
+     * Set a copy's extra emissive colour (hit flash, status tint); black for none
+     * @param {THREE.Object3D} proxy
+     * @param {THREE.Color|number} color
+     */
+    setEmissive(proxy, color) {
+        if (!this.isInstanced(proxy)) return;
+        proxy.userData.instance.emissive.set(color);
+    }
+
+    /**
+     * Write every live copy into its batch (call once a frame before rendering)
+     */
+    update() {
+        for (const batch of this._batches.values()) batch.update();
+    }
+
+    /** @returns {number} Draw calls all batches make */
+    get drawCalls() {
+        let calls = 0;
+        for (const batch of this._batches.values()) calls += batch.drawCalls;
+        return calls;
+    }
+
+    /** @returns {number} Live copies across all batches */
+    get instanceCount() {
+        let count = 0;
+        for (const batch of this._batches.values()) count += batch.proxies.size;
+        return count;
+    }
+
+    /**
+     * Remove every batch from the scene and free GPU resources
+     */
+    dispose() {
+        for (const batch of this._batches.values()) batch.dispose();
+        this._batches.clear();
+    }
+}
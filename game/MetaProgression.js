@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Meta progression shop
+ * Permanent upgrades bought between runs with Gold Teeth, a currency banked
+ * from a share of each run's coins and kills. Upgrades give small starting
+ * stat boosts, level-up reroll tokens, extra weapon and rune slots, and put
+ * shop-only runes (RuneDef.metaUnlock) into the loot pool. Every level can
+ * be refunded for what it cost.
+ *
+ * Only single-player runs use or earn it: multiplayer and daily challenge
+ * runs play on the base rules so everyone starts equal. Replays carry the
+ * levels they were recorded with in their header settings, and headless
+ * simulations run without any.
+ *
+ * @module game/MetaProgression
+ */
+
+import { getMetaCurrency, getMetaUpgradeLevels, setMetaUpgrade } from './StateManager.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Meta upgrade definition. Each level adds `add` to the bonus (or `mult` to
+ * a multiplier bonus); item upgrades have a single level.
+ * @typedef {Object} MetaUpgradeDef
+ * @property {string} name - Display name
+ * @property {string} desc - What one level does
+ * @property {string} category - 'stats' | 'slots' | 'items'
+ * @property {number[]} costs - Price of each level, in order
+ * @property {string} [bonus] - MetaBonuses field it raises
+ * @property {number} [add] - Added to the bonus per level
+ * @property {number} [mult] - Added to the multiplier per level
+ * @property {string} [item] - Rune key it unlocks into the loot pool
+ */
+
+/**
+ * What a set of upgrade levels does to a run
+ * @typedef {Object} MetaBonuses
+ * @property {number} maxHealth - Flat starting max health
+ * @property {number} damage - Starting damage multiplier
+ * @property {number} moveSpeed - Starting move speed multiplier
+ * @property {number} rerolls - Level-up rerolls per run
+ * @property {number} weaponSlots - Extra weapon slots
+ * @property {number} runeSlots - Extra rune slots
+ * @property {string[]} items - Unlocked loot pool rune keys
+ */
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/** Currency display name */
+export const META_CURRENCY_NAME = 'Gold Teeth';
+
+/** Share of a run's coins and kills banked at the end */
+export const META_CURRENCY_RATES = Object.freeze({
+    coins: 0.2,
+    kills: 0.05
+});
+
+/** Modes that use and earn the meta shop (not the online MULTI/SURVIVAL modes or the Pantheon sandbox) */
+export const META_MODES = Object.freeze(['ARCADE', 'AWAKENING', 'TNS']);
+
+/** @type {Object<string, MetaUpgradeDef>} */
+export const META_UPGRADES = Object.freeze({
+    // Starting stats
+    VITALITY: Object.freeze({
+        name: 'Thick Blood', desc: '+10 starting max health', category: 'stats',
+        costs: Object.freeze([20, 45, 80]), bonus: 'maxHealth', add: 10
+    }),
+    MIGHT: Object.freeze({
+        name: 'Heavy Hands', desc: '+5% starting damage', category: 'stats',
+        costs: Object.freeze([25, 55, 95]), bonus: 'damage', mult: 0.05
+    }),
+    SWIFTNESS: Object.freeze({
+        name: 'Light Feet', desc: '+4% starting move speed', category: 'stats',
+        costs: Object.freeze([20, 45, 80]), bonus: 'moveSpeed', mult: 0.04
+    }),
+    REROLLS: Object.freeze({
+        name: 'Second Thoughts', desc: '+1 level-up reroll per run', category: 'stats',
+        costs: Object.freeze([30, 70, 120]), bonus: 'rerolls', add: 1
+    }),
+
+    // Inventory
+    RUNE_SLOT: Object.freeze({
+        name: 'Rune Pouch', desc: '+1 rune slot', category: 'slots',
+        costs: Object.freeze([150]), bonus: 'runeSlots', add: 1
+    }),
+    WEAPON_SLOT: Object.freeze({
+        name: 'Fourth Hand', desc: '+1 weapon slot', category: 'slots',
+        costs: Object.freeze([250]), bonus: 'weaponSlots', add: 1
+    }),
+
+    // Loot pool
+    LUCKY_CHARM: Object.freeze({
+        name: 'Lucky Charm', desc: 'Adds the Lucky Charm rune to the loot pool', category: 'items',
+        costs: Object.freeze([60]), item: 'LUCKY_CHARM'
+    }),
+    VAMPIRE_FANG: Object.freeze({
+        name: 'Vampire Fang', desc: 'Adds the Vampire Fang rune to the loot pool', category: 'items',
+        costs: Object.freeze([90]), item: 'VAMPIRE_FANG'
+    })
+});
+
+/** Bonuses with nothing bought */
+const NO_BONUSES = Object.freeze({
+    maxHealth: 0, damage: 1, moveSpeed: 1, rerolls: 0, weaponSlots: 0, runeSlots: 0, items: Object.freeze([])
+});
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Whether a run uses (and banks into) the meta shop
+ * @param {string} mode - Game mode
+ * @param {Object} [options]
+ * @param {boolean} [options.challenge=false] - Daily challenge run
+ * @returns {boolean}
+ */
+export function isMetaEligible(mode, { challenge = false } = {}) {
+    return META_MODES.includes(mode) && !challenge;
+}
+
+/**
+ * Clamp stored levels to known upgrades and their level counts
+ * @param {Object<string, number>} levels
+ * @returns {Object<string, number>}
+ */
+export function sanitizeMetaLevels(levels) {
+    const clean = {};
+    for (const [key, level] of Object.entries(levels || {})) {
+        const def = META_UPGRADES[key];
+        const n = Math.min(Math.floor(level) || 0, def ? def.costs.length : 0);
+        if (n > 0) clean[key] = n;
+    }
+    return clean;
+}
+
+/**
+ * @param {Object<string, number>} levels - Upgrade key -> level
+ * @returns {MetaBonuses}
+ */
+export function resolveMetaBonuses(levels) {
+    const bonuses = { ...NO_BONUSES, items: [] };
+    for (const [key, level] of Object.entries(sanitizeMetaLevels(levels))) {
+        const def = META_UPGRADES[key];
+        if (def.item) bonuses.items.push(def.item);
+        else if (def.mult) bonuses[def.bonus] += def.mult * level;
+        else bonuses[def.bonus] += def.add * level;
+    }
+    return bonuses;
+}
+
+/**
+ * @param {string} key - Upgrade key
+ * @param {number} level - Current level
+ * @returns {number|null} Price of the next level, or null when maxed
+ */
+export function metaUpgradeCost(key, level) {
+    const def = META_UPGRADES[key];
+    return def && level < def.costs.length ? def.costs[level] : null;
+}
+
+/**
+ * @param {Object<string, number>} levels - Upgrade key -> level
+ * @returns {number} What refunding every level would return
+ */
+export function metaRefundValue(levels) {
+    let value = 0;
+    for (const [key, level] of Object.entries(sanitizeMetaLevels(levels))) {
+        value += META_UPGRADES[key].costs.slice(0, level).reduce((a, b) => a + b, 0);
+    }
+    return value;
+}
+
+/**
+ * @param {number} coins - Coins held at the end of the run
+ * @param {number} kills
+ * @returns {number} Currency to bank
+ */
+export function computeRunCurrency(coins, kills) {
+    return Math.floor(Math.max(0, coins) * META_CURRENCY_RATES.coins + Math.max(0, kills) * META_CURRENCY_RATES.kills);
+}
+
+// ============================================================================
+// SHOP
+// ============================================================================
+
+/**
+ * Balance and levels for the shop screen
+ * @returns {{currency: number, levels: Object<string, number>}}
+ */
+export function getMetaShopState() {
+    return { currency: getMetaCurrency(), levels: sanitizeMetaLevels(getMetaUpgradeLevels()) };
+}
+
+/**
+ * Buy the next level of an upgrade
+ * @param {string} key
+ * @returns {boolean} False if maxed or unaffordable
+ */
+export function buyMetaUpgrade(key) {
+    const level = getMetaShopState().levels[key] || 0;
+    const cost = metaUpgradeCost(key, level);
+    if (cost === null) return false;
+    return setMetaUpgrade(key, level + 1, -cost);
+}
+
+/**
+ * Sell back the top level of an upgrade for its full price
+ * @param {string} key
+ * @returns {boolean} False if none bought
+ */
+export function refundMetaUpgrade(key) {
+    const level = getMetaShopState().levels[key] || 0;
+    if (level === 0) return false;
+    return setMetaUpgrade(key, level - 1, META_UPGRADES[key].costs[level - 1]);
+}
+
+/**
+ * Sell back every level of every upgrade
+ * @returns {number} Currency returned
+ */
+export function refundAllMetaUpgrades() {
+    let refunded = 0;
+    for (const [key, level] of Object.entries(getMetaShopState().levels)) {
+        const value = metaRefundValue({ [key]: level });
+        if (setMetaUpgrade(key, 0, value)) refunded += value;
+    }
+    return refunded;
+}
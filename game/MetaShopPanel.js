@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Meta shop screen
+ * Menu overlay (#meta-shop-panel) listing every meta upgrade by category
+ * with its bought levels and next price, with buy and refund buttons and a
+ * refund-all for respeccing. Purchases are saved immediately and apply from
+ * the next eligible run.
+ *
+ * @module game/MetaShopPanel
+ */
+
+import {
+    META_UPGRADES, META_CURRENCY_NAME,
+    getMetaShopState, metaUpgradeCost, buyMetaUpgrade, refundMetaUpgrade, refundAllMetaUpgrades
+} from './MetaProgression.js';
+
+/** Category headings, in display order */
+const CATEGORY_LABELS = Object.freeze({
+    stats: 'Starting Boosts',
+    slots: 'Inventory',
+    items: 'Loot Pool'
+});
+
+/**
+ * Create an element with optional text
+ * @param {string} tag
+ * @param {string} [text]
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Small panel button
+ * @param {string} label
+ * @param {boolean} enabled
+ * @param {function(): void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function button(label, enabled, onClick) {
+    const btn = el('button', label, 'replay-btn');
+    btn.disabled = !enabled;
+    if (!enabled) btn.style.opacity = '0.4';
+    btn.onclick = (e) => {
+        e.stopPropagation();
+        onClick();
+    };
+    return btn;
+}
+
+/**
+ * Between-run upgrade shop
+ * @class
+ * @example
+ * const shop = new MetaShopPanel();
+ * shop.open();
+ */
+export class MetaShopPanel {
+    constructor() {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('meta-shop-panel');
+        this.list = document.getElementById('meta-shop-list');
+        this.balance = document.getElementById('meta-shop-balance');
+
+        if (!this.root) return;
+        const closeBtn = document.getElementById('meta-shop-close');
+        if (closeBtn) closeBtn.onclick = () => this.close();
+        const refundAllBtn = document.getElementById('meta-shop-refund-all');
+        if (refundAllBtn) {
+            refundAllBtn.onclick = () => {
+                refundAllMetaUpgrades();
+                this.render();
+            };
+        }
+    }
+
+    /**
+     * Show the panel with the current balance
+     */
+    open() {
+        if (!this.root) return;
+        this.root.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Redraw the balance and upgrade rows
+     */
+    render() {
+        const { currency, levels } = getMetaShopState();
+        this.balance.textContent = `${META_CURRENCY_NAME}: ${currency}`;
+
+        this.list.innerHTML = '';
+        for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+            this.list.appendChild(el('div', label, 'meta-shop-category'));
+            for (const [key, def] of Object.entries(META_UPGRADES)) {
+                if (def.category !== category) continue;
+                const level = levels[key] || 0;
+                const cost = metaUpgradeCost(key, level);
+
+                const row = el('div', undefined, 'meta-shop-row');
+                const info = el('div', undefined, 'meta-shop-info');
+                info.appendChild(el('strong', def.name));
+                info.appendChild(el('div', def.desc));
+                row.appendChild(info);
+                row.appendChild(el('span', '■'.repeat(level) + '□'.repeat(def.costs.length - level), 'meta-shop-pips'));
+                row.appendChild(button(cost === null ? 'MAXED' : `BUY ${cost}`, cost !== null && cost <= currency, () => {
+                    buyMetaUpgrade(key);
+                    this.render();
+                }));
+                row.appendChild(button('REFUND', level > 0, () => {
+                    refundMetaUpgrade(key);
+                    this.render();
+                }));
+                this.list.appendChild(row);
+            }
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Modifier board screen
+ * Menu overlay (#modifier-board-panel) for setting up the next
+ * single-player run: the lobby rules (overtime start, spawn and loot
+ * multipliers, infinite weapon slots) and stackable curses, with the heat
+ * they add up to and the reward multiplier it gives. The board is saved as
+ * it changes and used by every Classic and Awakening run until reset.
+ *
+ * @module game/ModifierBoardPanel
+ */
+
+import {
+    RUN_CURSES, RUN_RULE_OPTIONS, DEFAULT_RUN_RULES,
+    sanitizeCurses, sanitizeRunRules, computeHeat, heatRewardMultiplier
+} from './RunModifiers.js';
+import { getModifierBoard, setModifierBoard } from './StateManager.js';
+
+/** Labels for the numeric rules, in display order */
+const RULE_LABELS = Object.freeze({
+    timeLimit: 'Overtime Start',
+    spawnMult: 'Spawn Rate',
+    lootMult: 'Loot'
+});
+
+/**
+ * Create an element with optional text
+ * @param {string} tag
+ * @param {string} [text]
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Small panel button
+ * @param {string} label
+ * @param {boolean} enabled
+ * @param {function(): void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function button(label, enabled, onClick) {
+    const btn = el('button', label, 'replay-btn');
+    btn.disabled = !enabled;
+    if (!enabled) btn.style.opacity = '0.4';
+    btn.onclick = (e) => {
+        e.stopPropagation();
+        onClick();
+    };
+    return btn;
+}
+
+/**
+ * @param {string} key - RUN_RULE_OPTIONS key
+ * @param {number} value
+ * @returns {string}
+ */
+function formatRule(key, value) {
+    return key === 'timeLimit' ? `${value / 60} min` : `x${value}`;
+}
+
+/**
+ * Pre-run rules and curses
+ * @class
+ * @example
+ * const board = new ModifierBoardPanel({ onChange: (heat) => updateButton(heat) });
+ * board.open();
+ */
+export class ModifierBoardPanel {
+    /**
+     * @param {Object} [options]
+     * @param {function(number): void} [options.onChange] - Called with the new heat after every change
+     */
+    constructor({ onChange = null } = {}) {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('modifier-board-panel');
+        this.rulesEl = document.getElementById('modifier-board-rules');
+        this.list = document.getElementById('modifier-board-list');
+        this.heatLabel = document.getElementById('modifier-board-heat');
+        this.onChange = onChange;
+
+        if (!this.root) return;
+        const closeBtn = document.getElementById('modifier-board-close');
+        if (closeBtn) closeBtn.onclick = () => this.close();
+        const resetBtn = document.getElementById('modifier-board-reset');
+        if (resetBtn) resetBtn.onclick = () => this.save({ rules: { ...DEFAULT_RUN_RULES }, curses: {} });
+    }
+
+    /**
+     * Saved board, cleaned up
+     * @returns {import('./RunModifiers.js').ModifierBoard}
+     */
+    get board() {
+        const { rules, curses } = getModifierBoard();
+        return { rules: sanitizeRunRules(rules), curses: sanitizeCurses(curses) };
+    }
+
+    /**
+     * Heat of the saved board
+     * @returns {number}
+     */
+    get heat() {
+        return computeHeat(this.board.curses);
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.root) return;
+        this.root.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Store a board and redraw
+     * @param {import('./RunModifiers.js').ModifierBoard} board
+     */
+    save(board) {
+        setModifierBoard(board);
+        if (this.onChange) this.onChange(computeHeat(board.curses));
+        if (this.root && this.root.style.display !== 'none') this.render();
+    }
+
+    /**
+     * Redraw the rules, curse rows and heat
+     */
+    render() {
+        const board = this.board;
+        const heat = computeHeat(board.curses);
+        this.heatLabel.textContent = `Heat: ${heat} · Rewards x${heatRewardMultiplier(heat).toFixed(1)}`;
+
+        this.rulesEl.innerHTML = '';
+        for (const [key, label] of Object.entries(RULE_LABELS)) {
+            const wrap = el('label', undefined, 'modifier-rule');
+            wrap.appendChild(el('span', label));
+            const select = document.createElement('select');
+            for (const value of RUN_RULE_OPTIONS[key]) {
+                const option = el('option', formatRule(key, value));
+                option.value = String(value);
+                option.selected = value === board.rules[key];
+                select.appendChild(option);
+            }
+            select.onchange = () => this.save({ rules: { ...board.rules, [key]: Number(select.value) }, curses: board.curses });
+            wrap.appendChild(select);
+            this.rulesEl.appendChild(wrap);
+        }
+        const slots = el('label', undefined, 'modifier-rule');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = board.rules.infiniteSlots;
+        checkbox.onchange = () => this.save({ rules: { ...board.rules, infiniteSlots: checkbox.checked }, curses: board.curses });
+        slots.append(checkbox, el('span', 'Infinite Weapon Slots'));
+        this.rulesEl.appendChild(slots);
+
+        this.list.innerHTML = '';
+        for (const [key, def] of Object.entries(RUN_CURSES)) {
+            const rank = board.curses[key] || 0;
+            const setRank = (n) => this.save({ rules: board.rules, curses: { ...board.curses, [key]: n } });
+
+            const row = el('div', undefined, rank > 0 ? 'modifier-row active' : 'modifier-row');
+            const info = el('div', undefined, 'modifier-info');
+            info.appendChild(el('strong', def.name));
+            info.appendChild(el('div', `${def.desc}${def.maxRank > 1 ? ' (stacks)' : ''} · +${def.heat} heat`));
+            row.appendChild(info);
+            row.appendChild(el('span', '■'.repeat(rank) + '□'.repeat(def.maxRank - rank), 'modifier-pips'));
+            row.appendChild(button('-', rank > 0, () => setRank(rank - 1)));
+            row.appendChild(button('+', rank < def.maxRank, () => setRank(rank + 1)));
+            this.list.appendChild(row);
+        }
+    }
+}
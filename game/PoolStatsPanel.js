@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Debug entity pool overlay
+ * Lists every EntityPools pool in the #pool-stats-panel table: objects in
+ * play, waiting in the pool, built in total, acquires served by reuse and
+ * the peak. Shown while the "Verbose Entity Logs" dev setting is enabled,
+ * next to the spatial hash panel.
+ *
+ * @module game/PoolStatsPanel
+ */
+
+/** Redraws per second */
+const REDRAWS_PER_SECOND = 4;
+
+/**
+ * Pool counters view of an EntityPools registry
+ * @class
+ * @example
+ * const panel = new PoolStatsPanel();
+ * panel.setEnabled(true);
+ * panel.update(game.pools);
+ */
+export class PoolStatsPanel {
+    constructor() {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('pool-stats-panel');
+
+        /** @type {HTMLElement|null} */
+        this.body = document.getElementById('pool-stats-body');
+
+        /** @type {boolean} */
+        this.visible = false;
+
+        /** @private */
+        this._lastDraw = 0;
+    }
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.visible = !!enabled && !!this.root;
+        if (this.root) this.root.style.display = this.visible ? 'block' : 'none';
+    }
+
+    /**
+     * Redraw (throttled)
+     * @param {import('./EntityPools.js').EntityPools} pools
+     */
+    update(pools) {
+        if (!this.visible || !this.body) return;
+        const now = performance.now();
+        if (now - this._lastDraw < 1000 / REDRAWS_PER_SECOND) return;
+        this._lastDraw = now;
+
+        this.body.innerHTML = '';
+        for (const row of pools.stats()) {
+            // Pools nothing has used yet only add noise
+            if (row.created === 0) continue;
+            const tr = document.createElement('tr');
+            for (const value of [row.name, row.active, row.available, row.created, row.reused, row.peak]) {
+                const td = document.createElement('td');
+                td.textContent = String(value);
+                tr.appendChild(td);
+            }
+            this.body.appendChild(tr);
+        }
+    }
+}
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Input recording and deterministic replay
+ * Records the per-tick player input of a seeded run (keys, mouse deltas,
+ * analog sticks, primary action) plus menu decisions (upgrade choices) into
+ * a compact run-length encoded document that can be re-simulated tick by tick.
+ *
+ * @module game/Replay
+ */
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+/** Replay document format version */
+export const REPLAY_VERSION = 1;
+
+/** Simulation ticks per second (matches the fixed world.step) */
+export const REPLAY_TICK_RATE = 60;
+
+/** File extension used for downloaded replays */
+export const REPLAY_FILE_EXTENSION = '.uthr';
+
+/** Magic prefix for replay codes */
+const REPLAY_PREFIX = 'UTR1:';
+
+/**
+ * Bit positions of the digital inputs packed into an input frame
+ * @readonly
+ * @enum {number}
+ */
+export const INPUT_BITS = Object.freeze({
+    W: 1 << 0,
+    A: 1 << 1,
+    S: 1 << 2,
+    D: 1 << 3,
+    SPACE: 1 << 4,
+    SHIFT: 1 << 5,
+    CTRL: 1 << 6,
+    PRIMARY: 1 << 7,     // Left click / tap (slash, bone throw, interact)
+    PAD_ATTACK: 1 << 8   // Gamepad RT/RB manual attack
+});
+
+/** Analog axes are stored as signed ints in [-ANALOG_SCALE, ANALOG_SCALE] */
+const ANALOG_SCALE = 127;
+
+/**
+ * One tick of simulation input
+ * @typedef {Object} InputFrame
+ * @property {number} mask - Packed INPUT_BITS
+ * @property {number} mx - Mouse/look delta X (pixels)
+ * @property {number} my - Mouse/look delta Y (pixels)
+ * @property {number} ax - Analog move X (-1..1)
+ * @property {number} az - Analog move Z (-1..1)
+ */
+
+/**
+ * Replay header describing how to rebuild the run
+ * @typedef {Object} ReplayHeader
+ * @property {number} seed - Run seed
+ * @property {string} character - Character key
+ * @property {string} mode - Game mode
+ * @property {Object} [settings] - Lobby settings that affect the simulation
+ * @property {number} createdAt - Unix timestamp
+ */
+
+/**
+ * Serialized replay document
+ * @typedef {Object} ReplayData
+ * @property {number} v - Format version
+ * @property {ReplayHeader} header
+ * @property {Array<number[]>} frames - RLE runs: [count, mask, mx, my, ax, az]
+ * @property {Array<Array>} events - [tick, type, data]
+ * @property {number} ticks - Total recorded ticks
+ * @property {Object} [summary] - Optional end-of-run summary
+ */
+
+/** An empty input frame (nothing pressed) */
+export const EMPTY_INPUT = Object.freeze({ mask: 0, mx: 0, my: 0, ax: 0, az: 0 });
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Quantize an analog axis to the stored integer range
+ * @param {number} value - Axis value (-1..1)
+ * @returns {number}
+ */
+function quantizeAxis(value) {
+    if (!value) return 0;
+    return Math.round(Math.max(-1, Math.min(1, value)) * ANALOG_SCALE);
+}
+
+/**
+ * Normalize a live input frame to exactly what a replay will reproduce.
+ * Recording applies this to the frame the simulation consumes so live play
+ * and playback see identical (quantized) values.
+ * @param {InputFrame} frame
+ * @returns {InputFrame}
+ */
+export function quantizeInput(frame) {
+    return {
+        mask: frame.mask | 0,
+        mx: Math.round(frame.mx || 0),
+        my: Math.round(frame.my || 0),
+        ax: quantizeAxis(frame.ax) / ANALOG_SCALE,
+        az: quantizeAxis(frame.az) / ANALOG_SCALE
+    };
+}
+
+/**
+ * Pack key state into an input mask
+ * @param {Object<string, boolean>} keys - Game key state (w/a/s/d/space/shift/ctrl)
+ * @returns {number}
+ */
+export function packKeys(keys) {
+    let mask = 0;
+    if (keys.w) mask |= INPUT_BITS.W;
+    if (keys.a) mask |= INPUT_BITS.A;
+    if (keys.s) mask |= INPUT_BITS.S;
+    if (keys.d) mask |= INPUT_BITS.D;
+    if (keys.space) mask |= INPUT_BITS.SPACE;
+    if (keys.shift) mask |= INPUT_BITS.SHIFT;
+    if (keys.ctrl) mask |= INPUT_BITS.CTRL;
+    return mask;
+}
+
+/**
+ * Write an input mask back into a key state object
+ * @param {number} mask - Packed INPUT_BITS
+ * @param {Object<string, boolean>} keys - Key state to update
+ */
+export function unpackKeys(mask, keys) {
+    keys.w = !!(mask & INPUT_BITS.W);
+    keys.a = !!(mask & INPUT_BITS.A);
+    keys.s = !!(mask & INPUT_BITS.S);
+    keys.d = !!(mask & INPUT_BITS.D);
+    keys.space = !!(mask & INPUT_BITS.SPACE);
+    keys.shift = !!(mask & INPUT_BITS.SHIFT);
+    keys.ctrl = !!(mask & INPUT_BITS.CTRL);
+}
+
+/**
+ * Encode a replay document as a portable text code
+ * @param {ReplayData} data
+ * @returns {string}
+ */
+export function serializeReplay(data) {
+    const json = JSON.stringify(data);
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return REPLAY_PREFIX + btoa(binary);
+}
+
+/**
+ * Decode a replay code (or raw JSON) back into a document
+ * @param {string} text - Replay code or JSON text
+ * @returns {ReplayData}
+ * @throws {Error} If the text is not a valid replay
+ */
+export function parseReplay(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Replay is empty');
+    }
+    const trimmed = text.trim();
+    let json = trimmed;
+    if (trimmed.startsWith(REPLAY_PREFIX)) {
+        const binary = atob(trimmed.slice(REPLAY_PREFIX.length));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        json = new TextDecoder().decode(bytes);
+    }
+
+    const data = JSON.parse(json);
+    if (!data || typeof data !== 'object' || !data.header || !Array.isArray(data.frames)) {
+        throw new Error('Not a replay file');
+    }
+    if (data.v > REPLAY_VERSION) {
+        throw new Error(`Replay version ${data.v} is newer than supported (${REPLAY_VERSION})`);
+    }
+    if (!Array.isArray(data.events)) data.events = [];
+    return data;
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+/**
+ * Records input frames and decision events during a live run
+ * @class
+ * @example
+ * const rec = new ReplayRecorder({ seed, character: 'FOX', mode: 'ARCADE' });
+ * rec.recordTick(frame);
+ * rec.recordEvent('upgrade', { key: 'FIREBALL', type: 'weapon_upgrade' });
+ * const code = serializeReplay(rec.toJSON());
+ */
+export class ReplayRecorder {
+    /**
+     * @param {Omit<ReplayHeader, 'createdAt'>} header - Run description
+     */
+    constructor(header) {
+        /** @type {ReplayHeader} */
+        this.header = { ...header, createdAt: Date.now() };
+
+        /** @type {Array<number[]>} */
+        this._frames = [];
+
+        /** @type {Array<Array>} */
+        this._events = [];
+
+        /** @type {number} */
+        this.tick = 0;
+
+        /** @type {Object|null} */
+        this.summary = null;
+    }
+
+    /**
+     * Append one tick of input (consecutive identical frames are merged)
+     * @param {InputFrame} frame
+     */
+    recordTick(frame) {
+        const mask = frame.mask | 0;
+        const mx = Math.round(frame.mx || 0);
+        const my = Math.round(frame.my || 0);
+        const ax = quantizeAxis(frame.ax);
+        const az = quantizeAxis(frame.az);
+
+        const last = this._frames[this._frames.length - 1];
+        if (last && last[1] === mask && last[2] === mx && last[3] === my && last[4] === ax && last[5] === az) {
+            last[0]++;
+        } else {
+            this._frames.push([1, mask, mx, my, ax, az]);
+        }
+        this.tick++;
+    }
+
+    /**
+     * Record a decision made outside the tick loop (e.g. an upgrade pick)
+     * @param {string} type - Event type
+     * @param {*} data - Event payload (must be JSON-serializable)
+     */
+    recordEvent(type, data) {
+        this._events.push([this.tick, type, data]);
+    }
+
+    /**
+     * Build the replay document
+     * @returns {ReplayData}
+     */
+    toJSON() {
+        return {
+            v: REPLAY_VERSION,
+            header: this.header,
+            frames: this._frames.map(f => f.slice()),
+            events: this._events.map(e => e.slice()),
+            ticks: this.tick,
+            summary: this.summary
+        };
+    }
+}
+
+// ============================================================================
+// PLAYER
+// ============================================================================
+
+/**
+ * Random-access reader over a recorded replay
+ * @class
+ */
+export class ReplayPlayer {
+    /**
+     * @param {ReplayData} data - Parsed replay document
+     */
+    constructor(data) {
+        /** @type {ReplayData} */
+        this.data = data;
+
+        /** @type {ReplayHeader} */
+        this.header = data.header;
+
+        // Cumulative start tick of each RLE run for binary search
+        /** @type {number[]} */
+        this._runStarts = [];
+        let t = 0;
+        for (const run of data.frames) {
+            this._runStarts.push(t);
+            t += run[0];
+        }
+
+        /** @type {number} */
+        this.length = t;
+
+        // Queue of decision events per type, consumed in order
+        /** @type {Map<string, Array<{tick: number, data: *}>>} */
+        this._eventQueues = new Map();
+        /** @type {Map<string, number>} */
+        this._eventCursor = new Map();
+        for (const [tick, type, payload] of data.events) {
+            if (!this._eventQueues.has(type)) this._eventQueues.set(type, []);
+            this._eventQueues.get(type).push({ tick, data: payload });
+        }
+    }
+
+    /**
+     * Get the input frame recorded for a tick
+     * @param {number} tick - Tick index
+     * @returns {InputFrame}
+     */
+    inputAt(tick) {
+        if (tick < 0 || tick >= this.length) return EMPTY_INPUT;
+
+        let lo = 0;
+        let hi = this._runStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this._runStarts[mid] <= tick) lo = mid;
+            else hi = mid - 1;
+        }
+        const run = this.data.frames[lo];
+        return {
+            mask: run[1],
+            mx: run[2],
+            my: run[3],
+            ax: run[4] / ANALOG_SCALE,
+            az: run[5] / ANALOG_SCALE
+        };
+    }
+
+    /**
+     * Consume the next recorded event of a type
+     * @param {string} type - Event type
+     * @returns {*|undefined} Event payload, or undefined if none are left
+     */
+    nextEvent(type) {
+        const queue = this._eventQueues.get(type);
+        if (!queue) return undefined;
+        const cursor = this._eventCursor.get(type) || 0;
+        if (cursor >= queue.length) return undefined;
+        this._eventCursor.set(type, cursor + 1);
+        return queue[cursor].data;
+    }
+
+    /**
+     * Check whether a tick is past the end of the recording
+     * @param {number} tick
+     * @returns {boolean}
+     */
+    isFinished(tick) {
+        return tick >= this.length;
+    }
+}
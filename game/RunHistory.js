@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Run records for the history browser
+ * Builds the per-run timeline sampled while playing (kills, level, health,
+ * damage dealt and taken over time) and the helpers the history browser uses
+ * to filter, sort and summarise stored runs. Storage itself lives in
+ * StateManager (`runHistory` section).
+ *
+ * @module game/RunHistory
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * How a run ended
+ * @readonly
+ * @enum {string}
+ */
+export const RUN_OUTCOMES = Object.freeze({
+    DIED: 'died',
+    VICTORY: 'victory'
+});
+
+/** Seconds between timeline samples at the start of a run */
+export const RUN_TIMELINE_INTERVAL = 10;
+
+/** Samples kept per run; longer runs halve their resolution instead of growing */
+const MAX_TIMELINE_SAMPLES = 120;
+
+/**
+ * Series recorded on the timeline, in display order
+ * @type {ReadonlyArray<{key: string, label: string, color: string}>}
+ */
+export const RUN_TIMELINE_SERIES = Object.freeze([
+    Object.freeze({ key: 'kills', label: 'Kills', color: '#ff6666' }),
+    Object.freeze({ key: 'level', label: 'Level', color: '#00ff88' }),
+    Object.freeze({ key: 'health', label: 'Health', color: '#ff00ff' }),
+    Object.freeze({ key: 'dealt', label: 'Damage Dealt', color: '#ffd700' }),
+    Object.freeze({ key: 'taken', label: 'Damage Taken', color: '#00ffff' })
+]);
+
+/**
+ * Sort orders offered by the history browser (all descending)
+ * @type {Object<string, {label: string, value: function(RunEntry): number}>}
+ */
+export const RUN_SORTS = Object.freeze({
+    date: { label: 'Newest', value: (r) => r.timestamp || 0 },
+    score: { label: 'Score', value: (r) => r.score || 0 },
+    time: { label: 'Time', value: (r) => r.time || 0 },
+    kills: { label: 'Kills', value: (r) => r.kills || 0 },
+    tier: { label: 'Tier', value: (r) => r.tier || 0 },
+    level: { label: 'Level', value: (r) => r.level || 0 },
+    heat: { label: 'Heat', value: (r) => r.heat || 0 }
+});
+
+/** Modes whose runs can be restarted from their seed alone */
+const SEED_REPLAYABLE_MODES = new Set(['ARCADE', 'AWAKENING']);
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * Columnar time series: `t[i]` is the run time of sample i, every other
+ * array holds that series' value at the same index.
+ * @typedef {Object} RunTimeline
+ * @property {number} interval - Current seconds between samples
+ * @property {number} nextAt - Run time of the next sample
+ * @property {number[]} t
+ * @property {number[]} kills
+ * @property {number[]} level
+ * @property {number[]} health
+ * @property {number[]} dealt
+ * @property {number[]} taken
+ */
+
+/**
+ * @returns {RunTimeline} Empty timeline
+ */
+export function createRunTimeline() {
+    const timeline = { interval: RUN_TIMELINE_INTERVAL, nextAt: RUN_TIMELINE_INTERVAL, t: [] };
+    for (const { key } of RUN_TIMELINE_SERIES) timeline[key] = [];
+    return timeline;
+}
+
+/**
+ * Append one sample. When the timeline is full every other sample is
+ * dropped and the interval doubled, so any run length fits.
+ * @param {RunTimeline} timeline
+ * @param {number} time - Run time in seconds
+ * @param {{kills: number, level: number, health: number, dealt: number, taken: number}} values
+ */
+export function pushTimelineSample(timeline, time, values) {
+    timeline.t.push(Math.round(time));
+    for (const { key } of RUN_TIMELINE_SERIES) {
+        timeline[key].push(Math.round(values[key] || 0));
+    }
+    if (timeline.t.length >= MAX_TIMELINE_SAMPLES) {
+        for (const key of ['t', ...RUN_TIMELINE_SERIES.map(s => s.key)]) {
+            timeline[key] = timeline[key].filter((_, i) => i % 2 === 1);
+        }
+        timeline.interval *= 2;
+    }
+    timeline.nextAt = time + timeline.interval;
+}
+
+/**
+ * Strip sampler state so only the data is stored
+ * @param {RunTimeline} timeline
+ * @returns {Object}
+ */
+export function serializeTimeline(timeline) {
+    const { interval, nextAt, ...data } = timeline;
+    return data;
+}
+
+// ============================================================================
+// BROWSING
+// ============================================================================
+
+/**
+ * Filter options for the history browser
+ * @typedef {Object} RunFilter
+ * @property {string} [character] - Character key, or '' for all
+ * @property {string} [mode] - Game mode, or '' for all
+ * @property {string} [outcome] - One of RUN_OUTCOMES, or '' for all
+ */
+
+/**
+ * Filter and sort runs
+ * @param {RunEntry[]} runs
+ * @param {RunFilter} filter
+ * @param {string} [sort='date'] - Key of RUN_SORTS
+ * @returns {RunEntry[]} New array
+ */
+export function queryRuns(runs, filter, sort = 'date') {
+    const { character = '', mode = '', outcome = '' } = filter || {};
+    const order = RUN_SORTS[sort] || RUN_SORTS.date;
+    return runs
+        .filter(r => (!character || r.character === character) &&
+            (!mode || r.mode === mode) &&
+            (!outcome || r.outcome === outcome))
+        .sort((a, b) => order.value(b) - order.value(a));
+}
+
+/**
+ * Whether "replay this seed" can rebuild the run
+ * @param {RunEntry} run
+ * @returns {boolean}
+ */
+export function canReplaySeed(run) {
+    return typeof run.seed === 'number' && !!run.character && SEED_REPLAYABLE_MODES.has(run.mode);
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatRunTime(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Run history browser
+ * Menu overlay (#run-history-panel) listing stored runs with filters and
+ * sort orders, and a detail view per run: loadout, damage dealt per weapon,
+ * damage taken per source, cause of death and graphs over time. Runs from
+ * seedable modes can be started again on the same seed.
+ *
+ * @module game/RunHistoryPanel
+ */
+
+import { CHARACTERS, WEAPONS, RUNES } from './config.js';
+import { RUN_CURSES } from './RunModifiers.js';
+import { getRunHistory, MAX_RUN_HISTORY } from './StateManager.js';
+import {
+    RUN_OUTCOMES, RUN_SORTS, RUN_TIMELINE_SERIES,
+    queryRuns, canReplaySeed, formatRunTime
+} from './RunHistory.js';
+
+/** Graph size in CSS pixels */
+const GRAPH_WIDTH = 400;
+const GRAPH_HEIGHT = 60;
+
+/**
+ * Create an element with optional text and inline styles
+ * @param {string} tag
+ * @param {string} [text]
+ * @param {Object<string, string>} [style]
+ * @returns {HTMLElement}
+ */
+function el(tag, text, style) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (style) Object.assign(node.style, style);
+    return node;
+}
+
+/**
+ * Fill a select with options, keeping the current value when still offered
+ * @param {HTMLSelectElement} select
+ * @param {Array<[string, string]>} options - [value, label]
+ */
+function setOptions(select, options) {
+    const previous = select.value;
+    select.innerHTML = '';
+    for (const [value, label] of options) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        select.appendChild(opt);
+    }
+    if (options.some(([value]) => value === previous)) select.value = previous;
+}
+
+/**
+ * Two-column table of label/value rows
+ * @param {Array<[string, string]>} rows
+ * @returns {HTMLTableElement}
+ */
+function table(rows) {
+    const t = el('table');
+    t.className = 'run-history-table';
+    for (const [label, value] of rows) {
+        const tr = el('tr');
+        tr.append(el('td', label, { color: '#aaa' }), el('td', value));
+        t.appendChild(tr);
+    }
+    return t;
+}
+
+/**
+ * Breakdown table sorted by amount, with each row's share of the total
+ * @param {Object<string, number>} amounts
+ * @param {function(string): string} labelFor
+ * @returns {HTMLTableElement}
+ */
+function breakdown(amounts, labelFor) {
+    const entries = Object.entries(amounts).sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((sum, [, v]) => sum + v, 0) || 1;
+    return table(entries.map(([key, value]) =>
+        [labelFor(key), `${Math.round(value).toLocaleString()} (${Math.round(value / total * 100)}%)`]));
+}
+
+/**
+ * Line graph of one timeline series
+ * @param {number[]} times
+ * @param {number[]} values
+ * @param {string} label
+ * @param {string} color
+ * @returns {HTMLElement}
+ */
+function graph(times, values, label, color) {
+    const wrap = el('div', undefined, { marginBottom: '6px' });
+    const max = Math.max(1, ...values);
+    const end = Math.max(1, times[times.length - 1] || 0);
+    wrap.appendChild(el('div', `${label} (max ${Math.round(max).toLocaleString()})`, { color }));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = GRAPH_WIDTH;
+    canvas.height = GRAPH_HEIGHT;
+    canvas.style.width = '100%';
+    canvas.style.height = `${GRAPH_HEIGHT}px`;
+    canvas.style.background = '#000';
+    const ctx = canvas.getContext('2d');
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(0, GRAPH_HEIGHT - 0.5);
+    ctx.lineTo(GRAPH_WIDTH, GRAPH_HEIGHT - 0.5);
+    ctx.stroke();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((v, i) => {
+        const x = times[i] / end * (GRAPH_WIDTH - 2) + 1;
+        const y = GRAPH_HEIGHT - 2 - v / max * (GRAPH_HEIGHT - 4);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    wrap.appendChild(canvas);
+    return wrap;
+}
+
+/**
+ * Run history browser overlay
+ * @class
+ * @example
+ * const history = new RunHistoryPanel({ onReplaySeed: (run) => startSeededRun(run) });
+ * history.open();
+ */
+export class RunHistoryPanel {
+    /**
+     * @param {Object} [options]
+     * @param {function(RunEntry): void} [options.onReplaySeed] - Start a new run on this run's seed
+     */
+    constructor({ onReplaySeed = null } = {}) {
+        /** @type {function(RunEntry): void|null} */
+        this.onReplaySeed = onReplaySeed;
+
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('run-history-panel');
+        this.rows = document.getElementById('run-history-rows');
+        this.detail = document.getElementById('run-history-detail');
+        this.filterCharacter = document.getElementById('run-history-filter-character');
+        this.filterMode = document.getElementById('run-history-filter-mode');
+        this.filterOutcome = document.getElementById('run-history-filter-outcome');
+        this.sortSelect = document.getElementById('run-history-sort');
+
+        /** @type {RunEntry[]} */
+        this.runs = [];
+
+        /** @type {RunEntry|null} */
+        this.selected = null;
+
+        if (!this.root) return;
+        const closeBtn = document.getElementById('run-history-close');
+        if (closeBtn) closeBtn.onclick = () => this.close();
+        for (const select of [this.filterCharacter, this.filterMode, this.filterOutcome, this.sortSelect]) {
+            select.onchange = () => this.renderList();
+        }
+        setOptions(this.filterOutcome, [['', 'All Outcomes'], [RUN_OUTCOMES.VICTORY, 'Victories'], [RUN_OUTCOMES.DIED, 'Deaths']]);
+        setOptions(this.sortSelect, Object.entries(RUN_SORTS).map(([key, sort]) => [key, `Sort: ${sort.label}`]));
+    }
+
+    /**
+     * Reload stored runs and show the panel
+     */
+    open() {
+        if (!this.root) return;
+        this.runs = getRunHistory(MAX_RUN_HISTORY);
+        this.selected = null;
+
+        const characters = [...new Set(this.runs.map(r => r.character).filter(Boolean))];
+        setOptions(this.filterCharacter, [['', 'All Characters'],
+            ...characters.map(key => [key, CHARACTERS[key] ? CHARACTERS[key].name : key])]);
+        const modes = [...new Set(this.runs.map(r => r.mode).filter(Boolean))];
+        setOptions(this.filterMode, [['', 'All Modes'], ...modes.map(mode => [mode, mode])]);
+
+        this.root.style.display = 'flex';
+        this.renderList();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (this.root) this.root.style.display = 'none';
+    }
+
+    /**
+     * Render the filtered, sorted run list
+     */
+    renderList() {
+        const runs = queryRuns(this.runs, {
+            character: this.filterCharacter.value,
+            mode: this.filterMode.value,
+            outcome: this.filterOutcome.value
+        }, this.sortSelect.value);
+
+        this.rows.innerHTML = '';
+        if (runs.length === 0) {
+            this.rows.appendChild(el('div', this.runs.length ? 'No runs match.' : 'No runs yet.', { padding: '8px', color: '#888' }));
+        }
+        for (const run of runs) {
+            const row = el('div');
+            row.className = 'run-history-row' + (run === this.selected ? ' selected' : '');
+            const name = el('span', `${run.char || run.character} · ${run.mode || '?'}`,
+                { color: run.outcome === RUN_OUTCOMES.VICTORY ? '#00ff88' : '#fff' });
+            const heat = run.heat > 0 ? ` · heat ${run.heat}` : '';
+            const value = el('span', `${run.score.toLocaleString()} · ${formatRunTime(run.time)}${heat}`, { color: '#aaa' });
+            row.append(name, value);
+            row.onclick = () => {
+                this.selected = run;
+                this.renderList();
+            };
+            this.rows.appendChild(row);
+        }
+
+        if (!this.selected || !runs.includes(this.selected)) this.selected = runs[0] || null;
+        this.renderDetail();
+    }
+
+    /**
+     * Render the selected run's breakdown
+     */
+    renderDetail() {
+        this.detail.innerHTML = '';
+        const run = this.selected;
+        if (!run) return;
+        const notRecorded = () => el('div', 'Not recorded for this run.', { color: '#666', marginBottom: '8px' });
+        const heading = (text) => el('div', text, { color: '#ffd700', margin: '8px 0 4px' });
+
+        this.detail.appendChild(el('div', `${run.char || run.character} - ${run.date || ''}`, { color: '#ffd700', fontSize: '0.8rem' }));
+        this.detail.appendChild(table([
+            ['Mode', run.mode || '?'],
+            ['Outcome', run.outcome === RUN_OUTCOMES.VICTORY ? 'Victory' : run.outcome === RUN_OUTCOMES.DIED ? 'Died' : '?'],
+            ['Cause of Death', run.causeOfDeath || '-'],
+            ['Score', run.score.toLocaleString()],
+            ['Time', formatRunTime(run.time)],
+            ['Tier', String(run.tier ?? '?')],
+            ['Level', String(run.level ?? '?')],
+            ['Kills', String(run.kills ?? '?')],
+            ['Heat', String(run.heat || 0)],
+            ['Seed', run.seed !== undefined ? String(run.seed) : '?']
+        ]));
+        const curses = Object.entries(run.curses || {});
+        if (curses.length > 0) {
+            this.detail.appendChild(heading('CURSES'));
+            this.detail.appendChild(table(curses.map(([key, rank]) => [RUN_CURSES[key] ? RUN_CURSES[key].name : key, `Rank ${rank}`])));
+        }
+
+        if (canReplaySeed(run) && this.onReplaySeed) {
+            const replayBtn = el('button', 'REPLAY THIS SEED', { width: '100%', marginBottom: '6px' });
+            replayBtn.onclick = () => {
+                this.close();
+                this.onReplaySeed(run);
+            };
+            this.detail.appendChild(replayBtn);
+        }
+
+        this.detail.appendChild(heading('LOADOUT'));
+        if (run.weapons) {
+            const levels = run.weaponLevels || {};
+            this.detail.appendChild(table([
+                ...run.weapons.map(key => [WEAPONS[key] ? WEAPONS[key].name : key, `Lv ${levels[key] || 1}`]),
+                ...(run.runes || []).map(key => [RUNES[key] ? RUNES[key].name : key, 'Rune']),
+                ...(run.buffs || []).map(name => [name, 'Shrine'])
+            ]));
+        } else {
+            this.detail.appendChild(notRecorded());
+        }
+
+        this.detail.appendChild(heading('DAMAGE DEALT'));
+        this.detail.appendChild(run.damageDealt
+            ? breakdown(run.damageDealt, key => (WEAPONS[key] ? WEAPONS[key].name : key))
+            : notRecorded());
+
+        this.detail.appendChild(heading('DAMAGE TAKEN'));
+        this.detail.appendChild(run.damageTaken ? breakdown(run.damageTaken, name => name) : notRecorded());
+
+        this.detail.appendChild(heading('OVER TIME'));
+        const timeline = run.timeline;
+        if (timeline && Array.isArray(timeline.t) && timeline.t.length > 1) {
+            for (const { key, label, color } of RUN_TIMELINE_SERIES) {
+                if (Array.isArray(timeline[key])) this.detail.appendChild(graph(timeline.t, timeline[key], label, color));
+            }
+        } else {
+            this.detail.appendChild(notRecorded());
+        }
+    }
+}
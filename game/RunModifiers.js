@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Run modifiers and curses
+ * The modifier board set before a single-player run: the rules the
+ * multiplayer lobby already had (overtime start, spawn and loot
+ * multipliers, infinite weapon slots) and stackable curses that make the
+ * run harder. Every curse rank adds heat, and heat multiplies the run's
+ * final score and banked Gold Teeth.
+ *
+ * The board travels to Game in `lobbySettings` (rules as the usual lobby
+ * fields, curses as `curses`), so replays carry it in their header
+ * settings. Challenge runs play on their own fixed modifiers instead.
+ *
+ * @module game/RunModifiers
+ */
+
+import { PROGRESSION } from './config.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Curse definition. Ranks stack: each one adds `heat` and `mult` again.
+ * @typedef {Object} CurseDef
+ * @property {string} name - Display name
+ * @property {string} desc - What one rank does
+ * @property {number} heat - Heat per rank
+ * @property {number} maxRank - Ranks that can be stacked
+ * @property {string} effect - CurseEffects field it changes
+ * @property {number} [mult] - Added to the effect multiplier per rank (flag effects have none)
+ */
+
+/**
+ * What a set of curses does to a run
+ * @typedef {Object} CurseEffects
+ * @property {number} enemyHealthMult - Regular enemy health multiplier
+ * @property {number} lavaSpeedMult - Overtime lava rise speed multiplier
+ * @property {number} chestCostMult - Chest price multiplier
+ * @property {boolean} noRegen - Passive health regeneration disabled
+ * @property {boolean} eliteOnly - Every regular enemy spawns as an elite
+ */
+
+/**
+ * Modifier board selection
+ * @typedef {Object} ModifierBoard
+ * @property {{timeLimit: number, spawnMult: number, lootMult: number, infiniteSlots: boolean}} rules
+ * @property {Object<string, number>} curses - Curse key -> rank
+ */
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/** Modes with a modifier board (single-player runs that end on the game-over screen) */
+export const MODIFIER_MODES = Object.freeze(['ARCADE', 'AWAKENING']);
+
+/** End-of-run reward bonus per heat point (score and Gold Teeth) */
+export const HEAT_REWARD_PER_POINT = 0.1;
+
+/** Board rules at their defaults (same fields as the multiplayer lobby settings) */
+export const DEFAULT_RUN_RULES = Object.freeze({
+    timeLimit: PROGRESSION.DEFAULT_TIME_LIMIT,
+    spawnMult: 1,
+    lootMult: 1,
+    infiniteSlots: false
+});
+
+/** Choices offered for each numeric rule */
+export const RUN_RULE_OPTIONS = Object.freeze({
+    timeLimit: Object.freeze([60, 300, 600, 900]),
+    spawnMult: Object.freeze([0.5, 1, 1.5, 2, 3]),
+    lootMult: Object.freeze([0.5, 1, 1.5, 2, 3])
+});
+
+/** @type {Object<string, CurseDef>} */
+export const RUN_CURSES = Object.freeze({
+    TOUGH_HIDE: Object.freeze({
+        name: 'Tough Hide', desc: 'Regular enemies have +50% health',
+        heat: 1, maxRank: 3, effect: 'enemyHealthMult', mult: 0.5
+    }),
+    MOLTEN_TIDE: Object.freeze({
+        name: 'Molten Tide', desc: 'Overtime lava rises 50% faster',
+        heat: 1, maxRank: 2, effect: 'lavaSpeedMult', mult: 0.5
+    }),
+    OPEN_WOUNDS: Object.freeze({
+        name: 'Open Wounds', desc: 'No passive health regeneration',
+        heat: 2, maxRank: 1, effect: 'noRegen'
+    }),
+    GREEDY_CHESTS: Object.freeze({
+        name: 'Greedy Chests', desc: 'Chests cost double',
+        heat: 2, maxRank: 1, effect: 'chestCostMult', mult: 1
+    }),
+    ELITE_HORDE: Object.freeze({
+        name: 'Elite Horde', desc: 'Every regular enemy spawns as an elite',
+        heat: 3, maxRank: 1, effect: 'eliteOnly'
+    })
+});
+
+/** Effects with no curses */
+const NO_EFFECTS = Object.freeze({
+    enemyHealthMult: 1, lavaSpeedMult: 1, chestCostMult: 1, noRegen: false, eliteOnly: false
+});
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Whether a run uses the modifier board
+ * @param {string} mode - Game mode
+ * @param {Object} [options]
+ * @param {boolean} [options.challenge=false] - Daily/weekly challenge run
+ * @returns {boolean}
+ */
+export function isModifierEligible(mode, { challenge = false } = {}) {
+    return MODIFIER_MODES.includes(mode) && !challenge;
+}
+
+/**
+ * Clamp curse ranks to known curses and their rank counts
+ * @param {Object<string, number>} curses
+ * @returns {Object<string, number>}
+ */
+export function sanitizeCurses(curses) {
+    const clean = {};
+    for (const [key, rank] of Object.entries(curses || {})) {
+        const def = RUN_CURSES[key];
+        const n = Math.min(Math.floor(rank) || 0, def ? def.maxRank : 0);
+        if (n > 0) clean[key] = n;
+    }
+    return clean;
+}
+
+/**
+ * Keep only known rules with an offered value
+ * @param {Object} rules
+ * @returns {{timeLimit: number, spawnMult: number, lootMult: number, infiniteSlots: boolean}}
+ */
+export function sanitizeRunRules(rules) {
+    const clean = { ...DEFAULT_RUN_RULES };
+    for (const [key, options] of Object.entries(RUN_RULE_OPTIONS)) {
+        if (rules && options.includes(rules[key])) clean[key] = rules[key];
+    }
+    clean.infiniteSlots = !!(rules && rules.infiniteSlots === true);
+    return clean;
+}
+
+/**
+ * @param {Object<string, number>} curses - Curse key -> rank
+ * @returns {number}
+ */
+export function computeHeat(curses) {
+    return Object.entries(sanitizeCurses(curses)).reduce((sum, [key, rank]) => sum + RUN_CURSES[key].heat * rank, 0);
+}
+
+/**
+ * Multiplier applied to the final score and banked Gold Teeth
+ * @param {number} heat
+ * @returns {number}
+ */
+export function heatRewardMultiplier(heat) {
+    return 1 + Math.max(0, heat) * HEAT_REWARD_PER_POINT;
+}
+
+/**
+ * @param {Object<string, number>} curses - Curse key -> rank
+ * @returns {CurseEffects}
+ */
+export function resolveCurseEffects(curses) {
+    const effects = { ...NO_EFFECTS };
+    for (const [key, rank] of Object.entries(sanitizeCurses(curses))) {
+        const def = RUN_CURSES[key];
+        if (def.mult) effects[def.effect] += def.mult * rank;
+        else effects[def.effect] = true;
+    }
+    return effects;
+}
+
+/**
+ * Lobby settings for a run started from the board
+ * @param {ModifierBoard} board
+ * @returns {Object} `timeLimit`, `spawnMult`, `lootMult`, `infiniteSlots` and `curses`
+ */
+export function boardLobbySettings(board) {
+    return { ...sanitizeRunRules(board.rules), curses: sanitizeCurses(board.curses) };
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Run-scoped random number service
+ * Splits a single run seed into independent named streams so that world
+ * generation, spawning, loot and combat rolls never consume each other's
+ * sequence. Same seed + same inputs = same map, spawns and upgrade offers.
+ *
+ * @module game/RunRandom
+ */
+
+import { SeededRandom } from './utils.js';
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+/**
+ * Named random streams
+ * - WORLD:  terrain, props, maze layout, secret placements
+ * - SPAWNS: enemy/ghost/miniboss selection and placement, leashing
+ * - LOOT:   level-up offers, chest contents, shrine offers, rarity rolls
+ * - COMBAT: crits, weapon procs, boss attack spread
+ * - FX:     purely cosmetic rolls (particles, shake, sound pitch)
+ * @readonly
+ * @enum {string}
+ */
+export const RNG_STREAMS = Object.freeze({
+    WORLD: 'world',
+    SPAWNS: 'spawns',
+    LOOT: 'loot',
+    COMBAT: 'combat',
+    FX: 'fx'
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Hash a string or number into a positive 31-bit seed (FNV-1a)
+ * @param {string|number} value - Value to hash
+ * @returns {number}
+ */
+export function hashSeed(value) {
+    const str = String(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 1) || 1;
+}
+
+// ============================================================================
+// RUN RANDOM
+// ============================================================================
+
+/**
+ * Seeded RNG with one independent stream per subsystem
+ * @class
+ * @example
+ * const random = new RunRandom(12345);
+ * random.range('spawns', 45, 70);
+ * random.pick('loot', ['FIREBALL', 'LIGHTNING']);
+ */
+export class RunRandom {
+    /**
+     * @param {number|string} [seed] - Run seed (random if omitted)
+     */
+    constructor(seed) {
+        /** @type {number} */
+        this.seed = (seed === undefined || seed === null || seed === '')
+            ? RunRandom.createSeed()
+            : (typeof seed === 'number' && seed > 0 ? Math.floor(seed) : hashSeed(seed));
+
+        /** @type {Map<string, SeededRandom>} */
+        this._streams = new Map();
+    }
+
+    /**
+     * Create a fresh seed for unseeded runs.
+     * This is the only place a run touches Math.random.
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 2147483646) + 1;
+    }
+
+    /**
+     * Get (or lazily create) a named stream
+     * @param {string} name - Stream name, see RNG_STREAMS
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        let rng = this._streams.get(name);
+        if (!rng) {
+            rng = new SeededRandom(hashSeed(`${this.seed}:${name}`));
+            this._streams.set(name, rng);
+        }
+        return rng;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @param {string} name - Stream name
+     * @returns {number}
+     */
+    next(name) {
+        return this.stream(name).next();
+    }
+
+    /**
+     * Float in [min, max)
+     * @param {string} name - Stream name
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number}
+     */
+    range(name, min, max) {
+        return this.stream(name).range(min, max);
+    }
+
+    /**
+     * Integer in [min, max] (inclusive)
+     * @param {string} name - Stream name
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number}
+     */
+    rangeInt(name, min, max) {
+        return this.stream(name).rangeInt(min, max);
+    }
+
+    /**
+     * True with the given probability
+     * @param {string} name - Stream name
+     * @param {number} probability - Chance (0-1)
+     * @returns {boolean}
+     */
+    chance(name, probability) {
+        return this.stream(name).next() < probability;
+    }
+
+    /**
+     * Pick random element from array
+     * @template T
+     * @param {string} name - Stream name
+     * @param {T[]} array - Array to pick from
+     * @returns {T}
+     */
+    pick(name, array) {
+        return this.stream(name).pick(array);
+    }
+
+    /**
+     * Restart every stream from the run seed
+     */
+    reset() {
+        this._streams.clear();
+    }
+}
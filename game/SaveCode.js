@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Portable save codes
+ * Encodes the StateManager save document as a compact text code (or file)
+ * that can be pasted into another browser: JSON, deflate-compressed where the
+ * platform supports it, base64, with a CRC-32 checksum so typos and truncated
+ * copies are caught before anything is imported.
+ *
+ * Format: `UTS1:<method>:<crc32 hex>:<base64 body>` where method is `z`
+ * (deflate-raw) or `j` (plain JSON).
+ *
+ * @module game/SaveCode
+ */
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+/** Magic prefix for save codes */
+const SAVE_CODE_PREFIX = 'UTS1';
+
+/** File extension used for downloaded save files */
+export const SAVE_FILE_EXTENSION = '.uthsave';
+
+/**
+ * Body encodings
+ * @readonly
+ * @enum {string}
+ */
+const METHODS = Object.freeze({
+    DEFLATE: 'z',
+    PLAIN: 'j'
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** CRC-32 lookup table (IEEE polynomial) */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array, as 8 hex digits
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text is not base64
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Pipe bytes through a CompressionStream/DecompressionStream
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeThrough(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/** @returns {boolean} Whether deflate streams are available */
+function canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+// ============================================================================
+// ENCODE / DECODE
+// ============================================================================
+
+/**
+ * Encode a save document as a portable code
+ * @param {Object} doc - Save document (see StateManager.getSaveSnapshot)
+ * @returns {Promise<string>}
+ */
+export async function encodeSaveCode(doc) {
+    const json = new TextEncoder().encode(JSON.stringify(doc));
+    const checksum = crc32(json);
+    if (canCompress()) {
+        const packed = await pipeThrough(json, new CompressionStream('deflate-raw'));
+        return `${SAVE_CODE_PREFIX}:${METHODS.DEFLATE}:${checksum}:${bytesToBase64(packed)}`;
+    }
+    return `${SAVE_CODE_PREFIX}:${METHODS.PLAIN}:${checksum}:${bytesToBase64(json)}`;
+}
+
+/**
+ * Decode a save code back into a document. The checksum is verified against
+ * the decoded JSON, so any damage to the code is reported here.
+ * @param {string} text - Save code (whitespace is ignored)
+ * @returns {Promise<Object>} Parsed (not yet validated) save document
+ * @throws {Error} If the code is malformed, damaged or unsupported
+ */
+export async function decodeSaveCode(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Save code is empty');
+    }
+    const parts = text.replace(/\s+/g, '').split(':');
+    if (parts.length !== 4 || parts[0] !== SAVE_CODE_PREFIX) {
+        throw new Error('Not a save code');
+    }
+    const [, method, checksum, body] = parts;
+
+    let bytes;
+    try {
+        bytes = base64ToBytes(body);
+    } catch (e) {
+        throw new Error('Save code is damaged (bad characters)');
+    }
+
+    if (method === METHODS.DEFLATE) {
+        if (!canCompress()) {
+            throw new Error('This browser cannot read compressed save codes');
+        }
+        try {
+            bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+        } catch (e) {
+            throw new Error('Save code is damaged (cannot decompress)');
+        }
+    } else if (method !== METHODS.PLAIN) {
+        throw new Error(`Unknown save code encoding "${method}"`);
+    }
+
+    if (crc32(bytes) !== checksum.toLowerCase()) {
+        throw new Error('Save code is damaged (checksum mismatch)');
+    }
+
+    const doc = JSON.parse(new TextDecoder().decode(bytes));
+    if (!doc || typeof doc !== 'object' || typeof doc.version !== 'number') {
+        throw new Error('Not a save code');
+    }
+    return doc;
+}
@@ -0,0 +1,636 @@
+/**
+ * @fileoverview Headless simulation runner for balance testing
+ * Runs seeded games without a renderer or audio (in Node or a worker),
+ * driven by a scripted bot policy, and reports how long the bot survived,
+ * kills, level and damage per second for each weapon. Bot runs are recorded
+ * like live runs, so any result can be watched back as a replay.
+ *
+ * @module game/Simulation
+ */
+
+import { installHeadlessEnvironment } from './HeadlessEnvironment.js';
+import { gameEvents, GameEvents } from './EventEmitter.js';
+import { INPUT_BITS, EMPTY_INPUT, serializeReplay } from './Replay.js';
+import { hashSeed } from './RunRandom.js';
+import { FLOW_FIELD } from './FlowField.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Default cap on simulated time per run (seconds) */
+export const DEFAULT_MAX_TIME = 900;
+
+/** Ticks between yields to the event loop so wall-clock timers can fire */
+const YIELD_EVERY_TICKS = 600;
+
+/** Give up on a run that stays paused (no pending menu) for this long (ms) */
+const STALL_TIMEOUT_MS = 10000;
+
+/**
+ * How a simulated run ended
+ * @readonly
+ * @enum {string}
+ */
+export const SIM_OUTCOMES = Object.freeze({
+    DIED: 'died',
+    VICTORY: 'victory',
+    TIMEOUT: 'timeout',
+    STALLED: 'stalled',
+    ERROR: 'error'
+});
+
+/** Upgrade menu preference: higher wins */
+const CHOICE_PRIORITY = Object.freeze({
+    evolution: 5,
+    weapon_evolution: 5,
+    weapon: 4,
+    weapon_upgrade: 3,
+    rune: 2,
+    rune_upgrade: 1
+});
+
+/** Starting weapons that only hit up close; their characters default to the brawl bot */
+const MELEE_WEAPONS = ['KNIGHT_SWORD', 'GIGA_SWORD', 'CHAD_AURA'];
+
+/** Shrine rarities from worst to best */
+const RARITY_RANK = ['COMMON', 'UNCOMMON', 'RARE', 'ULTRA_RARE', 'LEGENDARY'];
+
+/** Kite bot: how far past pickup range it detours for an orb, with enemies within 6 units or not */
+const KITE_ORB_MARGIN = Object.freeze({ pressured: 6, clear: 30 });
+
+/** Kite bot: strength of the pull toward loot (a lone enemy 3 units away pushes about 0.33) */
+const KITE_LOOT_PULL = Object.freeze({ pressured: 0.3, clear: 1 });
+
+/** Kite bot: loot (and, one unit further, enemies) above or below this is on another level and ignored */
+const KITE_MAX_RISE = 3;
+
+/** Kite bot: loot it gets no closer to than this (units) over this many ticks is given up on */
+const KITE_GIVE_UP = Object.freeze({ TICKS: 120, MIN_PROGRESS: 1 });
+
+/** Kite bot: strength of the pull back toward the arena center at the arena edge */
+const KITE_CENTER_PULL = 0.25;
+
+// ============================================================================
+// BOT HELPERS
+// ============================================================================
+
+/** Camera radians per pixel of look input (matches updatePlayer) */
+const LOOK_SENSITIVITY = 0.002;
+
+/**
+ * Convert a world-space direction into the camera-relative analog input
+ * updatePlayer expects (inverse of its camera rotation)
+ * @param {Object} game - Game instance
+ * @param {number} wx - World X direction
+ * @param {number} wz - World Z direction
+ * @param {number} [mx=0] - Look input sent on the same tick (applied before movement)
+ * @returns {{ax: number, az: number}}
+ */
+function steer(game, wx, wz, mx = 0) {
+    const len = Math.hypot(wx, wz);
+    if (len < 1e-4) return { ax: 0, az: 0 };
+    wx /= len;
+    wz /= len;
+    const rotation = game.cameraRotation - mx * LOOK_SENSITIVITY;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return { ax: wx * cos - wz * sin, az: wx * sin + wz * cos };
+}
+
+/**
+ * Look input that turns the camera (and so slash direction) toward a point
+ * @param {Object} game
+ * @param {number} tx - Target X
+ * @param {number} tz - Target Z
+ * @returns {number} Mouse X delta
+ */
+function aimAt(game, tx, tz) {
+    const p = game.playerBody.position;
+    // Camera forward is (-sin r, -cos r)
+    const desired = Math.atan2(-(tx - p.x), -(tz - p.z));
+    let delta = desired - game.cameraRotation;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+    return Math.max(-400, Math.min(400, Math.round(-delta / LOOK_SENSITIVITY)));
+}
+
+/**
+ * Whether a point is on the ground avoidLava lets the bots walk on
+ * @param {Object} game
+ * @param {{x: number, z: number}} point
+ * @returns {boolean}
+ */
+function safeGround(game, point) {
+    if (Math.hypot(point.x, point.z) > (game.safeRadius || 36) * 0.85) return false;
+    return typeof game.isLava !== 'function' || !game.isLava(point.x, point.z);
+}
+
+/**
+ * Pull back toward the arena center when the next step would leave safe ground
+ * @param {Object} game
+ * @param {number} wx
+ * @param {number} wz
+ * @returns {{x: number, z: number}}
+ */
+function avoidLava(game, wx, wz) {
+    const p = game.playerBody.position;
+    const len = Math.hypot(wx, wz) || 1;
+    const ahead = 3;
+    const nx = p.x + (wx / len) * ahead;
+    const nz = p.z + (wz / len) * ahead;
+    if (!safeGround(game, { x: nx, z: nz })) {
+        return { x: wx - p.x * 0.2, z: wz - p.z * 0.2 };
+    }
+    return { x: wx, z: wz };
+}
+
+/**
+ * Where to head for a point: the next cell of the walking route to it (the
+ * enemies' flow field read backwards, so walls and props are walked around),
+ * or the point itself when it is close, has no such route or there is no field
+ * @param {Object} game
+ * @param {number} x
+ * @param {number} z
+ * @returns {{x: number, z: number}}
+ */
+function routeTo(game, x, z) {
+    const p = game.playerBody.position;
+    if (!game.flowField || Math.hypot(x - p.x, z - p.z) <= FLOW_FIELD.CELL_SIZE) return { x, z };
+    return game.flowField.firstStepTo(x, z) || { x, z };
+}
+
+/**
+ * Default menu policy: evolve, then new weapons, then weapon levels, then
+ * runes; shrines take the highest rarity
+ * @param {Object} game
+ * @param {string} kind - 'upgrade' | 'shrine'
+ * @param {Array<Object>} options
+ * @returns {number} Index of the chosen option
+ */
+function chooseGreedy(game, kind, options) {
+    let best = 0;
+    let bestScore = -Infinity;
+    options.forEach((option, i) => {
+        const score = kind === 'shrine'
+            ? RARITY_RANK.indexOf(option.rarity)
+            : (CHOICE_PRIORITY[option.type] || 0);
+        if (score > bestScore) {
+            bestScore = score;
+            best = i;
+        }
+    });
+    return best;
+}
+
+// ============================================================================
+// BOT POLICIES
+// ============================================================================
+
+/**
+ * A scripted player: produces one input frame per tick and answers menus
+ * @typedef {Object} BotController
+ * @property {function(Object): import('./Replay.js').InputFrame} input
+ * @property {function(Object, string, Array<Object>): number} choose
+ */
+
+/**
+ * Bot policy factories by name
+ * - idle:   stands still; measures what the build does on its own
+ * - circle: orbits the arena center
+ * - kite:   keeps enemies at range, collects XP orbs and affordable chests
+ * - brawl:  walks into the nearest enemy and swings (melee characters), backs off when low
+ * @type {Object<string, function(): BotController>}
+ */
+export const BOT_POLICIES = Object.freeze({
+    idle: () => ({
+        input: () => EMPTY_INPUT,
+        choose: chooseGreedy
+    }),
+
+    circle: () => ({
+        input(game) {
+            const p = game.playerBody.position;
+            const r = Math.hypot(p.x, p.z) || 1;
+            const orbit = 16;
+            // Tangent plus a radial correction toward the orbit
+            const radial = (orbit - r) / orbit;
+            const wx = -p.z / r + (p.x / r) * radial;
+            const wz = p.x / r + (p.z / r) * radial;
+            return { mask: 0, mx: 0, my: 0, ...steer(game, wx, wz) };
+        },
+        choose: chooseGreedy
+    }),
+
+    kite: () => {
+        // Loot the bot gave up on (behind a wall or prop), and progress toward the current target
+        const unreachable = new WeakSet();
+        const chase = { target: null, dist: Infinity, tick: 0 };
+        return {
+            input(game) {
+                const p = game.playerBody.position;
+                let wx = 0, wz = 0;
+                let closest = Infinity;
+
+                for (const enemy of game.enemies) {
+                    const dx = p.x - enemy.mesh.position.x;
+                    const dz = p.z - enemy.mesh.position.z;
+                    const d2 = dx * dx + dz * dz;
+                    // 8 units, on this level (enemies up on a ledge can't reach the bot)
+                    if (d2 > 64 || Math.abs(enemy.mesh.position.y - p.y) > KITE_MAX_RISE + 1) continue;
+                    closest = Math.min(closest, d2);
+                    const w = 1 / Math.max(d2, 1);
+                    wx += dx * w;
+                    wz += dz * w;
+                }
+
+                // Loot pulls even under pressure (weaker then), so a swarm can't keep the bot from levelling.
+                // Orbs only need to come within pickup range, so the reach is that plus a short detour
+                const pressured = closest <= 36;
+                const reach = (game.stats.pickupRange || 8) + (pressured ? KITE_ORB_MARGIN.pressured : KITE_ORB_MARGIN.clear);
+                let target = null;
+                let targetPos = null;
+                let best = reach * reach;
+                for (const orb of game.xpOrbs) {
+                    // Already flying in, out over the lava, or up on a ledge the bot can't walk onto from here
+                    if (orb.targetPlayer || unreachable.has(orb) || !safeGround(game, orb.mesh.position)) continue;
+                    if (Math.abs(orb.mesh.position.y - p.y) > KITE_MAX_RISE) continue;
+                    // The current target counts as closer so the bot doesn't dither between two
+                    const d2 = ((orb.mesh.position.x - p.x) ** 2 + (orb.mesh.position.z - p.z) ** 2) * (orb === chase.target ? 0.5 : 1);
+                    if (d2 < best) { best = d2; target = orb; targetPos = orb.mesh.position; }
+                }
+                if (!pressured) {
+                    for (const chest of game.chests) {
+                        if (chest.opened || unreachable.has(chest) || !safeGround(game, chest.position)) continue;
+                        const cost = chest._lastComputedCost ?? chest.baseCost ?? Infinity;
+                        if (game.coins < cost) continue;
+                        const d2 = ((chest.position.x - p.x) ** 2 + (chest.position.z - p.z) ** 2) * (chest === chase.target ? 0.5 : 1);
+                        if (d2 < best) { best = d2; target = chest; targetPos = chest.position; }
+                    }
+                }
+                if (target) {
+                    // No closer after a while: something is in the way, leave it
+                    const dist = Math.hypot(targetPos.x - p.x, targetPos.z - p.z);
+                    if (target !== chase.target) {
+                        chase.target = target;
+                        chase.dist = dist;
+                        chase.tick = game.simTick;
+                    } else if (game.simTick - chase.tick >= KITE_GIVE_UP.TICKS) {
+                        if (chase.dist - dist < KITE_GIVE_UP.MIN_PROGRESS) unreachable.add(target);
+                        chase.dist = dist;
+                        chase.tick = game.simTick;
+                    }
+                    const via = routeTo(game, targetPos.x, targetPos.z);
+                    const tx = via.x - p.x;
+                    const tz = via.z - p.z;
+                    const len = Math.hypot(tx, tz) || 1;
+                    const pull = pressured ? KITE_LOOT_PULL.pressured : KITE_LOOT_PULL.clear;
+                    wx += (tx / len) * pull;
+                    wz += (tz / len) * pull;
+                }
+
+                // Drift back toward the middle so backing off doesn't end in a corner
+                const arena = (game.safeRadius || 36) * 0.85;
+                const out = Math.hypot(p.x, p.z) / arena;
+                const home = routeTo(game, 0, 0);
+                const homeLen = Math.hypot(home.x - p.x, home.z - p.z) || 1;
+                wx += ((home.x - p.x) / homeLen) * out * out * KITE_CENTER_PULL;
+                wz += ((home.z - p.z) / homeLen) * out * out * KITE_CENTER_PULL;
+
+                const dir = avoidLava(game, wx, wz);
+                // Swing at anything in melee range (slash / bone throw characters)
+                const mask = closest < 16 && game.simTick % 20 === 0 ? INPUT_BITS.PAD_ATTACK : 0;
+                return { mask, mx: 0, my: 0, ...steer(game, dir.x, dir.z) };
+            },
+            choose: chooseGreedy
+        };
+    },
+
+    brawl: () => ({
+        input(game) {
+            const p = game.playerBody.position;
+            let target = null;
+            let best = Infinity;
+            const arena = (game.safeRadius || 36) * 0.85;
+            for (const enemy of game.enemies) {
+                const e = enemy.mesh.position;
+                // Slashes are flat: skip enemies on ledges above/below or still out past the lava
+                if (Math.abs(e.y - p.y) > 4 || Math.hypot(e.x, e.z) > arena) continue;
+                const d2 = (e.x - p.x) ** 2 + (e.z - p.z) ** 2;
+                if (d2 < best) { best = d2; target = e; }
+            }
+            // Nothing reachable: wait near the middle for them to come
+            if (!target) {
+                const home = Math.hypot(p.x, p.z) > 8 ? steer(game, -p.x, -p.z) : { ax: 0, az: 0 };
+                return { mask: 0, mx: 0, my: 0, ...home };
+            }
+
+            // Close in to slash range, or run when below a third of max health
+            const retreat = game.playerHealth < game.maxHealth / 3;
+            let wx = target.x - p.x;
+            let wz = target.z - p.z;
+            if (retreat) { wx = -wx; wz = -wz; }
+            else if (best < 6) { wx = 0; wz = 0; }
+
+            const dir = avoidLava(game, wx, wz);
+            const mx = aimAt(game, target.x, target.z);
+            const mask = best < 25 && game.simTick % 10 === 0 ? INPUT_BITS.PAD_ATTACK : 0;
+            return { mask, mx, my: 0, ...steer(game, dir.x, dir.z, mx) };
+        },
+        choose: chooseGreedy
+    })
+});
+
+/**
+ * Bot policy used when a run asks for 'auto': brawl for melee starters, kite otherwise
+ * @param {Object} characterConfig - Entry from CHARACTERS
+ * @returns {string}
+ */
+export function defaultPolicyFor(characterConfig) {
+    const starting = (characterConfig && characterConfig.startingWeapons) || [];
+    return starting.some(w => MELEE_WEAPONS.includes(w)) ? 'brawl' : 'kite';
+}
+
+/**
+ * Create a bot by policy name
+ * @param {string} policy - Key of BOT_POLICIES
+ * @returns {BotController}
+ * @throws {Error} If the policy is unknown
+ */
+export function createBot(policy) {
+    const factory = BOT_POLICIES[policy];
+    if (!factory) {
+        throw new Error(`Unknown bot policy "${policy}" (expected one of: ${Object.keys(BOT_POLICIES).join(', ')})`);
+    }
+    return factory();
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Result of one simulated run
+ * @typedef {Object} SimulationResult
+ * @property {string} character
+ * @property {number} seed
+ * @property {string} policy
+ * @property {string} mode
+ * @property {string} outcome - See SIM_OUTCOMES
+ * @property {number} timeSurvived - Simulated seconds
+ * @property {number} ticks
+ * @property {number} kills
+ * @property {number} level
+ * @property {number} score
+ * @property {string[]} weapons
+ * @property {string[]} runes
+ * @property {number} totalDamage
+ * @property {Object<string, {damage: number, dps: number, kills: number}>} dpsByWeapon
+ * @property {string} [replay] - Replay code (when requested)
+ * @property {string} [error] - Message of the exception that ended the run (outcome 'error')
+ */
+
+/**
+ * Simulate one run to death, victory or the time cap
+ * @param {Object} [options]
+ * @param {string} [options.character='FOX'] - Character key
+ * @param {number|string} [options.seed] - Run seed (random if omitted)
+ * @param {string} [options.policy='auto'] - Bot policy name, or 'auto' to pick by character
+ * @param {string} [options.mode='ARCADE'] - Game mode
+ * @param {number} [options.maxTime=DEFAULT_MAX_TIME] - Simulated seconds before giving up
+ * @param {Object} [options.lobbySettings] - Extra lobby settings (timeLimit, spawnMult, ...)
+ * @param {boolean} [options.includeReplay=false] - Attach the replay code to the result
+ * @returns {Promise<SimulationResult>}
+ */
+export async function runSimulation(options = {}) {
+    const {
+        character = 'FOX',
+        seed,
+        policy: requestedPolicy = 'auto',
+        mode = 'ARCADE',
+        maxTime = DEFAULT_MAX_TIME,
+        lobbySettings = {},
+        includeReplay = false
+    } = options;
+
+    if (requestedPolicy !== 'auto') createBot(requestedPolicy); // Fail fast on a bad name
+
+    // game.js writes to window at load time, so the globals must exist before it is imported
+    installHeadlessEnvironment();
+    const { Game } = await import('./game.js');
+
+    const game = new Game(character, false, false, mode, null, { ...lobbySettings, headless: true }, seed);
+    const policy = requestedPolicy === 'auto' ? defaultPolicyFor(game.characterConfig) : requestedPolicy;
+    game.botController = createBot(policy);
+
+    let outcome = null;
+    let score = 0;
+    const offGameOver = gameEvents.on(GameEvents.GAME_OVER, (data) => {
+        outcome = data.victory ? SIM_OUTCOMES.VICTORY : SIM_OUTCOMES.DIED;
+        score = data.score;
+    });
+    const offTier = gameEvents.on(GameEvents.TIER_COMPLETE, () => {
+        outcome = SIM_OUTCOMES.VICTORY;
+    });
+
+    try {
+        game.init();
+        game.startIntro();
+        const step = game.fixedStep;
+        while (game.inIntro) game.updateIntro(step);
+
+        const maxTicks = Math.ceil(maxTime / step);
+        let pausedSince = null;
+        while (!outcome && game.simTick < maxTicks) {
+            if (game.isPlaying && !game.isPaused) {
+                pausedSince = null;
+                game.runTick(step);
+                if (game.simTick % YIELD_EVERY_TICKS === 0) await yieldToEventLoop();
+            } else {
+                // Something outside the tick loop paused the game (an unlock cutscene); let its timers run
+                pausedSince ??= Date.now();
+                if (Date.now() - pausedSince > STALL_TIMEOUT_MS) {
+                    outcome = SIM_OUTCOMES.STALLED;
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        }
+        if (!outcome) outcome = SIM_OUTCOMES.TIMEOUT;
+    } finally {
+        offGameOver();
+        offTier();
+        game.isPlaying = false;
+        game.botController = null;
+    }
+
+    const time = game.gameTime;
+    const dpsByWeapon = {};
+    let totalDamage = 0;
+    for (const row of game.damageMeter.rows(time)) {
+        totalDamage += row.damage;
+        dpsByWeapon[row.source] = { damage: round(row.damage), dps: round(row.dps), kills: row.kills };
+    }
+
+    const result = {
+        character: game.characterKey,
+        seed: game.seed,
+        policy,
+        mode,
+        outcome,
+        timeSurvived: round(time),
+        ticks: game.simTick,
+        kills: game.kills,
+        level: game.level,
+        score,
+        weapons: [...game.weapons],
+        runes: [...game.runes],
+        totalDamage: round(totalDamage),
+        dpsByWeapon
+    };
+    if (includeReplay && game.recorder) {
+        result.replay = serializeReplay(game.recorder.toJSON());
+    }
+    return result;
+}
+
+// ============================================================================
+// BATCHES
+// ============================================================================
+
+/**
+ * Aggregate statistics for a set of runs
+ * @typedef {Object} SimulationAggregate
+ * @property {number} runs
+ * @property {Object<string, number>} outcomes - Count per outcome
+ * @property {{mean: number, median: number, min: number, max: number}} timeSurvived
+ * @property {{mean: number, median: number}} kills
+ * @property {{mean: number, median: number}} level
+ * @property {Object<string, {runs: number, meanDps: number}>} dpsByWeapon - Mean over runs that held the weapon
+ */
+
+/**
+ * Summarize run results. Errored runs are counted in outcomes but left out of the statistics.
+ * @param {SimulationResult[]} results
+ * @returns {SimulationAggregate}
+ */
+export function summarizeRuns(results) {
+    const outcomes = {};
+    const weaponDps = {};
+    for (const r of results) outcomes[r.outcome] = (outcomes[r.outcome] || 0) + 1;
+    const finished = results.filter(r => r.outcome !== SIM_OUTCOMES.ERROR);
+    for (const r of finished) {
+        // Weapons held but never landing a hit count as 0 DPS for that run
+        const held = new Set([...r.weapons.filter(w => w !== 'DEFAULT'), ...Object.keys(r.dpsByWeapon)]);
+        for (const key of held) {
+            if (!weaponDps[key]) weaponDps[key] = [];
+            weaponDps[key].push(r.dpsByWeapon[key] ? r.dpsByWeapon[key].dps : 0);
+        }
+    }
+
+    const dpsByWeapon = {};
+    for (const [key, values] of Object.entries(weaponDps)) {
+        dpsByWeapon[key] = { runs: values.length, meanDps: round(mean(values)) };
+    }
+
+    const times = finished.map(r => r.timeSurvived);
+    return {
+        runs: results.length,
+        outcomes,
+        timeSurvived: {
+            mean: round(mean(times)),
+            median: round(median(times)),
+            min: times.length ? round(Math.min(...times)) : 0,
+            max: times.length ? round(Math.max(...times)) : 0
+        },
+        kills: { mean: round(mean(finished.map(r => r.kills))), median: median(finished.map(r => r.kills)) },
+        level: { mean: round(mean(finished.map(r => r.level))), median: median(finished.map(r => r.level)) },
+        dpsByWeapon
+    };
+}
+
+/**
+ * Run many seeded simulations per character.
+ * Run i of a character uses a seed derived from (baseSeed, character, i), so
+ * a batch is reproducible and two batches with the same base seed are comparable.
+ * A run that throws is recorded with outcome 'error' and the batch carries on.
+ * @param {Object} options
+ * @param {string[]} options.characters - Character keys
+ * @param {number} [options.runs=10] - Runs per character
+ * @param {number|string} [options.baseSeed=1]
+ * @param {function(SimulationResult, number): void} [options.onRun] - Progress callback
+ * @returns {Promise<{config: Object, characters: Object<string, {aggregate: SimulationAggregate, runs: SimulationResult[]}>}>}
+ */
+export async function runBatch(options) {
+    const { characters, runs = 10, baseSeed = 1, onRun, ...runOptions } = options;
+    const report = { config: { runs, baseSeed, ...runOptions }, characters: {} };
+    let index = 0;
+
+    for (const character of characters) {
+        const results = [];
+        for (let i = 0; i < runs; i++) {
+            const seed = hashSeed(`${baseSeed}:${character}:${i}`);
+            let result;
+            try {
+                result = await runSimulation({ ...runOptions, character, seed });
+            } catch (err) {
+                // One broken run is a finding for the report, not a reason to drop the rest of the batch
+                result = failedRun(character, seed, runOptions, err);
+            }
+            results.push(result);
+            if (onRun) onRun(result, index++);
+        }
+        report.characters[character] = { aggregate: summarizeRuns(results), runs: results };
+    }
+    return report;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Result row for a run that threw before it could report
+ * @param {string} character
+ * @param {number} seed
+ * @param {Object} runOptions
+ * @param {Error} err
+ * @returns {SimulationResult}
+ */
+function failedRun(character, seed, runOptions, err) {
+    return {
+        character,
+        seed,
+        policy: runOptions.policy || 'auto',
+        mode: runOptions.mode || 'ARCADE',
+        outcome: SIM_OUTCOMES.ERROR,
+        error: err && err.stack ? err.stack : String(err),
+        timeSurvived: 0,
+        ticks: 0,
+        kills: 0,
+        level: 0,
+        score: 0,
+        weapons: [],
+        runes: [],
+        totalDamage: 0,
+        dpsByWeapon: {}
+    };
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Uniform-grid spatial index
+ * Buckets objects by their (x, z) position into square cells so "what is
+ * near here" only looks at a handful of cells instead of every object. The
+ * game keeps one for enemies, rebuilt from their positions each tick and
+ * kept in step with spawns and removals in between; weapons, projectiles,
+ * auras, spawn pacing and audio query it instead of scanning the whole
+ * enemy list.
+ *
+ * Queries return candidates, not exact answers: an object's indexed
+ * position can lag its live one by up to `slack` (it moved since the last
+ * rebuild), so callers keep their own distance test. Candidates always come
+ * back in insertion order, which matches the order of the list the grid was
+ * built from; code that stops at the first hit behaves exactly like a scan
+ * of that list.
+ *
+ * @module game/SpatialHash
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Where an object is indexed
+ * @typedef {Object} SpatialEntry
+ * @property {number} x
+ * @property {number} z
+ * @property {number} radius - Object size; queries treat it as touching anything within this of its centre
+ * @property {number} seq - Insertion order
+ * @property {number} cell - Key of the cell it is in
+ */
+
+/**
+ * Options for nearest-object queries
+ * @typedef {Object} NearestOptions
+ * @property {number} [maxRange=Infinity] - Ignore objects further than this
+ * @property {function(*): number} [distance] - Exact distance to an object (defaults to the indexed 2D distance)
+ * @property {function(*): boolean} [filter] - Skip objects this returns false for
+ */
+
+/**
+ * Object count of one cell (debug overlay)
+ * @typedef {Object} CellOccupancy
+ * @property {number} cx - Cell column
+ * @property {number} cz - Cell row
+ * @property {number} count
+ */
+
+// Cell coordinates are packed into one number: column and row offset into 0..65535
+const CELL_OFFSET = 32768;
+const CELL_SPAN = 65536;
+
+// ============================================================================
+// SPATIAL HASH
+// ============================================================================
+
+/**
+ * Uniform grid over the XZ plane
+ * @class
+ * @example
+ * const grid = new SpatialHash({ cellSize: 8, slack: 2 });
+ * grid.rebuild(enemies, e => e.mesh.position, e => e.size);
+ * for (const enemy of grid.query(pos.x, pos.z, 5)) {
+ *     if (enemy.mesh.position.distanceTo(pos) < 5) hit(enemy);
+ * }
+ * const target = grid.nearest(pos.x, pos.z, { maxRange: 20, distance: e => e.mesh.position.distanceTo(pos) });
+ */
+export class SpatialHash {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.cellSize=8] - Cell edge length in world units
+     * @param {number} [options.slack=0] - How far an object may have moved since it was indexed
+     */
+    constructor({ cellSize = 8, slack = 0 } = {}) {
+        /** @type {number} */
+        this.cellSize = cellSize;
+
+        /** @type {number} */
+        this.slack = slack;
+
+        /** @private @type {Map<number, Object[]>} Cell key -> objects in it */
+        this._cells = new Map();
+
+        /** @private @type {Map<Object, SpatialEntry>} */
+        this._entries = new Map();
+
+        /** @private */
+        this._nextSeq = 0;
+
+        /** @private Largest object radius indexed since the last clear */
+        this._maxRadius = 0;
+
+        /** @private Occupied cell bounds since the last clear (may be larger than needed) */
+        this._bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    }
+
+    /** @returns {number} Objects indexed */
+    get size() {
+        return this._entries.size;
+    }
+
+    // ------------------------------------------------------------------------
+    // Indexing
+    // ------------------------------------------------------------------------
+
+    /**
+     * Remove everything
+     */
+    clear() {
+        this._cells.clear();
+        this._entries.clear();
+        this._nextSeq = 0;
+        this._maxRadius = 0;
+        this._bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    }
+
+    /**
+     * Re-index a list from scratch, in list order
+     * @param {Object[]} items
+     * @param {function(Object): {x: number, z: number}} positionOf
+     * @param {function(Object): number} [radiusOf]
+     */
+    rebuild(items, positionOf, radiusOf = null) {
+        this.clear();
+        for (const item of items) {
+            const pos = positionOf(item);
+            this.insert(item, pos.x, pos.z, radiusOf ? radiusOf(item) : 0);
+        }
+    }
+
+    /**
+     * Index an object (after everything already indexed). Inserting an
+     * indexed object moves it instead.
+     * @param {Object} item
+     * @param {number} x
+     * @param {number} z
+     * @param {number} [radius=0]
+     */
+    insert(item, x, z, radius = 0) {
+        if (this._entries.has(item)) {
+            this.move(item, x, z);
+            return;
+        }
+        const cell = this._cellKey(x, z);
+        this._entries.set(item, { x, z, radius, seq: this._nextSeq++, cell });
+        this._addToCell(cell, item);
+        if (radius > this._maxRadius) this._maxRadius = radius;
+    }
+
+    /**
+     * Update an indexed object's position
+     * @param {Object} item
+     * @param {number} x
+     * @param {number} z
+     */
+    move(item, x, z) {
+        const entry = this._entries.get(item);
+        if (!entry) return;
+        entry.x = x;
+        entry.z = z;
+        const cell = this._cellKey(x, z);
+        if (cell === entry.cell) return;
+        this._removeFromCell(entry.cell, item);
+        entry.cell = cell;
+        this._addToCell(cell, item);
+    }
+
+    /**
+     * Stop indexing an object
+     * @param {Object} item
+     */
+    remove(item) {
+        const entry = this._entries.get(item);
+        if (!entry) return;
+        this._removeFromCell(entry.cell, item);
+        this._entries.delete(item);
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    has(item) {
+        return this._entries.has(item);
+    }
+
+    // ------------------------------------------------------------------------
+    // Queries
+    // ------------------------------------------------------------------------
+
+    /**
+     * Objects that may be within `radius` of a point (their own radius counts)
+     * @param {number} x
+     * @param {number} z
+     * @param {number} radius
+     * @returns {Object[]} In insertion order
+     */
+    query(x, z, radius) {
+        const reach = radius + this._maxRadius + this.slack;
+        const result = [];
+        this._forCellsInBox(x - reach, z - reach, x + reach, z + reach, (items) => {
+            for (const item of items) {
+                const entry = this._entries.get(item);
+                const limit = radius + entry.radius + this.slack;
+                const dx = entry.x - x, dz = entry.z - z;
+                if (dx * dx + dz * dz <= limit * limit) result.push(item);
+            }
+        });
+        return this._inOrder(result);
+    }
+
+    /**
+     * Objects that may be within `radius` of the segment a-b (swept hit tests)
+     * @param {number} ax
+     * @param {number} az
+     * @param {number} bx
+     * @param {number} bz
+     * @param {number} radius
+     * @returns {Object[]} In insertion order
+     */
+    querySegment(ax, az, bx, bz, radius) {
+        const reach = radius + this._maxRadius + this.slack;
+        const result = [];
+        this._forCellsInBox(
+            Math.min(ax, bx) - reach, Math.min(az, bz) - reach,
+            Math.max(ax, bx) + reach, Math.max(az, bz) + reach,
+            (items) => {
+                for (const item of items) {
+                    const entry = this._entries.get(item);
+                    const limit = radius + entry.radius + this.slack;
+                    if (segmentDistanceSq(entry.x, entry.z, ax, az, bx, bz) <= limit * limit) result.push(item);
+                }
+            }
+        );
+        return this._inOrder(result);
+    }
+
+    /**
+     * Closest object. Ties go to the earlier inserted one, like a `<` scan of
+     * the source list.
+     * @param {number} x
+     * @param {number} z
+     * @param {NearestOptions} [options]
+     * @returns {Object|null}
+     */
+    nearest(x, z, options = {}) {
+        return this.nearestN(x, z, 1, options)[0] || null;
+    }
+
+    /**
+     * Up to `count` closest objects, closest first (ties in insertion order)
+     * @param {number} x
+     * @param {number} z
+     * @param {number} count
+     * @param {NearestOptions} [options]
+     * @returns {Object[]}
+     */
+    nearestN(x, z, count, { maxRange = Infinity, distance = null, filter = null } = {}) {
+        if (count <= 0 || this._entries.size === 0) return [];
+        const distanceTo = distance || ((item) => {
+            const entry = this._entries.get(item);
+            return Math.hypot(entry.x - x, entry.z - z);
+        });
+
+        const cx = this._cellCoord(x), cz = this._cellCoord(z);
+        const b = this._bounds;
+        const lastRing = Math.max(cx - b.minX, b.maxX - cx, cz - b.minZ, b.maxZ - cz);
+        const found = [];
+
+        for (let ring = 0; ring <= lastRing; ring++) {
+            // Nothing indexed in this ring or beyond is closer than this
+            const floor = Math.max(0, (ring - 1) * this.cellSize - this.slack);
+            if (floor > maxRange) break;
+            if (found.length >= count) {
+                found.sort(byDistance);
+                if (found[count - 1].d < floor) break;
+            }
+
+            this._forRing(cx, cz, ring, (items) => {
+                for (const item of items) {
+                    if (filter && !filter(item)) continue;
+                    const d = distanceTo(item);
+                    if (d <= maxRange) found.push({ item, d, seq: this._entries.get(item).seq });
+                }
+            });
+        }
+
+        found.sort(byDistance);
+        return found.slice(0, count).map(f => f.item);
+    }
+
+    /**
+     * Object counts of the occupied cells in a square around a point (debug overlay)
+     * @param {number} x
+     * @param {number} z
+     * @param {number} halfExtent - Half the side of the square, in world units
+     * @returns {CellOccupancy[]}
+     */
+    occupancy(x, z, halfExtent) {
+        const cells = [];
+        const minX = this._cellCoord(x - halfExtent), maxX = this._cellCoord(x + halfExtent);
+        const minZ = this._cellCoord(z - halfExtent), maxZ = this._cellCoord(z + halfExtent);
+        for (const [key, items] of this._cells) {
+            const cx = Math.floor(key / CELL_SPAN) - CELL_OFFSET;
+            const cz = (key % CELL_SPAN) - CELL_OFFSET;
+            if (cx < minX || cx > maxX || cz < minZ || cz > maxZ) continue;
+            cells.push({ cx, cz, count: items.length });
+        }
+        return cells;
+    }
+
+    // ------------------------------------------------------------------------
+    // Cells
+    // ------------------------------------------------------------------------
+
+    /** @private */
+    _cellCoord(v) {
+        return Math.floor(v / this.cellSize);
+    }
+
+    /** @private */
+    _cellKey(x, z) {
+        return this._keyOf(this._cellCoord(x), this._cellCoord(z));
+    }
+
+    /** @private */
+    _keyOf(cx, cz) {
+        return (cx + CELL_OFFSET) * CELL_SPAN + (cz + CELL_OFFSET);
+    }
+
+    /** @private */
+    _addToCell(key, item) {
+        const items = this._cells.get(key);
+        if (items) items.push(item);
+        else this._cells.set(key, [item]);
+
+        const cx = Math.floor(key / CELL_SPAN) - CELL_OFFSET;
+        const cz = (key % CELL_SPAN) - CELL_OFFSET;
+        const b = this._bounds;
+        if (cx < b.minX) b.minX = cx;
+        if (cx > b.maxX) b.maxX = cx;
+        if (cz < b.minZ) b.minZ = cz;
+        if (cz > b.maxZ) b.maxZ = cz;
+    }
+
+    /** @private */
+    _removeFromCell(key, item) {
+        const items = this._cells.get(key);
+        if (!items) return;
+        const idx = items.indexOf(item);
+        if (idx !== -1) items.splice(idx, 1);
+        if (items.length === 0) this._cells.delete(key);
+    }
+
+    /** @private */
+    _forCellsInBox(x0, z0, x1, z1, visit) {
+        const minX = this._cellCoord(x0), maxX = this._cellCoord(x1);
+        const minZ = this._cellCoord(z0), maxZ = this._cellCoord(z1);
+        // A huge box (e.g. an unbounded radius) is cheaper as a walk over the occupied cells
+        if ((maxX - minX + 1) * (maxZ - minZ + 1) > this._cells.size) {
+            for (const [key, items] of this._cells) {
+                const cx = Math.floor(key / CELL_SPAN) - CELL_OFFSET;
+                const cz = (key % CELL_SPAN) - CELL_OFFSET;
+                if (cx >= minX && cx <= maxX && cz >= minZ && cz <= maxZ) visit(items);
+            }
+            return;
+        }
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const items = this._cells.get(this._keyOf(cx, cz));
+                if (items) visit(items);
+            }
+        }
+    }
+
+    /** @private Visit the cells at Chebyshev distance `ring` from (cx, cz) */
+    _forRing(cx, cz, ring, visit) {
+        if (ring === 0) {
+            const items = this._cells.get(this._keyOf(cx, cz));
+            if (items) visit(items);
+            return;
+        }
+        for (let i = -ring; i <= ring; i++) {
+            const top = this._cells.get(this._keyOf(cx + i, cz - ring));
+            if (top) visit(top);
+            const bottom = this._cells.get(this._keyOf(cx + i, cz + ring));
+            if (bottom) visit(bottom);
+        }
+        for (let i = -ring + 1; i <= ring - 1; i++) {
+            const left = this._cells.get(this._keyOf(cx - ring, cz + i));
+            if (left) visit(left);
+            const right = this._cells.get(this._keyOf(cx + ring, cz + i));
+            if (right) visit(right);
+        }
+    }
+
+    /** @private Sort candidates gathered from several cells back into insertion order */
+    _inOrder(items) {
+        if (items.length > 1) items.sort((a, b) => this._entries.get(a).seq - this._entries.get(b).seq);
+        return items;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @param {{d: number, seq: number}} a
+ * @param {{d: number, seq: number}} b
+ * @returns {number}
+ */
+function byDistance(a, b) {
+    return a.d - b.d || a.seq - b.seq;
+}
+
+/**
+ * Squared distance from a point to the segment a-b
+ * @param {number} px
+ * @param {number} pz
+ * @param {number} ax
+ * @param {number} az
+ * @param {number} bx
+ * @param {number} bz
+ * @returns {number}
+ */
+export function segmentDistanceSq(px, pz, ax, az, bx, bz) {
+    const abx = bx - ax, abz = bz - az;
+    const lenSq = abx * abx + abz * abz;
+    let t = lenSq > 0 ? ((px - ax) * abx + (pz - az) * abz) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const dx = ax + abx * t - px, dz = az + abz * t - pz;
+    return dx * dx + dz * dz;
+}
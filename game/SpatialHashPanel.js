@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Debug spatial hash overlay
+ * Draws the enemy grid's cells around the player in the #spatial-hash-panel
+ * canvas, shaded by how many enemies each holds, with the busiest cell and
+ * totals underneath. Shown while the "Verbose Entity Logs" dev setting is
+ * enabled, next to the event log.
+ *
+ * @module game/SpatialHashPanel
+ */
+
+/** Cells drawn in each direction from the player's cell */
+const VIEW_CELLS = 8;
+
+/** Redraws per second (the grid itself changes every tick) */
+const REDRAWS_PER_SECOND = 10;
+
+/**
+ * Cell occupancy view of a SpatialHash
+ * @class
+ * @example
+ * const panel = new SpatialHashPanel();
+ * panel.setEnabled(true);
+ * panel.update(game.enemyGrid, game.playerBody.position);
+ */
+export class SpatialHashPanel {
+    constructor() {
+        /** @type {HTMLElement|null} */
+        this.root = document.getElementById('spatial-hash-panel');
+
+        /** @type {HTMLCanvasElement|null} */
+        this.canvas = document.getElementById('spatial-hash-canvas');
+
+        /** @type {HTMLElement|null} */
+        this.summary = document.getElementById('spatial-hash-summary');
+
+        /** @type {boolean} */
+        this.visible = false;
+
+        /** @private */
+        this._lastDraw = 0;
+    }
+
+    /**
+     * Show or hide the panel
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.visible = !!enabled && !!this.root;
+        if (this.root) this.root.style.display = this.visible ? 'block' : 'none';
+    }
+
+    /**
+     * Redraw (throttled) around a point
+     * @param {import('./SpatialHash.js').SpatialHash} grid
+     * @param {{x: number, z: number}} center - Usually the player
+     */
+    update(grid, center) {
+        if (!this.visible || !this.canvas) return;
+        const now = performance.now();
+        if (now - this._lastDraw < 1000 / REDRAWS_PER_SECOND) return;
+        this._lastDraw = now;
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+        const size = this.canvas.width;
+        const span = VIEW_CELLS * 2 + 1;
+        const px = size / span;
+        const cx = Math.floor(center.x / grid.cellSize);
+        const cz = Math.floor(center.z / grid.cellSize);
+
+        ctx.fillStyle = '#050505';
+        ctx.fillRect(0, 0, size, size);
+
+        const cells = grid.occupancy(center.x, center.z, VIEW_CELLS * grid.cellSize);
+        let busiest = 0;
+        let shown = 0;
+        for (const cell of cells) busiest = Math.max(busiest, cell.count);
+        for (const cell of cells) {
+            const col = cell.cx - cx + VIEW_CELLS;
+            const row = cell.cz - cz + VIEW_CELLS;
+            if (col < 0 || row < 0 || col >= span || row >= span) continue;
+            shown += cell.count;
+            const heat = cell.count / Math.max(1, busiest);
+            ctx.fillStyle = `rgba(255, ${Math.round(200 * (1 - heat))}, 0, ${0.25 + 0.75 * heat})`;
+            ctx.fillRect(col * px, row * px, px, px);
+            if (px >= 12) {
+                ctx.fillStyle = '#fff';
+                ctx.font = `${Math.floor(px * 0.5)}px monospace`;
+                ctx.fillText(String(cell.count), col * px + 2, row * px + px * 0.7);
+            }
+        }
+
+        // Grid lines and the player's cell
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        for (let i = 0; i <= span; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * px, 0); ctx.lineTo(i * px, size);
+            ctx.moveTo(0, i * px); ctx.lineTo(size, i * px);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#00ffff';
+        ctx.strokeRect(VIEW_CELLS * px, VIEW_CELLS * px, px, px);
+
+        if (this.summary) {
+            this.summary.textContent = `${grid.size} indexed · ${shown} in view · busiest cell ${busiest} · cell ${grid.cellSize}u`;
+        }
+    }
+}
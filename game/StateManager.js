@@ -1,6 +1,12 @@
 /**
  * @fileoverview Game state management and persistence
- * Handles localStorage operations, unlock tracking, and run history
+ * Everything the game remembers between sessions (unlocks, flags, story
+ * saves, run history, challenge results, meta shop, achievements, modifier board, settings) lives in one versioned root document under a
+ * single localStorage key. The document is validated section by section on
+ * load; corrupt entries are moved to a quarantine key and reported instead of
+ * being silently reset. Older layouts are upgraded by the MIGRATIONS chain.
+ * Imports (see SaveCode) are validated the same way and can merge or replace
+ * the save; destructive changes take a rolling backup first.
  *
  * @module game/StateManager
  */
@@ -10,46 +16,83 @@
 // ============================================================================
 
 const STORAGE_KEYS = Object.freeze({
+    SAVE: 'uberthump_save',              // Versioned root document
+    QUARANTINE: 'uberthump_quarantine',  // Corrupt entries set aside on load
+    BACKUPS: 'uberthump_backups'         // Rolling snapshots taken before destructive actions
+});
+
+/**
+ * Keys used before the root document existed (save version 0). Read once by
+ * the 0 -> 1 migration, then removed.
+ */
+const LEGACY_KEYS = Object.freeze({
     UNLOCKS: 'uberthump_unlocks',
+    HISTORY: 'uberthump_history',
     RUN_HISTORY: 'uberthump_run_history',
     SETTINGS: 'uberthump_settings',
-    MULTIPLAYER_UNLOCKED: 'uberthump_multiplayer_unlocked',
+    TNS_SAVES: 'uberthump_tns_saves',
     TNS_TIER: 'uberthump_tns_tier',
     HIGHEST_TIER: 'uberthump_highest_tier',
+    TOTAL_KILLS: 'uberthump_total_kills',
+    SKELETON_KILLS: 'uberthump_skeletonKills',
+    WEAPON_LEVELS: 'uberthump_weaponLevels',
+    MULTIPLAYER_UNLOCKED: 'uberthump_multiplayer_unlocked',
+    PANTHEON_UNLOCKED: 'uberthump_pantheon_unlocked',
+    SECRET_NOTE_UNLOCKED: 'uberthump_secret_note_unlocked',
     SECRET_NOTE_FOUND: 'uberthump_secret_note_found',
-    TOTAL_KILLS: 'uberthump_total_kills'
+    DIARY_UNLOCKED: 'uberthump_diary_unlocked',
+    LORE_READ: 'uberthump_lore_read',
+    TUTORIAL_DONE: 'uberthump_tut_done',
+    HAS_PLAYED: 'uberthump_has_played',
+    DEVICE_CHECKED: 'uberthump_device_checked',
+    FORCE_CABIN: 'uberthump_force_cabin'
 });
 
+/** Current root document version */
+export const SAVE_VERSION = 1;
+
+/** Quarantined entries kept (oldest dropped first) */
+const MAX_QUARANTINE = 20;
+
+/** Run history entries kept */
+export const MAX_RUN_HISTORY = 50;
+
+/** Challenge results kept (oldest dropped first) */
+export const MAX_CHALLENGE_HISTORY = 100;
+
+/** Story mode save slots */
+export const TNS_SLOT_COUNT = 3;
+
+/** Automatic backups kept (oldest dropped first) */
+const MAX_BACKUPS = 5;
+
 // ============================================================================
 // LOCAL STORAGE HELPERS
 // ============================================================================
 
 /**
- * Safely get item from localStorage
+ * Safely get raw string from localStorage
  * @param {string} key - Storage key
- * @param {*} defaultValue - Default if not found
- * @returns {*}
+ * @returns {string|null} Stored string, or null if missing/unavailable
  */
-function safeGet(key, defaultValue = null) {
+function safeGetRaw(key) {
     try {
-        const item = localStorage.getItem(key);
-        if (item === null) return defaultValue;
-        return JSON.parse(item);
+        return localStorage.getItem(key);
     } catch (e) {
         console.warn(`Failed to read localStorage key "${key}":`, e);
-        return defaultValue;
+        return null;
     }
 }
 
 /**
- * Safely set item in localStorage
+ * Safely set raw string in localStorage
  * @param {string} key - Storage key
- * @param {*} value - Value to store
+ * @param {string} value - Value to store
  * @returns {boolean} Success
  */
-function safeSet(key, value) {
+function safeSetRaw(key, value) {
     try {
-        localStorage.setItem(key, JSON.stringify(value));
+        localStorage.setItem(key, value);
         return true;
     } catch (e) {
         console.warn(`Failed to write localStorage key "${key}":`, e);
@@ -58,34 +101,111 @@ function safeSet(key, value) {
 }
 
 /**
- * Safely get raw string from localStorage
+ * Safely remove a localStorage key
  * @param {string} key - Storage key
- * @param {string} defaultValue - Default if not found
- * @returns {string}
  */
-function safeGetRaw(key, defaultValue = '') {
+function safeRemove(key) {
     try {
-        return localStorage.getItem(key) || defaultValue;
+        localStorage.removeItem(key);
     } catch (e) {
+        console.warn(`Failed to remove localStorage key "${key}":`, e);
+    }
+}
+
+/**
+ * Parse a stored JSON entry. Unparseable text is quarantined, not dropped.
+ * @param {string} key - Storage key (for the report)
+ * @param {string|null} raw - Stored text
+ * @param {*} defaultValue - Returned when missing or corrupt
+ * @returns {*}
+ */
+function parseStored(key, raw, defaultValue) {
+    if (raw === null || raw === '') return defaultValue;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        quarantine(key, raw, 'not valid JSON');
         return defaultValue;
     }
 }
 
+// ============================================================================
+// QUARANTINE
+// ============================================================================
+
 /**
- * Safely set raw string in localStorage
- * @param {string} key - Storage key
- * @param {string} value - Value to store
+ * A stored value that failed validation and was set aside
+ * @typedef {Object} QuarantineEntry
+ * @property {string} path - Where it came from (storage key or document path)
+ * @property {string} value - The original value, as text
+ * @property {string} reason - Why it was rejected
+ * @property {number} at - Unix timestamp
  */
-function safeSetRaw(key, value) {
+
+/** Issues found since the page loaded (the load report) */
+/** @type {QuarantineEntry[]} */
+let loadIssues = [];
+
+/**
+ * Move a corrupt value into the quarantine key and report it
+ * @param {string} path - Storage key or document path
+ * @param {*} value - Rejected value
+ * @param {string} reason - Human-readable reason
+ */
+function quarantine(path, value, reason) {
+    let text;
     try {
-        localStorage.setItem(key, value);
+        text = typeof value === 'string' ? value : JSON.stringify(value);
     } catch (e) {
-        console.warn(`Failed to write localStorage key "${key}":`, e);
+        text = String(value);
     }
+    const entry = { path, value: text, reason, at: Date.now() };
+    loadIssues.push(entry);
+    console.warn(`Save data at "${path}" quarantined: ${reason}`);
+
+    let stored = [];
+    try {
+        stored = JSON.parse(safeGetRaw(STORAGE_KEYS.QUARANTINE) || '[]');
+        if (!Array.isArray(stored)) stored = [];
+    } catch (e) {
+        stored = [];
+    }
+    stored.push(entry);
+    safeSetRaw(STORAGE_KEYS.QUARANTINE, JSON.stringify(stored.slice(-MAX_QUARANTINE)));
+}
+
+/**
+ * Get the entries quarantined while loading this session
+ * @returns {QuarantineEntry[]}
+ */
+export function getLoadIssues() {
+    load();
+    return loadIssues.slice();
+}
+
+/**
+ * Get every quarantined entry still kept in storage
+ * @returns {QuarantineEntry[]}
+ */
+export function getQuarantine() {
+    try {
+        const stored = JSON.parse(safeGetRaw(STORAGE_KEYS.QUARANTINE) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Discard quarantined entries
+ */
+export function clearQuarantine() {
+    safeRemove(STORAGE_KEYS.QUARANTINE);
+    loadIssues = [];
 }
 
 // ============================================================================
-// CHARACTER UNLOCKS
+// SCHEMA
 // ============================================================================
 
 /** Default character unlock states */
@@ -97,16 +217,391 @@ const DEFAULT_UNLOCKS = Object.freeze({
     BLITZ: false,
     MONKE: false,
     SIR_CHAD: false,
-    BOBERTO: false  // Hardest to unlock - requires completing Story Mode (TNS Tier 4)
+    BOBERTO: false  // Hardest to unlock (see Achievements)
+});
+
+/**
+ * One-off progress flags
+ * @readonly
+ * @enum {string}
+ */
+export const FLAGS = Object.freeze({
+    MULTIPLAYER_UNLOCKED: 'multiplayerUnlocked',
+    PANTHEON_UNLOCKED: 'pantheonUnlocked',
+    SECRET_NOTE_FOUND: 'secretNoteFound',
+    DIARY_FOUND: 'diaryFound',
+    LORE_READ: 'loreRead',
+    TUTORIAL_DONE: 'tutorialDone',
+    HAS_PLAYED: 'hasPlayed',
+    DEVICE_CHECKED: 'deviceChecked',
+    FORCE_CABIN: 'forceCabin'       // Dev override: guaranteed diary cabin
+});
+
+/** Default settings */
+const DEFAULT_SETTINGS = Object.freeze({
+    pixelMode: true,
+    musicVolume: 0.7,
+    sfxVolume: 1.0,
+    screenShake: true,
+    showDamageNumbers: true
+});
+
+const isBoolean = (v) => typeof v === 'boolean';
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isTier = (v) => Number.isInteger(v) && v >= 1 && v <= 4;
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isNumberMap = (v) => isPlainObject(v) && Object.values(v).every(n => typeof n === 'number' && isFinite(n));
+const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string');
+const isOptionalString = (v) => v === null || typeof v === 'string';
+const isSettingValue = (v) => v === null || ['boolean', 'number', 'string'].includes(typeof v);
+const isSettingMap = (v) => isPlainObject(v) && Object.values(v).every(isSettingValue);
+
+/** Run history entries need a score and something to label them with */
+const isRunEntry = (v) => isPlainObject(v) && typeof v.score === 'number' && isFinite(v.score) &&
+    (typeof v.char === 'string' || typeof v.character === 'string');
+
+/** Challenge results need an id, a period index for streaks and a score */
+const isChallengeEntry = (v) => isPlainObject(v) && typeof v.id === 'string' && typeof v.period === 'string' &&
+    Number.isInteger(v.index) && typeof v.score === 'number' && isFinite(v.score);
+
+/** Story saves: empty slot or a tier + character */
+const isTNSSave = (v) => v === null || (isPlainObject(v) && isTier(v.tier) && typeof v.character === 'string');
+
+/**
+ * Section schema. Kinds:
+ * - `map`: object whose every value must pass `entry`
+ * - `record`: object with known `fields`, each with its own validator
+ * - `list`: array whose every item must pass `entry` (`length` pads/trims)
+ * A section of the wrong shape is quarantined whole; a bad entry/field/item
+ * is quarantined alone and replaced by its default (or dropped).
+ */
+const SCHEMA = Object.freeze({
+    unlocks: { kind: 'map', entry: isBoolean, defaults: () => ({ ...DEFAULT_UNLOCKS }) },
+    flags: {
+        kind: 'record',
+        fields: Object.fromEntries(Object.values(FLAGS).map(f => [f, isBoolean])),
+        defaults: () => Object.fromEntries(Object.values(FLAGS).map(f => [f, false]))
+    },
+    progress: {
+        kind: 'record',
+        fields: { tnsTier: isTier, highestTier: isCount, skeletonKills: isCount, weaponLevels: isNumberMap, evolutions: isStringList },
+        defaults: () => ({ tnsTier: 1, highestTier: 0, skeletonKills: 0, weaponLevels: {}, evolutions: [] })
+    },
+    stats: {
+        kind: 'record',
+        fields: { totalKills: isCount },
+        defaults: () => ({ totalKills: 0 })
+    },
+    meta: {
+        kind: 'record',
+        fields: { currency: isCount, upgrades: isNumberMap },
+        defaults: () => ({ currency: 0, upgrades: {} })
+    },
+    achievements: {
+        kind: 'record',
+        fields: { stats: isNumberMap, earned: isNumberMap, title: isOptionalString },
+        defaults: () => ({ stats: {}, earned: {}, title: null })
+    },
+    modifiers: {
+        kind: 'record',
+        fields: { rules: isSettingMap, curses: isNumberMap },
+        defaults: () => ({ rules: {}, curses: {} })
+    },
+    runHistory: { kind: 'list', entry: isRunEntry, defaults: () => [] },
+    challenges: { kind: 'list', entry: isChallengeEntry, defaults: () => [] },
+    tnsSaves: { kind: 'list', entry: isTNSSave, length: TNS_SLOT_COUNT, defaults: () => new Array(TNS_SLOT_COUNT).fill(null) },
+    settings: { kind: 'map', entry: isSettingValue, defaults: () => ({ ...DEFAULT_SETTINGS }) }
 });
 
+/**
+ * Root save document
+ * @typedef {Object} SaveDocument
+ * @property {number} version - SAVE_VERSION it was written with
+ * @property {Object<string, boolean>} unlocks - Character unlocks (+ `_`-prefixed unlock progress flags)
+ * @property {Object<string, boolean>} flags - FLAGS values
+ * @property {{tnsTier: number, highestTier: number, skeletonKills: number, weaponLevels: Object<string, number>, evolutions: string[]}} progress
+ *   - `evolutions` lists the evolved weapon keys discovered so far
+ * @property {{totalKills: number}} stats
+ * @property {{currency: number, upgrades: Object<string, number>}} meta - Meta shop balance and bought levels (see MetaProgression)
+ * @property {{stats: Object<string, number>, earned: Object<string, number>, title: string|null}} achievements
+ *   - Tracked lifetime counters, achievement id -> time earned, and the equipped title (see Achievements)
+ * @property {{rules: Object, curses: Object<string, number>}} modifiers - Last modifier board used (see RunModifiers)
+ * @property {RunEntry[]} runHistory - Newest first
+ * @property {ChallengeEntry[]} challenges - Daily/weekly challenge attempts, newest first
+ * @property {Array<Object|null>} tnsSaves - Story mode slots
+ * @property {Object} settings
+ */
+
+/**
+ * Build an empty document with every section at its default
+ * @returns {SaveDocument}
+ */
+function createDefaultDocument() {
+    const doc = { version: SAVE_VERSION };
+    for (const [section, schema] of Object.entries(SCHEMA)) {
+        doc[section] = schema.defaults();
+    }
+    return doc;
+}
+
+/**
+ * Validate one section, reporting what doesn't fit
+ * @param {string} section - Section name
+ * @param {*} value - Stored value
+ * @param {function(string, *, string): void} report - Called with (path, value, reason) per rejected value
+ * @returns {*} Clean section value
+ */
+function validateSection(section, value, report) {
+    const schema = SCHEMA[section];
+    const defaults = schema.defaults();
+    if (value === undefined) return defaults;
+
+    if (schema.kind === 'list') {
+        if (!Array.isArray(value)) {
+            report(section, value, 'expected a list');
+            return defaults;
+        }
+        let items = [];
+        value.forEach((item, i) => {
+            if (schema.entry(item)) {
+                items.push(item);
+            } else {
+                report(`${section}[${i}]`, item, 'invalid entry');
+                // Fixed-length lists keep slot positions
+                if (schema.length) items.push(defaults[i] ?? null);
+            }
+        });
+        if (schema.length) {
+            items = items.slice(0, schema.length);
+            while (items.length < schema.length) items.push(defaults[items.length] ?? null);
+        }
+        return items;
+    }
+
+    if (!isPlainObject(value)) {
+        report(section, value, 'expected an object');
+        return defaults;
+    }
+
+    const clean = { ...defaults };
+    for (const [key, v] of Object.entries(value)) {
+        const check = schema.kind === 'record' ? schema.fields[key] : schema.entry;
+        if (!check) {
+            clean[key] = v; // Unknown record field: keep it for forward compatibility
+        } else if (check(v)) {
+            clean[key] = v;
+        } else {
+            report(`${section}.${key}`, v, 'invalid value');
+        }
+    }
+    return clean;
+}
+
+/**
+ * Validate a whole document (after migration)
+ * @param {Object} doc - Parsed document
+ * @param {function(string, *, string): void} [report=quarantine] - Rejected value handler
+ * @returns {SaveDocument}
+ */
+function validateDocument(doc, report = quarantine) {
+    const clean = { version: SAVE_VERSION };
+    for (const section of Object.keys(SCHEMA)) {
+        clean[section] = validateSection(section, doc[section], report);
+    }
+    return clean;
+}
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Read a legacy string flag ('true' or any other non-empty marker)
+ * @param {string} key - Legacy storage key
+ * @returns {boolean}
+ */
+function readLegacyFlag(key) {
+    const raw = safeGetRaw(key);
+    return raw !== null && raw !== '' && raw !== 'false';
+}
+
+/**
+ * Read a legacy integer key
+ * @param {string} key - Legacy storage key
+ * @param {number} defaultValue
+ * @returns {number}
+ */
+function readLegacyInt(key, defaultValue) {
+    const raw = safeGetRaw(key);
+    if (raw === null || raw === '') return defaultValue;
+    const n = parseInt(raw, 10);
+    if (isNaN(n)) {
+        quarantine(key, raw, 'not a number');
+        return defaultValue;
+    }
+    return n;
+}
+
+/**
+ * Version 0 -> 1: gather the scattered per-value keys into the root document.
+ * Anything unreadable is quarantined by the parse/validate steps, never lost.
+ * @returns {Object} Unvalidated version 1 document
+ */
+function migrateLegacyKeys() {
+    const read = (key, defaultValue) => parseStored(key, safeGetRaw(key), defaultValue);
+
+    // The game-over screen wrote `uberthump_history`; the older RunEntry list is appended after it
+    const history = read(LEGACY_KEYS.HISTORY, []);
+    const runHistory = read(LEGACY_KEYS.RUN_HISTORY, []);
+
+    return {
+        version: 1,
+        unlocks: { ...DEFAULT_UNLOCKS, ...read(LEGACY_KEYS.UNLOCKS, {}) },
+        flags: {
+            [FLAGS.MULTIPLAYER_UNLOCKED]: readLegacyFlag(LEGACY_KEYS.MULTIPLAYER_UNLOCKED),
+            [FLAGS.PANTHEON_UNLOCKED]: readLegacyFlag(LEGACY_KEYS.PANTHEON_UNLOCKED),
+            [FLAGS.SECRET_NOTE_FOUND]: readLegacyFlag(LEGACY_KEYS.SECRET_NOTE_UNLOCKED) || readLegacyFlag(LEGACY_KEYS.SECRET_NOTE_FOUND),
+            [FLAGS.DIARY_FOUND]: readLegacyFlag(LEGACY_KEYS.DIARY_UNLOCKED),
+            [FLAGS.LORE_READ]: readLegacyFlag(LEGACY_KEYS.LORE_READ),
+            [FLAGS.TUTORIAL_DONE]: readLegacyFlag(LEGACY_KEYS.TUTORIAL_DONE),
+            [FLAGS.HAS_PLAYED]: readLegacyFlag(LEGACY_KEYS.HAS_PLAYED),
+            [FLAGS.DEVICE_CHECKED]: readLegacyFlag(LEGACY_KEYS.DEVICE_CHECKED),
+            [FLAGS.FORCE_CABIN]: readLegacyFlag(LEGACY_KEYS.FORCE_CABIN)
+        },
+        progress: {
+            tnsTier: readLegacyInt(LEGACY_KEYS.TNS_TIER, 1),
+            highestTier: readLegacyInt(LEGACY_KEYS.HIGHEST_TIER, 0),
+            skeletonKills: readLegacyInt(LEGACY_KEYS.SKELETON_KILLS, 0),
+            weaponLevels: read(LEGACY_KEYS.WEAPON_LEVELS, {})
+        },
+        stats: {
+            totalKills: readLegacyInt(LEGACY_KEYS.TOTAL_KILLS, 0)
+        },
+        runHistory: [
+            ...(Array.isArray(history) ? history : []),
+            ...(Array.isArray(runHistory) ? runHistory : [])
+        ].slice(0, MAX_RUN_HISTORY),
+        tnsSaves: read(LEGACY_KEYS.TNS_SAVES, new Array(TNS_SLOT_COUNT).fill(null)),
+        settings: read(LEGACY_KEYS.SETTINGS, {})
+    };
+}
+
+/**
+ * Upgrade steps: MIGRATIONS[n] turns a version n document into version n + 1.
+ * Version 0 is the layout before the root document (one key per value).
+ * Append a step and bump SAVE_VERSION when the document shape changes.
+ * @type {Array<function(Object): Object>}
+ */
+const MIGRATIONS = [
+    migrateLegacyKeys
+];
+
+/**
+ * Run every migration a document needs
+ * @param {Object} doc - Document at any older version
+ * @returns {Object} Document at SAVE_VERSION
+ */
+function migrate(doc) {
+    let current = doc;
+    let version = current.version || 0;
+    while (version < SAVE_VERSION) {
+        current = MIGRATIONS[version](current);
+        version++;
+        current.version = version;
+    }
+    return current;
+}
+
+// ============================================================================
+// ROOT DOCUMENT
+// ============================================================================
+
+/** In-memory copy of the root document (loaded on first access) */
+/** @type {SaveDocument|null} */
+let state = null;
+
+/**
+ * Load, migrate and validate the root document (once per page load)
+ * @returns {SaveDocument}
+ */
+function load() {
+    if (state) return state;
+
+    const raw = safeGetRaw(STORAGE_KEYS.SAVE);
+    let doc = null;
+    let fromLegacy = false;
+
+    if (raw === null) {
+        doc = migrate({ version: 0 });
+        fromLegacy = true;
+    } else {
+        doc = parseStored(STORAGE_KEYS.SAVE, raw, null);
+        if (!isPlainObject(doc)) {
+            if (doc !== null) quarantine(STORAGE_KEYS.SAVE, raw, 'root is not an object');
+            doc = createDefaultDocument();
+        } else if (typeof doc.version === 'number' && doc.version > SAVE_VERSION) {
+            // Written by a newer build: keep the original aside, then use the sections this build understands
+            quarantine(STORAGE_KEYS.SAVE, raw, `save version ${doc.version} is newer than supported (${SAVE_VERSION})`);
+        } else {
+            doc = migrate(doc);
+        }
+    }
+
+    state = validateDocument(doc);
+
+    // Persist the upgraded document before dropping the keys it was built from
+    if ((fromLegacy || state.version !== doc.version || loadIssues.length > 0) && persist() && fromLegacy) {
+        for (const key of Object.values(LEGACY_KEYS)) safeRemove(key);
+    }
+    return state;
+}
+
+/**
+ * Write the in-memory document back to storage
+ * @returns {boolean} Success
+ */
+function persist() {
+    if (!state) return false;
+    return safeSetRaw(STORAGE_KEYS.SAVE, JSON.stringify(state));
+}
+
+/**
+ * Apply a change to the document and save it
+ * @param {function(SaveDocument): void} mutate
+ * @returns {boolean} Whether the save was written
+ */
+function update(mutate) {
+    mutate(load());
+    return persist();
+}
+
+/**
+ * Get a read-only snapshot of the whole save document
+ * @returns {SaveDocument}
+ */
+export function getSaveSnapshot() {
+    return JSON.parse(JSON.stringify(load()));
+}
+
+/**
+ * Drop the in-memory copy so the next access re-reads storage
+ * (e.g. after another tab or an import wrote the save)
+ */
+export function reloadSave() {
+    state = null;
+    loadIssues = [];
+}
+
+// ============================================================================
+// CHARACTER UNLOCKS
+// ============================================================================
+
 /**
  * Get all character unlock states
  * @returns {Object<string, boolean>}
  */
 export function getUnlocks() {
-    const stored = safeGet(STORAGE_KEYS.UNLOCKS, {});
-    return { ...DEFAULT_UNLOCKS, ...stored };
+    return { ...DEFAULT_UNLOCKS, ...load().unlocks };
 }
 
 /**
@@ -125,24 +620,30 @@ export function isCharacterUnlocked(characterKey) {
  * @returns {boolean} True if newly unlocked
  */
 export function unlockCharacter(characterKey) {
-    const unlocks = getUnlocks();
-    if (unlocks[characterKey]) {
+    if (isCharacterUnlocked(characterKey)) {
         return false; // Already unlocked
     }
-    unlocks[characterKey] = true;
-    safeSet(STORAGE_KEYS.UNLOCKS, unlocks);
+    update(doc => { doc.unlocks[characterKey] = true; });
     return true;
 }
 
+/**
+ * Replace the unlock map (keeps unspecified characters at their defaults)
+ * @param {Object<string, boolean>} unlocks
+ */
+export function setUnlocks(unlocks) {
+    update(doc => { doc.unlocks = { ...DEFAULT_UNLOCKS, ...unlocks }; });
+}
+
 /**
  * Unlock all characters (dev/cheat)
  */
 export function unlockAllCharacters() {
-    const unlocks = {};
-    for (const key of Object.keys(DEFAULT_UNLOCKS)) {
-        unlocks[key] = true;
-    }
-    safeSet(STORAGE_KEYS.UNLOCKS, unlocks);
+    update(doc => {
+        for (const key of Object.keys(DEFAULT_UNLOCKS)) {
+            doc.unlocks[key] = true;
+        }
+    });
 }
 
 // ============================================================================
@@ -153,13 +654,29 @@ export function unlockAllCharacters() {
  * Run history entry
  * @typedef {Object} RunEntry
  * @property {string} character - Character used
+ * @property {string} char - Character display name (game-over list)
  * @property {string} mode - Game mode
  * @property {number} score - Final score
  * @property {number} kills - Total kills
  * @property {number} time - Survival time in seconds
  * @property {number} level - Final level
  * @property {number} tier - Tier reached
+ * @property {string} date - Locale date string
  * @property {number} timestamp - Unix timestamp
+ * @property {string} [outcome] - RUN_OUTCOMES value (see RunHistory)
+ * @property {number} [seed] - Run seed
+ * @property {string[]} [weapons] - Final loadout
+ * @property {Object<string, number>} [weaponLevels]
+ * @property {string[]} [runes]
+ * @property {string[]} [buffs] - Shrine buffs taken
+ * @property {Object<string, number>} [damageDealt] - Damage dealt per weapon key
+ * @property {Object<string, number>} [damageTaken] - Damage taken per source name
+ * @property {string|null} [causeOfDeath] - Source of the killing blow
+ * @property {Object} [timeline] - Sampled series over time (see RunHistory.createRunTimeline)
+ * @property {string} [challenge] - Challenge id, for daily/weekly challenge runs
+ * @property {number} [heat] - Heat from curses (see RunModifiers)
+ * @property {Object<string, number>} [curses] - Curse key -> rank
+ * @property {{timeLimit: number, spawnMult: number, lootMult: number, infiniteSlots: boolean}} [rules] - Board rules played with
  */
 
 /**
@@ -168,8 +685,7 @@ export function unlockAllCharacters() {
  * @returns {RunEntry[]}
  */
 export function getRunHistory(limit = 10) {
-    const history = safeGet(STORAGE_KEYS.RUN_HISTORY, []);
-    return history.slice(0, limit);
+    return load().runHistory.slice(0, limit);
 }
 
 /**
@@ -177,13 +693,14 @@ export function getRunHistory(limit = 10) {
  * @param {RunEntry} run - Run data
  */
 export function addRunToHistory(run) {
-    const history = safeGet(STORAGE_KEYS.RUN_HISTORY, []);
-    history.unshift({
-        ...run,
-        timestamp: Date.now()
+    update(doc => {
+        doc.runHistory.unshift({
+            ...run,
+            timestamp: Date.now()
+        });
+        // Keep last 50 runs
+        doc.runHistory = doc.runHistory.slice(0, MAX_RUN_HISTORY);
     });
-    // Keep last 50 runs
-    safeSet(STORAGE_KEYS.RUN_HISTORY, history.slice(0, 50));
 }
 
 /**
@@ -191,13 +708,92 @@ export function addRunToHistory(run) {
  * @returns {RunEntry|null}
  */
 export function getBestRun() {
-    const history = getRunHistory(50);
+    const history = getRunHistory(MAX_RUN_HISTORY);
     if (history.length === 0) return null;
     return history.reduce((best, run) =>
         (run.score > best.score) ? run : best
     );
 }
 
+// ============================================================================
+// CHALLENGES
+// ============================================================================
+
+/**
+ * Challenge attempt. Saved as unfinished when the run starts, so leaving
+ * mid-run still uses up the attempt.
+ * @typedef {Object} ChallengeEntry
+ * @property {string} id - Challenge id (period + date key, see Challenges)
+ * @property {string} period - 'DAILY' | 'WEEKLY'
+ * @property {string} key - Date key ('2026-10-19', '2026-W43')
+ * @property {number} index - Day or week number, for streaks
+ * @property {string} character
+ * @property {number} score
+ * @property {number} kills
+ * @property {number} time - Seconds survived
+ * @property {number} level
+ * @property {boolean} finished
+ * @property {number} timestamp - When the attempt started
+ */
+
+/**
+ * Get challenge attempts
+ * @returns {ChallengeEntry[]} Newest first
+ */
+export function getChallengeHistory() {
+    return load().challenges.map(entry => ({ ...entry }));
+}
+
+/**
+ * Record the start of a challenge's scored attempt
+ * @param {ChallengeEntry} entry
+ * @returns {boolean} False if the challenge was already attempted
+ */
+export function startChallengeAttempt(entry) {
+    if (load().challenges.some(e => e.id === entry.id)) return false;
+    update(doc => {
+        doc.challenges.unshift({ ...entry });
+        if (doc.challenges.length > MAX_CHALLENGE_HISTORY) doc.challenges.length = MAX_CHALLENGE_HISTORY;
+    });
+    return true;
+}
+
+/**
+ * Fill in a challenge attempt's result
+ * @param {string} id - Challenge id
+ * @param {{score: number, kills: number, time: number, level: number}} result
+ * @returns {boolean} False if there is no unfinished attempt with that id
+ */
+export function finishChallengeAttempt(id, result) {
+    const index = load().challenges.findIndex(e => e.id === id && !e.finished);
+    if (index === -1) return false;
+    update(doc => { Object.assign(doc.challenges[index], result, { finished: true }); });
+    return true;
+}
+
+// ============================================================================
+// FLAGS
+// ============================================================================
+
+/**
+ * Read a progress flag
+ * @param {string} flag - One of FLAGS
+ * @returns {boolean}
+ */
+export function getFlag(flag) {
+    return load().flags[flag] === true;
+}
+
+/**
+ * Set a progress flag
+ * @param {string} flag - One of FLAGS
+ * @param {boolean} [value=true]
+ */
+export function setFlag(flag, value = true) {
+    if (getFlag(flag) === !!value) return;
+    update(doc => { doc.flags[flag] = !!value; });
+}
+
 // ============================================================================
 // GAME PROGRESS
 // ============================================================================
@@ -207,14 +803,29 @@ export function getBestRun() {
  * @returns {boolean}
  */
 export function isMultiplayerUnlocked() {
-    return !!safeGetRaw(STORAGE_KEYS.MULTIPLAYER_UNLOCKED);
+    return getFlag(FLAGS.MULTIPLAYER_UNLOCKED);
 }
 
 /**
  * Unlock multiplayer mode
  */
 export function unlockMultiplayer() {
-    safeSetRaw(STORAGE_KEYS.MULTIPLAYER_UNLOCKED, 'true');
+    setFlag(FLAGS.MULTIPLAYER_UNLOCKED);
+}
+
+/**
+ * Check if Pantheon (creative) mode is unlocked
+ * @returns {boolean}
+ */
+export function isPantheonUnlocked() {
+    return getFlag(FLAGS.PANTHEON_UNLOCKED);
+}
+
+/**
+ * Unlock Pantheon mode (beating Story Mode)
+ */
+export function unlockPantheon() {
+    setFlag(FLAGS.PANTHEON_UNLOCKED);
 }
 
 /**
@@ -222,7 +833,7 @@ export function unlockMultiplayer() {
  * @returns {number}
  */
 export function getTNSTier() {
-    return parseInt(safeGetRaw(STORAGE_KEYS.TNS_TIER, '1')) || 1;
+    return load().progress.tnsTier;
 }
 
 /**
@@ -230,7 +841,7 @@ export function getTNSTier() {
  * @param {number} tier - New tier (1-4)
  */
 export function setTNSTier(tier) {
-    safeSetRaw(STORAGE_KEYS.TNS_TIER, String(Math.max(1, Math.min(4, tier))));
+    update(doc => { doc.progress.tnsTier = Math.max(1, Math.min(4, Math.floor(tier) || 1)); });
 }
 
 /**
@@ -238,7 +849,7 @@ export function setTNSTier(tier) {
  * @returns {number}
  */
 export function getHighestTier() {
-    return parseInt(safeGetRaw(STORAGE_KEYS.HIGHEST_TIER, '0')) || 0;
+    return load().progress.highestTier;
 }
 
 /**
@@ -248,7 +859,7 @@ export function getHighestTier() {
 export function updateHighestTier(tier) {
     const current = getHighestTier();
     if (tier > current) {
-        safeSetRaw(STORAGE_KEYS.HIGHEST_TIER, String(tier));
+        update(doc => { doc.progress.highestTier = Math.floor(tier); });
     }
 }
 
@@ -257,14 +868,61 @@ export function updateHighestTier(tier) {
  * @returns {boolean}
  */
 export function hasFoundSecretNote() {
-    return !!safeGetRaw(STORAGE_KEYS.SECRET_NOTE_FOUND);
+    return getFlag(FLAGS.SECRET_NOTE_FOUND);
 }
 
 /**
  * Mark secret note as found
  */
 export function markSecretNoteFound() {
-    safeSetRaw(STORAGE_KEYS.SECRET_NOTE_FOUND, 'true');
+    setFlag(FLAGS.SECRET_NOTE_FOUND);
+}
+
+/**
+ * Check if the weathered diary has been found
+ * @returns {boolean}
+ */
+export function hasFoundDiary() {
+    return getFlag(FLAGS.DIARY_FOUND);
+}
+
+/**
+ * Mark the diary as found
+ */
+export function markDiaryFound() {
+    setFlag(FLAGS.DIARY_FOUND);
+}
+
+// ============================================================================
+// STORY MODE SAVES
+// ============================================================================
+
+/**
+ * Get all story mode save slots
+ * @returns {Array<Object|null>} TNS_SLOT_COUNT entries; null = empty slot
+ */
+export function getTNSSaves() {
+    return JSON.parse(JSON.stringify(load().tnsSaves));
+}
+
+/**
+ * Write (or clear, with null) a story mode save slot
+ * @param {number} slot - Slot index
+ * @param {Object|null} save - Save data ({ tier, character, ... })
+ * @returns {boolean} Whether the save was written
+ * @throws {Error} If the slot or save is invalid
+ */
+export function setTNSSave(slot, save) {
+    if (!Number.isInteger(slot) || slot < 0 || slot >= TNS_SLOT_COUNT) {
+        throw new Error(`Invalid story save slot: ${slot}`);
+    }
+    if (!isTNSSave(save)) {
+        throw new Error('Invalid story save data');
+    }
+    if (!save && load().tnsSaves[slot]) {
+        createBackup(`Story save ${slot + 1} deleted`);
+    }
+    return update(doc => { doc.tnsSaves[slot] = save ? JSON.parse(JSON.stringify(save)) : null; });
 }
 
 // ============================================================================
@@ -276,7 +934,7 @@ export function markSecretNoteFound() {
  * @returns {number}
  */
 export function getTotalKills() {
-    return parseInt(safeGetRaw(STORAGE_KEYS.TOTAL_KILLS, '0')) || 0;
+    return load().stats.totalKills;
 }
 
 /**
@@ -284,30 +942,188 @@ export function getTotalKills() {
  * @param {number} kills - Kills to add
  */
 export function addTotalKills(kills) {
-    const total = getTotalKills() + kills;
-    safeSetRaw(STORAGE_KEYS.TOTAL_KILLS, String(total));
+    update(doc => { doc.stats.totalKills += Math.max(0, Math.floor(kills) || 0); });
+}
+
+/**
+ * Get lifetime skeleton kills (Calcium unlock progress)
+ * @returns {number}
+ */
+export function getSkeletonKills() {
+    return load().progress.skeletonKills;
+}
+
+/**
+ * Get best weapon levels reached (unlock progress)
+ * @returns {Object<string, number>}
+ */
+export function getWeaponLevelRecords() {
+    return { ...load().progress.weaponLevels };
+}
+
+/**
+ * Get evolved weapons discovered in any run (Forge recipe book)
+ * @returns {string[]} Evolved weapon keys, in discovery order
+ */
+export function getDiscoveredEvolutions() {
+    return [...load().progress.evolutions];
+}
+
+/**
+ * Record an evolved weapon as discovered
+ * @param {string} key - Evolved weapon key
+ * @returns {boolean} True if this is the first discovery
+ */
+export function discoverEvolution(key) {
+    if (load().progress.evolutions.includes(key)) return false;
+    update(doc => { doc.progress.evolutions.push(key); });
+    return true;
 }
 
 // ============================================================================
-// SETTINGS
+// META SHOP
 // ============================================================================
 
-/** Default settings */
-const DEFAULT_SETTINGS = Object.freeze({
-    pixelMode: true,
-    musicVolume: 0.7,
-    sfxVolume: 1.0,
-    screenShake: true,
-    showDamageNumbers: true
-});
+/**
+ * Get the meta shop balance
+ * @returns {number}
+ */
+export function getMetaCurrency() {
+    return load().meta.currency;
+}
+
+/**
+ * Get bought meta upgrade levels
+ * @returns {Object<string, number>} Upgrade key -> level
+ */
+export function getMetaUpgradeLevels() {
+    return { ...load().meta.upgrades };
+}
+
+/**
+ * Bank currency earned in a run
+ * @param {number} amount
+ */
+export function addMetaCurrency(amount) {
+    update(doc => { doc.meta.currency += Math.max(0, Math.floor(amount) || 0); });
+}
+
+/**
+ * Set a meta upgrade's level and move the balance in one write (buy or refund)
+ * @param {string} key - Upgrade key
+ * @param {number} level - New level (0 removes it)
+ * @param {number} currencyDelta - Added to the balance (negative to spend)
+ * @returns {boolean} False if the balance would go negative
+ */
+export function setMetaUpgrade(key, level, currencyDelta) {
+    if (load().meta.currency + currencyDelta < 0) return false;
+    update(doc => {
+        doc.meta.currency += currencyDelta;
+        if (level > 0) doc.meta.upgrades[key] = level;
+        else delete doc.meta.upgrades[key];
+    });
+    return true;
+}
+
+// ============================================================================
+// MODIFIER BOARD
+// ============================================================================
+
+/**
+ * Get the last modifier board set up (unsanitized; see RunModifiers)
+ * @returns {{rules: Object, curses: Object<string, number>}}
+ */
+export function getModifierBoard() {
+    const { rules, curses } = load().modifiers;
+    return { rules: { ...rules }, curses: { ...curses } };
+}
+
+/**
+ * Remember the modifier board for the next run
+ * @param {{rules: Object, curses: Object<string, number>}} board
+ */
+export function setModifierBoard(board) {
+    update(doc => { doc.modifiers = { rules: { ...board.rules }, curses: { ...board.curses } }; });
+}
+
+// ============================================================================
+// ACHIEVEMENTS
+// ============================================================================
+
+/**
+ * Get lifetime achievement counters. Kill counters that predate achievements
+ * (total and skeleton kills) are read from their original fields.
+ * @returns {Object<string, number>} Stat name -> value
+ */
+export function getAchievementStats() {
+    const doc = load();
+    return { ...doc.achievements.stats, totalKills: doc.stats.totalKills, skeletonKills: doc.progress.skeletonKills };
+}
+
+/**
+ * Add a run's counters and best weapon levels in one write
+ * @param {Object<string, number>} stats - Stat name -> amount to add
+ * @param {Object<string, number>} [weaponLevels] - Weapon key -> level reached
+ */
+export function recordAchievementProgress(stats, weaponLevels = {}) {
+    update(doc => {
+        for (const [stat, amount] of Object.entries(stats)) {
+            const n = Math.max(0, Math.floor(amount) || 0);
+            if (stat === 'totalKills') doc.stats.totalKills += n;
+            else if (stat === 'skeletonKills') doc.progress.skeletonKills += n;
+            else doc.achievements.stats[stat] = (doc.achievements.stats[stat] || 0) + n;
+        }
+        for (const [weapon, level] of Object.entries(weaponLevels)) {
+            doc.progress.weaponLevels[weapon] = Math.max(doc.progress.weaponLevels[weapon] || 0, level);
+        }
+    });
+}
+
+/**
+ * Get earned achievements
+ * @returns {Object<string, number>} Achievement id -> timestamp earned
+ */
+export function getEarnedAchievements() {
+    return { ...load().achievements.earned };
+}
+
+/**
+ * Record an achievement as earned
+ * @param {string} id - Achievement id
+ * @returns {boolean} True if newly earned
+ */
+export function markAchievementEarned(id) {
+    if (load().achievements.earned[id] !== undefined) return false;
+    update(doc => { doc.achievements.earned[id] = Date.now(); });
+    return true;
+}
+
+/**
+ * Get the equipped title
+ * @returns {string|null} Achievement id granting it
+ */
+export function getEquippedTitle() {
+    return load().achievements.title;
+}
+
+/**
+ * Equip a title (null takes it off)
+ * @param {string|null} id - Achievement id granting it
+ */
+export function setEquippedTitle(id) {
+    update(doc => { doc.achievements.title = id; });
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
 
 /**
  * Get all settings
  * @returns {Object}
  */
 export function getSettings() {
-    const stored = safeGet(STORAGE_KEYS.SETTINGS, {});
-    return { ...DEFAULT_SETTINGS, ...stored };
+    return { ...DEFAULT_SETTINGS, ...load().settings };
 }
 
 /**
@@ -315,8 +1131,7 @@ export function getSettings() {
  * @param {Object} updates - Settings to update
  */
 export function updateSettings(updates) {
-    const current = getSettings();
-    safeSet(STORAGE_KEYS.SETTINGS, { ...current, ...updates });
+    update(doc => { doc.settings = { ...doc.settings, ...updates }; });
 }
 
 /**
@@ -329,21 +1144,316 @@ export function getSetting(key) {
     return settings[key];
 }
 
+// ============================================================================
+// BACKUPS
+// ============================================================================
+
+/**
+ * Automatic local backup
+ * @typedef {Object} SaveBackup
+ * @property {string} id - Unique id
+ * @property {number} at - Unix timestamp
+ * @property {string} reason - What triggered it
+ * @property {SaveDocument} doc - Full document snapshot
+ */
+
+/**
+ * Read stored backups
+ * @returns {SaveBackup[]} Oldest first
+ */
+function readBackups() {
+    try {
+        const stored = JSON.parse(safeGetRaw(STORAGE_KEYS.BACKUPS) || '[]');
+        return Array.isArray(stored) ? stored.filter(b => b && isPlainObject(b.doc)) : [];
+    } catch (e) {
+        console.warn('Save backups are unreadable:', e);
+        return [];
+    }
+}
+
+/**
+ * Snapshot the current save into the rolling backup list
+ * @param {string} reason - Shown in the backup list
+ * @returns {boolean} Whether the backup was written
+ */
+export function createBackup(reason) {
+    const backups = readBackups();
+    backups.push({
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        at: Date.now(),
+        reason,
+        doc: getSaveSnapshot()
+    });
+    return safeSetRaw(STORAGE_KEYS.BACKUPS, JSON.stringify(backups.slice(-MAX_BACKUPS)));
+}
+
+/**
+ * List backups, newest first
+ * @returns {Array<{id: string, at: number, reason: string}>}
+ */
+export function getBackups() {
+    return readBackups().reverse().map(({ id, at, reason }) => ({ id, at, reason }));
+}
+
+/**
+ * Get a backup's document (e.g. to preview restoring it)
+ * @param {string} id - Backup id
+ * @returns {SaveDocument|null}
+ */
+export function getBackupDocument(id) {
+    const backup = readBackups().find(b => b.id === id);
+    return backup ? JSON.parse(JSON.stringify(backup.doc)) : null;
+}
+
+/**
+ * Replace the save with a backup (the current save is backed up first)
+ * @param {string} id - Backup id
+ * @returns {boolean} Whether the save was written
+ * @throws {Error} If the backup doesn't exist
+ */
+export function restoreBackup(id) {
+    const doc = getBackupDocument(id);
+    if (!doc) throw new Error('Backup not found');
+    return importSave(prepareImport(doc).doc, IMPORT_MODES.REPLACE, { backupReason: 'Before restoring a backup' });
+}
+
+// ============================================================================
+// IMPORT / MERGE
+// ============================================================================
+
+/**
+ * Import modes
+ * @readonly
+ * @enum {string}
+ */
+export const IMPORT_MODES = Object.freeze({
+    MERGE: 'merge',      // Keep the best of both saves
+    REPLACE: 'replace'   // Incoming save overwrites everything
+});
+
+/**
+ * Migrate and validate a foreign document (decoded save code, backup)
+ * without touching storage or the quarantine
+ * @param {Object} doc - Parsed document
+ * @returns {{doc: SaveDocument, issues: string[]}} Clean document plus what was dropped
+ * @throws {Error} If the document can't be imported by this build
+ */
+export function prepareImport(doc) {
+    if (!isPlainObject(doc) || typeof doc.version !== 'number' || doc.version < 1) {
+        throw new Error('Not a save document');
+    }
+    if (doc.version > SAVE_VERSION) {
+        throw new Error(`Save version ${doc.version} is newer than supported (${SAVE_VERSION}). Update the game first.`);
+    }
+    const issues = [];
+    const clean = validateDocument(migrate(JSON.parse(JSON.stringify(doc))), (path, value, reason) => {
+        issues.push(`${path}: ${reason}`);
+    });
+    return { doc: clean, issues };
+}
+
+/**
+ * Identify a run history entry for de-duplication
+ * @param {RunEntry} run
+ * @returns {string}
+ */
+function runKey(run) {
+    return run.timestamp ? `t${run.timestamp}` : `${run.date}|${run.char || run.character}|${run.score}`;
+}
+
+/**
+ * Combine two saves, keeping the furthest progress from each
+ * @param {SaveDocument} current
+ * @param {SaveDocument} incoming
+ * @param {function(Object<string, number>): number} valueMeta - Upgrade levels -> currency they refund
+ * @returns {SaveDocument}
+ */
+function mergeDocuments(current, incoming, valueMeta) {
+    const merged = JSON.parse(JSON.stringify(current));
+
+    // Unlocks and flags: once earned anywhere, earned
+    for (const section of ['unlocks', 'flags']) {
+        for (const [key, value] of Object.entries(incoming[section])) {
+            merged[section][key] = merged[section][key] === true || value === true;
+        }
+    }
+
+    // Counters: furthest value wins (adding would double-count shared history)
+    for (const key of ['tnsTier', 'highestTier', 'skeletonKills']) {
+        merged.progress[key] = Math.max(current.progress[key], incoming.progress[key]);
+    }
+    for (const [weapon, level] of Object.entries(incoming.progress.weaponLevels)) {
+        merged.progress.weaponLevels[weapon] = Math.max(merged.progress.weaponLevels[weapon] || 0, level);
+    }
+    merged.progress.evolutions = [...new Set([...current.progress.evolutions, ...incoming.progress.evolutions])];
+    merged.stats.totalKills = Math.max(current.stats.totalKills, incoming.stats.totalKills);
+    // Meta is one unit: balance and levels are spent from each other, so mixing them would mint currency on refund
+    const worth = (meta) => meta.currency + valueMeta(meta.upgrades);
+    if (worth(incoming.meta) > worth(current.meta)) merged.meta = JSON.parse(JSON.stringify(incoming.meta));
+    for (const [stat, value] of Object.entries(incoming.achievements.stats)) {
+        merged.achievements.stats[stat] = Math.max(merged.achievements.stats[stat] || 0, value);
+    }
+    for (const [id, time] of Object.entries(incoming.achievements.earned)) {
+        merged.achievements.earned[id] = Math.min(merged.achievements.earned[id] ?? time, time);
+    }
+
+    // Run history: union, newest first
+    const seen = new Set(current.runHistory.map(runKey));
+    const runs = current.runHistory.concat(incoming.runHistory.filter(r => !seen.has(runKey(r))));
+    runs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    merged.runHistory = runs.slice(0, MAX_RUN_HISTORY);
+
+    // Challenges: one attempt per id, keeping the better score
+    const attempts = new Map(current.challenges.map(c => [c.id, c]));
+    for (const theirs of incoming.challenges) {
+        const mine = attempts.get(theirs.id);
+        if (!mine || theirs.score > mine.score) attempts.set(theirs.id, theirs);
+    }
+    merged.challenges = [...attempts.values()]
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, MAX_CHALLENGE_HISTORY);
+
+    // Story slots: fill empty slots; when both are used keep the higher tier
+    merged.tnsSaves = current.tnsSaves.map((mine, i) => {
+        const theirs = incoming.tnsSaves[i];
+        if (!mine) return theirs;
+        if (!theirs) return mine;
+        return theirs.tier > mine.tier ? theirs : mine;
+    });
+
+    // Settings and the modifier board are per-device: keep this browser's
+    return merged;
+}
+
+/**
+ * One line of an import preview
+ * @typedef {Object} SaveChange
+ * @property {string} section - Document section
+ * @property {string} label - What changes
+ * @property {string} from - Current value (display text)
+ * @property {string} to - Value after import (display text)
+ */
+
+/**
+ * @param {Object|null} save - TNS slot
+ * @returns {string}
+ */
+function describeTNSSave(save) {
+    return save ? `Tier ${save.tier} (${save.character})` : 'empty';
+}
+
+/**
+ * List every user-visible difference between two documents
+ * @param {SaveDocument} before
+ * @param {SaveDocument} after
+ * @returns {SaveChange[]}
+ */
+function diffDocuments(before, after) {
+    const changes = [];
+    const push = (section, label, from, to) => {
+        if (String(from) !== String(to)) changes.push({ section, label, from: String(from), to: String(to) });
+    };
+    const yesNo = (v) => (v ? 'yes' : 'no');
+
+    const unlockKeys = new Set([...Object.keys(before.unlocks), ...Object.keys(after.unlocks)]);
+    for (const key of unlockKeys) {
+        if (key.startsWith('_')) continue; // Internal unlock progress markers
+        push('unlocks', key, before.unlocks[key] ? 'unlocked' : 'locked', after.unlocks[key] ? 'unlocked' : 'locked');
+    }
+    for (const flag of Object.values(FLAGS)) {
+        push('flags', flag, yesNo(before.flags[flag]), yesNo(after.flags[flag]));
+    }
+    push('progress', 'Story tier', before.progress.tnsTier, after.progress.tnsTier);
+    push('progress', 'Highest tier', before.progress.highestTier, after.progress.highestTier);
+    push('progress', 'Skeleton kills', before.progress.skeletonKills, after.progress.skeletonKills);
+    push('progress', 'Weapon records', Object.keys(before.progress.weaponLevels).length, Object.keys(after.progress.weaponLevels).length);
+    push('progress', 'Evolutions discovered', before.progress.evolutions.length, after.progress.evolutions.length);
+    push('stats', 'Total kills', before.stats.totalKills, after.stats.totalKills);
+    const metaLevels = (doc) => Object.values(doc.meta.upgrades).reduce((a, b) => a + b, 0);
+    push('meta', 'Meta shop balance', before.meta.currency, after.meta.currency);
+    push('meta', 'Meta upgrade levels', metaLevels(before), metaLevels(after));
+    push('achievements', 'Achievements earned', Object.keys(before.achievements.earned).length, Object.keys(after.achievements.earned).length);
+    push('achievements', 'Title', before.achievements.title || 'none', after.achievements.title || 'none');
+    push('runHistory', 'Runs in history', before.runHistory.length, after.runHistory.length);
+    push('challenges', 'Challenge attempts', before.challenges.length, after.challenges.length);
+    for (let i = 0; i < TNS_SLOT_COUNT; i++) {
+        push('tnsSaves', `Story save ${i + 1}`, describeTNSSave(before.tnsSaves[i]), describeTNSSave(after.tnsSaves[i]));
+    }
+    const settingKeys = new Set([...Object.keys(before.settings), ...Object.keys(after.settings)]);
+    for (const key of settingKeys) {
+        push('settings', key, before.settings[key], after.settings[key]);
+    }
+    return changes;
+}
+
+/**
+ * Compute the document an import would produce
+ * @param {SaveDocument} incoming - Prepared document (see prepareImport)
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {function(Object<string, number>): number} [valueMeta] - Required to merge
+ * @returns {SaveDocument}
+ * @throws {Error} On an unknown mode, or a merge without valueMeta
+ */
+function resolveImport(incoming, mode, valueMeta) {
+    if (mode === IMPORT_MODES.REPLACE) return JSON.parse(JSON.stringify(incoming));
+    if (mode === IMPORT_MODES.MERGE) {
+        if (typeof valueMeta !== 'function') throw new Error('Merging a save needs valueMeta to price meta upgrades');
+        return mergeDocuments(load(), incoming, valueMeta);
+    }
+    throw new Error(`Unknown import mode: ${mode}`);
+}
+
+/**
+ * Describe what importing a document would change, without changing anything
+ * @param {SaveDocument} incoming - Prepared document (see prepareImport)
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {Object} [options]
+ * @param {function(Object<string, number>): number} [options.valueMeta] - Upgrade levels -> currency
+ *   they refund (MetaProgression's metaRefundValue). Required to merge: whichever save's meta
+ *   is worth more is taken whole.
+ * @returns {SaveChange[]}
+ */
+export function previewImport(incoming, mode, { valueMeta } = {}) {
+    return diffDocuments(load(), resolveImport(incoming, mode, valueMeta));
+}
+
+/**
+ * Merge or replace the save with an imported document. The current save is
+ * backed up first.
+ * @param {SaveDocument} incoming - Prepared document (see prepareImport)
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {Object} [options]
+ * @param {function(Object<string, number>): number} [options.valueMeta] - Required to merge (see previewImport)
+ * @param {string} [options.backupReason='Before import']
+ * @returns {boolean} Whether the save was written
+ */
+export function importSave(incoming, mode, { valueMeta, backupReason = 'Before import' } = {}) {
+    const next = resolveImport(incoming, mode, valueMeta);
+    createBackup(backupReason);
+    state = next;
+    return persist();
+}
+
 // ============================================================================
 // CLEANUP
 // ============================================================================
 
 /**
- * Clear all game data (reset)
+ * Clear all game data (reset). A backup is taken first; quarantined entries
+ * and backups are kept.
  */
 export function clearAllData() {
+    createBackup('Before reset');
     try {
-        for (const key of Object.values(STORAGE_KEYS)) {
+        localStorage.removeItem(STORAGE_KEYS.SAVE);
+        for (const key of Object.values(LEGACY_KEYS)) {
             localStorage.removeItem(key);
         }
     } catch (e) {
         console.warn('Failed to clear game data:', e);
     }
+    state = createDefaultDocument();
+    persist();
 }
 
 // ============================================================================
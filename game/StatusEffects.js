@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Status effects
+ * Burn, chill, poison, stun and bleed on enemies and the player, and the
+ * empower buff shamans put on other enemies. Every source (weapons, runes,
+ * enemy attacks) goes through Game.applyStatus, which checks immunities and
+ * adds the effect to the target's StatusEffectSet. The set tracks
+ * duration, stacks and damage ticks, and answers the questions gameplay
+ * code asks each tick: how fast can this target move and attack, and how
+ * much extra damage does it take from an element.
+ *
+ * Times are game seconds (Game.gameTime), so effects expire and tick on the
+ * same simulation tick in live play, replays and headless runs.
+ *
+ * @module game/StatusEffects
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Status effect definition
+ * @typedef {Object} StatusEffectDef
+ * @property {string} name - Display name (also the damage source for DoT on the player)
+ * @property {number} color - Tint and particle colour
+ * @property {string} numberColor - CSS colour of its damage numbers
+ * @property {number} maxStacks - Each application adds a stack up to this
+ * @property {number} [tickInterval] - Seconds between damage ticks (damage over time only)
+ * @property {number} [moveMult=1] - Movement speed multiplier
+ * @property {number} [attackMult=1] - Attack rate multiplier (0: cannot attack)
+ * @property {Object<string, number>} [damageTaken] - Damage taken multiplier per element
+ * @property {string[]} [immune] - Target tags that ignore it ('boss', 'ghost', 'player')
+ */
+
+/**
+ * Options for applying an effect
+ * @typedef {Object} StatusApplyOptions
+ * @property {number} duration - Seconds
+ * @property {number} [potency=0] - Damage per second per stack (damage over time only)
+ * @property {number} [stacks=1] - Stacks to add
+ * @property {string|null} [source] - Weapon/passive key (enemies) or display name (player) credited with tick damage
+ */
+
+/**
+ * One active effect on a target
+ * @typedef {Object} ActiveStatus
+ * @property {number} stacks
+ * @property {number} until - Game time it expires at
+ * @property {number} potency - Damage per second per stack
+ * @property {string|null} source
+ * @property {number} nextTick - Game time of the next damage tick
+ */
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * Status effects by id. Elements named in `damageTaken` are the `element`
+ * of a WeaponDef.
+ * @type {Object<string, StatusEffectDef>}
+ */
+export const STATUS_EFFECTS = Object.freeze({
+    BURN: Object.freeze({
+        name: 'Burn', color: 0xff6600, numberColor: '#ff8833', maxStacks: 5, tickInterval: 0.5
+    }),
+    CHILL: Object.freeze({
+        name: 'Chill', color: 0x66ccff, numberColor: '#88ddff', maxStacks: 1, moveMult: 0.4,
+        // Frozen flesh cracks: fire hits chilled targets harder
+        damageTaken: Object.freeze({ fire: 1.2 })
+    }),
+    POISON: Object.freeze({
+        name: 'Poison', color: 0x44ff44, numberColor: '#66ff66', maxStacks: 3, tickInterval: 0.5,
+        immune: Object.freeze(['ghost'])
+    }),
+    STUN: Object.freeze({
+        name: 'Stun', color: 0xffff66, numberColor: '#ffff66', maxStacks: 1, moveMult: 0, attackMult: 0,
+        immune: Object.freeze(['boss'])
+    }),
+    BLEED: Object.freeze({
+        name: 'Bleed', color: 0xaa0000, numberColor: '#ff4444', maxStacks: 10, tickInterval: 1,
+        immune: Object.freeze(['ghost'])
+    }),
+    // Shaman buff on nearby enemies
+    EMPOWER: Object.freeze({
+        name: 'Empower', color: 0x33ff77, numberColor: '#66ff99', maxStacks: 1, moveMult: 1.3, attackMult: 1.4,
+        immune: Object.freeze(['player'])
+    })
+});
+
+/**
+ * Whether a target ignores an effect
+ * @param {string} id - Status id
+ * @param {string[]} tags - Target tags ('boss', 'ghost', 'player')
+ * @param {string[]} [immunities] - Extra status ids the target ignores (e.g. ENEMIES[type].immune)
+ * @returns {boolean}
+ */
+export function isStatusImmune(id, tags, immunities = []) {
+    const def = STATUS_EFFECTS[id];
+    if (!def) return true;
+    if (immunities.includes(id)) return true;
+    return !!def.immune && def.immune.some(tag => tags.includes(tag));
+}
+
+// ============================================================================
+// STATUS EFFECT SET
+// ============================================================================
+
+/**
+ * Effects currently on one target
+ * @class
+ * @example
+ * const status = new StatusEffectSet();
+ * status.apply('BURN', game.gameTime, { duration: 2, potency: 1.5, source: 'FIREBALL' });
+ * status.update(game.gameTime, (id, damage, source) => game.damageEnemy(enemy, damage, source, id));
+ * speed *= status.multiplier('moveMult');
+ */
+export class StatusEffectSet {
+    constructor() {
+        /** @type {Map<string, ActiveStatus>} In order of first application */
+        this.effects = new Map();
+    }
+
+    /**
+     * Add an effect, or a stack of it. Reapplying refreshes the duration and
+     * keeps the strongest potency.
+     * @param {string} id - Status id
+     * @param {number} now - Game time
+     * @param {StatusApplyOptions} options
+     * @returns {boolean} True if the effect was not active before
+     */
+    apply(id, now, { duration, potency = 0, stacks = 1, source = null }) {
+        const def = STATUS_EFFECTS[id];
+        if (!def || !(duration > 0)) return false;
+
+        const active = this.effects.get(id);
+        if (active) {
+            active.stacks = Math.min(def.maxStacks, active.stacks + stacks);
+            active.until = Math.max(active.until, now + duration);
+            if (potency >= active.potency) {
+                active.potency = potency;
+                active.source = source;
+            }
+            return false;
+        }
+
+        this.effects.set(id, {
+            stacks: Math.min(def.maxStacks, stacks),
+            until: now + duration,
+            potency,
+            source,
+            nextTick: now + (def.tickInterval || 0)
+        });
+        return true;
+    }
+
+    /**
+     * Run damage ticks that are due and drop expired effects
+     * @param {number} now - Game time
+     * @param {function(string, number, string|null): void} onTick - Called with (id, damage, source) per tick
+     * @returns {string[]} Ids that expired
+     */
+    update(now, onTick) {
+        const expired = [];
+        for (const [id, active] of this.effects) {
+            const def = STATUS_EFFECTS[id];
+            if (def.tickInterval && active.potency > 0) {
+                while (active.nextTick <= now && active.nextTick <= active.until) {
+                    active.nextTick += def.tickInterval;
+                    onTick(id, active.potency * active.stacks * def.tickInterval, active.source);
+                }
+            }
+            if (active.until <= now) expired.push(id);
+        }
+        for (const id of expired) this.effects.delete(id);
+        return expired;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.effects.has(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {number} Stacks of the effect (0 when not active)
+     */
+    stacksOf(id) {
+        const active = this.effects.get(id);
+        return active ? active.stacks : 0;
+    }
+
+    /**
+     * Product of a multiplier over every active effect
+     * @param {'moveMult'|'attackMult'} key
+     * @returns {number}
+     */
+    multiplier(key) {
+        let mult = 1;
+        for (const id of this.effects.keys()) {
+            const value = STATUS_EFFECTS[id][key];
+            if (value !== undefined) mult *= value;
+        }
+        return mult;
+    }
+
+    /**
+     * Extra damage taken from an element
+     * @param {string|undefined} element
+     * @returns {number}
+     */
+    damageTakenMult(element) {
+        if (!element) return 1;
+        let mult = 1;
+        for (const id of this.effects.keys()) {
+            const table = STATUS_EFFECTS[id].damageTaken;
+            if (table && table[element]) mult *= table[element];
+        }
+        return mult;
+    }
+
+    /**
+     * Colour to tint the target with: the most recently added active effect
+     * @returns {number|null}
+     */
+    tint() {
+        let color = null;
+        for (const id of this.effects.keys()) color = STATUS_EFFECTS[id].color;
+        return color;
+    }
+
+    /** @returns {boolean} */
+    get isEmpty() {
+        return this.effects.size === 0;
+    }
+
+    /**
+     * Remove every effect
+     */
+    clear() {
+        this.effects.clear();
+    }
+}
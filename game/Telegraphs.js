@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Attack telegraphs
+ * Ground markers for boss attacks: circles, cones and lines that fill up
+ * from their origin until the attack lands, so players can read where it
+ * will hit and step out. The same shape description drives the hit check
+ * (telegraphContains), so what is drawn is exactly what gets hit.
+ *
+ * Telegraphs advance with the simulation tick and remove themselves once
+ * full; they never deal damage themselves.
+ *
+ * @module game/Telegraphs
+ */
+
+import * as THREE from 'three';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Shape on the ground. Cones and lines point along `direction`, a yaw
+ * (0 = +Z, as in Math.atan2(dx, dz)).
+ * @typedef {Object} TelegraphSpec
+ * @property {string} shape - TELEGRAPH_SHAPES value
+ * @property {number} x - Circle centre, cone apex or line start
+ * @property {number} z
+ * @property {number} [y=0] - Ground height
+ * @property {number} duration - Seconds until it is full (when the attack lands)
+ * @property {number} [radius] - Circle radius / cone length
+ * @property {number} [angle] - Cone half-angle (radians)
+ * @property {number} [length] - Line length
+ * @property {number} [width] - Line width
+ * @property {number} [direction=0] - Cone/line yaw
+ * @property {number} [color=0xff2222]
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const TELEGRAPH_SHAPES = Object.freeze({
+    CIRCLE: 'circle',
+    CONE: 'cone',
+    LINE: 'line'
+});
+
+/** Default colour, outline and fill opacity */
+const TELEGRAPH_STYLE = Object.freeze({
+    COLOR: 0xff2222,
+    OUTLINE_OPACITY: 0.25,
+    FILL_OPACITY: 0.45,
+    LIFT: 0.08 // Above the ground so it doesn't z-fight
+});
+
+// ============================================================================
+// SHAPES
+// ============================================================================
+
+/**
+ * Whether a ground point is inside a telegraph's area
+ * @param {TelegraphSpec} spec
+ * @param {number} x
+ * @param {number} z
+ * @returns {boolean}
+ */
+export function telegraphContains(spec, x, z) {
+    const dx = x - spec.x;
+    const dz = z - spec.z;
+    const dir = spec.direction || 0;
+    switch (spec.shape) {
+        case TELEGRAPH_SHAPES.CIRCLE:
+            return dx * dx + dz * dz <= spec.radius * spec.radius;
+        case TELEGRAPH_SHAPES.CONE: {
+            if (dx * dx + dz * dz > spec.radius * spec.radius) return false;
+            let off = Math.atan2(dx, dz) - dir;
+            off = Math.atan2(Math.sin(off), Math.cos(off)); // Wrap to [-PI, PI]
+            return Math.abs(off) <= spec.angle;
+        }
+        case TELEGRAPH_SHAPES.LINE: {
+            const along = dx * Math.sin(dir) + dz * Math.cos(dir);
+            const across = dx * Math.cos(dir) - dz * Math.sin(dir);
+            return along >= 0 && along <= spec.length && Math.abs(across) <= spec.width / 2;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Flat geometry for a shape, drawn forward along local +Y (laid on the ground by the mesh rotation)
+ * @param {TelegraphSpec} spec
+ * @returns {THREE.BufferGeometry}
+ */
+function buildGeometry(spec) {
+    switch (spec.shape) {
+        case TELEGRAPH_SHAPES.CIRCLE:
+            return new THREE.CircleGeometry(spec.radius, 40);
+        case TELEGRAPH_SHAPES.CONE:
+            return new THREE.CircleGeometry(spec.radius, 24, Math.PI / 2 - spec.angle, spec.angle * 2);
+        case TELEGRAPH_SHAPES.LINE:
+            return new THREE.PlaneGeometry(spec.width, spec.length).translate(0, spec.length / 2, 0);
+        default:
+            throw new Error(`Unknown telegraph shape: ${spec.shape}`);
+    }
+}
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} color
+ * @param {number} opacity
+ * @returns {THREE.Mesh}
+ */
+function flatMesh(geometry, color, opacity) {
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity, side: THREE.DoubleSide, depthWrite: false
+    }));
+    mesh.rotation.x = Math.PI / 2; // Local +Y -> world +Z
+    return mesh;
+}
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+/**
+ * Draws and ages telegraphs
+ * @class
+ * @example
+ * const telegraphs = new TelegraphRenderer(scene);
+ * telegraphs.add({ shape: 'circle', x, z, y, radius: 3.5, duration: 1.2 });
+ * telegraphs.update(dt); // every tick
+ */
+export class TelegraphRenderer {
+    /**
+     * @param {THREE.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        /** @type {{spec: TelegraphSpec, elapsed: number, group: THREE.Group, fill: THREE.Mesh}[]} */
+        this.active = [];
+    }
+
+    /**
+     * Show a telegraph
+     * @param {TelegraphSpec} spec
+     * @returns {TelegraphSpec} The spec, for telegraphContains when the attack lands
+     */
+    add(spec) {
+        const color = spec.color !== undefined ? spec.color : TELEGRAPH_STYLE.COLOR;
+        const geometry = buildGeometry(spec);
+        const group = new THREE.Group();
+        group.position.set(spec.x, (spec.y || 0) + TELEGRAPH_STYLE.LIFT, spec.z);
+        group.rotation.y = spec.direction || 0;
+
+        group.add(flatMesh(geometry, color, TELEGRAPH_STYLE.OUTLINE_OPACITY));
+        const fill = flatMesh(geometry, color, TELEGRAPH_STYLE.FILL_OPACITY);
+        fill.position.y = 0.01;
+        fill.scale.set(0.001, 0.001, 1);
+        group.add(fill);
+
+        this.scene.add(group);
+        this.active.push({ spec, elapsed: 0, group, fill });
+        return spec;
+    }
+
+    /**
+     * Fill telegraphs and remove the full ones
+     * @param {number} dt
+     */
+    update(dt) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const t = this.active[i];
+            t.elapsed += dt;
+            const progress = Math.min(1, t.elapsed / Math.max(t.spec.duration, 0.001));
+            if (t.spec.shape === TELEGRAPH_SHAPES.LINE) {
+                t.fill.scale.set(1, Math.max(progress, 0.001), 1); // Grows along the line
+            } else {
+                t.fill.scale.set(Math.max(progress, 0.001), Math.max(progress, 0.001), 1); // Grows from the centre/apex
+            }
+            if (progress >= 1) {
+                this.dispose(t);
+                this.active.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Remove every telegraph (world rebuilds)
+     */
+    clear() {
+        this.active.forEach(t => this.dispose(t));
+        this.active = [];
+    }
+
+    /**
+     * @param {{group: THREE.Group}} t
+     */
+    dispose(t) {
+        this.scene.remove(t.group);
+        t.group.children[0].geometry.dispose();
+        t.group.children.forEach(m => m.material.dispose());
+    }
+}
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Wave director
+ * Runs the enemy spawn schedule for a run from a data timeline
+ * (WAVE_TIMELINES in config.js, or a custom one authored in Pantheon and
+ * saved with the world). A timeline has two lists of time windows, one on
+ * the run clock and one on the overtime clock, and a list of one-off or
+ * repeating events (minibosses, Bobs).
+ *
+ * The active window spawns a batch every `interval` seconds. The interval
+ * can shrink with level and, from a tier on, with time; pacing rules stretch
+ * or shorten it by how crowded the player is; and the run's spawn rate
+ * multipliers divide it. A batch is a list of spawns: a fixed type, a
+ * weighted mix, or the tier's spawn table, each with a count and an elite
+ * chance.
+ *
+ * All randomness comes from the run's 'spawns' stream, so seeded runs and
+ * replays see the same waves.
+ *
+ * @module game/WaveDirector
+ */
+
+import { ENEMIES, WAVE_TIMELINES, weaponStatAt, eliteChanceAt } from './config.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Number or curve over the player's level (same shape as weapon stats)
+ * @typedef {import('./config.js').WeaponStatCurve} WaveCurve
+ */
+
+/**
+ * One group in a batch
+ * @typedef {Object} WaveSpawn
+ * @property {WaveCurve} count - How many
+ * @property {string} [type] - ENEMIES key or GHOST_TYPES entry
+ * @property {Object<string, number>} [mix] - Type -> weight, picked per enemy (instead of `type`)
+ * @property {number} [eliteChance] - Chance (0-1) for each regular enemy to be an elite; defaults to
+ *   eliteChanceAt(tier, game time)
+ */
+
+/**
+ * Time window on a clock. Without `type` or `mix`, spawns come from the tier's spawn table.
+ * @typedef {Object} WaveWindow
+ * @property {number} from - Start, in seconds on the window's clock
+ * @property {number} [to] - End (exclusive); open-ended when omitted
+ * @property {WaveCurve} interval - Seconds between batches
+ * @property {{fromTier: number, perSecond: number, min: number}} [accel] - From `fromTier` on, divide the
+ *   interval by (1 + perSecond * run time), down to `min`
+ * @property {{radius: number, crowded: number, crowdedMult: number, sparse: number, sparseMult: number}} [pacing] -
+ *   Interval multiplier when more than `crowded` or fewer than `sparse` enemies are within `radius`
+ * @property {WaveSpawn[]} spawns - Batch contents
+ */
+
+/**
+ * Scheduled spawn. Minibosses wait until no boss is up.
+ * @typedef {Object} WaveEvent
+ * @property {string} clock - 'run' (any time) or 'overtime' (only during overtime)
+ * @property {number} at - Seconds on the clock
+ * @property {string} spawn - 'miniboss' or 'bob'
+ * @property {string} [type] - MINIBOSS_TYPES / BOB_TYPES entry (random miniboss when omitted)
+ * @property {{interval: number, step?: number, min?: number}} [repeat] - Fire again `interval` seconds later,
+ *   changing the interval by `step` each time (never below `min`)
+ */
+
+/**
+ * @typedef {Object} WaveTimeline
+ * @property {WaveWindow[]} run - Windows on the run clock (before overtime)
+ * @property {WaveWindow[]} overtime - Windows on the overtime clock
+ * @property {WaveEvent[]} events
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Overtime ghosts (spawned by Game.createGhost rather than the ENEMIES table) */
+export const GHOST_TYPES = Object.freeze(['ghost_default', 'ghost_deadly']);
+
+/** Minibosses an event can name */
+export const MINIBOSS_TYPES = Object.freeze(['JOHN_PORK', 'KAREN', 'BRUH_NUBIS']);
+
+/** Bobs an event can name */
+export const BOB_TYPES = Object.freeze(['BOB', 'DEADLY_BOB', 'OVERTIME_BOB']);
+
+/** Clocks windows and events run on */
+export const WAVE_CLOCKS = Object.freeze(['run', 'overtime']);
+
+// ============================================================================
+// TIMELINES
+// ============================================================================
+
+/**
+ * Built-in timeline for a mode
+ * @param {string} mode - Game mode
+ * @returns {WaveTimeline}
+ */
+export function getWaveTimeline(mode) {
+    return WAVE_TIMELINES[mode] || WAVE_TIMELINES.DEFAULT;
+}
+
+/**
+ * @param {*} v
+ * @returns {boolean}
+ */
+function isCurve(v) {
+    if (typeof v === 'number') return isFinite(v) && v >= 0;
+    return !!v && typeof v === 'object' && typeof v.base === 'number' &&
+        ['perLevel', 'every', 'min', 'max'].every(k => v[k] === undefined || typeof v[k] === 'number');
+}
+
+/**
+ * Problems with a timeline, for Pantheon's editor
+ * @param {*} timeline
+ * @returns {string[]} Empty when the timeline is usable
+ */
+export function validateWaveTimeline(timeline) {
+    const errors = [];
+    if (!timeline || typeof timeline !== 'object') return ['Timeline must be an object'];
+    const isSpawnType = (t) => !!ENEMIES[t] || GHOST_TYPES.includes(t);
+
+    for (const clock of WAVE_CLOCKS) {
+        if (!Array.isArray(timeline[clock])) {
+            errors.push(`"${clock}" must be a list of windows`);
+            continue;
+        }
+        timeline[clock].forEach((w, i) => {
+            const where = `${clock}[${i}]`;
+            if (!w || typeof w !== 'object') return errors.push(`${where} must be an object`);
+            if (typeof w.from !== 'number') errors.push(`${where}.from must be a number`);
+            if (w.to !== undefined && !(typeof w.to === 'number' && w.to > w.from)) errors.push(`${where}.to must be after from`);
+            if (!isCurve(w.interval)) errors.push(`${where}.interval must be a number or curve`);
+            else if (typeof w.interval === 'number' && w.interval <= 0) errors.push(`${where}.interval must be above 0`);
+            if (!Array.isArray(w.spawns)) return errors.push(`${where}.spawns must be a list`);
+            w.spawns.forEach((s, j) => {
+                const at = `${where}.spawns[${j}]`;
+                if (!s || !isCurve(s.count)) errors.push(`${at}.count must be a number or curve`);
+                if (s && s.type !== undefined && !isSpawnType(s.type)) errors.push(`${at}.type "${s.type}" is not an enemy`);
+                if (s && s.mix !== undefined) {
+                    const entries = s.mix && typeof s.mix === 'object' ? Object.entries(s.mix) : [];
+                    if (entries.length === 0) errors.push(`${at}.mix must map enemy types to weights`);
+                    for (const [type, weight] of entries) {
+                        if (!isSpawnType(type)) errors.push(`${at}.mix type "${type}" is not an enemy`);
+                        if (!(typeof weight === 'number' && weight > 0)) errors.push(`${at}.mix weight for "${type}" must be above 0`);
+                    }
+                }
+                if (s && s.eliteChance !== undefined && !(s.eliteChance >= 0 && s.eliteChance <= 1)) errors.push(`${at}.eliteChance must be 0-1`);
+            });
+        });
+    }
+
+    if (!Array.isArray(timeline.events)) {
+        errors.push('"events" must be a list');
+    } else {
+        timeline.events.forEach((e, i) => {
+            const where = `events[${i}]`;
+            if (!e || typeof e !== 'object') return errors.push(`${where} must be an object`);
+            if (!WAVE_CLOCKS.includes(e.clock)) errors.push(`${where}.clock must be "run" or "overtime"`);
+            if (typeof e.at !== 'number') errors.push(`${where}.at must be a number`);
+            const types = e.spawn === 'miniboss' ? MINIBOSS_TYPES : e.spawn === 'bob' ? BOB_TYPES : null;
+            if (!types) errors.push(`${where}.spawn must be "miniboss" or "bob"`);
+            else if (e.type !== undefined ? !types.includes(e.type) : e.spawn === 'bob') errors.push(`${where}.type must be one of ${types.join(', ')}`);
+            if (e.repeat !== undefined && !(e.repeat && e.repeat.interval > 0)) errors.push(`${where}.repeat.interval must be above 0`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Parse a timeline typed into Pantheon's editor
+ * @param {string} text - JSON
+ * @returns {{timeline: WaveTimeline|null, errors: string[]}}
+ */
+export function parseWaveTimeline(text) {
+    let timeline;
+    try {
+        timeline = JSON.parse(text);
+    } catch (e) {
+        return { timeline: null, errors: [`Invalid JSON: ${e.message}`] };
+    }
+    const errors = validateWaveTimeline(timeline);
+    return { timeline: errors.length ? null : timeline, errors };
+}
+
+// ============================================================================
+// DIRECTOR
+// ============================================================================
+
+/**
+ * Pick a key by weight
+ * @param {Object<string, number>} mix - Key -> weight
+ * @param {function(): number} random
+ * @returns {string}
+ */
+function pickWeighted(mix, random) {
+    const entries = Object.entries(mix);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+/**
+ * Spawns a run's waves and scheduled events
+ * @class
+ * @example
+ * const director = new WaveDirector(getWaveTimeline('ARCADE'));
+ * director.update(game, dt);   // every tick: waves
+ * director.updateEvents(game); // every tick, after the portal boss check: events
+ */
+export class WaveDirector {
+    /**
+     * @param {WaveTimeline} timeline
+     */
+    constructor(timeline) {
+        /** @type {WaveTimeline} */
+        this.timeline = timeline;
+        /** Per-event schedule: next time on its clock, current repeat interval, done */
+        this.events = timeline.events.map(e => ({ def: e, next: e.at, interval: e.repeat ? e.repeat.interval : 0, done: false }));
+        this.reset();
+    }
+
+    /**
+     * Restart the batch timers (new tier). Events keep their schedule: each fires once per run
+     * unless it repeats.
+     */
+    reset() {
+        /** Seconds since the last batch, per clock */
+        this.timers = { run: 0, overtime: 0 };
+    }
+
+    /**
+     * Window active at a time on a clock
+     * @param {string} clock - 'run' or 'overtime'
+     * @param {number} time
+     * @returns {WaveWindow|null}
+     */
+    windowAt(clock, time) {
+        return this.timeline[clock].find(w => time >= w.from && (w.to === undefined || time < w.to)) || null;
+    }
+
+    /**
+     * Advance the active window's batch timer and spawn when it is due
+     * @param {Game} game
+     * @param {number} dt
+     */
+    update(game, dt) {
+        const clock = game.overtimeActive ? 'overtime' : 'run';
+        const time = game.overtimeActive ? game.gameTime - game.overtimeStartTime : game.gameTime;
+
+        this.timers[clock] += dt;
+        const window = this.windowAt(clock, time);
+        if (window && this.timers[clock] >= this.intervalFor(game, window)) {
+            this.timers[clock] = 0;
+            for (const spawn of window.spawns) this.spawnGroup(game, spawn);
+        }
+    }
+
+    /**
+     * Seconds between batches right now
+     * @param {Game} game
+     * @param {WaveWindow} window
+     * @returns {number}
+     */
+    intervalFor(game, window) {
+        let interval = weaponStatAt(window.interval, game.level);
+
+        const accel = window.accel;
+        if (accel && game.tier >= accel.fromTier) {
+            const timeAccel = 1 + game.gameTime * accel.perSecond;
+            interval = Math.max(accel.min, interval / timeAccel);
+        }
+
+        // Adaptive pacing: slow down when crowded, speed up when few are nearby
+        const pacing = window.pacing;
+        if (pacing) {
+            let nearCount = 0;
+            const px = game.playerBody.position.x, pz = game.playerBody.position.z;
+            for (const e of game.enemiesNear(game.playerBody.position, pacing.radius)) {
+                const dx = e.body.position.x - px, dz = e.body.position.z - pz;
+                if (dx * dx + dz * dz < pacing.radius * pacing.radius) nearCount++;
+            }
+            game.nearbyEnemyCount = nearCount;
+            if (nearCount > pacing.crowded) {
+                interval *= pacing.crowdedMult;
+            } else if (nearCount < pacing.sparse) {
+                interval *= pacing.sparseMult;
+            }
+        }
+
+        // Event spawn rate (reset each tier) and the lobby/board/challenge rate
+        if (game.spawnRateMultiplier && game.spawnRateMultiplier > 0) {
+            interval = interval / game.spawnRateMultiplier;
+        }
+        interval /= game.lobbySpawnMult;
+        return interval;
+    }
+
+    /**
+     * Spawn one group of a batch
+     * @param {Game} game
+     * @param {WaveSpawn} spawn
+     */
+    spawnGroup(game, spawn) {
+        const count = weaponStatAt(spawn.count, game.level);
+        for (let i = 0; i < count; i++) {
+            const type = spawn.mix ? pickWeighted(spawn.mix, () => game.roll('spawns')) : spawn.type;
+            if (GHOST_TYPES.includes(type)) {
+                game.createGhost(type);
+                continue;
+            }
+            const chance = spawn.eliteChance !== undefined ? spawn.eliteChance : eliteChanceAt(game.tier, game.gameTime);
+            const elite = chance > 0 && game.roll('spawns') < chance;
+            game.createEnemy(type ? { overrideType: type, elite } : { elite });
+        }
+    }
+
+    /**
+     * Fire due events
+     * @param {Game} game
+     */
+    updateEvents(game) {
+        for (const ev of this.events) {
+            if (ev.done) continue;
+            const { def } = ev;
+            if (def.clock === 'overtime' && !game.overtimeActive) continue;
+            const time = def.clock === 'overtime' ? game.gameTime - game.overtimeStartTime : game.gameTime;
+            if (time < ev.next) continue;
+
+            if (def.spawn === 'miniboss') {
+                if (game.bossEnemy) continue; // Wait for the current boss
+                if (def.type) game.spawnMiniboss(def.type);
+                else game.spawnRandomMiniboss();
+            } else {
+                game.spawnEventBob(def.type);
+            }
+
+            if (def.repeat) {
+                ev.next += ev.interval;
+                ev.interval = Math.max(def.repeat.min || 0, ev.interval + (def.repeat.step || 0));
+                if (ev.interval <= 0) ev.done = true;
+            } else {
+                ev.done = true;
+            }
+        }
+    }
+}
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Weapon behaviours
+ * What each auto-firing weapon does every tick. Every weapon in the WEAPONS
+ * config table names one of these behaviours by its `behavior` id and carries
+ * the numbers it uses in `stats`, so rebalancing a weapon is a config change
+ * and a new weapon is a config entry plus (at most) a behaviour here.
+ * Game.updateWeapons resolves each owned weapon's stats for its level and
+ * calls the behaviour.
+ *
+ * @module game/WeaponBehaviors
+ */
+
+import * as THREE from 'three';
+import { isBurrowed } from './EnemyAI.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * Per-tick input to a behaviour
+ * @typedef {Object} WeaponTickContext
+ * @property {string} key - Weapon key
+ * @property {number} level - Weapon level (1+)
+ * @property {Object<string, number>} stats - Stats at this level with the player's multipliers applied
+ * @property {THREE.Vector3} playerPos - Player position this tick
+ */
+
+/**
+ * @typedef {Object} WeaponBehavior
+ * @property {function(Game, WeaponTickContext, number): void} update - Called every tick with dt
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Advance a weapon's timer; true (and the timer resets) once it reaches the period
+ * @param {Game} game
+ * @param {string} key - Weapon key (timer slot)
+ * @param {number} dt
+ * @param {number} period - Seconds
+ * @returns {boolean}
+ */
+function timerElapsed(game, key, dt, period) {
+    game.weaponTimers[key] = (game.weaponTimers[key] || 0) + dt;
+    if (game.weaponTimers[key] < period) return false;
+    game.weaponTimers[key] = 0;
+    return true;
+}
+
+/**
+ * Nearest candidate within range, skipping burrowed enemies
+ * @param {Object[]} candidates - Objects with a mesh
+ * @param {THREE.Vector3} from
+ * @param {number} range
+ * @returns {Object|null}
+ */
+function nearestWithin(candidates, from, range) {
+    let nearest = null;
+    let minDist = Infinity;
+    for (const candidate of candidates) {
+        if (isBurrowed(candidate)) continue;
+        const dist = from.distanceTo(candidate.mesh.position);
+        if (dist < range && dist < minDist) {
+            minDist = dist;
+            nearest = candidate;
+        }
+    }
+    return nearest;
+}
+
+// ============================================================================
+// BEHAVIOURS
+// ============================================================================
+
+/**
+ * Zap the nearest target in range (Lightning Rod)
+ * @type {WeaponBehavior}
+ */
+const zap = {
+    update(game, { key, stats, playerPos }, dt) {
+        if (!timerElapsed(game, key, dt, stats.cooldown)) return;
+        const closest = nearestWithin(game.getValidTargets(playerPos, stats.range), playerPos, stats.range);
+        if (closest) {
+            game.damageTarget(closest, stats.damage, key);
+            game.particleSystem.emit(closest.mesh.position, 0x00ffff, 10);
+        }
+    }
+};
+
+/**
+ * Release ghosts that fly at the nearest enemy and explode (Being Ghosted)
+ * @type {WeaponBehavior}
+ */
+const ghostBomber = {
+    update(game, { key, stats }, dt) {
+        if (timerElapsed(game, key, dt, stats.cooldown)) game.spawnGhost();
+
+        for (let i = game.ghosts.length - 1; i >= 0; i--) {
+            const ghost = game.ghosts[i];
+            ghost.lifetime += dt;
+
+            const nearest = game.nearestEnemy(ghost.mesh.position, stats.range);
+            const minDist = nearest ? ghost.mesh.position.distanceTo(nearest.mesh.position) : Infinity;
+
+            if (nearest && minDist < stats.range) {
+                const dir = new THREE.Vector3().subVectors(nearest.mesh.position, ghost.mesh.position).normalize();
+                ghost.mesh.position.addScaledVector(dir, stats.speed * dt);
+
+                if (minDist < stats.triggerRange) {
+                    for (const enemy of game.enemiesNear(ghost.mesh.position, stats.blastRadius)) {
+                        if (ghost.mesh.position.distanceTo(enemy.mesh.position) < stats.blastRadius) {
+                            game.damageEnemy(enemy, stats.damage, key);
+                        }
+                    }
+                    game.particleSystem.emit(ghost.mesh.position, 0x00ff00, 20);
+                    game.scene.remove(ghost.mesh);
+                    game.ghosts.splice(i, 1);
+                    continue;
+                }
+            }
+
+            ghost.mesh.rotation.y += dt * 3;
+
+            if (ghost.lifetime > stats.duration) {
+                game.scene.remove(ghost.mesh);
+                game.ghosts.splice(i, 1);
+            }
+        }
+    }
+};
+
+/**
+ * Fire a volley of fireballs at the nearest enemy
+ * @type {WeaponBehavior}
+ */
+const fireball = {
+    update(game, { key, stats }, dt) {
+        if (timerElapsed(game, key, dt, stats.cooldown)) game.shootFireball(stats);
+    }
+};
+
+/**
+ * Launch seeking missiles
+ * @type {WeaponBehavior}
+ */
+const missile = {
+    update(game, { key, stats }, dt) {
+        if (timerElapsed(game, key, dt, stats.cooldown)) game.shootMissile(stats);
+    }
+};
+
+/**
+ * Throw bananas that come back; with a `projectiles` stat they go out in a
+ * full ring (Bananerang, Banana Swarm)
+ * @type {WeaponBehavior}
+ */
+const boomerang = {
+    update(game, { key, stats }, dt) {
+        if (timerElapsed(game, key, dt, stats.cooldown)) game.shootBananerang(stats, key);
+    }
+};
+
+/**
+ * Call meteors down on random enemies in range; each one blasts the area it
+ * lands in, weaker towards the edge (Meteor Storm)
+ * @type {WeaponBehavior}
+ */
+const meteorStorm = {
+    update(game, { key, stats, playerPos }, dt) {
+        if (timerElapsed(game, key, dt, stats.cooldown)) {
+            const inRange = game.enemiesNear(playerPos, stats.range).filter(e => !isBurrowed(e) && e.mesh.position.distanceTo(playerPos) < stats.range);
+            for (let i = 0; i < stats.projectiles && inRange.length > 0; i++) {
+                const target = inRange[Math.floor(game.roll('combat') * inRange.length)].mesh.position;
+                game.spawnMeteor(new THREE.Vector3(target.x, game.getTerrainHeight(target.x, target.z), target.z), stats);
+            }
+        }
+
+        for (let i = game.meteors.length - 1; i >= 0; i--) {
+            const meteor = game.meteors[i];
+            meteor.mesh.position.addScaledVector(meteor.velocity, dt);
+            meteor.mesh.rotation.x += dt * 4;
+            if (meteor.mesh.position.y > meteor.target.y) continue;
+
+            for (const enemy of game.enemiesNear(meteor.target, meteor.area)) {
+                const dist = enemy.mesh.position.distanceTo(meteor.target);
+                if (dist <= meteor.area) {
+                    game.applyWeaponStatus(enemy, key, stats);
+                    game.damageEnemy(enemy, meteor.damage * Math.max(0.4, 1 - dist / meteor.area), key);
+                }
+            }
+            game.particleSystem.emit(meteor.target, 0xff4400, 25);
+            game.playSound('boom', 0.8 + game.roll('fx') * 0.3, 0.3);
+            game.screenShake = Math.max(game.screenShake, 0.3);
+            game.scene.remove(meteor.mesh);
+            game.scene.remove(meteor.marker);
+            game.meteors.splice(i, 1);
+        }
+    }
+};
+
+/**
+ * Zap the nearest target in range, then arc to the nearest unhit target
+ * within `chainRange` up to `bounces` times, losing `falloff` per hop (Chain Storm)
+ * @type {WeaponBehavior}
+ */
+const chainStorm = {
+    update(game, { key, stats, playerPos }, dt) {
+        for (let i = game.lightningArcs.length - 1; i >= 0; i--) {
+            const arc = game.lightningArcs[i];
+            arc.life -= dt;
+            arc.mesh.material.opacity = Math.max(0, arc.life / arc.maxLife);
+            if (arc.life <= 0) {
+                game.scene.remove(arc.mesh);
+                game.lightningArcs.splice(i, 1);
+            }
+        }
+        if (!timerElapsed(game, key, dt, stats.cooldown)) return;
+
+        // Everything the chain could reach: first zap plus every hop at full length
+        const targets = game.getValidTargets(playerPos, stats.range + stats.chainRange * stats.bounces);
+        let current = nearestWithin(targets, playerPos, stats.range);
+        if (!current) return;
+        const hit = new Set();
+        const points = [playerPos.clone()];
+        let damage = stats.damage;
+        for (let hop = 0; current && hop <= stats.bounces; hop++) {
+            game.damageTarget(current, damage, key);
+            game.particleSystem.emit(current.mesh.position, 0x99ddff, 8);
+            points.push(current.mesh.position.clone());
+            hit.add(current);
+            damage *= stats.falloff;
+            current = nearestWithin(targets.filter(t => !hit.has(t)), current.mesh.position, stats.chainRange);
+        }
+        game.spawnLightningArc(points);
+    }
+};
+
+/**
+ * Blades circling the player, damaging whatever they pass through (Spinning Blade)
+ * @type {WeaponBehavior}
+ */
+const orbit = {
+    update(game, { key, stats, playerPos }, dt) {
+        while (game.orbitingBlades.length < stats.projectiles) {
+            game.orbitingBlades.push({
+                mesh: game.createOrbitingBlade(),
+                angle: (Math.PI * 2 / stats.projectiles) * game.orbitingBlades.length
+            });
+        }
+
+        for (const blade of game.orbitingBlades) {
+            blade.angle += dt * stats.spinSpeed;
+            blade.mesh.position.set(
+                playerPos.x + Math.cos(blade.angle) * stats.radius,
+                playerPos.y,
+                playerPos.z + Math.sin(blade.angle) * stats.radius
+            );
+            blade.mesh.rotation.y = blade.angle + Math.PI / 2;
+
+            for (const enemy of game.enemiesNear(blade.mesh.position, stats.hitRadius)) {
+                if (blade.mesh.position.distanceTo(enemy.mesh.position) < stats.hitRadius) {
+                    game.damageEnemy(enemy, stats.damage * dt, key);
+                    game.particleSystem.emit(enemy.mesh.position, 0xff0000, 6);
+                    game.playSound('bonk', 1.0 + game.roll('fx') * 0.2, 0.12);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Periodic spike volley with distance falloff, plus a standing ring visual (Spike Ring)
+ * @type {WeaponBehavior}
+ */
+const spikeRing = {
+    update(game, { key, stats, playerPos }, dt) {
+        if (timerElapsed(game, key, dt, stats.interval)) {
+            game.spawnSpikeRing(stats.area, stats.projectiles, stats.damage);
+            game.particleSystem.emit(playerPos.clone(), 0xffffff, 10);
+        }
+        game.updateAuraVisual(key, game.weaponDef(key).color);
+        game.updateAuraScale(key, stats.auraArea);
+    }
+};
+
+/**
+ * Damage field around the player that ticks every interval and inflicts the
+ * weapon's status on everything inside (Poison Mist, Ice Aura)
+ * @type {WeaponBehavior}
+ */
+const aura = {
+    update(game, { key, stats, playerPos }, dt) {
+        game.updateAuraVisual(key, game.weaponDef(key).color);
+        game.updateAuraScale(key, stats.area);
+        if (!timerElapsed(game, key, dt, stats.interval)) return;
+
+        const dmg = stats.damage * stats.interval;
+        for (const enemy of game.enemiesNear(playerPos, stats.area)) {
+            if (enemy.mesh.position.distanceTo(playerPos) > stats.area) continue;
+            game.applyWeaponStatus(enemy, key, stats);
+            game.damageEnemy(enemy, dmg, key);
+        }
+    }
+};
+
+/**
+ * Radial blast from the player, weaker towards the edge (Nova Blast)
+ * @type {WeaponBehavior}
+ */
+const nova = {
+    update(game, { key, stats, playerPos }, dt) {
+        if (!timerElapsed(game, key, dt, stats.cooldown)) return;
+        game.spawnSlash(playerPos.clone());
+        for (const enemy of game.enemiesNear(playerPos, stats.area)) {
+            const dist = enemy.mesh.position.distanceTo(playerPos);
+            if (dist <= stats.area) {
+                game.applyWeaponStatus(enemy, key, stats);
+                game.damageEnemy(enemy, stats.damage * (1 - dist / stats.area), key);
+            }
+        }
+    }
+};
+
+/**
+ * Summon friendly ghosts around the player, occasionally a rare variant (Spooky Bois)
+ * @type {WeaponBehavior}
+ */
+const summon = {
+    update(game, { key, level, stats, playerPos }, dt) {
+        if (!timerElapsed(game, key, dt, stats.cooldown)) return;
+
+        let type = 'normal';
+        if (level >= stats.deadlyLevel && game.roll('combat') < stats.deadlyChance) type = 'deadly';
+        if (level >= stats.bobLevel && game.roll('combat') < stats.bobChance) type = 'bob';
+
+        const angle = game.roll('combat') * Math.PI * 2;
+        const dist = stats.spawnDistance + game.roll('combat') * stats.spawnSpread;
+        const sx = playerPos.x + Math.cos(angle) * dist;
+        const sz = playerPos.z + Math.sin(angle) * dist;
+        const position = new THREE.Vector3(sx, game.getTerrainHeight(sx, sz) + 2.0, sz);
+
+        const damage = type === 'bob' ? stats.bobDamage : (type === 'deadly' ? stats.deadlyDamage : stats.damage);
+        const life = type === 'bob' ? stats.bobDuration : (type === 'deadly' ? stats.deadlyDuration : stats.duration);
+        game.spawnSpookyGhost(type, position, damage, life, key);
+    }
+};
+
+/**
+ * Turrets orbiting the player that shoot the nearest enemy (Mini Turret)
+ * @type {WeaponBehavior}
+ */
+const turret = {
+    update(game, { key, stats, playerPos }, dt) {
+        while (game.turrets.length < stats.projectiles) {
+            const mesh = game.createTurretMesh();
+            mesh.position.copy(playerPos);
+            game.turrets.push({
+                mesh,
+                angle: (Math.PI * 2 / stats.projectiles) * game.turrets.length,
+                fireTimer: 0
+            });
+        }
+
+        for (const bot of game.turrets) {
+            bot.angle += dt * stats.spinSpeed;
+            bot.mesh.position.set(
+                playerPos.x + Math.cos(bot.angle) * stats.radius,
+                playerPos.y + 0.8,
+                playerPos.z + Math.sin(bot.angle) * stats.radius
+            );
+
+            bot.fireTimer += dt;
+            if (bot.fireTimer >= stats.cooldown && game.enemies.length > 0) {
+                bot.fireTimer = 0;
+                const nearest = nearestWithin(game.enemiesNear(bot.mesh.position, stats.range), bot.mesh.position, stats.range);
+                if (nearest) game.fireTurretShot(bot, nearest, stats, key);
+            }
+        }
+    }
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** @type {Map<string, WeaponBehavior>} */
+const behaviors = new Map(Object.entries({
+    zap, ghostBomber, fireball, missile, boomerang, orbit, spikeRing, aura, nova, summon, turret,
+    meteorStorm, chainStorm
+}));
+
+/**
+ * Register (or replace) a behaviour so config entries can name it
+ * @param {string} id - Value used in WEAPONS[key].behavior
+ * @param {WeaponBehavior} behavior
+ */
+export function registerWeaponBehavior(id, behavior) {
+    if (!behavior || typeof behavior.update !== 'function') {
+        throw new Error(`Weapon behaviour "${id}" needs an update function`);
+    }
+    behaviors.set(id, behavior);
+}
+
+/**
+ * Look up a behaviour by id
+ * @param {string} id
+ * @returns {WeaponBehavior}
+ * @throws {Error} If nothing is registered under the id
+ */
+export function getWeaponBehavior(id) {
+    const behavior = behaviors.get(id);
+    if (!behavior) {
+        throw new Error(`Unknown weapon behaviour: ${id}`);
+    }
+    return behavior;
+}
+
+/**
+ * @returns {string[]} Registered behaviour ids
+ */
+export function getWeaponBehaviorIds() {
+    return [...behaviors.keys()];
+}
@@ -36,40 +36,242 @@ export const RARITIES = Object.freeze({
 export const AURA_WEAPONS = Object.freeze(['ICE_AURA', 'SPIKE_RING', 'POISON_MIST']);
 
 /**
- * Weapon definition
+ * A weapon stat at a given level: either a constant, or a curve
+ * `clamp(base + perLevel * level, min, max)`. With `every`, the level term
+ * only grows every `every` levels (`perLevel * floor(level / every)`).
+ * @typedef {number|{base: number, perLevel?: number, every?: number, min?: number, max?: number}} WeaponStatCurve
+ */
+
+/**
+ * Weapon definition. Stats are read by the weapon's behaviour (see
+ * WeaponBehaviors.js), the level-up cards, the pause overlay and the Forge.
+ * Before use, `damage` and `statusPotency` are multiplied by the player's
+ * damage stat, `area` and `auraArea` by Big Aura, and `cooldown` by
+ * `characterCooldown` and divided by fire rate; `interval` is a fixed period
+ * that haste does not shorten. A weapon with a `status` inflicts it on hit
+ * for `statusDuration` seconds, with `statusPotency` damage per second per
+ * stack for damage-over-time effects (see StatusEffects.js).
  * @typedef {Object} WeaponDef
  * @property {string} name - Display name
  * @property {string} desc - Description text
  * @property {string} type - Always 'weapon'
+ * @property {string|null} behavior - Behaviour id run by Game.updateWeapons, or null for
+ *   character weapons fired by the attack input (knightSlash, throwBone) or the character aura
+ * @property {Object<string, WeaponStatCurve>} stats - Tuning per level
+ * @property {Object<string, number>} [characterCooldown] - Cooldown multiplier per character key
+ * @property {Object<string, string>} [statLabels] - Display label overrides per stat
+ * @property {string} [element] - Damage element ('fire', 'ice', 'poison', 'shock'), for status interactions
+ * @property {string} [status] - STATUS_EFFECTS id inflicted on hit
+ * @property {number} [color] - Aura colour for aura behaviours
+ * @property {number} [tickOrder=0] - Weapons with a higher value update later in the tick
  */
 
-/** @type {Object<string, WeaponDef>} */
+/**
+ * Weapons by key. Order matters: level-up offers pick from this table in
+ * order and weapons update in this order, so append new entries to keep
+ * seeded runs and replays stable.
+ * @type {Object<string, WeaponDef>}
+ */
 export const WEAPONS = Object.freeze({
     // Standard weapons
-    LIGHTNING:    { name: "Lightning Rod",   desc: "Auto-zaps nearby enemies", type: 'weapon' },
-    GHOST:        { name: "Being Ghosted",   desc: "Spawns friendly ghost bombers", type: 'weapon' },
-    FIREBALL:     { name: "Fireball",        desc: "Shoots explosive fireballs", type: 'weapon' },
-    SWORD:        { name: "Spinning Blade",  desc: "Orbiting blade damages enemies", type: 'weapon' },
-    MISSILE:      { name: "Slutty Missiles", desc: "Launches up, then aggressively seeks enemies", type: 'weapon' },
+    LIGHTNING: {
+        name: "Lightning Rod", desc: "Auto-zaps nearby enemies", type: 'weapon', behavior: 'zap', element: 'shock',
+        stats: { cooldown: { base: 2, perLevel: -0.3, min: 0.5 }, range: 12, damage: { base: 0, perLevel: 0.5 } },
+        characterCooldown: { BLITZ: 0.7 }
+    },
+    GHOST: {
+        name: "Being Ghosted", desc: "Spawns friendly ghost bombers", type: 'weapon', behavior: 'ghostBomber',
+        stats: {
+            cooldown: { base: 1.5, perLevel: -0.1, min: 0.5 }, damage: { base: 0, perLevel: 4.0 },
+            range: 35, speed: 15, triggerRange: 1.5, blastRadius: 3.5, duration: 10
+        }
+    },
+    FIREBALL: {
+        name: "Fireball", desc: "Shoots explosive fireballs that set enemies alight", type: 'weapon', behavior: 'fireball',
+        element: 'fire', status: 'BURN',
+        stats: {
+            cooldown: { base: 1.6, perLevel: -0.2, min: 0.4 }, damage: 1.5, speed: 30, duration: 3,
+            statusDuration: 2, statusPotency: { base: 0.2, perLevel: 0.05 }
+        },
+        statLabels: { statusDuration: 'Burn', statusPotency: 'Burn DPS' },
+        characterCooldown: { FOX: 0.6 }
+    },
+    SWORD: {
+        name: "Spinning Blade", desc: "Orbiting blade damages enemies", type: 'weapon', behavior: 'orbit',
+        stats: { projectiles: { base: 0, perLevel: 1 }, damage: 5.0, radius: 2.5, spinSpeed: 2, hitRadius: 1.0 },
+        statLabels: { damage: 'DPS', projectiles: 'Blades' }
+    },
+    MISSILE: {
+        name: "Slutty Missiles", desc: "Launches up, then aggressively seeks enemies", type: 'weapon', behavior: 'missile',
+        stats: { cooldown: { base: 2.4, perLevel: -0.3, min: 0.7 }, damage: 1.0, speed: 24, duration: 5 }
+    },
 
     // Area weapons
-    SPIKE_RING:   { name: "Spike Ring",      desc: "Pulsing ring of spikes around you", type: 'weapon' },
-    POISON_MIST:  { name: "Poison Mist",     desc: "Slowly damages nearby enemies", type: 'weapon' },
-    ICE_AURA:     { name: "Ice Aura",        desc: "Chills and slows enemies close to you", type: 'weapon' },
+    SPIKE_RING: {
+        name: "Spike Ring", desc: "Pulsing ring of spikes around you", type: 'weapon', behavior: 'spikeRing', color: 0x666666,
+        stats: {
+            interval: { base: 4.0, perLevel: -0.45, min: 1.4 }, area: { base: 3.0, perLevel: 0.9 },
+            damage: { base: 0, perLevel: 1.2 }, projectiles: { base: 12, perLevel: 2 }, auraArea: { base: 3.0, perLevel: 0.6 }
+        },
+        statLabels: { projectiles: 'Spikes' }
+    },
+    POISON_MIST: {
+        name: "Poison Mist", desc: "Slowly damages and poisons nearby enemies", type: 'weapon', behavior: 'aura', color: 0x00ff00,
+        element: 'poison', status: 'POISON',
+        stats: {
+            interval: 0.5, area: { base: 2.7, perLevel: 0.4 }, damage: { base: 0, perLevel: 2.8 },
+            statusDuration: 2, statusPotency: { base: 0, perLevel: 0.4 }
+        },
+        statLabels: { damage: 'DPS', statusDuration: 'Poison', statusPotency: 'Poison DPS' }
+    },
+    ICE_AURA: {
+        name: "Ice Aura", desc: "Chills and slows enemies close to you", type: 'weapon', behavior: 'aura', color: 0x00ffff,
+        element: 'ice', status: 'CHILL',
+        stats: { interval: 0.8, area: { base: 3.0, perLevel: 0.5 }, damage: { base: 0, perLevel: 1.6 }, statusDuration: 0.6 },
+        statLabels: { damage: 'DPS', statusDuration: 'Chill' }
+    },
 
     // Utility weapons
-    MINI_TURRET:  { name: "Mini Turret",     desc: "Little bot that auto-shoots nearby foes", type: 'weapon' },
-    NOVA_BLAST:   { name: "Nova Blast",      desc: "Occasional radial explosion from your position", type: 'weapon' },
-    BANANERANG:   { name: "Bananerang",      desc: "Thrown banana that returns to you", type: 'weapon' },
-    SUMMON_GHOST: { name: "Spooky Bois",     desc: "Summons friendly ghosts to attack enemies", type: 'weapon' },
+    MINI_TURRET: {
+        name: "Mini Turret", desc: "Little bot that auto-shoots nearby foes", type: 'weapon', behavior: 'turret',
+        stats: {
+            projectiles: { base: 1, perLevel: 1, every: 2, max: 3 }, cooldown: { base: 1.2, perLevel: -0.15, min: 0.4 },
+            range: 14, damage: { base: 0, perLevel: 0.9 }, radius: 2.2, spinSpeed: 1.5, speed: 26, duration: 3
+        },
+        statLabels: { projectiles: 'Turrets' },
+        // Shoots after the other weapons have hit, as it always has
+        tickOrder: 1
+    },
+    NOVA_BLAST: {
+        name: "Nova Blast", desc: "Occasional radial explosion from your position that stuns", type: 'weapon', behavior: 'nova',
+        status: 'STUN',
+        stats: {
+            cooldown: { base: 6.0, perLevel: -0.7, min: 2.5 }, area: { base: 4.0, perLevel: 0.8 }, damage: { base: 0, perLevel: 2.5 },
+            statusDuration: 0.5
+        },
+        statLabels: { statusDuration: 'Stun' }
+    },
+    BANANERANG: {
+        name: "Bananerang", desc: "Thrown banana that returns to you", type: 'weapon', behavior: 'boomerang',
+        stats: { cooldown: { base: 1.8, perLevel: -0.2, min: 0.6 }, damage: { base: 0, perLevel: 1.5 }, speed: 22, duration: 3 },
+        characterCooldown: { MONKE: 0.6 }
+    },
+    SUMMON_GHOST: {
+        name: "Spooky Bois", desc: "Summons friendly ghosts to attack enemies", type: 'weapon', behavior: 'summon',
+        stats: {
+            cooldown: { base: 3.5, perLevel: -0.15, min: 0.5 }, damage: { base: 0, perLevel: 8 }, duration: 6,
+            spawnDistance: 10, spawnSpread: 5,
+            // Rare variants: a deadly red ghost from level 5, a Mini Bob from level 12
+            deadlyLevel: 5, deadlyChance: 0.02, deadlyDamage: { base: 0, perLevel: 20 }, deadlyDuration: 10,
+            bobLevel: 12, bobChance: 0.01, bobDamage: { base: 0, perLevel: 50 }, bobDuration: 45
+        }
+    },
 
     // Character-specific intrinsic weapons (upgradeable)
-    KNIGHT_SWORD: { name: "Knight Sword",    desc: "Standard slash. Upgrades size & damage.", type: 'weapon' },
-    BONE:         { name: "Bone Throw",      desc: "Ricocheting bone. Upgrades bounces & damage.", type: 'weapon' },
-    CHAD_AURA:    { name: "Chad Aura",       desc: "Damage field. Upgrades radius & DPS.", type: 'weapon' },
-    GIGA_SWORD:   { name: "Giga Sword",      desc: "Massive slash. Upgrades area & power.", type: 'weapon' }
+    KNIGHT_SWORD: {
+        name: "Knight Sword", desc: "Standard slash. Upgrades size & damage.", type: 'weapon', behavior: null,
+        stats: { interval: { base: 0.5, perLevel: -0.02, min: 0.25 }, range: { base: 5.0, perLevel: 0.3 }, damage: { base: 0, perLevel: 3.0 } }
+    },
+    BONE: {
+        name: "Bone Throw", desc: "Ricocheting bone. Upgrades bounces & damage.", type: 'weapon', behavior: null,
+        stats: {
+            damage: { base: 0, perLevel: 1.1 }, bounces: { base: 2, perLevel: 1, every: 2 },
+            duration: { base: 0.8, perLevel: 0.1 }, speed: 30
+        }
+    },
+    CHAD_AURA: {
+        name: "Chad Aura", desc: "Damage field. Upgrades radius & DPS.", type: 'weapon', behavior: null,
+        // Multipliers on the character's auraRadius / auraDps
+        stats: { area: { base: 1, perLevel: 0.2 }, damage: { base: 0, perLevel: 2.5 } },
+        statLabels: { area: 'Radius x', damage: 'DPS x' }
+    },
+    GIGA_SWORD: {
+        name: "Giga Sword", desc: "Massive slash. Upgrades area & power.", type: 'weapon', behavior: null,
+        stats: { interval: { base: 0.65, perLevel: -0.02, min: 0.25 }, range: { base: 7.0, perLevel: 0.3 }, damage: { base: 0, perLevel: 5.0 } }
+    },
+
+    // Evolved weapons (only from WEAPON_EVOLUTIONS, never offered directly)
+    METEOR_STORM: {
+        name: "Meteor Storm", desc: "Calls down meteors that crater everything around them", type: 'weapon', behavior: 'meteorStorm',
+        element: 'fire', status: 'BURN',
+        stats: {
+            cooldown: { base: 3.2, perLevel: -0.1, min: 1.2 }, damage: { base: 4, perLevel: 1.2 },
+            area: { base: 3.5, perLevel: 0.15 }, projectiles: { base: 3, perLevel: 1, every: 3, max: 8 },
+            range: 22, speed: 28, height: 18, statusDuration: 3, statusPotency: { base: 0.5, perLevel: 0.1 }
+        },
+        statLabels: { projectiles: 'Meteors', statusDuration: 'Burn', statusPotency: 'Burn DPS' },
+        characterCooldown: { FOX: 0.6 }
+    },
+    CHAIN_STORM: {
+        name: "Chain Storm", desc: "Lightning that arcs from enemy to enemy", type: 'weapon', behavior: 'chainStorm', element: 'shock',
+        stats: {
+            cooldown: { base: 1.4, perLevel: -0.08, min: 0.4 }, range: 14, damage: { base: 2, perLevel: 0.8 },
+            bounces: { base: 3, perLevel: 1, every: 2, max: 12 }, chainRange: 7, falloff: 0.85
+        },
+        statLabels: { bounces: 'Chains' },
+        characterCooldown: { BLITZ: 0.7 }
+    },
+    BANANA_SWARM: {
+        name: "Banana Swarm", desc: "Throws a ring of bananerangs all around you", type: 'weapon', behavior: 'boomerang',
+        stats: {
+            cooldown: { base: 2.0, perLevel: -0.1, min: 0.8 }, damage: { base: 2, perLevel: 1.6 },
+            projectiles: { base: 4, perLevel: 1, every: 2, max: 12 }, speed: 22, duration: 3, size: 1.5
+        },
+        statLabels: { projectiles: 'Bananas' },
+        characterCooldown: { MONKE: 0.6 }
+    }
 });
 
+/**
+ * Weapons run by Game.updateWeapons, in update order
+ * @type {ReadonlyArray<string>}
+ */
+export const WEAPON_TICK_ORDER = Object.freeze(
+    Object.keys(WEAPONS)
+        .filter(key => WEAPONS[key].behavior)
+        .sort((a, b) => (WEAPONS[a].tickOrder || 0) - (WEAPONS[b].tickOrder || 0))
+);
+
+/** Level a weapon must reach before its evolution is offered */
+export const WEAPON_EVOLUTION_LEVEL = 8;
+
+/**
+ * Weapon evolution recipe: a weapon at WEAPON_EVOLUTION_LEVEL plus a rune
+ * turns into the evolved weapon, which takes over its slot and level
+ * @typedef {Object} WeaponEvolution
+ * @property {string} weapon - Base weapon key
+ * @property {string} rune - Rune key that must be held
+ * @property {number} [runeLevel=1] - Rune level required
+ */
+
+/**
+ * Evolution recipes by evolved weapon key. Offered on level-up (in this
+ * order) once the conditions are met.
+ * @type {Object<string, WeaponEvolution>}
+ */
+export const WEAPON_EVOLUTIONS = Object.freeze({
+    METEOR_STORM: Object.freeze({ weapon: 'FIREBALL', rune: 'BIG_AURA' }),
+    CHAIN_STORM: Object.freeze({ weapon: 'LIGHTNING', rune: 'FIRE_RATE' }),
+    BANANA_SWARM: Object.freeze({ weapon: 'BANANERANG', rune: 'LANKY_HANDS' })
+});
+
+/**
+ * Stats shown to the player (cards, pause overlay, Forge), in display order
+ * @type {ReadonlyArray<{key: string, label: string, unit: string}>}
+ */
+export const WEAPON_STAT_DISPLAY = Object.freeze([
+    Object.freeze({ key: 'damage', label: 'Damage', unit: '' }),
+    Object.freeze({ key: 'cooldown', label: 'Cooldown', unit: 's' }),
+    Object.freeze({ key: 'interval', label: 'Every', unit: 's' }),
+    Object.freeze({ key: 'range', label: 'Range', unit: '' }),
+    Object.freeze({ key: 'area', label: 'Radius', unit: '' }),
+    Object.freeze({ key: 'projectiles', label: 'Count', unit: '' }),
+    Object.freeze({ key: 'bounces', label: 'Bounces', unit: '' }),
+    Object.freeze({ key: 'duration', label: 'Duration', unit: 's' }),
+    Object.freeze({ key: 'statusDuration', label: 'Effect', unit: 's' }),
+    Object.freeze({ key: 'statusPotency', label: 'Effect DPS', unit: '' })
+]);
+
 // ============================================================================
 // RUNE DEFINITIONS
 // ============================================================================
@@ -83,6 +285,7 @@ export const WEAPONS = Object.freeze({
  * @property {string} stat - The stat this rune affects
  * @property {number} [mult] - Multiplicative bonus
  * @property {number} [add] - Additive bonus
+ * @property {boolean} [metaUnlock] - Kept out of the loot pool until bought in the meta shop
  */
 
 /** @type {Object<string, RuneDef>} */
@@ -99,7 +302,12 @@ export const RUNES = Object.freeze({
     REGEN_BONE:  { name: "Regen Bone",  desc: "Slowly regenerate health",      type: 'rune', stat: 'regen',      add: 1.1 },
     LAVA_BOOTS:  { name: "Lava Boots",  desc: "Reduce damage from lava",       type: 'rune', stat: 'lavaResist', add: 0.2 },
     WISDOM:      { name: "Wisdom Rune", desc: "Gain more XP from pickups",     type: 'rune', stat: 'xpGain',     mult: 1.2 },
-    BIG_AURA:    { name: "Big Aura",    desc: "Increase area effects",         type: 'rune', stat: 'areaMult',   mult: 1.2 }
+    BIG_AURA:    { name: "Big Aura",    desc: "Increase area effects",         type: 'rune', stat: 'areaMult',   mult: 1.2 },
+    SERRATED:    { name: "Serrated Edge", desc: "Hits can make enemies bleed", type: 'rune', stat: 'bleedChance', add: 0.1 },
+
+    // Meta shop unlocks
+    LUCKY_CHARM:  { name: "Lucky Charm",  desc: "Better rarity on chests and shrines", type: 'rune', stat: 'luck',       add: 0.1, metaUnlock: true },
+    VAMPIRE_FANG: { name: "Vampire Fang", desc: "Heal a little on every kill",         type: 'rune', stat: 'vampirism', add: 0.5, metaUnlock: true }
 });
 
 // ============================================================================
@@ -229,6 +437,186 @@ export const CHARACTERS = Object.freeze({
     }
 });
 
+// ============================================================================
+// ENEMY DEFINITIONS
+// ============================================================================
+
+/**
+ * Movement/attack behaviours understood by Game.updateEnemies
+ * @readonly
+ * @enum {string}
+ */
+export const ENEMY_BEHAVIORS = Object.freeze({
+    CHASE: 'chase',        // Walk at the player and melee on contact
+    KAMIKAZE: 'kamikaze',  // Walk at the player, wind up when close, then explode
+    KITE: 'kite',          // Keep at range and shoot, back off when the player closes in
+    SUPPORT: 'support',    // Hang back and heal / empower nearby enemies
+    BURROW: 'burrow',      // Tunnel under the player and erupt
+    CHARGE: 'charge',      // Wind up, then dash in a straight line
+    GUARD: 'guard'         // Chase behind a shield that blocks projectiles from the front (see EnemyGuardDef)
+});
+
+/**
+ * Kamikaze explosion tuning
+ * @typedef {Object} EnemyExplosionDef
+ * @property {number} triggerRange - Distance to the player that starts the wind-up
+ * @property {number} radius - Blast radius
+ * @property {number} fuse - Wind-up duration (seconds)
+ * @property {number} knockback - Horizontal knockback applied to the player
+ * @property {EnemyStatusHit} [status] - Status effect the blast inflicts on the player
+ */
+
+/**
+ * Kiting shooter tuning (distances from the player)
+ * @typedef {Object} EnemyRangedDef
+ * @property {number} range - Starts shooting inside this
+ * @property {number} keepAway - Backs off until at least this far
+ * @property {number} fleeRange - Backs off when the player gets this close
+ * @property {number} windup - Seconds drawing before each shot
+ * @property {number} cooldown - Seconds between shots
+ * @property {number} recover - Seconds standing after a shot
+ * @property {number} speed - Projectile speed
+ * @property {number} life - Projectile lifetime (seconds)
+ */
+
+/**
+ * Support caster tuning
+ * @typedef {Object} EnemySupportDef
+ * @property {number} radius - Allies within this are healed and buffed
+ * @property {number} keepAway - Stays about this far from the player
+ * @property {number} fleeRange - Backs off when the player gets this close
+ * @property {number} cast - Seconds casting before each pulse
+ * @property {number} cooldown - Seconds between pulses
+ * @property {number} recover - Seconds standing after a pulse
+ * @property {number} heal - Fraction of each ally's max HP restored
+ * @property {EnemyStatusHit} status - Buff put on allies (and itself)
+ */
+
+/**
+ * Burrower tuning
+ * @typedef {Object} EnemyBurrowDef
+ * @property {number} range - Digs in when the player is this close
+ * @property {number} speedMult - Tunnelling speed relative to walking
+ * @property {number} maxTime - Surfaces after this long underground even if not under the player
+ * @property {number} warn - Seconds between the ground telegraph and the eruption
+ * @property {number} radius - Eruption radius
+ * @property {number} knockup - Upwards velocity given to the player
+ * @property {number} recover - Seconds dazed after erupting
+ * @property {number} cooldown - Seconds before it can dig again
+ */
+
+/**
+ * Charger tuning
+ * @typedef {Object} EnemyChargeDef
+ * @property {number} range - Starts a charge when the player is this close
+ * @property {number} windup - Seconds telegraphing before the dash
+ * @property {number} speed - Dash speed (units/second)
+ * @property {number} distance - Dash length
+ * @property {number} width - Width of the telegraphed lane
+ * @property {number} knockback - Horizontal knockback on the player
+ * @property {number} recover - Seconds dazed after the dash
+ * @property {number} cooldown - Seconds between charges
+ */
+
+/**
+ * Shield tuning
+ * Shield tuning. The shield stops shots that fly into it (gun bullets, fireballs,
+ * bones, missiles, bananerangs, turret shots); summoned ghosts, lightning, area
+ * damage (auras, novas, spike rings, meteors, splash from a fireball that hit
+ * something else), orbiting blades and sword slashes get through.
+ * @typedef {Object} EnemyGuardDef
+ * @property {number} arc - Half-angle (radians) of the front that blocks projectiles
+ */
+
+/**
+ * Status effect an enemy attack inflicts on the player
+ * @typedef {Object} EnemyStatusHit
+ * @property {string} id - STATUS_EFFECTS id
+ * @property {number} duration - Seconds
+ * @property {number} [potency] - Damage per second per stack (damage over time only)
+ */
+
+/**
+ * Regular (non-boss) enemy definition
+ * @typedef {Object} EnemyDef
+ * @property {string} name - Display name
+ * @property {number} hp - Base HP before level and tier scaling
+ * @property {number} speed - Chase speed (units/second)
+ * @property {number} damage - Contact hit damage (explosion damage for kamikaze, shot damage for kite, eruption / dash damage for burrow / charge)
+ * @property {number} damagePerLevel - Extra contact damage per player level
+ * @property {number} size - Collision radius; also lifts the model off the ground
+ * @property {number} xp - Base XP orbs dropped on death (player level adds more)
+ * @property {number} coins - Base coins dropped on death (player level adds more)
+ * @property {string} behavior - One of ENEMY_BEHAVIORS
+ * @property {string} model - Model builder id (see EnemyModels.js)
+ * @property {number} minTier - First endless tier this enemy spawns in
+ * @property {number} weight - Relative spawn weight among available enemies
+ * @property {EnemyExplosionDef} [explosion] - Required for kamikaze enemies
+ * @property {EnemyRangedDef} [ranged] - Required for kite enemies
+ * @property {EnemySupportDef} [support] - Required for support enemies
+ * @property {EnemyBurrowDef} [burrow] - Required for burrow enemies
+ * @property {EnemyChargeDef} [charge] - Required for charge enemies
+ * @property {EnemyGuardDef} [guard] - Required for guard enemies
+ * @property {EnemyStatusHit} [onHit] - Status effect its contact hits inflict on the player
+ * @property {string[]} [immune] - STATUS_EFFECTS ids it ignores
+ */
+
+/**
+ * Regular enemies by type key. Order matters: weighted spawn rolls walk the
+ * table in this order, so append new entries to keep seeded runs stable.
+ * @type {Object<string, EnemyDef>}
+ */
+export const ENEMIES = Object.freeze({
+    ogre: {
+        name: 'Ogre', hp: 22, speed: 2.4, damage: 8, damagePerLevel: 0.6, size: 1.25,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.CHASE, model: 'ogre', minTier: 1, weight: 1
+    },
+    skeleton: {
+        name: 'Skeleton', hp: 5, speed: 2.4, damage: 8, damagePerLevel: 0.6, size: 1,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.CHASE, model: 'skeleton', minTier: 1, weight: 1,
+        immune: ['BLEED'] // Nothing to bleed
+    },
+    piglin: {
+        name: 'Piglin', hp: 10, speed: 2.4, damage: 8, damagePerLevel: 0.6, size: 1.05,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.CHASE, model: 'piglin', minTier: 1, weight: 1
+    },
+    zombie: {
+        name: 'Zombie', hp: 9, speed: 2.4, damage: 8, damagePerLevel: 0.6, size: 1,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.CHASE, model: 'zombie', minTier: 1, weight: 1,
+        onHit: { id: 'BLEED', duration: 4, potency: 1 }
+    },
+    spider: {
+        name: 'Spider', hp: 6, speed: 2.4, damage: 14, damagePerLevel: 0, size: 0.8,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.KAMIKAZE, model: 'spider', minTier: 1, weight: 1,
+        explosion: { triggerRange: 3.0, radius: 3.5, fuse: 1.1, knockback: 50, status: { id: 'POISON', duration: 3, potency: 3 } }
+    },
+    archer: {
+        name: 'Archer', hp: 6, speed: 2.6, damage: 6, damagePerLevel: 0.4, size: 1,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.KITE, model: 'archer', minTier: 1, weight: 0.5,
+        ranged: { range: 18, keepAway: 11, fleeRange: 6, windup: 0.5, cooldown: 2.4, recover: 0.4, speed: 22, life: 2.5 }
+    },
+    shaman: {
+        name: 'Shaman', hp: 8, speed: 2.2, damage: 4, damagePerLevel: 0.3, size: 1,
+        xp: 2, coins: 2, behavior: ENEMY_BEHAVIORS.SUPPORT, model: 'shaman', minTier: 2, weight: 0.35,
+        support: { radius: 9, keepAway: 13, fleeRange: 7, cast: 0.8, cooldown: 4, recover: 0.6, heal: 0.25, status: { id: 'EMPOWER', duration: 4 } }
+    },
+    mole: {
+        name: 'Mole', hp: 12, speed: 2.2, damage: 10, damagePerLevel: 0.6, size: 0.9,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.BURROW, model: 'mole', minTier: 2, weight: 0.5,
+        burrow: { range: 18, speedMult: 2.4, maxTime: 6, warn: 0.7, radius: 2.5, knockup: 14, recover: 1.5, cooldown: 5 }
+    },
+    boar: {
+        name: 'Boar', hp: 14, speed: 2.2, damage: 12, damagePerLevel: 0.8, size: 1.05,
+        xp: 1, coins: 1, behavior: ENEMY_BEHAVIORS.CHARGE, model: 'boar', minTier: 1, weight: 0.5,
+        charge: { range: 12, windup: 0.8, speed: 16, distance: 16, width: 2.2, knockback: 30, recover: 1.2, cooldown: 3 }
+    },
+    shieldbearer: {
+        name: 'Shieldbearer', hp: 18, speed: 2.0, damage: 8, damagePerLevel: 0.6, size: 1.0,
+        xp: 2, coins: 2, behavior: ENEMY_BEHAVIORS.GUARD, model: 'shieldbearer', minTier: 2, weight: 0.5,
+        guard: { arc: 1.0 }
+    }
+});
+
 // ============================================================================
 // GAME BALANCE CONSTANTS
 // ============================================================================
@@ -276,6 +664,234 @@ export const SPAWN_CONFIG = Object.freeze({
     SPAWN_DISTANCE_MAX: 30
 });
 
+/**
+ * Spawn schedules read by the WaveDirector (see WaveDirector.js for the
+ * format). Modes without an entry use DEFAULT. Curves are WeaponStatCurves
+ * over the player's level.
+ */
+const DEFAULT_RUN_WAVES = Object.freeze([
+    {
+        // Ground enemies from the tier's spawn table, faster with level (and with time past tier 1)
+        from: 0,
+        interval: { base: 3.0, perLevel: -0.04, min: 0.9 },
+        accel: { fromTier: 2, perSecond: 0.004, min: 0.6 },
+        pacing: { radius: 15, crowded: 12, crowdedMult: 1.6, sparse: 4, sparseMult: 0.7 },
+        spawns: [{ count: { base: 1, perLevel: 1, every: 3, max: 6 } }]
+    }
+]);
+
+const MINIBOSS_WAVE_EVENTS = Object.freeze([
+    { clock: 'run', at: 240, spawn: 'miniboss' },
+    { clock: 'run', at: 360, spawn: 'miniboss' }
+]);
+
+/** @type {Object<string, import('./WaveDirector.js').WaveTimeline>} */
+export const WAVE_TIMELINES = Object.freeze({
+    DEFAULT: Object.freeze({
+        run: DEFAULT_RUN_WAVES,
+        // Overtime ghost storm: weak ghosts, then deadly ones join, then only deadly ones
+        overtime: [
+            { from: 0, to: 60, interval: 0.8, spawns: [{ type: 'ghost_default', count: 3 }] },
+            { from: 60, to: 90, interval: 0.6, spawns: [{ type: 'ghost_default', count: 2 }, { type: 'ghost_deadly', count: 2 }] },
+            { from: 90, interval: 0.4, spawns: [{ type: 'ghost_deadly', count: 4 }] }
+        ],
+        events: [
+            ...MINIBOSS_WAVE_EVENTS,
+            // Overtime Bobs: first at 2.5 minutes, then 90s later, 30s sooner each time (30s minimum)
+            { clock: 'overtime', at: 150, spawn: 'bob', type: 'OVERTIME_BOB', repeat: { interval: 90, step: -30, min: 30 } }
+        ]
+    }),
+    // Only weak ghosts, no minibosses or Bobs
+    AWAKENING: Object.freeze({
+        run: [{ from: 0, interval: 3.0, spawns: [{ type: 'ghost_default', count: 1 }] }],
+        overtime: [{ from: 0, interval: 3.0, spawns: [{ type: 'ghost_default', count: 1 }] }],
+        events: []
+    }),
+    // Versus: overtime is pure PvP
+    MULTI: Object.freeze({
+        run: DEFAULT_RUN_WAVES,
+        overtime: [],
+        events: MINIBOSS_WAVE_EVENTS
+    })
+});
+
+/** Elite enemies: regular enemies with more health, harder hits, affixes and better drops */
+export const ELITE = Object.freeze({
+    HP_MULT: 3,
+    DAMAGE_MULT: 1.5,
+    LOOT_MULT: 3,
+    TINT: 0xffd700, // Glow of elites without affixes
+    // Chance for a wave spawn to be elite: base + perTier per tier past the first + perMinute of the tier
+    CHANCE: Object.freeze({ base: 0.02, perTier: 0.03, perMinute: 0.01, max: 0.3 }),
+    SECOND_AFFIX_CHANCE: 0.35,
+    // Drops on top of LOOT_MULT: a chest key while unopened chests remain, otherwise bonus coins
+    KEY_CHANCE: 0.4,
+    BONUS_COINS: Object.freeze({ base: 6, perLevel: 1 }) // Curve over the player's level
+});
+
+/**
+ * Elite affix. Besides these, each affix reads its own fields (see
+ * EliteAffixes.js).
+ * @typedef {Object} EliteAffixDef
+ * @property {string} prefix - Added in front of the enemy's name
+ * @property {number} color - Aura ring, name and glow colour
+ * @property {number} weight - Roll weight
+ * @property {number} [speedMult=1] - Movement speed multiplier
+ * @property {number} [attackRateMult=1] - Melee attack rate multiplier
+ */
+
+/**
+ * Elite affixes by id. Elites roll one, sometimes two (see ELITE); Pantheon
+ * places them by id. Append new entries to keep seeded runs stable.
+ * @type {Object<string, EliteAffixDef>}
+ */
+export const ELITE_AFFIXES = Object.freeze({
+    SHIELDED: Object.freeze({
+        prefix: 'Shielded', color: 0x4fa8ff, weight: 1,
+        shield: 0.5,        // Shield as a fraction of max HP, absorbed before health
+        regenDelay: 4,      // Seconds without damage before it recharges
+        regenRate: 0.2      // Fraction of the full shield per second
+    }),
+    EXPLOSIVE: Object.freeze({
+        prefix: 'Volatile', color: 0xff5a1a, weight: 1,
+        radius: 4, fuse: 1.0, // Telegraphed blast where it died
+        damage: Object.freeze({ base: 10, perLevel: 0.8 })
+    }),
+    VAMPIRIC: Object.freeze({
+        prefix: 'Vampiric', color: 0xc0103a, weight: 1,
+        lifesteal: 3        // Heals this many times the damage it deals
+    }),
+    HASTED: Object.freeze({
+        prefix: 'Hasted', color: 0xfff04a, weight: 1,
+        speedMult: 1.6, attackRateMult: 1.5
+    }),
+    SPLITTING: Object.freeze({
+        prefix: 'Splitting', color: 0x5cff6a, weight: 1,
+        count: 2, hpFraction: 0.3 // Regular copies of its type, with this much of its max HP
+    }),
+    FROST_TRAIL: Object.freeze({
+        prefix: 'Frostbound', color: 0xa8f0ff, weight: 1,
+        interval: 0.6, radius: 1.6, lifetime: 4, // Ice patches left behind it
+        status: Object.freeze({ id: 'CHILL', duration: 1 }) // On the player while standing on one
+    })
+});
+
+/**
+ * Boss and miniboss fights read by BossAttacks.updateBoss (see BossAttacks.js
+ * for the attack patterns and their fields). A boss moves to the next phase
+ * when its health ratio drops to the phase's `hpBelow`; phases without
+ * `attacks` keep the previous ones. Attacks are picked by weight among those
+ * off cooldown, or in list order for `order: 'cycle'`. Every attack with a
+ * `telegraph` shows its area on the ground, filling up until it lands, and
+ * the boss stands still meanwhile.
+ */
+export const BOSSES = Object.freeze({
+    GATEKEEPER: {
+        name: 'The Gatekeeper',
+        phases: [
+            { hpBelow: 1, attacks: [
+                // Pitchfork volley aimed at the player's height
+                { pattern: 'volley', cooldown: 1.2, projectile: 'trident', count: 3, spread: 0.18, speed: 20, damage: 40, life: 5, aimHeight: true,
+                    sound: ['boom', 0.9, 0.25], telegraph: { duration: 0.35, length: 20 } }
+            ] }
+        ]
+    },
+    BABYBARK: {
+        name: 'Babybark',
+        phases: [
+            { hpBelow: 1, attacks: [
+                { pattern: 'volley', cooldown: 2.0, projectile: 'acorn', count: 1, speed: 15, damage: 15, life: 4, height: 1.0,
+                    sound: ['bonk', 1.5, 0.3], telegraph: { duration: 0.5, length: 15 } }
+            ] }
+        ]
+    },
+    SMOLBARK: {
+        name: 'Smolbark',
+        phases: [
+            { hpBelow: 1, attacks: [
+                { pattern: 'volley', cooldown: 1.5, projectile: 'leaf', count: 3, spread: 0.25, speed: 18, damage: 20, life: 4, height: 1.5,
+                    sound: ['slice', 1.2, 0.3], telegraph: { duration: 0.45, length: 16 } }
+            ] }
+        ]
+    },
+    CHADBARK: {
+        name: 'Chadbark',
+        phases: [
+            { hpBelow: 1, attacks: [
+                { pattern: 'charge', cooldown: 4.0, distance: 12, slamRadius: 5, damage: 30, particles: [0x5D4037, 30],
+                    sound: ['boom', 0.8, 0.5], shake: 0.5, telegraph: { duration: 0.8 } },
+                { pattern: 'volley', cooldown: 1.8, projectile: 'log', count: 1, speed: 22, damage: 35, life: 5, height: 2.0,
+                    sound: ['bonk', 0.6, 0.4], telegraph: { duration: 0.4, length: 20 } }
+            ] }
+        ]
+    },
+    BARKVADER: {
+        name: 'Barkvader',
+        phases: [
+            { hpBelow: 1, order: 'cycle', attacks: [
+                // Lightsaber throw that comes back
+                { pattern: 'volley', cooldown: 2.5, projectile: 'saber', count: 1, speed: 28, damage: 40, life: 5, height: 2.0, boomerang: true,
+                    sound: ['slice', 0.5, 0.5], announce: 'Barkvader throws his saber!', telegraph: { duration: 0.5, length: 24 } },
+                // Force lightning: rapid bolts inside a narrow cone
+                { pattern: 'barrage', cooldown: 3.0, projectile: 'bolt', shots: 8, interval: 0.1, jitter: 0.3, speed: 35, damage: 15, life: 3, height: 2.5,
+                    synth: ['shoot', 2.0, 0.2], telegraph: { duration: 0.6, length: 24 } },
+                // Dark side burst in every direction
+                { pattern: 'radial', cooldown: 4.0, projectile: 'orb', count: 24, speed: 15, damage: 30, life: 6, height: 1.0,
+                    sound: ['boom', 0.4, 0.6], shake: 0.4, telegraph: { duration: 0.8, radius: 6 } },
+                // Force crush under the player
+                { pattern: 'slam', cooldown: 3.0, radius: 3.5, damage: 50, knockUp: 15, particles: [0xff0000, 50],
+                    sound: ['boom', 0.8, 0.8], telegraph: { duration: 1.2 } }
+            ] },
+            // Shield phases: immune and raised until the Chadbark guarding him dies
+            { hpBelow: 0.75, shield: { minion: 'JOHN_PORK', name: 'Chadbark', hp: 15000, rise: 10, spawnRate: 2, breakSpawnRate: 0,
+                announce: 'BARKVADER SHIELDS UP! KILL CHADBARK!' } },
+            { hpBelow: 0.5, shield: { minion: 'JOHN_PORK', name: 'Chadbark', hp: 30000, rise: 10, spawnRate: 2, breakSpawnRate: 0,
+                announce: 'BARKVADER SHIELDS UP! KILL CHADBARK!' } },
+            { hpBelow: 0.25, shield: { minion: 'JOHN_PORK', name: 'Chadbark', hp: 30000, rise: 10, spawnRate: 2, breakSpawnRate: 0,
+                announce: 'BARKVADER SHIELDS UP! KILL CHADBARK!' } }
+        ]
+    },
+    JOHN_PORK: {
+        name: 'John Pork the Terrible',
+        phases: [
+            { hpBelow: 1, attacks: [
+                // Wind up, then lunge along the line
+                { pattern: 'charge', cooldown: 0.4, distance: 6.5, teleportCooldown: 2.0, particles: [0xffaa00, 20],
+                    sound: ['boom', 1.1, 0.3], telegraph: { duration: 1.1 } }
+            ] }
+        ]
+    },
+    KAREN: {
+        name: 'Queen Karen',
+        phases: [
+            { hpBelow: 1, attacks: [
+                { pattern: 'summon', cooldown: 3.2, count: 2, minDistance: 2, maxDistance: 4, particles: [0xff88ff, 30],
+                    minion: { type: 'karen_minion', hp: 6, size: 0.6, color: 0x9966aa }, telegraph: { duration: 0.6 } }
+            ] }
+        ]
+    },
+    BRUH_NUBIS: {
+        name: 'Bruh-nubis',
+        phases: [
+            { hpBelow: 1, attacks: [
+                // Blink behind the player, then fire a fan of darts
+                { pattern: 'blink', cooldown: 2.8, projectile: 'dart', count: 5, spread: 0.18, speed: 22, damage: 10, life: 2.6, height: 1.2,
+                    teleportCooldown: 3.0, telegraph: { duration: 0.5, length: 28 } }
+            ] }
+        ]
+    },
+    // Bobs and anything else without a definition
+    BOB: {
+        name: 'Bob',
+        phases: [
+            { hpBelow: 1, attacks: [
+                { pattern: 'volley', cooldown: 1.6, projectile: 'pitchfork', count: 1, speed: 18, damage: 12, life: 3, height: 1.5,
+                    telegraph: { duration: 0.3, length: 14 } }
+            ] }
+        ]
+    }
+});
+
 // ============================================================================
 // AUDIO CONFIGURATION
 // ============================================================================
@@ -313,10 +929,11 @@ export const TNS_TIER_CHARACTERS = Object.freeze({
 /**
  * Get a random rarity based on luck stat
  * @param {number} luck - Luck modifier (0-1 scale)
+ * @param {function(): number} [random=Math.random] - Roll source, e.g. a seeded loot stream
  * @returns {string} Rarity key
  */
-export function getRandomRarity(luck = 0) {
-    const roll = Math.random() - luck;
+export function getRandomRarity(luck = 0, random = Math.random) {
+    const roll = random() - luck;
     let cumulative = 0;
 
     for (const [key, rarity] of Object.entries(RARITIES)) {
@@ -337,6 +954,33 @@ export function isAuraWeapon(weaponKey) {
     return AURA_WEAPONS.includes(weaponKey);
 }
 
+/**
+ * Check if a weapon only comes from an evolution (never offered or dropped directly)
+ * @param {string} weaponKey - Weapon key to check
+ * @returns {boolean}
+ */
+export function isEvolvedWeapon(weaponKey) {
+    return !!WEAPON_EVOLUTIONS[weaponKey];
+}
+
+/**
+ * Evolutions whose conditions a loadout meets
+ * @param {string[]} weapons - Owned weapon keys
+ * @param {Object<string, number>} weaponLevels
+ * @param {string[]} runes - Owned rune keys
+ * @param {Object<string, number>} runeLevels
+ * @returns {string[]} Evolved weapon keys, in WEAPON_EVOLUTIONS order
+ */
+export function getAvailableEvolutions(weapons, weaponLevels, runes, runeLevels) {
+    return Object.entries(WEAPON_EVOLUTIONS)
+        .filter(([key, recipe]) => !weapons.includes(key) &&
+            weapons.includes(recipe.weapon) &&
+            (weaponLevels[recipe.weapon] || 1) >= WEAPON_EVOLUTION_LEVEL &&
+            runes.includes(recipe.rune) &&
+            (runeLevels[recipe.rune] || 1) >= (recipe.runeLevel || 1))
+        .map(([key]) => key);
+}
+
 /**
  * Get character config with defaults
  * @param {string} key - Character key
@@ -356,3 +1000,134 @@ export function getTNSCharacters(tier) {
     if (tier >= 2) return TNS_TIER_CHARACTERS[2];
     return TNS_TIER_CHARACTERS[1];
 }
+
+/**
+ * Get the enemy types that can spawn in a tier
+ * @param {number} tier - Endless tier (1+)
+ * @returns {string[]} Enemy keys in table order
+ */
+export function getSpawnableEnemies(tier = 1) {
+    return Object.keys(ENEMIES).filter(key => ENEMIES[key].minTier <= tier && ENEMIES[key].weight > 0);
+}
+
+/**
+ * Pick a random enemy type for a tier, weighted by spawn weight
+ * @param {number} tier - Endless tier (1+)
+ * @param {function(): number} [random=Math.random] - Roll source, e.g. a seeded spawn stream
+ * @returns {string|null} Enemy key, or null if nothing can spawn
+ */
+export function pickEnemyType(tier = 1, random = Math.random) {
+    const keys = getSpawnableEnemies(tier);
+    const total = keys.reduce((sum, key) => sum + ENEMIES[key].weight, 0);
+    if (total <= 0) return null;
+
+    const roll = random() * total;
+    let cumulative = 0;
+    for (const key of keys) {
+        cumulative += ENEMIES[key].weight;
+        if (roll < cumulative) return key;
+    }
+    return keys[keys.length - 1];
+}
+
+/**
+ * Chance for a wave spawn to be elite
+ * @param {number} tier - Endless tier (1+)
+ * @param {number} seconds - Time into the tier
+ * @returns {number} 0-1
+ */
+export function eliteChanceAt(tier = 1, seconds = 0) {
+    const c = ELITE.CHANCE;
+    const chance = c.base + c.perTier * Math.max(0, tier - 1) + c.perMinute * (seconds / 60);
+    return Math.min(c.max, Math.max(0, chance));
+}
+
+/**
+ * Roll an elite's affixes: one, sometimes a second different one, weighted
+ * @param {function(): number} [random=Math.random] - Roll source, e.g. a seeded spawn stream
+ * @returns {string[]} ELITE_AFFIXES ids
+ */
+export function pickEliteAffixes(random = Math.random) {
+    const count = random() < ELITE.SECOND_AFFIX_CHANCE ? 2 : 1;
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+        const keys = Object.keys(ELITE_AFFIXES).filter(key => !picked.includes(key));
+        const total = keys.reduce((sum, key) => sum + ELITE_AFFIXES[key].weight, 0);
+        let roll = random() * total;
+        let choice = keys[keys.length - 1];
+        for (const key of keys) {
+            roll -= ELITE_AFFIXES[key].weight;
+            if (roll < 0) { choice = key; break; }
+        }
+        picked.push(choice);
+    }
+    return picked;
+}
+
+/**
+ * Evaluate one stat curve at a weapon level
+ * @param {WeaponStatCurve} curve
+ * @param {number} level - Weapon level (1+)
+ * @returns {number}
+ */
+export function weaponStatAt(curve, level) {
+    if (typeof curve === 'number') return curve;
+    const steps = curve.every ? Math.floor(level / curve.every) : level;
+    let value = curve.base + (curve.perLevel || 0) * steps;
+    if (curve.min !== undefined) value = Math.max(curve.min, value);
+    if (curve.max !== undefined) value = Math.min(curve.max, value);
+    return value;
+}
+
+/**
+ * Player-side multipliers applied to weapon stats
+ * @typedef {Object} WeaponStatModifiers
+ * @property {number} [damage=1] - Damage stat
+ * @property {number} [areaMult=1] - Big Aura stat
+ * @property {number} [fireRate=1] - Fire rate stat (haste divides cooldowns)
+ * @property {string} [character] - Character key, for characterCooldown
+ */
+
+/**
+ * All stats of a weapon at a level, with the player's multipliers applied
+ * @param {string} key - Weapon key
+ * @param {number} level - Weapon level (1+)
+ * @param {WeaponStatModifiers} [modifiers] - Omit for the weapon's own numbers
+ * @returns {Object<string, number>}
+ */
+export function resolveWeaponStats(key, level, modifiers = {}) {
+    const def = WEAPONS[key];
+    const stats = {};
+    if (!def) return stats;
+    for (const [stat, curve] of Object.entries(def.stats)) {
+        stats[stat] = weaponStatAt(curve, level);
+    }
+    if (stats.damage !== undefined) stats.damage *= modifiers.damage || 1;
+    if (stats.statusPotency !== undefined) stats.statusPotency *= modifiers.damage || 1;
+    if (stats.area !== undefined) stats.area *= modifiers.areaMult || 1;
+    if (stats.auraArea !== undefined) stats.auraArea *= modifiers.areaMult || 1;
+    if (stats.cooldown !== undefined) {
+        const characterMult = def.characterCooldown && def.characterCooldown[modifiers.character];
+        if (characterMult) stats.cooldown *= characterMult;
+        stats.cooldown /= Math.max(0.3, modifiers.fireRate || 1);
+    }
+    return stats;
+}
+
+/**
+ * Displayed stats of a weapon as label/value pairs
+ * @param {string} key - Weapon key
+ * @param {Object<string, number>} stats - From resolveWeaponStats
+ * @returns {Array<{key: string, label: string, value: string}>}
+ */
+export function describeWeaponStats(key, stats) {
+    const def = WEAPONS[key];
+    const labels = (def && def.statLabels) || {};
+    return WEAPON_STAT_DISPLAY
+        .filter(({ key: stat }) => stats[stat] !== undefined)
+        .map(({ key: stat, label, unit }) => ({
+            key: stat,
+            label: labels[stat] || label,
+            value: `${Math.round(stats[stat] * 100) / 100}${unit}`
+        }));
+}
@@ -7,7 +7,33 @@
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-import { ParticleSystem, XPOrb, randomRange, SeededRandom } from './utils.js';
+import { ParticleSystem, XPOrb, buildXPOrbModel } from './utils.js';
+import { RunRandom } from './RunRandom.js';
+import { gameEvents, GameEvents } from './EventEmitter.js';
+import { EventLogPanel } from './EventLogPanel.js';
+import { DamageMeter, renderDamageMeter } from './DamageMeter.js';
+import { ENEMIES, ENEMY_BEHAVIORS, ELITE, ELITE_AFFIXES, pickEliteAffixes, weaponStatAt, WAVE_TIMELINES, pickEnemyType, WEAPONS, WEAPON_TICK_ORDER, WEAPON_EVOLUTIONS, resolveWeaponStats, describeWeaponStats, isEvolvedWeapon, getAvailableEvolutions } from './config.js';
+import { getWeaponBehavior } from './WeaponBehaviors.js';
+import { STATUS_EFFECTS, StatusEffectSet, isStatusImmune } from './StatusEffects.js';
+import { SpatialHash } from './SpatialHash.js';
+import { WaveDirector, getWaveTimeline, parseWaveTimeline, MINIBOSS_TYPES } from './WaveDirector.js';
+import { updateBoss, bossKeyForName, isBossWindingUp } from './BossAttacks.js';
+import { TelegraphRenderer } from './Telegraphs.js';
+import { FlowField, separationSteer } from './FlowField.js';
+import { createEnemyAI, updateEnemyAI, blocksProjectile, isBurrowed, AI_STATES, MOVES, BOSS_INTENT, MAX_ENEMY_PUSH_SPEED } from './EnemyAI.js';
+import { EliteMarker, GroundHazards, runAffixHook, absorbAffixDamage, affixMultiplier, eliteName, eliteTint } from './EliteAffixes.js';
+import { SpatialHashPanel } from './SpatialHashPanel.js';
+import { ENEMY_MODELS } from './EnemyModels.js';
+import { InstancedRenderer } from './InstancedRenderer.js';
+import { EntityPools, getPoolPrewarm, resetBody } from './EntityPools.js';
+import { PoolStatsPanel } from './PoolStatsPanel.js';
+import { getUnlocks, getFlag, setFlag, FLAGS, addRunToHistory, getRunHistory, setTNSSave, unlockMultiplayer, unlockPantheon, markSecretNoteFound, markDiaryFound, discoverEvolution, getMetaUpgradeLevels, addMetaCurrency, getEquippedTitle, finishChallengeAttempt } from './StateManager.js';
+import { ACHIEVEMENTS, AchievementTracker } from './Achievements.js';
+import { CHALLENGE_PERIODS, getChallengeStreak } from './Challenges.js';
+import { isModifierEligible, sanitizeCurses, computeHeat, heatRewardMultiplier, resolveCurseEffects } from './RunModifiers.js';
+import { isMetaEligible, sanitizeMetaLevels, resolveMetaBonuses, computeRunCurrency, META_CURRENCY_NAME } from './MetaProgression.js';
+import { RUN_OUTCOMES, createRunTimeline, pushTimelineSample, serializeTimeline } from './RunHistory.js';
+import { ReplayRecorder, ReplayPlayer, INPUT_BITS, EMPTY_INPUT, packKeys, unpackKeys, quantizeInput, serializeReplay, REPLAY_TICK_RATE, REPLAY_FILE_EXTENSION } from './Replay.js';
 
 // Properly encode a file path for URLs - handles special characters like parentheses, braces, apostrophes
 function encodeAssetPath(path) {
@@ -93,31 +119,6 @@ const RARITIES = {
     LEGENDARY: { name: "Legendary", color: 0xffd700, mult: 3.0, chance: 0.01 }
 };
 
-const AURA_WEAPONS = ['ICE_AURA', 'SPIKE_RING', 'POISON_MIST'];
-
-const WEAPONS = {
-    LIGHTNING:   { name: "Lightning Rod", desc: "Auto-zaps nearby enemies", type: 'weapon' },
-    GHOST:       { name: "Being Ghosted", desc: "Spawns friendly ghost bombers", type: 'weapon' },
-    FIREBALL:    { name: "Fireball", desc: "Shoots explosive fireballs", type: 'weapon' },
-    SWORD:       { name: "Spinning Blade", desc: "Orbiting blade damages enemies", type: 'weapon' },
-    MISSILE:     { name: "Slutty Missiles", desc: "Launches up, then aggressively seeks enemies", type: 'weapon' },
-
-    // New extra weapons
-    SPIKE_RING:  { name: "Spike Ring", desc: "Pulsing ring of spikes around you", type: 'weapon' },
-    POISON_MIST: { name: "Poison Mist", desc: "Slowly damages nearby enemies", type: 'weapon' },
-    ICE_AURA:    { name: "Ice Aura", desc: "Chills and slows enemies close to you", type: 'weapon' },
-    MINI_TURRET: { name: "Mini Turret", desc: "Little bot that auto-shoots nearby foes", type: 'weapon' },
-    NOVA_BLAST:  { name: "Nova Blast", desc: "Occasional radial explosion from your position", type: 'weapon' },
-    BANANERANG:  { name: "Bananerang", desc: "Thrown banana that returns to you", type: 'weapon' },
-    SUMMON_GHOST: { name: "Spooky Bois", desc: "Summons friendly ghosts to attack enemies", type: 'weapon' },
-    
-    // Intrinsic Weapons (Made upgradeable)
-    KNIGHT_SWORD: { name: "Knight Sword", desc: "Standard slash. Upgrades size & damage.", type: 'weapon' },
-    BONE: { name: "Bone Throw", desc: "Ricocheting bone. Upgrades bounces & damage.", type: 'weapon' },
-    CHAD_AURA: { name: "Chad Aura", desc: "Damage field. Upgrades radius & DPS.", type: 'weapon' },
-    GIGA_SWORD: { name: "Giga Sword", desc: "Massive slash. Upgrades area & power.", type: 'weapon' }
-};
-
 const RUNES = {
     LANKY_HANDS: { name: "Lanky Hands", desc: "Increase pickup range", type: 'rune', stat: 'pickupRange', mult: 1.4 },
     SPEED_BOOST: { name: "Speed Rune", desc: "Move faster", type: 'rune', stat: 'moveSpeed', mult: 1.15 },
@@ -130,7 +131,12 @@ const RUNES = {
     REGEN_BONE:  { name: "Regen Bone", desc: "Slowly regenerate health over time", type: 'rune', stat: 'regen', add: 1.1 },
     LAVA_BOOTS:  { name: "Lava Boots", desc: "Reduce damage taken from lava", type: 'rune', stat: 'lavaResist', add: 0.2 },
     WISDOM:      { name: "Wisdom Rune", desc: "Gain more XP from pickups", type: 'rune', stat: 'xpGain', mult: 1.2 },
-    BIG_AURA:    { name: "Big Aura", desc: "Increase area effects like aura and spikes", type: 'rune', stat: 'areaMult', mult: 1.2 }
+    BIG_AURA:    { name: "Big Aura", desc: "Increase area effects like aura and spikes", type: 'rune', stat: 'areaMult', mult: 1.2 },
+    SERRATED:    { name: "Serrated Edge", desc: "Hits can make enemies bleed", type: 'rune', stat: 'bleedChance', add: 0.1 },
+
+    // Meta shop unlocks (out of the loot pool until bought)
+    LUCKY_CHARM:  { name: "Lucky Charm", desc: "Better rarity on chests and shrines", type: 'rune', stat: 'luck', add: 0.1, metaUnlock: true },
+    VAMPIRE_FANG: { name: "Vampire Fang", desc: "Heal a little on every kill", type: 'rune', stat: 'vampirism', add: 0.5, metaUnlock: true }
 };
 
 const UPGRADES = {
@@ -230,10 +236,24 @@ export class Game {
     constructor(characterKey = 'MMOOVT', pixelateEnabled = true, useCharacterTheme = false, gameMode = 'ARCADE', room = null, lobbySettings = null, seed = null, preloadedTextures = null) {
         this.container = document.getElementById('game-container');
         this.debugMode = false; // Dev setting for logs
-        this.room = room; // WebsimSocket instance
+        this.room = room; // NetworkTransport (see game/net)
         this.lobbySettings = lobbySettings || {}; // New settings object
         this.customWorldData = lobbySettings ? lobbySettings.customWorldData : null;
-        this.rng = seed ? new SeededRandom(seed) : null;
+        // Run-scoped RNG: every roll goes through a named stream (world/spawns/loot/combat/fx)
+        // so the same seed + same inputs reproduces the same map, spawns and offers.
+        this.random = new RunRandom(seed);
+        this.seed = this.random.seed;
+
+        // Replay playback: re-simulate a recorded run from its inputs instead of live devices
+        this.replay = this.lobbySettings.replay ? new ReplayPlayer(this.lobbySettings.replay) : null;
+        this.isReplay = !!this.replay;
+
+        // Headless simulation (Node balance runs): no renderer, audio, input devices or render loop.
+        // The caller steps the game and a bot supplies input and menu picks (see Simulation.js).
+        this.headless = !!this.lobbySettings.headless;
+        this.botController = null; // { input(game) -> InputFrame, choose(game, kind, options) -> index }
+        // Replays and headless runs never touch saved progress, lore or tutorials
+        this.sandboxed = this.isReplay || this.headless;
         
         // Multiplayer State
         this.remotePlayers = {}; // Map of id -> { mesh, data, targetPos }
@@ -279,6 +299,8 @@ export class Game {
         this.killCounter = document.getElementById('kill-counter');
         this.upgradeMenu = document.getElementById('upgrade-menu');
         this.upgradeOptions = document.getElementById('upgrade-options');
+        this.rerollButton = document.getElementById('upgrade-reroll-btn');
+        if (this.rerollButton) this.rerollButton.onclick = () => this.rerollUpgrades();
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.gameOverStats = document.getElementById('game-over-stats');
         this.toastEl = document.getElementById('loot-toast');
@@ -305,6 +327,9 @@ export class Game {
         
         // Scene
         this.scene = new THREE.Scene();
+        this.telegraphs = new TelegraphRenderer(this.scene);
+        this.flowField = new FlowField(); // Enemy navigation towards the player
+        this.groundHazards = new GroundHazards(this.scene); // Frost trails etc. left by elites
         // Fog heightened significantly as requested
         this.scene.background = new THREE.Color(0xc6f2ff);
         this.scene.fog = new THREE.FogExp2(0xc6f2ff, 0.012);
@@ -316,15 +341,18 @@ export class Game {
         this.cameraHeight = 6;
 
         // Renderer with better quality
-        this.renderer = new THREE.WebGLRenderer({ antialias: false });
-        this.renderer.setSize(this.width, this.height);
-        // Disable shadow maps to avoid the heavy dark "shade circle" around the player
-        this.renderer.shadowMap.enabled = false;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        // Pixel mode tends to look darker – bump exposure when pixelation is enabled
-        this.renderer.toneMappingExposure = this.pixelateEnabled ? 1.8 : 1.0;
-        this.container.appendChild(this.renderer.domElement);
+        this.renderer = null;
+        if (!this.headless) {
+            this.renderer = new THREE.WebGLRenderer({ antialias: false });
+            this.renderer.setSize(this.width, this.height);
+            // Disable shadow maps to avoid the heavy dark "shade circle" around the player
+            this.renderer.shadowMap.enabled = false;
+            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+            this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+            // Pixel mode tends to look darker – bump exposure when pixelation is enabled
+            this.renderer.toneMappingExposure = this.pixelateEnabled ? 1.8 : 1.0;
+            this.container.appendChild(this.renderer.domElement);
+        }
         
         // Pixelation effect: render to a low-res target, then blow it up with nearest filtering
         // Lower pixelRatio = chunkier pixels
@@ -420,6 +448,10 @@ export class Game {
 
         // Input
         this.keys = { w: false, a: false, s: false, d: false, space: false, q: false, shift: false };
+        // Keys as seen by the simulation for the current tick (live or replayed)
+        this.simKeys = { w: false, a: false, s: false, d: false, space: false, shift: false, ctrl: false };
+        this.inputFrame = EMPTY_INPUT;
+        this.pendingPrimaryAction = false;
         this.canJump = true;
         this.moveVector = new THREE.Vector2(0, 0);
         this.mouseMovement = { x: 0, y: 0 };
@@ -442,7 +474,14 @@ export class Game {
 
         // Apply Lobby Settings
         this.timeLimit = this.lobbySettings.timeLimit || 600; // Default 10m
-        this.spawnRateMultiplier = this.lobbySettings.spawnMult || 1.0;
+        // Daily/weekly challenge modifiers (see Challenges)
+        this.challenge = this.lobbySettings.challenge || null;
+        // Lobby and challenge spawn rates stay for the whole run, on top of spawnRateMultiplier (which events and tiers reset)
+        this.lobbySpawnMult = (this.lobbySettings.spawnMult || 1.0) * (this.challenge ? this.challenge.spawnMult : 1);
+        // Curses from the modifier board (see RunModifiers): heat multiplies the final score and banked Gold Teeth
+        this.curses = isModifierEligible(this.gameMode, { challenge: !!this.challenge }) ? sanitizeCurses(this.lobbySettings.curses) : {};
+        this.heat = computeHeat(this.curses);
+        this.curseEffects = resolveCurseEffects(this.curses);
         this.lootMultiplier = this.lobbySettings.lootMult || 1.0;
         this.infiniteSlots = !!this.lobbySettings.infiniteSlots;
         
@@ -455,6 +494,54 @@ export class Game {
         // Ensure intrinsic weapons are in inventory logic even if not added yet
         // (Handled in constructor later)
 
+        // Fixed-step simulation: gameplay advances in 1/60s ticks regardless of frame rate
+        this.fixedStep = 1 / 60;
+        this.maxStepsPerFrame = 6;
+        this.simAccumulator = 0;
+        this.simTick = 0;
+        this.simTimers = [];
+
+        // Meta shop upgrades (single-player, non-challenge runs). Replays use the levels in their header
+        // and simulations none, so neither depends on this browser's save
+        this.metaEnabled = isMetaEligible(this.gameMode, { challenge: !!this.lobbySettings.challenge });
+        if (!this.metaEnabled) this.metaLevels = {};
+        else if (this.isReplay) this.metaLevels = sanitizeMetaLevels(this.lobbySettings.meta);
+        else this.metaLevels = this.sandboxed ? {} : sanitizeMetaLevels(getMetaUpgradeLevels());
+        this.metaBonuses = resolveMetaBonuses(this.metaLevels);
+        this.rerollTokens = 0; // level-up rerolls left this run
+        this.menuRerolls = 0; // rerolls spent on the open level-up menu (recorded with the pick)
+        this.metaBanked = false;
+
+        // Achievement progress; replays, simulations and the Pantheon sandbox don't count towards it
+        this.achievements = this.createAchievementTracker();
+
+        // Input recording (single-player Arcade/Awakening runs only; MP/TNS/Pantheon have outside state)
+        this.recorder = null;
+        if (!this.isReplay && (this.gameMode === 'ARCADE' || this.gameMode === 'AWAKENING')) {
+            // The seed is stored in the header; a "replay this seed" run would otherwise record it twice
+            const { replay, headless, seed: lobbySeed, ...settings } = this.lobbySettings;
+            if (Object.keys(this.metaLevels).length > 0) settings.meta = { ...this.metaLevels };
+            this.recorder = new ReplayRecorder({
+                seed: this.seed,
+                character: characterKey,
+                mode: this.gameMode,
+                settings
+            });
+        }
+
+        // Replay viewer state
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+        this.replayEnded = false;
+        this.replayStopped = false;
+        this.replayScrubbing = false;
+        this.pendingChoice = null; // { kind: 'upgrade' | 'shrine', options } menu awaiting a recorded or bot pick
+        // Restarting a replay to seek backwards fast-forwards to this tick
+        this.replaySeekTarget = (this.isReplay && this.lobbySettings.replayStartTick) ? this.lobbySettings.replayStartTick : null;
+        this.onReplayRestart = null; // set by main.js: (tick) => rebuild the game at that tick
+        this.replayHud = null;
+        this.freeCam = null; // { enabled, pos, yaw, pitch }
+
         // Game State
         this.isPlaying = false;
         this.isPaused = false;
@@ -462,6 +549,11 @@ export class Game {
         this.damageNumbers = [];
         this.gameTime = 0;
         this.kills = 0;
+        this.damageMeter = new DamageMeter(); // damage dealt to enemies this run, per weapon/aura/summon/passive
+        this.damageTakenBySource = {}; // source name -> damage taken this run
+        this.lastDamageSource = null; // cause of death
+        this.completedTierTime = 0; // gameTime of tiers already beaten
+        this.runTimeline = createRunTimeline();
         this.level = 1;
         this.xp = 0;
         // Easier early levelling
@@ -472,11 +564,11 @@ export class Game {
         // Snapshot used to compute chest price scaling — only updated when a chest is opened.
         // This prevents kills (which change coins) from immediately increasing chest prices.
         this.chestBaselineCoins = this.coins;
+        this.chestKeys = 0; // Dropped by elites; open a chest without paying
         this.buffs = [];
         this.chests = [];
         this.shrines = [];
         this.turrets = [];
-        this.skeletonKills = 0;
         this.enemyBullets = [];
         this.auraVisuals = {}; 
         // Track all decorative props (trees, rocks, ruins, shrine groups, chest meshes, etc.)
@@ -495,8 +587,8 @@ export class Game {
             this.sideTex = preloadedTextures.sideTex;
             this.rockTex = preloadedTextures.rockTex;
         } else {
-            // Fallback to color textures if not preloaded (shouldn't happen in normal flow)
-            console.warn('Textures not preloaded! Using color fallbacks.');
+            // Fallback to color textures if not preloaded (shouldn't happen in normal flow; expected headless)
+            if (!this.headless) console.warn('Textures not preloaded! Using color fallbacks.');
             this.grassTex = createColorTexture('#228B22', 64, 64, 4, 4);
             this.sideTex = createColorTexture('#8B4513', 64, 64, 2, 1);
             this.rockTex = createColorTexture('#808080', 64, 64, 6, 6);
@@ -525,6 +617,7 @@ export class Game {
             vampirism: 0,
             piercing: 0,
             critChance: 0,
+            bleedChance: 0,
 
             // New buffable stats
             armor: 0,        // percentage reduction, 0–1
@@ -550,18 +643,34 @@ export class Game {
             this.maxWeapons = 6;
             this.maxRunes = 13;
         }
+        this.applyMetaBonuses();
 
         this.runes = [];
         this.weaponLevels = { DEFAULT: 1 };
         this.runeLevels = {};
+        this.applyChallengeLoadout();
         
         // Weapon timers
         this.weaponTimers = {};
         this.ghosts = [];
         this.orbitingBlades = [];
+        this.meteors = [];
+        this.lightningArcs = [];
+
+        // Burn, chill, poison... on the player (enemies carry their own set)
+        this.playerStatus = new StatusEffectSet();
         
         // Entities
         this.enemies = [];
+        // Ids come from a per-run counter (never Math.random/Date.now) so replays and peers see the same ones
+        this.nextEntityId = 1;
+        // Spatial index over this.enemies for range/nearest queries (see refreshEnemyGrid)
+        this.enemyGrid = new SpatialHash({ cellSize: 8, slack: 2 });
+        // Regular enemies, ghosts and XP orbs are drawn in instanced batches (bosses keep their own meshes)
+        this.instancedRenderer = new InstancedRenderer(this.scene, { ...ENEMY_MODELS, xp_orb: buildXPOrbModel });
+        // Recycled enemy shells, projectile meshes and damage numbers (prewarmed in init)
+        this.pools = new EntityPools();
+        this.defineEntityPools();
         this.projectiles = [];
         this.xpOrbs = [];
         
@@ -570,7 +679,6 @@ export class Game {
         
         // Timers
         this.autoAttackTimer = 0;
-        this.spawnTimer = 0;
 
         // Background systems
         this.leashRadius = 80;
@@ -583,15 +691,16 @@ export class Game {
         // Weapon helpers
         this.turrets = [];
 
-        // Unlock tracking
-        this.skeletonKills = 0;
-        this.minibossKilledAsMMOOVT = false;
-
-        // Audio
-        this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        this.analyser = this.audioCtx.createAnalyser();
-        this.analyser.fftSize = 256;
-        this.audioDataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        // Audio (none in headless runs: every sound path bails out without an audioCtx)
+        this.audioCtx = null;
+        this.analyser = null;
+        this.audioDataArray = null;
+        if (!this.headless) {
+            this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            this.analyser = this.audioCtx.createAnalyser();
+            this.analyser.fftSize = 256;
+            this.audioDataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        }
         
         this.sounds = {};
         this.loadSound('./bonk.mp3', 'bonk');
@@ -624,7 +733,6 @@ export class Game {
         this.tier = 1;              // Endless tier level
         this._tierTransitioning = false; // guard to prevent multiple concurrent tier transitions
         this.spawnRateMultiplier = 1.0; 
-        this.ghostSpawnRate = 1.0;  // Preserved between tiers
 
         // Simple world collision for player vs props
         this.obstacles = [];
@@ -647,27 +755,11 @@ export class Game {
         this.fogCtx.fillStyle = 'black';
         this.fogCtx.fillRect(0, 0, this.fogResolution, this.fogResolution);
         
-        // Spawn timestamps for boss events (using time remaining logic)
-        // Game starts at 600s remaining.
-        // Spawn 1: 4 mins passed (6 mins remaining = 360s gameTime)
-        // Spawn 2: 7 mins passed (3 mins remaining = 180s left -> 420s gameTime)
-        // Wait, user said: "6 minute mark at 10 minute countdown" -> 4 mins passed -> 240s gameTime
-        // User said: "second spawns at the 4 minute" (mark?) -> if 4 min mark, that's 6 mins passed -> 360s gameTime
-        // Let's use:
-        this.bossEvents = [
-            { time: 240, spawned: false }, // 6 min mark (4 mins in)
-            { time: 360, spawned: false }  // 4 min mark (6 mins in)
-        ];
-
-        // Ghost overtime spawn control
-        this.ghostSpawnTimer = 0;
-
-        // Overtime Bob spawn control (Arcade only)
-        // First Bob: 2.5 minutes (150s), then every 120s, each spawn decreases interval by 30s down to 30s minimum.
-        this.bobSpawnTimer = 0;
-        this.bobNextSpawnTime = 150; // 2.5 minutes
-        this.bobSpawnInterval = 120; // initial interval between Bobs (seconds)
-        this.bobMinInterval = 30;    // minimum interval cap (seconds)
+        // Waves, minibosses and overtime Bobs come from the mode's timeline (see WaveDirector).
+        // Pantheon worlds can carry their own (customWaves) and only spawn while pantheonSpawning is on.
+        this.customWaves = null;
+        this.pantheonSpawning = false;
+        this.waveDirector = new WaveDirector(getWaveTimeline(this.gameMode));
         this.bobSpawnCount = 0;      // how many overtime bobs have spawned so far
 
         // Intro / portal sequence
@@ -756,12 +848,10 @@ export class Game {
             container.appendChild(btn);
         };
         
-        // Enemies
-        addTool(enemiesDiv, 'Skeleton', 'enemy', 'skeleton');
-        addTool(enemiesDiv, 'Ogre', 'enemy', 'ogre');
-        addTool(enemiesDiv, 'Piglin', 'enemy', 'piglin');
-        addTool(enemiesDiv, 'Zombie', 'enemy', 'zombie');
-        addTool(enemiesDiv, 'Spider', 'enemy', 'spider');
+        // Enemies (regular types come straight from the ENEMIES table)
+        for (const [key, def] of Object.entries(ENEMIES)) {
+            addTool(enemiesDiv, def.name, 'enemy', key);
+        }
         addTool(enemiesDiv, 'Ghost (Weak)', 'ghost', 'ghost_default');
         addTool(enemiesDiv, 'Ghost (Deadly)', 'ghost', 'ghost_deadly');
         addTool(enemiesDiv, 'John Pork (Mini)', 'miniboss', 'JOHN_PORK');
@@ -775,6 +865,26 @@ export class Game {
         addTool(enemiesDiv, 'Bob (Normal)', 'bob', 'BOB');
         addTool(enemiesDiv, 'Bob (Deadly)', 'bob', 'DEADLY_BOB');
         addTool(enemiesDiv, 'Bob (Overtime)', 'bob', 'OVERTIME_BOB');
+
+        // Elite affixes: toggled ones are put on every regular enemy placed afterwards
+        this.pantheonAffixes = [];
+        const affixHeader = document.createElement('div');
+        affixHeader.style.cssText = 'grid-column: 1 / -1; margin-top: 8px; color: #ffd700;';
+        affixHeader.textContent = 'Elite affixes (regular enemies)';
+        enemiesDiv.appendChild(affixHeader);
+        for (const [key, affix] of Object.entries(ELITE_AFFIXES)) {
+            const btn = document.createElement('button');
+            btn.className = 'pan-btn';
+            btn.textContent = affix.prefix;
+            btn.style.borderColor = '#' + new THREE.Color(affix.color).getHexString();
+            btn.onclick = () => {
+                const on = !this.pantheonAffixes.includes(key);
+                this.pantheonAffixes = on ? [...this.pantheonAffixes, key] : this.pantheonAffixes.filter(k => k !== key);
+                btn.classList.toggle('active', on);
+                this.showToast(this.pantheonAffixes.length > 0 ? `Elites: ${eliteName('', this.pantheonAffixes).trim()}` : 'Elites off');
+            };
+            enemiesDiv.appendChild(btn);
+        }
         
         // Structures
         addTool(structDiv, 'Tree', 'prop', 'tree');
@@ -802,6 +912,38 @@ export class Game {
             }
         };
         
+        // Waves: edit the spawn timeline as JSON, starting from a built-in one
+        const wavesArea = document.getElementById('pan-waves-json');
+        const wavesPreset = document.getElementById('pan-waves-preset');
+        const wavesErrors = document.getElementById('pan-waves-errors');
+        const spawningBtn = document.getElementById('pan-waves-spawning');
+        wavesArea.value = JSON.stringify(this.waveDirector.timeline, null, 2);
+        for (const key of Object.keys(WAVE_TIMELINES)) {
+            wavesPreset.innerHTML += `<option value="${key}">${key}</option>`;
+        }
+        wavesPreset.onchange = () => {
+            if (wavesPreset.value) wavesArea.value = JSON.stringify(WAVE_TIMELINES[wavesPreset.value], null, 2);
+            wavesPreset.value = '';
+        };
+        document.getElementById('pan-waves-apply').onclick = () => {
+            const { timeline, errors } = parseWaveTimeline(wavesArea.value);
+            wavesErrors.textContent = errors.join('\n');
+            if (!timeline) {
+                this.showToast(`Wave timeline has ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+                return;
+            }
+            this.setWaveTimeline(timeline);
+            this.showToast("Wave Timeline Applied!");
+        };
+        const refreshSpawningBtn = () => {
+            spawningBtn.textContent = `SPAWNING: ${this.pantheonSpawning ? 'ON' : 'OFF'}`;
+        };
+        spawningBtn.onclick = () => {
+            this.pantheonSpawning = !this.pantheonSpawning;
+            refreshSpawningBtn();
+        };
+        refreshSpawningBtn();
+        
         // NEW: Player Tab & Time Scale
         document.getElementById('pan-timescale').oninput = (e) => {
             this.timeScale = parseFloat(e.target.value);
@@ -963,16 +1105,137 @@ export class Game {
     }
 
     setSeed(seed) {
-        this.rng = seed ? new SeededRandom(seed) : null;
+        this.random = new RunRandom(seed);
+        this.seed = this.random.seed;
     }
 
+    // World-generation roll (kept for the many createWorld/scatterProps call sites)
     randomValue(min, max) {
-        if (this.rng) {
-            if (max === undefined) return this.rng.next();
-            return this.rng.range(min, max);
+        return this.roll('world', min, max);
+    }
+
+    // Publish a gameplay event on the shared bus (see GameEvents); every payload carries tick/gameTime/replay.
+    // The run's achievement tracker is fed here rather than subscribed, so it goes away with the Game
+    emitEvent(type, payload = {}) {
+        const data = { ...payload, tick: this.simTick, gameTime: this.gameTime, replay: this.isReplay };
+        gameEvents.emit(type, data);
+        if (this.achievements) this.achievements.handle(type, data);
+    }
+
+    // Dev setting: "Verbose Entity Logs" also shows the live event log, spatial hash and entity pool panels (and the flow field on the big map)
+    setDebugMode(enabled) {
+        this.debugMode = !!enabled;
+        if (!this.eventLog) this.eventLog = new EventLogPanel(gameEvents);
+        this.eventLog.setEnabled(this.debugMode);
+        if (!this.gridPanel) this.gridPanel = new SpatialHashPanel();
+        this.gridPanel.setEnabled(this.debugMode);
+        if (!this.poolPanel) this.poolPanel = new PoolStatsPanel();
+        this.poolPanel.setEnabled(this.debugMode);
+    }
+
+    // Pools for everything spawned and discarded in bulk; released objects are reset out of play here
+    defineEntityPools() {
+        // Enemies: instanced mesh proxy + physics body per type (the record itself is rebuilt each spawn)
+        const shells = Object.entries(ENEMIES).map(([type, def]) => [type, def.model, def.size, { mass: 1 }]);
+        // Ghosts: Group 8, collide with 1 (Player) only - not the world (2), enemies (4) or each other (8)
+        shells.push(['ghost', 'ghost', 0.9, { mass: 0.5, collisionFilterGroup: 8, collisionFilterMask: 1 }]);
+        shells.push(['ghost_deadly', 'ghost_deadly', 1.1, { mass: 0.5, collisionFilterGroup: 8, collisionFilterMask: 1 }]);
+        for (const [type, model, size, bodyOptions] of shells) {
+            this.pools.define(`enemy:${type}`, () => {
+                const body = new CANNON.Body({ ...bodyOptions, linearDamping: 0.3, fixedRotation: true });
+                body.addShape(new CANNON.Sphere(size));
+                return { mesh: this.instancedRenderer.acquire(model, () => this.roll('fx')), body };
+            }, (shell) => {
+                this.scene.remove(shell.mesh);
+                if (shell.body.world) shell.body.world.removeBody(shell.body);
+                shell.mesh.rotation.set(0, 0, 0);
+                shell.mesh.scale.set(1, 1, 1);
+                shell.mesh.visible = true;
+                shell.body.collisionResponse = true; // Burrowers turn it off underground
+            });
+        }
+
+        const resetMesh = (mesh) => {
+            this.scene.remove(mesh);
+            mesh.position.set(0, 0, 0);
+            mesh.rotation.set(0, 0, 0);
+            mesh.scale.set(1, 1, 1);
+        };
+
+        // Enhanced fireball - core + flame aura
+        this.pools.define('fireball', () => {
+            const group = new THREE.Group();
+            group.add(new THREE.Mesh(
+                new THREE.SphereGeometry(0.4, 8, 8),
+                new THREE.MeshStandardMaterial({ color: 0xff6600, emissive: 0xff4400, emissiveIntensity: 2 })
+            ));
+            group.add(new THREE.Mesh(
+                new THREE.SphereGeometry(0.6, 8, 8),
+                new THREE.MeshBasicMaterial({ color: 0xff8800, transparent: true, opacity: 0.5 })
+            ));
+            return group;
+        }, resetMesh);
+
+        this.pools.define('missile', () => {
+            const group = new THREE.Group();
+            group.add(new THREE.Mesh(
+                new THREE.ConeGeometry(0.2, 0.8, 6),
+                new THREE.MeshStandardMaterial({ color: 0xaaaaaa, emissive: 0x666666, flatShading: true })
+            ));
+            return group;
+        }, resetMesh);
+
+        this.pools.define('bananerang', () => new THREE.Mesh(
+            new THREE.BoxGeometry(0.6, 0.2, 0.2),
+            new THREE.MeshStandardMaterial({ color: 0xffff00 })
+        ), resetMesh);
+
+        this.pools.define('bone', () => new THREE.Mesh(
+            new THREE.BoxGeometry(0.2, 0.2, 0.9),
+            new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true })
+        ), resetMesh);
+
+        // Bright U-shaped ground slash (each keeps its own material: opacity fades per slash)
+        this.pools.define('slash', () => {
+            const thetaLength = Math.PI * 0.9;
+            return new THREE.Mesh(
+                new THREE.RingGeometry(0.45, 2.2, 32, 1, -thetaLength / 2, thetaLength),
+                new THREE.MeshBasicMaterial({ color: 0xffee00, transparent: true, opacity: 1.0, side: THREE.DoubleSide })
+            );
+        }, (mesh) => {
+            resetMesh(mesh);
+            mesh.material.opacity = 1.0;
+        });
+
+        this.pools.define('damageNumber', () => document.createElement('div'), (div) => {
+            div.remove();
+            div.className = '';
+            div.style.cssText = '';
+        });
+    }
+
+    // Hand a dead / removed enemy's mesh and body back to its pool (bosses are not pooled)
+    releaseEnemyShell(enemy) {
+        if (enemy.eliteMarker) {
+            enemy.eliteMarker.dispose();
+            enemy.eliteMarker = null;
         }
-        if (max === undefined) return Math.random();
-        return Math.random() * (max - min) + min;
+        if (!enemy.shell) return;
+        this.pools.release(enemy.pool, enemy.shell);
+        enemy.shell = null;
+        enemy.recycled = true;
+    }
+
+    // Take a projectile out of play, returning pooled meshes
+    removeProjectile(proj) {
+        if (proj.pool) this.pools.release(proj.pool, proj.mesh);
+        else this.scene.remove(proj.mesh);
+    }
+
+    // Roll on a named RNG stream: roll(stream) -> [0, 1), roll(stream, min, max) -> [min, max)
+    roll(stream, min, max) {
+        if (max === undefined) return this.random.next(stream);
+        return this.random.range(stream, min, max);
     }
 
     initHUD() {
@@ -1145,7 +1408,7 @@ export class Game {
             if (req.type === 'damage') {
                 // Only take damage if PVP is active
                 if (this.gameMode === 'MULTI' && this.overtimeActive) {
-                    this.takeDamage(req.amount);
+                    this.takeDamage(req.amount, 'Opponent');
                     this.broadcastPresence();
                 }
             }
@@ -1178,17 +1441,17 @@ export class Game {
         // Better: Reuse createEnemy visual blocks.
         // For simplicity in this patch, I'll create a generic red orb if type unknown, or piggyback createEnemy.
         // But createEnemy generates random position. I need createEnemyAt(type, x, z, id).
-        this.createEnemyAt(data.type, data.x, data.z, data.id, data.hp);
+        this.createEnemyAt(data.type, data.x, data.z, data.id, data.hp, data.affixes);
     }
 
-    createEnemyAt(type, x, z, id, hp) {
+    createEnemyAt(type, x, z, id, hp, affixes = null) {
         // Bypass random generation
         // Reuse visual generation logic from createEnemy (copy-paste refactor simulated here)
         // I will basically duplicate the visual part of createEnemy for brevity or assume createEnemy can be refactored.
         // Refactoring createEnemy is cleaner.
         
         // Call generic creator (we will modify createEnemy to accept overrides)
-        this.createEnemy({ overrideType: type, overrideX: x, overrideZ: z, overrideId: id, overrideHp: hp });
+        this.createEnemy({ overrideType: type, overrideX: x, overrideZ: z, overrideId: id, overrideHp: hp, affixes, plain: !affixes });
     }
 
     broadcastPresence() {
@@ -1428,7 +1691,7 @@ export class Game {
             el.style.position = 'fixed';
             el.style.left = (x || window.innerWidth / 2) + 'px';
             el.style.top = (y || window.innerHeight / 2) + 'px';
-            el.style.width = Math.random() * 8 + 4 + 'px';
+            el.style.width = this.roll('fx') * 8 + 4 + 'px';
             el.style.height = el.style.width;
             el.style.background = color;
             el.style.borderRadius = '50%';
@@ -1437,8 +1700,8 @@ export class Game {
             el.style.zIndex = '10000';
             el.style.transform = `translate(-50%, -50%)`;
             
-            const angle = Math.random() * Math.PI * 2;
-            const velocity = Math.random() * 150 + 50;
+            const angle = this.roll('fx') * Math.PI * 2;
+            const velocity = this.roll('fx') * 150 + 50;
             const vx = Math.cos(angle) * velocity;
             const vy = Math.sin(angle) * velocity;
             
@@ -1448,7 +1711,7 @@ export class Game {
                 { transform: `translate(-50%, -50%) scale(1)`, opacity: 1 },
                 { transform: `translate(calc(-50% + ${vx}px), calc(-50% + ${vy}px)) scale(0)`, opacity: 0 }
             ], {
-                duration: 800 + Math.random() * 400,
+                duration: 800 + this.roll('fx') * 400,
                 easing: 'cubic-bezier(0.25, 1, 0.5, 1)'
             });
             
@@ -1608,33 +1871,22 @@ export class Game {
     }
 
     updateAuraOwnership() {
-        // Deprecated: GigaChad now unlocks via Level 3 Aura upgrade logic in selectUpgrade
+        // Deprecated: GigaChad now unlocks through its achievement (see Achievements)
     }
 
-    unlockCharacter(key) {
-        // TNS Mode shouldn't unlock global characters
-        if (this.gameMode === 'TNS') return;
-
-        if (!this.pendingUnlocks) this.pendingUnlocks = [];
-        // Check if already unlocked to avoid dupes
-        const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-        if (saved[key]) return;
-        
-        // Check if already pending
-        if (this.pendingUnlocks.includes(key)) return;
-        
-        this.pendingUnlocks.push(key);
-        this.showToast(`SECRET FOUND! (Check Game Over Screen)`);
-        this.playSound('unlock', 1.5, 0.5);
-    }
-
-    checkCalciumUnlock() {
-        if (this.skeletonKills >= 200 && this.minibossKilledAsMMOOVT) {
-            this.unlockCharacter('CALCIUM');
-        }
+    // Achievements and their character unlocks are saved by the tracker as soon as they're earned
+    createAchievementTracker() {
+        if (this.sandboxed || this.gameMode === 'PANTHEON') return null;
+        return new AchievementTracker(this.characterKey, (id, def) => {
+            const reward = def.reward.character ? `${CHARACTERS[def.reward.character].name} unlocked!` : `Title: ${def.reward.title}`;
+            this.showToast(`ACHIEVEMENT UNLOCKED: ${def.name} (${reward})`);
+            this.playSound('unlock', 1.5, 0.5);
+            this.emitEvent(GameEvents.ACHIEVEMENT_EARNED, { id, name: def.name, reward: { ...def.reward } });
+        });
     }
 
     async loadSound(url, name) {
+        if (!this.audioCtx) return null;
         try {
             const encodedUrl = encodeAssetPath(url);
             const response = await fetch(encodedUrl);
@@ -1652,6 +1904,7 @@ export class Game {
     }
 
     playSound(name, pitch = 1.0, volume = 1.0) {
+        if (!this.audioCtx || this.replaySeekTarget !== null) return; // Silent while fast-forwarding a replay
         if (this.audioCtx.state === 'suspended') {
             this.audioCtx.resume().catch(()=>{});
         }
@@ -1671,6 +1924,7 @@ export class Game {
     }
 
     playSynth(type, pitch = 1.0, volume = 1.0) {
+        if (!this.audioCtx || this.replaySeekTarget !== null) return;
         if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
         const t = this.audioCtx.currentTime;
         const osc = this.audioCtx.createOscillator();
@@ -1726,6 +1980,7 @@ export class Game {
     }
     
     startBGM() {
+        if (!this.audioCtx) return;
         if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
         this.stopBGM();
 
@@ -1756,7 +2011,7 @@ export class Game {
         // Random Gameplay Loop
         if (!trackUrl) {
             // Pick a random track different from last one if possible
-            let nextIndex = Math.floor(Math.random() * this.bgmTracks.length);
+            let nextIndex = Math.floor(this.roll('fx') * this.bgmTracks.length);
             if (this.currentTrackIndex === nextIndex && this.bgmTracks.length > 1) {
                 nextIndex = (nextIndex + 1) % this.bgmTracks.length;
             }
@@ -1892,6 +2147,7 @@ export class Game {
     init() {
         this.createWorld();
         this.createPlayer();
+        this.pools.prewarm(getPoolPrewarm(this.gameMode));
         
         // Restore TNS Save State
         if (this.gameMode === 'TNS' && this.lobbySettings.tnsData) {
@@ -1911,6 +2167,8 @@ export class Game {
             if (d.xpToLevel) this.xpToLevel = d.xpToLevel;
             if (d.coins) this.coins = d.coins;
             if (d.kills) this.kills = d.kills;
+            // Banked at the end of the earlier tier already
+            this.metaCarried = { coins: this.coins, kills: this.kills };
             if (d.evolutionStats) this.evolutionStats = d.evolutionStats;
 
             // Re-apply stats
@@ -1935,6 +2193,12 @@ export class Game {
 
         // Lore UI setup removed from here - handled globally in main.js
 
+        // Headless runs are stepped by the caller: no input listeners, HUD, music or render loop
+        if (this.headless) {
+            this.isPlaying = false;
+            return;
+        }
+
         window.addEventListener('keydown', e => this.onKey(e, true));
         window.addEventListener('keyup', e => this.onKey(e, false));
         window.addEventListener('resize', () => this.onResize());
@@ -1967,6 +2231,10 @@ export class Game {
             this.pantheonState = 'CREATIVE'; // Default
         }
 
+        if (this.isReplay) {
+            this.initReplayHUD();
+        }
+
         // Game only starts after intro sequence finishes
         this.isPlaying = false;
         this.lastTime = performance.now();
@@ -1981,6 +2249,10 @@ export class Game {
 
     onKey(e, pressed) {
         const key = e.key.toLowerCase();
+        // Replays ignore gameplay input; keys only drive the free camera
+        if (this.isReplay && pressed && key === 'f' && !e.repeat) {
+            this.toggleFreeCam();
+        }
         if (key === ' ') {
             this.keys.space = pressed;
             e.preventDefault();
@@ -2073,6 +2345,7 @@ export class Game {
         this.terrainPieces = [];
         this.ramps = [];
         this.obstacles = [];
+        this.flowField.invalidate();
         this.graves = [];
         this.clouds = []; // Track clouds
 
@@ -2651,12 +2924,12 @@ export class Game {
         // Occasional tree leaf falls
         this.updateLeaves = (dt) => {
             if (!this.leafSpawners || this.leafSpawners.length === 0 || !this.particleSystem) return;
-            if (Math.random() > 0.2) return;
-            const spawn = this.leafSpawners[Math.floor(Math.random() * this.leafSpawners.length)];
+            if (this.roll('fx') > 0.2) return;
+            const spawn = this.leafSpawners[Math.floor(this.roll('fx') * this.leafSpawners.length)];
             const pos = new THREE.Vector3(
-                spawn.x + (Math.random() - 0.5) * 1.2,
+                spawn.x + (this.roll('fx') - 0.5) * 1.2,
                 spawn.y,
-                spawn.z + (Math.random() - 0.5) * 1.2
+                spawn.z + (this.roll('fx') - 0.5) * 1.2
             );
             this.particleSystem.emit(pos, 0x1e7d1e, 2);
         };
@@ -2714,6 +2987,10 @@ export class Game {
             }
         } catch (e) {}
 
+        this.telegraphs.clear();
+        this.groundHazards.clear();
+        this.flowField.invalidate();
+
         const removeIf = (obj) => { try { if (!obj) return; if (obj && obj.parent) obj.parent.remove(obj); else if (obj) this.scene.remove(obj); } catch(e) {} };
 
         // Remove base ground mesh if it exists
@@ -2751,8 +3028,8 @@ export class Game {
                 } catch(e) {}
             });
             (this.turrets || []).forEach(t => { try { removeIf(t.mesh); } catch(e) {} });
-            (this.enemies || []).forEach(e => { try { removeIf(e.mesh); } catch(e) {} });
-            (this.projectiles || []).forEach(p => { try { removeIf(p.mesh); } catch(e) {} });
+            (this.enemies || []).forEach(e => { try { removeIf(e.mesh); this.releaseEnemyShell(e); } catch(e) {} });
+            (this.projectiles || []).forEach(p => { try { this.removeProjectile(p); } catch(e) {} });
             (this.xpOrbs || []).forEach(o => { try { o.destroy(this.scene); } catch(e) {} });
             (this.orbitingBlades || []).forEach(b => { try { removeIf(b.mesh); } catch(e) {} });
             // aura visuals are attached to player mesh; detach and remove
@@ -2798,6 +3075,7 @@ export class Game {
         this.chests = [];
         this.turrets = [];
         this.enemies = [];
+        this.enemyGrid.clear();
         this.projectiles = [];
         this.xpOrbs = [];
         this.orbitingBlades = [];
@@ -3153,7 +3431,7 @@ export class Game {
             }
             
             if (neighbors.length > 0) {
-                const chosen = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const chosen = neighbors[Math.floor(this.randomValue() * neighbors.length)];
                 grid[current.y + chosen.dy/2][current.x + chosen.dx/2] = 0; // Remove wall between
                 grid[chosen.y][chosen.x] = 0;
                 stack.push({x: chosen.x, y: chosen.y});
@@ -3165,8 +3443,8 @@ export class Game {
         // Carve Grave Rooms (3x3 clearings)
         const roomCount = 6;
         for(let i=0; i<roomCount; i++) {
-            const rx = Math.floor(randomRange(2, mazeSize - 4));
-            const ry = Math.floor(randomRange(2, mazeSize - 4));
+            const rx = Math.floor(this.randomValue(2, mazeSize - 4));
+            const ry = Math.floor(this.randomValue(2, mazeSize - 4));
             for(let y=0; y<4; y++) {
                 for(let x=0; x<4; x++) {
                     grid[ry+y][rx+x] = 0;
@@ -3321,9 +3599,9 @@ export class Game {
         let leafColor2 = 0x2d8a2d;
 
         if (this.tier > 1) {
-            treeColor = Math.random() * 0xffffff;
-            leafColor1 = Math.random() * 0xffffff;
-            leafColor2 = Math.random() * 0xffffff;
+            treeColor = this.randomValue() * 0xffffff;
+            leafColor1 = this.randomValue() * 0xffffff;
+            leafColor2 = this.randomValue() * 0xffffff;
         }
 
         for(let i = 0; i < 180; i++) {
@@ -3363,9 +3641,9 @@ export class Game {
                 radius: radius * 0.6
             });
             
-            const leafCount = Math.floor(randomRange(2, 4));
+            const leafCount = Math.floor(this.randomValue(2, 4));
             for (let j = 0; j < leafCount; j++) {
-                const leafSize = randomRange(1.2, 2) * radius;
+                const leafSize = this.randomValue(1.2, 2) * radius;
                 const leaves = new THREE.Mesh(
                     new THREE.DodecahedronGeometry(leafSize, 0),
                     new THREE.MeshStandardMaterial({ 
@@ -3375,14 +3653,14 @@ export class Game {
                     })
                 );
                 leaves.position.set(
-                    x + randomRange(-0.3, 0.3), 
+                    x + this.randomValue(-0.3, 0.3), 
                     terrainY + height + j * 0.8, 
-                    z + randomRange(-0.3, 0.3)
+                    z + this.randomValue(-0.3, 0.3)
                 );
                 leaves.castShadow = true;
                 leaves.receiveShadow = true;
                 leaves.userData.isTree = true;
-                leaves.userData.swayOffset = Math.random() * 100;
+                leaves.userData.swayOffset = this.roll('fx') * 100;
                 this.scene.add(leaves);
                 this.props.push(leaves);
 
@@ -3413,9 +3691,9 @@ export class Game {
             );
             rock.position.set(x, terrainY + size * 0.6, z);
             rock.rotation.set(
-                randomRange(0, Math.PI), 
-                randomRange(0, Math.PI * 2), 
-                randomRange(0, Math.PI)
+                this.randomValue(0, Math.PI), 
+                this.randomValue(0, Math.PI * 2), 
+                this.randomValue(0, Math.PI)
             );
             rock.castShadow = true;
             rock.receiveShadow = true;
@@ -3471,7 +3749,7 @@ export class Game {
             });
             
             // Sometimes add horizontal beam
-            if (Math.random() > 0.5) {
+            if (this.randomValue() > 0.5) {
                 const beam = new THREE.Mesh(
                     new THREE.BoxGeometry(3, 0.5, 0.6),
                     new THREE.MeshStandardMaterial({ 
@@ -3481,7 +3759,7 @@ export class Game {
                     })
                 );
                 beam.position.set(x, terrainY + height * 0.7, z);
-                beam.rotation.y = randomRange(0, Math.PI * 2);
+                beam.rotation.y = this.randomValue(0, Math.PI * 2);
                 beam.castShadow = true;
                 beam.receiveShadow = true;
                 this.scene.add(beam);
@@ -3491,12 +3769,12 @@ export class Game {
         
         // Extra tall ruined stone pillars for a more dramatic skyline
         for (let i = 0; i < 18; i++) {
-            const x = randomRange(-170, 170);
-            const z = randomRange(-170, 170);
+            const x = this.randomValue(-170, 170);
+            const z = this.randomValue(-170, 170);
             if (Math.sqrt(x * x + z * z) < 35) continue;
 
             const terrainY = this.getTerrainHeight(x, z);
-            const segments = Math.floor(randomRange(5, 9));
+            const segments = Math.floor(this.randomValue(5, 9));
             let currentY = terrainY;
 
             for (let j = 0; j < segments; j++) {
@@ -3508,9 +3786,9 @@ export class Game {
                         flatShading: true
                     })
                 );
-                const wobble = (j === 0) ? 0 : randomRange(-0.15, 0.15);
+                const wobble = (j === 0) ? 0 : this.randomValue(-0.15, 0.15);
                 brick.position.set(x + wobble, currentY + 0.45, z + wobble);
-                brick.rotation.y = randomRange(0, Math.PI * 2);
+                brick.rotation.y = this.randomValue(0, Math.PI * 2);
                 brick.castShadow = true;
                 brick.receiveShadow = true;
                 this.scene.add(brick);
@@ -3529,16 +3807,16 @@ export class Game {
             }
 
             // Simple vine strips
-            if (Math.random() > 0.4) {
+            if (this.randomValue() > 0.4) {
                 const vine = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.2, randomRange(2, 4), 0.2),
+                    new THREE.BoxGeometry(0.2, this.randomValue(2, 4), 0.2),
                     new THREE.MeshStandardMaterial({
                         color: 0x1f6f2a,
                         roughness: 1,
                         flatShading: true
                     })
                 );
-                vine.position.set(x + randomRange(-0.7, 0.7), terrainY + randomRange(3, 6), z + 0.95);
+                vine.position.set(x + this.randomValue(-0.7, 0.7), terrainY + this.randomValue(3, 6), z + 0.95);
                 vine.castShadow = true;
                 this.scene.add(vine);
                 this.props.push(vine);
@@ -4342,88 +4620,96 @@ export class Game {
         this.scene.add(group);
         this.playerMesh = group;
 
-        // Mouse attack for knight / Calcium bone throw
+        // Mouse attack for knight / Calcium bone throw.
+        // The click is queued as tick input and resolved in handlePrimaryAction so replays reproduce it.
         window.addEventListener('mousedown', (e) => {
             if (e.button !== 0) return;
             if (!this.isPlaying || this.isPaused) return;
+            // Replays only grab the pointer for free camera look
+            if (this.isReplay && !(this.freeCam && this.freeCam.enabled && e.target === this.renderer.domElement)) return;
 
-            // Grave Interaction (Awakening Mode)
-            if (this.gameMode === 'AWAKENING') {
-                const p = this.playerBody.position;
-                for (let g of this.graves) {
-                    if (!g.used) {
-                        const dist = Math.hypot(g.x - p.x, g.z - p.z);
-                        if (dist < 4.0) {
-                            g.used = true;
-                            // Awaken Bob
-                            const isDeadly = this.gameTime > 1200; // 20 mins
-                            const type = isDeadly ? 'DEADLY_BOB' : 'BOB';
-                            this.spawnBob(g.x, g.z, type);
-                            return;
-                        }
+            // Ensure we grab pointer lock on first click, but still allow this click to attack
+            if (this.renderer && document.pointerLockElement !== this.renderer.domElement) {
+                const p = this.renderer.domElement.requestPointerLock();
+                if (p instanceof Promise) p.catch(() => {});
+            }
+
+            if (!this.isReplay) this.pendingPrimaryAction = true;
+        });
+    }
+
+    // Primary action (left click / tap) for the current sim tick: graves, Monke crate, manual attacks
+    handlePrimaryAction() {
+        // Grave Interaction (Awakening Mode)
+        if (this.gameMode === 'AWAKENING') {
+            const p = this.playerBody.position;
+            for (let g of this.graves) {
+                if (!g.used) {
+                    const dist = Math.hypot(g.x - p.x, g.z - p.z);
+                    if (dist < 4.0) {
+                        g.used = true;
+                        // Awaken Bob
+                        const isDeadly = this.gameTime > 1200; // 20 mins
+                        const type = isDeadly ? 'DEADLY_BOB' : 'BOB';
+                        this.spawnBob(g.x, g.z, type);
+                        return;
                     }
                 }
             }
+        }
 
-            // If player clicked near the Monke crate, check requirements
-            try {
-                if (this.monkeCrate && !this.monkeCrate.interacted) {
-                    const worldPos = new THREE.Vector3(this.playerBody.position.x, this.playerBody.position.y, this.playerBody.position.z);
-                    const d = worldPos.distanceTo(this.monkeCrate.pos);
-                    if (d < 3.5) {
-                        // REQUIREMENT CHECK: Bananerang Level 3
-                        const bananaLvl = this.weaponLevels['BANANERANG'] || 0;
-                        if (bananaLvl < 3) {
-                            this.showToast("Locked: Requires Bananerang Lvl 3!");
-                            this.playSound('bonk', 0.5, 0.5);
-                            return;
-                        }
+        // If player clicked near the Monke crate, check requirements
+        try {
+            if (this.monkeCrate && !this.monkeCrate.interacted) {
+                const worldPos = new THREE.Vector3(this.playerBody.position.x, this.playerBody.position.y, this.playerBody.position.z);
+                const d = worldPos.distanceTo(this.monkeCrate.pos);
+                if (d < 3.5) {
+                    // REQUIREMENT CHECK: Bananerang Level 3
+                    const bananaLvl = this.weaponLevels['BANANERANG'] || this.weaponLevels['BANANA_SWARM'] || 0;
+                    if (bananaLvl < 3) {
+                        this.showToast("Locked: Requires Bananerang Lvl 3!");
+                        this.playSound('bonk', 0.5, 0.5);
+                        return;
+                    }
 
-                        // mark interacted and immediately trigger unlock sequence
-                        this.monkeCrate.interacted = true;
-                        // visually open the door: rotate door outward if present
-                        if (this.monkeCrate.doorMesh) {
-                            const door = this.monkeCrate.doorMesh;
-                            // animate simple rotation (instant for reliability)
-                            door.rotation.y = Math.PI * 0.9;
-                            door.position.z += 0.2;
-                        }
-                        // reveal monke visual immediately
-                        if (this.monkeCrate.monkeVisual) {
-                            this.monkeCrate.monkeVisual.visible = true;
-                        }
-                        // Trigger unlock animation/sequence
-                        this.triggerMonkeUnlock();
-                        return; // do not also perform an attack on the same click
+                    // mark interacted and immediately trigger unlock sequence
+                    this.monkeCrate.interacted = true;
+                    // visually open the door: rotate door outward if present
+                    if (this.monkeCrate.doorMesh) {
+                        const door = this.monkeCrate.doorMesh;
+                        // animate simple rotation (instant for reliability)
+                        door.rotation.y = Math.PI * 0.9;
+                        door.position.z += 0.2;
                     }
+                    // reveal monke visual immediately
+                    if (this.monkeCrate.monkeVisual) {
+                        this.monkeCrate.monkeVisual.visible = true;
+                    }
+                    // Trigger unlock animation/sequence
+                    this.triggerMonkeUnlock();
+                    return; // do not also perform an attack on the same click
                 }
-            } catch(e){}
-
-            // Ensure we grab pointer lock on first click, but still allow this click to attack
-            if (this.renderer && document.pointerLockElement !== this.renderer.domElement) {
-                const p = this.renderer.domElement.requestPointerLock();
-                if (p instanceof Promise) p.catch(() => {});
             }
+        } catch(e){}
 
-            // Check for manual slash ability (Any char with sword)
-            const hasSword = (this.weaponLevels['KNIGHT_SWORD'] || 0) > 0 || (this.weaponLevels['GIGA_SWORD'] || 0) > 0;
+        // Check for manual slash ability (Any char with sword)
+        const hasSword = (this.weaponLevels['KNIGHT_SWORD'] || 0) > 0 || (this.weaponLevels['GIGA_SWORD'] || 0) > 0;
 
-            if (this.characterKey === 'MMOOVT' || this.characterKey === 'SIR_CHAD' || hasSword) {
-                this.knightSlash();
-            }
-            
-            if (this.characterKey === 'CALCIUM') {
-                this.throwBone();
-            } else if (this.characterKey === 'BOBERTO' && !hasSword) {
-                // Manual ghost spawn check? Or just passive.
-                this.particleSystem.emit(this.playerMesh.position.clone().add(new THREE.Vector3(0,1,0)), 0xffffff, 5);
-            }
-            
-            // Pantheon Placement
-            if (this.gameMode === 'PANTHEON' && this.activeTool) {
-                this.pantheonSpawn();
-            }
-        });
+        if (this.characterKey === 'MMOOVT' || this.characterKey === 'SIR_CHAD' || hasSword) {
+            this.knightSlash();
+        }
+        
+        if (this.characterKey === 'CALCIUM') {
+            this.throwBone();
+        } else if (this.characterKey === 'BOBERTO' && !hasSword) {
+            // Manual ghost spawn check? Or just passive.
+            this.particleSystem.emit(this.playerMesh.position.clone().add(new THREE.Vector3(0,1,0)), 0xffffff, 5);
+        }
+        
+        // Pantheon Placement
+        if (this.gameMode === 'PANTHEON' && this.activeTool) {
+            this.pantheonSpawn();
+        }
     }
     
     pantheonSpawn() {
@@ -4454,6 +4740,7 @@ export class Game {
         
         const t = this.activeTool;
         const data = { type: t.type, id: t.id, x, y, z, rotation: this.playerMesh.rotation.y };
+        if (t.type === 'enemy' && this.pantheonAffixes.length > 0) data.affixes = [...this.pantheonAffixes];
         
         this.spawnFromData(data);
         this.placedObjects.push(data);
@@ -4464,7 +4751,7 @@ export class Game {
     spawnFromData(d) {
         // Handle spawning based on type
         if (d.type === 'enemy') {
-            this.createEnemy({ overrideX: d.x, overrideZ: d.z, overrideType: d.id });
+            this.createEnemy({ overrideX: d.x, overrideZ: d.z, overrideType: d.id, affixes: d.affixes });
         } else if (d.type === 'ghost') {
             // Need custom spawn for ghost at location
             // Hack: override createGhost to accept pos? No, just push to enemies manually
@@ -4597,11 +4884,18 @@ export class Game {
         }
     }
     
+    // Swap the spawn timeline (Pantheon editor, loaded worlds); restarts its timers and events
+    setWaveTimeline(timeline) {
+        this.customWaves = timeline;
+        this.waveDirector = new WaveDirector(timeline);
+    }
+
     exportWorld() {
         const data = {
             version: 1,
             objects: this.placedObjects
         };
+        if (this.customWaves) data.waves = this.customWaves;
         const str = JSON.stringify(data);
         const b64 = btoa(str);
         const ta = document.getElementById('pan-export-area');
@@ -4630,6 +4924,12 @@ export class Game {
                     }
                 });
             }
+            // Custom waves (kept across tier rebuilds and Pantheon's clear)
+            if (data.waves && !this.customWaves) {
+                const { timeline, errors } = parseWaveTimeline(JSON.stringify(data.waves));
+                if (timeline) this.setWaveTimeline(timeline);
+                else console.warn('Ignoring invalid world waves:', errors);
+            }
             this.showToast("Custom World Loaded!");
         } catch(e) {
             console.error(e);
@@ -4768,13 +5068,13 @@ export class Game {
 
         // Tutorial logic moved to after Lore Note dismissal for new players.
         // For returning players (lore read), run tutorial if somehow missed?
-        if (this.tier === 1 && !this.tutorialRun) {
-            const hasReadLore = localStorage.getItem('uberthump_lore_read');
-            const hasTut = localStorage.getItem('uberthump_tut_done');
+        if (this.tier === 1 && !this.tutorialRun && !this.sandboxed) {
+            const hasReadLore = getFlag(FLAGS.LORE_READ);
+            const hasTut = getFlag(FLAGS.TUTORIAL_DONE);
             
             if (hasReadLore && !hasTut) {
                  setTimeout(() => this.runTutorial(), 500);
-                 localStorage.setItem('uberthump_tut_done', 'true');
+                 setFlag(FLAGS.TUTORIAL_DONE);
                  this.tutorialRun = true;
             }
         }
@@ -4892,14 +5192,14 @@ export class Game {
         
         for(let i=0; i<30; i++) {
             const p = new THREE.Mesh(pGeo, pMat);
-            const r = 2.2 + Math.random();
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
+            const r = 2.2 + this.roll('fx');
+            const theta = this.roll('fx') * Math.PI * 2;
+            const phi = this.roll('fx') * Math.PI;
             p.position.setFromSphericalCoords(r, phi, theta);
             p.userData = { 
                 basePos: p.position.clone(), 
-                phase: Math.random() * 10, 
-                speed: 0.5 + Math.random() 
+                phase: this.roll('fx') * 10, 
+                speed: 0.5 + this.roll('fx') 
             };
             pGroup.add(p);
         }
@@ -4916,9 +5216,9 @@ export class Game {
             b.position.set(10, 0, 0); // radius 10
             const orbit = new THREE.Group();
             orbit.rotation.y = (i / 6) * Math.PI * 2;
-            orbit.rotation.z = Math.random() * 0.5; // Slight tilt
+            orbit.rotation.z = this.roll('fx') * 0.5; // Slight tilt
             orbit.add(b);
-            orbit.userData = { isOrbiter: true, speed: 1.0 + Math.random() };
+            orbit.userData = { isOrbiter: true, speed: 1.0 + this.roll('fx') };
             beaconGroup.add(orbit);
         }
         beaconGroup.userData = { isBeacon: true };
@@ -4975,8 +5275,8 @@ export class Game {
                 const block = new THREE.Mesh(new THREE.BoxGeometry(w, 1.2, w), rockMat);
                 block.position.y = i * 1.1;
                 // Add "runes" or details?
-                block.rotation.y = (Math.random() - 0.5) * 0.2;
-                block.rotation.z = (Math.random() - 0.5) * 0.1;
+                block.rotation.y = (this.randomValue() - 0.5) * 0.2;
+                block.rotation.z = (this.randomValue() - 0.5) * 0.1;
                 pillar.add(block);
             }
             pillar.position.set(offsetX, terrainY + 1.2, 0);
@@ -5379,8 +5679,9 @@ export class Game {
         const maxHpVal = hpVal; // Fix: Define maxHpVal
 
         const bossObj = {
-            id: 'BOSS_MAIN_' + Date.now(),
+            id: this.entityId('BOSS_MAIN_'),
             name: bossName,
+            bossKey: bossKeyForName(bossName) || 'GATEKEEPER',
             mesh: group,
             body: physicsBody,
             hp: hpVal,
@@ -5406,8 +5707,9 @@ export class Game {
         
 
 
-        this.enemies.push(this.bossEnemy);
+        this.addEnemy(this.bossEnemy);
         this.createBossBar(this.bossEnemy);
+        this.emitBossSpawned(this.bossEnemy);
 
         // --- Create an inescapable arena sphere around the chosen flat-top so players can't leave while boss is active ---
         try {
@@ -5488,11 +5790,24 @@ export class Game {
     spawnRandomMiniboss() {
         if (this.bossEnemy) return; // Wait until current boss is dead
 
-        const types = ['JOHN_PORK', 'KAREN', 'BRUH_NUBIS'];
-        const type = types[Math.floor(Math.random() * types.length)];
+        const type = MINIBOSS_TYPES[Math.floor(this.roll('spawns') * MINIBOSS_TYPES.length)];
         this.spawnMiniboss(type);
     }
 
+    // Wave event Bob: near the boss portal, or around the player when there is none
+    spawnEventBob(type) {
+        if (type === 'OVERTIME_BOB') this.bobSpawnCount = (this.bobSpawnCount || 0) + 1; // Stacks its HP
+        let sx = 0, sz = 0;
+        if (this.bossPortal && this.bossPortal.position) {
+            sx = this.bossPortal.position.x + (this.roll('spawns') - 0.5) * 6;
+            sz = this.bossPortal.position.z + (this.roll('spawns') - 0.5) * 6;
+        } else {
+            sx = this.playerBody.position.x + Math.cos(this.roll('spawns') * Math.PI*2) * 18;
+            sz = this.playerBody.position.z + Math.sin(this.roll('spawns') * Math.PI*2) * 18;
+        }
+        this.spawnBob(sx, sz, type);
+    }
+
     spawnMiniboss(type, hpOverride = null) {
         if (this.bossEnemy) return; 
         
@@ -5503,7 +5818,7 @@ export class Game {
         // Find valid spawn location near player
         let x=0, z=0;
         for(let i=0; i<20; i++) {
-             const angle = Math.random() * Math.PI * 2;
+             const angle = this.roll('spawns') * Math.PI * 2;
              const dist = 20;
              x = playerPos.x + Math.cos(angle) * dist;
              z = playerPos.z + Math.sin(angle) * dist;
@@ -5608,7 +5923,7 @@ export class Game {
         const hpVal = hpOverride !== null ? hpOverride : maxHpVal;
 
         // Slightly buffed HP for minibosses
-        const mbId = 'MINIBOSS_' + Date.now();
+        const mbId = this.entityId('MINIBOSS_');
         this.bossEnemy = {
             id: mbId,
             name: name,
@@ -5621,13 +5936,25 @@ export class Game {
             isMainBoss: false,
             type: 'miniboss',
             minibossType: type, // Store specific type for respawning
+            bossKey: type,
             farTimer: 0
         };
-        this.enemies.push(this.bossEnemy);
+        this.addEnemy(this.bossEnemy);
         this.createBossBar(this.bossEnemy);
+        this.emitBossSpawned(this.bossEnemy);
         this.showToast(`${name} has appeared!`);
     }
 
+    emitBossSpawned(boss) {
+        this.emitEvent(GameEvents.BOSS_SPAWNED, {
+            id: boss.id,
+            name: boss.name,
+            isMainBoss: !!boss.isMainBoss,
+            hp: boss.maxHp || boss.hp,
+            tier: this.tier
+        });
+    }
+
     respawnBossNearPlayer(oldBoss) {
         // Save state
         const savedHp = oldBoss.hp;
@@ -5639,6 +5966,7 @@ export class Game {
         if (oldBoss.body) this.world.removeBody(oldBoss.body);
         if (oldBoss.mesh) this.scene.remove(oldBoss.mesh);
         this.enemies = this.enemies.filter(e => e.id !== oldBoss.id);
+        this.enemyGrid.remove(oldBoss);
         this.bossEnemy = null; // Clear so createBoss allows new one
 
         // Spawn new
@@ -5651,6 +5979,79 @@ export class Game {
         }
     }
 
+    // Boss shield phase (see BossAttacks): immune and raised until a guard miniboss dies
+    raiseBossShield(boss, shield) {
+        boss.isShielded = true;
+        if (shield.announce) this.showToast(shield.announce);
+
+        const rise = shield.rise || 0;
+        boss.body.position.y += rise;
+        boss.mesh.position.y += rise;
+        if (!boss.shieldMesh) {
+            const s = new THREE.Mesh(new THREE.SphereGeometry(3, 16, 16), new THREE.MeshBasicMaterial({color:0x00ffff, transparent:true, opacity:0.3, wireframe:true}));
+            boss.mesh.add(s);
+            boss.shieldMesh = s;
+        }
+        boss.shieldMesh.visible = true;
+
+        // spawnMiniboss only spawns while no boss is up, and makes the guard the current boss: keep the shielded boss as it
+        const shieldedBoss = this.bossEnemy;
+        this.bossEnemy = null;
+        this.spawnMiniboss(shield.minion, shield.hp);
+        const guard = this.bossEnemy;
+        this.bossEnemy = shieldedBoss;
+        if (guard) {
+            if (shield.name) guard.name = shield.name;
+            guard.shieldFor = boss.id;
+        }
+
+        if (shield.spawnRate !== undefined) this.spawnRateMultiplier = shield.spawnRate;
+    }
+
+    breakBossShield(boss, shield) {
+        boss.isShielded = false;
+        this.showToast("SHIELD BROKEN!");
+
+        const rise = (shield && shield.rise) || 0;
+        boss.body.position.y -= rise;
+        boss.mesh.position.y -= rise;
+        if (boss.shieldMesh) boss.shieldMesh.visible = false;
+
+        // Clear minions for the duel
+        this.enemies.forEach(e => {
+            if (!e.isBoss) this.despawnEnemy(e);
+        });
+        if (shield && shield.breakSpawnRate !== undefined) this.spawnRateMultiplier = shield.breakSpawnRate;
+    }
+
+    // Weak add summoned by a boss attack
+    spawnBossMinion(x, z, minion) {
+        const y = this.getTerrainHeight(x, z) + 0.5;
+        const grp = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.9, 0.5), new THREE.MeshStandardMaterial({ color: minion.color }));
+        body.position.y = 0.5;
+        grp.add(body);
+        grp.position.set(x, y, z);
+        this.scene.add(grp);
+
+        const b = new CANNON.Body({ mass: 1, position: new CANNON.Vec3(x, y, z), fixedRotation: true });
+        b.addShape(new CANNON.Sphere(0.5));
+        this.world.addBody(b);
+
+        this.addEnemy({
+            id: this.entityId(minion.type + '_'),
+            mesh: grp,
+            body: b,
+            hp: minion.hp,
+            maxHp: minion.hp,
+            size: minion.size,
+            attackCooldown: 0,
+            anim: {},
+            walkTime: 0,
+            type: minion.type
+        });
+    }
+
     createBossBar(boss) {
         const container = document.getElementById('boss-bars-container');
         if (!container) return;
@@ -5733,7 +6134,7 @@ export class Game {
         }
         
         const bob = {
-            id: 'BOB_' + Date.now(),
+            id: this.entityId('BOB_'),
             name: type.replace('_', ' '),
             mesh: group,
             body: body,
@@ -5743,25 +6144,24 @@ export class Game {
             isBoss: true,
             isMainBoss: false, // Don't trigger portal
             type: type === 'OVERTIME_BOB' ? 'OVERTIME_BOB' : 'BOB',
+            bossKey: 'BOB',
             walkTime: 0,
             anim: {},
             bobDamage: bobDamagePerHit
         };
-        this.enemies.push(bob);
+        this.addEnemy(bob);
         this.createBossBar(bob);
+        this.emitBossSpawned(bob);
     }
 
     spawnMonkeCrate() {
         if (this.gameMode === 'AWAKENING') return;
         // Only spawn if Monke isn't unlocked yet
-        try {
-            const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-            if (saved.MONKE) return;
-        } catch(e) { return; }
+        if (getUnlocks().MONKE) return;
 
         let x=0, z=0;
         // Far away position
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.randomValue() * Math.PI * 2;
         const dist = 140; 
         x = Math.cos(angle) * dist;
         z = Math.sin(angle) * dist;
@@ -5881,13 +6281,7 @@ export class Game {
 
         try {
             // If player has already unlocked the secret note in a previous playthrough, don't spawn it again.
-            try {
-                if (localStorage.getItem('uberthump_secret_note_unlocked') === 'true') {
-                    return;
-                }
-            } catch (e) {
-                // ignore localStorage errors and proceed to spawn
-            }
+            if (getFlag(FLAGS.SECRET_NOTE_FOUND)) return;
 
             // If already placed or unlocked within this run, keep the existing one
             if (this.secretNote && !this.secretNote.collected) return;
@@ -5950,7 +6344,7 @@ export class Game {
             // Slight bend effect (safe try/catch)
             try {
                 paper.geometry.applyMatrix4(
-                    new THREE.Matrix4().makeShear(0.05 * (Math.random() - 0.5), 0.02, 0, 0, 0, 0)
+                    new THREE.Matrix4().makeShear(0.05 * (this.randomValue() - 0.5), 0.02, 0, 0, 0, 0)
                 );
             } catch (e) {}
 
@@ -5982,18 +6376,13 @@ export class Game {
 
         try {
             // Check for dev override (supamonke code)
-            let forceCabin = false;
-            try { forceCabin = localStorage.getItem('uberthump_force_cabin') === 'true'; } catch(e) {}
+            const forceCabin = getFlag(FLAGS.FORCE_CABIN);
 
             // 1/100 chance to spawn (or 100% if dev override active)
-            if (!forceCabin && Math.random() > 0.01) return;
+            if (!forceCabin && this.randomValue() > 0.01) return;
 
             // If player has already found the diary, don't spawn again (unless forced)
-            try {
-                if (!forceCabin && localStorage.getItem('uberthump_diary_unlocked') === 'true') {
-                    return;
-                }
-            } catch (e) {}
+            if (!forceCabin && getFlag(FLAGS.DIARY_FOUND)) return;
 
             if (this.diaryCabin && !this.diaryCabin.collected) return;
 
@@ -6247,8 +6636,8 @@ export class Game {
             let sx = 0, sz = 0, sy = 0;
 
             for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 80 + Math.random() * 40; // Closer for easier testing
+                const angle = this.randomValue() * Math.PI * 2;
+                const dist = 80 + this.randomValue() * 40; // Closer for easier testing
                 const x = this.playerBody.position.x + Math.cos(angle) * dist;
                 const z = this.playerBody.position.z + Math.sin(angle) * dist;
 
@@ -6261,7 +6650,7 @@ export class Game {
 
             if (!placed) {
                 // Fallback: create platform near player
-                const angle = Math.random() * Math.PI * 2;
+                const angle = this.randomValue() * Math.PI * 2;
                 sx = this.playerBody.position.x + Math.cos(angle) * 60;
                 sz = this.playerBody.position.z + Math.sin(angle) * 60;
                 this.createTerrainPiece(sx, sz, 18, 5);
@@ -6346,7 +6735,7 @@ export class Game {
             group.add(interiorGlow);
 
             group.position.set(sx, 0, sz);
-            group.rotation.y = Math.random() * Math.PI * 2;
+            group.rotation.y = this.randomValue() * Math.PI * 2;
             group.userData.isDiaryCabin = true;
             this.scene.add(group);
 
@@ -6374,11 +6763,11 @@ export class Game {
         } else {
             // Random generation (Host/Local only)
             for (let tries = 0; tries < 30; tries++) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 45 + Math.random() * 25;
+                const angle = this.roll('spawns') * Math.PI * 2;
+                const dist = 45 + this.roll('spawns') * 25;
                 x = this.playerBody.position.x + Math.sin(angle) * dist;
                 z = this.playerBody.position.z + Math.cos(angle) * dist;
-                if (!this.isLava(x, z)) {
+                if (!this.isLava(x, z) && this.flowField.reachable(x, z)) {
                     spawnTerrainY = this.getTerrainHeight(x, z);
                     valid = true;
                     break;
@@ -6388,440 +6777,123 @@ export class Game {
         
         if (!valid) return;
         
-        const types = ['ogre', 'skeleton', 'piglin', 'zombie', 'spider'];
-        const type = options.overrideType || types[Math.floor(Math.random() * types.length)];
-        
-        // ... (Visual generation continues) ...
-        const group = new THREE.Group();
-        let size = 1;
-        let displayName = "Enemy";
+        const type = options.overrideType || pickEnemyType(this.tier, () => this.roll('spawns'));
+        if (!type) return;
+        // Unknown types (old saves / peers) fall back to the zombie stats and model
+        const def = ENEMIES[type] || ENEMIES.zombie;
+
+        // Pooled instanced copy of the model; colours vary slightly per spawn to prevent uniformity
+        const pool = `enemy:${ENEMIES[type] ? type : 'zombie'}`;
+        const shell = this.pools.acquire(pool);
+        const group = shell.mesh;
+        this.instancedRenderer.respawn(group, () => this.roll('fx'));
+        // Limbs swing in the instance shader; the lists stay so walkTime advances as before
         const animParts = { arms: [], legs: [] };
-
-        // Helper to vary color slightly to prevent uniformity
-        const varyColor = (hex, variance = 0.15) => {
-            const c = new THREE.Color(hex);
-            const offset = (Math.random() - 0.5) * variance;
-            c.offsetHSL(0, 0, offset);
-            return c;
-        };
+        const size = def.size;
+        const displayName = def.name;
         
-        // Buff Damage scaling
-        const damageMult = 2.5; // Significantly higher damage output for enemies
-
-        if (type === 'ogre') {
-            const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0x4a7c59), flatShading: true });
-            const armorMat = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.3, roughness: 0.6, flatShading: true });
+        const targetY = spawnTerrainY + size;
+        const spawnStartY = targetY - 3; // rise up from below ground
 
-            const body = new THREE.Mesh(
-                new THREE.BoxGeometry(1.3, 1.6, 0.9),
-                skinMat
-            );
-            body.position.y = 0.8;
-            group.add(body);
+        group.position.set(x, spawnStartY, z);
+        group.castShadow = true;
+        this.scene.add(group);
+        
+        const physicsBody = shell.body;
+        resetBody(physicsBody, x, spawnStartY, z);
+        this.world.addBody(physicsBody);
+        
+        // Tier Scaling - 15x PER tier exponential
+        const tierHpMult = Math.pow(15, this.tier - 1);
+        
+        // Base stats from the ENEMIES table (Bestiary relative values, halved as requested)
+        const baseTypeHp = def.hp;
 
-            const belt = new THREE.Mesh(
-                new THREE.BoxGeometry(1.35, 0.25, 0.95),
-                armorMat
-            );
-            belt.position.y = 0.25;
-            group.add(belt);
-            
-            const head = new THREE.Mesh(
-                new THREE.BoxGeometry(1.0, 1.0, 1.0),
-                skinMat
-            );
-            head.position.y = 1.9;
-            group.add(head);
+        // Formula: (Base + Level Scaling) * Tier
+        // Level scaling needs to be significant enough that enemies don't get one-shot immediately
+        const levelScaling = this.level * 2.5; 
+        // plain: never elite (split-off copies); affixes: placed / replicated elites
+        const isElite = !options.plain && (!!options.elite || !!options.affixes || this.curseEffects.eliteOnly);
+        const placed = options.affixes ? options.affixes.filter(id => ELITE_AFFIXES[id]) : null; // Drop ids old worlds / peers don't know
+        const affixes = isElite ? (placed || pickEliteAffixes(() => this.roll('spawns'))) : null;
+        const hpMult = this.curseEffects.enemyHealthMult * (isElite ? ELITE.HP_MULT : 1);
+        const hpValue = options.overrideHp || ((baseTypeHp + levelScaling) * tierHpMult * hpMult);
+        const enemyId = options.overrideId || this.entityId('e');
 
-            const brow = new THREE.Mesh(
-                new THREE.BoxGeometry(1.0, 0.2, 0.4),
-                armorMat
-            );
-            brow.position.set(0, 2.15, 0.45);
-            group.add(brow);
-            
-            const armL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.45, 1.2, 0.45),
-                skinMat
-            );
-            armL.position.set(-0.9, 0.9, 0);
-            group.add(armL);
-            
-            const armR = armL.clone();
-            armR.position.x = 0.9;
-            group.add(armR);
+        // Multiplayer Sync: If we are HOST (authority) and this is a fresh spawn (no overrideId), broadcast it
+        if (this.gameMode === 'MULTI' && this.room && !options.overrideId) {
+            const isHost = Object.keys(this.room.peers).sort()[0] === this.room.clientId;
+            if (isHost) {
+                this.room.send({
+                    type: 'spawnEnemy',
+                    data: {
+                        type: type,
+                        x: x,
+                        z: z,
+                        id: enemyId,
+                        hp: hpValue,
+                        affixes
+                    }
+                });
+            } else {
+                // If not host and trying to auto-spawn, abort!
+                // Wait for host event.
+                this.pools.release(pool, shell);
+                return;
+            }
+        }
 
-            const padL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.7, 0.3, 0.7),
-                armorMat
-            );
-            padL.position.set(-0.9, 1.4, 0);
-            group.add(padL);
-            const padR = padL.clone();
-            padR.position.x = 0.9;
-            group.add(padR);
-
-            animParts.arms.push(armL, armR);
-            size = 1.25;
-            displayName = "Ogre";
-        } else if (type === 'skeleton') {
-            // Pixelly skeleton with ribs and spine
-            const boneMat = new THREE.MeshStandardMaterial({ color: varyColor(0xdddddd, 0.05), flatShading: true });
+        const enemy = {
+            id: enemyId,
+            name: affixes ? eliteName(displayName, affixes) : displayName,
+            mesh: group,
+            body: physicsBody,
+            shell,
+            pool,
+            hp: hpValue,
+            maxHp: hpValue,
+            size: size,
+            attackCooldown: 0,
+            anim: animParts,
+            walkTime: 0,
+            type,
+            def, // ENEMIES entry (speed, contact damage, behaviour, drops)
+            isElite,
+            affixes, // ELITE_AFFIXES ids (elites only)
+            ai: createEnemyAI(), // Behaviour state machine (EnemyAI.js)
+            // Extra state for special enemies
+            isCharging: false,
+            chargeTimer: 0,
+            spawn: {
+                timer: 0,
+                duration: 0.7,
+                startY: spawnStartY,
+                targetY: targetY
+            }
+        };
+        this.addEnemy(enemy);
+        if (isElite) {
+            enemy.eliteMarker = new EliteMarker(this.scene, enemy);
+            runAffixHook(this, enemy, 'spawn');
+            this.refreshStatusTint(enemy);
+        }
+    }
 
-            const spine = new THREE.Mesh(
-                new THREE.BoxGeometry(0.25, 1.3, 0.25),
-                boneMat
-            );
-            spine.position.y = 0.75;
-            group.add(spine);
+    autoAttack() {
+        if (this.enemies.length === 0) return;
 
-            for (let i = 0; i < 3; i++) {
-                const rib = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.9, 0.15, 0.25),
-                    boneMat
-                );
-                rib.position.y = 0.4 + i * 0.3;
-                group.add(rib);
-            }
-            
-            const head = new THREE.Mesh(
-                new THREE.BoxGeometry(0.8, 0.8, 0.8),
-                new THREE.MeshStandardMaterial({ color: 0xf5f5f5, flatShading: true })
-            );
-            head.position.y = 1.6;
-            group.add(head);
-            
-            const eye1 = new THREE.Mesh(
-                new THREE.BoxGeometry(0.16, 0.16, 0.16),
-                new THREE.MeshStandardMaterial({ color: 0x000000 })
-            );
-            eye1.position.set(-0.18, 1.7, 0.38);
-            group.add(eye1);
-            
-            const eye2 = eye1.clone();
-            eye2.position.x = 0.18;
-            group.add(eye2);
-
-            const jaw = new THREE.Mesh(
-                new THREE.BoxGeometry(0.7, 0.25, 0.7),
-                boneMat
-            );
-            jaw.position.y = 1.3;
-            group.add(jaw);
-
-            const armL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.2, 1.0, 0.2),
-                boneMat
-            );
-            armL.position.set(-0.6, 0.9, 0);
-            group.add(armL);
-            const armR = armL.clone();
-            armR.position.x = 0.6;
-            group.add(armR);
-            animParts.arms.push(armL, armR);
-
-            const legL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.22, 1.0, 0.22),
-                boneMat
-            );
-            legL.position.set(-0.25, 0.1, 0);
-            group.add(legL);
-            const legR = legL.clone();
-            legR.position.x = 0.25;
-            group.add(legR);
-            animParts.legs.push(legL, legR);
-            
-            size = 1;
-            displayName = "Skeleton";
-        } else if (type === 'piglin') {
-            // Piglin with gold belt and tusks
-            const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0xf4b894), flatShading: true });
-            const clothMat = new THREE.MeshStandardMaterial({ color: varyColor(0x8b4513), flatShading: true });
-            const goldMat = new THREE.MeshStandardMaterial({ color: 0xffd700, metalness: 0.7, roughness: 0.3, flatShading: true });
-
-            const body = new THREE.Mesh(
-                new THREE.BoxGeometry(0.95, 1.3, 0.65),
-                clothMat
-            );
-            body.position.y = 0.7;
-            group.add(body);
-            
-            const head = new THREE.Mesh(
-                new THREE.BoxGeometry(0.9, 0.9, 0.9),
-                skinMat
-            );
-            head.position.y = 1.6;
-            group.add(head);
-            
-            const snout = new THREE.Mesh(
-                new THREE.BoxGeometry(0.5, 0.35, 0.4),
-                skinMat
-            );
-            snout.position.set(0, 1.5, 0.6);
-            group.add(snout);
-            
-            const tuskL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.12, 0.25, 0.12),
-                goldMat
-            );
-            tuskL.position.set(-0.18, 1.4, 0.8);
-            group.add(tuskL);
-            const tuskR = tuskL.clone();
-            tuskR.position.x = 0.18;
-            group.add(tuskR);
-            
-            const ear1 = new THREE.Mesh(
-                new THREE.BoxGeometry(0.35, 0.55, 0.1),
-                skinMat
-            );
-            ear1.position.set(-0.55, 1.9, 0);
-            group.add(ear1);
-            
-            const ear2 = ear1.clone();
-            ear2.position.x = 0.55;
-            group.add(ear2);
-
-            const belt = new THREE.Mesh(
-                new THREE.BoxGeometry(1.0, 0.2, 0.7),
-                goldMat
-            );
-            belt.position.y = 0.35;
-            group.add(belt);
-
-            const armL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.35, 1.0, 0.35),
-                skinMat
-            );
-            armL.position.set(-0.8, 0.9, 0);
-            group.add(armL);
-            const armR = armL.clone();
-            armR.position.x = 0.8;
-            group.add(armR);
-            animParts.arms.push(armL, armR);
-            
-            size = 1.05;
-            displayName = "Piglin";
-        } else if (type === 'spider') {
-            // Fixed Spider Spatter
-            const bodyMat = new THREE.MeshStandardMaterial({ color: varyColor(0x222222), flatShading: true });
-            const sacMat = new THREE.MeshStandardMaterial({ color: 0x5522aa, emissive: 0x8811ff, emissiveIntensity: 1.2, flatShading: true });
-
-            const body = new THREE.Mesh(new THREE.SphereGeometry(0.5, 8, 8), bodyMat);
-            body.position.y = 0.5;
-            group.add(body);
-
-            const sac = new THREE.Mesh(new THREE.SphereGeometry(0.6, 8, 8), sacMat);
-            sac.position.set(0, 0.6, -0.7);
-            group.add(sac);
-            
-            const head = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.3, 0.4), bodyMat);
-            head.position.set(0, 0.5, 0.4);
-            group.add(head);
-            
-            const eyeGeo = new THREE.BoxGeometry(0.08, 0.08, 0.08);
-            const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-            const eyeL = new THREE.Mesh(eyeGeo, eyeMat);
-            eyeL.position.set(-0.1, 0.55, 0.6);
-            group.add(eyeL);
-            const eyeR = eyeL.clone();
-            eyeR.position.x = 0.1;
-            group.add(eyeR);
-
-            const legMat = new THREE.MeshStandardMaterial({ color: 0x111111, flatShading: true });
-            const legParts = [];
-
-            // 8 Legs
-            for (let i = 0; i < 8; i++) {
-                const legGroup = new THREE.Group();
-                // Flip leg structure so it points down correctly
-                const upperLeg = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.6, 0.1), legMat);
-                upperLeg.position.set(0, 0.3, 0); 
-                legGroup.add(upperLeg);
-                
-                const lowerLeg = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.7, 0.1), legMat);
-                lowerLeg.position.set(0.1, -0.2, 0); // extend out and down
-                lowerLeg.rotation.z = -0.5;
-                upperLeg.add(lowerLeg);
-
-                // Side determination
-                const isRight = i % 2 === 0;
-                const side = isRight ? 1 : -1;
-                const index = Math.floor(i/2);
-                
-                legGroup.position.set(side * 0.3, 0.4, 0.5 - index * 0.35);
-                
-                // Fix spider legs being upside down/weird
-                // Adjust base rotations to point DOWN (geometry is +Y up)
-                legGroup.rotation.z = side * (-2.5); 
-                legGroup.rotation.y = side * 0.4;
-                // Adjust attachment height
-                legGroup.position.y = 0.4;
-
-                group.add(legGroup);
-                legParts.push(legGroup);
-            }
-
-            // Fix spider body rotation so it's not upside down
-            // Sphere is symmetric, but head placement matters.
-            // Currently head is at +Y=0.5. Looks ok.
-            // Maybe user saw legs pointing up. The Z rotation above should fix it.
-
-            size = 0.8;
-            animParts.legs = legParts; // Animate these
-            displayName = "Spider";
-        } else {
-            // Zombie with shirt + pants, more segmented
-            const skinMat = new THREE.MeshStandardMaterial({ color: varyColor(0x5a8c5a), flatShading: true });
-            const shirtMat = new THREE.MeshStandardMaterial({ color: varyColor(0x2f6f9a), flatShading: true });
-            const pantsMat = new THREE.MeshStandardMaterial({ color: varyColor(0x1f2933), flatShading: true });
-
-            const torso = new THREE.Mesh(
-                new THREE.BoxGeometry(0.95, 1.2, 0.55),
-                shirtMat
-            );
-            torso.position.y = 0.9;
-            group.add(torso);
-            
-            const head = new THREE.Mesh(
-                new THREE.BoxGeometry(0.8, 0.8, 0.8),
-                skinMat
-            );
-            head.position.y = 1.7;
-            group.add(head);
-            
-            const eyeStrip = new THREE.Mesh(
-                new THREE.BoxGeometry(0.5, 0.18, 0.1),
-                new THREE.MeshBasicMaterial({ color: 0x99ff99 })
-            );
-            eyeStrip.position.set(0, 1.7, 0.45);
-            group.add(eyeStrip);
-            
-            const armL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.35, 1.0, 0.35),
-                skinMat
-            );
-            armL.position.set(-0.75, 0.9, 0);
-            group.add(armL);
-            
-            const armR = armL.clone();
-            armR.position.x = 0.75;
-            group.add(armR);
-
-            animParts.arms.push(armL, armR);
-
-            const legL = new THREE.Mesh(
-                new THREE.BoxGeometry(0.35, 1.0, 0.35),
-                pantsMat
-            );
-            legL.position.set(-0.3, 0.1, 0);
-            group.add(legL);
-            const legR = legL.clone();
-            legR.position.x = 0.3;
-            group.add(legR);
-            animParts.legs.push(legL, legR);
-            
-            size = 1;
-            displayName = "Zombie";
-        }
-        
-        const targetY = spawnTerrainY + size;
-        const spawnStartY = targetY - 3; // rise up from below ground
-
-        group.position.set(x, spawnStartY, z);
-        group.castShadow = true;
-        this.scene.add(group);
-        
-        const shape = new CANNON.Sphere(size);
-        const physicsBody = new CANNON.Body({
-            mass: 1,
-            position: new CANNON.Vec3(x, spawnStartY, z),
-            linearDamping: 0.3,
-            fixedRotation: true
-        });
-        physicsBody.addShape(shape);
-        this.world.addBody(physicsBody);
-        
-        // Tier Scaling - 15x PER tier exponential
-        const tierHpMult = Math.pow(15, this.tier - 1);
-        
-        // Base stats from Bestiary relative values (Halved as requested)
-        const bestiaryHP = {
-            'skeleton': 5,
-            'ogre': 22,
-            'piglin': 10,
-            'spider': 6,
-            'zombie': 9
-        };
-        const baseTypeHp = bestiaryHP[type] || 7;
-
-        // Formula: (Base + Level Scaling) * Tier
-        // Level scaling needs to be significant enough that enemies don't get one-shot immediately
-        const levelScaling = this.level * 2.5; 
-        const hpValue = options.overrideHp || ((baseTypeHp + levelScaling) * tierHpMult);
-        const enemyId = options.overrideId || Math.random().toString(36);
-
-        // Multiplayer Sync: If we are HOST (authority) and this is a fresh spawn (no overrideId), broadcast it
-        if (this.gameMode === 'MULTI' && this.room && !options.overrideId) {
-            const isHost = Object.keys(this.room.peers).sort()[0] === this.room.clientId;
-            if (isHost) {
-                this.room.send({
-                    type: 'spawnEnemy',
-                    data: {
-                        type: type,
-                        x: x,
-                        z: z,
-                        id: enemyId,
-                        hp: hpValue
-                    }
-                });
-            } else {
-                // If not host and trying to auto-spawn, abort!
-                // Wait for host event.
-                this.scene.remove(group);
-                this.world.removeBody(physicsBody);
-                return;
-            }
-        }
-
-        this.enemies.push({
-            id: enemyId,
-            name: displayName,
-            mesh: group,
-            body: physicsBody,
-            hp: hpValue,
-            maxHp: hpValue,
-            size: size,
-            attackCooldown: 0,
-            anim: animParts,
-            walkTime: 0,
-            type,
-            // Extra state for special enemies
-            isCharging: false,
-            chargeTimer: 0,
-            spawn: {
-                timer: 0,
-                duration: 0.7,
-                startY: spawnStartY,
-                targetY: targetY
-            }
-        });
-    }
-
-    autoAttack() {
-        if (this.enemies.length === 0) return;
-
-        // Drive character-specific basic attacks automatically so you don't need to click.
-        if (this.characterKey === 'MMOOVT' || this.characterKey === 'SIR_CHAD') {
-            // Auto slash
-            let closeEnemy = false;
-            const origin = this.playerMesh.position.clone();
-            for (let enemy of this.enemies) {
-                if (enemy.isBoss) continue;
-                const dist = enemy.mesh.position.distanceTo(origin);
-                if (dist < 4.0) {
-                    closeEnemy = true;
-                    break;
-                }
+        // Drive character-specific basic attacks automatically so you don't need to click.
+        if (this.characterKey === 'MMOOVT' || this.characterKey === 'SIR_CHAD') {
+            // Auto slash
+            let closeEnemy = false;
+            const origin = this.playerMesh.position.clone();
+            for (let enemy of this.enemiesNear(origin, 4.0)) {
+                if (enemy.isBoss) continue;
+                const dist = enemy.mesh.position.distanceTo(origin);
+                if (dist < 4.0) {
+                    closeEnemy = true;
+                    break;
+                }
             }
             if (closeEnemy) {
                 this.knightSlash();
@@ -6875,55 +6947,146 @@ export class Game {
             damage: this.stats.damage,
             life: 3,
             isBone: options.isBone || false,
-            bouncesLeft: options.bouncesLeft || 0
+            bouncesLeft: options.bouncesLeft || 0,
+            source: options.isBone ? 'BONE' : 'DEFAULT'
         });
     }
 
-    damageEnemy(enemy, amount) {
+    // source: weapon key the damage is credited to (per-weapon DPS)
+    // status: set when the damage is a status effect tick (coloured number, no on-hit procs)
+    damageEnemy(enemy, amount, source = 'DEFAULT', status = null) {
+        if (isBurrowed(enemy)) return; // Underground
         if (enemy.isShielded) {
             this.spawnDamageNumber(enemy.mesh.position.clone().add(new THREE.Vector3(0,3,0)), "IMMUNE", false);
             return;
         }
 
+        // Status interactions, e.g. chilled enemies take more fire damage
+        if (enemy.statusEffects && WEAPONS[source]) {
+            amount *= enemy.statusEffects.damageTakenMult(WEAPONS[source].element);
+        }
+
+        // Serrated Edge: direct hits can open a bleed
+        if (!status && this.stats.bleedChance > 0 && this.roll('combat') < this.stats.bleedChance) {
+            this.applyStatus(enemy, 'BLEED', { duration: 3, potency: amount * 0.5, source: 'SERRATED' });
+        }
+
         // Easy Mode: Enemies take 4x damage from player
         const easyScale = 4.0;
         
         // Check for crit
-        const isCrit = Math.random() < (this.stats.critChance || 0);
+        const isCrit = this.roll('combat') < (this.stats.critChance || 0);
         const finalDamage = (isCrit ? amount * 2 : amount) * easyScale;
+
+        // Elite affixes (shields) soak what they can first
+        const hpDamage = absorbAffixDamage(this, enemy, finalDamage);
+
+        // Only the damage that actually lands counts; the rest of a killing blow is overkill
+        const hpBefore = enemy.hp;
+        const dealt = Math.max(0, Math.min(hpDamage, hpBefore));
+        if (hpBefore > 0) this.damageMeter.recordHit(source, dealt, isCrit);
         
-        enemy.hp -= finalDamage;
+        enemy.hp -= hpDamage;
 
         // Damage Number
-        this.spawnDamageNumber(enemy.mesh.position.clone().add(new THREE.Vector3(0, enemy.size, 0)), Math.round(finalDamage), isCrit);
+        this.spawnDamageNumber(enemy.mesh.position.clone().add(new THREE.Vector3(0, enemy.size, 0)), Math.round(finalDamage), isCrit, false,
+            status ? STATUS_EFFECTS[status].numberColor : null);
         
-        // Flash effect on all meshes in the group (only if material has emissive)
-        enemy.mesh.traverse((child) => {
-            if (
-                child.isMesh &&
-                child.material &&
-                child.material.emissive &&
-                typeof child.material.emissive.setHex === 'function'
-            ) {
-                child.material.emissive.setHex(isCrit ? 0xffd700 : 0xffffff);
-                setTimeout(() => {
-                    if (
-                        child.material &&
-                        child.material.emissive &&
-                        typeof child.material.emissive.setHex === 'function'
-                    ) {
-                        child.material.emissive.setHex(0x000000);
-                    }
-                }, 50);
-            }
-        });
+        // Flash effect
+        this.setEnemyEmissive(enemy, isCrit ? 0xffd700 : 0xffffff);
+        // (skip if it has died since: a pooled mesh may already belong to a new enemy)
+        setTimeout(() => { if (this.enemyGrid.has(enemy)) this.setEnemyEmissive(enemy, this.statusEmissive(enemy)); }, 50);
         
         if (enemy.hp <= 0) {
+            if (hpBefore > 0) this.damageMeter.recordKill(source, hpDamage - dealt);
             this.killEnemy(enemy);
         }
     }
 
+    // The one way status effects are inflicted (weapons, runes, enemy attacks); target is an enemy or 'player'
+    applyStatus(target, id, options) {
+        const isPlayer = target === 'player';
+        const immunities = (!isPlayer && target.def && target.def.immune) || [];
+        if (isStatusImmune(id, isPlayer ? ['player'] : this.statusTags(target), immunities)) return false;
+
+        if (!isPlayer && !target.statusEffects) target.statusEffects = new StatusEffectSet();
+        const added = (isPlayer ? this.playerStatus : target.statusEffects).apply(id, this.gameTime, options);
+        if (added) {
+            if (!isPlayer) this.refreshStatusTint(target);
+            this.emitEvent(GameEvents.STATUS_APPLIED, {
+                status: id,
+                target: isPlayer ? 'player' : 'enemy',
+                enemyId: isPlayer ? null : target.id,
+                source: options.source || null
+            });
+        }
+        return added;
+    }
+
+    // Weapons with a `status` inflict it on hit for statusDuration, with statusPotency DPS per stack
+    applyWeaponStatus(target, key, stats = this.weaponStats(key)) {
+        const def = WEAPONS[key];
+        if (!def || !def.status) return;
+        this.applyStatus(target, def.status, { duration: stats.statusDuration, potency: stats.statusPotency || 0, source: key });
+    }
+
+    // Tags status immunities are keyed on
+    statusTags(enemy) {
+        const tags = [];
+        if (enemy.isBoss) tags.push('boss');
+        if (String(enemy.type || '').toLowerCase().includes('ghost')) tags.push('ghost');
+        return tags;
+    }
+
+    // Emissive colour for an enemy: a dim tint of its latest status, else the elite glow, else black
+    statusEmissive(enemy) {
+        const tint = enemy.statusEffects ? enemy.statusEffects.tint() : null;
+        if (tint !== null) return new THREE.Color(tint).multiplyScalar(0.4);
+        return enemy.isElite ? new THREE.Color(eliteTint(enemy)).multiplyScalar(0.3) : new THREE.Color(0x000000);
+    }
+
+    refreshStatusTint(enemy) {
+        this.setEnemyEmissive(enemy, this.statusEmissive(enemy));
+    }
+
+    // Instanced enemies carry the emissive per instance; bosses set it on every material that has one
+    setEnemyEmissive(enemy, color) {
+        if (this.instancedRenderer.isInstanced(enemy.mesh)) {
+            this.instancedRenderer.setEmissive(enemy.mesh, color);
+            return;
+        }
+        enemy.mesh.traverse((child) => {
+            if (child.isMesh && child.material && child.material.emissive && typeof child.material.emissive.set === 'function') {
+                child.material.emissive.set(color);
+            }
+        });
+    }
+
+    // Damage ticks and expiry for every status effect, before enemies move
+    updateStatusEffects() {
+        for (const enemy of this.enemies.slice()) {
+            const status = enemy.statusEffects;
+            if (!status || status.isEmpty) continue;
+            const expired = status.update(this.gameTime, (id, damage, source) => {
+                if (enemy.hp > 0) this.damageEnemy(enemy, damage, source, id);
+            });
+            if (expired.length > 0 && enemy.hp > 0) this.refreshStatusTint(enemy);
+            if (!status.isEmpty && this.roll('fx') < 0.1) this.particleSystem.emit(enemy.mesh.position, status.tint(), 2);
+        }
+
+        if (!this.playerStatus.isEmpty) {
+            this.playerStatus.update(this.gameTime, (id, damage, source) => {
+                this.takeDamage(damage, source || STATUS_EFFECTS[id].name, true);
+            });
+            if (!this.playerStatus.isEmpty && this.roll('fx') < 0.2) {
+                this.particleSystem.emit(this.playerMesh.position, this.playerStatus.tint(), 2);
+            }
+        }
+    }
+
     killEnemy(enemy) {
+        // Already killed: its pooled mesh and body may belong to a new enemy now
+        if (enemy.recycled) return;
         this.kills++;
         this.updateUI();
         
@@ -6946,21 +7109,29 @@ export class Game {
         this.world.removeBody(enemy.body);
         this.scene.remove(enemy.mesh);
         this.enemies = this.enemies.filter(e => e.id !== enemy.id);
+        this.enemyGrid.remove(enemy);
         
         this.particleSystem.emit(enemy.mesh.position, 0xff4444, 15);
-        this.playSound('boom', 0.8 + Math.random() * 0.4, 0.3);
-        
-        // Track unlock conditions
-        if (enemy.type === 'skeleton') {
-            this.skeletonKills = (this.skeletonKills || 0) + 1;
-            this.checkCalciumUnlock();
-        }
-        // Drop coins
-        let coinAmount = Math.ceil(1 + this.level * 0.25);
-        if (this.gameMode === 'MULTI' || this.gameMode === 'SURVIVAL') {
-             // Use lobby loot multiplier
-             coinAmount *= (this.lootMultiplier || 1.0);
-        }
+        this.playSound('boom', 0.8 + this.roll('fx') * 0.4, 0.3);
+
+        const killPayload = {
+            id: enemy.id,
+            type: enemy.type,
+            name: enemy.name,
+            isBoss: !!enemy.isBoss,
+            isMainBoss: !!enemy.isMainBoss,
+            position: { x: enemy.mesh.position.x, z: enemy.mesh.position.z },
+            kills: this.kills
+        };
+        this.emitEvent(GameEvents.ENEMY_KILLED, killPayload);
+        if (enemy.isBoss) this.emitEvent(GameEvents.BOSS_KILLED, killPayload);
+        
+        // Drop coins (table base + level scaling)
+        const drops = enemy.def || { xp: 1, coins: 1 };
+        const eliteLoot = enemy.isElite ? ELITE.LOOT_MULT : 1;
+        let coinAmount = Math.ceil(drops.coins + this.level * 0.25) * eliteLoot;
+        // Lobby / modifier board loot multiplier
+        coinAmount *= (this.lootMultiplier || 1.0);
         this.coins += Math.ceil(coinAmount);
         this.updateUI();
 
@@ -7008,15 +7179,6 @@ export class Game {
 
             this.updateObjectives();
 
-            // Unlock Blitz when you defeat the boss once
-            this.unlockCharacter('BLITZ');
-
-            // Calcium condition: Miniboss kill as MMOOVT
-            if (this.characterKey === 'MMOOVT' && !enemy.isMainBoss) {
-                this.minibossKilledAsMMOOVT = true;
-                this.checkCalciumUnlock();
-            }
-
             // Clear boss reference if it pointed to this enemy
             if (this.bossEnemy && this.bossEnemy.id === enemy.id) {
                 this.bossEnemy = null;
@@ -7026,26 +7188,51 @@ export class Game {
         }
         
         // Drop XP at the actual enemy height
-        const xpAmount = Math.ceil(1 + this.level * 0.3);
+        const xpAmount = Math.ceil(drops.xp + this.level * 0.3) * eliteLoot;
         for (let i = 0; i < xpAmount; i++) {
             const offset = new THREE.Vector3(
-                randomRange(-1, 1),
+                this.roll('loot', -1, 1),
                 0,
-                randomRange(-1, 1)
+                this.roll('loot', -1, 1)
             );
             const dropPos = enemy.mesh.position.clone().add(offset);
-            const orb = new XPOrb(this.scene, dropPos);
+            const orb = new XPOrb(this.scene, dropPos, 1, this.instancedRenderer, () => this.roll('fx'));
             this.xpOrbs.push(orb);
         }
         
         // Chests are no longer dropped by enemies – they are pre-placed around the map
+        if (enemy.isElite) {
+            this.dropEliteLoot(enemy);
+            runAffixHook(this, enemy, 'death');
+        }
+
+        this.releaseEnemyShell(enemy);
+    }
+
+    // Elites also drop a chest key (while there are chests left to open) or a bonus coin pile
+    dropEliteLoot(enemy) {
+        const pos = enemy.mesh.position.clone().add(new THREE.Vector3(0, enemy.size + 1, 0));
+        const chestsLeft = this.chests.some(c => !c.opened);
+        if (chestsLeft && this.roll('loot') < ELITE.KEY_CHANCE) {
+            this.chestKeys++;
+            this.showToast(`${enemy.name} dropped a chest key!`);
+            this.spawnDamageNumber(pos, '+1 KEY', false, false, '#ffd700');
+        } else {
+            const bonus = Math.ceil(weaponStatAt(ELITE.BONUS_COINS, this.level) * (this.lootMultiplier || 1.0));
+            this.coins += bonus;
+            this.spawnDamageNumber(pos, `+${bonus} coins`, false, false, '#ffd700');
+        }
+        this.updateUI();
     }
 
     despawnEnemy(enemy) {
         // Remove enemy without granting rewards (used when they touch lava)
+        if (enemy.recycled) return;
         this.world.removeBody(enemy.body);
         this.scene.remove(enemy.mesh);
         this.enemies = this.enemies.filter(e => e.id !== enemy.id);
+        this.enemyGrid.remove(enemy);
+        this.releaseEnemyShell(enemy);
     }
 
     collectXP(amount = 1) {
@@ -7066,7 +7253,7 @@ export class Game {
     }
     
     updateUI() {
-        this.killCounter.innerText = `Kills: ${this.kills} | Coins: ${this.coins}`;
+        this.killCounter.innerText = `Kills: ${this.kills} | Coins: ${this.coins}` + (this.chestKeys > 0 ? ` | Keys: ${this.chestKeys}` : '');
         
         // MP HUD Local Update
         if (this.gameMode === 'MULTI') {
@@ -7089,6 +7276,13 @@ export class Game {
         }
     }
 
+    // Display name for a damage meter source key
+    damageSourceLabel(source) {
+        if (source === 'DEFAULT') return this.getDefaultWeaponLabel();
+        if (RUNES[source]) return RUNES[source].name;
+        return WEAPONS[source] ? WEAPONS[source].name : source;
+    }
+
     getDefaultWeaponLabel() {
         switch (this.characterKey) {
             case 'MMOOVT': return 'Knight Slash';
@@ -7184,6 +7378,8 @@ export class Game {
 
         this.levelDisplay.innerText = `LVL ${this.level}`;
         this.xpBar.style.width = '0%';
+
+        this.emitEvent(GameEvents.PLAYER_LEVEL_UP, { level: this.level, xpToLevel: this.xpToLevel });
         
         // Confetti burst near camera when leveling
         // Actually emit particles near player mesh
@@ -7192,9 +7388,9 @@ export class Game {
             base.y += 1.0;
             for (let i = 0; i < 40; i++) { 
                 const offset = new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    Math.random() * 2,
-                    (Math.random() - 0.5) * 2
+                    (this.roll('fx') - 0.5) * 2,
+                    this.roll('fx') * 2,
+                    (this.roll('fx') - 0.5) * 2
                 );
                 this.particleSystem.emit(base.clone().add(offset), 0xffd700, 20); // Gold
                 this.particleSystem.emit(base.clone().add(offset), 0x00ffff, 20); // Cyan
@@ -7251,7 +7447,7 @@ export class Game {
         this.props.push(chest);
         
         // Generate random upgrade for this chest
-        const allUpgrades = [...Object.keys(WEAPONS), ...Object.keys(RUNES)];
+        const allUpgrades = [...Object.keys(WEAPONS).filter(k => !isEvolvedWeapon(k)), ...this.lootRuneKeys()];
         const upgrade = allUpgrades[Math.floor(this.randomValue(0, allUpgrades.length))];
         
         // Store baseCost so we can recompute dynamic cost later.
@@ -7296,6 +7492,12 @@ export class Game {
             _lastPlayerCoins: null, // cache player's coins to avoid recomputing cost every frame
             cost: baseCost
         });
+
+        this.emitEvent(GameEvents.CHEST_SPAWNED, {
+            position: { x: position.x, z: position.z },
+            cost: baseCost,
+            upgrade
+        });
     }
 
     showUpgradeMenu() {
@@ -7323,23 +7525,47 @@ export class Game {
         if (document.exitPointerLock) {
             try { document.exitPointerLock(); } catch (e) {}
         }
-        
-        let options = [];
-        
-        // If we can add weapons, include them
-        if (this.canAddWeapon()) {
-            const weaponKeys = Object.keys(WEAPONS).filter(k => !this.weapons.includes(k));
-            if (weaponKeys.length > 0) {
-                const randomWeapon = weaponKeys[Math.floor(Math.random() * weaponKeys.length)];
-                options.push({ key: randomWeapon, data: WEAPONS[randomWeapon] });
-            }
-        }
-        
-        // If we can add runes, include them
-        if (this.canAddRune()) {
-            const runeKeys = Object.keys(RUNES).filter(k => !this.runes.includes(k));
-            if (runeKeys.length > 0) {
-                const randomRune = runeKeys[Math.floor(Math.random() * runeKeys.length)];
+
+        this.menuRerolls = 0;
+        // If there is literally nothing left to upgrade, restore audio/pointerlock and close menu
+        if (!this.dealUpgradeCards()) {
+            this.upgradeMenu.classList.remove('active');
+
+            // Restore audio state if we changed it
+            if (this.currentBgmGain && prevGain !== null) this.currentBgmGain.gain.value = prevGain;
+            if (this.currentBgmNode && prevRate !== null) this.currentBgmNode.playbackRate.value = prevRate;
+
+            if (this.gameMode !== 'MULTI') this.isPaused = false;
+            this.showToast('Build maxed out – no more upgrades!');
+
+            // Try to re-acquire pointer lock so the player regains control
+            try {
+                if (this.renderer && this.renderer.domElement && this.renderer.domElement.requestPointerLock) {
+                    const pl = this.renderer.domElement.requestPointerLock();
+                    if (pl instanceof Promise) pl.catch(()=>{});
+                }
+            } catch (e) {}
+        }
+    }
+
+    // Roll and show the level-up cards; false when there is nothing to offer
+    dealUpgradeCards() {
+        let options = [];
+        
+        // If we can add weapons, include them
+        if (this.canAddWeapon()) {
+            const weaponKeys = Object.keys(WEAPONS).filter(k => !this.weapons.includes(k) && !isEvolvedWeapon(k));
+            if (weaponKeys.length > 0) {
+                const randomWeapon = weaponKeys[Math.floor(this.roll('loot') * weaponKeys.length)];
+                options.push({ key: randomWeapon, data: { ...WEAPONS[randomWeapon], statText: this.weaponCardStats(randomWeapon, 1) } });
+            }
+        }
+        
+        // If we can add runes, include them
+        if (this.canAddRune()) {
+            const runeKeys = this.lootRuneKeys().filter(k => !this.runes.includes(k));
+            if (runeKeys.length > 0) {
+                const randomRune = runeKeys[Math.floor(this.roll('loot') * runeKeys.length)];
                 options.push({ key: randomRune, data: RUNES[randomRune] });
             }
         }
@@ -7353,6 +7579,7 @@ export class Game {
                     data: { 
                         name: `Upgrade ${weaponData.name}`, 
                         desc: `Level ${this.weaponLevels[weaponKey] || 1} → ${(this.weaponLevels[weaponKey] || 1) + 1}`,
+                        statText: this.weaponCardStats(weaponKey, this.weaponLevels[weaponKey] || 1, (this.weaponLevels[weaponKey] || 1) + 1),
                         type: 'weapon_upgrade'
                     }
                 });
@@ -7377,8 +7604,8 @@ export class Game {
             // Check for evolution conditions
             let potentialEvo = null;
             if (this.evolutionStats.health > 4 && this.characterKey !== 'GIGACHAD') potentialEvo = 'GIGACHAD';
-            else if (this.evolutionStats.speed > 4 && this.characterKey !== 'MONKE' && this.characterKey !== 'CALCIUM') potentialEvo = Math.random() > 0.5 ? 'MONKE' : 'CALCIUM';
-            else if (this.evolutionStats.offense > 4 && this.characterKey !== 'FOX' && this.characterKey !== 'BLITZ') potentialEvo = Math.random() > 0.5 ? 'FOX' : 'BLITZ';
+            else if (this.evolutionStats.speed > 4 && this.characterKey !== 'MONKE' && this.characterKey !== 'CALCIUM') potentialEvo = this.roll('loot') > 0.5 ? 'MONKE' : 'CALCIUM';
+            else if (this.evolutionStats.offense > 4 && this.characterKey !== 'FOX' && this.characterKey !== 'BLITZ') potentialEvo = this.roll('loot') > 0.5 ? 'FOX' : 'BLITZ';
             
             if (potentialEvo) {
                 options.unshift({
@@ -7402,37 +7629,35 @@ export class Game {
             options = options.filter(o => o !== evoOpt);
         }
 
+        // Force the first completed weapon evolution recipe too
+        const weaponEvolutions = getAvailableEvolutions(this.weapons, this.weaponLevels, this.runes, this.runeLevels);
+        if (weaponEvolutions.length > 0) {
+            const evolvedKey = weaponEvolutions[0];
+            const recipe = WEAPON_EVOLUTIONS[evolvedKey];
+            selected.push({
+                key: evolvedKey,
+                data: {
+                    name: `EVOLVE: ${WEAPONS[evolvedKey].name}`,
+                    desc: `${WEAPONS[recipe.weapon].name} + ${RUNES[recipe.rune].name}: ${WEAPONS[evolvedKey].desc}`,
+                    statText: this.weaponCardStats(evolvedKey, this.weaponLevels[recipe.weapon] || 1),
+                    type: 'weapon_evolution'
+                }
+            });
+        }
+
         while (selected.length < 3 && options.length > 0) {
-            const idx = Math.floor(Math.random() * options.length);
+            const idx = Math.floor(this.roll('loot') * options.length);
             selected.push(options.splice(idx, 1)[0]);
         }
 
-        // If there is literally nothing left to upgrade, restore audio/pointerlock and close menu
-        if (selected.length === 0) {
-            this.upgradeMenu.classList.remove('active');
-
-            // Restore audio state if we changed it
-            if (this.currentBgmGain && prevGain !== null) this.currentBgmGain.gain.value = prevGain;
-            if (this.currentBgmNode && prevRate !== null) this.currentBgmNode.playbackRate.value = prevRate;
-
-            if (this.gameMode !== 'MULTI') this.isPaused = false;
-            this.showToast('Build maxed out – no more upgrades!');
+        if (selected.length === 0) return false;
 
-            // Try to re-acquire pointer lock so the player regains control
-            try {
-                if (this.renderer && this.renderer.domElement && this.renderer.domElement.requestPointerLock) {
-                    const pl = this.renderer.domElement.requestPointerLock();
-                    if (pl instanceof Promise) pl.catch(()=>{});
-                }
-            } catch (e) {}
-            return;
-        }
-        
         this.upgradeOptions.innerHTML = '';
         selected.forEach(option => {
             const card = document.createElement('div');
             card.className = 'upgrade-card';
             card.innerHTML = `<h3>${option.data.name}</h3><p>${option.data.desc}</p>`;
+            if (option.data.statText) card.innerHTML += `<p class="upgrade-card-stats">${option.data.statText}</p>`;
             card.onclick = (e) => {
                 // Juice: Particles from clicked card
                 const rect = card.getBoundingClientRect();
@@ -7442,9 +7667,46 @@ export class Game {
             };
             this.upgradeOptions.appendChild(card);
         });
+
+        // Meta shop rerolls: live players only (a replay applies its recorded rerolls before the pick)
+        if (this.rerollButton) {
+            const canReroll = this.rerollTokens > 0 && !this.isReplay && !this.botController;
+            this.rerollButton.style.display = canReroll ? 'block' : 'none';
+            this.rerollButton.innerText = `REROLL (${this.rerollTokens} LEFT)`;
+        }
+
+        // Replays and bots pick at the end of the tick (where the live game waited for a click)
+        if (this.isReplay || this.botController) {
+            this.pendingChoice = { kind: 'upgrade', options: selected.map(o => ({ key: o.key, type: o.data.type })) };
+        }
+        return true;
+    }
+
+    // Spend a meta shop reroll token on fresh level-up cards
+    rerollUpgrades() {
+        if (this.rerollTokens <= 0 || !this.upgradeMenu.classList.contains('active')) return;
+        this.rerollTokens--;
+        this.menuRerolls++;
+        this.playSynth('ui');
+        this.dealUpgradeCards();
+    }
+
+    // Stat line for level-up cards; with nextLevel only the stats that change, as "from → to"
+    weaponCardStats(key, level, nextLevel = null) {
+        const now = describeWeaponStats(key, this.weaponStats(key, level));
+        if (nextLevel === null) return now.map(s => `${s.label} ${s.value}`).join(' · ');
+        const next = describeWeaponStats(key, this.weaponStats(key, nextLevel));
+        return next
+            .map((s, i) => (now[i] && now[i].value !== s.value ? `${s.label} ${now[i].value} → ${s.value}` : null))
+            .filter(Boolean)
+            .join(' · ');
     }
 
     selectUpgrade(key, type) {
+        if (this.recorder) this.recorder.recordEvent('upgrade', this.menuRerolls > 0 ? { key, type, rerolls: this.menuRerolls } : { key, type });
+        this.menuRerolls = 0;
+        this.emitEvent(GameEvents.UPGRADE_SELECTED, { key, type, source: 'levelup' });
+
         // Restore music
         if (this.currentBgmGain) this.currentBgmGain.gain.setTargetAtTime(0.35, this.audioCtx.currentTime, 0.1);
         if (this.currentBgmNode) this.currentBgmNode.playbackRate.setValueAtTime(1.0, this.audioCtx.currentTime);
@@ -7466,39 +7728,24 @@ export class Game {
             if (['DAMAGE', 'CRITICAL', 'PIERCING', 'FOX', 'BLITZ', 'FIREBALL', 'LIGHTNING'].some(k => key.includes(k))) this.evolutionStats.offense++;
         }
 
-        if (WEAPONS[key] && type !== 'weapon_upgrade' && type !== 'rune_upgrade') {
+        if (type === 'weapon_evolution') {
+            this.evolveWeapon(key);
+        } else if (WEAPONS[key] && type !== 'weapon_upgrade' && type !== 'rune_upgrade') {
             // Add new weapon
             this.weapons.push(key);
             this.weaponLevels[key] = 1;
             this.updateAuraOwnership();
+            this.emitEvent(GameEvents.WEAPON_ACQUIRED, { key, source: 'levelup' });
         } else if (RUNES[key] && type !== 'weapon_upgrade' && type !== 'rune_upgrade') {
             // Add new rune
             this.runes.push(key);
             this.runeLevels[key] = 1;
             this.applyRune(key);
+            this.emitEvent(GameEvents.RUNE_ACQUIRED, { key, source: 'levelup' });
         } else if (type === 'weapon_upgrade') {
             // Upgrade weapon
             this.weaponLevels[key]++;
-            
-            // Check GigaChad Unlock (Level 3 Aura + Monke Unlocked)
-            if (AURA_WEAPONS.includes(key) && this.weaponLevels[key] >= 3) {
-                 try {
-                     const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-                     if (saved.MONKE) {
-                         this.unlockCharacter('GIGACHAD');
-                     }
-                 } catch(e) {}
-            }
-            
-            // Check Sir Chad Unlock (Level 5 Spinning Blade + GigaChad Unlocked)
-            if (key === 'SWORD' && this.weaponLevels[key] >= 5) {
-                 try {
-                     const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-                     if (saved.GIGACHAD) {
-                         this.unlockCharacter('SIR_CHAD');
-                     }
-                 } catch(e) {}
-            }
+            this.emitEvent(GameEvents.WEAPON_LEVELED, { key, level: this.weaponLevels[key], source: 'levelup' });
         } else if (type === 'rune_upgrade') {
             // Upgrade rune
             this.runeLevels[key]++;
@@ -7510,9 +7757,28 @@ export class Game {
         if (this.gameMode !== 'MULTI') this.isPaused = false;
     }
 
+    // Swap a weapon for its evolved form; it keeps the weapon's slot and level
+    evolveWeapon(key) {
+        const recipe = WEAPON_EVOLUTIONS[key];
+        const slot = recipe ? this.weapons.indexOf(recipe.weapon) : -1;
+        if (slot === -1) return;
+
+        this.weapons[slot] = key;
+        this.weaponLevels[key] = this.weaponLevels[recipe.weapon] || 1;
+        delete this.weaponLevels[recipe.weapon];
+        delete this.weaponTimers[recipe.weapon];
+
+        const firstTime = !this.sandboxed && discoverEvolution(key);
+        this.showToast(`${WEAPONS[recipe.weapon].name} evolved into ${WEAPONS[key].name}!${firstTime ? ' (New recipe in the Forge)' : ''}`);
+        this.playSound('unlock', 1.2, 0.5);
+        this.particleSystem.emit(this.playerMesh.position.clone(), 0xffd700, 40);
+        this.emitEvent(GameEvents.WEAPON_EVOLVED, { key, from: recipe.weapon, rune: recipe.rune, level: this.weaponLevels[key] });
+    }
+
     evolveCharacter(newCharKey) {
         this.showToast(`Evolving to ${newCharKey}...`);
         this.characterKey = newCharKey;
+        if (this.achievements) this.achievements.run.character = newCharKey;
         this.characterConfig = CHARACTERS[newCharKey];
         
         // Remove old mesh
@@ -7534,6 +7800,7 @@ export class Game {
         this.stats.fireRate = baseFireRate;
         this.stats.damage = baseDamage;
         this.stats.moveSpeed = baseMoveSpeed;
+        this.applyMetaStatBonuses();
         
         // Re-apply runes
         this.runes.forEach(r => {
@@ -7553,6 +7820,40 @@ export class Game {
         this.playSound('unlock', 1.0, 0.5);
     }
     
+    // Runes that can drop: shop-only runes once bought in the meta shop, minus the challenge's banned runes
+    // (and regen runes under the Open Wounds curse, which would do nothing)
+    lootRuneKeys() {
+        const banned = this.challenge ? this.challenge.bannedRunes : [];
+        return Object.keys(RUNES).filter(k => (!RUNES[k].metaUnlock || this.metaBonuses.items.includes(k)) && !banned.includes(k) &&
+            !(this.curseEffects.noRegen && RUNES[k].stat === 'regen'));
+    }
+
+    // Challenge runs start with an extra weapon, which brings its own slot
+    applyChallengeLoadout() {
+        const key = this.challenge && this.challenge.startingWeapon;
+        if (!key || !WEAPONS[key] || this.weapons.includes(key)) return;
+        this.weapons.push(key);
+        this.weaponLevels[key] = 1;
+        this.maxWeapons += 1;
+    }
+
+    // Meta shop slots, health and rerolls on top of a fresh run (constructor and reset)
+    applyMetaBonuses() {
+        const meta = this.metaBonuses;
+        this.maxWeapons += meta.weaponSlots;
+        this.maxRunes += meta.runeSlots;
+        this.maxHealth += meta.maxHealth;
+        this.playerHealth += meta.maxHealth;
+        this.rerollTokens = meta.rerolls;
+        this.applyMetaStatBonuses();
+    }
+
+    // Multipliers only: also re-applied when an evolution resets base stats
+    applyMetaStatBonuses() {
+        this.stats.damage *= this.metaBonuses.damage;
+        this.stats.moveSpeed *= this.metaBonuses.moveSpeed;
+    }
+
     applyRune(key) {
         const rune = RUNES[key];
         const level = this.runeLevels[key];
@@ -7590,7 +7891,9 @@ export class Game {
         }
     }
 
-    takeDamage(amount) {
+    // source: display name of what dealt the hit (damage-taken breakdown, cause of death)
+    // isDot: status effect tick, which skips the flex, shake and hit sound
+    takeDamage(amount, source = 'Unknown', isDot = false) {
         // God Mode for Pantheon Creative
         if (this.gameMode === 'PANTHEON' && this.pantheonState === 'CREATIVE') return;
 
@@ -7610,7 +7913,7 @@ export class Game {
         amount = mitigated;
 
         // GigaChad flex: every flexCooldown seconds, ignore one hit
-        if (this.characterKey === 'GIGACHAD' && this.characterConfig) {
+        if (this.characterKey === 'GIGACHAD' && this.characterConfig && !isDot) {
             const cd = this.characterConfig.flexCooldown || 15;
             if (this.gameTime - this.lastFlexTime >= cd) {
                 this.lastFlexTime = this.gameTime;
@@ -7621,21 +7924,121 @@ export class Game {
         }
 
         this.playerHealth -= amount;
+        this.recordDamageTaken(amount, source);
         this.healthBar.style.width = (this.playerHealth / this.maxHealth * 100) + '%';
         
         // Screen Shake
-        this.screenShake = 0.4;
-        this.playSound('boom', 2.0, 0.4);
+        if (!isDot) {
+            this.screenShake = 0.4;
+            this.playSound('boom', 2.0, 0.4);
+        }
 
         if (this.healthText) {
             this.healthText.innerText = `${Math.max(0, Math.floor(this.playerHealth))} / ${this.maxHealth}`;
         }
 
+        this.emitEvent(GameEvents.PLAYER_DAMAGED, {
+            amount,
+            source,
+            health: Math.max(0, this.playerHealth),
+            maxHealth: this.maxHealth
+        });
+
         if (this.playerHealth <= 0) {
+            this.emitEvent(GameEvents.PLAYER_DIED, { level: this.level, kills: this.kills });
             this.gameOver();
         }
     }
 
+    recordDamageTaken(amount, source) {
+        this.damageTakenBySource[source] = (this.damageTakenBySource[source] || 0) + amount;
+        this.lastDamageSource = source;
+    }
+
+    // Display name used for damage-taken breakdowns and cause of death
+    damageSourceName(enemy) {
+        if (!enemy) return 'Unknown';
+        if (enemy.name) return enemy.name;
+        if (enemy.def) return enemy.def.name;
+        if (String(enemy.type || '').startsWith('ghost')) return 'Ghost';
+        return enemy.type || 'Unknown';
+    }
+
+    // Total run time: gameTime restarts every tier
+    get runTime() {
+        return this.completedTierTime + this.gameTime;
+    }
+
+    sampleRunTimeline() {
+        const dealt = this.damageMeter.totalDamage;
+        const taken = Object.values(this.damageTakenBySource).reduce((a, b) => a + b, 0);
+        pushTimelineSample(this.runTimeline, this.runTime, {
+            kills: this.kills,
+            level: this.level,
+            health: Math.max(0, this.playerHealth),
+            dealt,
+            taken
+        });
+    }
+
+    runScore() {
+        const timeScore = Math.floor(this.gameTime * 10);
+        const killScore = this.kills * 50;
+        const levelScore = this.level * 500;
+        return Math.round((timeScore + killScore + levelScore) * heatRewardMultiplier(this.heat));
+    }
+
+    // Store the finished run for the history browser (not for Pantheon, replays or simulations)
+    recordRun(outcome, score) {
+        if (this.gameMode === 'PANTHEON' || this.sandboxed) return;
+        this.sampleRunTimeline();
+        const round = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [k, Math.round(v)]));
+        addRunToHistory({
+            date: new Date().toLocaleDateString(),
+            score,
+            char: CHARACTERS[this.characterKey].name,
+            character: this.characterKey,
+            mode: this.gameMode,
+            outcome,
+            seed: this.seed,
+            kills: this.kills,
+            time: Math.floor(this.runTime),
+            level: this.level,
+            tier: this.tier,
+            weapons: [...this.weapons],
+            weaponLevels: { ...this.weaponLevels },
+            runes: [...this.runes],
+            buffs: [...(this.buffs || [])],
+            damageDealt: round(this.damageMeter.damageBySource()),
+            damageTaken: round(this.damageTakenBySource),
+            causeOfDeath: outcome === RUN_OUTCOMES.DIED ? this.lastDamageSource : null,
+            timeline: serializeTimeline(this.runTimeline),
+            challenge: this.challenge ? this.challenge.id : undefined,
+            heat: this.heat,
+            curses: { ...this.curses },
+            rules: { timeLimit: this.timeLimit, spawnMult: this.lobbySettings.spawnMult || 1, lootMult: this.lootMultiplier, infiniteSlots: this.infiniteSlots }
+        });
+    }
+
+    // Save a scored challenge attempt's result; returns the game-over badge text (null outside challenges)
+    recordChallengeResult(score) {
+        if (!this.challenge || this.sandboxed) return null;
+        const name = `${CHALLENGE_PERIODS[this.challenge.period].name} ${this.challenge.key}`.toUpperCase();
+        if (this.challenge.practice) return `${name}: PRACTICE RUN (UNSCORED)`;
+        finishChallengeAttempt(this.challenge.id, { score, kills: this.kills, time: Math.floor(this.runTime), level: this.level });
+        return `${name}: SCORE ${score.toLocaleString()} (STREAK ${getChallengeStreak(this.challenge.period).current})`;
+    }
+
+    // Bank part of the run's coins and kills for the meta shop; returns the amount (0 when not eligible)
+    bankMetaCurrency() {
+        if (!this.metaEnabled || this.sandboxed || this.metaBanked) return 0;
+        this.metaBanked = true;
+        const carried = this.metaCarried || { coins: 0, kills: 0 };
+        const earned = Math.floor(computeRunCurrency(this.coins - carried.coins, this.kills - carried.kills) * heatRewardMultiplier(this.heat));
+        if (earned > 0) addMetaCurrency(earned);
+        return earned;
+    }
+
     updatePauseStats() {
         this.consolidateInventory();
         const container = document.getElementById('pause-stats');
@@ -7665,7 +8068,6 @@ export class Game {
                 name = this.getDefaultWeaponLabel();
             }
             
-            // Estimations based on updateWeapons logic
             if (w === 'DEFAULT') {
                 if (this.characterKey === 'MMOOVT') {
                     baseDmg = 3.0 * baseDmgGlobal;
@@ -7680,24 +8082,9 @@ export class Game {
                     baseDmg = baseDmgGlobal;
                     desc = `Dmg: ~${Math.floor(baseDmg)}`;
                 }
-            } else if (w === 'LIGHTNING') {
-                baseDmg = 0.5 * lvl * baseDmgGlobal;
-                desc = `Zap Dmg: ~${Math.floor(baseDmg)}`;
-            } else if (w === 'FIREBALL') {
-                baseDmg = 1.5 * baseDmgGlobal;
-                desc = `Explosion: ~${Math.floor(baseDmg)}`;
-            } else if (w === 'SWORD') {
-                baseDmg = 5.0 * baseDmgGlobal; // dps
-                desc = `DPS: ~${Math.max(1, Math.round(baseDmg))}`;
-            } else if (w === 'MISSILE') {
-                baseDmg = 1.0 * baseDmgGlobal;
-                desc = `Impact: ~${Math.floor(baseDmg)}`;
-            } else if (w === 'SPIKE_RING') {
-                baseDmg = 1.5 * baseDmgGlobal * lvl;
-                desc = `Pulse: ~${Math.floor(baseDmg)}`;
-            } else if (w === 'POISON_MIST') {
-                baseDmg = 0.9 * lvl * baseDmgGlobal * 5; // approx dps?
-                desc = `Tick Dmg: ~${Math.floor(baseDmg/5)}`;
+            } else if (WEAPONS[w]) {
+                // Same numbers the weapon fires with (config stats at this level, with your multipliers)
+                desc = describeWeaponStats(w, this.weaponStats(w, lvl)).map(s => `${s.label} ${s.value}`).join(' · ');
             } else {
                 desc = `Lvl ${lvl}`;
             }
@@ -7708,6 +8095,10 @@ export class Game {
             </div>`;
         });
 
+        // Measured damage, so builds can be judged by what actually lands
+        html += `<br><div style="color:#ff8888; border-bottom:1px solid #555; margin-bottom:6px;">DAMAGE METER</div>`;
+        html += renderDamageMeter(this.damageMeter.rows(this.runTime), (key) => this.damageSourceLabel(key));
+
         container.innerHTML = html;
     }
 
@@ -7770,7 +8161,7 @@ export class Game {
 
             // Even when ratio < 1 we want multiplier >= minMultiplier
             const finalMult = Math.max(minMultiplier, multiplier);
-            const cost = Math.max(baseCost, Math.ceil(baseCost * finalMult));
+            const cost = Math.max(baseCost, Math.ceil(baseCost * finalMult)) * this.curseEffects.chestCostMult;
 
             return {
                 cost,
@@ -7823,10 +8214,7 @@ export class Game {
         if (coins) coins.innerHTML = '';
 
         // Calculate Score
-        const timeScore = Math.floor(this.gameTime * 10);
-        const killScore = this.kills * 50;
-        const levelScore = this.level * 500;
-        const totalScore = timeScore + killScore + levelScore;
+        const totalScore = this.runScore();
 
         // Update basic UI
         const minutes = Math.floor(this.gameTime / 60);
@@ -7894,46 +8282,70 @@ export class Game {
             <div class="stat-item"><span>Level Reached</span><span>${this.level}</span></div>
             <div class="stat-item"><span>Coins Collected</span><span>${this.coins}</span></div>
             <div class="stat-item"><span>Highest Damage</span><span>${Math.round(this.stats.damage * 10)}</span></div>
+            <div class="stat-item"><span>Run Seed</span><span>${this.seed}</span></div>
         `;
+        if (this.heat > 0) {
+            statsGrid.innerHTML += `<div class="stat-item"><span>Heat</span><span>${this.heat} (x${heatRewardMultiplier(this.heat).toFixed(1)} rewards)</span></div>`;
+        }
+        const equippedTitle = this.sandboxed ? null : getEquippedTitle();
+        if (equippedTitle && ACHIEVEMENTS[equippedTitle]) {
+            statsGrid.innerHTML += `<div class="stat-item"><span>Title</span><span>${ACHIEVEMENTS[equippedTitle].reward.title}</span></div>`;
+        }
+
+        const damageMeterEl = document.getElementById('go-damage-meter');
+        if (damageMeterEl) {
+            damageMeterEl.innerHTML = renderDamageMeter(this.damageMeter.rows(this.runTime), (key) => this.damageSourceLabel(key));
+        }
+
+        this.setupReplayExport(totalScore);
+
+        this.emitEvent(GameEvents.GAME_OVER, {
+            victory: isVictory,
+            score: totalScore,
+            kills: this.kills,
+            level: this.level,
+            tier: this.tier,
+            time: Math.floor(this.gameTime),
+            mode: this.gameMode,
+            character: this.characterKey,
+            seed: this.seed
+        });
 
-        // Process Unlocks
+        // Achievements earned this run (already saved when earned)
         unlockCont.innerHTML = '';
-        if (this.pendingUnlocks && this.pendingUnlocks.length > 0) {
-            const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-            this.pendingUnlocks.forEach(key => {
-                if (!saved[key]) {
-                    saved[key] = true;
-                    const name = CHARACTERS[key] ? CHARACTERS[key].name : key;
-                    const badge = document.createElement('div');
-                    badge.className = 'unlock-badge';
-                    badge.innerText = `UNLOCKED: ${name}`;
-                    unlockCont.appendChild(badge);
-                }
+        if (this.achievements) {
+            this.achievements.flush();
+            this.achievements.earnedThisRun.forEach(id => {
+                const { character, title } = ACHIEVEMENTS[id].reward;
+                const badge = document.createElement('div');
+                badge.className = 'unlock-badge';
+                badge.innerText = character ? `UNLOCKED: ${CHARACTERS[character].name}` : `ACHIEVEMENT: ${ACHIEVEMENTS[id].name} (TITLE: ${title.toUpperCase()})`;
+                unlockCont.appendChild(badge);
             });
-            localStorage.setItem('uberthump_unlocks', JSON.stringify(saved));
-            this.playSound('levelup', 1.0, 0.8);
+            if (this.achievements.earnedThisRun.length > 0) this.playSound('levelup', 1.0, 0.8);
         }
 
-        // Run History (Skip if Pantheon)
-        if (this.gameMode !== 'PANTHEON') {
-            const runData = { date: new Date().toLocaleDateString(), score: totalScore, char: CHARACTERS[this.characterKey].name };
-            let history = [];
-            try {
-                const raw = localStorage.getItem('uberthump_history');
-                history = raw ? JSON.parse(raw) : [];
-                if (!Array.isArray(history)) history = [];
-            } catch(e) { history = []; }
-            
-            history.unshift(runData);
-            if (history.length > 10) history.pop();
-            localStorage.setItem('uberthump_history', JSON.stringify(history));
+        this.recordRun(isVictory ? RUN_OUTCOMES.VICTORY : RUN_OUTCOMES.DIED, totalScore);
+
+        const challengeBadge = this.recordChallengeResult(totalScore);
+        if (challengeBadge) {
+            const badge = document.createElement('div');
+            badge.className = 'unlock-badge';
+            badge.innerText = challengeBadge;
+            unlockCont.appendChild(badge);
+        }
+
+        const banked = this.bankMetaCurrency();
+        if (banked > 0) {
+            const badge = document.createElement('div');
+            badge.className = 'unlock-badge';
+            badge.innerText = `+${banked} ${META_CURRENCY_NAME.toUpperCase()} (META SHOP)`;
+            unlockCont.appendChild(badge);
         }
 
         // Secret lore note unlock handling
-        if (this.runFoundSecretNote) {
-            try {
-                localStorage.setItem('uberthump_secret_note_unlocked', 'true');
-            } catch(e) {}
+        if (this.runFoundSecretNote && !this.sandboxed) {
+            markSecretNoteFound();
             const badge = document.createElement('div');
             badge.className = 'unlock-badge';
             badge.innerText = 'FOUND: STRANGE NOTE (NEW LORE UNLOCKED)';
@@ -7945,10 +8357,8 @@ export class Game {
         }
 
         // Diary unlock handling (from rare cabin find)
-        if (this.runFoundDiary) {
-            try {
-                localStorage.setItem('uberthump_diary_unlocked', 'true');
-            } catch(e) {}
+        if (this.runFoundDiary && !this.sandboxed) {
+            markDiaryFound();
             const badge = document.createElement('div');
             badge.className = 'unlock-badge';
             badge.innerText = 'FOUND: WEATHERED DIARY (NEW LORE UNLOCKED)';
@@ -7964,19 +8374,16 @@ export class Game {
         runHistEl.style.display = 'block';
         historyList.innerHTML = '';
         
-        // Safety: Ensure history loaded cleanly before mapping
-        let history = [];
-        try {
-            history = JSON.parse(localStorage.getItem('uberthump_history') || '[]');
-            if(!Array.isArray(history)) history = [];
-        } catch(e) {}
+        // StateManager validates entries on load, so every one has a score and name
+        const history = getRunHistory(10);
 
         const bestScore = history.length > 0 ? Math.max(...history.map(h => h.score || 0)) : 0;
         
         history.forEach(h => {
             const div = document.createElement('div');
             div.className = 'history-entry' + (h.score === bestScore ? ' best' : '');
-            div.innerHTML = `<span>${h.char}</span><span>${h.score.toLocaleString()}</span>`;
+            const heat = h.heat > 0 ? ` (HEAT ${h.heat})` : '';
+            div.innerHTML = `<span>${h.char || h.character}${heat}</span><span>${h.score.toLocaleString()}</span>`;
             historyList.appendChild(div);
         });
     }
@@ -7992,9 +8399,9 @@ export class Game {
                 if (!container.parentElement) return; // Check if screen closed
                 const coin = document.createElement('div');
                 coin.className = 'go-coin';
-                coin.style.left = Math.random() * 100 + 'vw';
+                coin.style.left = this.roll('fx') * 100 + 'vw';
                 coin.style.top = '-50px';
-                coin.style.animationDuration = (2 + Math.random() * 3) + 's';
+                coin.style.animationDuration = (2 + this.roll('fx') * 3) + 's';
                 container.appendChild(coin);
                 
                 // Cleanup
@@ -8048,13 +8455,18 @@ export class Game {
         if (this.victoryTriggered) return; // Stop spam
         this.victoryTriggered = true;
 
+        this.emitEvent(GameEvents.TIER_COMPLETE, { tier: this.tier, mode: this.gameMode, kills: this.kills });
+
         // TNS Logic: Finish Story Tier
         if (this.gameMode === 'TNS') {
-            // Tier 4 Win -> Pantheon Unlock + Boberto Unlock
+            // The story session ends here (the page reloads), so it goes into history as a win
+            this.recordRun(RUN_OUTCOMES.VICTORY, this.runScore());
+            this.bankMetaCurrency();
+            if (this.achievements) this.achievements.flush();
+
+            // Tier 4 Win -> Pantheon Unlock
             if (this.tnsTier === 4) {
-                localStorage.setItem('uberthump_pantheon_unlocked', 'true');
-                // Boberto is the hardest character to unlock - requires completing the entire Story Mode
-                this.unlockCharacter('BOBERTO');
+                unlockPantheon();
                 
                 // Epic Portal Animation
                 // Create giant portal encompassing map
@@ -8068,11 +8480,9 @@ export class Game {
                     alert("CONGRATULATIONS! PANTHEON MODE UNLOCKED.");
                     // Clear save
                     try {
-                        const saves = JSON.parse(localStorage.getItem('uberthump_tns_saves') || '[null,null,null]');
                         const slot = this.lobbySettings.tnsSlot;
                         if(slot !== undefined && slot !== null) {
-                            saves[slot] = null; // Completed
-                            localStorage.setItem('uberthump_tns_saves', JSON.stringify(saves));
+                            setTNSSave(slot, null); // Completed
                         }
                     } catch(e) { console.error(e); }
                     window.location.reload();
@@ -8088,8 +8498,7 @@ export class Game {
             const slot = this.lobbySettings.tnsSlot;
             if (slot !== undefined && slot !== null) {
                 try {
-                    const saves = JSON.parse(localStorage.getItem('uberthump_tns_saves') || '[null,null,null]');
-                    saves[slot] = {
+                    setTNSSave(slot, {
                         tier: nextTier,
                         character: this.characterKey,
                         weapons: this.weapons,
@@ -8104,8 +8513,7 @@ export class Game {
                         kills: this.kills,
                         evolutionStats: this.evolutionStats,
                         savedStats: true // marker to reload stats
-                    };
-                    localStorage.setItem('uberthump_tns_saves', JSON.stringify(saves));
+                    });
                     console.log(`TNS Progress Saved: Slot ${slot}, Tier ${nextTier}`);
                 } catch(e) {
                     console.error("Failed to save TNS progress", e);
@@ -8129,13 +8537,14 @@ export class Game {
         const loadingOverlay = document.getElementById('loading-overlay');
         if (loadingOverlay) loadingOverlay.classList.add('active');
 
-        setTimeout(() => {
+        // Sim-time delay so the tier transition lands on the same tick when replayed
+        this.scheduleSim(2.5, () => {
             this._finishWin();
             if (loadingOverlay) loadingOverlay.classList.remove('active');
             // ensure we clear the transitioning flag in case _finishWin returned early
             // (but _finishWin also clears it at the end)
             if (this._tierTransitioning) this._tierTransitioning = false;
-        }, 2500);
+        });
     }
     
     _finishWin() {
@@ -8143,8 +8552,8 @@ export class Game {
         this.tier++;
         
         // Unlock Multiplayer immediately upon beating Tier 1
-        if (this.tier === 2) {
-            localStorage.setItem('uberthump_multiplayer_unlocked', 'true');
+        if (this.tier === 2 && !this.sandboxed) {
+            unlockMultiplayer();
             this.showToast("MULTIPLAYER MODE UNLOCKED!");
             this.playSound('unlock', 1.0, 1.0);
         }
@@ -8160,15 +8569,13 @@ export class Game {
         this.showToast(`Entering Tier ${this.tier} - ENDLESS MODE!`);
 
         // Reset run timer so next tier starts fresh
+        this.completedTierTime += this.gameTime;
         this.gameTime = 0;
         this.updateTimer();
 
         // Reset spawn pacing to sane defaults for the next tier (prevent explosive spawn ramp-ups)
-        this.ghostSpawnRate = 1.0;
         this.spawnRateMultiplier = 1.0;
-        this.spawnTimer = 0;
-        this.ghostSpawnTimer = 0;
-        this.bobSpawnTimer = 0;
+        this.waveDirector.reset();
         // Clear boss state and enemies from previous tier
         this.bossPortalActivated = false;
         this.bossEnemy = null;
@@ -8227,9 +8634,9 @@ export class Game {
         this.startIntro();
 
         // Slightly recolor sky for tier variation
-        const r = Math.random();
-        const g = Math.random();
-        const b = Math.random();
+        const r = this.roll('fx');
+        const g = this.roll('fx');
+        const b = this.roll('fx');
         this.scene.background = new THREE.Color(r, g, b);
         this.scene.fog.color = new THREE.Color(r, g, b);
     }
@@ -8237,6 +8644,11 @@ export class Game {
     reset(newCharacterKey) {
         this.gameTime = 0;
         this.kills = 0;
+        this.damageMeter.reset();
+        this.damageTakenBySource = {};
+        this.lastDamageSource = null;
+        this.completedTierTime = 0;
+        this.runTimeline = createRunTimeline();
         this.level = 1;
         this.xp = 0;
         this.xpToLevel = 20;
@@ -8276,6 +8688,7 @@ export class Game {
             vampirism: 0,
             piercing: 0,
             critChance: 0,
+            bleedChance: 0,
 
             armor: 0,
             regen: 0,
@@ -8293,25 +8706,38 @@ export class Game {
         this.maxRunes = 4;
         this.weaponLevels = { DEFAULT: 1 };
         this.runeLevels = {};
+        this.applyMetaBonuses();
+        this.applyChallengeLoadout();
+        this.metaBanked = false;
+        if (this.achievements) {
+            this.achievements.flush();
+            this.achievements = this.createAchievementTracker();
+        }
         this.weaponTimers = {};
         this.ghosts = [];
         this.orbitingBlades = [];
+        this.meteors.forEach(m => { this.scene.remove(m.mesh); this.scene.remove(m.marker); });
+        this.meteors = [];
+        this.lightningArcs.forEach(a => this.scene.remove(a.mesh));
+        this.lightningArcs = [];
+        this.playerStatus.clear();
         this.buffs = [];
         this.turrets = [];
-        this.skeletonKills = 0;
         this.enemies.forEach(e => {
             this.world.removeBody(e.body);
             this.scene.remove(e.mesh);
+            this.releaseEnemyShell(e);
         });
         this.enemies = [];
+        this.enemyGrid.clear();
 
-        this.projectiles.forEach(p => this.scene.remove(p.mesh));
+        this.projectiles.forEach(p => this.removeProjectile(p));
         this.projectiles = [];
 
         this.xpOrbs.forEach(orb => orb.destroy(this.scene));
         this.xpOrbs = [];
 
-        this.slashes.forEach(s => this.scene.remove(s.mesh));
+        this.slashes.forEach(s => this.pools.release('slash', s.mesh));
         this.slashes = [];
 
         // Rebuild player model/body for the newly selected character
@@ -8491,7 +8917,7 @@ export class Game {
         // Flight Logic (Pantheon) - Only in Creative State
         if (this.gameMode === 'PANTHEON' && this.pantheonState === 'CREATIVE') {
             // Check double jump for flight toggle
-            if (this.keys.space && !this.prevSpace) {
+            if (this.simKeys.space && !this.prevSpace) {
                 const now = performance.now();
                 if (now - this.lastSpaceTime < 300) {
                     this.isFlying = !this.isFlying;
@@ -8500,7 +8926,7 @@ export class Game {
                 }
                 this.lastSpaceTime = now;
             }
-            this.prevSpace = this.keys.space;
+            this.prevSpace = this.simKeys.space;
             
             if (this.isFlying) {
                 // Override physics
@@ -8516,17 +8942,17 @@ export class Game {
                 // W/S move fwd/back relative to camera flat
                 const flatFwd = new THREE.Vector3(dir.x, 0, dir.z).normalize();
                 
-                if (this.keys.w) this.playerBody.position.vadd(new CANNON.Vec3(flatFwd.x*speed*dt, 0, flatFwd.z*speed*dt), this.playerBody.position);
-                if (this.keys.s) this.playerBody.position.vsub(new CANNON.Vec3(flatFwd.x*speed*dt, 0, flatFwd.z*speed*dt), this.playerBody.position);
-                if (this.keys.d) this.playerBody.position.vadd(new CANNON.Vec3(side.x*speed*dt, 0, side.z*speed*dt), this.playerBody.position);
-                if (this.keys.a) this.playerBody.position.vsub(new CANNON.Vec3(side.x*speed*dt, 0, side.z*speed*dt), this.playerBody.position);
+                if (this.simKeys.w) this.playerBody.position.vadd(new CANNON.Vec3(flatFwd.x*speed*dt, 0, flatFwd.z*speed*dt), this.playerBody.position);
+                if (this.simKeys.s) this.playerBody.position.vsub(new CANNON.Vec3(flatFwd.x*speed*dt, 0, flatFwd.z*speed*dt), this.playerBody.position);
+                if (this.simKeys.d) this.playerBody.position.vadd(new CANNON.Vec3(side.x*speed*dt, 0, side.z*speed*dt), this.playerBody.position);
+                if (this.simKeys.a) this.playerBody.position.vsub(new CANNON.Vec3(side.x*speed*dt, 0, side.z*speed*dt), this.playerBody.position);
                 
                 // Space Up, Shift/Ctrl Down
-                if (this.keys.space) this.playerBody.position.y += speed * dt;
+                if (this.simKeys.space) this.playerBody.position.y += speed * dt;
                 // Since we don't track Ctrl explicitly in this.keys, assume logic handles it or check event.
                 // Actually update key listener to track Ctrl? Or just reuse another key? 
                 // User said "hold ctrl". We need to add ctrl to key listener.
-                if (this.keys.ctrl) this.playerBody.position.y -= speed * dt;
+                if (this.simKeys.ctrl) this.playerBody.position.y -= speed * dt;
                 
                 // Land if touching ground
                 const h = this.getTerrainHeight(this.playerBody.position.x, this.playerBody.position.z);
@@ -8540,9 +8966,8 @@ export class Game {
                 this.playerMesh.position.y -= 1.0; // Visual fix
                 
                 // Look
-                this.cameraRotation -= this.mouseMovement.x * 0.002;
-                this.cameraPitch = Math.max(-1.5, Math.min(1.5, this.cameraPitch + this.mouseMovement.y * 0.002));
-                this.mouseMovement.x = 0; this.mouseMovement.y = 0;
+                this.cameraRotation -= this.inputFrame.mx * 0.002;
+                this.cameraPitch = Math.max(-1.5, Math.min(1.5, this.cameraPitch + this.inputFrame.my * 0.002));
                 
                 // Sync rotation
                 this.playerMesh.rotation.y = this.cameraRotation;
@@ -8570,17 +8995,15 @@ export class Game {
             this.fogCtx.globalCompositeOperation = 'source-over';
         }
 
-        // Update camera rotation from mouse
-        this.cameraRotation -= this.mouseMovement.x * 0.002;
+        // Update camera rotation from mouse / right stick (already folded into the tick's input frame)
+        this.cameraRotation -= this.inputFrame.mx * 0.002;
         // Non-inverted vertical look (moving mouse up looks up)
         // Loosen vertical clamp so player can look farther up and down without over-rotating.
         // Allow a wider pitch range but still prevent full 360 inversion.
         this.cameraPitch = Math.max(
             -0.6, // allow looking further upward
-            Math.min(1.6, this.cameraPitch + this.mouseMovement.y * 0.002) // allow looking further downward
+            Math.min(1.6, this.cameraPitch + this.inputFrame.my * 0.002) // allow looking further downward
         );
-        this.mouseMovement.x = 0;
-        this.mouseMovement.y = 0;
 
         // Manual gravity + vertical integration (player is no longer in the physics world)
         this.playerBody.velocity.y -= 40 * dt;
@@ -8589,36 +9012,22 @@ export class Game {
         let ix = 0, iz = 0;
         
         // Keyboard
-        if (this.keys.w) iz -= 1;
-        if (this.keys.s) iz += 1;
-        if (this.keys.a) ix -= 1;
-        if (this.keys.d) ix += 1;
-
-        // Controller support
-        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
-        if (gamepads[0]) {
-            const gp = gamepads[0];
-            // Left stick for movement
-            if (Math.abs(gp.axes[0]) > 0.1) ix = gp.axes[0];
-            if (Math.abs(gp.axes[1]) > 0.1) iz = gp.axes[1];
-            
-            // Right stick for camera
-            if (Math.abs(gp.axes[2]) > 0.1) this.mouseMovement.x -= gp.axes[2] * 20;
-            if (Math.abs(gp.axes[3]) > 0.1) this.mouseMovement.y += gp.axes[3] * 20;
+        if (this.simKeys.w) iz -= 1;
+        if (this.simKeys.s) iz += 1;
+        if (this.simKeys.a) ix -= 1;
+        if (this.simKeys.d) ix += 1;
 
-            // Buttons: A (0) for Jump, RT/RB for attack if manual?
-            if (gp.buttons[0].pressed) this.keys.space = true;
-            
-            // Manual attacks for Knight/Calcium
-            if ((gp.buttons[7] && gp.buttons[7].pressed) || (gp.buttons[5] && gp.buttons[5].pressed)) {
-                 if (this.characterKey === 'MMOOVT') this.knightSlash();
-                 else if (this.characterKey === 'CALCIUM') this.throwBone();
-            }
+        // Analog movement (gamepad left stick / touch), sampled in sampleLiveInput
+        const analog = this.inputFrame.ax !== 0 || this.inputFrame.az !== 0;
+        if (analog) {
+            ix = this.inputFrame.ax;
+            iz = this.inputFrame.az;
         }
-        
-        if (this.moveVector.lengthSq() > 0.01) {
-            ix = this.moveVector.x;
-            iz = this.moveVector.y;
+
+        // Gamepad manual attacks for Knight/Calcium (RT/RB)
+        if (this.inputFrame.mask & INPUT_BITS.PAD_ATTACK) {
+            if (this.characterKey === 'MMOOVT') this.knightSlash();
+            else if (this.characterKey === 'CALCIUM') this.throwBone();
         }
 
         let speed = 4.2 * this.stats.moveSpeed;
@@ -8629,12 +9038,13 @@ export class Game {
             // (was 0.85 before; 0.95 keeps him deliberate but noticeably more mobile)
             speed *= 0.95;
         }
+        speed *= this.playerStatus.multiplier('moveMult');
 
         // Smooth, controlled speed build-up for Calcium (no crazy launch when stopping)
         let hasInput = false;
-        if (this.moveVector.lengthSq() > 0.01) {
+        if (analog) {
             hasInput = true;
-        } else if (this.keys.w || this.keys.a || this.keys.s || this.keys.d) {
+        } else if (this.simKeys.w || this.simKeys.a || this.simKeys.s || this.simKeys.d) {
             hasInput = true;
         }
 
@@ -8891,7 +9301,7 @@ export class Game {
 
         // Jump handling: apply an upward impulse; support one mid-air double jump.
         // canJump is set based on nearGround above; space is our jump key.
-        if (this.keys.space) {
+        if (this.simKeys.space) {
             // If grounded -> normal jump and allow a mid-air double jump
             if (this.canJump) {
                 let jumpStrength = 16;
@@ -8985,6 +9395,7 @@ export class Game {
 
                 // Directly subtract HP (do not pass through takeDamage which applies the global 0.25 easy-mode scaling).
                 this.playerHealth -= dmg;
+                this.recordDamageTaken(dmg, 'Lava');
 
                 // Visual / HUD update
                 if (this.healthBar) this.healthBar.style.width = (Math.max(0, this.playerHealth) / this.maxHealth * 100) + '%';
@@ -9016,6 +9427,7 @@ export class Game {
                 if (!(this.gameMode === 'PANTHEON' && this.pantheonState === 'CREATIVE')) {
                     const impactDmg = 8;
                     this.playerHealth -= impactDmg;
+                    this.recordDamageTaken(impactDmg, 'Lava');
                     if (this.healthBar) this.healthBar.style.width = (Math.max(0, this.playerHealth) / this.maxHealth * 100) + '%';
                     if (this.healthText) this.healthText.innerText = `${Math.max(0, Math.floor(this.playerHealth))} / ${this.maxHealth}`;
                     try { this.spawnDamageNumber(this.playerMesh.position.clone().add(new THREE.Vector3(0,1.6,0)), Math.round(impactDmg), false); } catch(e){}
@@ -9029,8 +9441,8 @@ export class Game {
             this.lavaDamageTimer = 0;
         }
 
-        // Passive regeneration from runes when not in lava
-        if (!onLava && this.stats.regen > 0 && this.playerHealth > 0 && this.playerHealth < this.maxHealth) {
+        // Passive regeneration from runes when not in lava (none under the Open Wounds curse)
+        if (!onLava && !this.curseEffects.noRegen && this.stats.regen > 0 && this.playerHealth > 0 && this.playerHealth < this.maxHealth) {
             this.playerHealth = Math.min(this.maxHealth, this.playerHealth + this.stats.regen * dt);
             if (this.healthBar) {
                 this.healthBar.style.width = (this.playerHealth / this.maxHealth * 100) + '%';
@@ -9052,12 +9464,7 @@ export class Game {
             // Friendly Ghost Logic (Boberto)
             if (proj.isFriendlyGhost) {
                 // Seek nearest enemy
-                let nearest = null;
-                let minDist = Infinity;
-                for (let enemy of this.enemies) {
-                    const d = enemy.mesh.position.distanceTo(proj.mesh.position);
-                    if (d < minDist) { minDist = d; nearest = enemy; }
-                }
+                const nearest = this.nearestEnemy(proj.mesh.position);
                 
                 if (nearest) {
                     const dir = new THREE.Vector3().subVectors(nearest.mesh.position, proj.mesh.position).normalize();
@@ -9077,12 +9484,12 @@ export class Game {
                 proj.mesh.position.addScaledVector(proj.velocity, dt);
                 
                 // Bob particles
-                if (Math.random() > 0.8) {
+                if (this.roll('fx') > 0.8) {
                     this.particleSystem.emit(proj.mesh.position, proj.isDeadly ? 0xff0000 : (proj.isMiniBob ? 0x000000 : 0x00ffcc), 1);
                 }
                 
                 // Collision Logic
-                for (let enemy of this.enemies) {
+                for (let enemy of this.enemiesNear(proj.mesh.position, 1.0)) {
                     const dist = proj.mesh.position.distanceTo(enemy.mesh.position);
                     // Hit radius
                     if (dist < (enemy.size + 1.0)) {
@@ -9090,14 +9497,14 @@ export class Game {
                         proj.attackTimer = (proj.attackTimer || 0) + dt;
                         if (proj.attackTimer >= 0.2) { // Attack rate
                             proj.attackTimer = 0;
-                            this.damageEnemy(enemy, proj.damage);
+                            this.damageEnemy(enemy, proj.damage, proj.source);
                             this.particleSystem.emit(enemy.mesh.position, 0xffffff, 3);
                         }
                     }
                 }
                 
                 if (proj.life <= 0) {
-                    this.scene.remove(proj.mesh);
+                    this.removeProjectile(proj);
                     this.projectiles.splice(i, 1);
                 }
                 continue;
@@ -9107,15 +9514,9 @@ export class Game {
             if (proj.isMissile) {
                 proj.age = (proj.age || 0) + dt;
                 
-                // If target died, try to retarget to nearest enemy
-                if (!proj.target || !this.enemies.includes(proj.target)) {
-                    let nearest = null;
-                    let minDist = Infinity;
-                    for (let enemy of this.enemies) {
-                        const d = enemy.mesh.position.distanceTo(proj.mesh.position);
-                        if (d < minDist) { minDist = d; nearest = enemy; }
-                    }
-                    proj.target = nearest || null;
+                // If target died or went underground, try to retarget to nearest enemy
+                if (!proj.target || !this.enemyGrid.has(proj.target) || isBurrowed(proj.target)) {
+                    proj.target = this.nearestEnemy(proj.mesh.position);
                 }
 
                 // Phase 1: arc upwards for a short time
@@ -9128,7 +9529,7 @@ export class Game {
                 }
                 
                 // Phase 2: hard seek current target
-                if (proj.homing && proj.target && this.enemies.includes(proj.target)) {
+                if (proj.homing && proj.target && this.enemyGrid.has(proj.target)) {
                     const seekDir = new THREE.Vector3()
                         .subVectors(proj.target.mesh.position, proj.mesh.position)
                         .normalize();
@@ -9162,7 +9563,7 @@ export class Game {
                     const toPlayer = new THREE.Vector3().subVectors(proj.owner.position, proj.mesh.position);
                     if (toPlayer.length() < 1) {
                          // Caught
-                         this.scene.remove(proj.mesh);
+                         this.removeProjectile(proj);
                          this.projectiles.splice(i, 1);
                          continue;
                     }
@@ -9173,7 +9574,11 @@ export class Game {
                 }
             }
             
+            // Swept collision: test the whole path travelled this tick so fast projectiles can't skip past small enemies
+            const pathStart = proj.mesh.position.clone();
             proj.mesh.position.addScaledVector(proj.velocity, dt);
+            const path = new THREE.Line3(pathStart, proj.mesh.position.clone());
+            const closest = new THREE.Vector3();
 
             // Particle trails behind different projectile types
             if (this.particleSystem) {
@@ -9189,9 +9594,9 @@ export class Game {
             if (proj.isEnemyProjectile) {
                 const pDist = proj.mesh.position.distanceTo(this.playerBody.position);
                 if (pDist < 1.5) { // Generous player hitbox
-                    this.takeDamage(proj.damage);
+                    this.takeDamage(proj.damage, proj.sourceName || 'Projectile');
                     this.particleSystem.emit(this.playerBody.position, 0xff0000, 10);
-                    this.scene.remove(proj.mesh);
+                    this.removeProjectile(proj);
                     this.projectiles.splice(i, 1);
                     continue;
                 }
@@ -9199,25 +9604,35 @@ export class Game {
             
             // Check enemy collision
             let hit = false;
-            for (let enemy of this.enemies) {
+            for (let enemy of this.enemiesAlong(path.start, path.end, 0.25)) {
                 // Ignore enemy projectiles hitting enemies
                 if (proj.isEnemyProjectile) continue;
 
-                // Ignore already hit enemies for this projectile
-                if (proj.hitIds.includes(enemy.id)) continue;
+                // Ignore already hit enemies for this projectile, and burrowed ones
+                if (proj.hitIds.includes(enemy.id) || isBurrowed(enemy)) continue;
 
-                const dist = proj.mesh.position.distanceTo(enemy.mesh.position);
+                const dist = path.closestPointToPoint(enemy.mesh.position, true, closest).distanceTo(enemy.mesh.position);
                 if (dist < enemy.size * 0.8 + 0.25) {
                     
                     // Register Hit
                     proj.hitIds.push(enemy.id);
 
+                    // Shieldbearers stop projectiles coming at their front
+                    if (blocksProjectile(enemy, proj.velocity)) {
+                        this.spawnDamageNumber(enemy.mesh.position.clone().add(new THREE.Vector3(0, enemy.size + 1, 0)), 'BLOCKED', false, false, '#aaccff');
+                        this.particleSystem.emit(proj.mesh.position, 0xdddddd, 8);
+                        this.playSound('bonk', 0.8, 0.3);
+                        hit = true;
+                        break;
+                    }
+
                     if (proj.isFireball) {
                         // AOE damage
-                        for (let e of this.enemies) {
+                        for (let e of this.enemiesNear(proj.mesh.position, 2.5)) {
                             const d = proj.mesh.position.distanceTo(e.mesh.position);
                             if (d < 2.5) {
-                                this.damageEnemy(e, proj.damage * Math.max(0.3, 1 - d / 2.5));
+                                this.applyWeaponStatus(e, proj.source);
+                                this.damageEnemy(e, proj.damage * Math.max(0.3, 1 - d / 2.5), proj.source);
                             }
                         }
                         this.particleSystem.emit(proj.mesh.position, 0xff4400, 15);
@@ -9225,20 +9640,11 @@ export class Game {
                         break;
                     } else if (proj.isBone && proj.bouncesLeft > 0) {
                         // Ricochet bone: damage enemy and bounce toward another
-                        this.damageEnemy(enemy, proj.damage);
+                        this.damageEnemy(enemy, proj.damage, proj.source);
                         proj.bouncesLeft -= 1;
 
                         // Find new target
-                        let nextTarget = null;
-                        let closest = Infinity;
-                        for (let e of this.enemies) {
-                            if (e === enemy) continue;
-                            const d2 = proj.mesh.position.distanceTo(e.mesh.position);
-                            if (d2 < closest) {
-                                closest = d2;
-                                nextTarget = e;
-                            }
-                        }
+                        const nextTarget = this.nearestEnemy(proj.mesh.position, Infinity, e => e !== enemy);
                         if (nextTarget) {
                             const ndir = new THREE.Vector3().subVectors(nextTarget.mesh.position, proj.mesh.position).normalize();
                             proj.velocity.copy(ndir.multiplyScalar(35));
@@ -9250,7 +9656,7 @@ export class Game {
                             break;
                         }
                     } else {
-                        this.damageEnemy(enemy, proj.damage);
+                        this.damageEnemy(enemy, proj.damage, proj.source);
                         this.particleSystem.emit(proj.mesh.position, 0xffaa00, 5);
                         
                         // Piercing check
@@ -9278,13 +9684,13 @@ export class Game {
             }
             
             if (hit) {
-                this.scene.remove(proj.mesh);
+                this.removeProjectile(proj);
                 this.projectiles.splice(i, 1);
                 continue;
             }
             
             if (proj.life <= 0) {
-                this.scene.remove(proj.mesh);
+                this.removeProjectile(proj);
                 this.projectiles.splice(i, 1);
             }
         }
@@ -9292,8 +9698,19 @@ export class Game {
 
     updateEnemies(dt) {
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
+        this.telegraphs.update(dt);
+        this.flowField.update(this, dt);
+
+        // Patches left by elite affixes (frost trails) hold their status on the player while they stand in one
+        this.groundHazards.update(dt);
+        const hazard = this.groundHazards.at(playerPos.x, playerPos.z);
+        if (hazard) {
+            this.applyStatus('player', hazard.status.id, { ...hazard.status, source: hazard.source });
+        }
         
         for (let enemy of this.enemies) {
+            if (enemy.eliteMarker) enemy.eliteMarker.update(enemy, dt);
+
             // Spawn animation: rise from the ground before doing anything
             if (enemy.spawn) {
                 enemy.spawn.timer += dt;
@@ -9314,6 +9731,8 @@ export class Game {
                 }
             }
 
+            if (enemy.affixes) runAffixHook(this, enemy, 'update', dt);
+
             const diff = new THREE.Vector3().subVectors(playerPos, enemy.mesh.position);
             const dist = diff.length();
             diff.normalize();
@@ -9324,11 +9743,11 @@ export class Game {
                 const behindAngle = Math.atan2(
                     -(this.playerBody.velocity.x || 0),
                     -(this.playerBody.velocity.z || 0)
-                ) + (Math.random() - 0.5) * 1.5;
-                const leashDist = 40 + Math.random() * 15;
+                ) + (this.roll('spawns') - 0.5) * 1.5;
+                const leashDist = 40 + this.roll('spawns') * 15;
                 const newX = this.playerBody.position.x + Math.sin(behindAngle) * leashDist;
                 const newZ = this.playerBody.position.z + Math.cos(behindAngle) * leashDist;
-                if (!this.isLava(newX, newZ)) {
+                if (!this.isLava(newX, newZ) && this.flowField.reachable(newX, newZ)) {
                     const newY = this.getTerrainHeight(newX, newZ) + enemy.size;
                     enemy.body.position.set(newX, newY, newZ);
                     enemy.mesh.position.copy(enemy.body.position);
@@ -9340,17 +9759,55 @@ export class Game {
             // Skip animations and dust particles for distant enemies
             const isDistant = dist > 40;
 
+            // State machine: approach, attack, flee, recover... (bosses run their own patterns in BossAttacks.js)
+            const toX = playerPos.x - enemy.body.position.x;
+            const toZ = playerPos.z - enemy.body.position.z;
+            const toLen = Math.hypot(toX, toZ) || 1;
+            const intent = enemy.isBoss
+                ? BOSS_INTENT
+                : updateEnemyAI(this, enemy, { dist, dx: toX / toLen, dz: toZ / toLen }, dt);
+
+            // Cap collision pushes (crowds, dashes, surfacing burrowers) so overlaps don't fling enemies away
+            const pushSpeed = Math.hypot(enemy.body.velocity.x, enemy.body.velocity.z);
+            if (!enemy.isBoss && pushSpeed > MAX_ENEMY_PUSH_SPEED) {
+                enemy.body.velocity.x *= MAX_ENEMY_PUSH_SPEED / pushSpeed;
+                enemy.body.velocity.z *= MAX_ENEMY_PUSH_SPEED / pushSpeed;
+            }
+
+            // Follow the flow field around walls and props (ground enemies also around lava and up ramps)
+            const hovers = enemy.type === 'ghost_default' || enemy.type === 'ghost_deadly';
+            const flow = this.flowField.directionAt(enemy.body.position.x, enemy.body.position.z, hovers);
+            if (intent.move === MOVES.AWAY) {
+                diff.set(-toX / toLen, 0, -toZ / toLen);
+            } else if (intent.move === MOVES.HOLD) {
+                diff.set(toX / toLen, 0, toZ / toLen); // Face the player
+                // Standing its ground: bumps (a charge hitting home, surfacing under the player) don't shove it away
+                enemy.body.velocity.x = 0;
+                enemy.body.velocity.z = 0;
+            } else if (intent.move === MOVES.DASH) {
+                diff.set(intent.dirX, 0, intent.dirZ);
+            } else if (flow) {
+                diff.set(flow.x, 0, flow.z);
+            }
+
             // Add a little wander so enemies don't perfectly beeline
             enemy.walkTime = (enemy.walkTime || 0) + dt * 1.2;
-            if (enemy.wanderSeed === undefined) enemy.wanderSeed = Math.random() * 10;
-            const wanderStrength = 0.3;
-            const wanderAngle = enemy.walkTime * 0.9 + enemy.wanderSeed;
-            const wander = new THREE.Vector3(
-                Math.sin(wanderAngle) * wanderStrength,
-                0,
-                Math.cos(wanderAngle) * wanderStrength
-            );
-            diff.add(wander).normalize();
+            if (enemy.wanderSeed === undefined) enemy.wanderSeed = this.roll('spawns') * 10;
+            if (intent.move === MOVES.TOWARD || intent.move === MOVES.AWAY) {
+                const wanderStrength = 0.3;
+                const wanderAngle = enemy.walkTime * 0.9 + enemy.wanderSeed;
+                const wander = new THREE.Vector3(
+                    Math.sin(wanderAngle) * wanderStrength,
+                    0,
+                    Math.cos(wanderAngle) * wanderStrength
+                );
+                diff.add(wander);
+                // Spread out along the path instead of queueing single file
+                const push = separationSteer(enemy, this.enemiesNear(enemy.body.position, enemy.size || 1));
+                diff.x += push.x * 1.5;
+                diff.z += push.z * 1.5;
+            }
+            diff.normalize();
             
             // Boss moves slower, ghosts handled separately
             const timeFactor = 1 + this.gameTime * 0.002;
@@ -9370,20 +9827,21 @@ export class Game {
             }
 
             // Make enemies more aggressive so they don't just idle
-            let baseSpeed = 2.4; // Base speed, no level scaling for normal mobs
+            let baseSpeed = enemy.def ? enemy.def.speed : 2.4; // Base speed, no level scaling for normal mobs
 
             // Overtime ghosts specifically get faster
-            if (enemy.type === 'ghost_default' || enemy.type === 'ghost_deadly') {
+            if (hovers) {
                 const paceMultiplier = (1.0 + (this.level - 1) * 0.03) * 1.5;
                 baseSpeed = (1.6 + this.level * 0.03) * timeFactor * paceMultiplier;
             }
 
-            // Apply slow from ICE_AURA if tagged
-            if (enemy.slowUntil && enemy.slowUntil > this.gameTime) {
-                baseSpeed *= 0.4;
+            // Chill slows, stun stops; hasted elites are quicker
+            if (enemy.statusEffects) {
+                baseSpeed *= enemy.statusEffects.multiplier('moveMult');
             }
+            baseSpeed *= affixMultiplier(enemy, 'speedMult') * intent.speedMult;
             if (enemy.isBoss) {
-                baseSpeed = 3.0; // Boss constant speed
+                baseSpeed = isBossWindingUp(enemy) ? 0 : 3.0; // Boss constant speed, rooted while telegraphing
             }
             
             // Track distance before moving so we can detect "stuck" enemies
@@ -9392,11 +9850,32 @@ export class Game {
             // Proposed new horizontal position
             const moveX = diff.x * baseSpeed * dt;
             const moveZ = diff.z * baseSpeed * dt;
-            const candidateX = enemy.body.position.x + moveX;
-            const candidateZ = enemy.body.position.z + moveZ;
+            let candidateX = enemy.body.position.x + moveX;
+            let candidateZ = enemy.body.position.z + moveZ;
+
+            // Walls and props stop enemies that have a way around; slide along whichever axis is free
+            const field = this.flowField;
+            const fromX = enemy.body.position.x;
+            const fromZ = enemy.body.position.z;
+            if (field.blocks(fromX, fromZ, candidateX, candidateZ)) {
+                if (!field.blocks(fromX, fromZ, candidateX, fromZ)) {
+                    candidateZ = fromZ;
+                } else if (!field.blocks(fromX, fromZ, fromX, candidateZ)) {
+                    candidateX = fromX;
+                } else {
+                    candidateX = fromX;
+                    candidateZ = fromZ;
+                }
+            }
+
+            // Backing off and dashing don't follow the field, so stop at lava
+            if (intent.move !== MOVES.TOWARD && !hovers && this.isLava(candidateX, candidateZ)) {
+                candidateX = fromX;
+                candidateZ = fromZ;
+            }
 
             // Flying ghosts ignore lava/height and hover
-            if (enemy.type === 'ghost_default' || enemy.type === 'ghost_deadly') {
+            if (hovers) {
                 enemy.body.position.x = candidateX;
                 enemy.body.position.z = candidateZ;
 
@@ -9404,7 +9883,6 @@ export class Game {
                 const hover = enemy.type === 'ghost_deadly' ? 4.0 : 3.0;
                 enemy.body.position.y = terrainHeight + hover;
             } else {
-                // Ground enemies simply chase you, even across dangerous terrain
                 enemy.body.position.x = candidateX;
                 enemy.body.position.z = candidateZ;
                 
@@ -9443,8 +9921,8 @@ export class Game {
                 const climbSpeed = 10;
                 enemy.body.position.y += climbSpeed * dt;
                 enemy.mesh.position.y = enemy.body.position.y;
-            } else if (distAfter > distBefore + 0.05 && playerPos.y > enemy.body.position.y + 0.5) {
-                // Fallback "unstuck" climb for weird geometry
+            } else if (!flow && distAfter > distBefore + 0.05 && playerPos.y > enemy.body.position.y + 0.5) {
+                // Fallback "unstuck" climb for weird geometry (paths may lead away on purpose, e.g. to a ramp)
                 enemy.body.position.y += 6 * dt;
                 enemy.mesh.position.y = enemy.body.position.y;
             }
@@ -9459,6 +9937,7 @@ export class Game {
                 const animSpeed = 2.5;
                 enemy.walkTime = (enemy.walkTime || 0) + dt * animSpeed;
                 const phase = enemy.walkTime * 4;
+                enemy.mesh.userData.walkPhase = phase; // instanced limbs
                 const swing = Math.sin(phase);
                 const swingOpp = Math.sin(phase + Math.PI);
 
@@ -9480,471 +9959,33 @@ export class Game {
                 }
             }
 
-            // Boss / Miniboss behavior
+            // Boss / Miniboss behavior: phases and attacks from the BOSSES table
             if (enemy.isBoss) {
-                enemy.attackTimer = (enemy.attackTimer || 0) + dt;
                 enemy.teleportCooldown = (enemy.teleportCooldown || 0) - dt;
+                updateBoss(this, enemy, dt);
 
-                const origin = enemy.mesh.position.clone();
-                const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-                const distToPlayer = origin.distanceTo(playerPos);
-
-                // TNS Tier 4 Barkvader Logic
-                if (this.gameMode === 'TNS' && this.tnsTier === 4 && enemy.isMainBoss) {
-                    // Check HP Thresholds for Phases
-                    const hpRatio = enemy.hp / enemy.maxHp;
-                    
-                    // Trigger Shield Phases (75%, 50%, 25%)
-                    // Only trigger if not already shielded and in a fight phase
-                    if (!enemy.isShielded) {
-                        if ((hpRatio <= 0.75 && this.tnsPhase === 1) || 
-                            (hpRatio <= 0.50 && this.tnsPhase === 3) || 
-                            (hpRatio <= 0.25 && this.tnsPhase === 5)) {
-                            
-                            // Activate Shield
-                            this.tnsPhase++; // 2, 4, 6
-                            enemy.isShielded = true;
-                            this.showToast("BARKVADER SHIELDS UP! KILL CHADBARK!");
-                            
-                            // Rise up
-                            enemy.body.position.y += 10;
-                            enemy.mesh.position.y += 10;
-                            
-                            // Visual Shield
-                            if(!enemy.shieldMesh) {
-                                const s = new THREE.Mesh(new THREE.SphereGeometry(3, 16, 16), new THREE.MeshBasicMaterial({color:0x00ffff, transparent:true, opacity:0.3, wireframe:true}));
-                                enemy.mesh.add(s);
-                                enemy.shieldMesh = s;
-                            }
-                            enemy.shieldMesh.visible = true;
-                            
-                            // Spawn Chadbark Miniboss with scaled HP
-                            // Phase 2 (75%): Normal HP. Phase 4 (50%): 2x HP. Phase 6 (25%): 2x HP? User said "Same thing".
-                            const hpMult = (this.tnsPhase === 4 || this.tnsPhase === 6) ? 2.0 : 1.0;
-                            const chadbarkHp = 15000 * hpMult; 
-                            // Spawn Chadbark specifically. Use Miniboss spawner with custom type?
-                            // Let's reuse 'JOHN_PORK' visual but name it Chadbark
-                            this.spawnMiniboss('JOHN_PORK', chadbarkHp);
-                            const cb = this.bossEnemy; // The newly spawned miniboss
-                            if (cb) {
-                                cb.name = "Chadbark";
-                                cb.isChadbark = true; // Mark him
-                                this.bossEnemy = enemy; // Restore Barkvader as main boss ref, stick Chadbark in enemies list
-                                // Need to ensure Chadbark is treated as a separate boss entity
-                                // Actually spawnMiniboss sets this.bossEnemy. We need to preserve Barkvader reference.
-                                // We have 'enemy' as Barkvader here.
-                            }
-                            
-                            // Resume spawns
-                            this.spawnRateMultiplier = 2.0;
-                        }
-                    } else {
-                        // Check if Chadbark is dead
-                        const chadbarkAlive = this.enemies.some(e => e.isChadbark);
-                        if (!chadbarkAlive) {
-                            // Break Shield
-                            enemy.isShielded = false;
-                            this.tnsPhase++; // 3, 5, 7
-                            this.showToast("SHIELD BROKEN!");
-                            
-                            // Drop down
-                            enemy.body.position.y -= 10;
-                            enemy.mesh.position.y -= 10;
-                            if(enemy.shieldMesh) enemy.shieldMesh.visible = false;
-                            
-                            // Clear minions
-                            this.enemies.forEach(e => {
-                                if(!e.isBoss) this.despawnEnemy(e);
-                            });
-                            this.spawnRateMultiplier = 0; // Stop spawns during boss duel
-                        }
-                    }
-                    
-                    // Invincibility handling in damageEnemy (add check there)
-                }
-
-                if (enemy.isMainBoss) {
-                    if (enemy.name === 'Babybark') {
-                        // BABYBARK: Simple Acorn Shot
-                        const attackInterval = 2.0;
-                        if (enemy.attackTimer >= attackInterval) {
-                            enemy.attackTimer = 0;
-                            const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                            
-                            const acorn = new THREE.Mesh(new THREE.SphereGeometry(0.4), new THREE.MeshStandardMaterial({ color: 0x8D6E63 }));
-                            acorn.position.copy(origin);
-                            acorn.position.y += 1.0;
-                            this.scene.add(acorn);
-                            
-                            this.projectiles.push({
-                                mesh: acorn,
-                                velocity: dir.multiplyScalar(15),
-                                damage: 15,
-                                life: 4,
-                                isEnemyProjectile: true
-                            });
-                            this.playSound('bonk', 1.5, 0.3);
-                        }
-                    } else if (enemy.name === 'Smolbark') {
-                        // SMOLBARK: Leaf Volley (3 spread)
-                        const attackInterval = 1.5;
-                        if (enemy.attackTimer >= attackInterval) {
-                            enemy.attackTimer = 0;
-                            const baseDir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                            
-                            for(let i=-1; i<=1; i++) {
-                                const dir = baseDir.clone().applyAxisAngle(new THREE.Vector3(0,1,0), i * 0.25);
-                                const leaf = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.6), new THREE.MeshStandardMaterial({ color: 0x33691E }));
-                                leaf.rotation.x = Math.PI/2;
-                                leaf.position.copy(origin);
-                                leaf.position.y += 1.5;
-                                leaf.lookAt(origin.clone().add(dir));
-                                this.scene.add(leaf);
-                                
-                                this.projectiles.push({
-                                    mesh: leaf,
-                                    velocity: dir.multiplyScalar(18),
-                                    damage: 20,
-                                    life: 4,
-                                    isEnemyProjectile: true
-                                });
-                            }
-                            this.playSound('slice', 1.2, 0.3);
-                        }
-                    } else if (enemy.name === 'Chadbark') {
-                        // CHADBARK: Mix of Charge and Log Throw
-                        if (enemy.chargeTimer === undefined) enemy.chargeTimer = 0;
-                        enemy.chargeTimer += dt;
-                        
-                        if (enemy.chargeTimer > 4.0) {
-                            // CHARGE ATTACK
-                            const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                            enemy.body.position.x += dir.x * 12.0; // Big lunge
-                            enemy.body.position.z += dir.z * 12.0;
-                            this.particleSystem.emit(enemy.mesh.position.clone(), 0x5D4037, 30);
-                            this.playSound('boom', 0.8, 0.5);
-                            this.screenShake = 0.5;
-                            
-                            // AOE Slam at destination
-                            if (playerPos.distanceTo(enemy.mesh.position) < 5.0) {
-                                this.takeDamage(30);
-                            }
-                            enemy.chargeTimer = 0;
-                            enemy.attackTimer = 0; // reset projectile timer
-                        } else {
-                            // LOG THROW
-                            const attackInterval = 1.8;
-                            if (enemy.attackTimer >= attackInterval) {
-                                enemy.attackTimer = 0;
-                                const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                                const log = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 2.0), new THREE.MeshStandardMaterial({ color: 0x3E2723 }));
-                                log.rotation.x = Math.PI/2; // sideways log? No, missile log.
-                                log.rotation.z = Math.PI/2; // Horizontal log spinning?
-                                log.position.copy(origin);
-                                log.position.y += 2.0;
-                                this.scene.add(log);
-                                
-                                this.projectiles.push({
-                                    mesh: log,
-                                    velocity: dir.multiplyScalar(22),
-                                    damage: 35,
-                                    life: 5,
-                                    isEnemyProjectile: true
-                                });
-                                this.playSound('bonk', 0.6, 0.4);
-                            }
-                        }
-                    } else if (enemy.name === 'Barkvader') {
-                        // BARKVADER: 4 Attacks
-                        if (enemy.bvPhase === undefined) enemy.bvPhase = 0;
-                        if (enemy.bvTimer === undefined) enemy.bvTimer = 0;
-                        
-                        enemy.bvTimer += dt;
-                        
-                        // Attack cooldown varies by phase
-                        const cooldowns = [2.5, 3.0, 4.0, 3.0];
-                        if (enemy.bvTimer >= cooldowns[enemy.bvPhase]) {
-                            enemy.bvTimer = 0;
-                            
-                            // Execute Attack based on Phase
-                            if (enemy.bvPhase === 0) {
-                                // 1. LIGHTSABER THROW (Boomerang)
-                                const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                                const saber = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 3.0), new THREE.MeshBasicMaterial({ color: 0xff0000 }));
-                                saber.rotation.x = Math.PI/2;
-                                saber.position.copy(origin);
-                                saber.position.y += 2.0;
-                                this.scene.add(saber);
-                                
-                                this.projectiles.push({
-                                    mesh: saber,
-                                    velocity: dir.multiplyScalar(28),
-                                    damage: 40,
-                                    life: 5,
-                                    isEnemyProjectile: true,
-                                    isBoomerang: true,
-                                    returnState: 0,
-                                    owner: enemy.mesh,
-                                    hitIds: []
-                                });
-                                this.playSound('slice', 0.5, 0.5);
-                                this.showToast("Barkvader throws his saber!");
-                            } else if (enemy.bvPhase === 1) {
-                                // 2. FORCE LIGHTNING (Rapid Fire)
-                                const count = 8;
-                                for(let k=0; k<count; k++) {
-                                    setTimeout(() => {
-                                        if(!this.isPlaying || !enemy.mesh) return; // safety
-                                        // Recalc player pos
-                                        const currP = this.playerBody.position.clone();
-                                        const currO = enemy.mesh.position.clone();
-                                        const d = new THREE.Vector3().subVectors(currP, currO).normalize();
-                                        // Add spread
-                                        d.applyAxisAngle(new THREE.Vector3(0,1,0), (Math.random()-0.5)*0.3);
-                                        
-                                        const bolt = new THREE.Mesh(new THREE.SphereGeometry(0.3), new THREE.MeshBasicMaterial({ color: 0xaa00ff })); // Purple lightning? Or Red? Barkvader -> Red.
-                                        bolt.material.color.setHex(0xff0000);
-                                        bolt.position.copy(currO);
-                                        bolt.position.y += 2.5;
-                                        this.scene.add(bolt);
-                                        
-                                        this.projectiles.push({
-                                            mesh: bolt,
-                                            velocity: d.multiplyScalar(35),
-                                            damage: 15,
-                                            life: 3,
-                                            isEnemyProjectile: true
-                                        });
-                                        this.playSynth('shoot', 2.0, 0.2);
-                                    }, k * 100);
-                                }
-                            } else if (enemy.bvPhase === 2) {
-                                // 3. DARK SIDE BURST (360 Radial)
-                                const count = 24;
-                                for(let k=0; k<count; k++) {
-                                    const angle = (k/count) * Math.PI * 2;
-                                    const d = new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
-                                    const ball = new THREE.Mesh(new THREE.SphereGeometry(0.5), new THREE.MeshBasicMaterial({ color: 0x330000 }));
-                                    ball.position.copy(origin);
-                                    ball.position.y += 1.0;
-                                    this.scene.add(ball);
-                                    this.projectiles.push({
-                                        mesh: ball,
-                                        velocity: d.multiplyScalar(15),
-                                        damage: 30,
-                                        life: 6,
-                                        isEnemyProjectile: true
-                                    });
-                                }
-                                this.playSound('boom', 0.4, 0.6);
-                                this.screenShake = 0.4;
-                            } else if (enemy.bvPhase === 3) {
-                                // 4. FORCE CRUSH (Ground Eruption under player)
-                                const target = playerPos.clone();
-                                // Telegraph
-                                const marker = new THREE.Mesh(new THREE.RingGeometry(0.5, 3.5, 32), new THREE.MeshBasicMaterial({ color: 0xff0000, side: THREE.DoubleSide, transparent: true, opacity: 0.5 }));
-                                marker.rotation.x = -Math.PI/2;
-                                marker.position.copy(target);
-                                marker.position.y = this.getTerrainHeight(target.x, target.z) + 0.1;
-                                this.scene.add(marker);
-                                
-                                setTimeout(() => {
-                                    this.scene.remove(marker);
-                                    // Explode
-                                    this.particleSystem.emit(target, 0xff0000, 50);
-                                    this.playSound('boom', 0.8, 0.8);
-                                    // Check damage
-                                    const pNow = this.playerBody.position;
-                                    if (pNow.distanceTo(target) < 3.5) {
-                                        this.takeDamage(50);
-                                        // Knockback
-                                        this.playerBody.velocity.y = 15;
-                                    }
-                                }, 1200); // 1.2s delay
-                            }
-                            
-                            // Advance Phase
-                            enemy.bvPhase = (enemy.bvPhase + 1) % 4;
-                        }
-                    } else {
-                        // DEFAULT GATEKEEPER
-                        const attackInterval = 1.2;
-                        if (enemy.attackTimer >= attackInterval) {
-                            enemy.attackTimer = 0;
-                            for (let i = -1; i <= 1; i++) {
-                                const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                                const spread = 0.18 * i;
-                                dir.applyAxisAngle(new THREE.Vector3(0,1,0), spread);
-
-                                // Upgraded Pitchfork Volley
-                                const pfGroup = new THREE.Group();
-                                // Larger, glowing Trident shape
-                                const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 2.5), new THREE.MeshStandardMaterial({ color: 0x888888 }));
-                                shaft.rotation.x = Math.PI/2;
-                                pfGroup.add(shaft);
-                                const tip = new THREE.Mesh(new THREE.ConeGeometry(0.3, 1.0), new THREE.MeshBasicMaterial({ color: 0xff0000 }));
-                                tip.rotation.x = Math.PI/2;
-                                tip.position.z = 1.2;
-                                pfGroup.add(tip);
-                                
-                                // Adjust height to player level so it hits
-                                pfGroup.position.copy(origin);
-                                pfGroup.position.y = playerPos.y + 0.5; // Aim at player height!
-                                pfGroup.lookAt(playerPos);
-                                
-                                this.scene.add(pfGroup);
-
-                                this.projectiles.push({
-                                    mesh: pfGroup,
-                                    velocity: dir.multiplyScalar(20),
-                                    damage: 40,
-                                    life: 5,
-                                    isEnemyProjectile: true
-                                });
-                            }
-                            this.playSound && this.playSound('boom', 0.9, 0.25);
-                        }
-                    }
-
-                    // Teleport if too far (keep boss engaging)
-                    // Barkvader has his own movement logic or can share this? 
-                    // Let's allow teleport for all bosses to avoid stuckness.
-                    if (distToPlayer > 25 && (enemy.teleportCooldown === undefined || enemy.teleportCooldown <= 0)) {
-                        this.teleportEnemyNearPlayer(enemy);
-                        enemy.teleportCooldown = 8.0;
-                    }
-                } else {
-                    // Miniboss unique attacks based on name/type
-                    const atk = (enemy.name || '').toLowerCase();
-                    // JOHN_PORK / CHADBARK: charge lunge after wind-up
-                    if (atk.includes('john pork') || atk.includes('chadbark')) {
-                        enemy.chargeTimer = (enemy.chargeTimer || 0) + dt;
-                        const windUp = 1.1;
-                        if (enemy.chargeTimer >= windUp) {
-                            // lunge toward player
-                            const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                            enemy.body.position.x += dir.x * 6.5;
-                            enemy.body.position.z += dir.z * 6.5;
-                            this.particleSystem.emit(enemy.mesh.position.clone(), 0xffaa00, 20);
-                            this.playSound && this.playSound('boom', 1.1, 0.3);
-                            enemy.chargeTimer = 0;
-                            enemy.attackTimer = 0;
-                            // small cooldown before next charge
-                            enemy.teleportCooldown = 2.0;
-                        } else {
-                            // telegraph by slight shake
-                            enemy.mesh.position.y += Math.sin(enemy.chargeTimer * 30) * 0.002;
-                        }
-                    }
-                    // QUEEN KAREN: summon minions or spawn small projectile cones
-                    else if (atk.includes('queen karen') || atk.includes('karen')) {
-                        enemy.attackTimer = (enemy.attackTimer || 0) + dt;
-                        const summonInterval = 3.2;
-                        if (enemy.attackTimer >= summonInterval) {
-                            enemy.attackTimer = 0;
-                            // spawn 2 smaller enemies near her (light foes)
-                            for (let i = 0; i < 2; i++) {
-                                const angle = Math.random() * Math.PI * 2;
-                                const dist = 2 + Math.random() * 2;
-                                const sx = enemy.mesh.position.x + Math.cos(angle) * dist;
-                                const sz = enemy.mesh.position.z + Math.sin(angle) * dist;
-                                // simple spawned enemy visual (weak)
-                                const grp = new THREE.Group();
-                                const body = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.9, 0.5), new THREE.MeshStandardMaterial({ color: 0x9966aa }));
-                                body.position.y = 0.5;
-                                grp.add(body);
-                                grp.position.set(sx, this.getTerrainHeight(sx, sz) + 0.5, sz);
-                                this.scene.add(grp);
-
-                                const b = new CANNON.Body({ mass: 1, position: new CANNON.Vec3(sx, this.getTerrainHeight(sx, sz) + 0.5, sz), fixedRotation: true });
-                                b.addShape(new CANNON.Sphere(0.5));
-                                this.world.addBody(b);
-
-                                this.enemies.push({
-                                    id: 'karen_minion_' + Date.now() + Math.random(),
-                                    mesh: grp,
-                                    body: b,
-                                    hp: 6,
-                                    maxHp: 6,
-                                    size: 0.6,
-                                    attackCooldown: 0,
-                                    anim: {},
-                                    walkTime: 0,
-                                    type: 'karen_minion'
-                                });
-                            }
-                            this.particleSystem.emit(enemy.mesh.position.clone(), 0xff88ff, 30);
-                        }
-                    }
-                    // BRUH_NUBIS: teleport-strike — blink behind player and fire a cone
-                    else if (atk.includes('bruh-nubis') || atk.includes('bruh')) {
-                        enemy.attackTimer = (enemy.attackTimer || 0) + dt;
-                        const strikeInterval = 2.8;
-                        if (enemy.attackTimer >= strikeInterval && (enemy.teleportCooldown === undefined || enemy.teleportCooldown <= 0)) {
-                            enemy.attackTimer = 0;
-                            // teleport behind player
-                            this.teleportEnemyNearPlayer(enemy);
-                            // after teleport, do a quick cone of projectiles outward
-                            const o2 = enemy.mesh.position.clone();
-                            const p2 = new THREE.Vector3().copy(this.playerBody.position);
-                            for (let i = -2; i <= 2; i++) {
-                                const dir = new THREE.Vector3().subVectors(p2, o2).normalize();
-                                dir.applyAxisAngle(new THREE.Vector3(0,1,0), i * 0.18);
-                                const proj = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.5, 6), new THREE.MeshStandardMaterial({ color: 0xffcc66 }));
-                                proj.rotation.x = Math.PI/2;
-                                proj.position.copy(o2);
-                                proj.position.y += 1.2;
-                                this.scene.add(proj);
-                                this.projectiles.push({
-                                    mesh: proj,
-                                    velocity: dir.multiplyScalar(22),
-                                    damage: 10,
-                                    life: 2.6,
-                                    isEnemyProjectile: true
-                                });
-                            }
-                            enemy.teleportCooldown = 3.0;
-                        }
-                    } else {
-                        // Fallback: light pitchfork volley so it still threatens
-                        enemy.attackTimer = (enemy.attackTimer || 0) + dt;
-                        const fallbackInterval = 1.6;
-                        if (enemy.attackTimer >= fallbackInterval) {
-                            enemy.attackTimer = 0;
-                            const dir = new THREE.Vector3().subVectors(playerPos, origin).normalize();
-                            const pf = new THREE.Mesh(
-                                new THREE.ConeGeometry(0.1, 0.6, 6),
-                                new THREE.MeshStandardMaterial({ color: 0xcccccc, emissive: 0x888888 })
-                            );
-                            pf.rotation.x = Math.PI/2;
-                            pf.position.copy(origin);
-                            pf.position.y += 1.5;
-                            this.scene.add(pf);
-                            this.projectiles.push({
-                                mesh: pf,
-                                velocity: dir.multiplyScalar(18),
-                                damage: 12,
-                                life: 3,
-                                isEnemyProjectile: true
-                            });
-                        }
-                    }
+                const distToPlayer = enemy.mesh.position.distanceTo(this.playerBody.position);
+                const winding = isBossWindingUp(enemy);
+                // Main bosses teleport back in from further out (keep boss engaging)
+                if (enemy.isMainBoss && !winding && distToPlayer > 25 && enemy.teleportCooldown <= 0) {
+                    this.teleportEnemyNearPlayer(enemy);
+                    enemy.teleportCooldown = 8.0;
                 }
 
                 // Keep boss/miniboss engaged: if too far, teleport to keep fight active
-                if (distToPlayer > 20 && (enemy.teleportCooldown === undefined || enemy.teleportCooldown <= 0)) {
+                if (!winding && distToPlayer > 20 && enemy.teleportCooldown <= 0) {
                     this.teleportEnemyNearPlayer(enemy);
                     enemy.teleportCooldown = 6.0;
                 }
             }
 
-            // Special behavior: Spider Spatter charging and explosion
-            if (enemy.type === 'spider') {
-                const chargeRange = 3.0;
-                const explosionRadius = 3.5;
-                const chargeDuration = 1.1;
+            // Special behavior: kamikaze enemies (Spider Spatter) charge up and explode
+            const isKamikaze = !!enemy.def && enemy.def.behavior === ENEMY_BEHAVIORS.KAMIKAZE;
+            if (isKamikaze) {
+                const { radius: explosionRadius, fuse: chargeDuration, knockback: explosionKnock } = enemy.def.explosion;
 
-                if (!enemy.isCharging && dist < chargeRange) {
+                // The AI commits to the blast inside the trigger range
+                if (!enemy.isCharging && enemy.ai.state === AI_STATES.ATTACK) {
                     enemy.isCharging = true;
                     enemy.chargeTimer = 0;
                 }
@@ -9954,18 +9995,14 @@ export class Game {
 
                     // Shake and flash white while charging
                     const shakeAmp = 0.15;
-                    const offsetX = (Math.random() - 0.5) * shakeAmp;
-                    const offsetZ = (Math.random() - 0.5) * shakeAmp;
+                    const offsetX = (this.roll('fx') - 0.5) * shakeAmp;
+                    const offsetZ = (this.roll('fx') - 0.5) * shakeAmp;
                     enemy.mesh.position.x += offsetX;
                     enemy.mesh.position.z += offsetZ;
 
                     // Rapid flash
-                    enemy.mesh.traverse((child) => {
-                        if (child.isMesh && child.material && child.material.emissive) {
-                            const t = (Math.sin(enemy.chargeTimer * 30) * 0.5 + 0.5);
-                            child.material.emissive.setRGB(1.0, 0.5 + 0.5 * t, 0.5 + 0.5 * t); // Flash reddish white
-                        }
-                    });
+                    const t = (Math.sin(enemy.chargeTimer * 30) * 0.5 + 0.5);
+                    this.setEnemyEmissive(enemy, new THREE.Color(1.0, 0.5 + 0.5 * t, 0.5 + 0.5 * t)); // Flash reddish white
 
                     if (enemy.chargeTimer >= chargeDuration) {
                         // Explode
@@ -9980,21 +10017,24 @@ export class Game {
                         
                         // Wide spray
                         for(let k=0; k<30; k++) {
-                            const off = new THREE.Vector3((Math.random()-0.5)*5, (Math.random()-0.5)*5, (Math.random()-0.5)*5);
+                            const off = new THREE.Vector3((this.roll('fx')-0.5)*5, (this.roll('fx')-0.5)*5, (this.roll('fx')-0.5)*5);
                             this.particleSystem.emit(explosionPos.clone().add(off), 0xff4400, 15);
                         }
 
                         this.screenShake = 1.2; 
                         this.playSound('boom', 0.5, 1.0);
 
-                        const explosionDamage = 14; 
-                        const explosionKnock = 50;
+                        const explosionDamage = enemy.def.damage * (enemy.isElite ? ELITE.DAMAGE_MULT : 1);
                         const explosionRadiusSq = explosionRadius * explosionRadius;
 
                         const toPlayer = new THREE.Vector3().subVectors(playerPos, explosionPos);
                         if (toPlayer.lengthSq() <= explosionRadiusSq) {
                             // Damage and big knockback
-                            this.takeDamage(explosionDamage);
+                            this.takeDamage(explosionDamage, this.damageSourceName(enemy));
+                            if (enemy.def.explosion.status) {
+                                const { id, duration, potency } = enemy.def.explosion.status;
+                                this.applyStatus('player', id, { duration, potency, source: this.damageSourceName(enemy) });
+                            }
                             toPlayer.normalize();
                             this.playerBody.velocity.x += toPlayer.x * explosionKnock;
                             this.playerBody.velocity.z += toPlayer.z * explosionKnock;
@@ -10010,7 +10050,9 @@ export class Game {
             // (Bandit removed)
 
             // Per-enemy attack cooldown for melee hits + slash telegraph
-            enemy.attackCooldown = Math.max(0, enemy.attackCooldown - dt);
+            // Stunned enemies cannot attack
+            const attackMult = (enemy.statusEffects ? enemy.statusEffects.multiplier('attackMult') : 1) * affixMultiplier(enemy, 'attackRateMult');
+            enemy.attackCooldown = Math.max(0, enemy.attackCooldown - dt * attackMult);
 
             // Use a larger attack radius for ghosts so their hitbox better matches their visual float
             const isGhost = String(enemy.type || '').toLowerCase().includes('ghost');
@@ -10021,8 +10063,9 @@ export class Game {
             const horizDist = Math.hypot(enemy.mesh.position.x - playerPos.x, enemy.mesh.position.z - playerPos.z);
             const effectiveDist = isGhost ? horizDist : dist;
 
-            if (effectiveDist < attackThreshold && enemy.attackCooldown <= 0 && enemy.type !== 'spider' && enemy.type !== 'bandit') {
-                let baseDmg = 8 + this.level * 0.6; // toned down overall enemy melee
+            if (effectiveDist < attackThreshold && enemy.attackCooldown <= 0 && attackMult > 0 && intent.melee && enemy.type !== 'bandit') {
+                // toned down overall enemy melee
+                let baseDmg = enemy.def ? enemy.def.damage + this.level * enemy.def.damagePerLevel : 8 + this.level * 0.6;
                 // Ghost Damage scaling
                 if (enemy.type === 'ghost_default') {
                     // Ghosts do very low damage now to avoid insta-kills in early overtime
@@ -10038,9 +10081,14 @@ export class Game {
                         baseDmg = 40 + this.level * 3.0;
                     }
                 }
-                const dmg = baseDmg;
+                const dmg = enemy.isElite ? baseDmg * ELITE.DAMAGE_MULT : baseDmg;
                 this.spawnSlash(playerPos.clone());
-                this.takeDamage(dmg);
+                this.takeDamage(dmg, this.damageSourceName(enemy));
+                if (enemy.def && enemy.def.onHit) {
+                    const { id, duration, potency } = enemy.def.onHit;
+                    this.applyStatus('player', id, { duration, potency, source: this.damageSourceName(enemy) });
+                }
+                runAffixHook(this, enemy, 'hitPlayer', dmg);
                 // Ghosts attack a bit faster so they feel responsive
                 enemy.attackCooldown = isGhost ? 0.9 : 1.2;
             }
@@ -10202,7 +10250,7 @@ export class Game {
             
             if (t < 2) {
                 requestAnimationFrame(anim);
-                this.renderer.render(this.scene, this.camera);
+                if (this.renderer) this.renderer.render(this.scene, this.camera);
             } else {
                 // Done flip, open portal
                 monkeGroup.rotation.x = 0;
@@ -10215,8 +10263,8 @@ export class Game {
                 ring.position.y += 1.5;
                 this.scene.add(ring);
                 
-                // Unlock
-                this.unlockCharacter('MONKE');
+                // Counts towards the Monke achievement
+                this.emitEvent(GameEvents.SECRET_FOUND, { secret: 'monkeCrate' });
 
                 // Play Monke's Theme snippet as requested
                 const themeUrl = "./MONKE'S THEME.mp3";
@@ -10265,11 +10313,11 @@ export class Game {
         // Choose a target spot near the player (prefer behind)
         let chosen = null;
         for (let i = 0; i < maxTries; i++) {
-            const angle = this.cameraRotation + Math.PI + (Math.random() - 0.5) * 1.5; // broadly behind
-            const dist = radius + Math.random() * 5;
+            const angle = this.cameraRotation + Math.PI + (this.roll('spawns') - 0.5) * 1.5; // broadly behind
+            const dist = radius + this.roll('spawns') * 5;
             const x = playerPos.x + Math.sin(angle) * dist;
             const z = playerPos.z + Math.cos(angle) * dist;
-            if (this.isLava(x, z)) continue;
+            if (this.isLava(x, z) || !this.flowField.reachable(x, z)) continue;
             const terrainY = this.getTerrainHeight(x, z);
             chosen = { x, z, y: terrainY };
             break;
@@ -10371,7 +10419,14 @@ export class Game {
             } catch (e) {}
 
             if (dist < 2) {
-                const price = chest.cost || chest.baseCost || 0;
+                // Chest keys (elite drops) open a chest for free, kept for when coins fall short
+                const useKey = this.chestKeys > 0 && (chest.cost || chest.baseCost || 0) > this.coins;
+                const price = useKey ? 0 : (chest.cost || chest.baseCost || 0);
+                if (useKey) {
+                    this.chestKeys--;
+                    this.updateUI();
+                    this.showToast('Chest opened with a key');
+                }
                 if (price > 0 && this.coins < price) {
                     if (!chest._notified) {
                         this.showToast(`Need ${price} coins (you have ${this.coins})`);
@@ -10404,7 +10459,7 @@ export class Game {
                 if (WEAPONS[upgrade] && !this.weapons.includes(upgrade) && !this.canAddWeapon()) {
                     const owned = this.weapons.filter(w => w !== 'DEFAULT');
                     if (owned.length > 0) {
-                        upgrade = owned[Math.floor(Math.random() * owned.length)];
+                        upgrade = owned[Math.floor(this.roll('loot') * owned.length)];
                     } else {
                         giveUpgrade = false; // No upgradeable weapon, fallback to health
                     }
@@ -10413,7 +10468,7 @@ export class Game {
                 else if (RUNES[upgrade] && !this.runes.includes(upgrade) && !this.canAddRune()) {
                     const owned = this.runes;
                     if (owned.length > 0) {
-                        upgrade = owned[Math.floor(Math.random() * owned.length)];
+                        upgrade = owned[Math.floor(this.roll('loot') * owned.length)];
                     } else {
                         giveUpgrade = false;
                     }
@@ -10427,6 +10482,7 @@ export class Game {
                             this.weaponLevels[upgrade] = 1;
                         } else {
                             this.weaponLevels[upgrade] = (this.weaponLevels[upgrade] || 1) + 1;
+                            this.emitEvent(GameEvents.WEAPON_LEVELED, { key: upgrade, level: this.weaponLevels[upgrade], source: 'chest' });
                         }
                     } else if (RUNES[upgrade]) {
                         lootName = RUNES[upgrade].name + (this.runes.includes(upgrade) ? " (Level Up)" : " (New)");
@@ -10450,6 +10506,13 @@ export class Game {
                 
                 this.playSynth('unlock', 0.8, 0.4);
                 this.particleSystem.emit(chest.position, 0xFFD700, 20);
+
+                this.emitEvent(GameEvents.CHEST_OPENED, {
+                    position: { x: chest.position.x, z: chest.position.z },
+                    cost: price,
+                    upgrade,
+                    fallback: !giveUpgrade
+                });
                 
                 // Temporary audio dip for chest opening
                 if (this.currentBgmGain) this.currentBgmGain.gain.setTargetAtTime(0.15, this.audioCtx.currentTime, 0.1);
@@ -10535,11 +10598,11 @@ export class Game {
                     }
 
                     // Optimized Particle emission (Reduced rate)
-                    if (this.particleSystem && Math.random() < 0.1) {
+                    if (this.particleSystem && this.roll('fx') < 0.1) {
                         const pos = shrine.position.clone();
-                        pos.y += Math.random() * 3;
-                        pos.x += (Math.random() - 0.5) * 2;
-                        pos.z += (Math.random() - 0.5) * 2;
+                        pos.y += this.roll('fx') * 3;
+                        pos.x += (this.roll('fx') - 0.5) * 2;
+                        pos.z += (this.roll('fx') - 0.5) * 2;
                         this.particleSystem.emit(pos, progress < 0.5 ? 0x00ffff : 0xffd700, 1);
                     }
                     
@@ -10592,6 +10655,7 @@ export class Game {
 
         if (this.gameMode !== 'MULTI') this.isPaused = true;
         this.upgradeMenu.classList.add('active');
+        if (this.rerollButton) this.rerollButton.style.display = 'none';
         // Release pointer lock
         if (document.exitPointerLock) {
             try { document.exitPointerLock(); } catch(e) {}
@@ -10603,7 +10667,7 @@ export class Game {
         // Pick 3 random upgrades with rarities
         for (let i = 0; i < 3; i++) {
             if (allUpgrades.length === 0) break;
-            const idx = Math.floor(Math.random() * allUpgrades.length);
+            const idx = Math.floor(this.roll('loot') * allUpgrades.length);
             const key = allUpgrades.splice(idx, 1)[0];
             const rarity = this.rollRarity();
             selected.push({ key, rarity });
@@ -10638,11 +10702,15 @@ export class Game {
             card.onclick = () => this.selectShrineUpgrade(option.key, option.rarity);
             this.upgradeOptions.appendChild(card);
         });
+
+        if (this.isReplay || this.botController) {
+            this.pendingChoice = { kind: 'shrine', options: selected.map(o => ({ key: o.key, rarity: o.rarity })) };
+        }
     }
     
     rollRarity() {
         const luckBonus = this.stats.luck || 0;
-        const roll = Math.random() - luckBonus;
+        const roll = this.roll('loot') - luckBonus;
         
         let cumulative = 0;
         for (let [key, rarity] of Object.entries(RARITIES).reverse()) {
@@ -10655,6 +10723,9 @@ export class Game {
     }
     
     selectShrineUpgrade(key, rarity) {
+        if (this.recorder) this.recorder.recordEvent('shrine', { key, rarity });
+        this.emitEvent(GameEvents.UPGRADE_SELECTED, { key, rarity, source: 'shrine' });
+
         // Restore audio
         if (this.currentBgmGain) {
             this.currentBgmGain.gain.setTargetAtTime(0.35, this.audioCtx.currentTime, 0.1);
@@ -10705,9 +10776,47 @@ export class Game {
         }
     }
 
-    // Targeting Helper: Gets valid enemies AND players if in PVP
-    getValidTargets() {
-        const targets = [...this.enemies];
+    // Re-index every enemy at its current position (each tick after they move);
+    // spawns and removals in between keep the grid in step through addEnemy / enemyGrid.remove
+    refreshEnemyGrid() {
+        this.enemyGrid.rebuild(this.enemies, e => e.mesh.position, e => e.size || 1);
+    }
+
+    // Next id for a spawned enemy, boss or ghost
+    entityId(prefix) {
+        return prefix + this.nextEntityId++;
+    }
+
+    addEnemy(enemy) {
+        this.enemies.push(enemy);
+        this.enemyGrid.insert(enemy, enemy.mesh.position.x, enemy.mesh.position.z, enemy.size || 1);
+    }
+
+    // Enemies that may be within radius of pos, in this.enemies order. Candidates only: keep the exact distance test.
+    enemiesNear(pos, radius) {
+        return this.enemyGrid.query(pos.x, pos.z, radius);
+    }
+
+    // Enemies that may be within radius of the segment from -> to (swept hit tests)
+    enemiesAlong(from, to, radius) {
+        return this.enemyGrid.querySegment(from.x, from.z, to.x, to.z, radius);
+    }
+
+    // Closest targetable enemy to pos (3D distance), ties to the older enemy like a scan of this.enemies
+    nearestEnemy(pos, maxRange = Infinity, filter = null) {
+        const targetable = filter ? e => !isBurrowed(e) && filter(e) : e => !isBurrowed(e);
+        return this.enemyGrid.nearest(pos.x, pos.z, { maxRange, filter: targetable, distance: e => pos.distanceTo(e.mesh.position) });
+    }
+
+    // Up to count closest targetable enemies, closest first
+    nearestEnemies(pos, count, maxRange = Infinity) {
+        return this.enemyGrid.nearestN(pos.x, pos.z, count, { maxRange, filter: e => !isBurrowed(e), distance: e => pos.distanceTo(e.mesh.position) });
+    }
+
+    // Targeting Helper: Gets valid enemies (not burrowed ones) AND players if in PVP
+    // center/radius: only enemies that may be in range (see enemiesNear); omit for all of them
+    getValidTargets(center = null, radius = Infinity) {
+        const targets = (center ? this.enemiesNear(center, radius) : this.enemies).filter(e => !isBurrowed(e));
         // If PVP enabled (MULTI + Overtime) or if we want FFA, add remote players
         // Currently PVP only active in Overtime for MULTI mode
         if (this.gameMode === 'MULTI' && this.overtimeActive) {
@@ -10725,7 +10834,7 @@ export class Game {
         return targets;
     }
 
-    damageTarget(target, amount) {
+    damageTarget(target, amount, source) {
         if (target.isPlayer) {
             // Request damage on remote player
             // Find client ID
@@ -10741,612 +10850,353 @@ export class Game {
                 this.spawnDamageNumber(target.mesh.position.clone().add(new THREE.Vector3(0,2,0)), Math.round(amount), true);
             }
         } else {
-            this.damageEnemy(target, amount);
+            this.damageEnemy(target, amount, source);
         }
     }
 
     updateWeapons(dt) {
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-        const fireRateMult = Math.max(0.3, this.stats.fireRate || 1);
-        const targets = this.getValidTargets();
 
-        // Lightning
-        if (this.weapons.includes('LIGHTNING')) {
-            this.weaponTimers.LIGHTNING = (this.weaponTimers.LIGHTNING || 0) + dt;
-            const level = this.weaponLevels.LIGHTNING || 1;
-            let cooldown = Math.max(0.5, 2 - level * 0.3);
-            if (this.characterKey === 'BLITZ') {
-                cooldown *= 0.7;
-            }
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.LIGHTNING >= cooldown) {
-                this.weaponTimers.LIGHTNING = 0;
-                
-                // Find closest
-                let closest = null;
-                let minDist = Infinity;
-                for (let enemy of targets) {
-                    const dist = playerPos.distanceTo(enemy.mesh.position);
-                    if (dist < 12 && dist < minDist) {
-                        minDist = dist;
-                        closest = enemy;
-                    }
-                }
-                
-                if (closest) {
-                    const baseDmg = 0.5 * level * (this.stats.damage || 1);
-                    this.damageTarget(closest, baseDmg);
-                    this.particleSystem.emit(closest.mesh.position, 0x00ffff, 10);
-                }
-            }
+        // Each weapon's numbers live in WEAPONS[key].stats, its logic in WeaponBehaviors
+        for (const key of WEAPON_TICK_ORDER) {
+            if (!this.weapons.includes(key)) continue;
+            const level = this.weaponLevels[key] || 1;
+            getWeaponBehavior(WEAPONS[key].behavior).update(this, {
+                key,
+                level,
+                stats: this.weaponStats(key, level),
+                playerPos
+            }, dt);
         }
+    }
+
+    weaponDef(key) {
+        return WEAPONS[key] || null;
+    }
+
+    // Stats of a weapon at a level with this player's damage, area, haste and character applied
+    weaponStats(key, level = this.weaponLevels[key] || 1) {
+        return resolveWeaponStats(key, level, {
+            damage: this.stats.damage || 1,
+            areaMult: this.stats.areaMult || 1,
+            fireRate: this.stats.fireRate || 1,
+            character: this.characterKey
+        });
+    }
+
+    // Glowing sword mesh for the Spinning Blade (added to the scene)
+    createOrbitingBlade() {
+        // Enhanced blade - glowing sword
+        const group = new THREE.Group();
         
-        // Ghost
-        if (this.weapons.includes('GHOST')) {
-            this.weaponTimers.GHOST = (this.weaponTimers.GHOST || 0) + dt;
-            const level = this.weaponLevels.GHOST || 1;
-            // Buffed: Much faster fire rate (1.5s base)
-            let cooldown = Math.max(0.5, 1.5 - level * 0.1);
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.GHOST >= cooldown) {
-                this.weaponTimers.GHOST = 0;
-                this.spawnGhost();
-            }
-            
-            // Update ghosts
-            for (let i = this.ghosts.length - 1; i >= 0; i--) {
-                const ghost = this.ghosts[i];
-                ghost.lifetime += dt;
-                
-                // Move toward nearest enemy
-                let nearest = null;
-                let minDist = Infinity;
-                for (let enemy of this.enemies) {
-                    const dist = ghost.mesh.position.distanceTo(enemy.mesh.position);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        nearest = enemy;
-                    }
-                }
-                
-                if (nearest && minDist < 35) {
-                    const dir = new THREE.Vector3().subVectors(nearest.mesh.position, ghost.mesh.position).normalize();
-                    // Buffed: Faster movement speed (15 instead of 5)
-                    ghost.mesh.position.addScaledVector(dir, 15 * dt);
-                    
-                    // Explode if close
-                    if (minDist < 1.5) {
-                        // AOE damage
-                        for (let enemy of this.enemies) {
-                            const dist = ghost.mesh.position.distanceTo(enemy.mesh.position);
-                            if (dist < 3.5) {
-                                // Buffed: Higher damage (4.0 base instead of 0.3)
-                                const baseDmg = 4.0 * level * (this.stats.damage || 1);
-                                this.damageEnemy(enemy, baseDmg);
-                            }
-                        }
-                        this.particleSystem.emit(ghost.mesh.position, 0x00ff00, 20);
-                        this.scene.remove(ghost.mesh);
-                        this.ghosts.splice(i, 1);
-                        continue;
-                    }
-                }
-                
-                ghost.mesh.rotation.y += dt * 3;
-                
-                if (ghost.lifetime > 10) {
-                    this.scene.remove(ghost.mesh);
-                    this.ghosts.splice(i, 1);
-                }
-            }
-        }
+        const blade = new THREE.Mesh(
+            new THREE.BoxGeometry(0.5, 0.15, 2),
+            new THREE.MeshStandardMaterial({ 
+                color: 0xff0000,
+                emissive: 0xff0000,
+                emissiveIntensity: 1.5,
+                flatShading: true
+            })
+        );
+        group.add(blade);
         
-        // Fireball
-        if (this.weapons.includes('FIREBALL')) {
-            this.weaponTimers.FIREBALL = (this.weaponTimers.FIREBALL || 0) + dt;
-            const level = this.weaponLevels.FIREBALL || 1;
-            let cooldown = Math.max(0.4, 1.6 - level * 0.2);
-            if (this.characterKey === 'FOX') {
-                cooldown *= 0.6; // Fox slings fireballs fast
-            }
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.FIREBALL >= cooldown) {
-                this.weaponTimers.FIREBALL = 0;
-                this.shootFireball();
-            }
-        }
+        const edge = new THREE.Mesh(
+            new THREE.BoxGeometry(0.2, 0.05, 2.2),
+            new THREE.MeshBasicMaterial({ 
+                color: 0xffaa00,
+                transparent: true,
+                opacity: 0.7
+            })
+        );
+        group.add(edge);
         
-        // Spinning blade
-        if (this.weapons.includes('SWORD')) {
-            const level = this.weaponLevels.SWORD || 1;
-            
-            // Ensure we have the right number of blades
-            while (this.orbitingBlades.length < level) {
-                // Enhanced blade - glowing sword
-                const group = new THREE.Group();
-                
-                const blade = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.5, 0.15, 2),
-                    new THREE.MeshStandardMaterial({ 
-                        color: 0xff0000,
-                        emissive: 0xff0000,
-                        emissiveIntensity: 1.5,
-                        flatShading: true
-                    })
-                );
-                group.add(blade);
-                
-                const edge = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.2, 0.05, 2.2),
-                    new THREE.MeshBasicMaterial({ 
-                        color: 0xffaa00,
-                        transparent: true,
-                        opacity: 0.7
-                    })
-                );
-                group.add(edge);
-                
-                const hilt = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.3, 0.3, 0.4),
-                    new THREE.MeshStandardMaterial({ 
-                        color: 0x333333,
-                        flatShading: true
-                    })
-                );
-                hilt.position.z = -0.8;
-                group.add(hilt);
-                
-                this.scene.add(group);
-                this.orbitingBlades.push({ mesh: group, angle: (Math.PI * 2 / level) * this.orbitingBlades.length });
-            }
-            
-            // Update blade positions
-            for (let i = 0; i < this.orbitingBlades.length; i++) {
-                const blade = this.orbitingBlades[i];
-                blade.angle += dt * 2;
-                
-                const radius = 2.5;
-                blade.mesh.position.set(
-                    playerPos.x + Math.cos(blade.angle) * radius,
-                    playerPos.y,
-                    playerPos.z + Math.sin(blade.angle) * radius
-                );
-                blade.mesh.rotation.y = blade.angle + Math.PI / 2;
-                
-                // Check damage
-                for (let enemy of this.enemies) {
-                    const dist = blade.mesh.position.distanceTo(enemy.mesh.position);
-                    if (dist < 1.0) {
-                        // Buffed: 5.0 base DPS per blade
-                        const baseDps = 5.0 * (this.stats.damage || 1);
-                        this.damageEnemy(enemy, baseDps * dt);
-                        this.particleSystem.emit(enemy.mesh.position, 0xff0000, 6);
-                        this.playSound('bonk', 1.0 + Math.random() * 0.2, 0.12);
-                    }
-                }
-            }
-        }
+        const hilt = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.3, 0.4),
+            new THREE.MeshStandardMaterial({ 
+                color: 0x333333,
+                flatShading: true
+            })
+        );
+        hilt.position.z = -0.8;
+        group.add(hilt);
         
-        // Slutty Missiles (reworked Homing Missile): arc up, then aggressively seek
-        if (this.weapons.includes('MISSILE')) {
-            this.weaponTimers.MISSILE = (this.weaponTimers.MISSILE || 0) + dt;
-            const level = this.weaponLevels.MISSILE || 1;
-            let cooldown = Math.max(0.7, 2.4 - level * 0.3);
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.MISSILE >= cooldown) {
-                this.weaponTimers.MISSILE = 0;
-                this.shootMissile();
-            }
-        }
-
-        // New weapons: Spike Ring – periodic radial damage + spike visuals that reach farther with upgrades
-        if (this.weapons.includes('SPIKE_RING')) {
-            this.weaponTimers.SPIKE_RING = (this.weaponTimers.SPIKE_RING || 0) + dt;
-            const level = this.weaponLevels.SPIKE_RING || 1;
-            const baseCooldown = 4.0;
-            const cooldown = Math.max(1.4, baseCooldown - level * 0.45); // slightly faster with upgrades
+        this.scene.add(group);
+        return group;
+    }
 
-            if (this.weaponTimers.SPIKE_RING >= cooldown) {
-                this.weaponTimers.SPIKE_RING = 0;
+    // Spooky Bois summon: 'normal', 'deadly' or 'bob' ghost that attacks on its own
+    spawnSpookyGhost(type, position, damage, life, source) {
+        const scale = type === 'bob' ? 2.0 : (type === 'deadly' ? 1.3 : 1.0);
+        const color = type === 'bob' ? 0x222222 : (type === 'deadly' ? 0xff0000 : 0xccffcc);
 
-                // Radius scales with level and Big Aura stat
-                const radius = (3.0 + level * 0.9) * (this.stats.areaMult || 1);
-                const dmg = 1.2 * (this.stats.damage || 1) * level;
+        // Visuals - Improved spectral ghost model
+        const group = new THREE.Group();
 
-                // Spawn spike visuals and apply immediate damage falloff
-                const spikeCount = 12 + Math.floor(level * 2);
-                this.spawnSpikeRing(radius, spikeCount, dmg);
+        if (type === 'bob') {
+            // Mini Bob Ghost - spectral version of Bob with cube head and ghostly trail
+            const ghostMat = new THREE.MeshStandardMaterial({
+                color: 0x444444,
+                transparent: true,
+                opacity: 0.85,
+                emissive: 0x222222,
+                emissiveIntensity: 0.3
+            });
 
-                // Extra particle feedback
-                this.particleSystem.emit(playerPos.clone(), 0xffffff, 10);
-            }
-        }
+            // Cube head like Bob
+            const head = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1.2, 1.2), ghostMat);
+            head.position.y = 0.6;
+            group.add(head);
 
-        // New weapons: Poison Mist – constant light damage in a small radius
-        if (this.weapons.includes('POISON_MIST')) {
-            this.updateAuraVisual('POISON_MIST', 0x00ff00);
-            const level = this.weaponLevels.POISON_MIST || 1;
-            const radius = (2.7 + level * 0.4) * (this.stats.areaMult || 1);
-            this.updateAuraScale('POISON_MIST', radius);
-            
-            // Reduced tick rate: 0.5s instead of 0.2s (Slower attacks)
-            this.weaponTimers.POISON_MIST = (this.weaponTimers.POISON_MIST || 0) + dt;
-            const tickRate = 0.5;
-            
-            if (this.weaponTimers.POISON_MIST >= tickRate) {
-                this.weaponTimers.POISON_MIST = 0;
-                // Nerfed damage: base 0.7 down from 0.9, scaled to tick rate
-                const dmg = (0.7 * level * (this.stats.damage || 1)) * tickRate * 4;
+            // Glowing eyes
+            const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff4444 });
+            const eye1 = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.15, 0.1), eyeMat);
+            eye1.position.set(-0.25, 0.7, 0.61);
+            group.add(eye1);
+            const eye2 = eye1.clone();
+            eye2.position.x = 0.25;
+            group.add(eye2);
 
-                for (let enemy of this.enemies) {
-                    const dist = enemy.mesh.position.distanceTo(playerPos);
-                    if (dist <= radius) {
-                        this.damageEnemy(enemy, dmg);
-                    }
-                }
+            // Ghostly hands floating beside
+            const handMat = new THREE.MeshStandardMaterial({ color: 0x444444, transparent: true, opacity: 0.7 });
+            const hand1 = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 0.4), handMat);
+            hand1.position.set(-1.0, 0.3, 0.3);
+            group.add(hand1);
+            const hand2 = hand1.clone();
+            hand2.position.x = 1.0;
+            group.add(hand2);
+
+            // Wispy trailing body segments
+            for (let i = 0; i < 4; i++) {
+                const segSize = 1.0 - i * 0.2;
+                const segMat = new THREE.MeshStandardMaterial({
+                    color: 0x333333,
+                    transparent: true,
+                    opacity: 0.6 - i * 0.12
+                });
+                const seg = new THREE.Mesh(new THREE.BoxGeometry(segSize, 0.3, segSize * 0.8), segMat);
+                seg.position.y = -0.3 - i * 0.35;
+                group.add(seg);
             }
-        }
-
-        if (this.weapons.includes('SPIKE_RING')) {
-             const level = this.weaponLevels.SPIKE_RING || 1;
-             const radius = (3.0 + level * 0.6) * (this.stats.areaMult || 1);
-             this.updateAuraVisual('SPIKE_RING', 0x666666);
-             this.updateAuraScale('SPIKE_RING', radius);
-        }
+        } else {
+            // Spectral hooded ghost - proper ghost model
+            const isDeadlyType = type === 'deadly';
+            const baseColor = isDeadlyType ? 0x660000 : 0x226644;
+            const glowColor = isDeadlyType ? 0xff0000 : 0x00ff88;
 
-        // New weapon: Ice Aura – slows and chips enemies near you
-        if (this.weapons.includes('ICE_AURA')) {
-            this.updateAuraVisual('ICE_AURA', 0x00ffff);
-            const level = this.weaponLevels.ICE_AURA || 1;
-            const radius = (3.0 + level * 0.5) * (this.stats.areaMult || 1);
-            this.updateAuraScale('ICE_AURA', radius);
-            
-            // Reduced tick rate: Damage every 0.8s (Even slower)
-            this.weaponTimers.ICE_AURA = (this.weaponTimers.ICE_AURA || 0) + dt;
-            const tickRate = 0.8;
-            
-            if (this.weaponTimers.ICE_AURA >= tickRate) {
-                this.weaponTimers.ICE_AURA = 0;
-                // Nerfed damage: base 0.4 down from 0.6
-                const dmg = (0.4 * level * (this.stats.damage || 1)) * tickRate * 4;
+            const ghostMat = new THREE.MeshStandardMaterial({
+                color: baseColor,
+                transparent: true,
+                opacity: 0.75,
+                emissive: baseColor,
+                emissiveIntensity: 0.4
+            });
 
-                for (let enemy of this.enemies) {
-                    const dist = enemy.mesh.position.distanceTo(playerPos);
-                    if (dist <= radius) {
-                        enemy.slowUntil = this.gameTime + 0.6;
-                        this.damageEnemy(enemy, dmg);
-                        // Visual chill effect
-                        if (Math.random() > 0.7) this.particleSystem.emit(enemy.mesh.position, 0x00ffff, 2);
-                    }
-                }
-            }
-        }
+            // Hood/head - rounded top with pointed bottom
+            const hood = new THREE.Mesh(
+                new THREE.ConeGeometry(0.5 * scale, 0.8 * scale, 8),
+                ghostMat
+            );
+            hood.position.y = 0.8 * scale;
+            hood.rotation.x = Math.PI; // Flip cone for hood shape
+            group.add(hood);
 
-        // New weapon: Nova Blast – periodic big explosion from your position
-        if (this.weapons.includes('NOVA_BLAST')) {
-            this.weaponTimers.NOVA_BLAST = (this.weaponTimers.NOVA_BLAST || 0) + dt;
-            const level = this.weaponLevels.NOVA_BLAST || 1;
-            let cooldown = Math.max(2.5, 6.0 - level * 0.7);
-            cooldown /= fireRateMult;
+            // Face area - slightly inset dark void
+            const faceMat = new THREE.MeshStandardMaterial({
+                color: 0x000000,
+                transparent: true,
+                opacity: 0.9
+            });
+            const face = new THREE.Mesh(
+                new THREE.PlaneGeometry(0.4 * scale, 0.35 * scale),
+                faceMat
+            );
+            face.position.set(0, 0.65 * scale, 0.25 * scale);
+            group.add(face);
 
-            if (this.weaponTimers.NOVA_BLAST >= cooldown) {
-                this.weaponTimers.NOVA_BLAST = 0;
-                const radius = (4.0 + level * 0.8) * (this.stats.areaMult || 1);
-                const dmg = 2.5 * level * (this.stats.damage || 1);
+            // Glowing eyes
+            const eyeMat = new THREE.MeshBasicMaterial({ color: glowColor });
+            const eye1 = new THREE.Mesh(new THREE.SphereGeometry(0.08 * scale), eyeMat);
+            eye1.position.set(-0.12 * scale, 0.68 * scale, 0.3 * scale);
+            group.add(eye1);
+            const eye2 = eye1.clone();
+            eye2.position.x = 0.12 * scale;
+            group.add(eye2);
 
-                this.spawnSlash(playerPos.clone());
+            // Main body - flowing robe shape
+            const bodyMat = new THREE.MeshStandardMaterial({
+                color: baseColor,
+                transparent: true,
+                opacity: 0.65,
+                emissive: baseColor,
+                emissiveIntensity: 0.2
+            });
+            const body = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.35 * scale, 0.5 * scale, 0.8 * scale, 8),
+                bodyMat
+            );
+            body.position.y = 0.1 * scale;
+            group.add(body);
 
-                for (let enemy of this.enemies) {
-                    const dist = enemy.mesh.position.distanceTo(playerPos);
-                    if (dist <= radius) {
-                        this.damageEnemy(enemy, dmg * (1 - dist / radius));
-                    }
-                }
+            // Wispy trailing segments - creates flowing bottom effect
+            for (let i = 0; i < 5; i++) {
+                const wispWidth = (0.5 - i * 0.08) * scale;
+                const wispMat = new THREE.MeshStandardMaterial({
+                    color: baseColor,
+                    transparent: true,
+                    opacity: 0.5 - i * 0.08,
+                    emissive: baseColor,
+                    emissiveIntensity: 0.1
+                });
+                const wisp = new THREE.Mesh(
+                    new THREE.CylinderGeometry(wispWidth, wispWidth * 0.7, 0.25 * scale, 6),
+                    wispMat
+                );
+                wisp.position.y = -0.35 * scale - i * 0.22 * scale;
+                // Slight random offset for organic look
+                wisp.position.x = (this.roll('fx') - 0.5) * 0.1 * scale;
+                wisp.position.z = (this.roll('fx') - 0.5) * 0.1 * scale;
+                group.add(wisp);
             }
-        }
 
-        // Bananerang: Thrown, arcs back
-        if (this.weapons.includes('BANANERANG')) {
-            this.weaponTimers.BANANERANG = (this.weaponTimers.BANANERANG || 0) + dt;
-            const level = this.weaponLevels.BANANERANG || 1;
-            let cooldown = Math.max(0.6, 1.8 - level * 0.2);
-            if (this.characterKey === 'MONKE') cooldown *= 0.6;
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.BANANERANG >= cooldown) {
-                this.weaponTimers.BANANERANG = 0;
-                this.shootBananerang(level);
-            }
+            // Ghostly arms/sleeves
+            const armMat = new THREE.MeshStandardMaterial({
+                color: baseColor,
+                transparent: true,
+                opacity: 0.6
+            });
+            const arm1 = new THREE.Mesh(
+                new THREE.CapsuleGeometry(0.1 * scale, 0.4 * scale, 4, 6),
+                armMat
+            );
+            arm1.position.set(-0.45 * scale, 0.2 * scale, 0.1 * scale);
+            arm1.rotation.z = 0.5;
+            group.add(arm1);
+            const arm2 = arm1.clone();
+            arm2.position.x = 0.45 * scale;
+            arm2.rotation.z = -0.5;
+            group.add(arm2);
         }
+        
+        group.position.copy(position);
+        this.scene.add(group);
 
-        // Boberto's Spooky Bois (Ghost Summon)
-        if (this.weapons.includes('SUMMON_GHOST')) {
-            this.weaponTimers.SUMMON_GHOST = (this.weaponTimers.SUMMON_GHOST || 0) + dt;
-            const level = this.weaponLevels.SUMMON_GHOST || 1;
-            // Upgrades increase spawn rate slowly
-            // Base cooldown ~3s, reduces slightly
-            let cooldown = Math.max(0.5, 3.5 - level * 0.15); 
-            cooldown /= fireRateMult;
-            
-            if (this.weaponTimers.SUMMON_GHOST >= cooldown) {
-                this.weaponTimers.SUMMON_GHOST = 0;
-                
-                // Determine Ghost Type
-                let type = 'normal';
-                let life = 6.0;
-                let hp = 10;
-                let scale = 1.0;
-                let color = 0xccffcc; // Default friendly ghost color
-                
-                // 2% chance for Deadly at Lvl 5+
-                if (level >= 5 && Math.random() < 0.02) {
-                    type = 'deadly';
-                    life = 10.0;
-                    scale = 1.3;
-                    color = 0xff0000;
-                }
-                
-                // 1% chance for Mini Bob at Lvl 12+
-                if (level >= 12 && Math.random() < 0.01) {
-                    type = 'bob';
-                    life = 45.0;
-                    scale = 2.0;
-                    color = 0x222222;
-                }
-                
-                // Spawn position: "around you... a little farther"
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 10 + Math.random() * 5;
-                const sx = playerPos.x + Math.cos(angle) * dist;
-                const sz = playerPos.z + Math.sin(angle) * dist;
-                const sy = this.getTerrainHeight(sx, sz) + 2.0;
-                
-                // Visuals - Improved spectral ghost model
-                const group = new THREE.Group();
-
-                if (type === 'bob') {
-                    // Mini Bob Ghost - spectral version of Bob with cube head and ghostly trail
-                    const ghostMat = new THREE.MeshStandardMaterial({
-                        color: 0x444444,
-                        transparent: true,
-                        opacity: 0.85,
-                        emissive: 0x222222,
-                        emissiveIntensity: 0.3
-                    });
+        this.projectiles.push({
+            mesh: group,
+            velocity: new THREE.Vector3(0,0,0),
+            damage: damage,
+            life: life,
+            isFriendlyGhost: true,
+            isDeadly: type === 'deadly',
+            isMiniBob: type === 'bob',
+            attackTimer: 0,
+            source
+        });
 
-                    // Cube head like Bob
-                    const head = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1.2, 1.2), ghostMat);
-                    head.position.y = 0.6;
-                    group.add(head);
-
-                    // Glowing eyes
-                    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff4444 });
-                    const eye1 = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.15, 0.1), eyeMat);
-                    eye1.position.set(-0.25, 0.7, 0.61);
-                    group.add(eye1);
-                    const eye2 = eye1.clone();
-                    eye2.position.x = 0.25;
-                    group.add(eye2);
-
-                    // Ghostly hands floating beside
-                    const handMat = new THREE.MeshStandardMaterial({ color: 0x444444, transparent: true, opacity: 0.7 });
-                    const hand1 = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 0.4), handMat);
-                    hand1.position.set(-1.0, 0.3, 0.3);
-                    group.add(hand1);
-                    const hand2 = hand1.clone();
-                    hand2.position.x = 1.0;
-                    group.add(hand2);
-
-                    // Wispy trailing body segments
-                    for (let i = 0; i < 4; i++) {
-                        const segSize = 1.0 - i * 0.2;
-                        const segMat = new THREE.MeshStandardMaterial({
-                            color: 0x333333,
-                            transparent: true,
-                            opacity: 0.6 - i * 0.12
-                        });
-                        const seg = new THREE.Mesh(new THREE.BoxGeometry(segSize, 0.3, segSize * 0.8), segMat);
-                        seg.position.y = -0.3 - i * 0.35;
-                        group.add(seg);
-                    }
-                } else {
-                    // Spectral hooded ghost - proper ghost model
-                    const isDeadlyType = type === 'deadly';
-                    const baseColor = isDeadlyType ? 0x660000 : 0x226644;
-                    const glowColor = isDeadlyType ? 0xff0000 : 0x00ff88;
-
-                    const ghostMat = new THREE.MeshStandardMaterial({
-                        color: baseColor,
-                        transparent: true,
-                        opacity: 0.75,
-                        emissive: baseColor,
-                        emissiveIntensity: 0.4
-                    });
+        this.particleSystem.emit(group.position, color, 10);
+    }
 
-                    // Hood/head - rounded top with pointed bottom
-                    const hood = new THREE.Mesh(
-                        new THREE.ConeGeometry(0.5 * scale, 0.8 * scale, 8),
-                        ghostMat
-                    );
-                    hood.position.y = 0.8 * scale;
-                    hood.rotation.x = Math.PI; // Flip cone for hood shape
-                    group.add(hood);
-
-                    // Face area - slightly inset dark void
-                    const faceMat = new THREE.MeshStandardMaterial({
-                        color: 0x000000,
-                        transparent: true,
-                        opacity: 0.9
-                    });
-                    const face = new THREE.Mesh(
-                        new THREE.PlaneGeometry(0.4 * scale, 0.35 * scale),
-                        faceMat
-                    );
-                    face.position.set(0, 0.65 * scale, 0.25 * scale);
-                    group.add(face);
-
-                    // Glowing eyes
-                    const eyeMat = new THREE.MeshBasicMaterial({ color: glowColor });
-                    const eye1 = new THREE.Mesh(new THREE.SphereGeometry(0.08 * scale), eyeMat);
-                    eye1.position.set(-0.12 * scale, 0.68 * scale, 0.3 * scale);
-                    group.add(eye1);
-                    const eye2 = eye1.clone();
-                    eye2.position.x = 0.12 * scale;
-                    group.add(eye2);
-
-                    // Main body - flowing robe shape
-                    const bodyMat = new THREE.MeshStandardMaterial({
-                        color: baseColor,
-                        transparent: true,
-                        opacity: 0.65,
-                        emissive: baseColor,
-                        emissiveIntensity: 0.2
-                    });
-                    const body = new THREE.Mesh(
-                        new THREE.CylinderGeometry(0.35 * scale, 0.5 * scale, 0.8 * scale, 8),
-                        bodyMat
-                    );
-                    body.position.y = 0.1 * scale;
-                    group.add(body);
-
-                    // Wispy trailing segments - creates flowing bottom effect
-                    for (let i = 0; i < 5; i++) {
-                        const wispWidth = (0.5 - i * 0.08) * scale;
-                        const wispMat = new THREE.MeshStandardMaterial({
-                            color: baseColor,
-                            transparent: true,
-                            opacity: 0.5 - i * 0.08,
-                            emissive: baseColor,
-                            emissiveIntensity: 0.1
-                        });
-                        const wisp = new THREE.Mesh(
-                            new THREE.CylinderGeometry(wispWidth, wispWidth * 0.7, 0.25 * scale, 6),
-                            wispMat
-                        );
-                        wisp.position.y = -0.35 * scale - i * 0.22 * scale;
-                        // Slight random offset for organic look
-                        wisp.position.x = (Math.random() - 0.5) * 0.1 * scale;
-                        wisp.position.z = (Math.random() - 0.5) * 0.1 * scale;
-                        group.add(wisp);
-                    }
+    // Mini Turret bot mesh (added to the scene)
+    createTurretMesh() {
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 0.6, 0.4),
+            new THREE.MeshStandardMaterial({
+                color: 0x00c0ff,
+                emissive: 0x00c0ff,
+                emissiveIntensity: 0.8,
+                flatShading: true
+            })
+        );
+        this.scene.add(mesh);
+        return mesh;
+    }
 
-                    // Ghostly arms/sleeves
-                    const armMat = new THREE.MeshStandardMaterial({
-                        color: baseColor,
-                        transparent: true,
-                        opacity: 0.6
-                    });
-                    const arm1 = new THREE.Mesh(
-                        new THREE.CapsuleGeometry(0.1 * scale, 0.4 * scale, 4, 6),
-                        armMat
-                    );
-                    arm1.position.set(-0.45 * scale, 0.2 * scale, 0.1 * scale);
-                    arm1.rotation.z = 0.5;
-                    group.add(arm1);
-                    const arm2 = arm1.clone();
-                    arm2.position.x = 0.45 * scale;
-                    arm2.rotation.z = -0.5;
-                    group.add(arm2);
-                }
-                
-                group.position.set(sx, sy, sz);
-                this.scene.add(group);
-                
-                const dmgBase = type === 'bob' ? 50 : (type === 'deadly' ? 20 : 8);
-                const damage = dmgBase * level * (this.stats.damage || 1);
-                
-                this.projectiles.push({
-                    mesh: group,
-                    velocity: new THREE.Vector3(0,0,0),
-                    damage: damage,
-                    life: life,
-                    isFriendlyGhost: true,
-                    isDeadly: type === 'deadly',
-                    isMiniBob: type === 'bob',
-                    attackTimer: 0
-                });
-                
-                this.particleSystem.emit(group.position, color, 10);
-            }
-        }
+    // One Mini Turret bolt at the target
+    fireTurretShot(turret, nearest, stats, source) {
+        const dir = new THREE.Vector3()
+            .subVectors(nearest.mesh.position, turret.mesh.position)
+            .normalize();
+        const projMesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.18, 6, 6),
+            new THREE.MeshStandardMaterial({
+                color: 0x00e0ff,
+                emissive: 0x00e0ff,
+                emissiveIntensity: 1.2
+            })
+        );
+        projMesh.position.copy(turret.mesh.position);
+        this.scene.add(projMesh);
+        this.projectiles.push({
+            mesh: projMesh,
+            velocity: dir.multiplyScalar(stats.speed),
+            damage: stats.damage,
+            life: stats.duration,
+            isTurret: true,
+            source
+        });
+    }
 
-        // New weapon: Mini Turret – orbiting bots that auto-shoot
-        if (this.weapons.includes('MINI_TURRET')) {
-            const level = this.weaponLevels.MINI_TURRET || 1;
-            const desiredTurrets = Math.min(3, 1 + Math.floor(level / 2));
-            while (this.turrets.length < desiredTurrets) {
-                const mesh = new THREE.Mesh(
-                    new THREE.BoxGeometry(0.4, 0.6, 0.4),
-                    new THREE.MeshStandardMaterial({
-                        color: 0x00c0ff,
-                        emissive: 0x00c0ff,
-                        emissiveIntensity: 0.8,
-                        flatShading: true
-                    })
-                );
-                mesh.position.copy(playerPos);
-                this.scene.add(mesh);
-                this.turrets.push({
-                    mesh,
-                    angle: (Math.PI * 2 / desiredTurrets) * this.turrets.length,
-                    fireTimer: 0
-                });
-            }
+    // Meteor falling at a ground point, with a warning ring where it lands (Meteor Storm)
+    spawnMeteor(target, stats) {
+        const group = new THREE.Group();
+        const rock = new THREE.Mesh(
+            new THREE.DodecahedronGeometry(0.7, 0),
+            new THREE.MeshStandardMaterial({ color: 0x552200, emissive: 0xff3300, emissiveIntensity: 1.5, flatShading: true })
+        );
+        group.add(rock);
+        const flames = new THREE.Mesh(
+            new THREE.SphereGeometry(1.1, 8, 8),
+            new THREE.MeshBasicMaterial({ color: 0xff8800, transparent: true, opacity: 0.45 })
+        );
+        group.add(flames);
 
-            const turretRadius = 2.2;
-            const fireInterval = Math.max(0.4, 1.2 - level * 0.15) / fireRateMult;
+        // Comes in at an angle so the fall reads from the player's camera
+        group.position.set(target.x - stats.height * 0.3, target.y + stats.height, target.z - stats.height * 0.3);
+        this.scene.add(group);
 
-            for (let turret of this.turrets) {
-                turret.angle += dt * 1.5;
-                turret.mesh.position.set(
-                    playerPos.x + Math.cos(turret.angle) * turretRadius,
-                    playerPos.y + 0.8,
-                    playerPos.z + Math.sin(turret.angle) * turretRadius
-                );
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(stats.area * 0.85, stats.area, 32),
+            new THREE.MeshBasicMaterial({ color: 0xff4400, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+        );
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.set(target.x, target.y + 0.05, target.z);
+        this.scene.add(marker);
 
-                turret.fireTimer += dt;
-                if (turret.fireTimer >= fireInterval && this.enemies.length > 0) {
-                    turret.fireTimer = 0;
-                    let nearest = null;
-                    let minDist = Infinity;
-                    for (let enemy of this.enemies) {
-                        const d = enemy.mesh.position.distanceTo(turret.mesh.position);
-                        if (d < 14 && d < minDist) {
-                            minDist = d;
-                            nearest = enemy;
-                        }
-                    }
-                    if (nearest) {
-                        const dir = new THREE.Vector3()
-                            .subVectors(nearest.mesh.position, turret.mesh.position)
-                            .normalize();
-                        const projMesh = new THREE.Mesh(
-                            new THREE.SphereGeometry(0.18, 6, 6),
-                            new THREE.MeshStandardMaterial({
-                                color: 0x00e0ff,
-                                emissive: 0x00e0ff,
-                                emissiveIntensity: 1.2
-                            })
-                        );
-                        projMesh.position.copy(turret.mesh.position);
-                        this.scene.add(projMesh);
-                        this.projectiles.push({
-                            mesh: projMesh,
-                            velocity: dir.multiplyScalar(26),
-                            damage: 0.9 * level * (this.stats.damage || 1),
-                            life: 3,
-                            isTurret: true
-                        });
-                    }
+        this.meteors.push({
+            mesh: group,
+            marker,
+            target: target.clone(),
+            velocity: new THREE.Vector3().subVectors(target, group.position).setLength(stats.speed),
+            damage: stats.damage,
+            area: stats.area
+        });
+    }
+
+    // Jagged bolt through a list of points that fades out quickly (Chain Storm)
+    spawnLightningArc(points) {
+        const path = [];
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i].clone().setY(points[i].y + 1);
+            if (i > 0) {
+                // Kinks between each pair of hops
+                const from = path[path.length - 1];
+                for (let k = 1; k < 4; k++) {
+                    const mid = from.clone().lerp(point, k / 4);
+                    mid.x += (this.roll('fx') - 0.5) * 0.8;
+                    mid.y += (this.roll('fx') - 0.5) * 0.8;
+                    mid.z += (this.roll('fx') - 0.5) * 0.8;
+                    path.push(mid);
                 }
             }
+            path.push(point);
         }
+        const arc = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(path),
+            new THREE.LineBasicMaterial({ color: 0x99ddff, transparent: true, opacity: 1 })
+        );
+        this.scene.add(arc);
+        this.lightningArcs.push({ mesh: arc, life: 0.25, maxLife: 0.25 });
     }
-    
+
     spawnGhost() {
         // Enhanced ghost visuals - spectral orb with trail
         const group = new THREE.Group();
@@ -11399,7 +11249,7 @@ export class Game {
         const center = this.playerMesh.position.clone();
         const spikes = [];
         for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2 + (Math.random() - 0.5) * 0.05;
+            const angle = (i / count) * Math.PI * 2 + (this.roll('combat') - 0.5) * 0.05;
             const dir = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
             const spike = new THREE.Mesh(
                 new THREE.ConeGeometry(0.12, Math.max(0.6, radius * 0.35), 6),
@@ -11416,12 +11266,12 @@ export class Game {
         }
 
         // Immediate damage application to enemies within the spike max radius
-        for (let enemy of this.enemies.slice()) {
+        for (let enemy of this.enemiesNear(center, radius + 0.8)) {
             const d = enemy.mesh.position.distanceTo(center);
             if (d <= radius + 0.8) {
                 // damage falls off with distance
                 const fall = 1 - (d / (radius + 0.8));
-                this.damageEnemy(enemy, damage * Math.max(0.35, fall));
+                this.damageEnemy(enemy, damage * Math.max(0.35, fall), 'SPIKE_RING');
             }
         }
 
@@ -11449,21 +11299,11 @@ export class Game {
         this.particleSystem.emit(center.clone(), 0xffcc88, 20);
     }
     
-    shootFireball() {
+    shootFireball(stats = this.weaponStats('FIREBALL')) {
         if (this.enemies.length === 0) return;
         
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-        let nearest = null;
-        let minDist = Infinity;
-        
-        for (let enemy of this.enemies) {
-            const dist = playerPos.distanceTo(enemy.mesh.position);
-            if (dist < minDist && dist <= this.stats.attackRange * 1.5) {
-                minDist = dist;
-                nearest = enemy;
-            }
-        }
-        
+        const nearest = this.nearestEnemy(playerPos, this.stats.attackRange * 1.5);
         if (!nearest) return;
         
         const baseDir = new THREE.Vector3().subVectors(nearest.mesh.position, this.playerMesh.position).normalize();
@@ -11479,55 +11319,34 @@ export class Game {
             const dir = baseDir.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
 
             // Enhanced fireball - core + flame aura
-            const group = new THREE.Group();
-            
-            const core = new THREE.Mesh(
-                new THREE.SphereGeometry(0.4, 8, 8),
-                new THREE.MeshStandardMaterial({ 
-                    color: 0xff6600,
-                    emissive: 0xff4400,
-                    emissiveIntensity: 2
-                })
-            );
-            group.add(core);
-            
-            const flames = new THREE.Mesh(
-                new THREE.SphereGeometry(0.6, 8, 8),
-                new THREE.MeshBasicMaterial({ 
-                    color: 0xff8800,
-                    transparent: true,
-                    opacity: 0.5
-                })
-            );
-            group.add(flames);
-            
+            const group = this.pools.acquire('fireball');
             group.position.copy(this.playerMesh.position);
             group.position.y += 1;
             this.scene.add(group);
             
             this.projectiles.push({
                 mesh: group,
-                velocity: dir.multiplyScalar(30),
-                damage: 1.5 * (this.stats.damage || 1),
-                life: 3,
+                pool: 'fireball',
+                velocity: dir.multiplyScalar(stats.speed),
+                damage: stats.damage,
+                life: stats.duration,
                 isFireball: true,
+                source: 'FIREBALL',
                 hitIds: [] // Track hits for piercing
             });
         }
     }
     
-    shootMissile() {
+    shootMissile(stats = this.weaponStats('MISSILE')) {
         // Slutty Missiles: launch upward in a sexy arc, then hard-seek targets
         if (this.enemies.length === 0) return;
         
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-        
-        // Sort enemies by distance from player
-        const enemiesCopy = [...this.enemies].sort((a,b) => 
-            playerPos.distanceTo(a.mesh.position) - playerPos.distanceTo(b.mesh.position)
-        );
-        
         const count = 1 + (this.stats.extraProjectiles || 0);
+
+        // Closest enemies first
+        const enemiesCopy = this.nearestEnemies(playerPos, count);
+
         const targets = [];
         for (let i = 0; i < count; i++) {
             if (enemiesCopy.length === 0) break;
@@ -11536,12 +11355,7 @@ export class Game {
         if (targets.length === 0) return;
         
         targets.forEach((target, i) => {
-            const group = new THREE.Group();
-            const body = new THREE.Mesh(
-                new THREE.ConeGeometry(0.2, 0.8, 6),
-                new THREE.MeshStandardMaterial({ color: 0xaaaaaa, emissive: 0x666666, flatShading: true })
-            );
-            group.add(body);
+            const group = this.pools.acquire('missile');
             group.position.copy(this.playerMesh.position);
             group.position.y += 1.2;
             this.scene.add(group);
@@ -11555,8 +11369,7 @@ export class Game {
                 .multiplyScalar(0.35); // small horizontal drift
             const initialDir = upward.clone().add(toTargetFlat).normalize();
 
-            const speed = 24;
-            const baseVelocity = initialDir.multiplyScalar(speed);
+            const baseVelocity = initialDir.multiplyScalar(stats.speed);
             
             // Slight horizontal spread between multiple missiles
             const spreadAngle = (i % 2 === 0 ? 1 : -1) * (Math.ceil(i / 2) * 0.15);
@@ -11564,10 +11377,12 @@ export class Game {
 
             this.projectiles.push({
                 mesh: group,
+                pool: 'missile',
                 velocity: baseVelocity,
-                damage: 1.0 * (this.stats.damage || 1),
-                life: 5,
+                damage: stats.damage,
+                life: stats.duration,
                 isMissile: true,
+                source: 'MISSILE',
                 target: target,
                 arcingTime: 0.35,   // seconds spent arcing up before full seek
                 age: 0,
@@ -11577,23 +11392,18 @@ export class Game {
         });
     }
 
-    shootBananerang(level) {
+    shootBananerang(stats = this.weaponStats('BANANERANG'), source = 'BANANERANG') {
         if(this.enemies.length === 0) return;
         
         // Nearest enemy as primary target direction
-        let nearest = null;
-        let minDist = Infinity;
-        for (let enemy of this.enemies) {
-            const dist = this.playerMesh.position.distanceTo(enemy.mesh.position);
-            if (dist < minDist) { minDist = dist; nearest = enemy; }
-        }
+        const nearest = this.nearestEnemy(this.playerMesh.position);
         if(!nearest) return;
 
         const baseDir = new THREE.Vector3().subVectors(nearest.mesh.position, this.playerMesh.position).normalize();
         
-        const count = 1 + (this.stats.extraProjectiles || 0);
-        // Fan out bananerangs
-        const totalSpread = Math.min(Math.PI, count * 0.3);
+        const count = (stats.projectiles || 1) + (this.stats.extraProjectiles || 0);
+        // Fan out bananerangs; a swarm (projectiles stat) spaces them evenly all the way round
+        const totalSpread = stats.projectiles ? Math.PI * 2 * (count - 1) / count : Math.min(Math.PI, count * 0.3);
         const startAngle = count > 1 ? -totalSpread / 2 : 0;
         const step = count > 1 ? totalSpread / (count - 1) : 0;
 
@@ -11601,20 +11411,20 @@ export class Game {
             const angle = startAngle + step * i;
             const dir = baseDir.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
 
-            const banana = new THREE.Mesh(
-                new THREE.BoxGeometry(0.6, 0.2, 0.2),
-                new THREE.MeshStandardMaterial({ color: 0xffff00 })
-            );
+            const banana = this.pools.acquire('bananerang');
             banana.position.copy(this.playerMesh.position);
             banana.position.y += 1;
+            if (stats.size) banana.scale.setScalar(stats.size);
             this.scene.add(banana);
 
             this.projectiles.push({
                 mesh: banana,
-                velocity: dir.multiplyScalar(22),
-                damage: 1.5 * (this.stats.damage || 1) * level,
-                life: 3,
+                pool: 'bananerang',
+                velocity: dir.multiplyScalar(stats.speed),
+                damage: stats.damage,
+                life: stats.duration,
                 isBoomerang: true,
+                source,
                 returnState: 0, // 0: out, 1: returning
                 owner: this.playerMesh,
                 hitIds: []
@@ -11624,17 +11434,7 @@ export class Game {
 
     spawnSlash(position) {
         // Bright U-shaped ground slash at the player's feet
-        const innerRadius = 0.45;
-        const outerRadius = 2.2;
-        const thetaLength = Math.PI * 0.9;
-        const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 32, 1, -thetaLength / 2, thetaLength);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xffee00,
-            transparent: true,
-            opacity: 1.0,
-            side: THREE.DoubleSide
-        });
-        const slash = new THREE.Mesh(geometry, material);
+        const slash = this.pools.acquire('slash');
         slash.rotation.x = -Math.PI / 2;
         slash.position.set(position.x, position.y + 0.02, position.z);
         this.scene.add(slash);
@@ -11695,11 +11495,12 @@ export class Game {
         // Use the stronger sword if both exist (rare case)
         const isGiga = gigaLvl > 0 && (gigaLvl >= swordLvl || this.characterKey === 'SIR_CHAD');
         const level = isGiga ? gigaLvl : Math.max(1, swordLvl);
+        const weaponKey = isGiga ? 'GIGA_SWORD' : 'KNIGHT_SWORD';
+        const stats = this.weaponStats(weaponKey, level);
         
         // Cooldown improves slightly with level
-        const baseCD = isGiga ? 0.65 : 0.5;
         if (this.knightSlashCooldown > 0) return;
-        this.knightSlashCooldown = Math.max(0.25, baseCD - level * 0.02);
+        this.knightSlashCooldown = stats.interval;
 
         const origin = this.playerMesh.position.clone();
         this.spawnSlash(origin);
@@ -11715,19 +11516,17 @@ export class Game {
         const forward = new THREE.Vector3(0, 0, -1)
             .applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotation);
 
-        const baseRange = isGiga ? 7.0 : 5.0;
-        const range = baseRange + level * 0.3;
-        const damageMult = isGiga ? 5.0 : 3.0;
-        const dmg = damageMult * (this.stats.damage || 1) * level;
+        const range = stats.range;
+        const dmg = stats.damage;
 
-        for (let enemy of this.enemies) {
+        for (let enemy of this.enemiesNear(origin, range)) {
             const toEnemy = new THREE.Vector3().subVectors(enemy.mesh.position, origin);
             const dist = toEnemy.length();
             if (dist > range) continue;
             toEnemy.normalize();
             const dot = forward.dot(toEnemy);
             if (dot > 0.3) {
-                this.damageEnemy(enemy, dmg);
+                this.damageEnemy(enemy, dmg, weaponKey);
                 // Visual hit
                 this.particleSystem.emit(enemy.mesh.position, 0xffffff, 5);
             }
@@ -11739,43 +11538,30 @@ export class Game {
 
     throwBone() {
         if (this.enemies.length === 0) return;
-        const level = this.weaponLevels['BONE'] || 1;
+        const stats = this.weaponStats('BONE');
 
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-        let nearest = null;
-        let minDist = Infinity;
-        for (let enemy of this.enemies) {
-            const d = playerPos.distanceTo(enemy.mesh.position);
-            if (d < minDist) {
-                minDist = d;
-                nearest = enemy;
-            }
-        }
+        const nearest = this.nearestEnemy(playerPos);
         if (!nearest) return;
 
         const dir = new THREE.Vector3()
             .subVectors(nearest.mesh.position, this.playerMesh.position)
             .normalize();
 
-        const bone = new THREE.Mesh(
-            new THREE.BoxGeometry(0.2, 0.2, 0.9),
-            new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true })
-        );
+        const bone = this.pools.acquire('bone');
         bone.position.copy(this.playerMesh.position);
         bone.position.y += 1;
         this.scene.add(bone);
 
-        const bounces = 2 + Math.floor(level / 2);
-        const dmg = 1.1 * (this.stats.damage || 1) * level;
-        const life = 0.8 + level * 0.1;
-
         this.projectiles.push({
             mesh: bone,
-            velocity: dir.multiplyScalar(30),
-            damage: dmg,
-            life: life,
+            pool: 'bone',
+            velocity: dir.multiplyScalar(stats.speed),
+            damage: stats.damage,
+            life: stats.duration,
             isBone: true,
-            bouncesLeft: bounces
+            bouncesLeft: stats.bounces,
+            source: 'BONE'
         });
 
         this.playSound('bonk', 1.2, 0.3);
@@ -11786,7 +11572,7 @@ export class Game {
             const s = this.slashes[i];
             s.life -= dt;
             if (s.life <= 0) {
-                this.scene.remove(s.mesh);
+                this.pools.release('slash', s.mesh);
                 this.slashes.splice(i, 1);
                 continue;
             }
@@ -11807,13 +11593,14 @@ export class Game {
 
             // Tiny smoke trail
             if (this.particleSystem) {
-                this.particleSystem.emit(b.mesh.position.clone(), 0x444444, 1);
+                this.particleSystem.emit(b.mesh.position.clone(), b.trail !== undefined ? b.trail : 0x444444, 1);
             }
 
             const distToPlayer = b.mesh.position.distanceTo(playerPos);
             if (distToPlayer < 1.0) {
-                const dmg = 8 * 0.25; // pistol shot, quartered
-                this.takeDamage(dmg);
+                // Shooters (archers) set damage and source; default is a pistol shot, quartered
+                const dmg = b.damage !== undefined ? b.damage : 8 * 0.25;
+                this.takeDamage(dmg, b.source || 'Enemy Bullet');
                 this.scene.remove(b.mesh);
                 this.enemyBullets.splice(i, 1);
                 continue;
@@ -11842,7 +11629,7 @@ export class Game {
             }
             
             // Juice: Trail particles when flying
-            if (orb.targetPlayer && this.particleSystem && Math.random() > 0.6) {
+            if (orb.targetPlayer && this.particleSystem && this.roll('fx') > 0.6) {
                 this.particleSystem.emit(orb.mesh.position, 0x00ff88, 1);
             }
             
@@ -11883,7 +11670,7 @@ export class Game {
         const pPos = this.playerBody.position;
         // Count enemies within 15 units
         let closeCount = 0;
-        for (let e of this.enemies) {
+        for (let e of this.enemiesNear(pPos, 15)) {
             if (pPos.distanceTo(e.body.position) < 15) closeCount++;
         }
         
@@ -11900,7 +11687,7 @@ export class Game {
         // 3. Overtime Visuals (Red Vignette Pulse)
         if (this.overtimeActive) {
             const vignette = document.getElementById('overtime-vignette');
-            if (vignette) {
+            if (vignette && this.analyser) {
                 vignette.style.display = 'block';
                 this.analyser.getByteFrequencyData(this.audioDataArray);
                 // Get bass energy (low bins)
@@ -11937,9 +11724,9 @@ export class Game {
         // Apply Screen Shake
         if (this.screenShake > 0) {
             const shakeAmount = this.screenShake * 0.5;
-            this.camera.position.x += (Math.random() - 0.5) * shakeAmount;
-            this.camera.position.y += (Math.random() - 0.5) * shakeAmount;
-            this.camera.position.z += (Math.random() - 0.5) * shakeAmount;
+            this.camera.position.x += (this.roll('fx') - 0.5) * shakeAmount;
+            this.camera.position.y += (this.roll('fx') - 0.5) * shakeAmount;
+            this.camera.position.z += (this.roll('fx') - 0.5) * shakeAmount;
             this.screenShake = Math.max(0, this.screenShake - 0.02);
         }
 
@@ -12008,15 +11795,15 @@ export class Game {
         this.camera.lookAt(this.playerMesh.position);
     }
 
-    spawnDamageNumber(pos, amount, isCrit, isHeal = false) {
-        const div = document.createElement('div');
+    spawnDamageNumber(pos, amount, isCrit, isHeal = false, color = null) {
+        const div = this.pools.acquire('damageNumber');
         div.textContent = amount;
         div.style.position = 'absolute';
         
         if (isHeal) {
             div.className = 'damage-number-vamp';
         } else {
-            div.style.color = isCrit ? '#ff3333' : '#ffffff';
+            div.style.color = color || (isCrit ? '#ff3333' : '#ffffff');
             div.style.fontWeight = 'bold';
             div.style.fontSize = isCrit ? '20px' : '14px';
             div.style.textShadow = '1px 1px 0 #000';
@@ -12025,20 +11812,23 @@ export class Game {
         // Juice: Pop animation
         div.style.transition = 'transform 0.1s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
         div.style.transform = 'translate(-50%, -50%) scale(0.5)';
-        setTimeout(() => div.style.transform = 'translate(-50%, -50%) scale(1.2)', 10);
-        setTimeout(() => div.style.transform = 'translate(-50%, -50%) scale(1.0)', 150);
+        const timers = [
+            setTimeout(() => div.style.transform = 'translate(-50%, -50%) scale(1.2)', 10),
+            setTimeout(() => div.style.transform = 'translate(-50%, -50%) scale(1.0)', 150)
+        ];
         
         div.style.pointerEvents = 'none';
         document.body.appendChild(div);
         
         this.damageNumbers.push({
             el: div,
+            timers, // cleared on release so they can't touch the element's next use
             worldPos: pos,
             life: 0.8,
             velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
+                (this.roll('fx') - 0.5) * 2,
                 4,
-                (Math.random() - 0.5) * 2
+                (this.roll('fx') - 0.5) * 2
             )
         });
     }
@@ -12069,7 +11859,8 @@ export class Game {
 
             // Cull if behind camera or dead
             if (dn.life <= 0 || p.z > 1) {
-                dn.el.remove();
+                dn.timers.forEach(clearTimeout);
+                this.pools.release('damageNumber', dn.el);
                 this.damageNumbers.splice(i, 1);
             }
         }
@@ -12088,17 +11879,17 @@ export class Game {
             const py = this.playerBody.position.y;
 
             // Spawn in a ring around the player at random heights
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 8 + Math.random() * 20;
+            const angle = this.roll('fx') * Math.PI * 2;
+            const dist = 8 + this.roll('fx') * 20;
             const x = px + Math.sin(angle) * dist;
             const z = pz + Math.cos(angle) * dist;
-            const y = py + 1 + Math.random() * 8;
+            const y = py + 1 + this.roll('fx') * 8;
 
             // Pick a warm ember color
             const colors = [0xff6633, 0xff9944, 0xffcc44, 0xaaaaaa, 0x888888];
-            const color = colors[Math.floor(Math.random() * colors.length)];
+            const color = colors[Math.floor(this.roll('fx') * colors.length)];
 
-            const geo = new THREE.SphereGeometry(0.06 + Math.random() * 0.08, 4, 4);
+            const geo = new THREE.SphereGeometry(0.06 + this.roll('fx') * 0.08, 4, 4);
             const mat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7 });
             const mesh = new THREE.Mesh(geo, mat);
             mesh.position.set(x, y, z);
@@ -12106,11 +11897,11 @@ export class Game {
 
             this.ambientParticles.push({
                 mesh,
-                life: 4 + Math.random() * 3,
-                vx: (Math.random() - 0.5) * 0.5,
-                vy: 0.3 + Math.random() * 0.4,
-                vz: (Math.random() - 0.5) * 0.5,
-                wobblePhase: Math.random() * Math.PI * 2
+                life: 4 + this.roll('fx') * 3,
+                vx: (this.roll('fx') - 0.5) * 0.5,
+                vy: 0.3 + this.roll('fx') * 0.4,
+                vz: (this.roll('fx') - 0.5) * 0.5,
+                wobblePhase: this.roll('fx') * Math.PI * 2
             });
         }
 
@@ -12223,8 +12014,10 @@ export class Game {
             this.enemies.forEach(e => {
                 try { if (e.body) this.world.removeBody(e.body); } catch(e){}
                 try { if (e.mesh) this.scene.remove(e.mesh); } catch(e){}
+                this.releaseEnemyShell(e);
             });
             this.enemies = []; // Nuke em
+            this.enemyGrid.clear();
             // Also nuke bosses if any
             if(this.bossEnemy) {
                 this.removeBossBar(this.bossEnemy.id);
@@ -12239,113 +12032,24 @@ export class Game {
 
     createGhost(type) {
         const playerPos = new THREE.Vector3().copy(this.playerBody.position);
-        const angle = Math.random() * Math.PI * 2;
         const dist = 30; // Closer spawns in overtime
-        const x = playerPos.x + Math.cos(angle) * dist;
-        const z = playerPos.z + Math.sin(angle) * dist;
+        let x, z;
+        // Not inside or behind walls (the maze), unless nowhere else is free
+        for (let tries = 0; tries < 10; tries++) {
+            const angle = this.roll('spawns') * Math.PI * 2;
+            x = playerPos.x + Math.cos(angle) * dist;
+            z = playerPos.z + Math.sin(angle) * dist;
+            if (this.flowField.reachable(x, z)) break;
+        }
         const terrainY = this.getTerrainHeight(x, z);
 
-        const group = new THREE.Group();
-
         const isDeadly = type === 'ghost_deadly';
 
-        // Improved spectral hooded ghost model - matches Boberto's ghosts (they are the same in lore)
-        const scale = isDeadly ? 1.3 : 1.0;
-        const baseColor = isDeadly ? 0x660000 : 0x226644;
-        const glowColor = isDeadly ? 0xff0000 : 0x00ff88;
-
-        const ghostMat = new THREE.MeshStandardMaterial({
-            color: baseColor,
-            transparent: true,
-            opacity: 0.75,
-            emissive: baseColor,
-            emissiveIntensity: 0.4
-        });
-
-        // Hood/head - rounded top with pointed bottom
-        const hood = new THREE.Mesh(
-            new THREE.ConeGeometry(0.5 * scale, 0.8 * scale, 8),
-            ghostMat
-        );
-        hood.position.y = 0.8 * scale;
-        hood.rotation.x = Math.PI; // Flip cone for hood shape
-        group.add(hood);
-
-        // Face area - slightly inset dark void
-        const faceMat = new THREE.MeshStandardMaterial({
-            color: 0x000000,
-            transparent: true,
-            opacity: 0.9
-        });
-        const face = new THREE.Mesh(
-            new THREE.PlaneGeometry(0.4 * scale, 0.35 * scale),
-            faceMat
-        );
-        face.position.set(0, 0.65 * scale, 0.25 * scale);
-        group.add(face);
-
-        // Glowing eyes
-        const eyeMat = new THREE.MeshBasicMaterial({ color: glowColor });
-        const eye1 = new THREE.Mesh(new THREE.SphereGeometry(0.08 * scale), eyeMat);
-        eye1.position.set(-0.12 * scale, 0.68 * scale, 0.3 * scale);
-        group.add(eye1);
-        const eye2 = eye1.clone();
-        eye2.position.x = 0.12 * scale;
-        group.add(eye2);
-
-        // Main body - flowing robe shape
-        const bodyMat = new THREE.MeshStandardMaterial({
-            color: baseColor,
-            transparent: true,
-            opacity: 0.65,
-            emissive: baseColor,
-            emissiveIntensity: 0.2
-        });
-        const bodyMesh = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.35 * scale, 0.5 * scale, 0.8 * scale, 8),
-            bodyMat
-        );
-        bodyMesh.position.y = 0.1 * scale;
-        group.add(bodyMesh);
-
-        // Wispy trailing segments - creates flowing bottom effect
-        for (let i = 0; i < 5; i++) {
-            const wispWidth = (0.5 - i * 0.08) * scale;
-            const wispMat = new THREE.MeshStandardMaterial({
-                color: baseColor,
-                transparent: true,
-                opacity: 0.5 - i * 0.08,
-                emissive: baseColor,
-                emissiveIntensity: 0.1
-            });
-            const wisp = new THREE.Mesh(
-                new THREE.CylinderGeometry(wispWidth, wispWidth * 0.7, 0.25 * scale, 6),
-                wispMat
-            );
-            wisp.position.y = -0.35 * scale - i * 0.22 * scale;
-            // Slight random offset for organic look
-            wisp.position.x = (Math.random() - 0.5) * 0.1 * scale;
-            wisp.position.z = (Math.random() - 0.5) * 0.1 * scale;
-            group.add(wisp);
-        }
-
-        // Ghostly arms/sleeves
-        const armMat = new THREE.MeshStandardMaterial({
-            color: baseColor,
-            transparent: true,
-            opacity: 0.6
-        });
-        const arm1 = new THREE.Mesh(
-            new THREE.CapsuleGeometry(0.1 * scale, 0.4 * scale, 4, 6),
-            armMat
-        );
-        arm1.position.set(-0.45 * scale, 0.2 * scale, 0.1 * scale);
-        arm1.rotation.z = 0.5;
-        group.add(arm1);
-        const arm2 = arm1.clone();
-        arm2.position.x = 0.45 * scale;
-        arm2.rotation.z = -0.5;
-        group.add(arm2);
+        // Spectral hooded ghost model (EnemyModels) - matches Boberto's ghosts (they are the same in lore)
+        const pool = `enemy:${isDeadly ? 'ghost_deadly' : 'ghost'}`;
+        const shell = this.pools.acquire(pool);
+        const group = shell.mesh;
+        this.instancedRenderer.respawn(group, () => this.roll('fx'));
 
         // Place visual group slightly above the physics body so the visible ghost looks to float,
         // but keep the physics/body near the player's level to make collision checks fair.
@@ -12355,18 +12059,9 @@ export class Game {
         group.position.set(x, terrainY + visualOffset + bodyHover, z);
         this.scene.add(group);
 
-        const size = isDeadly ? 1.1 : 0.9;
-        const body = new CANNON.Body({
-            mass: 0.5,
-            position: new CANNON.Vec3(x, terrainY + bodyHover, z),
-            linearDamping: 0.3,
-            fixedRotation: true,
-            // Collision Filter: Group 8 (Ghosts), Collide with 1 (Player) only.
-            // This prevents them colliding with world (2) or enemies (4) or each other (8).
-            collisionFilterGroup: 8,
-            collisionFilterMask: 1
-        });
-        body.addShape(new CANNON.Sphere(size));
+        const size = isDeadly ? 1.1 : 0.9; // matches the pooled body's sphere
+        const body = shell.body;
+        resetBody(body, x, terrainY + bodyHover, z);
         this.world.addBody(body);
 
         // Ghost HP tuning: drastically reduce overtime exponential growth so ghosts stay manageable.
@@ -12379,9 +12074,11 @@ export class Game {
         const scaledHp = Math.max(6, (hpBase + this.level * (isDeadly ? 1.6 : 0.6)) * timeScale);
 
         const enemy = {
-            id: 'ghost-' + Math.random().toString(36).slice(2),
+            id: this.entityId('ghost-'),
             mesh: group,
             body,
+            shell,
+            pool,
             hp: scaledHp,
             maxHp: scaledHp,
             size,
@@ -12390,7 +12087,7 @@ export class Game {
             walkTime: 0,
             type
         };
-        this.enemies.push(enemy);
+        this.addEnemy(enemy);
     }
 
     updateIntro(dt) {
@@ -12416,7 +12113,7 @@ export class Game {
         if (this.portalGroup) {
             // Emulate "Particles fly out when character goes out"
             // Spawn particles at player pos during the walk
-            if (this.particleSystem && Math.random() > 0.6) {
+            if (this.particleSystem && this.roll('fx') > 0.6) {
                 const pPos = this.playerMesh.position.clone();
                 pPos.y += 1;
                 // Fly backwards (towards portal) or outwards? User said "fly out when character goes out"
@@ -12447,10 +12144,10 @@ export class Game {
             // Intro sequence finished
             
             // Check Lore for new players
-            const hasReadLore = localStorage.getItem('uberthump_lore_read');
+            const hasReadLore = getFlag(FLAGS.LORE_READ);
             
             // If first time, show lore note
-            if (!hasReadLore && !this._showingLore) {
+            if (!hasReadLore && !this._showingLore && !this.sandboxed) {
                 this._showingLore = true; // prevent loop
                 this.showLoreNote();
                 // Pause simulation while note is up
@@ -12466,120 +12163,730 @@ export class Game {
             }
             this.inIntro = false;
             this.isPlaying = true;
+            this.emitEvent(GameEvents.GAME_STARTED, {
+                mode: this.gameMode,
+                character: this.characterKey,
+                tier: this.tier,
+                seed: this.seed
+            });
             
             const bars = document.getElementById('cinematic-bars');
             if (bars) bars.classList.remove('active');
         }
-    }
+    }
+
+    showLoreNote() {
+        const overlay = document.getElementById('lore-note-overlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+            this.isPaused = true;
+            if (document.exitPointerLock) document.exitPointerLock();
+        }
+
+        // Duck and slow music for lore note (only save once)
+        try {
+            if (!this._savedBgmState) {
+                this._savedBgmState = {
+                    gain: this.currentBgmGain ? (this.currentBgmGain.gain.value || 0.35) : 0.35,
+                    rate: this.currentBgmNode ? (this.currentBgmNode.playbackRate.value || 1.0) : 1.0
+                };
+                if (this.currentBgmGain && this.currentBgmGain.gain) {
+                    this.currentBgmGain.gain.setTargetAtTime(this._savedBgmState.gain * 0.3, this.audioCtx.currentTime, 0.05);
+                }
+                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
+                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedBgmState.rate * 0.5, this.audioCtx.currentTime); } catch(e){}
+                }
+            }
+        } catch (e) {}
+    }
+
+    hideLoreNote() {
+        const overlay = document.getElementById('lore-note-overlay');
+        if (overlay && overlay.style.display === 'flex') {
+            overlay.style.display = 'none';
+            
+            // Mark as read
+            if (!getFlag(FLAGS.LORE_READ)) {
+                setFlag(FLAGS.LORE_READ);
+                // Trigger Tutorial after first lore read
+                setTimeout(() => this.runTutorial(), 200);
+            }
+            
+            this.isPaused = false;
+            // If we were stuck in intro loop, this allows it to proceed
+            if (this.inIntro && this._showingLore) {
+                // Intro loop will check next frame and see hasReadLore=true
+                // But we need to ensure the update loop continues
+            }
+
+            // Smoothly restore music volume and speed if we previously ducked it
+            try {
+                if (this._savedBgmState) {
+                    if (this.currentBgmGain && this.currentBgmGain.gain) {
+                        this.currentBgmGain.gain.setTargetAtTime(this._savedBgmState.gain, this.audioCtx.currentTime, 0.3);
+                    }
+                    if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
+                        try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedBgmState.rate, this.audioCtx.currentTime + 0.15); } catch(e){}
+                    }
+                    this._savedBgmState = null;
+                }
+            } catch (e) {}
+        }
+    }
+
+    // In-game secret note viewing (shares the same overlay as menu, but pauses + ducks BGM)
+    showSecretNote() {
+        const overlay = document.getElementById('secret-note-overlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+            this.isPaused = true;
+            if (document.exitPointerLock) {
+                try { document.exitPointerLock(); } catch(e){}
+            }
+        }
+
+        // Duck and slow music for secret note
+        try {
+            if (!this._savedSecretBgmState) {
+                this._savedSecretBgmState = {
+                    gain: this.currentBgmGain ? (this.currentBgmGain.gain.value || 0.35) : 0.35,
+                    rate: this.currentBgmNode ? (this.currentBgmNode.playbackRate.value || 1.0) : 1.0
+                };
+                if (this.currentBgmGain && this.currentBgmGain.gain) {
+                    this.currentBgmGain.gain.setTargetAtTime(this._savedSecretBgmState.gain * 0.3, this.audioCtx.currentTime, 0.05);
+                }
+                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
+                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedSecretBgmState.rate * 0.6, this.audioCtx.currentTime); } catch(e){}
+                }
+            }
+        } catch(e){}
+    }
+
+    hideSecretNote() {
+        const overlay = document.getElementById('secret-note-overlay');
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+        this.isPaused = false;
+
+        try {
+            if (this._savedSecretBgmState) {
+                if (this.currentBgmGain && this.currentBgmGain.gain) {
+                    this.currentBgmGain.gain.setTargetAtTime(this._savedSecretBgmState.gain, this.audioCtx.currentTime, 0.3);
+                }
+                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
+                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedSecretBgmState.rate, this.audioCtx.currentTime + 0.15); } catch(e){}
+                }
+                this._savedSecretBgmState = null;
+            }
+        } catch(e){}
+    }
+
+    // Run as many fixed ticks as the frame's elapsed time covers (scaled by replay speed / seeking)
+    advanceSimulation(dt) {
+        const step = this.fixedStep;
+
+        // Replay seek: fast-forward without rendering, a bounded number of ticks per frame
+        if (this.isReplay && this.replaySeekTarget !== null) {
+            let budget = 300;
+            while (budget-- > 0 && this.simTick < this.replaySeekTarget && this.isPlaying && !this.isPaused && !this.replayEnded) {
+                this.runTick(step);
+            }
+            if (this.simTick >= this.replaySeekTarget || this.replayEnded) this.replaySeekTarget = null;
+            this.simAccumulator = 0;
+            return;
+        }
+        if (this.isReplay && this.replayPaused) return;
+
+        const speed = this.isReplay ? this.replaySpeed : 1;
+        this.simAccumulator += dt * speed;
+        const maxSteps = Math.ceil(this.maxStepsPerFrame * Math.max(1, speed));
+        let steps = 0;
+        while (this.simAccumulator >= step && steps < maxSteps) {
+            this.simAccumulator -= step;
+            this.runTick(step);
+            steps++;
+            if (!this.isPlaying || this.isPaused || this.replayPaused) break;
+        }
+        // Drop backlog after a long hitch (or when a menu paused us mid-frame)
+        if (steps >= maxSteps || this.isPaused) this.simAccumulator = 0;
+    }
+
+    // One deterministic simulation tick: sample (or replay) input, run sim timers, simulate
+    runTick(dt) {
+        if (this.isReplay) {
+            if (this.replay.isFinished(this.simTick)) {
+                this.finishReplay();
+                return;
+            }
+            this.applyInputFrame(this.replay.inputAt(this.simTick));
+        } else if (this.botController) {
+            const frame = quantizeInput(this.botController.input(this));
+            if (this.recorder) this.recorder.recordTick(frame);
+            this.applyInputFrame(frame);
+        } else {
+            this.applyInputFrame(this.sampleLiveInput());
+        }
+
+        this.simTick++;
+        this.runSimTimers();
+
+        if (this.inputFrame.mask & INPUT_BITS.PRIMARY) {
+            this.handlePrimaryAction();
+        }
+
+        this.simulateTick(dt);
+
+        if (this.pendingChoice) this.resolvePendingChoice();
+    }
+
+    // Collapse live devices (keyboard, mouse, gamepad, touch) into one quantized input frame and record it
+    sampleLiveInput() {
+        const keys = { ...this.keys };
+        let mx = this.mouseMovement.x;
+        let my = this.mouseMovement.y;
+        let ax = 0, az = 0;
+        let mask = 0;
+
+        // Controller support
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        if (gamepads[0]) {
+            const gp = gamepads[0];
+            // Left stick for movement
+            if (Math.abs(gp.axes[0]) > 0.1) ax = gp.axes[0];
+            if (Math.abs(gp.axes[1]) > 0.1) az = gp.axes[1];
+
+            // Right stick for camera
+            if (Math.abs(gp.axes[2]) > 0.1) mx -= gp.axes[2] * 20;
+            if (Math.abs(gp.axes[3]) > 0.1) my += gp.axes[3] * 20;
+
+            // A (0) for Jump
+            if (gp.buttons[0] && gp.buttons[0].pressed) keys.space = true;
+
+            // RT/RB for manual attacks
+            if ((gp.buttons[7] && gp.buttons[7].pressed) || (gp.buttons[5] && gp.buttons[5].pressed)) {
+                mask |= INPUT_BITS.PAD_ATTACK;
+            }
+        }
+
+        if (this.moveVector.lengthSq() > 0.01) {
+            ax = this.moveVector.x;
+            az = this.moveVector.y;
+        }
+
+        mask |= packKeys(keys);
+        if (this.pendingPrimaryAction) mask |= INPUT_BITS.PRIMARY;
+        this.pendingPrimaryAction = false;
+        this.mouseMovement.x = 0;
+        this.mouseMovement.y = 0;
+
+        const frame = quantizeInput({ mask, mx, my, ax, az });
+        if (this.recorder) this.recorder.recordTick(frame);
+        return frame;
+    }
+
+    applyInputFrame(frame) {
+        this.inputFrame = frame;
+        unpackKeys(frame.mask, this.simKeys);
+    }
+
+    // Schedule a gameplay callback in sim time so it lands on the same tick in a replay (unlike setTimeout)
+    scheduleSim(delaySeconds, callback) {
+        const tick = this.simTick + Math.max(1, Math.round(delaySeconds / this.fixedStep));
+        this.simTimers.push({ tick, callback });
+    }
+
+    runSimTimers() {
+        if (this.simTimers.length === 0) return;
+        const due = [];
+        this.simTimers = this.simTimers.filter(t => {
+            if (t.tick <= this.simTick) { due.push(t); return false; }
+            return true;
+        });
+        for (const t of due) {
+            try { t.callback(); } catch (e) { console.error('Sim timer failed', e); }
+        }
+    }
+
+    // Apply the recorded (or bot) pick for a menu opened this tick; a missing recorded pick means the replay desynced
+    resolvePendingChoice() {
+        const { kind, options } = this.pendingChoice;
+        this.pendingChoice = null;
+        let pick;
+        if (this.isReplay) {
+            pick = this.replay.nextEvent(kind);
+            if (!pick) {
+                console.warn(`Replay desync: no recorded ${kind} pick at tick ${this.simTick}`);
+                this.finishReplay();
+                return;
+            }
+        } else {
+            pick = options[this.botController.choose(this, kind, options)] || options[0];
+        }
+        if (kind === 'shrine') {
+            this.selectShrineUpgrade(pick.key, pick.rarity);
+            return;
+        }
+        // Re-deal the cards the player rerolled past so the loot stream stays in step
+        for (let i = 0; i < (pick.rerolls || 0); i++) this.rerollUpgrades();
+        this.pendingChoice = null;
+        this.selectUpgrade(pick.key, pick.type);
+    }
+
+    finishReplay() {
+        if (this.replayEnded) return;
+        this.replayEnded = true;
+        this.replayPaused = true;
+        this.showToast('Replay finished');
+    }
+
+    // Tear this replay down so main.js can rebuild it (seeking backwards)
+    stopReplay() {
+        this.replayStopped = true;
+        this.isPlaying = false;
+        try { this.stopBGM(); } catch (e) {}
+        if (this.eventLog) this.eventLog.hide();
+        if (document.pointerLockElement && document.exitPointerLock) document.exitPointerLock();
+    }
+
+    seekReplay(tick) {
+        if (!this.isReplay) return;
+        tick = Math.max(0, Math.min(this.replay.length, Math.floor(tick)));
+        if (tick >= this.simTick) {
+            this.replaySeekTarget = tick;
+            return;
+        }
+        // The simulation can't run backwards: rebuild the run and fast-forward from tick 0
+        if (this.onReplayRestart) {
+            this.stopReplay();
+            this.onReplayRestart(tick);
+        }
+    }
+
+    initReplayHUD() {
+        const root = document.getElementById('replay-hud');
+        if (!root) return;
+        root.style.display = 'flex';
+
+        const scrubber = document.getElementById('replay-scrubber');
+        const pauseBtn = document.getElementById('replay-pause-btn');
+        const speedBtns = root.querySelectorAll('[data-speed]');
+        this.replayHud = { root, scrubber, pauseBtn, time: document.getElementById('replay-time') };
+
+        scrubber.max = this.replay.length;
+        scrubber.oninput = () => { this.replayScrubbing = true; };
+        scrubber.onchange = () => {
+            this.replayScrubbing = false;
+            this.seekReplay(Number(scrubber.value));
+        };
+        pauseBtn.onclick = () => {
+            if (this.replayEnded) return;
+            this.replayPaused = !this.replayPaused;
+        };
+        speedBtns.forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === this.replaySpeed);
+            btn.onclick = () => {
+                this.replaySpeed = parseFloat(btn.dataset.speed) || 1;
+                speedBtns.forEach(b => b.classList.toggle('active', b === btn));
+            };
+        });
+        document.getElementById('replay-freecam-btn').onclick = () => this.toggleFreeCam();
+        document.getElementById('replay-exit-btn').onclick = () => window.location.reload();
+    }
+
+    updateReplayHUD() {
+        const hud = this.replayHud;
+        if (!hud) return;
+        const fmt = (ticks) => {
+            const sec = Math.floor(ticks / REPLAY_TICK_RATE);
+            return `${Math.floor(sec / 60)}:${(sec % 60).toString().padStart(2, '0')}`;
+        };
+        if (!this.replayScrubbing) {
+            hud.scrubber.value = this.replaySeekTarget !== null ? this.replaySeekTarget : this.simTick;
+        }
+        hud.time.textContent = `${fmt(this.simTick)} / ${fmt(this.replay.length)}`;
+        hud.pauseBtn.textContent = this.replayEnded ? 'ENDED' : (this.replayPaused ? 'PLAY' : 'PAUSE');
+    }
+
+    toggleFreeCam() {
+        if (!this.freeCam) this.freeCam = { enabled: false, pos: new THREE.Vector3(), yaw: 0, pitch: 0 };
+        const fc = this.freeCam;
+        fc.enabled = !fc.enabled;
+        if (fc.enabled) {
+            // Start from wherever the follow camera currently is
+            const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+            fc.pos.copy(this.camera.position);
+            fc.yaw = euler.y;
+            fc.pitch = euler.x;
+            this.mouseMovement.x = 0;
+            this.mouseMovement.y = 0;
+            this.showToast('Free Cam: click to look, WASD/SPACE/CTRL to fly, F to return');
+        } else if (document.pointerLockElement && document.exitPointerLock) {
+            document.exitPointerLock();
+        }
+        const btn = document.getElementById('replay-freecam-btn');
+        if (btn) btn.classList.toggle('active', fc.enabled);
+    }
+
+    // Spectator camera for replays; reads live keys/mouse, which the replayed simulation ignores
+    updateFreeCamera(dt) {
+        const fc = this.freeCam;
+        fc.yaw -= this.mouseMovement.x * 0.002;
+        fc.pitch = Math.max(-1.5, Math.min(1.5, fc.pitch - this.mouseMovement.y * 0.002));
+        this.mouseMovement.x = 0;
+        this.mouseMovement.y = 0;
+
+        const speed = (this.keys.shift ? 60 : 20) * dt;
+        const forward = new THREE.Vector3(
+            -Math.sin(fc.yaw) * Math.cos(fc.pitch),
+            Math.sin(fc.pitch),
+            -Math.cos(fc.yaw) * Math.cos(fc.pitch)
+        );
+        const right = new THREE.Vector3(Math.cos(fc.yaw), 0, -Math.sin(fc.yaw));
+        if (this.keys.w) fc.pos.addScaledVector(forward, speed);
+        if (this.keys.s) fc.pos.addScaledVector(forward, -speed);
+        if (this.keys.d) fc.pos.addScaledVector(right, speed);
+        if (this.keys.a) fc.pos.addScaledVector(right, -speed);
+        if (this.keys.space) fc.pos.y += speed;
+        if (this.keys.ctrl) fc.pos.y -= speed;
+
+        this.camera.position.copy(fc.pos);
+        this.camera.rotation.set(fc.pitch, fc.yaw, 0, 'YXZ');
+    }
+
+    // Offer the recorded run as a downloadable replay on the game over screen
+    setupReplayExport(score) {
+        const btn = document.getElementById('save-replay-btn');
+        if (!btn) return;
+        if (!this.recorder || this.recorder.tick === 0) {
+            btn.style.display = 'none';
+            return;
+        }
+
+        this.recorder.summary = {
+            score,
+            kills: this.kills,
+            level: this.level,
+            tier: this.tier,
+            time: Math.floor(this.gameTime)
+        };
+        btn.style.display = 'inline-block';
+        btn.onclick = () => {
+            const code = serializeReplay(this.recorder.toJSON());
+            const url = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `uberthump_${this.characterKey.toLowerCase()}_${this.seed}${REPLAY_FILE_EXTENSION}`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.showToast('Replay saved!');
+        };
+    }
+
+    // All gameplay for one fixed tick. Anything here must only depend on sim state + the tick's input frame.
+    simulateTick(dt) {
+        const now = performance.now(); // toast throttling only
+
+        this.gameTime += dt;
+        this.updateTimer();
+        if (this.runTime >= this.runTimeline.nextAt) this.sampleRunTimeline();
+
+        // Start overtime at limit
+        const limit = this.timeLimit || 600;
+        if (!this.overtimeActive && this.gameTime >= limit) {
+            this.startOvertime();
+        }
 
-    showLoreNote() {
-        const overlay = document.getElementById('lore-note-overlay');
-        if (overlay) {
-            overlay.style.display = 'flex';
-            this.isPaused = true;
-            if (document.exitPointerLock) document.exitPointerLock();
+        // Lava rising over time once overtime starts
+        if (this.overtimeActive) {
+            const t = this.gameTime - this.overtimeStartTime;
+            // Very slow rise at first, then slightly faster
+            this.lavaHeight = Math.max(0, 0.2 + t * 0.08 * this.curseEffects.lavaSpeedMult);
+        }
+        
+        this.world.step(this.fixedStep);
+        
+        this.updatePlayer(dt);
+        this.updateProjectiles(dt);
+        this.updateStatusEffects();
+        this.updateEnemies(dt);
+        // Enemies only move in updateEnemies; everything after (and the next tick up to here) queries fresh positions
+        this.refreshEnemyGrid();
+        this.updateXPOrbs(dt);
+        this.updateChests(dt);
+        this.updateShrines(dt);
+        this.updateSlashes(dt);
+        this.updateEnemyBullets(dt);
+        if (this.updateLeaves) {
+            this.updateLeaves(dt);
         }
 
-        // Duck and slow music for lore note (only save once)
-        try {
-            if (!this._savedBgmState) {
-                this._savedBgmState = {
-                    gain: this.currentBgmGain ? (this.currentBgmGain.gain.value || 0.35) : 0.35,
-                    rate: this.currentBgmNode ? (this.currentBgmNode.playbackRate.value || 1.0) : 1.0
-                };
-                if (this.currentBgmGain && this.currentBgmGain.gain) {
-                    this.currentBgmGain.gain.setTargetAtTime(this._savedBgmState.gain * 0.3, this.audioCtx.currentTime, 0.05);
-                }
-                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
-                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedBgmState.rate * 0.5, this.audioCtx.currentTime); } catch(e){}
-                }
+        // Character auras (Upgraded)
+        if (this.characterKey === 'GIGACHAD' && this.characterConfig) {
+            const stats = this.weaponStats('CHAD_AURA');
+            const radius = (this.characterConfig.auraRadius || 3) * stats.area;
+            const dps = (this.characterConfig.auraDps || 10) * stats.damage;
+            
+            // Visual update
+            if (!this.auraVisuals['CHAD_AURA']) {
+                this.updateAuraVisual('CHAD_AURA', 0xffaa00);
             }
-        } catch (e) {}
-    }
+            this.updateAuraScale('CHAD_AURA', radius);
 
-    hideLoreNote() {
-        const overlay = document.getElementById('lore-note-overlay');
-        if (overlay && overlay.style.display === 'flex') {
-            overlay.style.display = 'none';
-            
-            // Mark as read
-            if (!localStorage.getItem('uberthump_lore_read')) {
-                localStorage.setItem('uberthump_lore_read', 'true');
-                // Trigger Tutorial after first lore read
-                setTimeout(() => this.runTutorial(), 200);
+            const origin = new THREE.Vector3().copy(this.playerBody.position);
+            for (let enemy of this.enemiesNear(origin, radius)) {
+                const dist = origin.distanceTo(enemy.mesh.position);
+                if (dist < radius) {
+                    this.damageEnemy(enemy, dps * dt, 'CHAD_AURA');
+                }
             }
-            
-            this.isPaused = false;
-            // If we were stuck in intro loop, this allows it to proceed
-            if (this.inIntro && this._showingLore) {
-                // Intro loop will check next frame and see hasReadLore=true
-                // But we need to ensure the update loop continues
+        }
+
+        // Boss Portal Animation
+        if (this.bossPortal) {
+            // Animate void portal visuals if present
+            if (this.bossPortal.visuals) {
+                const visuals = this.bossPortal.visuals;
+                // Spin blade
+                visuals.children.forEach(c => {
+                    if (c.userData.isSpinner) {
+                        c.rotation.z += dt * 3.0; // Fast spin
+                        c.rotation.x = Math.sin(this.gameTime * 2) * 0.2; // Wobble
+                    }
+                    if (c.userData.isParticleSystem) {
+                        c.rotation.y += dt * 0.5;
+                        c.children.forEach(p => {
+                            // Pulse particles
+                            const scale = 1 + Math.sin(this.gameTime * 5 + p.userData.phase) * 0.3;
+                            p.scale.setScalar(scale);
+                        });
+                    }
+                    if (c.userData.isBeacon) {
+                        c.children.forEach(o => {
+                            o.rotation.y += dt * (o.userData.speed || 1);
+                        });
+                    }
+                });
             }
 
-            // Smoothly restore music volume and speed if we previously ducked it
-            try {
-                if (this._savedBgmState) {
-                    if (this.currentBgmGain && this.currentBgmGain.gain) {
-                        this.currentBgmGain.gain.setTargetAtTime(this._savedBgmState.gain, this.audioCtx.currentTime, 0.3);
+            // If portal has been activated, entering it still triggers win/transition
+            if (this.bossPortalActivated && !this.victoryTriggered) {
+                // Ensure portal visual is visible if activated
+                if (this.bossPortal && this.bossPortal.visuals && !this.bossPortal.visuals.visible) {
+                    this.bossPortal.visuals.visible = true;
+                }
+                
+                const p = new THREE.Vector3().copy(this.playerBody.position);
+                // Defensive check in case bossPortal was removed
+                if (this.bossPortal && this.bossPortal.position) {
+                    const distToPortal = p.distanceTo(this.bossPortal.position);
+                    if (distToPortal < 3.0) {
+                        this.winGame();
+                        return;
                     }
-                    if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
-                        try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedBgmState.rate, this.audioCtx.currentTime + 0.15); } catch(e){}
+                }
+            }
+
+            // Enforce sealed boss arena while a boss is active: keep player inside arena sphere
+            if (this.bossArena && this.bossEnemy) {
+                try {
+                    const center = this.bossArena.center;
+                    const radius = this.bossArena.radius;
+                    const playerPos = new THREE.Vector3(this.playerBody.position.x, this.playerBody.position.y, this.playerBody.position.z);
+                    const toPlayer = new THREE.Vector3().subVectors(playerPos, center);
+                    const dist = toPlayer.length();
+
+                    if (dist > radius) {
+                        // Push the player back inside the sphere smoothly
+                        const excess = dist - radius;
+                        const pushDir = toPlayer.normalize();
+                        // Move player back a little and reduce their horizontal velocity outward
+                        this.playerBody.position.x -= pushDir.x * (excess + 0.1);
+                        this.playerBody.position.z -= pushDir.z * (excess + 0.1);
+                        this.playerBody.velocity.x *= 0.3;
+                        this.playerBody.velocity.z *= 0.3;
+
+                        // One-time toast when sealed (so it isn't spammy)
+                        if (!this.bossArena.sealedToastShown) {
+                            this.showToast('Arena sealed — defeat the boss or you cannot leave!');
+                            this.bossArena.sealedToastShown = true;
+                        }
                     }
-                    this._savedBgmState = null;
+                } catch (e) {
+                    // Fail silently if position math errors happen
                 }
-            } catch (e) {}
+            }
         }
-    }
 
-    // In-game secret note viewing (shares the same overlay as menu, but pauses + ducks BGM)
-    showSecretNote() {
-        const overlay = document.getElementById('secret-note-overlay');
-        if (overlay) {
-            overlay.style.display = 'flex';
-            this.isPaused = true;
-            if (document.exitPointerLock) {
-                try { document.exitPointerLock(); } catch(e){}
+        // Check Monke Crate interaction
+        if (this.monkeCrate && !this.monkeCrate.interacted) {
+             const d = this.playerMesh.position.distanceTo(this.monkeCrate.pos);
+             if (d < 3.5) {
+                 if (!this.monkeCrate.toastTime || now - this.monkeCrate.toastTime > 3500) {
+                     // Check requirement for toast hint
+                     const bananaLvl = this.weaponLevels['BANANERANG'] || this.weaponLevels['BANANA_SWARM'] || 0;
+                     const msg = bananaLvl >= 3 ? 'Tap / Left-click to open the cage' : 'LOCKED: Need Bananerang Lv.3';
+                     this.showToast(msg);
+                     this.monkeCrate.toastTime = now;
+                 }
+             }
+        }
+
+        // Check secret lore note proximity
+        if (this.secretNote && !this.secretNote.collected) {
+            const dNote = this.playerMesh.position.distanceTo(this.secretNote.pos);
+            if (dNote < 3.0) {
+                this.secretNote.collected = true;
+                this.runFoundSecretNote = true;
+                try { this.scene.remove(this.secretNote.mesh); } catch(e){}
+                // Immediately persist that the secret note has been found so it won't spawn in future runs
+                if (!this.sandboxed) {
+                    markSecretNoteFound();
+                }
+                this.emitEvent(GameEvents.SECRET_FOUND, { secret: 'secretNote' });
+                this.showToast('You found a strange note...');
+                this.playSound('unlock', 0.9, 0.5);
             }
         }
 
-        // Duck and slow music for secret note
-        try {
-            if (!this._savedSecretBgmState) {
-                this._savedSecretBgmState = {
-                    gain: this.currentBgmGain ? (this.currentBgmGain.gain.value || 0.35) : 0.35,
-                    rate: this.currentBgmNode ? (this.currentBgmNode.playbackRate.value || 1.0) : 1.0
-                };
-                if (this.currentBgmGain && this.currentBgmGain.gain) {
-                    this.currentBgmGain.gain.setTargetAtTime(this._savedSecretBgmState.gain * 0.3, this.audioCtx.currentTime, 0.05);
+        // Check diary cabin proximity - cabin disappears when approached
+        if (this.diaryCabin && !this.diaryCabin.collected) {
+            const dCabin = this.playerMesh.position.distanceTo(this.diaryCabin.pos);
+            if (dCabin < 5.0) {
+                this.diaryCabin.collected = true;
+                this.runFoundDiary = true;
+                // Fade out effect - cabin disappears mysteriously
+                try {
+                    const cabin = this.diaryCabin.mesh;
+                    // Quick fade animation
+                    let fadeTime = 0;
+                    const fadeInterval = setInterval(() => {
+                        fadeTime += 0.05;
+                        cabin.traverse((child) => {
+                            if (child.material) {
+                                child.material.transparent = true;
+                                child.material.opacity = Math.max(0, 1 - fadeTime);
+                            }
+                        });
+                        if (fadeTime >= 1) {
+                            clearInterval(fadeInterval);
+                            this.scene.remove(cabin);
+                        }
+                    }, 50);
+                } catch(e) {
+                    try { this.scene.remove(this.diaryCabin.mesh); } catch(e2){}
                 }
-                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
-                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedSecretBgmState.rate * 0.6, this.audioCtx.currentTime); } catch(e){}
+                // Persist that the diary has been found
+                if (!this.sandboxed) {
+                    markDiaryFound();
                 }
+                this.emitEvent(GameEvents.SECRET_FOUND, { secret: 'diary' });
+                this.showToast('You found a weathered diary... (Check Game Over Screen)');
+                this.playSound('unlock', 0.9, 0.5);
+                this.particleSystem.emit(this.diaryCabin.pos, 0xffaa44, 30);
             }
-        } catch(e){}
-    }
-
-    hideSecretNote() {
-        const overlay = document.getElementById('secret-note-overlay');
-        if (overlay) {
-            overlay.style.display = 'none';
         }
-        this.isPaused = false;
 
-        try {
-            if (this._savedSecretBgmState) {
-                if (this.currentBgmGain && this.currentBgmGain.gain) {
-                    this.currentBgmGain.gain.setTargetAtTime(this._savedSecretBgmState.gain, this.audioCtx.currentTime, 0.3);
+        // Awakening Grave Interaction
+        if (this.gameMode === 'AWAKENING') {
+            const p = this.playerMesh.position;
+            for (let g of this.graves) {
+                if (!g.used) {
+                    const dist = Math.hypot(g.x - p.x, g.z - p.z);
+                    if (dist < 4) {
+                         if (!g.toastTime || now - g.toastTime > 4000) {
+                             this.showToast('Tap / Left-click Grave to Awaken');
+                             g.toastTime = now;
+                         }
+                    }
                 }
-                if (this.currentBgmNode && this.currentBgmNode.playbackRate) {
-                    try { this.currentBgmNode.playbackRate.setValueAtTime(this._savedSecretBgmState.rate, this.audioCtx.currentTime + 0.15); } catch(e){}
+            }
+        }
+
+        // Auto attack - default weapon
+        this.autoAttackTimer += dt;
+        const attackInterval = 1 / this.stats.fireRate;
+        if (this.autoAttackTimer >= attackInterval) {
+            this.autoAttack();
+            this.autoAttackTimer = 0;
+        }
+
+        // Click handling covers manual slash, but if a ranged character picks up a sword,
+        // we should allow manual slashing via click. The mousedown listener in createPlayer
+        // handles this by calling knightSlash().
+        
+        // Other weapons (a stunned player's weapons stall too)
+        this.updateWeapons(dt * this.playerStatus.multiplier('attackMult'));
+
+        // Cooldown tick for knight's auto slash so it can trigger repeatedly
+        if (this.knightSlashCooldown > 0) {
+            this.knightSlashCooldown = Math.max(0, this.knightSlashCooldown - dt);
+        }
+
+        // Spawn enemies (Pantheon only while its spawning toggle is on)
+        const wavesActive = this.gameMode !== 'PANTHEON' || this.pantheonSpawning;
+        if (wavesActive) this.waveDirector.update(this, dt);
+
+        // Main Boss spawning near portal if close
+        // TNS Tier 4 Logic (handled by timer, no portal proximity needed)
+        if (this.gameMode === 'TNS' && this.tnsTier === 4 && !this.bossPortalActivated) {
+            // Phase 0: Warmup
+            if (this.tnsPhase === 0) {
+                this.tnsTimer += dt;
+                if (this.tnsTimer >= this.tnsWarmupDuration) {
+                    this.tnsPhase = 1;
+                    this.createBoss(true); // Spawn Barkvader
+                    this.showToast("BARKVADER HAS ARRIVED!");
+                    this.playSound('boom', 0.5, 1.0);
                 }
-                this._savedSecretBgmState = null;
             }
-        } catch(e){}
+            // Boss Logic in updateEnemies handles Phases 2+
+        }
+        
+        // General Boss Spawn by Proximity (Arcade, Awakening, TNS Tiers 1-3)
+        // Explicitly allow TNS (except Tier 4) to spawn via proximity
+        const allowProximitySpawn = (this.gameMode !== 'TNS') || (this.gameMode === 'TNS' && this.tnsTier < 4);
+
+        if (allowProximitySpawn && !this.bossEnemy && this.bossPortal && !this.bossPortalActivated) {
+            const distToPortal = new THREE.Vector3().copy(this.playerBody.position).distanceTo(this.bossPortal.position);
+            // Increased range to 30 so it's easier to trigger
+            if (distToPortal < 30) {
+                this.createBoss(true); // Main Boss
+            }
+        }
+        
+        // Timed minibosses and overtime Bobs
+        if (wavesActive) this.waveDirector.updateEvents(this);
+        
+        // Cap enemy count to prevent lag (Vampire Survivors has enemy caps too)
+        // Keep bosses (main/miniboss) from being removed by the cap to avoid softlocks.
+        const maxEnemies = 300; // raised cap to be generous
+        let i = 0;
+        // Remove non-boss oldest entries first
+        while (this.enemies.length > maxEnemies) {
+            // find first non-boss enemy (preserve any enemy.isBoss)
+            const idx = this.enemies.findIndex(e => !e.isBoss);
+            if (idx === -1) break; // all remaining are bosses — stop pruning
+            const oldest = this.enemies[idx];
+            try { if (oldest.body) this.world.removeBody(oldest.body); } catch(e) {}
+            try { if (oldest.mesh) this.scene.remove(oldest.mesh); } catch(e) {}
+            this.enemies.splice(idx, 1);
+            this.enemyGrid.remove(oldest);
+            this.releaseEnemyShell(oldest);
+            i++;
+            if (i > 1000) break;
+        }
+
+        // If the player accidentally falls out of the world, teleport them back to spawn
+        if (this.playerBody && this.playerBody.position.y < -30) {
+            this.respawnPlayer();
+        }
     }
 
     animate() {
+        if (this.replayStopped) return; // Replay torn down for a restart
         requestAnimationFrame(() => this.animate());
 
         const now = performance.now();
@@ -12610,39 +12917,19 @@ export class Game {
         }
 
         if (this.isPlaying && !this.isPaused) {
-            this.gameTime += dt;
-            this.updateTimer();
-
-            // Start overtime at limit
-            const limit = this.timeLimit || 600;
-            if (!this.overtimeActive && this.gameTime >= limit) {
-                this.startOvertime();
-            }
+            // Gameplay advances in fixed ticks; everything below is per-frame presentation
+            this.advanceSimulation(dt);
 
-            // Lava rising over time once overtime starts
-            if (this.overtimeActive) {
-                const t = this.gameTime - this.overtimeStartTime;
-                // Very slow rise at first, then slightly faster
-                this.lavaHeight = Math.max(0, 0.2 + t * 0.08);
-            }
-            
-            this.world.step(1/60, dt, 3);
-            
-            this.updatePlayer(dt);
-            this.updateProjectiles(dt);
-            this.updateEnemies(dt);
-            this.updateXPOrbs(dt);
-            this.updateChests(dt);
-            this.updateShrines(dt);
-            this.updateSlashes(dt);
-            this.updateEnemyBullets(dt);
-            if (this.updateLeaves) {
-                this.updateLeaves(dt);
-            }
             this.particleSystem.update(dt);
             this.updateDamageNumbers(dt);
             this.updateAudioDynamics();
-            this.updateCamera();
+            if (this.gridPanel) this.gridPanel.update(this.enemyGrid, this.playerBody.position);
+            if (this.poolPanel) this.poolPanel.update(this.pools);
+            if (this.freeCam && this.freeCam.enabled) {
+                this.updateFreeCamera(dt);
+            } else {
+                this.updateCamera();
+            }
             this.updateAmbientParticles(dt);
             this.updateCombatIntensity(dt);
 
@@ -12654,388 +12941,10 @@ export class Game {
                     obj.rotation.z = Math.sin(time + offset) * 0.05;
                 }
             });
-
-            // Character auras (Upgraded)
-            if (this.characterKey === 'GIGACHAD' && this.characterConfig) {
-                const level = this.weaponLevels['CHAD_AURA'] || 1;
-                const radius = (this.characterConfig.auraRadius || 3) * (this.stats.areaMult || 1) * (1 + level * 0.2);
-                const dps = (this.characterConfig.auraDps || 10) * (this.stats.damage || 1) * 2.5 * level;
-                
-                // Visual update
-                if (!this.auraVisuals['CHAD_AURA']) {
-                    this.updateAuraVisual('CHAD_AURA', 0xffaa00);
-                }
-                this.updateAuraScale('CHAD_AURA', radius);
-
-                const origin = new THREE.Vector3().copy(this.playerBody.position);
-                for (let enemy of this.enemies) {
-                    const dist = origin.distanceTo(enemy.mesh.position);
-                    if (dist < radius) {
-                        this.damageEnemy(enemy, dps * dt);
-                    }
-                }
-            }
-
-            // Boss Portal Animation
-            if (this.bossPortal) {
-                // Animate void portal visuals if present
-                if (this.bossPortal.visuals) {
-                    const visuals = this.bossPortal.visuals;
-                    // Spin blade
-                    visuals.children.forEach(c => {
-                        if (c.userData.isSpinner) {
-                            c.rotation.z += dt * 3.0; // Fast spin
-                            c.rotation.x = Math.sin(this.gameTime * 2) * 0.2; // Wobble
-                        }
-                        if (c.userData.isParticleSystem) {
-                            c.rotation.y += dt * 0.5;
-                            c.children.forEach(p => {
-                                // Pulse particles
-                                const scale = 1 + Math.sin(this.gameTime * 5 + p.userData.phase) * 0.3;
-                                p.scale.setScalar(scale);
-                            });
-                        }
-                        if (c.userData.isBeacon) {
-                            c.children.forEach(o => {
-                                o.rotation.y += dt * (o.userData.speed || 1);
-                            });
-                        }
-                    });
-                }
-
-                // If portal has been activated, entering it still triggers win/transition
-                if (this.bossPortalActivated && !this.victoryTriggered) {
-                    // Ensure portal visual is visible if activated
-                    if (this.bossPortal && this.bossPortal.visuals && !this.bossPortal.visuals.visible) {
-                        this.bossPortal.visuals.visible = true;
-                    }
-                    
-                    const p = new THREE.Vector3().copy(this.playerBody.position);
-                    // Defensive check in case bossPortal was removed
-                    if (this.bossPortal && this.bossPortal.position) {
-                        const distToPortal = p.distanceTo(this.bossPortal.position);
-                        if (distToPortal < 3.0) {
-                            this.winGame();
-                            return;
-                        }
-                    }
-                }
-
-                // Enforce sealed boss arena while a boss is active: keep player inside arena sphere
-                if (this.bossArena && this.bossEnemy) {
-                    try {
-                        const center = this.bossArena.center;
-                        const radius = this.bossArena.radius;
-                        const playerPos = new THREE.Vector3(this.playerBody.position.x, this.playerBody.position.y, this.playerBody.position.z);
-                        const toPlayer = new THREE.Vector3().subVectors(playerPos, center);
-                        const dist = toPlayer.length();
-
-                        if (dist > radius) {
-                            // Push the player back inside the sphere smoothly
-                            const excess = dist - radius;
-                            const pushDir = toPlayer.normalize();
-                            // Move player back a little and reduce their horizontal velocity outward
-                            this.playerBody.position.x -= pushDir.x * (excess + 0.1);
-                            this.playerBody.position.z -= pushDir.z * (excess + 0.1);
-                            this.playerBody.velocity.x *= 0.3;
-                            this.playerBody.velocity.z *= 0.3;
-
-                            // One-time toast when sealed (so it isn't spammy)
-                            if (!this.bossArena.sealedToastShown) {
-                                this.showToast('Arena sealed — defeat the boss or you cannot leave!');
-                                this.bossArena.sealedToastShown = true;
-                            }
-                        }
-                    } catch (e) {
-                        // Fail silently if position math errors happen
-                    }
-                }
-            }
-
-            // Check Monke Crate interaction
-            if (this.monkeCrate && !this.monkeCrate.interacted) {
-                 const d = this.playerMesh.position.distanceTo(this.monkeCrate.pos);
-                 if (d < 3.5) {
-                     if (!this.monkeCrate.toastTime || now - this.monkeCrate.toastTime > 3500) {
-                         // Check requirement for toast hint
-                         const bananaLvl = this.weaponLevels['BANANERANG'] || 0;
-                         const msg = bananaLvl >= 3 ? 'Tap / Left-click to open the cage' : 'LOCKED: Need Bananerang Lv.3';
-                         this.showToast(msg);
-                         this.monkeCrate.toastTime = now;
-                     }
-                 }
-            }
-
-            // Check secret lore note proximity
-            if (this.secretNote && !this.secretNote.collected) {
-                const dNote = this.playerMesh.position.distanceTo(this.secretNote.pos);
-                if (dNote < 3.0) {
-                    this.secretNote.collected = true;
-                    this.runFoundSecretNote = true;
-                    try { this.scene.remove(this.secretNote.mesh); } catch(e){}
-                    // Immediately persist that the secret note has been found so it won't spawn in future runs
-                    try { localStorage.setItem('uberthump_secret_note_unlocked', 'true'); } catch (e) {}
-                    this.showToast('You found a strange note...');
-                    this.playSound('unlock', 0.9, 0.5);
-                }
-            }
-
-            // Check diary cabin proximity - cabin disappears when approached
-            if (this.diaryCabin && !this.diaryCabin.collected) {
-                const dCabin = this.playerMesh.position.distanceTo(this.diaryCabin.pos);
-                if (dCabin < 5.0) {
-                    this.diaryCabin.collected = true;
-                    this.runFoundDiary = true;
-                    // Fade out effect - cabin disappears mysteriously
-                    try {
-                        const cabin = this.diaryCabin.mesh;
-                        // Quick fade animation
-                        let fadeTime = 0;
-                        const fadeInterval = setInterval(() => {
-                            fadeTime += 0.05;
-                            cabin.traverse((child) => {
-                                if (child.material) {
-                                    child.material.transparent = true;
-                                    child.material.opacity = Math.max(0, 1 - fadeTime);
-                                }
-                            });
-                            if (fadeTime >= 1) {
-                                clearInterval(fadeInterval);
-                                this.scene.remove(cabin);
-                            }
-                        }, 50);
-                    } catch(e) {
-                        try { this.scene.remove(this.diaryCabin.mesh); } catch(e2){}
-                    }
-                    // Persist that the diary has been found
-                    try { localStorage.setItem('uberthump_diary_unlocked', 'true'); } catch (e) {}
-                    this.showToast('You found a weathered diary... (Check Game Over Screen)');
-                    this.playSound('unlock', 0.9, 0.5);
-                    this.particleSystem.emit(this.diaryCabin.pos, 0xffaa44, 30);
-                }
-            }
-
-            // Awakening Grave Interaction
-            if (this.gameMode === 'AWAKENING') {
-                const p = this.playerMesh.position;
-                for (let g of this.graves) {
-                    if (!g.used) {
-                        const dist = Math.hypot(g.x - p.x, g.z - p.z);
-                        if (dist < 4) {
-                             if (!g.toastTime || now - g.toastTime > 4000) {
-                                 this.showToast('Tap / Left-click Grave to Awaken');
-                                 g.toastTime = now;
-                             }
-                        }
-                    }
-                }
-            }
-
-            // Auto attack - default weapon
-            this.autoAttackTimer += dt;
-            const attackInterval = 1 / this.stats.fireRate;
-            if (this.autoAttackTimer >= attackInterval) {
-                this.autoAttack();
-                this.autoAttackTimer = 0;
-            }
-
-            // Click handling covers manual slash, but if a ranged character picks up a sword,
-            // we should allow manual slashing via click. The mousedown listener in createPlayer
-            // handles this by calling knightSlash().
-            
-            // Other weapons
-            this.updateWeapons(dt);
-
-            // Cooldown tick for knight's auto slash so it can trigger repeatedly
-            if (this.knightSlashCooldown > 0) {
-                this.knightSlashCooldown = Math.max(0, this.knightSlashCooldown - dt);
-            }
-
-            // Spawn enemies
-            // Pantheon: No auto-spawns unless toggled (which requires UI we haven't built, so off by default)
-            if (this.gameMode === 'PANTHEON' && !this.pantheonSpawning) {
-                // Do nothing
-            } else if (this.gameMode === 'AWAKENING') {
-                // Awakening Mode: Only debuffed Ghosts spawn naturally
-                this.spawnTimer += dt;
-                if (this.spawnTimer >= 3.0) { // Slower spawn rate
-                    this.spawnTimer = 0;
-                    this.createGhost('ghost_default'); // Weak ghosts
-                }
-            } else if (!this.overtimeActive) {
-                // Normal ground enemies – slower, less overwhelming spawns
-                this.spawnTimer += dt;
-                // Start fairly slow and ramp up gently with level.
-                // Use a much gentler time-based accel so spawns don't explode after a tier change.
-                let baseSpawnDelay = Math.max(0.9, 3.0 - (this.level * 0.04)); // slightly reduced level influence
-
-                if (this.tier > 1) {
-                    // Reduce time-based acceleration so spawn frequency grows slowly during a run.
-                    // Previously divided by (1 + this.gameTime * 0.01) — now much gentler:
-                    const timeAccel = 1 + this.gameTime * 0.004; // slower ramp over time
-                    baseSpawnDelay = Math.max(0.6, baseSpawnDelay / timeAccel);
-                }
-
-                // --- Feature 4: Adaptive Spawn Pacing ---
-                // Slow spawns when many enemies are already close, speed up when few are nearby
-                const nearbyThreshold = 15;
-                let nearCount = 0;
-                const px = this.playerBody.position.x, pz = this.playerBody.position.z;
-                for (let i = 0; i < this.enemies.length; i++) {
-                    const e = this.enemies[i];
-                    const dx = e.body.position.x - px, dz = e.body.position.z - pz;
-                    if (dx * dx + dz * dz < nearbyThreshold * nearbyThreshold) nearCount++;
-                }
-                this.nearbyEnemyCount = nearCount;
-                if (nearCount > 12) {
-                    baseSpawnDelay *= 1.6; // lots of nearby enemies, slow down
-                } else if (nearCount < 4) {
-                    baseSpawnDelay *= 0.7; // too few nearby, speed up
-                }
-
-                // Apply any global spawnRateMultiplier if present (kept/reset on tier change)
-                if (this.spawnRateMultiplier && this.spawnRateMultiplier > 0) {
-                    baseSpawnDelay = baseSpawnDelay / this.spawnRateMultiplier;
-                }
-
-                if (this.spawnTimer >= baseSpawnDelay) {
-                    // Lowered spawn count slightly for difficulty adjustment
-                    const spawnCount = Math.min(6, 1 + Math.floor(this.level / 3));
-                    for (let i = 0; i < spawnCount; i++) {
-                        this.createEnemy();
-                    }
-                    this.spawnTimer = 0;
-                }
-            } else {
-                // Overtime: ghost storm replaces regular spawns
-                // In MULTI: NO GHOSTS. Just PvP.
-                if (this.gameMode !== 'MULTI') {
-                    this.ghostSpawnTimer += dt;
-                    const t = this.gameTime - this.overtimeStartTime;
-
-                    let interval = this.ghostSpawnRate; // Starts at 1.0, decreases in Tier 2
-                    let batchDefault = 2;
-                    let batchDeadly = 0;
-
-                    if (t < 60) {
-                        // First minute: mostly default ghosts, a bit scary
-                        interval = 0.8;
-                        batchDefault = 3;
-                        batchDeadly = 0;
-                    } else if (t < 90) {
-                        // Next 30 sec: deadly ghosts join in
-                        interval = 0.6;
-                        batchDefault = 2;
-                        batchDeadly = 2;
-                    } else {
-                        // After 1:30 of overtime – pure deadly chaos
-                        interval = 0.4;
-                        batchDefault = 0;
-                        batchDeadly = 4;
-                    }
-
-                    if (this.ghostSpawnTimer >= interval) {
-                        this.ghostSpawnTimer = 0;
-                        for (let i = 0; i < batchDefault; i++) {
-                            this.createGhost('ghost_default');
-                        }
-                        for (let i = 0; i < batchDeadly; i++) {
-                            this.createGhost('ghost_deadly');
-                        }
-                    }
-                }
-
-                // --- Overtime Bob spawning (Arcade only) ---
-                // Bob spawns begin after 2.5 minutes (150s) into OVERTIME, then stack; ensure timing uses overtime start anchor.
-                if (this.gameMode !== 'AWAKENING') {
-                    // Only proceed if overtime has actually started
-                    if (this.overtimeActive && this.gameMode !== 'MULTI' && (this.gameTime >= (this.overtimeStartTime + (this.bobNextSpawnTime || 150)))) {
-                        this.bobSpawnCount = (this.bobSpawnCount || 0) + 1;
-                        // Attempt to place near portal, fallback near player
-                        let sx = 0, sz = 0;
-                        if (this.bossPortal && this.bossPortal.position) {
-                            sx = this.bossPortal.position.x + (Math.random() - 0.5) * 6;
-                            sz = this.bossPortal.position.z + (Math.random() - 0.5) * 6;
-                        } else {
-                            sx = this.playerBody.position.x + Math.cos(Math.random() * Math.PI*2) * 18;
-                            sz = this.playerBody.position.z + Math.sin(Math.random() * Math.PI*2) * 18;
-                        }
-                        // spawn with OVERTIME_BOB type so spawnBob handles HP/damage specifics
-                        this.spawnBob(sx, sz, 'OVERTIME_BOB');
-
-                        // After each spawn, reduce the next interval by 30s down to minimum
-                        this.bobSpawnInterval = Math.max(this.bobMinInterval, this.bobSpawnInterval - 30);
-                        // Schedule next spawn relative to the overtime anchor
-                        this.bobNextSpawnTime = (this.overtimeStartTime || this.gameTime) + this.bobSpawnInterval;
-                    }
-                }
-            }
-
-            // Main Boss spawning near portal if close
-            // TNS Tier 4 Logic (handled by timer, no portal proximity needed)
-            if (this.gameMode === 'TNS' && this.tnsTier === 4 && !this.bossPortalActivated) {
-                // Phase 0: Warmup
-                if (this.tnsPhase === 0) {
-                    this.tnsTimer += dt;
-                    if (this.tnsTimer >= this.tnsWarmupDuration) {
-                        this.tnsPhase = 1;
-                        this.createBoss(true); // Spawn Barkvader
-                        this.showToast("BARKVADER HAS ARRIVED!");
-                        this.playSound('boom', 0.5, 1.0);
-                    }
-                }
-                // Boss Logic in updateEnemies handles Phases 2+
-            }
-            
-            // General Boss Spawn by Proximity (Arcade, Awakening, TNS Tiers 1-3)
-            // Explicitly allow TNS (except Tier 4) to spawn via proximity
-            const allowProximitySpawn = (this.gameMode !== 'TNS') || (this.gameMode === 'TNS' && this.tnsTier < 4);
-
-            if (allowProximitySpawn && !this.bossEnemy && this.bossPortal && !this.bossPortalActivated) {
-                const distToPortal = new THREE.Vector3().copy(this.playerBody.position).distanceTo(this.bossPortal.position);
-                // Increased range to 30 so it's easier to trigger
-                if (distToPortal < 30) {
-                    this.createBoss(true); // Main Boss
-                }
-            }
-            
-            // Timed Miniboss Spawns (Events)
-            // Times: 240s (6m remaining), 360s (4m remaining)
-            for(let ev of this.bossEvents) {
-                if (!ev.spawned && this.gameTime > ev.time && !this.bossEnemy) {
-                    ev.spawned = true;
-                    // Prevent miniboss spawns in AWAKENING mode
-                    if (this.gameMode !== 'AWAKENING') {
-                        this.spawnRandomMiniboss();
-                    } else {
-                        // skip spawning minibosses in Awakening
-                    }
-                }
-            }
-            
-            // Cap enemy count to prevent lag (Vampire Survivors has enemy caps too)
-            // Keep bosses (main/miniboss) from being removed by the cap to avoid softlocks.
-            const maxEnemies = 300; // raised cap to be generous
-            let i = 0;
-            // Remove non-boss oldest entries first
-            while (this.enemies.length > maxEnemies) {
-                // find first non-boss enemy (preserve any enemy.isBoss)
-                const idx = this.enemies.findIndex(e => !e.isBoss);
-                if (idx === -1) break; // all remaining are bosses — stop pruning
-                const oldest = this.enemies[idx];
-                try { if (oldest.body) this.world.removeBody(oldest.body); } catch(e) {}
-                try { if (oldest.mesh) this.scene.remove(oldest.mesh); } catch(e) {}
-                this.enemies.splice(idx, 1);
-                i++;
-                if (i > 1000) break;
-            }
-
-            // If the player accidentally falls out of the world, teleport them back to spawn
-            if (this.playerBody && this.playerBody.position.y < -30) {
-                this.respawnPlayer();
-            }
         }
 
+        if (this.isReplay) this.updateReplayHUD();
+
         // Ensure timer shows initial 10:00 before intro/game starts
         if (!this.isPlaying && !this.inIntro) {
             this.updateTimer();
@@ -13083,6 +12992,9 @@ export class Game {
             }
         }
 
+        // Copy enemy / orb proxies into their instanced batches
+        this.instancedRenderer.update();
+
         // Final render pass (pixelated or clean based on toggle)
         try {
             if (this.pixelateEnabled) {
@@ -13103,11 +13015,11 @@ export class Game {
         }
 
         // Ambient lava embers (Red particles)
-        if (this.particleSystem && Math.random() < 0.2) {
+        if (this.particleSystem && this.roll('fx') < 0.2) {
             // Only spawn near player to optimize
             const p = this.playerBody.position;
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 5 + Math.random() * 30; // Radius around player
+            const angle = this.roll('fx') * Math.PI * 2;
+            const dist = 5 + this.roll('fx') * 30; // Radius around player
             const x = p.x + Math.cos(angle) * dist;
             const z = p.z + Math.sin(angle) * dist;
             
@@ -13119,7 +13031,7 @@ export class Game {
         }
         
         // Sir Chad Eye Particles
-        if (this.characterKey === 'SIR_CHAD' && this.playerMesh && this.particleSystem && Math.random() < 0.3) {
+        if (this.characterKey === 'SIR_CHAD' && this.playerMesh && this.particleSystem && this.roll('fx') < 0.3) {
             const pPos = this.playerMesh.position.clone();
             pPos.y += 2.15; // Head height
             const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(this.playerMesh.quaternion);
@@ -13265,7 +13177,7 @@ export class Game {
         // Draw Diary Cabin (orange/brown dot) if supamonke code active and cabin exists
         if (this.diaryCabin && !this.diaryCabin.collected && this.diaryCabin.pos) {
             try {
-                const forceCabin = localStorage.getItem('uberthump_force_cabin') === 'true';
+                const forceCabin = getFlag(FLAGS.FORCE_CABIN);
                 if (forceCabin) {
                     ctx.fillStyle = '#ff8c00';
                     const m = map(this.diaryCabin.pos.x, this.diaryCabin.pos.z);
@@ -13369,7 +13281,7 @@ export class Game {
         // Draw Diary Cabin on Big Map (orange marker) if supamonke code active
         if (this.diaryCabin && !this.diaryCabin.collected && this.diaryCabin.pos) {
             try {
-                const forceCabin = localStorage.getItem('uberthump_force_cabin') === 'true';
+                const forceCabin = getFlag(FLAGS.FORCE_CABIN);
                 if (forceCabin) {
                     ctx.fillStyle = '#ff8c00';
                     const m = map(this.diaryCabin.pos.x, this.diaryCabin.pos.z);
@@ -13393,6 +13305,11 @@ export class Game {
         if (this.fogCanvas) {
             ctx.drawImage(this.fogCanvas, 0, 0, this.fogResolution, this.fogResolution, 0, 0, w, h);
         }
+
+        // Dev setting: the enemy flow field around the player (on top of the fog)
+        if (this.debugMode) {
+            this.flowField.drawDebug(ctx, map, Math.min(w, h) / 2 / range);
+        }
         
         // Draw Player
         const px = this.playerBody.position.x;
@@ -21,21 +21,194 @@ export {
     RENDERING,
     PROGRESSION,
     SPAWN_CONFIG,
+    WAVE_TIMELINES,
+    ELITE,
+    ELITE_AFFIXES,
+    BOSSES,
     BGM_TRACKS,
     SFX,
     TNS_TIER_CHARACTERS,
+    ENEMIES,
+    ENEMY_BEHAVIORS,
+    WEAPON_TICK_ORDER,
+    WEAPON_STAT_DISPLAY,
+    WEAPON_EVOLUTIONS,
+    WEAPON_EVOLUTION_LEVEL,
     getRandomRarity,
     isAuraWeapon,
+    isEvolvedWeapon,
+    getAvailableEvolutions,
     getCharacter,
-    getTNSCharacters
+    getTNSCharacters,
+    getSpawnableEnemies,
+    pickEnemyType,
+    eliteChanceAt,
+    pickEliteAffixes,
+    weaponStatAt,
+    resolveWeaponStats,
+    describeWeaponStats
 } from './config.js';
+export { ENEMY_MODELS, buildEnemyModel } from './EnemyModels.js';
+export {
+    AI_STATES,
+    MOVES,
+    createEnemyAI,
+    updateEnemyAI,
+    registerEnemyBehavior,
+    getEnemyBehavior,
+    getEnemyBehaviorIds,
+    blocksProjectile,
+    isBurrowed
+} from './EnemyAI.js';
+export { registerWeaponBehavior, getWeaponBehavior, getWeaponBehaviorIds } from './WeaponBehaviors.js';
+export {
+    registerBossAttack,
+    getBossAttack,
+    getBossAttackIds,
+    getBossDef,
+    bossKeyForName,
+    phaseAttacks,
+    updateBoss,
+    isBossWindingUp
+} from './BossAttacks.js';
+export { TelegraphRenderer, TELEGRAPH_SHAPES, telegraphContains } from './Telegraphs.js';
+export { FlowField, FLOW_FIELD, separationSteer } from './FlowField.js';
+export {
+    registerEliteAffix,
+    getEliteAffix,
+    getEliteAffixIds,
+    runAffixHook,
+    absorbAffixDamage,
+    affixMultiplier,
+    eliteName,
+    eliteTint,
+    EliteMarker,
+    GroundHazards
+} from './EliteAffixes.js';
 
 // Event system
 export {
     GameEventEmitter,
     GameEvents,
-    gameEvents
+    gameEvents,
+    WILDCARD
 } from './EventEmitter.js';
+export { EventLogPanel } from './EventLogPanel.js';
+export { DamageMeter, renderDamageMeter } from './DamageMeter.js';
+export { STATUS_EFFECTS, StatusEffectSet, isStatusImmune } from './StatusEffects.js';
+export { SpatialHash, segmentDistanceSq } from './SpatialHash.js';
+export { SpatialHashPanel } from './SpatialHashPanel.js';
+export { InstancedRenderer } from './InstancedRenderer.js';
+export { EntityPools, POOL_PREWARM, getPoolPrewarm, resetBody } from './EntityPools.js';
+export { PoolStatsPanel } from './PoolStatsPanel.js';
+export {
+    META_UPGRADES,
+    META_CURRENCY_NAME,
+    META_CURRENCY_RATES,
+    META_MODES,
+    isMetaEligible,
+    sanitizeMetaLevels,
+    resolveMetaBonuses,
+    metaUpgradeCost,
+    metaRefundValue,
+    computeRunCurrency,
+    getMetaShopState,
+    buyMetaUpgrade,
+    refundMetaUpgrade,
+    refundAllMetaUpgrades
+} from './MetaProgression.js';
+export { MetaShopPanel } from './MetaShopPanel.js';
+export {
+    ACHIEVEMENTS,
+    STAT_SOURCES,
+    AchievementTracker,
+    achievementProgress,
+    getSavedAchievementContext,
+    getCharacterAchievement,
+    syncAchievements
+} from './Achievements.js';
+export { AchievementsPanel } from './AchievementsPanel.js';
+export {
+    CHALLENGE_PERIODS,
+    challengePeriodIndex,
+    challengeKey,
+    createChallenge,
+    getChallengeAttempt,
+    beginChallenge,
+    getChallengeStreak
+} from './Challenges.js';
+export { ChallengePanel } from './ChallengePanel.js';
+export {
+    MODIFIER_MODES,
+    HEAT_REWARD_PER_POINT,
+    DEFAULT_RUN_RULES,
+    RUN_RULE_OPTIONS,
+    RUN_CURSES,
+    isModifierEligible,
+    sanitizeCurses,
+    sanitizeRunRules,
+    computeHeat,
+    heatRewardMultiplier,
+    resolveCurseEffects,
+    boardLobbySettings
+} from './RunModifiers.js';
+export { ModifierBoardPanel } from './ModifierBoardPanel.js';
+
+// Spawn waves
+export {
+    WaveDirector,
+    GHOST_TYPES,
+    MINIBOSS_TYPES,
+    BOB_TYPES,
+    WAVE_CLOCKS,
+    getWaveTimeline,
+    validateWaveTimeline,
+    parseWaveTimeline
+} from './WaveDirector.js';
+
+// Run-scoped RNG
+export {
+    RunRandom,
+    RNG_STREAMS,
+    hashSeed
+} from './RunRandom.js';
+
+// Input recording & replay
+export {
+    ReplayRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    parseReplay,
+    INPUT_BITS,
+    REPLAY_VERSION,
+    REPLAY_TICK_RATE
+} from './Replay.js';
+
+// Run history
+export {
+    RUN_OUTCOMES,
+    RUN_SORTS,
+    RUN_TIMELINE_SERIES,
+    RUN_TIMELINE_INTERVAL,
+    createRunTimeline,
+    pushTimelineSample,
+    queryRuns,
+    canReplaySeed,
+    formatRunTime
+} from './RunHistory.js';
+export { RunHistoryPanel } from './RunHistoryPanel.js';
+
+// Headless simulation (balance testing)
+export {
+    runSimulation,
+    runBatch,
+    summarizeRuns,
+    createBot,
+    defaultPolicyFor,
+    BOT_POLICIES,
+    SIM_OUTCOMES
+} from './Simulation.js';
+export { installHeadlessEnvironment } from './HeadlessEnvironment.js';
 
 // State management
 export {
@@ -60,5 +233,73 @@ export {
     updateSettings,
     getSetting,
     clearAllData,
-    STORAGE_KEYS
+    setUnlocks,
+    getFlag,
+    setFlag,
+    isPantheonUnlocked,
+    unlockPantheon,
+    hasFoundDiary,
+    markDiaryFound,
+    getTNSSaves,
+    setTNSSave,
+    getSkeletonKills,
+    getWeaponLevelRecords,
+    getDiscoveredEvolutions,
+    discoverEvolution,
+    getMetaCurrency,
+    getMetaUpgradeLevels,
+    addMetaCurrency,
+    setMetaUpgrade,
+    getAchievementStats,
+    recordAchievementProgress,
+    getEarnedAchievements,
+    markAchievementEarned,
+    getEquippedTitle,
+    setEquippedTitle,
+    getModifierBoard,
+    setModifierBoard,
+    getChallengeHistory,
+    startChallengeAttempt,
+    finishChallengeAttempt,
+    getSaveSnapshot,
+    reloadSave,
+    getLoadIssues,
+    getQuarantine,
+    clearQuarantine,
+    FLAGS,
+    SAVE_VERSION,
+    TNS_SLOT_COUNT,
+    STORAGE_KEYS,
+    createBackup,
+    getBackups,
+    getBackupDocument,
+    restoreBackup,
+    prepareImport,
+    previewImport,
+    importSave,
+    IMPORT_MODES,
+    MAX_RUN_HISTORY,
+    MAX_CHALLENGE_HISTORY
 } from './StateManager.js';
+
+// Portable save codes
+export {
+    encodeSaveCode,
+    decodeSaveCode,
+    SAVE_FILE_EXTENSION
+} from './SaveCode.js';
+
+// Multiplayer transports
+export {
+    NetworkTransport,
+    WebsimTransport,
+    RelayTransport,
+    WebRTCTransport,
+    LoopbackHub,
+    LoopbackTransport,
+    TRANSPORT_KINDS,
+    createTransport,
+    defaultTransportKind,
+    transportOptionsFromQuery,
+    getDefaultLoopbackHub
+} from './net/index.js';
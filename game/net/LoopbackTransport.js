@@ -0,0 +1,157 @@
+/**
+ * @fileoverview In-process loopback transport
+ * Several clients in one page (or one Node process) connected through a
+ * shared hub. Delivery is asynchronous, like a real network, and can be
+ * delayed to exercise latency. Used to test lobby join/leave and enemy
+ * replication without a server.
+ *
+ * @module game/net/LoopbackTransport
+ * @example
+ * const hub = new LoopbackHub();
+ * const host = hub.createClient({ username: 'Host' });
+ * const guest = hub.createClient({ username: 'Guest' });
+ * await host.initialize();
+ * await guest.initialize();
+ */
+
+import { NetworkTransport } from './NetworkTransport.js';
+
+/**
+ * Shared "server" for loopback clients
+ * @class
+ */
+export class LoopbackHub {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.latencyMs=0] - Delay applied to every delivery
+     */
+    constructor({ latencyMs = 0 } = {}) {
+        /** @type {number} */
+        this.latencyMs = latencyMs;
+
+        /** @type {Map<string, LoopbackTransport>} Connected clients */
+        this.clients = new Map();
+
+        /** @private */
+        this._nextId = 1;
+    }
+
+    /**
+     * Create a client bound to this hub (connects on initialize())
+     * @param {Object} [options] - NetworkTransport options
+     * @returns {LoopbackTransport}
+     */
+    createClient(options = {}) {
+        return new LoopbackTransport({ ...options, hub: this });
+    }
+
+    /**
+     * Run a delivery after the configured latency
+     * @param {Function} fn
+     */
+    deliver(fn) {
+        if (this.latencyMs > 0) setTimeout(fn, this.latencyMs);
+        else queueMicrotask(fn);
+    }
+
+    /**
+     * Register a client and announce it
+     * @param {LoopbackTransport} client
+     * @returns {string} Assigned client id
+     */
+    join(client) {
+        const id = `loop_${this._nextId++}`;
+        const peers = {};
+        const presence = {};
+        for (const [otherId, other] of this.clients) {
+            peers[otherId] = { username: other.username };
+            presence[otherId] = { ...(other.presence[otherId] || {}) };
+        }
+        this.clients.set(id, client);
+        client._handleWelcome(id, peers, presence);
+        for (const [otherId, other] of this.clients) {
+            if (otherId !== id) this.deliver(() => other._handlePeerJoined(id, { username: client.username }));
+        }
+        return id;
+    }
+
+    /**
+     * Remove a client and announce it
+     * @param {string} id
+     */
+    leave(id) {
+        if (!this.clients.delete(id)) return;
+        for (const other of this.clients.values()) {
+            this.deliver(() => other._handlePeerLeft(id));
+        }
+    }
+
+    /**
+     * @param {string} from
+     * @param {function(LoopbackTransport): void} fn - Called for every other client
+     */
+    broadcastFrom(from, fn) {
+        for (const [id, client] of this.clients) {
+            if (id !== from) this.deliver(() => fn(client));
+        }
+    }
+
+    /**
+     * @param {string} to
+     * @param {function(LoopbackTransport): void} fn
+     */
+    sendTo(to, fn) {
+        const client = this.clients.get(to);
+        if (client) this.deliver(() => fn(client));
+    }
+}
+
+/**
+ * One client of a LoopbackHub
+ * @class
+ * @extends NetworkTransport
+ */
+export class LoopbackTransport extends NetworkTransport {
+    /**
+     * @param {Object} options
+     * @param {LoopbackHub} options.hub
+     * @param {string} [options.username]
+     */
+    constructor({ hub, ...options }) {
+        super(options);
+
+        /** @type {LoopbackHub} */
+        this.hub = hub;
+    }
+
+    /** @protected */
+    async _connect() {
+        this.hub.join(this);
+    }
+
+    /** @protected */
+    _publishPresence(state) {
+        const from = this.clientId;
+        const copy = JSON.parse(JSON.stringify(state));
+        this.hub.broadcastFrom(from, client => client._handlePresence(from, copy));
+    }
+
+    /** @protected */
+    _sendRequest(to, request) {
+        const from = this.clientId;
+        const copy = JSON.parse(JSON.stringify(request));
+        this.hub.sendTo(to, client => client._handleRequest(copy, from));
+    }
+
+    /** @protected */
+    _broadcast(data) {
+        const from = this.clientId;
+        const copy = JSON.parse(JSON.stringify(data));
+        this.hub.broadcastFrom(from, client => client._handleMessage(copy, from));
+    }
+
+    /** @protected */
+    _disconnect() {
+        this.hub.leave(this.clientId);
+    }
+}
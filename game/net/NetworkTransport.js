@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Abstract multiplayer transport
+ * The lobby (main.js) and Game talk to the network through this interface.
+ * It mirrors the WebsimSocket surface the game was written against, so every
+ * backend looks the same to gameplay code:
+ *
+ * - `clientId`, `peers` ({ id: { username } }), `presence` ({ id: state })
+ * - `updatePresence(partial)` / `subscribePresence(cb)` - shared per-client state
+ * - `requestPresenceUpdate(id, req)` / `subscribePresenceUpdateRequests(cb)` - targeted requests
+ * - `send(data)` / `onmessage({ data })` - broadcast messages (not echoed to the sender)
+ *
+ * Adapters only implement the wire: `_connect`, `_publishPresence`,
+ * `_sendRequest`, `_broadcast` and `_disconnect`, and feed what arrives into
+ * the `_handle*` methods below.
+ *
+ * @module game/net/NetworkTransport
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * @typedef {Object} PeerInfo
+ * @property {string} username
+ */
+
+/**
+ * Message event passed to `onmessage`
+ * @typedef {Object} TransportMessageEvent
+ * @property {Object} data - Sent payload plus `clientId` and `username` of the sender
+ */
+
+// ============================================================================
+// BASE CLASS
+// ============================================================================
+
+/**
+ * Shared presence/peer bookkeeping for every transport
+ * @class
+ * @abstract
+ */
+export class NetworkTransport {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.username] - Display name announced to peers
+     */
+    constructor({ username = 'Player' } = {}) {
+        /** @type {string|null} Assigned on initialize() */
+        this.clientId = null;
+
+        /** @type {string} */
+        this.username = username;
+
+        /** @type {Object<string, PeerInfo>} Connected clients, including this one */
+        this.peers = {};
+
+        /** @type {Object<string, Object>} Latest presence per client, including this one */
+        this.presence = {};
+
+        /** @type {function(TransportMessageEvent): void|null} Broadcast message handler */
+        this.onmessage = null;
+
+        /** @type {boolean} */
+        this.connected = false;
+
+        /** @private @type {Set<Function>} */
+        this._presenceListeners = new Set();
+
+        /** @private @type {Set<Function>} */
+        this._requestListeners = new Set();
+    }
+
+    // ------------------------------------------------------------------------
+    // Public API (same shape as WebsimSocket)
+    // ------------------------------------------------------------------------
+
+    /**
+     * Connect and learn this client's id and the current peers
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.connected) return;
+        await this._connect();
+        this.connected = true;
+    }
+
+    /**
+     * Merge into this client's presence and publish it
+     * @param {Object} partial
+     */
+    updatePresence(partial) {
+        if (!this.clientId) return;
+        const state = { ...(this.presence[this.clientId] || {}), ...partial };
+        this.presence[this.clientId] = state;
+        this._publishPresence(state);
+        this._notifyPresence();
+    }
+
+    /**
+     * Listen for presence changes (any client)
+     * @param {function(Object<string, Object>): void} callback - Called with the full presence map
+     * @returns {Function} Unsubscribe function
+     */
+    subscribePresence(callback) {
+        this._presenceListeners.add(callback);
+        return () => this._presenceListeners.delete(callback);
+    }
+
+    /**
+     * Ask another client to update its own state (e.g. apply PvP damage)
+     * @param {string} clientId - Target client
+     * @param {Object} request
+     */
+    requestPresenceUpdate(clientId, request) {
+        if (!this.peers[clientId]) return;
+        this._sendRequest(clientId, request);
+    }
+
+    /**
+     * Listen for requests addressed to this client
+     * @param {function(Object, string): void} callback - Called with (request, fromClientId)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribePresenceUpdateRequests(callback) {
+        this._requestListeners.add(callback);
+        return () => this._requestListeners.delete(callback);
+    }
+
+    /**
+     * Broadcast a message to every other client
+     * @param {Object} data
+     */
+    send(data) {
+        if (!this.clientId) return;
+        this._broadcast(data);
+    }
+
+    /**
+     * Disconnect and drop all listeners
+     */
+    close() {
+        if (this.connected) this._disconnect();
+        this.connected = false;
+        this._presenceListeners.clear();
+        this._requestListeners.clear();
+        this.onmessage = null;
+    }
+
+    // ------------------------------------------------------------------------
+    // Adapter hooks
+    // ------------------------------------------------------------------------
+
+    /**
+     * Open the connection; must set clientId and register this client
+     * (see _handleWelcome)
+     * @protected
+     * @abstract
+     * @returns {Promise<void>}
+     */
+    async _connect() {
+        throw new Error(`${this.constructor.name} does not implement _connect`);
+    }
+
+    /**
+     * @protected
+     * @abstract
+     * @param {Object} state - Full presence of this client
+     */
+    _publishPresence(state) {
+        throw new Error(`${this.constructor.name} does not implement _publishPresence`);
+    }
+
+    /**
+     * @protected
+     * @abstract
+     * @param {string} to - Target client
+     * @param {Object} request
+     */
+    _sendRequest(to, request) {
+        throw new Error(`${this.constructor.name} does not implement _sendRequest`);
+    }
+
+    /**
+     * @protected
+     * @abstract
+     * @param {Object} data
+     */
+    _broadcast(data) {
+        throw new Error(`${this.constructor.name} does not implement _broadcast`);
+    }
+
+    /**
+     * @protected
+     */
+    _disconnect() {}
+
+    // ------------------------------------------------------------------------
+    // Incoming traffic (called by adapters)
+    // ------------------------------------------------------------------------
+
+    /**
+     * This client joined: record its id and everyone already connected
+     * @protected
+     * @param {string} clientId
+     * @param {Object<string, PeerInfo>} [peers]
+     * @param {Object<string, Object>} [presence]
+     */
+    _handleWelcome(clientId, peers = {}, presence = {}) {
+        this.clientId = clientId;
+        this.peers = { ...peers, [clientId]: { username: this.username } };
+        this.presence = { ...presence, [clientId]: this.presence[clientId] || {} };
+        this._notifyPresence();
+    }
+
+    /**
+     * @protected
+     * @param {string} clientId
+     * @param {PeerInfo} info
+     */
+    _handlePeerJoined(clientId, info) {
+        if (clientId === this.clientId) return;
+        this.peers[clientId] = { username: (info && info.username) || 'Player' };
+        if (!this.presence[clientId]) this.presence[clientId] = {};
+        this._notifyPresence();
+    }
+
+    /**
+     * @protected
+     * @param {string} clientId
+     */
+    _handlePeerLeft(clientId) {
+        if (clientId === this.clientId || !this.peers[clientId]) return;
+        delete this.peers[clientId];
+        delete this.presence[clientId];
+        this._notifyPresence();
+    }
+
+    /**
+     * @protected
+     * @param {string} clientId
+     * @param {Object} state - That client's full presence
+     */
+    _handlePresence(clientId, state) {
+        if (clientId === this.clientId) return;
+        if (!this.peers[clientId]) this.peers[clientId] = { username: 'Player' };
+        this.presence[clientId] = state || {};
+        this._notifyPresence();
+    }
+
+    /**
+     * @protected
+     * @param {Object} request
+     * @param {string} from
+     */
+    _handleRequest(request, from) {
+        for (const listener of [...this._requestListeners]) {
+            try {
+                listener(request, from);
+            } catch (e) {
+                console.error('Presence update request handler failed:', e);
+            }
+        }
+    }
+
+    /**
+     * @protected
+     * @param {Object} data
+     * @param {string} from
+     */
+    _handleMessage(data, from) {
+        if (!this.onmessage || from === this.clientId) return;
+        const username = this.peers[from] ? this.peers[from].username : 'Player';
+        try {
+            this.onmessage({ data: { ...data, clientId: from, username } });
+        } catch (e) {
+            console.error('Message handler failed:', e);
+        }
+    }
+
+    /**
+     * Tell presence subscribers the map changed
+     * @protected
+     */
+    _notifyPresence() {
+        for (const listener of [...this._presenceListeners]) {
+            try {
+                listener(this.presence);
+            } catch (e) {
+                console.error('Presence handler failed:', e);
+            }
+        }
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview WebSocket relay adapter
+ * Talks JSON to a dumb relay server (see tools/relay-server.js) so
+ * multiplayer can be self-hosted. The server only tracks who is in which
+ * room and forwards traffic; all game logic stays on the clients.
+ *
+ * Client -> server:
+ *   { type: 'hello', username }
+ *   { type: 'presence', state }
+ *   { type: 'request', to, data }
+ *   { type: 'message', data }
+ *
+ * Server -> client:
+ *   { type: 'welcome', clientId, peers, presence }
+ *   { type: 'join', clientId, username }
+ *   { type: 'leave', clientId }
+ *   { type: 'presence', clientId, state }
+ *   { type: 'request', from, data }
+ *   { type: 'message', from, data }
+ *
+ * The room is the URL path, e.g. `ws://host:8787/my-room`.
+ *
+ * @module game/net/RelayTransport
+ */
+
+import { NetworkTransport } from './NetworkTransport.js';
+
+/** Milliseconds to wait for the server's welcome */
+const CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Transport over a plain WebSocket relay
+ * @class
+ * @extends NetworkTransport
+ * @example
+ * const room = new RelayTransport({ url: 'ws://localhost:8787/lobby', username: 'Fox' });
+ * await room.initialize();
+ */
+export class RelayTransport extends NetworkTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Relay URL including the room path
+     * @param {string} [options.username]
+     * @param {Function} [options.SocketClass=WebSocket] - WebSocket constructor
+     */
+    constructor({ url, SocketClass = globalThis.WebSocket, ...options }) {
+        super(options);
+
+        /** @type {string} */
+        this.url = url;
+
+        /** @private @type {Function|undefined} */
+        this._SocketClass = SocketClass;
+
+        /** @type {WebSocket|null} */
+        this.socket = null;
+    }
+
+    /** @protected */
+    _connect() {
+        if (!this.url) return Promise.reject(new Error('RelayTransport needs a url'));
+        if (typeof this._SocketClass !== 'function') {
+            return Promise.reject(new Error('WebSocket is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = new this._SocketClass(this.url);
+            this.socket = socket;
+            let welcomed = false;
+            const timer = setTimeout(() => {
+                if (welcomed) return;
+                socket.close();
+                reject(new Error(`No welcome from relay ${this.url}`));
+            }, CONNECT_TIMEOUT_MS);
+
+            socket.onopen = () => this._write({ type: 'hello', username: this.username });
+            socket.onerror = () => {
+                if (welcomed) return;
+                clearTimeout(timer);
+                reject(new Error(`Could not connect to relay ${this.url}`));
+            };
+            socket.onclose = () => {
+                this.connected = false;
+                if (!welcomed) {
+                    clearTimeout(timer);
+                    reject(new Error(`Relay ${this.url} closed the connection`));
+                    return;
+                }
+                // Everyone else is gone as far as this client is concerned
+                for (const id of Object.keys(this.peers)) this._handlePeerLeft(id);
+            };
+            socket.onmessage = (event) => {
+                let msg;
+                try {
+                    msg = JSON.parse(event.data);
+                } catch (e) {
+                    console.warn('Ignoring malformed relay message');
+                    return;
+                }
+                if (msg.type === 'welcome' && !welcomed) {
+                    welcomed = true;
+                    clearTimeout(timer);
+                    this._handleWelcome(msg.clientId, msg.peers, msg.presence);
+                    resolve();
+                    return;
+                }
+                if (welcomed) this._dispatch(msg);
+            };
+        });
+    }
+
+    /**
+     * Route one server message to the base class handlers
+     * @private
+     * @param {Object} msg
+     */
+    _dispatch(msg) {
+        switch (msg.type) {
+            case 'join':
+                this._handlePeerJoined(msg.clientId, { username: msg.username });
+                break;
+            case 'leave':
+                this._handlePeerLeft(msg.clientId);
+                break;
+            case 'presence':
+                this._handlePresence(msg.clientId, msg.state);
+                break;
+            case 'request':
+                this._handleRequest(msg.data, msg.from);
+                break;
+            case 'message':
+                this._handleMessage(msg.data, msg.from);
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} msg
+     */
+    _write(msg) {
+        // 1 = WebSocket.OPEN
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(msg));
+        }
+    }
+
+    /** @protected */
+    _publishPresence(state) {
+        this._write({ type: 'presence', state });
+    }
+
+    /** @protected */
+    _sendRequest(to, request) {
+        this._write({ type: 'request', to, data: request });
+    }
+
+    /** @protected */
+    _broadcast(data) {
+        this._write({ type: 'message', data });
+    }
+
+    /** @protected */
+    _disconnect() {
+        if (!this.socket) return;
+        this.socket.onclose = null;
+        this.socket.onmessage = null;
+        this.socket.close();
+        this.socket = null;
+    }
+}
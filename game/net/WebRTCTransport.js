@@ -0,0 +1,251 @@
+/**
+ * @fileoverview WebRTC data channel adapter
+ * Peer-to-peer mesh: every pair of clients shares one RTCDataChannel and all
+ * game traffic (presence, requests, messages) goes directly between them.
+ * Connection setup (offers, answers, ICE candidates) is carried by another
+ * transport, usually a RelayTransport, as `{ type: 'rtc-signal' }` presence
+ * update requests. Of each pair, the client with the smaller id makes the
+ * offer.
+ *
+ * Peers only appear in `peers` once their data channel is open.
+ *
+ * @module game/net/WebRTCTransport
+ */
+
+import { NetworkTransport } from './NetworkTransport.js';
+
+/** Request type used on the signaling transport */
+const SIGNAL_TYPE = 'rtc-signal';
+
+/** Public STUN server used when no ICE servers are configured */
+const DEFAULT_ICE_SERVERS = Object.freeze([{ urls: 'stun:stun.l.google.com:19302' }]);
+
+/**
+ * Transport over a mesh of WebRTC data channels
+ * @class
+ * @extends NetworkTransport
+ * @example
+ * const signaling = new RelayTransport({ url: 'ws://localhost:8787/lobby', username: 'Fox' });
+ * const room = new WebRTCTransport({ signaling, username: 'Fox' });
+ * await room.initialize();
+ */
+export class WebRTCTransport extends NetworkTransport {
+    /**
+     * @param {Object} options
+     * @param {NetworkTransport} options.signaling - Transport used to exchange offers/answers
+     * @param {string} [options.username]
+     * @param {RTCIceServer[]} [options.iceServers]
+     * @param {Function} [options.PeerConnectionClass=RTCPeerConnection]
+     */
+    constructor({ signaling, iceServers = DEFAULT_ICE_SERVERS, PeerConnectionClass = globalThis.RTCPeerConnection, ...options }) {
+        super(options);
+
+        /** @type {NetworkTransport} */
+        this.signaling = signaling;
+
+        /** @type {RTCIceServer[]} */
+        this.iceServers = [...iceServers];
+
+        /** @private @type {Function|undefined} */
+        this._PeerConnectionClass = PeerConnectionClass;
+
+        /**
+         * Connection per remote client
+         * @private
+         * @type {Map<string, {pc: RTCPeerConnection, channel: RTCDataChannel|null}>}
+         */
+        this._links = new Map();
+
+        /** @private @type {Function[]} Signaling unsubscribe functions */
+        this._unsubscribe = [];
+    }
+
+    /** @protected */
+    async _connect() {
+        if (!this.signaling) throw new Error('WebRTCTransport needs a signaling transport');
+        if (typeof this._PeerConnectionClass !== 'function') {
+            throw new Error('WebRTC is not available');
+        }
+        await this.signaling.initialize();
+        this._handleWelcome(this.signaling.clientId);
+
+        this._unsubscribe.push(
+            this.signaling.subscribePresence(() => this._syncLinks()),
+            this.signaling.subscribePresenceUpdateRequests((request, from) => {
+                if (request && request.type === SIGNAL_TYPE) this._onSignal(from, request.signal);
+            })
+        );
+        this._syncLinks();
+    }
+
+    /**
+     * Open links to new signaling peers and drop links to departed ones
+     * @private
+     */
+    _syncLinks() {
+        const known = this.signaling.peers;
+        for (const id of Object.keys(known)) {
+            if (id !== this.clientId && !this._links.has(id) && this.clientId < id) {
+                this._offer(id);
+            }
+        }
+        for (const id of [...this._links.keys()]) {
+            if (!known[id]) this._dropLink(id);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} id - Remote client
+     * @returns {{pc: RTCPeerConnection, channel: RTCDataChannel|null}}
+     */
+    _createLink(id) {
+        const pc = new this._PeerConnectionClass({ iceServers: this.iceServers });
+        const link = { pc, channel: null };
+        this._links.set(id, link);
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) this._signal(id, { candidate: event.candidate });
+        };
+        pc.ondatachannel = (event) => this._attachChannel(id, event.channel);
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed' || pc.connectionState === 'closed') this._dropLink(id);
+        };
+        return link;
+    }
+
+    /**
+     * Start a connection as the offering side
+     * @private
+     * @param {string} id
+     */
+    async _offer(id) {
+        const link = this._createLink(id);
+        this._attachChannel(id, link.pc.createDataChannel('game'));
+        try {
+            await link.pc.setLocalDescription(await link.pc.createOffer());
+            this._signal(id, { description: link.pc.localDescription });
+        } catch (e) {
+            console.error('WebRTC offer failed:', e);
+            this._dropLink(id);
+        }
+    }
+
+    /**
+     * Handle an offer, answer or ICE candidate from the signaling transport
+     * @private
+     * @param {string} from
+     * @param {Object} signal
+     */
+    async _onSignal(from, signal) {
+        if (!signal) return;
+        try {
+            let link = this._links.get(from);
+            if (signal.description) {
+                if (signal.description.type === 'offer') {
+                    if (link) this._dropLink(from);
+                    link = this._createLink(from);
+                }
+                if (!link) return;
+                await link.pc.setRemoteDescription(signal.description);
+                if (signal.description.type === 'offer') {
+                    await link.pc.setLocalDescription(await link.pc.createAnswer());
+                    this._signal(from, { description: link.pc.localDescription });
+                }
+            } else if (signal.candidate && link) {
+                await link.pc.addIceCandidate(signal.candidate);
+            }
+        } catch (e) {
+            console.error('WebRTC signaling failed:', e);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} to
+     * @param {Object} signal
+     */
+    _signal(to, signal) {
+        this.signaling.requestPresenceUpdate(to, { type: SIGNAL_TYPE, signal: JSON.parse(JSON.stringify(signal)) });
+    }
+
+    /**
+     * Wire up a data channel; the peer joins once it opens
+     * @private
+     * @param {string} id
+     * @param {RTCDataChannel} channel
+     */
+    _attachChannel(id, channel) {
+        const link = this._links.get(id);
+        if (!link) return;
+        link.channel = channel;
+
+        channel.onopen = () => {
+            const info = this.signaling.peers[id];
+            this._handlePeerJoined(id, { username: info ? info.username : 'Player' });
+            const state = this.presence[this.clientId];
+            if (state) this._write(channel, { type: 'presence', state });
+        };
+        channel.onclose = () => this._dropLink(id);
+        channel.onmessage = (event) => {
+            let msg;
+            try {
+                msg = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            if (msg.type === 'presence') this._handlePresence(id, msg.state);
+            else if (msg.type === 'request') this._handleRequest(msg.data, id);
+            else if (msg.type === 'message') this._handleMessage(msg.data, id);
+        };
+    }
+
+    /**
+     * @private
+     * @param {string} id
+     */
+    _dropLink(id) {
+        const link = this._links.get(id);
+        if (!link) return;
+        this._links.delete(id);
+        if (link.channel) {
+            link.channel.onclose = null;
+            link.channel.close();
+        }
+        link.pc.close();
+        this._handlePeerLeft(id);
+    }
+
+    /**
+     * @private
+     * @param {RTCDataChannel|null} channel
+     * @param {Object} msg
+     */
+    _write(channel, msg) {
+        if (channel && channel.readyState === 'open') channel.send(JSON.stringify(msg));
+    }
+
+    /** @protected */
+    _publishPresence(state) {
+        for (const link of this._links.values()) this._write(link.channel, { type: 'presence', state });
+    }
+
+    /** @protected */
+    _sendRequest(to, request) {
+        const link = this._links.get(to);
+        if (link) this._write(link.channel, { type: 'request', data: request });
+    }
+
+    /** @protected */
+    _broadcast(data) {
+        for (const link of this._links.values()) this._write(link.channel, { type: 'message', data });
+    }
+
+    /** @protected */
+    _disconnect() {
+        for (const id of [...this._links.keys()]) this._dropLink(id);
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+        this.signaling.close();
+    }
+}
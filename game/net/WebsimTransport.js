@@ -0,0 +1,83 @@
+/**
+ * @fileoverview WebsimSocket adapter
+ * Default transport when the game is hosted on websim, which provides
+ * `window.WebsimSocket` (presence, presence update requests and broadcast
+ * messages) and the player's username.
+ *
+ * @module game/net/WebsimTransport
+ */
+
+import { NetworkTransport } from './NetworkTransport.js';
+
+/**
+ * Transport backed by websim's room socket
+ * @class
+ * @extends NetworkTransport
+ */
+export class WebsimTransport extends NetworkTransport {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.SocketClass=window.WebsimSocket] - Socket constructor
+     */
+    constructor({ SocketClass = globalThis.WebsimSocket, ...options } = {}) {
+        super(options);
+
+        /** @private @type {Function|undefined} */
+        this._SocketClass = SocketClass;
+
+        /** @type {Object|null} Underlying WebsimSocket */
+        this.socket = null;
+    }
+
+    /** @returns {boolean} Whether the page provides WebsimSocket */
+    static isAvailable() {
+        return typeof globalThis.WebsimSocket === 'function';
+    }
+
+    /** @protected */
+    async _connect() {
+        if (typeof this._SocketClass !== 'function') {
+            throw new Error('WebsimSocket is not available on this page');
+        }
+        const socket = new this._SocketClass();
+        await socket.initialize();
+        this.socket = socket;
+
+        const self = socket.peers[socket.clientId];
+        if (self && self.username) this.username = self.username;
+        this._handleWelcome(socket.clientId, { ...socket.peers }, { ...socket.presence });
+
+        // Websim owns the peer list; mirror it whenever presence changes
+        socket.subscribePresence((presence) => {
+            this.peers = { ...socket.peers };
+            this.presence = { ...presence };
+            this._notifyPresence();
+        });
+        socket.subscribePresenceUpdateRequests((request, from) => this._handleRequest(request, from));
+        socket.onmessage = (event) => {
+            const data = event.data || {};
+            this._handleMessage(data, data.clientId);
+        };
+    }
+
+    /** @protected */
+    _publishPresence(state) {
+        this.socket.updatePresence(state);
+    }
+
+    /** @protected */
+    _sendRequest(to, request) {
+        this.socket.requestPresenceUpdate(to, request);
+    }
+
+    /** @protected */
+    _broadcast(data) {
+        this.socket.send(data);
+    }
+
+    /** @protected */
+    _disconnect() {
+        if (this.socket) this.socket.onmessage = null;
+        this.socket = null;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Multiplayer transports
+ * Picks and builds the NetworkTransport the lobby and Game talk through.
+ * The page chooses one with URL parameters:
+ *
+ * - (none)                                  WebsimSocket when available, else loopback
+ * - `?transport=relay&relay=ws://host:8787/room`   self-hosted WebSocket relay
+ * - `?transport=webrtc&relay=ws://host:8787/room`  WebRTC mesh, relay used for signaling
+ * - `?transport=loopback`                   in-page clients only (testing)
+ *
+ * `name=` sets the username announced on relay, WebRTC and loopback
+ * transports (websim supplies its own).
+ *
+ * @module game/net
+ */
+
+import { WebsimTransport } from './WebsimTransport.js';
+import { RelayTransport } from './RelayTransport.js';
+import { WebRTCTransport } from './WebRTCTransport.js';
+import { LoopbackHub, LoopbackTransport } from './LoopbackTransport.js';
+
+export { NetworkTransport } from './NetworkTransport.js';
+export { WebsimTransport, RelayTransport, WebRTCTransport, LoopbackHub, LoopbackTransport };
+
+/**
+ * Available transport backends
+ * @readonly
+ * @enum {string}
+ */
+export const TRANSPORT_KINDS = Object.freeze({
+    WEBSIM: 'websim',
+    RELAY: 'relay',
+    WEBRTC: 'webrtc',
+    LOOPBACK: 'loopback'
+});
+
+/** Hub shared by loopback clients created without an explicit hub */
+let defaultLoopbackHub = null;
+
+/**
+ * @returns {LoopbackHub} Page-wide loopback hub
+ */
+export function getDefaultLoopbackHub() {
+    if (!defaultLoopbackHub) defaultLoopbackHub = new LoopbackHub();
+    return defaultLoopbackHub;
+}
+
+/**
+ * Options for createTransport
+ * @typedef {Object} TransportOptions
+ * @property {string} [kind] - One of TRANSPORT_KINDS (default: websim when available, else loopback)
+ * @property {string} [username]
+ * @property {string} [url] - Relay URL (relay, webrtc)
+ * @property {RTCIceServer[]} [iceServers] - webrtc only
+ * @property {LoopbackHub} [hub] - loopback only
+ */
+
+/**
+ * Build an (unconnected) transport; call initialize() on the result
+ * @param {TransportOptions} [options]
+ * @returns {NetworkTransport}
+ */
+export function createTransport(options = {}) {
+    const { kind = defaultTransportKind(), url, iceServers, hub, ...rest } = options;
+    switch (kind) {
+        case TRANSPORT_KINDS.WEBSIM:
+            return new WebsimTransport(rest);
+        case TRANSPORT_KINDS.RELAY:
+            return new RelayTransport({ ...rest, url });
+        case TRANSPORT_KINDS.WEBRTC:
+            return new WebRTCTransport({
+                ...rest,
+                iceServers,
+                signaling: new RelayTransport({ ...rest, url })
+            });
+        case TRANSPORT_KINDS.LOOPBACK:
+            return new LoopbackTransport({ ...rest, hub: hub || getDefaultLoopbackHub() });
+        default:
+            throw new Error(`Unknown transport "${kind}"`);
+    }
+}
+
+/**
+ * @returns {string} Transport used when none is requested
+ */
+export function defaultTransportKind() {
+    return WebsimTransport.isAvailable() ? TRANSPORT_KINDS.WEBSIM : TRANSPORT_KINDS.LOOPBACK;
+}
+
+/**
+ * Read transport options from a query string
+ * @param {string} search - e.g. location.search
+ * @returns {TransportOptions}
+ */
+export function transportOptionsFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const options = {};
+    const kind = params.get('transport');
+    if (kind) options.kind = kind;
+    const url = params.get('relay');
+    if (url) {
+        options.url = url;
+        // A relay URL alone means "use the relay"
+        if (!kind) options.kind = TRANSPORT_KINDS.RELAY;
+    }
+    const name = params.get('name');
+    if (name) options.username = name.slice(0, 24);
+    return options;
+}
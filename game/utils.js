@@ -292,6 +292,19 @@ export class ParticleSystem {
 // XP ORB
 // ============================================================================
 
+/**
+ * XP orb model (an EnemyModelBuilder, so orbs can share an InstancedRenderer with enemies)
+ * @param {THREE.Group} group - Group to add the orb mesh to
+ */
+export function buildXPOrbModel(group) {
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x00ff88,
+        emissive: 0x00ff88,
+        emissiveIntensity: 0.5
+    });
+    group.add(new THREE.Mesh(new THREE.OctahedronGeometry(0.3), material));
+}
+
 /**
  * Collectible XP orb that flies toward the player
  * @class
@@ -301,16 +314,21 @@ export class XPOrb {
      * @param {THREE.Scene} scene - Scene to add orb to
      * @param {THREE.Vector3} position - Initial position
      * @param {number} [value=1] - XP value of orb
+     * @param {import('./InstancedRenderer.js').InstancedRenderer|null} [batches=null] - Draw as an `xp_orb` instance instead of its own mesh
+     * @param {function(): number} [roll] - Random [0, 1) for the instance; required with batches
      */
-    constructor(scene, position, value = 1) {
+    constructor(scene, position, value = 1, batches = null, roll) {
         /** @type {THREE.Scene} */
         this.scene = scene;
 
         /** @type {number} */
         this.value = value;
 
-        /** @type {THREE.Mesh} */
-        this.mesh = this._createMesh();
+        /** @type {boolean} */
+        this.instanced = !!batches;
+
+        /** @type {THREE.Object3D} */
+        this.mesh = batches ? batches.acquire('xp_orb', roll) : this._createMesh();
         this.mesh.position.copy(position);
         scene.add(this.mesh);
 
@@ -325,18 +343,14 @@ export class XPOrb {
     }
 
     /**
-     * Create the orb mesh
+     * Create a standalone orb mesh
      * @private
-     * @returns {THREE.Mesh}
+     * @returns {THREE.Group}
      */
     _createMesh() {
-        const geometry = new THREE.OctahedronGeometry(0.3);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x00ff88,
-            emissive: 0x00ff88,
-            emissiveIntensity: 0.5
-        });
-        return new THREE.Mesh(geometry, material);
+        const group = new THREE.Group();
+        buildXPOrbModel(group);
+        return group;
     }
 
     /**
@@ -381,8 +395,12 @@ export class XPOrb {
      */
     destroy() {
         this.scene.remove(this.mesh);
-        this.mesh.geometry.dispose();
-        this.mesh.material.dispose();
+        if (this.instanced) return;
+        this.mesh.traverse((child) => {
+            if (!child.isMesh) return;
+            child.geometry.dispose();
+            child.material.dispose();
+        });
     }
 }
 
@@ -414,10 +432,32 @@ export class ObjectPool {
         /** @type {Set<T>} */
         this._active = new Set();
 
+        /** @type {number} Objects the factory has made */
+        this.created = 0;
+
+        /** @type {number} Acquires served from the pool instead of the factory */
+        this.reused = 0;
+
+        /** @type {number} Most objects active at once */
+        this.peakActive = 0;
+
         // Pre-populate pool
-        for (let i = 0; i < initialSize; i++) {
+        this.prewarm(initialSize);
+    }
+
+    /**
+     * Create objects until the pool holds at least `size` (active + available)
+     * @param {number} size
+     * @returns {number} Objects created
+     */
+    prewarm(size) {
+        let made = 0;
+        while (this._active.size + this._available.length < size) {
             this._available.push(this._factory());
+            this.created++;
+            made++;
         }
+        return made;
     }
 
     /**
@@ -428,10 +468,13 @@ export class ObjectPool {
         let obj;
         if (this._available.length > 0) {
             obj = this._available.pop();
+            this.reused++;
         } else {
             obj = this._factory();
+            this.created++;
         }
         this._active.add(obj);
+        this.peakActive = Math.max(this.peakActive, this._active.size);
         return obj;
     }
 
@@ -447,6 +490,14 @@ export class ObjectPool {
         }
     }
 
+    /**
+     * @param {T} obj
+     * @returns {boolean} Whether the object is acquired and not yet released
+     */
+    isActive(obj) {
+        return this._active.has(obj);
+    }
+
     /**
      * Get count of active objects
      * @returns {number}
@@ -1,4 +1,25 @@
 import { Game, preloadGameTextures } from './game/game.js';
+import { parseReplay } from './game/Replay.js';
+import { RunHistoryPanel } from './game/RunHistoryPanel.js';
+import { MetaShopPanel } from './game/MetaShopPanel.js';
+import { metaRefundValue } from './game/MetaProgression.js';
+import { AchievementsPanel } from './game/AchievementsPanel.js';
+import { ChallengePanel } from './game/ChallengePanel.js';
+import { CHALLENGE_PERIODS, beginChallenge } from './game/Challenges.js';
+import { ModifierBoardPanel } from './game/ModifierBoardPanel.js';
+import { MODIFIER_MODES, boardLobbySettings } from './game/RunModifiers.js';
+import { ACHIEVEMENTS, achievementProgress, getSavedAchievementContext, getCharacterAchievement, syncAchievements } from './game/Achievements.js';
+import {
+    getUnlocks, setUnlocks, getFlag, setFlag, FLAGS, isPantheonUnlocked, hasFoundSecretNote, hasFoundDiary,
+    getTNSSaves, setTNSSave, getLoadIssues,
+    getSaveSnapshot, prepareImport, previewImport, importSave, IMPORT_MODES,
+    getBackups, getBackupDocument, restoreBackup, getDiscoveredEvolutions
+} from './game/StateManager.js';
+import { encodeSaveCode, decodeSaveCode, SAVE_FILE_EXTENSION } from './game/SaveCode.js';
+import { createTransport, transportOptionsFromQuery } from './game/net/index.js';
+import {
+    WEAPONS, RUNES, WEAPON_EVOLUTIONS, WEAPON_EVOLUTION_LEVEL, resolveWeaponStats, describeWeaponStats, isEvolvedWeapon
+} from './game/config.js';
 import * as THREE from 'three';
 
 // Global preloaded textures cache
@@ -53,6 +74,7 @@ window.addEventListener('DOMContentLoaded', () => {
     // Note: pixel toggle moved to bottom-right (persistent). Use pixelToggleBottom below.
     const modeSelect = document.getElementById('mode-select');
     const awakeningMsg = document.getElementById('awakening-msg');
+    const challengePanel = new ChallengePanel();
     const charDetailsEl = document.getElementById('character-details-panel');
     const charSelectGrid = document.getElementById('character-select');
     
@@ -102,10 +124,7 @@ window.addEventListener('DOMContentLoaded', () => {
     function isTNSUnlocked() {
         return isCharacterUnlocked('CALCIUM');
     }
-    // Pantheon Unlock: Beating TNS (Story Mode)
-    function isPantheonUnlocked() {
-        try { return !!localStorage.getItem('uberthump_pantheon_unlocked'); } catch (e) { return false; }
-    }
+    // Pantheon Unlock: Beating TNS (Story Mode) - see StateManager.isPantheonUnlocked
 
     const loadWorldBtn = document.getElementById('load-world-btn');
 
@@ -173,13 +192,6 @@ window.addEventListener('DOMContentLoaded', () => {
     const tnsBackBtn = document.getElementById('tns-back-btn');
     let pendingTNSSlot = null; // Slot index we are currently creating a new game for
 
-    function getTNSSaves() {
-        try {
-            const raw = localStorage.getItem('uberthump_tns_saves');
-            return raw ? JSON.parse(raw) : [null, null, null];
-        } catch(e) { return [null, null, null]; }
-    }
-
     function renderSaveList() {
         const saves = getTNSSaves();
         tnsSaveList.innerHTML = '';
@@ -222,8 +234,7 @@ window.addEventListener('DOMContentLoaded', () => {
                 delBtn.onclick = (e) => {
                     e.stopPropagation();
                     if(confirm("Delete this save?")) {
-                        saves[idx] = null;
-                        localStorage.setItem('uberthump_tns_saves', JSON.stringify(saves));
+                        setTNSSave(idx, null);
                         renderSaveList();
                     }
                 };
@@ -336,9 +347,21 @@ window.addEventListener('DOMContentLoaded', () => {
     if (modeSelect) {
         modeSelect.addEventListener('change', () => {
             selectedMode = modeSelect.value || 'ARCADE';
+            challengePanel.hide();
+            if (modifierBoardBtn) modifierBoardBtn.style.display = MODIFIER_MODES.includes(selectedMode) ? '' : 'none';
 
             // Simple mode-dependent menu behavior
-            if (selectedMode === 'AWAKENING') {
+            if (CHALLENGE_PERIODS[selectedMode]) {
+                // Daily/Weekly Challenge: hero and modifiers come from the date
+                charSelectGrid.style.display = 'none';
+                if (charDetailsEl) charDetailsEl.style.display = 'none';
+                if (pixelToggleBottom) pixelToggleBottom.disabled = false;
+                awakeningMsg.style.display = 'none';
+                const challenge = challengePanel.show(selectedMode);
+                if (menuScene) menuScene.setPreviewCharacter(challenge.character);
+                if (selectionHeader) selectionHeader.style.display = 'none';
+
+            } else if (selectedMode === 'AWAKENING') {
                 // Awakening: force Knight, hide character grid
                 charSelectGrid.style.display = 'none';
                 if (charDetailsEl) charDetailsEl.style.display = 'none';
@@ -449,6 +472,85 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Load Replay Handler
+    const loadReplayBtn = document.getElementById('load-replay-btn');
+    const loadReplayInput = document.getElementById('load-replay-input');
+    if (loadReplayBtn && loadReplayInput) {
+        loadReplayBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            loadReplayInput.value = '';
+            loadReplayInput.click();
+        });
+        loadReplayInput.addEventListener('change', async () => {
+            const file = loadReplayInput.files && loadReplayInput.files[0];
+            if (!file) return;
+            try {
+                startReplay(parseReplay(await file.text()));
+            } catch (err) {
+                alert("Failed to load replay: " + err.message);
+                console.error(err);
+            }
+        });
+    }
+
+    // Rebuild a recorded run from its header; startTick fast-forwards (used to seek backwards)
+    function startReplay(replay, startTick = 0) {
+        const header = replay.header;
+        selectedCharacter = header.character;
+        selectedMode = header.mode;
+        startGame({
+            ...(header.settings || {}),
+            mode: header.mode,
+            replay,
+            replayStartTick: startTick
+        });
+    }
+
+    // Run History Browser
+    const runHistoryBtn = document.getElementById('run-history-btn');
+    const runHistoryPanel = new RunHistoryPanel({ onReplaySeed: startSeededRun });
+    if (runHistoryBtn) {
+        runHistoryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            runHistoryPanel.open();
+        });
+    }
+
+    // Meta Shop (permanent upgrades between runs)
+    const metaShopBtn = document.getElementById('meta-shop-btn');
+    const metaShopPanel = new MetaShopPanel();
+    if (metaShopBtn) {
+        metaShopBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            metaShopPanel.open();
+        });
+    }
+
+    // Modifier board (rules and curses for single-player runs)
+    const modifierBoardBtn = document.getElementById('modifier-board-btn');
+    const showBoardHeat = (heat) => {
+        if (modifierBoardBtn) modifierBoardBtn.textContent = heat > 0 ? `MODIFIERS (HEAT ${heat})` : 'MODIFIERS';
+    };
+    const modifierBoardPanel = new ModifierBoardPanel({ onChange: showBoardHeat });
+    if (modifierBoardBtn) {
+        showBoardHeat(modifierBoardPanel.heat);
+        modifierBoardBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            modifierBoardPanel.open();
+        });
+    }
+
+    // Fresh run on a past run's seed (same map, spawns and offers until inputs diverge)
+    function startSeededRun(run) {
+        if (!isCharacterUnlocked(run.character)) {
+            alert("That character is locked on this save.");
+            return;
+        }
+        selectedCharacter = run.character;
+        selectedMode = run.mode;
+        startGame({ ...(run.rules || {}), curses: run.curses, mode: run.mode, seed: run.seed });
+    }
+
     // --- NEW LOBBY SYSTEM ---
     
     // Elements
@@ -477,8 +579,15 @@ window.addEventListener('DOMContentLoaded', () => {
 
     async function openBrowser() {
         if (!room) {
-            room = new window.WebsimSocket();
-            await room.initialize();
+            const transport = createTransport(transportOptionsFromQuery(location.search));
+            try {
+                await transport.initialize();
+            } catch (e) {
+                console.error('Multiplayer connection failed:', e);
+                alert('Could not connect to multiplayer: ' + e.message);
+                return;
+            }
+            room = transport;
         }
         
         viewSelect.style.display = 'none';
@@ -1152,7 +1261,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Chain hits',
             special: 'Throws ricocheting bones that bounce between enemies.',
             blurb: 'A momentum-based skater that gets faster the more you move. Keep shredding to stay safe and delete lines of enemies.',
-            unlock: 'Unlock: Kill 200 skeletons AND get a miniboss kill as Mr. Mc. Oofy Otterson Vangough III.',
             themeUrl: "./CALCIUM'S THEME.mp3"
         },
         GIGACHAD: {
@@ -1163,7 +1271,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Sustained aura DPS',
             special: 'Damage aura around you and a flex that periodically ignores one big hit.',
             blurb: 'Walk into danger, flex through hits, and let enemies melt in your aura. Great for aggressive, close-range play.',
-            unlock: 'Unlock: Upgrade any Aura weapon to Lv.3 AND unlock Monke.',
             themeColor: 'linear-gradient(135deg, #ffaa00, #ff5500)',
             themeUrl: "./GIGACHAD'S THEME.mp3"
         },
@@ -1175,7 +1282,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Burst zaps',
             special: 'Built-in lightning that auto-zaps nearby enemies, plus strong weapon fire rate.',
             blurb: 'All-rounder bot that feels good with almost any build. Great for learning routes around the arena.',
-            unlock: 'Unlock: Defeat the main boss once.',
             themeColor: 'linear-gradient(135deg, #00ccff, #0044ff)',
             themeUrl: "./BLITZ'S THEME.mp3"
         },
@@ -1187,7 +1293,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Return Damage',
             special: 'Throws bananas that return. High agility and can climb steep walls.',
             blurb: 'Reject humanity. Return to monke. Finds creative ways around obstacles.',
-            unlock: 'Unlock: Upgrade Bananerang to Lv.3 AND find the hidden crate in the world.',
             themeColor: 'linear-gradient(135deg, #5C4033, #C4A484)',
             themeUrl: "./MONKE'S THEME.mp3"
         },
@@ -1199,7 +1304,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Massive Slash',
             special: 'Intimidating presence. Married to GigaChad.',
             blurb: 'The ultimate tank. A black knight of legend. #Pansexual #Bisexual #Poly #LoveIsLove #TankLife #GigaLove #SwordMaster #Pride #Rainbow #ChadFamily 🏳️‍🌈. He strikes with immense power.',
-            unlock: 'Unlock: Unlock GigaChad AND Upgrade "Spinning Blade" to Lvl 5.',
             themeColor: 'linear-gradient(135deg, #000000, #440000)',
             themeUrl: "./SIR CHADSIRWELLSIRCHADSIRCHADWELLWELL'S THEME.mp3"
         },
@@ -1211,13 +1315,6 @@ window.addEventListener('DOMContentLoaded', () => {
             damage: 'Minion Damage',
             special: 'Double Jump! Summons ghosts that seek and destroy enemies.',
             blurb: "Bob's legal son, immediately abandoned. Spawns friendly ghosts. Can eventually summon Deadly Ghosts and even a friendly Mini-Bob. Has a double jump.",
-            unlock: 'Unlock: Find the Secret Note AND unlock Calcium, GigaChad, Blitz, Monke, and Sir Chad.',
-            // Explicit requirements so the checklist and logic match what you actually did
-            unlockRequirements: [
-                'Find the Secret Note',
-                'Unlock Calcium, GigaChad, Blitz, and Monke',
-                'Unlock Sir Chad'
-            ],
             themeColor: 'linear-gradient(135deg, #ffffff, #aaaaaa)'
         }
     };
@@ -1226,58 +1323,48 @@ window.addEventListener('DOMContentLoaded', () => {
     if(CHARACTER_INFO.CALCIUM) CHARACTER_INFO.CALCIUM.themeColor = 'linear-gradient(135deg, #ffffff, #888888)';
     if(CHARACTER_INFO.MONKE) CHARACTER_INFO.MONKE.themeColor = 'linear-gradient(135deg, #5C4033, #FFD700)';
 
-    const DEFAULT_UNLOCKS = {
-        MMOOVT: true,
-        FOX: true,
-        CALCIUM: false,
-        GIGACHAD: false,
-        BLITZ: false,
-        MONKE: false,
-        SIR_CHAD: false,
-        BOBERTO: false
-    };
-
-    function loadUnlocks() {
-        try {
-            const savedRaw = localStorage.getItem('uberthump_unlocks') || '{}';
-            const saved = JSON.parse(savedRaw);
-            const merged = { ...DEFAULT_UNLOCKS, ...saved };
+    // Locked characters list the conditions of the achievement that unlocks them
+    for (const [key, info] of Object.entries(CHARACTER_INFO)) {
+        const id = getCharacterAchievement(key);
+        if (id) info.unlock = `Unlock: ${ACHIEVEMENTS[id].conditions.map(c => c.label).join(' AND ')}.`;
+    }
 
-            // Auto-unlock Boberto if all real requirements are met:
-            //  - Secret note found
-            //  - Calcium, GigaChad, Blitz, Monke, and Sir Chad all unlocked
-            try {
-                const hasSecretNote = localStorage.getItem('uberthump_secret_note_unlocked') === 'true';
-                if (
-                    !merged.BOBERTO &&
-                    hasSecretNote &&
-                    merged.CALCIUM &&
-                    merged.GIGACHAD &&
-                    merged.BLITZ &&
-                    merged.MONKE &&
-                    merged.SIR_CHAD
-                ) {
-                    merged.BOBERTO = true;
-                    localStorage.setItem('uberthump_unlocks', JSON.stringify(merged));
-                }
-            } catch (e2) {}
+    // Achievements (character unlocks and titles)
+    const achievementsBtn = document.getElementById('achievements-btn');
+    const achievementsPanel = new AchievementsPanel(
+        Object.fromEntries(Object.entries(CHARACTER_INFO).map(([key, info]) => [key, info.name]))
+    );
+    if (achievementsBtn) {
+        achievementsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            achievementsPanel.open();
+        });
+    }
 
-            return merged;
-        } catch (e) {
-            return { ...DEFAULT_UNLOCKS };
-        }
+    function loadUnlocks() {
+        // Earn anything the save already completes (e.g. Boberto after finding the note in a run)
+        syncAchievements();
+        return getUnlocks();
     }
 
     function saveUnlocks(unlocks) {
-        try {
-            localStorage.setItem('uberthump_unlocks', JSON.stringify(unlocks));
-        } catch (e) {}
+        setUnlocks(unlocks);
+    }
+
+    // Corrupt save entries are set aside on load (StateManager quarantine); tell the player once
+    const saveIssues = getLoadIssues();
+    if (saveIssues.length > 0) {
+        console.warn('Save data issues:', saveIssues);
+        setTimeout(() => alert(
+            `Some save data was damaged and has been set aside (${saveIssues.map(i => i.path).join(', ')}). ` +
+            'The rest of your progress loaded normally.'
+        ), 0);
     }
 
     let unlocks = loadUnlocks();
     
     // FTUE: Check if first run
-    const isFirstRun = !localStorage.getItem('uberthump_has_played');
+    const isFirstRun = !getFlag(FLAGS.HAS_PLAYED);
 
     function isCharacterUnlocked(key) {
         return !!unlocks[key];
@@ -1297,90 +1384,7 @@ window.addEventListener('DOMContentLoaded', () => {
             if (lockedListEl) lockedListEl.style.display = 'none';
         }
 
-        // Helper: evaluate common requirement phrases to check progress
-        function evalRequirement(reqText, charKey) {
-            // Normalize
-            const t = (reqText || '').toLowerCase().trim();
-
-            try {
-                const saved = JSON.parse(localStorage.getItem('uberthump_unlocks') || '{}');
-                const stats = {
-                    skeletonKills: Number(localStorage.getItem('uberthump_skeletonKills') || 0),
-                    minibossAsMMOOVT: !!(saved._minibossKilledAsMMOOVT),
-                    weaponLevels: JSON.parse(localStorage.getItem('uberthump_weaponLevels') || '{}'),
-                };
-                const hasCalcium = !!saved.CALCIUM;
-                const hasGiga = !!saved.GIGACHAD;
-                const hasBlitz = !!saved.BLITZ;
-                const hasMonke = !!saved.MONKE;
-                const hasSir = !!saved.SIR_CHAD;
-                const hasSecretNote = localStorage.getItem('uberthump_secret_note_unlocked') === 'true';
-
-                // Specific Key Checks first
-                if (t.includes('find the secret note') || t.includes('find secret note')) {
-                    return hasSecretNote;
-                }
-                if (t.includes('unlock sir chad') || t.includes('sir chad')) {
-                    return hasSir;
-                }
-                if (t.includes('unlock calcium')) return hasCalcium;
-                if (t.includes('unlock gigachad')) return hasGiga;
-                if (t.includes('unlock blitz')) return hasBlitz;
-                if (t.includes('unlock monke')) return hasMonke;
-                // Combined Boberto requirement line: "Unlock Calcium, GigaChad, Blitz, and Monke"
-                if (t.includes('unlock calcium') && t.includes('gigachad') && t.includes('blitz') && t.includes('monke')) {
-                    return hasCalcium && hasGiga && hasBlitz && hasMonke;
-                }
-
-                // Common patterns
-                if (t.includes('kill') && t.includes('skeleton')) {
-                    // e.g. "Kill 200 skeletons"
-                    const m = t.match(/kill\s*(\d+)/);
-                    const need = m ? Number(m[1]) : 1;
-                    return stats.skeletonKills >= need;
-                }
-                if (t.includes('miniboss') && t.includes('mm oofy')) {
-                    // "get a MM Oofy miniboss kill" or similar
-                    return stats.minibossAsMMOOVT === true;
-                }
-                if (t.includes('find') && t.includes('crate')) {
-                    // hidden crate requirement -> check crate open flag
-                    return !!(saved.MONKE || saved._monkeCrateOpened);
-                }
-                if (t.includes('upgrade') && t.includes('bananerang')) {
-                    // Upgrade Bananerang to Lvl 3
-                    const lvl = (stats.weaponLevels && stats.weaponLevels['BANANERANG']) || 0;
-                    return lvl >= 3;
-                }
-                if (t.includes('upgrade') && t.includes('aura')) {
-                    // Example: "Upgrade any Aura weapon to Lv.3"
-                    const wl = stats.weaponLevels || {};
-                    const has = Object.keys(wl).some(k => (['ICE_AURA','SPIKE_RING','POISON_MIST'].includes(k) && wl[k] >= 3));
-                    return has;
-                }
-                if (t.includes('defeat') && t.includes('main boss')) {
-                    return !!saved._defeatedMainBoss;
-                }
-                if (t.includes('defeat') && t.includes('boss')) {
-                    return !!saved._defeatedAnyBoss;
-                }
-                if (t.includes('upgrade') && t.includes('spinning blade') && t.includes('5')) {
-                    // Check spinning blade level (SWORD)
-                    const wl = stats.weaponLevels || {};
-                    return (wl['SWORD'] || 0) >= 5;
-                }
-                
-                // Composite check for Boberto list (fallback if individual checks above didn't catch specific list item)
-                if (t.includes('gigachad') && t.includes('blitz') && t.includes('monke')) {
-                    return hasCalcium && hasGiga && hasBlitz && hasMonke;
-                }
-            } catch (e) {
-                // ignore parse errors
-            }
-
-            // Unknown requirement — default to false (unchecked)
-            return false;
-        }
+        const achievementCtx = getSavedAchievementContext();
 
         // Hide or show cards depending on unlocked state and build compact locked checklist
         characterCards.forEach(card => {
@@ -1411,26 +1415,10 @@ window.addEventListener('DOMContentLoaded', () => {
                     title.style.marginBottom = '6px';
                     wrapper.appendChild(title);
 
-                    // If the data object provides an explicit unlockRequirements array, use it.
-                    // Otherwise, try to split the single unlock string by common separators ("AND", "&", ",")
-                    let reqList = [];
-
-                    if (Array.isArray(info.unlockRequirements) && info.unlockRequirements.length) {
-                        reqList = info.unlockRequirements.slice();
-                    } else if (typeof info.unlock === 'string' && info.unlock.trim().length) {
-                        // Try splitting on " AND " or " & " or commas
-                        if (info.unlock.indexOf('AND') !== -1) {
-                            reqList = info.unlock.split(/AND/i).map(s => s.trim()).filter(Boolean);
-                        } else if (info.unlock.indexOf('&') !== -1) {
-                            reqList = info.unlock.split('&').map(s => s.trim()).filter(Boolean);
-                        } else if (info.unlock.indexOf(',') !== -1) {
-                            reqList = info.unlock.split(',').map(s => s.trim()).filter(Boolean);
-                        } else {
-                            reqList = [info.unlock];
-                        }
-                    } else {
-                        reqList = ['Locked'];
-                    }
+                    const achievementId = getCharacterAchievement(key);
+                    const reqList = achievementId
+                        ? achievementProgress(achievementId, achievementCtx).conditions
+                        : [{ label: 'Locked', done: false }];
 
                     // Create a tiny checklist UI, each requirement on its own row
                     const listEl = document.createElement('div');
@@ -1442,7 +1430,7 @@ window.addEventListener('DOMContentLoaded', () => {
                     listEl.style.color = '#fff';
                     listEl.style.opacity = '0.95';
 
-                    reqList.forEach(reqText => {
+                    reqList.forEach(req => {
                         const row = document.createElement('div');
                         row.style.display = 'flex';
                         row.style.alignItems = 'center';
@@ -1457,7 +1445,7 @@ window.addEventListener('DOMContentLoaded', () => {
                         box.style.flex = '0 0 auto';
 
                         const label = document.createElement('div');
-                        label.textContent = reqText;
+                        label.textContent = req.target > 1 ? `${req.label} (${req.current}/${req.target})` : req.label;
                         label.style.flex = '1 1 auto';
                         label.style.color = '#ff8888';
                         label.style.fontSize = '0.72rem';
@@ -1466,8 +1454,7 @@ window.addEventListener('DOMContentLoaded', () => {
                         label.style.overflow = 'visible';
                         label.style.textOverflow = 'unset';
 
-                        const checked = evalRequirement(reqText, key);
-                        if (checked) {
+                        if (req.done) {
                             box.classList.add('checked');
                             box.style.background = '#00ff88';
                             box.style.borderColor = '#00ff88';
@@ -1582,6 +1569,11 @@ window.addEventListener('DOMContentLoaded', () => {
         { key: 'piglin', title: 'Piglin', type: 'Enemy', hp: 100, damage: 9, notes: 'Medium durability with tusks; mid-threat.' },
         { key: 'spider', title: 'Spider', type: 'Enemy', hp: 60, damage: 10, notes: 'Charges and explodes after a short wind-up; avoid close range.' },
         { key: 'zombie', title: 'Zombie', type: 'Enemy', hp: 90, damage: 8, notes: 'Slow but persistent; can block narrow paths.' },
+        { key: 'archer', title: 'Archer', type: 'Enemy', hp: 60, damage: 6, notes: 'Keeps its distance and fires arrows after a short draw; backs off when rushed.' },
+        { key: 'shaman', title: 'Shaman', type: 'Enemy', hp: 80, damage: 4, notes: 'Hangs back and pulses heals and a speed buff over nearby enemies; kill it first.' },
+        { key: 'mole', title: 'Mole', type: 'Enemy', hp: 120, damage: 10, notes: 'Burrows and tunnels under you, then erupts; step out of the dirt ring.' },
+        { key: 'boar', title: 'Boar', type: 'Enemy', hp: 140, damage: 12, notes: 'Telegraphs a lane and charges down it; sidestep, then punish while it is dazed.' },
+        { key: 'shieldbearer', title: 'Shieldbearer', type: 'Enemy', hp: 180, damage: 8, notes: 'Its tower shield blocks projectiles from the front; hit it from the side or behind.' },
 
         // Explicit miniboss entries
         { key: 'JOHN_PORK', title: 'John Pork the Terrible', type: 'Miniboss', hp: 7000, damage: 28, notes: 'Armored brawler with heavy swings and a short charge; stagger window after his swing.' },
@@ -1695,6 +1687,7 @@ window.addEventListener('DOMContentLoaded', () => {
     function showForgeOverlay() {
         if (document.getElementById('forge-overlay')) {
              document.getElementById('forge-overlay').style.display = 'block';
+             renderForgeEvolutions();
              return;
         }
         
@@ -1722,6 +1715,8 @@ window.addEventListener('DOMContentLoaded', () => {
                 <div id="forge-weapons"></div>
                 <h4 style="color:#00ff88; margin:12px 0 8px 0;">RUNES</h4>
                 <div id="forge-runes"></div>
+                <h4 style="color:#ff66ff; margin:12px 0 8px 0;">EVOLUTIONS</h4>
+                <div id="forge-evolutions"></div>
             </div>
         `;
         document.body.appendChild(overlay);
@@ -1729,24 +1724,12 @@ window.addEventListener('DOMContentLoaded', () => {
         document.getElementById('forge-close').onclick = () => overlay.style.display = 'none';
 
         // Populate
-        // Updated weapon list including character specials and new additions
-        const wList = [
-            {n:"Lightning Rod", d:"Auto-zaps nearby enemies"},
-            {n:"Being Ghosted", d:"Spawns friendly ghost bombers"},
-            {n:"Fireball", d:"Shoots explosive fireballs"},
-            {n:"Spinning Blade", d:"Orbiting blade damages enemies"},
-            {n:"Slutty Missiles", d:"Launches up, then aggressively seeks enemies"},
-            {n:"Spike Ring", d:"Pulsing ring of spikes"},
-            {n:"Poison Mist", d:"Poison damage aura"},
-            {n:"Ice Aura", d:"Slows and chills enemies"},
-            {n:"Mini Turret", d:"Orbiting turret bot"},
-            {n:"Nova Blast", d:"Periodic explosion"},
-            {n:"Bananerang", d:"Thrown banana returns"},
-            {n:"Spooky Bois", d:"Summons friendly ghosts (Boberto)"},
-            {n:"Knight Sword", d:"Manual slash (Melee)"},
-            {n:"Giga Sword", d:"Massive slash (Sir Chad)"},
-            {n:"Bone Throw", d:"Ricocheting bone (Calcium)"}
-        ];
+        // Weapons straight from config, with their level 1 numbers
+        const wList = Object.entries(WEAPONS).filter(([key]) => !isEvolvedWeapon(key)).map(([key, def]) => ({
+            n: def.name,
+            d: def.desc,
+            s: describeWeaponStats(key, resolveWeaponStats(key, 1)).map(st => `${st.label} ${st.value}`).join(' · ')
+        }));
         
         const rList = [
             {n:"Lanky Hands", d:"Pickup Range"},
@@ -1759,14 +1742,36 @@ window.addEventListener('DOMContentLoaded', () => {
             {n:"Lava Boots", d:"Lava Resistance"},
             {n:"Wisdom", d:"XP Gain"},
             {n:"Big Aura", d:"Area Size"},
-            {n:"Bling Bling Chain", d:"Boosts Luck / Rarity Chance"}
+            {n:"Bling Bling Chain", d:"Boosts Luck / Rarity Chance"},
+            {n:"Serrated Edge", d:"Bleed Chance on Hit"},
+            {n:"Lucky Charm", d:"Luck (Meta Shop unlock)"},
+            {n:"Vampire Fang", d:"Heal on Kill (Meta Shop unlock)"}
         ];
         
         const wContainer = overlay.querySelector('#forge-weapons');
-        wList.forEach(i => wContainer.innerHTML += `<div style="margin-bottom:4px; border-bottom:1px solid #333;"><strong style="color:#eee;">${i.n}</strong>: <span style="color:#aaa;">${i.d}</span></div>`);
+        wList.forEach(i => wContainer.innerHTML += `<div style="margin-bottom:4px; border-bottom:1px solid #333;"><strong style="color:#eee;">${i.n}</strong>: <span style="color:#aaa;">${i.d}</span><br><span style="color:#00ffff; font-size:0.7rem;">Lv1: ${i.s}</span></div>`);
         
         const rContainer = overlay.querySelector('#forge-runes');
         rList.forEach(i => rContainer.innerHTML += `<div style="margin-bottom:4px; border-bottom:1px solid #333;"><strong style="color:#eee;">${i.n}</strong>: <span style="color:#aaa;">${i.d}</span></div>`);
+
+        renderForgeEvolutions();
+    }
+
+    // Evolution recipe book: recipes stay hidden until evolved once in a run
+    function renderForgeEvolutions() {
+        const container = document.getElementById('forge-evolutions');
+        if (!container) return;
+        const discovered = getDiscoveredEvolutions();
+        container.innerHTML = `<div style="color:#888; font-size:0.7rem; margin-bottom:4px;">Max a weapon (Lv${WEAPON_EVOLUTION_LEVEL}) while holding the right rune to evolve it on level-up. ${discovered.filter(k => WEAPON_EVOLUTIONS[k]).length}/${Object.keys(WEAPON_EVOLUTIONS).length} discovered.</div>`;
+        for (const [key, recipe] of Object.entries(WEAPON_EVOLUTIONS)) {
+            const base = WEAPONS[recipe.weapon].name;
+            if (!discovered.includes(key)) {
+                container.innerHTML += `<div style="margin-bottom:4px; border-bottom:1px solid #333;"><strong style="color:#eee;">${base}</strong> + <span style="color:#666;">???</span> → <span style="color:#666;">???</span></div>`;
+                continue;
+            }
+            const stats = describeWeaponStats(key, resolveWeaponStats(key, WEAPON_EVOLUTION_LEVEL)).map(st => `${st.label} ${st.value}`).join(' · ');
+            container.innerHTML += `<div style="margin-bottom:4px; border-bottom:1px solid #333;"><strong style="color:#eee;">${base}</strong> + <strong style="color:#00ff88;">${RUNES[recipe.rune].name}</strong> → <strong style="color:#ff66ff;">${WEAPONS[key].name}</strong>: <span style="color:#aaa;">${WEAPONS[key].desc}</span><br><span style="color:#00ffff; font-size:0.7rem;">Lv${WEAPON_EVOLUTION_LEVEL}: ${stats}</span></div>`;
+        }
     }
 
     function showBestiaryOverlay() {
@@ -1919,13 +1924,13 @@ window.addEventListener('DOMContentLoaded', () => {
             if (game && game.isPlaying) {
                 game.isPaused = false;
                 // Trigger tutorial if first time reading lore
-                if (!localStorage.getItem('uberthump_lore_read')) {
-                    localStorage.setItem('uberthump_lore_read', 'true');
+                if (!getFlag(FLAGS.LORE_READ)) {
+                    setFlag(FLAGS.LORE_READ);
                     setTimeout(() => game.runTutorial(), 200);
                 }
-            } else if (!localStorage.getItem('uberthump_lore_read')) {
+            } else if (!getFlag(FLAGS.LORE_READ)) {
                 // Just mark read in menu
-                localStorage.setItem('uberthump_lore_read', 'true');
+                setFlag(FLAGS.LORE_READ);
             }
         });
     }
@@ -1933,11 +1938,9 @@ window.addEventListener('DOMContentLoaded', () => {
     // Secret NOTE button logic (menu + in-game)
     if (secretNoteBtn && secretNoteOverlay) {
         // Show button if player has ever unlocked the secret note
-        try {
-            if (localStorage.getItem('uberthump_secret_note_unlocked') === 'true') {
-                secretNoteBtn.style.display = 'inline-block';
-            }
-        } catch(e) {}
+        if (hasFoundSecretNote()) {
+            secretNoteBtn.style.display = 'inline-block';
+        }
 
         secretNoteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -1964,11 +1967,9 @@ window.addEventListener('DOMContentLoaded', () => {
     // Secret NOTE button logic (menu + in-game)
     if (secretNoteBtn && secretNoteOverlay) {
         // Show button if player has ever unlocked the secret note
-        try {
-            if (localStorage.getItem('uberthump_secret_note_unlocked') === 'true') {
-                secretNoteBtn.style.display = 'inline-block';
-            }
-        } catch(e) {}
+        if (hasFoundSecretNote()) {
+            secretNoteBtn.style.display = 'inline-block';
+        }
 
         secretNoteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -2026,11 +2027,9 @@ window.addEventListener('DOMContentLoaded', () => {
 
     if (diaryBtn && diaryOverlay) {
         // Show button if player has found the diary
-        try {
-            if (localStorage.getItem('uberthump_diary_unlocked') === 'true') {
-                diaryBtn.style.display = 'inline-block';
-            }
-        } catch(e) {}
+        if (hasFoundDiary()) {
+            diaryBtn.style.display = 'inline-block';
+        }
 
         diaryBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -2425,7 +2424,7 @@ window.addEventListener('DOMContentLoaded', () => {
             }
             
             if (game) {
-                game.debugMode = debugLogCheck.checked;
+                game.setDebugMode(debugLogCheck.checked);
             }
         });
     }
@@ -2435,7 +2434,7 @@ window.addEventListener('DOMContentLoaded', () => {
         mapCodeBtn.addEventListener('click', () => {
             if (mapCodeInput.value === 'supamonke123') {
                 // Enable guaranteed cabin spawn
-                try { localStorage.setItem('uberthump_force_cabin', 'true'); } catch(e) {}
+                setFlag(FLAGS.FORCE_CABIN);
 
                 if (game) {
                     game.revealMap();
@@ -2454,6 +2453,205 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Save Data: export codes/files, import with preview, automatic backups
+    const saveExportCopyBtn = document.getElementById('save-export-copy-btn');
+    const saveExportFileBtn = document.getElementById('save-export-file-btn');
+    const saveImportBtn = document.getElementById('save-import-btn');
+    const saveBackupSelect = document.getElementById('save-backup-select');
+    const saveBackupRestoreBtn = document.getElementById('save-backup-restore-btn');
+    const saveImportPanel = document.getElementById('save-import-panel');
+    const saveImportTitle = document.getElementById('save-import-title');
+    const saveImportSource = document.getElementById('save-import-source');
+    const saveImportText = document.getElementById('save-import-text');
+    const saveImportFileBtn = document.getElementById('save-import-file-btn');
+    const saveImportFileInput = document.getElementById('save-import-file-input');
+    const saveImportCheckBtn = document.getElementById('save-import-check-btn');
+    const saveImportReview = document.getElementById('save-import-review');
+    const saveImportMergeBtn = document.getElementById('save-import-merge-btn');
+    const saveImportReplaceBtn = document.getElementById('save-import-replace-btn');
+    const saveImportPreview = document.getElementById('save-import-preview');
+    const saveImportApplyBtn = document.getElementById('save-import-apply-btn');
+    const saveImportCancelBtn = document.getElementById('save-import-cancel-btn');
+
+    // What the import panel is reviewing: { doc, issues, mode, backupId }
+    let pendingImport = null;
+
+    function renderBackupOptions() {
+        if (!saveBackupSelect) return;
+        const backups = getBackups();
+        saveBackupSelect.innerHTML = '';
+        if (backups.length === 0) {
+            const opt = document.createElement('option');
+            opt.value = '';
+            opt.textContent = 'No backups yet';
+            saveBackupSelect.appendChild(opt);
+        }
+        backups.forEach(b => {
+            const opt = document.createElement('option');
+            opt.value = b.id;
+            opt.textContent = `${new Date(b.at).toLocaleString()} - ${b.reason}`;
+            saveBackupSelect.appendChild(opt);
+        });
+        if (saveBackupRestoreBtn) saveBackupRestoreBtn.disabled = backups.length === 0;
+    }
+    renderBackupOptions();
+    if (settingsBtn) settingsBtn.addEventListener('click', renderBackupOptions);
+
+    // Importing mid-run would be overwritten by the run's own saves
+    function canChangeSave() {
+        if (game && game.isPlaying) {
+            alert("Finish or quit the current run before changing save data.");
+            return false;
+        }
+        return true;
+    }
+
+    if (saveExportCopyBtn) {
+        saveExportCopyBtn.addEventListener('click', async () => {
+            try {
+                const code = await encodeSaveCode(getSaveSnapshot());
+                try {
+                    await navigator.clipboard.writeText(code);
+                    alert("Save code copied to clipboard.");
+                } catch (e) {
+                    // Clipboard blocked (permissions / insecure origin): let the player copy it by hand
+                    prompt("Copy your save code:", code);
+                }
+            } catch (err) {
+                alert("Failed to export save: " + err.message);
+            }
+        });
+    }
+
+    if (saveExportFileBtn) {
+        saveExportFileBtn.addEventListener('click', async () => {
+            try {
+                const code = await encodeSaveCode(getSaveSnapshot());
+                const url = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `uberthump_save_${new Date().toISOString().slice(0, 10)}${SAVE_FILE_EXTENSION}`;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            } catch (err) {
+                alert("Failed to export save: " + err.message);
+            }
+        });
+    }
+
+    function closeImportPanel() {
+        pendingImport = null;
+        if (saveImportPanel) saveImportPanel.style.display = 'none';
+    }
+
+    function openImportPanel() {
+        pendingImport = null;
+        saveImportTitle.textContent = 'IMPORT SAVE';
+        saveImportText.value = '';
+        saveImportSource.style.display = 'block';
+        saveImportReview.style.display = 'none';
+        saveImportPanel.style.display = 'block';
+    }
+
+    function renderImportPreview() {
+        saveImportMergeBtn.classList.toggle('active', pendingImport.mode === IMPORT_MODES.MERGE);
+        saveImportReplaceBtn.classList.toggle('active', pendingImport.mode === IMPORT_MODES.REPLACE);
+
+        const changes = previewImport(pendingImport.doc, pendingImport.mode, { valueMeta: metaRefundValue });
+        saveImportPreview.innerHTML = '';
+        const addLine = (text, color) => {
+            const line = document.createElement('div');
+            line.style.color = color;
+            line.style.marginBottom = '2px';
+            line.textContent = text;
+            saveImportPreview.appendChild(line);
+        };
+        if (changes.length === 0) addLine('No changes - this save matches yours.', '#888');
+        changes.forEach(c => addLine(`${c.label}: ${c.from} -> ${c.to}`, '#fff'));
+        pendingImport.issues.forEach(issue => addLine(`Skipped ${issue}`, '#ff8800'));
+        saveImportApplyBtn.disabled = changes.length === 0;
+    }
+
+    function reviewImport(doc, { title, backupId = null, mode = IMPORT_MODES.MERGE } = {}) {
+        const prepared = prepareImport(doc);
+        pendingImport = { doc: prepared.doc, issues: prepared.issues, mode, backupId };
+        saveImportTitle.textContent = title;
+        // Backups are restored as-is; merging only applies to imported codes
+        saveImportMergeBtn.style.display = backupId ? 'none' : '';
+        saveImportSource.style.display = 'none';
+        saveImportReview.style.display = 'block';
+        saveImportPanel.style.display = 'block';
+        renderImportPreview();
+    }
+
+    async function checkImportCode(text) {
+        try {
+            reviewImport(await decodeSaveCode(text), { title: 'REVIEW IMPORT' });
+        } catch (err) {
+            alert("Failed to read save: " + err.message);
+        }
+    }
+
+    if (saveImportBtn && saveImportPanel) {
+        saveImportBtn.addEventListener('click', () => {
+            if (canChangeSave()) openImportPanel();
+        });
+        saveImportCheckBtn.addEventListener('click', () => checkImportCode(saveImportText.value));
+        saveImportFileBtn.addEventListener('click', () => {
+            saveImportFileInput.value = '';
+            saveImportFileInput.click();
+        });
+        saveImportFileInput.addEventListener('change', async () => {
+            const file = saveImportFileInput.files && saveImportFileInput.files[0];
+            if (file) await checkImportCode(await file.text());
+        });
+        saveImportMergeBtn.addEventListener('click', () => {
+            if (!pendingImport) return;
+            pendingImport.mode = IMPORT_MODES.MERGE;
+            renderImportPreview();
+        });
+        saveImportReplaceBtn.addEventListener('click', () => {
+            if (!pendingImport) return;
+            pendingImport.mode = IMPORT_MODES.REPLACE;
+            renderImportPreview();
+        });
+        saveImportCancelBtn.addEventListener('click', closeImportPanel);
+        saveImportApplyBtn.addEventListener('click', () => {
+            if (!pendingImport) return;
+            const ok = pendingImport.backupId
+                ? restoreBackup(pendingImport.backupId)
+                : importSave(pendingImport.doc, pendingImport.mode, { valueMeta: metaRefundValue });
+            closeImportPanel();
+            if (!ok) {
+                alert("Could not write save data (storage full or blocked).");
+                return;
+            }
+            // Menus read unlocks/flags at startup; reload so everything reflects the new save
+            alert("Save data updated. The game will now reload.");
+            location.reload();
+        });
+    }
+
+    if (saveBackupRestoreBtn) {
+        saveBackupRestoreBtn.addEventListener('click', () => {
+            const id = saveBackupSelect && saveBackupSelect.value;
+            if (!id || !canChangeSave()) return;
+            const doc = getBackupDocument(id);
+            if (!doc) {
+                alert("Backup not found.");
+                renderBackupOptions();
+                return;
+            }
+            try {
+                reviewImport(doc, { title: 'RESTORE BACKUP', backupId: id, mode: IMPORT_MODES.REPLACE });
+            } catch (err) {
+                alert("Failed to read backup: " + err.message);
+            }
+        });
+    }
+
     const devUnlockBtn = document.getElementById('dev-unlock');
     if (devUnlockBtn) {
         devUnlockBtn.addEventListener('click', (e) => {
@@ -2461,7 +2659,7 @@ window.addEventListener('DOMContentLoaded', () => {
             const code = prompt('Enter code:');
             if (code === 'supamonke123') {
                 // Enable guaranteed cabin spawn
-                try { localStorage.setItem('uberthump_force_cabin', 'true'); } catch(e) {}
+                setFlag(FLAGS.FORCE_CABIN);
 
                 if (window.__uberthump_unlockAll) {
                     window.__uberthump_unlockAll();
@@ -3381,7 +3579,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
         // Handle Continue
         contBtn.onclick = () => {
-            localStorage.setItem('uberthump_device_checked', 'true');
+            setFlag(FLAGS.DEVICE_CHECKED);
             overlay.style.display = 'none';
             // Start Menu Flow
             startMenuMusic();
@@ -3389,7 +3587,7 @@ window.addEventListener('DOMContentLoaded', () => {
     }
 
     // Check if device check has run
-    const hasCheckedDevice = localStorage.getItem('uberthump_device_checked');
+    const hasCheckedDevice = getFlag(FLAGS.DEVICE_CHECKED);
     if (!hasCheckedDevice) {
         checkDeviceSpecs();
     } else {
@@ -3477,9 +3675,7 @@ window.addEventListener('DOMContentLoaded', () => {
                     runeLevels: {}
                 };
                 
-                const saves = getTNSSaves();
-                saves[pendingTNSSlot] = save;
-                localStorage.setItem('uberthump_tns_saves', JSON.stringify(saves));
+                setTNSSave(pendingTNSSlot, save);
                 
                 // Launch
                 pendingTNSSlot = null;
@@ -3503,6 +3699,17 @@ window.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        // Daily/Weekly Challenge: uses up today's scored attempt (or plays practice) as a seeded Classic run.
+        // Other single-player runs take the modifier board's rules and curses
+        let runSettings;
+        if (CHALLENGE_PERIODS[selectedMode]) {
+            const challenge = beginChallenge(challengePanel.show(selectedMode));
+            selectedCharacter = challenge.character;
+            runSettings = { mode: 'ARCADE', seed: challenge.seed, challenge };
+        } else if (MODIFIER_MODES.includes(selectedMode)) {
+            runSettings = boardLobbySettings(modifierBoardPanel.board);
+        }
+
         // Standard Start (ARCADE / AWAKENING)
         // Play start sound
         if(game && game.playSynth) game.playSynth('unlock');
@@ -3526,10 +3733,10 @@ window.addEventListener('DOMContentLoaded', () => {
         // Trigger portal sequence
         if (menuScene) {
             menuScene.playPortalAnim(() => {
-                startGame();
+                startGame(runSettings);
             });
         } else {
-            startGame();
+            startGame(runSettings);
         }
     });
     
@@ -3578,9 +3785,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
     function startGame(lobbySettings) {
         // Mark first run complete
-        if (!localStorage.getItem('uberthump_has_played')) {
-            localStorage.setItem('uberthump_has_played', 'true');
-        }
+        setFlag(FLAGS.HAS_PLAYED);
 
         startScreen.style.display = 'none';
         // Hide selection-only UI (character details / bestiary toggle) when transitioning into game
@@ -3635,7 +3840,11 @@ window.addEventListener('DOMContentLoaded', () => {
         setTimeout(async () => {
             // Seed logic
             let seed = null;
-            if (currentLobby && currentLobby.id) {
+            if (lobbySettings && lobbySettings.replay) {
+                seed = lobbySettings.replay.header.seed;
+            } else if (lobbySettings && lobbySettings.seed !== undefined) {
+                seed = lobbySettings.seed;
+            } else if (currentLobby && currentLobby.id) {
                 seed = stringToSeed(currentLobby.id);
             }
 
@@ -3662,7 +3871,12 @@ window.addEventListener('DOMContentLoaded', () => {
             }
 
             game = new Game(selectedCharacter, runPixelate, useCharacterTheme, mode, room, lobbySettings, seed, preloadedTextures);
+            if (lobbySettings && lobbySettings.replay) {
+                game.onReplayRestart = (tick) => startReplay(lobbySettings.replay, tick);
+            }
             game.init();
+            // Carry the dev log setting into the new run
+            if (debugLogCheck && debugLogCheck.checked) game.setDebugMode(true);
 
             if (typeof game.startIntro === 'function') {
                 game.startIntro();
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Loopback transport tests: lobby join/leave and enemy replication
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoopbackHub } from '../game/net/LoopbackTransport.js';
+
+/** Let queued hub deliveries run */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function joinRoom() {
+    const hub = new LoopbackHub();
+    const host = hub.createClient({ username: 'Host' });
+    const guest = hub.createClient({ username: 'Guest' });
+    await host.initialize();
+    await guest.initialize();
+    await settle();
+    return { hub, host, guest };
+}
+
+test('both clients see each other in peers and presence after joining', async () => {
+    const { hub, host, guest } = await joinRoom();
+    host.updatePresence({ hp: 100 });
+    await settle();
+
+    const expected = { [host.clientId]: { username: 'Host' }, [guest.clientId]: { username: 'Guest' } };
+    assert.deepEqual(host.peers, expected);
+    assert.deepEqual(guest.peers, expected);
+    assert.deepEqual(guest.presence[host.clientId], { hp: 100 });
+    assert.deepEqual(Object.keys(host.presence).sort(), Object.keys(guest.presence).sort());
+    assert.equal(hub.clients.size, 2);
+    host.close();
+    guest.close();
+});
+
+test('a spawnEnemy message from the host reaches the other client', async () => {
+    const { host, guest } = await joinRoom();
+    // The game treats the lowest client id as host
+    assert.equal(Object.keys(guest.peers).sort()[0], host.clientId);
+
+    const received = [];
+    guest.onmessage = event => received.push(event.data);
+    const spawn = { type: 'skeleton', x: 4, z: -2, id: 'e1', hp: 30, affixes: [] };
+    host.send({ type: 'spawnEnemy', data: spawn });
+    assert.equal(received.length, 0, 'delivery is asynchronous');
+    await settle();
+
+    assert.deepEqual(received, [{ type: 'spawnEnemy', data: spawn, clientId: host.clientId, username: 'Host' }]);
+    // The guest gets its own copy
+    assert.notEqual(received[0].data, spawn);
+    host.close();
+    guest.close();
+});
+
+test('the remaining client is told when a peer leaves', async () => {
+    const { host, guest } = await joinRoom();
+    const hostId = host.clientId;
+    let seen = null;
+    guest.subscribePresence(presence => { seen = presence; });
+
+    host.close();
+    await settle();
+
+    assert.ok(seen, 'presence listeners fire on leave');
+    assert.ok(!(hostId in seen));
+    assert.deepEqual(Object.keys(guest.peers), [guest.clientId]);
+    guest.close();
+});
+
+test('closing disconnects cleanly and drops listeners', async () => {
+    const { hub, host, guest } = await joinRoom();
+    let presenceCalls = 0;
+    let messages = 0;
+    guest.subscribePresence(() => presenceCalls++);
+    guest.onmessage = () => messages++;
+
+    guest.close();
+    assert.equal(guest.connected, false);
+    assert.equal(guest.onmessage, null);
+    assert.ok(!hub.clients.has(guest.clientId));
+
+    host.updatePresence({ hp: 50 });
+    host.send({ type: 'chat', text: 'anyone?' });
+    await settle();
+    assert.equal(presenceCalls, 0);
+    assert.equal(messages, 0);
+
+    host.close();
+    await settle();
+    assert.equal(hub.clients.size, 0);
+    // Closing twice is harmless
+    host.close();
+});
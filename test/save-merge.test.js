@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Save merge-import tests
+ * Run with: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installHeadlessEnvironment } from '../game/HeadlessEnvironment.js';
+import {
+    clearAllData, reloadSave, getSaveSnapshot, prepareImport, importSave, IMPORT_MODES,
+    addMetaCurrency, getMetaCurrency, getMetaUpgradeLevels
+} from '../game/StateManager.js';
+import { buyMetaUpgrade, refundAllMetaUpgrades, metaRefundValue } from '../game/MetaProgression.js';
+
+installHeadlessEnvironment();
+
+const totalWorth = () => getMetaCurrency() + metaRefundValue(getMetaUpgradeLevels());
+
+function mergeImport(doc) {
+    assert.ok(importSave(prepareImport(doc).doc, IMPORT_MODES.MERGE, { valueMeta: metaRefundValue }));
+}
+
+beforeEach(() => {
+    clearAllData();
+    reloadSave();
+});
+
+test('merging an older save back in cannot raise what a full refund returns', () => {
+    addMetaCurrency(200);
+    const exported = getSaveSnapshot();
+    assert.ok(buyMetaUpgrade('VITALITY'));
+    assert.ok(buyMetaUpgrade('VITALITY'));
+    assert.ok(buyMetaUpgrade('MIGHT'));
+
+    for (let i = 0; i < 3; i++) {
+        mergeImport(exported);
+        refundAllMetaUpgrades();
+        assert.equal(getMetaCurrency(), 200);
+        assert.deepEqual(getMetaUpgradeLevels(), {});
+    }
+});
+
+test('merge takes the whole meta of the save worth more', () => {
+    addMetaCurrency(50);
+    const poorer = getSaveSnapshot();
+    addMetaCurrency(150);
+    assert.ok(buyMetaUpgrade('SWIFTNESS'));
+    const richer = getSaveSnapshot();
+    const richerWorth = totalWorth();
+
+    clearAllData();
+    reloadSave();
+    mergeImport(poorer);
+    mergeImport(richer);
+    assert.equal(totalWorth(), richerWorth);
+    assert.deepEqual(getSaveSnapshot().meta, richer.meta);
+
+    mergeImport(poorer);
+    assert.deepEqual(getSaveSnapshot().meta, richer.meta);
+});
+
+test('merge needs the meta valuation passed in', () => {
+    const doc = prepareImport(getSaveSnapshot()).doc;
+    assert.throws(() => importSave(doc, IMPORT_MODES.MERGE), /valueMeta/);
+    assert.ok(importSave(doc, IMPORT_MODES.REPLACE));
+});
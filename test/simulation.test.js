@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Headless simulation tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installHeadlessEnvironment } from '../game/HeadlessEnvironment.js';
+import { runBatch, runSimulation, SIM_OUTCOMES } from '../game/Simulation.js';
+
+installHeadlessEnvironment();
+const { Game } = await import('../game/game.js');
+
+function startHeadlessGame(seed) {
+    const game = new Game('FOX', false, false, 'ARCADE', null, { headless: true }, seed);
+    game.init();
+    game.startIntro();
+    while (game.inIntro) game.updateIntro(game.fixedStep);
+    return game;
+}
+
+test('a headless run keeps ticking while a boss and its health bar are alive', () => {
+    const game = startHeadlessGame(7);
+    game.createBoss(true);
+    assert.ok(game.bossEnemy, 'boss spawned');
+
+    for (let i = 0; i < 120 && game.isPlaying; i++) game.runTick(game.fixedStep);
+    assert.ok(game.simTick >= 120 || !game.isPlaying);
+    game.isPlaying = false;
+});
+
+test('weapons do not pick burrowed enemies as targets', () => {
+    const game = startHeadlessGame(11);
+    const p = game.playerBody.position;
+    game.createEnemyAt('mole', p.x + 3, p.z, 'test-mole');
+    game.createEnemyAt('skeleton', p.x + 8, p.z, 'test-skeleton');
+    const mole = game.enemies.find(e => e.id === 'test-mole');
+    const skeleton = game.enemies.find(e => e.id === 'test-skeleton');
+    const from = game.playerMesh.position;
+    assert.equal(game.nearestEnemy(from), mole);
+
+    mole.ai.burrowed = true;
+    assert.notEqual(game.nearestEnemy(from), mole);
+    assert.ok(!game.nearestEnemies(from, 5).includes(mole));
+    assert.ok(!game.getValidTargets(from, 20).includes(mole));
+    assert.ok(game.getValidTargets(from, 20).includes(skeleton));
+    game.isPlaying = false;
+});
+
+test('two runs with the same seed hand out the same entity ids', () => {
+    const ids = () => {
+        const game = startHeadlessGame(23);
+        for (let i = 0; i < 600; i++) game.runTick(game.fixedStep);
+        game.createBoss(true);
+        const seen = game.enemies.map(e => e.id);
+        game.isPlaying = false;
+        return seen;
+    };
+    const first = ids();
+    assert.ok(first.length > 1);
+    assert.deepEqual(ids(), first);
+});
+
+test('runBatch records a run that throws as an error and finishes the batch', async () => {
+    const report = await runBatch({ characters: ['FOX'], runs: 2, policy: 'no-such-policy', maxTime: 1 });
+    const { aggregate, runs } = report.characters.FOX;
+    assert.equal(runs.length, 2);
+    assert.ok(runs.every(r => r.outcome === SIM_OUTCOMES.ERROR && /no-such-policy/.test(r.error)));
+    assert.equal(aggregate.outcomes[SIM_OUTCOMES.ERROR], 2);
+    assert.equal(aggregate.timeSurvived.min, 0);
+});
+
+test('the kite bot picks up enough XP to level within two minutes', async () => {
+    const result = await runSimulation({ character: 'CALCIUM', seed: 2, policy: 'kite', maxTime: 120 });
+    assert.ok(result.level > 1, `still level ${result.level} after ${result.timeSurvived}s`);
+});
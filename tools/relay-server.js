@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Self-hosted multiplayer relay
+ * Minimal WebSocket server for RelayTransport (and WebRTC signaling). It
+ * keeps a member list and the latest presence per room and forwards
+ * requests and messages; it runs no game logic. No dependencies.
+ *
+ * Usage:
+ *   node tools/relay-server.js [--port 8787] [--host 0.0.0.0]
+ *
+ * Then open the game with `?relay=ws://<host>:8787/<room>`.
+ *
+ * @module tools/relay-server
+ */
+
+import { parseArgs } from 'node:util';
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const { values: args } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        host: { type: 'string', default: '0.0.0.0' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (args.help) {
+    console.log([
+        'Usage: node tools/relay-server.js [options]',
+        '  --port <n>     Port to listen on (default: 8787)',
+        '  --host <addr>  Interface to bind (default: 0.0.0.0)'
+    ].join('\n'));
+    process.exit(0);
+}
+
+// ============================================================================
+// WEBSOCKET FRAMING (RFC 6455, text frames only)
+// ============================================================================
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Largest accepted frame payload, and message (all of its fragments together) */
+const MAX_PAYLOAD = 1 << 20;
+
+/** Close frame status codes */
+const CLOSE_CODES = Object.freeze({
+    NORMAL: 1000,
+    TOO_BIG: 1009
+});
+
+const OPCODES = Object.freeze({
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+});
+
+/**
+ * Build an unmasked server frame
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse as many complete frames as the buffer holds
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}|null}
+ *   null when the client sent something invalid
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const b0 = buffer[offset];
+        const b1 = buffer[offset + 1];
+        // Clients must mask
+        if (!(b1 & 0x80)) return null;
+        let length = b1 & 0x7f;
+        let pos = offset + 2;
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            const big = buffer.readBigUInt64BE(pos);
+            if (big > BigInt(MAX_PAYLOAD)) return null;
+            length = Number(big);
+            pos += 8;
+        }
+        if (length > MAX_PAYLOAD) return null;
+        if (buffer.length < pos + 4 + length) break;
+        const mask = buffer.subarray(pos, pos + 4);
+        pos += 4;
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) payload[i] = buffer[pos + i] ^ mask[i & 3];
+        frames.push({ fin: !!(b0 & 0x80), opcode: b0 & 0x0f, payload });
+        offset = pos + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// ============================================================================
+// ROOMS
+// ============================================================================
+
+/**
+ * @typedef {Object} RelayClient
+ * @property {string} id
+ * @property {string} room
+ * @property {string|null} username - Set by 'hello'
+ * @property {Object} presence
+ * @property {import('node:net').Socket} socket
+ */
+
+/** @type {Map<string, Map<string, RelayClient>>} room -> clients */
+const rooms = new Map();
+
+let nextClientId = 1;
+
+/**
+ * @param {RelayClient} client
+ * @param {Object} msg
+ */
+function sendTo(client, msg) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(msg))));
+}
+
+/**
+ * Send to every greeted client in the room except one
+ * @param {RelayClient} from
+ * @param {Object} msg
+ */
+function broadcast(from, msg) {
+    const members = rooms.get(from.room);
+    if (!members) return;
+    for (const client of members.values()) {
+        if (client !== from && client.username !== null) sendTo(client, msg);
+    }
+}
+
+/**
+ * Handle one JSON message from a client
+ * @param {RelayClient} client
+ * @param {Object} msg
+ */
+function handleMessage(client, msg) {
+    const members = rooms.get(client.room);
+    if (msg.type === 'hello') {
+        if (client.username !== null) return;
+        client.username = String(msg.username || 'Player').slice(0, 24);
+        const peers = {};
+        const presence = {};
+        for (const other of members.values()) {
+            if (other === client || other.username === null) continue;
+            peers[other.id] = { username: other.username };
+            presence[other.id] = other.presence;
+        }
+        sendTo(client, { type: 'welcome', clientId: client.id, peers, presence });
+        broadcast(client, { type: 'join', clientId: client.id, username: client.username });
+        return;
+    }
+    // Nothing but hello before the welcome
+    if (client.username === null) return;
+
+    switch (msg.type) {
+        case 'presence':
+            client.presence = msg.state && typeof msg.state === 'object' ? msg.state : {};
+            broadcast(client, { type: 'presence', clientId: client.id, state: client.presence });
+            break;
+        case 'request': {
+            const target = members.get(msg.to);
+            if (target && target.username !== null) sendTo(target, { type: 'request', from: client.id, data: msg.data });
+            break;
+        }
+        case 'message':
+            broadcast(client, { type: 'message', from: client.id, data: msg.data });
+            break;
+    }
+}
+
+/**
+ * Remove a client and tell the room
+ * @param {RelayClient} client
+ */
+function leave(client) {
+    const members = rooms.get(client.room);
+    if (!members || !members.delete(client.id)) return;
+    if (client.username !== null) broadcast(client, { type: 'leave', clientId: client.id });
+    if (members.size === 0) rooms.delete(client.room);
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket relay: connect with ws://');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    let room = null;
+    try {
+        room = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1)) || 'default';
+    } catch (e) {
+        // Malformed escapes in the path; fall through to the 400
+    }
+    if (!key || room === null || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    if (!rooms.has(room)) rooms.set(room, new Map());
+    const client = { id: `c${nextClientId++}`, room, username: null, presence: {}, socket };
+    rooms.get(room).set(client.id, client);
+
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    const close = (code = CLOSE_CODES.NORMAL) => {
+        leave(client);
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        if (!socket.destroyed) socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    };
+
+    socket.on('data', (chunk) => {
+        if (socket.writableEnded) return; // Closing; ignore whatever the peer still sends
+        const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+        if (!decoded) {
+            close();
+            return;
+        }
+        pending = decoded.rest;
+        for (const frame of decoded.frames) {
+            if (frame.opcode === OPCODES.CLOSE) {
+                close();
+                return;
+            }
+            if (frame.opcode === OPCODES.PING) {
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                continue;
+            }
+            if (frame.opcode !== OPCODES.TEXT && frame.opcode !== OPCODES.CONTINUATION) continue;
+            // The per-frame limit does not bound a message split over many continuation frames
+            fragmentBytes += frame.payload.length;
+            if (fragmentBytes > MAX_PAYLOAD) {
+                close(CLOSE_CODES.TOO_BIG);
+                return;
+            }
+            fragments.push(frame.payload);
+            if (!frame.fin) continue;
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            fragmentBytes = 0;
+            let msg;
+            try {
+                msg = JSON.parse(text);
+            } catch (e) {
+                continue;
+            }
+            if (msg && typeof msg === 'object') handleMessage(client, msg);
+        }
+    });
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+});
+
+server.listen(Number(args.port), args.host, () => {
+    console.log(`Relay listening on ws://${args.host}:${args.port}/<room>`);
+});